@@ -73,7 +73,8 @@
                 const $textarea = $(this);
                 const editorType = $textarea.data('editor-type') || 'application/json';
 
-                wp.codeEditor.initialize($textarea, {
+                // Kept on the textarea for scripts that edit its content
+                const editor = wp.codeEditor.initialize($textarea, {
                     type: editorType,
                     codemirror: {
                         lineNumbers: true,
@@ -84,6 +85,8 @@
                         tabSize: 2
                     }
                 });
+
+                $textarea.data('codeEditor', editor);
             });
         }
     };
@@ -92,16 +95,6 @@
      * Initialize AJAX actions
      */
     wpCustomAPI.initAjaxActions = function() {
-        // Test endpoint button
-        $(document).on('click', '.wp-custom-api-test-endpoint', function(e) {
-            e.preventDefault();
-
-            const $button = $(this);
-            const endpointId = $button.data('endpoint-id');
-
-            wpCustomAPI.testEndpoint(endpointId, $button);
-        });
-
         // Delete action with confirmation
         $(document).on('click', '.wp-custom-api-delete', function(e) {
             e.preventDefault();
@@ -131,8 +124,13 @@
 
     /**
      * Test an endpoint
+     *
+     * Quick run with default request options. The Test buttons themselves
+     * open the tester modal (endpoint-tester.js); both show results in
+     * wpCustomAPI.resultViewer.
      */
     wpCustomAPI.testEndpoint = function(endpointId, $button) {
+        $button = $button || $();
         const originalText = $button.text();
         $button.prop('disabled', true).html('<span class="wp-custom-api-loading"></span> Testing...');
 
@@ -147,8 +145,7 @@
             success: function(response) {
                 if (response.success) {
                     wpCustomAPI.showNotice('success', 'Endpoint test successful!');
-                    // Display result modal or update UI
-                    wpCustomAPI.displayTestResult(response.data);
+                    wpCustomAPI.displayTestResult(response.data, endpointId);
                 } else {
                     wpCustomAPI.showNotice('error', response.data.message || 'Test failed');
                 }
@@ -166,7 +163,7 @@
      * Delete an item
      */
     wpCustomAPI.deleteItem = function(itemType, itemId, $button) {
-        const $row = $button.closest('tr');
+        const $row = $button.closest('tr, [data-item-row]');
 
         $.ajax({
             url: wpCustomAPI.ajaxUrl,
@@ -196,7 +193,8 @@
      * Toggle endpoint status
      */
     wpCustomAPI.toggleEndpointStatus = function(endpointId, currentStatus, $button) {
-        const newStatus = currentStatus === '1' ? '0' : '1';
+        // jQuery reads data-status="1" as a number
+        const newStatus = String(currentStatus) === '1' ? '0' : '1';
 
         $.ajax({
             url: wpCustomAPI.ajaxUrl,
@@ -209,8 +207,15 @@
             },
             success: function(response) {
                 if (response.success) {
-                    $button.data('status', newStatus);
-                    $button.text(newStatus === '1' ? 'Deactivate' : 'Activate');
+                    const $row = $button.closest('tr[data-endpoint-id]');
+
+                    // List rows are redrawn so the status column follows
+                    if ($row.length && response.data.row) {
+                        $row.replaceWith(response.data.row);
+                    } else {
+                        $button.data('status', newStatus);
+                        $button.text(newStatus === '1' ? 'Deactivate' : 'Activate');
+                    }
                     wpCustomAPI.showNotice('success', 'Status updated');
                 } else {
                     wpCustomAPI.showNotice('error', response.data.message || wpCustomAPI.i18n.error);
@@ -225,9 +230,35 @@
     /**
      * Display test result modal
      */
-    wpCustomAPI.displayTestResult = function(result) {
-        // TODO: Create modal to display test results
-        console.log('Test Result:', result);
+    wpCustomAPI.displayTestResult = function(result, endpointId) {
+        let $modal = $('#wp-custom-api-result-modal');
+
+        if (!$modal.length) {
+            $modal = $(`
+                <div id="wp-custom-api-result-modal" class="wp-custom-api-modal" style="display:none;">
+                    <div class="wp-custom-api-modal-backdrop"></div>
+                    <div class="wp-custom-api-modal-dialog">
+                        <div class="wp-custom-api-modal-header">
+                            <h2>Test Result</h2>
+                            <button type="button" class="wp-custom-api-modal-close">&times;</button>
+                        </div>
+                        <div class="wp-custom-api-modal-body"></div>
+                    </div>
+                </div>
+            `).appendTo('body');
+
+            $modal.on('click', '.wp-custom-api-modal-close, .wp-custom-api-modal-backdrop', function() {
+                $modal.fadeOut(200);
+                $('body').removeClass('modal-open');
+            });
+        }
+
+        wpCustomAPI.resultViewer.render($modal.find('.wp-custom-api-modal-body'), result, {
+            key: endpointId === undefined ? null : endpointId
+        });
+
+        $modal.fadeIn(200);
+        $('body').addClass('modal-open');
     };
 
     /**
@@ -246,90 +277,2392 @@
     };
 
     /**
-     * Field mapping utilities
+     * Escape a value for safe insertion into HTML
      */
-    wpCustomAPI.fieldMapper = {
-        init: function() {
-            $('.wp-custom-api-field-mapper').each(function() {
-                const $mapper = $(this);
-                wpCustomAPI.fieldMapper.initDragDrop($mapper);
-            });
-        },
+    wpCustomAPI.escapeHtml = function(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    };
 
-        initDragDrop: function($mapper) {
-            const $sourceFields = $mapper.find('.field-mapper-source .field-item');
-            const $targetFields = $mapper.find('.field-mapper-target .field-item');
+    /**
+     * Render WordPress-style pagination for AJAX lists
+     *
+     * Links carry the target page in data-page on .wp-custom-api-page.
+     */
+    wpCustomAPI.renderPagination = function(data) {
+        const esc = wpCustomAPI.escapeHtml;
+        const page = data.page;
+        const pages = data.total_pages;
+        const link = (target, label, disabled) => disabled
+            ? `<span class="tablenav-pages-navspan button disabled">${label}</span>`
+            : `<a href="#" class="button wp-custom-api-page" data-page="${target}">${label}</a>`;
 
-            $sourceFields.draggable({
-                helper: 'clone',
-                revert: 'invalid',
-                cursor: 'move'
-            });
+        return `
+            <span class="displaying-num">${esc(data.total)} ${data.total === 1 ? 'item' : 'items'}</span>
+            ${pages > 1 ? `
+                <span class="pagination-links">
+                    ${link(1, '&laquo;', page <= 1)}
+                    ${link(page - 1, '&lsaquo;', page <= 1)}
+                    <span class="paging-input">${esc(page)} of ${esc(pages)}</span>
+                    ${link(page + 1, '&rsaquo;', page >= pages)}
+                    ${link(pages, '&raquo;', page >= pages)}
+                </span>
+            ` : ''}
+        `;
+    };
 
-            $targetFields.droppable({
-                accept: '.field-item',
-                hoverClass: 'field-drop-hover',
-                drop: function(event, ui) {
-                    const sourceField = ui.draggable.data('field');
-                    const targetField = $(this).data('field');
-                    wpCustomAPI.fieldMapper.createMapping(sourceField, targetField);
+    /**
+     * Resolve a local $ref ("#/components/schemas/User") against a root schema
+     */
+    wpCustomAPI.resolveSchemaRef = function(ref, root) {
+        if (typeof ref !== 'string' || ref.indexOf('#') !== 0) {
+            return undefined;
+        }
+
+        return ref.slice(1).split('/').filter(Boolean).reduce(function(node, part) {
+            return node && typeof node === 'object' ? node[part.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined;
+        }, root);
+    };
+
+    /**
+     * Build an example value for a JSON schema
+     *
+     * Uses the schema's example, default or first enum value where it has
+     * one, otherwise a value that satisfies its length and range limits.
+     * Local $refs are resolved against root.
+     */
+    wpCustomAPI.schemaExample = function(schema, root, depth) {
+        depth = depth || 0;
+
+        if (!schema || typeof schema !== 'object' || depth > 8) {
+            return null;
+        }
+
+        if (typeof schema.$ref === 'string') {
+            return wpCustomAPI.schemaExample(wpCustomAPI.resolveSchemaRef(schema.$ref, root), root, depth + 1);
+        }
+
+        if (schema.example !== undefined) {
+            return schema.example;
+        }
+        if (Array.isArray(schema.examples) && schema.examples.length) {
+            return schema.examples[0];
+        }
+        if (schema.default !== undefined) {
+            return schema.default;
+        }
+        if (schema.const !== undefined) {
+            return schema.const;
+        }
+        if (Array.isArray(schema.enum) && schema.enum.length) {
+            return schema.enum[0];
+        }
+
+        const variants = schema.oneOf || schema.anyOf;
+        if (Array.isArray(variants) && variants.length) {
+            return wpCustomAPI.schemaExample(variants[0], root, depth + 1);
+        }
+        if (Array.isArray(schema.allOf)) {
+            return schema.allOf.reduce(function(merged, part) {
+                const value = wpCustomAPI.schemaExample(part, root, depth + 1);
+                return value && typeof value === 'object' && !Array.isArray(value) ? $.extend(merged, value) : merged;
+            }, {});
+        }
+
+        let type = Array.isArray(schema.type) ? schema.type.filter(item => item !== 'null')[0] : schema.type;
+        if (!type) {
+            type = schema.properties ? 'object' : (schema.items ? 'array' : null);
+        }
+
+        switch (type) {
+            case 'object': {
+                const value = {};
+                $.each(schema.properties || {}, function(name, property) {
+                    value[name] = wpCustomAPI.schemaExample(property, root, depth + 1);
+                });
+                return value;
+            }
+            case 'array': {
+                const item = wpCustomAPI.schemaExample(Array.isArray(schema.items) ? schema.items[0] : schema.items, root, depth + 1);
+                const count = Math.max(schema.items ? 1 : 0, parseInt(schema.minItems, 10) || 0);
+                return Array.from({ length: count }, () => item);
+            }
+            case 'integer':
+            case 'number': {
+                let value = 0;
+                if (typeof schema.minimum === 'number') {
+                    value = schema.minimum;
+                } else if (typeof schema.exclusiveMinimum === 'number') {
+                    value = schema.exclusiveMinimum + 1;
+                } else if (typeof schema.maximum === 'number' && schema.maximum < 0) {
+                    value = schema.maximum;
                 }
-            });
-        },
+                if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+                    value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+                }
+                return type === 'integer' ? Math.ceil(value) : value;
+            }
+            case 'boolean':
+                return true;
+            case 'string': {
+                let value = {
+                    'date-time': new Date(0).toISOString(),
+                    date: '1970-01-01',
+                    email: 'user@example.com',
+                    uri: 'https://example.com',
+                    uuid: '00000000-0000-0000-0000-000000000000',
+                    ipv4: '192.0.2.1',
+                    ipv6: '2001:db8::1',
+                    'hex-color': '#000000'
+                }[schema.format] || 'string';
 
-        createMapping: function(sourceField, targetField) {
-            console.log('Mapping:', sourceField, '->', targetField);
-            // TODO: Implement mapping logic
+                if (schema.minLength > value.length) {
+                    value = value.padEnd(schema.minLength, 'x');
+                }
+                if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+                    value = value.slice(0, schema.maxLength);
+                }
+                return value;
+            }
+            default:
+                return null;
         }
     };
 
     /**
-     * Query builder utilities
+     * Append a key to a JSONPath ($.items[0].name, $['odd key'])
      */
-    wpCustomAPI.queryBuilder = {
-        init: function() {
-            $('.wp-custom-api-query-builder').each(function() {
-                const $builder = $(this);
-                wpCustomAPI.queryBuilder.initBuilder($builder);
-            });
+    wpCustomAPI.jsonPath = function(path, key) {
+        if (typeof key === 'number') {
+            return `${path}[${key}]`;
+        }
+
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${String(key).replace(/'/g, "\\'")}']`;
+    };
+
+    /**
+     * Validate a value against a JSON schema
+     *
+     * Covers the keywords WordPress understands plus the common draft 2020
+     * ones (const, oneOf, not, exclusive limits as numbers). Properties
+     * flagged with WordPress' "required": true count as required. Returns
+     * [{path, message}] with JSONPath locations, empty when the value is valid.
+     */
+    wpCustomAPI.validateSchema = function(value, schema, root) {
+        root = root || schema;
+
+        const formats = {
+            'date-time': /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i,
+            date: /^\d{4}-\d{2}-\d{2}$/,
+            email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            uri: /^[a-z][a-z0-9+.-]*:\S+$/i,
+            uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+            ipv4: /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+            ipv6: /^[0-9a-f:]*:[0-9a-f:.]*$/i,
+            'hex-color': /^#([0-9a-f]{3}){1,2}$/i
+        };
+
+        const typeOf = function(item) {
+            if (item === null) {
+                return 'null';
+            }
+            if (Array.isArray(item)) {
+                return 'array';
+            }
+            return Number.isInteger(item) ? 'integer' : typeof item;
+        };
+
+        const matchesType = function(item, type) {
+            const actual = typeOf(item);
+            return actual === type || (type === 'number' && actual === 'integer');
+        };
+
+        const equals = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+        const isSchema = node => !!node && typeof node === 'object' && !Array.isArray(node);
+        const format = item => JSON.stringify(item);
+
+        const check = function(item, node, path, depth, errors) {
+            if (!isSchema(node) || depth > 32) {
+                return;
+            }
+
+            const fail = message => errors.push({ path: path, message: message });
+
+            if (typeof node.$ref === 'string') {
+                check(item, wpCustomAPI.resolveSchemaRef(node.$ref, root), path, depth + 1, errors);
+                return;
+            }
+
+            const types = node.type === undefined ? [] : [].concat(node.type);
+            if (types.length && !types.some(type => matchesType(item, type))) {
+                fail(`Expected ${types.join(' or ')}, got ${typeOf(item) === 'integer' ? 'number' : typeOf(item)}`);
+                return;
+            }
+
+            if (Array.isArray(node.enum) && !node.enum.some(option => equals(option, item))) {
+                fail(`Must be one of ${node.enum.map(format).join(', ')}`);
+            }
+            if (node.const !== undefined && !equals(node.const, item)) {
+                fail(`Must be ${format(node.const)}`);
+            }
+
+            switch (typeOf(item)) {
+                case 'object': {
+                    const properties = isSchema(node.properties) ? node.properties : {};
+                    const required = Array.isArray(node.required)
+                        ? node.required
+                        : Object.keys(properties).filter(name => isSchema(properties[name]) && properties[name].required === true);
+
+                    required.forEach(function(name) {
+                        if (!has(item, name)) {
+                            fail(`Missing required property "${name}"`);
+                        }
+                    });
+
+                    Object.keys(item).forEach(function(name) {
+                        const childPath = wpCustomAPI.jsonPath(path, name);
+                        if (has(properties, name)) {
+                            check(item[name], properties[name], childPath, depth + 1, errors);
+                        } else if (node.additionalProperties === false) {
+                            errors.push({ path: childPath, message: 'Property is not allowed' });
+                        } else if (isSchema(node.additionalProperties)) {
+                            check(item[name], node.additionalProperties, childPath, depth + 1, errors);
+                        }
+                    });
+
+                    const count = Object.keys(item).length;
+                    if (count < node.minProperties) {
+                        fail(`Must have at least ${node.minProperties} properties`);
+                    }
+                    if (count > node.maxProperties) {
+                        fail(`Must have at most ${node.maxProperties} properties`);
+                    }
+                    break;
+                }
+
+                case 'array':
+                    item.forEach(function(entry, index) {
+                        const itemSchema = Array.isArray(node.items) ? node.items[index] : node.items;
+                        check(entry, itemSchema, wpCustomAPI.jsonPath(path, index), depth + 1, errors);
+                    });
+
+                    if (item.length < node.minItems) {
+                        fail(`Must have at least ${node.minItems} items`);
+                    }
+                    if (item.length > node.maxItems) {
+                        fail(`Must have at most ${node.maxItems} items`);
+                    }
+                    if (node.uniqueItems === true && new Set(item.map(format)).size !== item.length) {
+                        fail('Items must be unique');
+                    }
+                    break;
+
+                case 'string': {
+                    const length = Array.from(item).length;
+                    if (length < node.minLength) {
+                        fail(`Must be at least ${node.minLength} characters`);
+                    }
+                    if (length > node.maxLength) {
+                        fail(`Must be at most ${node.maxLength} characters`);
+                    }
+                    if (typeof node.pattern === 'string') {
+                        try {
+                            if (!new RegExp(node.pattern).test(item)) {
+                                fail(`Must match the pattern ${node.pattern}`);
+                            }
+                        } catch (e) {
+                            // Invalid patterns are reported by the schema editor
+                        }
+                    }
+                    if (formats[node.format] && !formats[node.format].test(item)) {
+                        fail(`Must be a valid ${node.format}`);
+                    }
+                    break;
+                }
+
+                case 'integer':
+                case 'number': {
+                    const exclusiveMinimum = node.exclusiveMinimum === true ? node.minimum : node.exclusiveMinimum;
+                    const exclusiveMaximum = node.exclusiveMaximum === true ? node.maximum : node.exclusiveMaximum;
+
+                    if (typeof exclusiveMinimum === 'number' && item <= exclusiveMinimum) {
+                        fail(`Must be greater than ${exclusiveMinimum}`);
+                    } else if (typeof node.minimum === 'number' && item < node.minimum) {
+                        fail(`Must be at least ${node.minimum}`);
+                    }
+                    if (typeof exclusiveMaximum === 'number' && item >= exclusiveMaximum) {
+                        fail(`Must be less than ${exclusiveMaximum}`);
+                    } else if (typeof node.maximum === 'number' && item > node.maximum) {
+                        fail(`Must be at most ${node.maximum}`);
+                    }
+                    if (node.multipleOf > 0 && Math.abs(item / node.multipleOf - Math.round(item / node.multipleOf)) > 1e-9) {
+                        fail(`Must be a multiple of ${node.multipleOf}`);
+                    }
+                    break;
+                }
+            }
+
+            if (Array.isArray(node.allOf)) {
+                node.allOf.forEach(part => check(item, part, path, depth + 1, errors));
+            }
+
+            const matching = variants => variants.filter(function(variant) {
+                const variantErrors = [];
+                check(item, variant, path, depth + 1, variantErrors);
+                return !variantErrors.length;
+            }).length;
+
+            if (Array.isArray(node.anyOf) && !matching(node.anyOf)) {
+                fail('Does not match any of the allowed schemas');
+            }
+            if (Array.isArray(node.oneOf) && matching(node.oneOf) !== 1) {
+                fail('Must match exactly one of the allowed schemas');
+            }
+            if (isSchema(node.not) && matching([node.not])) {
+                fail('Must not match the excluded schema');
+            }
+        };
+
+        const errors = [];
+        check(value, schema, '$', 0, errors);
+        return errors;
+    };
+
+    /**
+     * Render schema validation results for a value
+     *
+     * Lists the problems and shows the value as formatted JSON with the
+     * offending paths highlighted; hovering a highlight shows its messages.
+     */
+    wpCustomAPI.renderSchemaValidation = function(value, errors, label) {
+        const esc = wpCustomAPI.escapeHtml;
+
+        if (!errors.length) {
+            return `<p class="schema-validation-status is-valid"><span class="dashicons dashicons-yes-alt"></span> ${esc(label)} matches the schema</p>`;
+        }
+
+        const messages = {};
+        errors.forEach(function(error) {
+            (messages[error.path] = messages[error.path] || []).push(error.message);
+        });
+
+        const lines = [];
+        const write = function(item, path, indent, prefix, suffix) {
+            const pad = '  '.repeat(indent);
+            const mark = text => messages[path]
+                ? `<mark class="schema-invalid" title="${esc(messages[path].join('\n'))}">${text}</mark>`
+                : text;
+
+            if (item && typeof item === 'object' && Object.keys(item).length) {
+                const isArray = Array.isArray(item);
+                const keys = Object.keys(item);
+
+                lines.push(pad + mark(prefix + (isArray ? '[' : '{')));
+                keys.forEach(function(key, index) {
+                    write(
+                        item[key],
+                        wpCustomAPI.jsonPath(path, isArray ? index : key),
+                        indent + 1,
+                        isArray ? '' : esc(JSON.stringify(key)) + ': ',
+                        index < keys.length - 1 ? ',' : ''
+                    );
+                });
+                lines.push(pad + (isArray ? ']' : '}') + suffix);
+                return;
+            }
+
+            const text = item === undefined ? '(empty)' : JSON.stringify(item);
+            lines.push(pad + mark(prefix + esc(text)) + suffix);
+        };
+
+        write(value, '$', 0, '', '');
+
+        return `
+            <p class="schema-validation-status is-invalid">
+                <span class="dashicons dashicons-warning"></span>
+                ${esc(label)} does not match the schema (${errors.length} ${errors.length === 1 ? 'problem' : 'problems'})
+            </p>
+            <ul class="schema-validation-errors">
+                ${errors.map(error => `<li><code>${esc(error.path)}</code> ${esc(error.message)}</li>`).join('')}
+            </ul>
+            <pre class="schema-validation-json"><code>${lines.join('\n')}</code></pre>
+        `;
+    };
+
+    /**
+     * Test result viewer
+     *
+     * Shared by the endpoint tester modal and quick tests from the endpoints
+     * list. Renders a wp_custom_api_test_endpoint result ({request, response,
+     * metrics}) and keeps the previous run per endpoint for comparison.
+     */
+    wpCustomAPI.resultViewer = {
+        storagePrefix: 'wpCustomAPI.lastRun.',
+
+        /**
+         * Render a result into a container
+         *
+         * Options: key (endpoint id used for run comparison) and extraTabs
+         * ([{id, label, html}]) for entry point specific panels.
+         */
+        render: function($container, data, options) {
+            const esc = wpCustomAPI.escapeHtml;
+            const settings = $.extend({ key: null, extraTabs: [] }, options);
+            const response = data.response || {};
+            const metrics = data.metrics || {};
+            const previous = settings.key !== null ? this.getPreviousRun(settings.key) : null;
+
+            const assertions = data.assertions || [];
+            const passed = assertions.filter(item => item.passed).length;
+
+            const tabs = [
+                { id: 'body', label: 'Body' },
+                { id: 'headers', label: 'Headers' },
+                { id: 'request', label: 'Request' }
+            ].concat(assertions.length ? [{ id: 'assertions', label: `Tests (${passed}/${assertions.length})` }] : [])
+                .concat(settings.extraTabs).concat([
+                { id: 'compare', label: 'Compare' + (previous ? '' : ' (no previous run)') }
+            ]);
+
+            $container.html(`
+                <div class="wp-custom-api-result-viewer">
+                    <div class="test-response-meta">
+                        <span class="status-code">${this.renderStatus(response)}</span>
+                        <span class="duration">Duration: ${esc(metrics.duration_ms)}ms</span>
+                        <span class="memory">Memory: ${esc(metrics.memory_used)}</span>
+                        <span class="size">Size: ${esc(this.formatSize(response.body))}</span>
+                        ${assertions.length ? `<span class="status-badge status-${passed === assertions.length ? 'success' : 'error'}">${passed}/${assertions.length} assertions passed</span>` : ''}
+                    </div>
+                    <div class="test-tabs">
+                        ${tabs.map((tab, index) => `<button type="button" class="test-tab${index === 0 ? ' active' : ''}" data-tab="${esc(tab.id)}">${esc(tab.label)}</button>`).join('')}
+                    </div>
+                    <div class="test-tab-content">
+                        <div class="test-tab-panel active" data-panel="body">
+                            <div class="result-viewer-toolbar">
+                                <input type="search" class="result-viewer-search" placeholder="Search body..." />
+                                <span class="result-viewer-matches"></span>
+                                <button type="button" class="button button-small result-viewer-expand">Expand All</button>
+                                <button type="button" class="button button-small result-viewer-collapse">Collapse All</button>
+                                <button type="button" class="button button-small result-viewer-raw">Raw</button>
+                            </div>
+                            <div class="result-viewer-body">${this.renderBody(response.body)}</div>
+                            <pre class="result-viewer-raw-body" style="display:none;"><code>${esc(this.stringify(response.body))}</code></pre>
+                        </div>
+                        <div class="test-tab-panel" data-panel="headers">
+                            ${this.renderHeaders(response.headers)}
+                        </div>
+                        <div class="test-tab-panel" data-panel="request">
+                            <pre><code>${esc(this.formatRequest(data.request || {}))}</code></pre>
+                        </div>
+                        <div class="test-tab-panel" data-panel="assertions">
+                            ${this.renderAssertions(assertions)}
+                        </div>
+                        ${settings.extraTabs.map(tab => `<div class="test-tab-panel" data-panel="${esc(tab.id)}">${tab.html}</div>`).join('')}
+                        <div class="test-tab-panel" data-panel="compare">
+                            ${previous ? this.renderComparison(previous, data) : '<p class="description">Run this endpoint again to compare results.</p>'}
+                        </div>
+                    </div>
+                </div>
+            `);
+
+            if (settings.key !== null) {
+                this.saveRun(settings.key, data);
+            }
+
+            if (!$container.data('resultViewerBound')) {
+                $container.data('resultViewerBound', true);
+                this.bindEvents($container);
+            }
+
+            return $container;
         },
 
-        initBuilder: function($builder) {
-            // Add condition button
-            $builder.find('.add-condition').on('click', function(e) {
-                e.preventDefault();
-                wpCustomAPI.queryBuilder.addCondition($builder);
+        bindEvents: function($container) {
+            const self = this;
+
+            $container.on('click', '.test-tab', function() {
+                const $viewer = $(this).closest('.wp-custom-api-result-viewer');
+                $(this).addClass('active').siblings().removeClass('active');
+                $viewer.find('.test-tab-panel').removeClass('active')
+                    .filter('[data-panel="' + $(this).data('tab') + '"]').addClass('active');
+            });
+
+            $container.on('click', '.result-viewer-expand, .result-viewer-collapse', function() {
+                $(this).closest('.test-tab-panel').find('details').prop('open', $(this).hasClass('result-viewer-expand'));
+            });
+
+            $container.on('click', '.result-viewer-raw', function() {
+                const $panel = $(this).closest('.test-tab-panel');
+                const showRaw = $panel.find('.result-viewer-raw-body').is(':hidden');
+
+                $panel.find('.result-viewer-raw-body').toggle(showRaw);
+                $panel.find('.result-viewer-body').toggle(!showRaw);
+                $(this).text(showRaw ? 'Tree' : 'Raw');
+                self.search($panel, $panel.find('.result-viewer-search').val());
+            });
+
+            $container.on('input', '.result-viewer-search', function() {
+                self.search($(this).closest('.test-tab-panel'), $(this).val());
             });
 
-            // Remove condition button
-            $builder.on('click', '.remove-condition', function(e) {
+            // Enter jumps to the next match
+            $container.on('keydown', '.result-viewer-search', function(e) {
+                if (e.key !== 'Enter') {
+                    return;
+                }
                 e.preventDefault();
-                $(this).closest('.query-condition').remove();
-            });
-        },
-
-        addCondition: function($builder) {
-            const conditionHtml = `
-                <div class="query-condition">
-                    <select name="condition_field[]">
-                        <option value="post_type">Post Type</option>
-                        <option value="category">Category</option>
-                        <option value="tag">Tag</option>
-                        <option value="author">Author</option>
-                        <option value="status">Status</option>
-                    </select>
-                    <select name="condition_operator[]">
-                        <option value="equals">Equals</option>
-                        <option value="not_equals">Not Equals</option>
-                        <option value="contains">Contains</option>
-                        <option value="in">In</option>
-                    </select>
-                    <input type="text" name="condition_value[]" placeholder="Value">
-                    <button type="button" class="button remove-condition">Remove</button>
-                </div>
+
+                const $panel = $(this).closest('.test-tab-panel');
+                const $matches = self.getMatches($panel);
+                if (!$matches.length) {
+                    return;
+                }
+
+                const index = ($matches.index($matches.filter('.is-current')) + 1) % $matches.length;
+                $matches.removeClass('is-current').eq(index).addClass('is-current');
+                if ($matches[index].scrollIntoView) {
+                    $matches[index].scrollIntoView({ block: 'nearest' });
+                }
+                $panel.find('.result-viewer-matches').text((index + 1) + ' / ' + $matches.length);
+            });
+        },
+
+        renderStatus: function(response) {
+            const code = parseInt(response.status_code, 10) || 0;
+            let statusClass = 'error';
+
+            if (code >= 200 && code < 300) {
+                statusClass = 'success';
+            } else if (code >= 300 && code < 400) {
+                statusClass = 'pending';
+            }
+
+            return `<span class="status-badge status-${statusClass}">${wpCustomAPI.escapeHtml(code + ' ' + (response.status_text || ''))}</span>`;
+        },
+
+        renderAssertions: function(assertions) {
+            const esc = wpCustomAPI.escapeHtml;
+
+            return `<ul class="result-viewer-assertions">${assertions.map(function(item) {
+                return `<li class="${item.passed ? 'is-passed' : 'is-failed'}">
+                    <span class="dashicons dashicons-${item.passed ? 'yes-alt' : 'dismiss'}"></span>
+                    <code>${esc(item.assertion.type)}</code> ${esc(item.message)}
+                </li>`;
+            }).join('')}</ul>`;
+        },
+
+        renderHeaders: function(headers) {
+            const esc = wpCustomAPI.escapeHtml;
+            const rows = Object.keys(headers || {}).map(function(name) {
+                const value = Array.isArray(headers[name]) ? headers[name].join(', ') : headers[name];
+                return `<tr><th scope="row"><code>${esc(name)}</code></th><td><code>${esc(value)}</code></td></tr>`;
+            }).join('');
+
+            return rows
+                ? `<table class="widefat striped result-viewer-headers"><tbody>${rows}</tbody></table>`
+                : '<p class="description">No headers returned.</p>';
+        },
+
+        renderBody: function(body) {
+            if (body !== null && typeof body === 'object') {
+                return `<div class="json-tree">${this.renderJsonNode(null, body, 0)}</div>`;
+            }
+
+            return `<pre class="result-viewer-text"><code>${wpCustomAPI.escapeHtml(body === undefined ? '' : body)}</code></pre>`;
+        },
+
+        /**
+         * Render one node of the collapsible JSON tree
+         */
+        renderJsonNode: function(key, value, depth) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const label = key === null ? '' : `<span class="json-key">${esc(key)}</span>: `;
+
+            if (value !== null && typeof value === 'object') {
+                const isArray = Array.isArray(value);
+                const keys = Object.keys(value);
+                const summary = isArray ? `Array(${keys.length})` : `{${keys.length}}`;
+                const children = keys.map(function(childKey) {
+                    return self.renderJsonNode(isArray ? '[' + childKey + ']' : childKey, value[childKey], depth + 1);
+                }).join('');
+
+                return `
+                    <details class="json-node"${depth < 2 ? ' open' : ''}>
+                        <summary>${label}<span class="json-summary">${summary}</span></summary>
+                        <div class="json-children">${children || '<span class="json-empty">empty</span>'}</div>
+                    </details>
+                `;
+            }
+
+            let type = typeof value;
+            let display = String(value);
+            if (value === null) {
+                type = 'null';
+                display = 'null';
+            } else if (type === 'string') {
+                display = JSON.stringify(value);
+            }
+
+            return `<div class="json-leaf">${label}<span class="json-value json-${type}">${esc(display)}</span></div>`;
+        },
+
+        /**
+         * Highlight matches in the tree or raw body and open their parents
+         */
+        search: function($panel, query) {
+            const needle = $.trim(query || '').toLowerCase();
+            const $raw = $panel.find('.result-viewer-raw-body code, .result-viewer-text code');
+
+            $panel.find('.json-match').removeClass('json-match is-current');
+            $raw.each(function() {
+                $(this).text($(this).text());
+            });
+
+            if (!needle) {
+                $panel.find('.result-viewer-matches').text('');
+                return;
+            }
+
+            $panel.find('.json-key, .json-value').each(function() {
+                if ($(this).text().toLowerCase().indexOf(needle) !== -1) {
+                    $(this).addClass('json-match').parents('details').prop('open', true);
+                }
+            });
+
+            $raw.each(function() {
+                const text = $(this).text();
+                const lower = text.toLowerCase();
+                let html = '';
+                let position = 0;
+                let index;
+
+                while ((index = lower.indexOf(needle, position)) !== -1) {
+                    html += wpCustomAPI.escapeHtml(text.slice(position, index))
+                        + '<mark>' + wpCustomAPI.escapeHtml(text.slice(index, index + needle.length)) + '</mark>';
+                    position = index + needle.length;
+                }
+
+                $(this).html(html + wpCustomAPI.escapeHtml(text.slice(position)));
+            });
+
+            const count = this.getMatches($panel).length;
+            $panel.find('.result-viewer-matches').text(count ? count + (count === 1 ? ' match' : ' matches') : 'No matches');
+        },
+
+        /**
+         * Matches in whichever body view (tree or raw) is showing
+         */
+        getMatches: function($panel) {
+            const showRaw = $panel.find('.result-viewer-raw-body').css('display') !== 'none';
+            return showRaw
+                ? $panel.find('.result-viewer-raw-body mark')
+                : $panel.find('.result-viewer-body').find('.json-match, mark');
+        },
+
+        /**
+         * Compare a previous run against the current one
+         */
+        renderComparison: function(previous, current) {
+            const esc = wpCustomAPI.escapeHtml;
+            const before = previous.data;
+            const beforeResponse = before.response || {};
+            const afterResponse = current.response || {};
+            const beforeDuration = parseFloat((before.metrics || {}).duration_ms) || 0;
+            const afterDuration = parseFloat((current.metrics || {}).duration_ms) || 0;
+            const delta = Math.round((afterDuration - beforeDuration) * 100) / 100;
+
+            const headerChanges = this.diff(this.flatten(beforeResponse.headers || {}), this.flatten(afterResponse.headers || {}));
+            const bodyChanges = this.diff(this.flatten(beforeResponse.body), this.flatten(afterResponse.body));
+
+            const renderChanges = function(changes) {
+                if (!changes.length) {
+                    return '<p class="description">No differences.</p>';
+                }
+
+                return '<table class="widefat striped result-viewer-diff"><thead><tr><th>Path</th><th>Previous</th><th>Current</th></tr></thead><tbody>'
+                    + changes.map(function(change) {
+                        return `<tr class="diff-${change.type}"><td><code>${esc(change.path || '(root)')}</code></td>`
+                            + `<td>${change.type === 'added' ? '<em>missing</em>' : '<code>' + esc(change.before) + '</code>'}</td>`
+                            + `<td>${change.type === 'removed' ? '<em>missing</em>' : '<code>' + esc(change.after) + '</code>'}</td></tr>`;
+                    }).join('')
+                    + '</tbody></table>';
+            };
+
+            return `
+                <p>Previous run: ${esc(new Date(previous.time).toLocaleString())}</p>
+                <table class="widefat result-viewer-compare-summary">
+                    <tbody>
+                        <tr><th scope="row">Status</th><td>${this.renderStatus(beforeResponse)} &rarr; ${this.renderStatus(afterResponse)}</td></tr>
+                        <tr><th scope="row">Duration</th><td>${esc(beforeDuration)}ms &rarr; ${esc(afterDuration)}ms (${delta > 0 ? '+' : ''}${esc(delta)}ms)</td></tr>
+                    </tbody>
+                </table>
+                <h4>Body</h4>
+                ${renderChanges(bodyChanges)}
+                <h4>Headers</h4>
+                ${renderChanges(headerChanges)}
             `;
+        },
+
+        /**
+         * Flatten a value into a {path: JSON} map for diffing
+         */
+        flatten: function(value, prefix, result) {
+            const self = this;
+            result = result || {};
+            prefix = prefix || '';
+
+            const isObject = value !== null && typeof value === 'object';
+
+            // An empty top-level object (e.g. no headers) has nothing to compare
+            if (isObject && !Object.keys(value).length && prefix === '') {
+                return result;
+            }
+
+            if (isObject && Object.keys(value).length) {
+                const isArray = Array.isArray(value);
+                Object.keys(value).forEach(function(key) {
+                    const path = isArray ? prefix + '[' + key + ']' : (prefix ? prefix + '.' + key : key);
+                    self.flatten(value[key], path, result);
+                });
+            } else {
+                result[prefix] = JSON.stringify(value === undefined ? null : value);
+            }
+
+            return result;
+        },
+
+        diff: function(before, after) {
+            const changes = [];
+
+            Object.keys(before).forEach(function(path) {
+                if (!(path in after)) {
+                    changes.push({ type: 'removed', path: path, before: before[path] });
+                } else if (before[path] !== after[path]) {
+                    changes.push({ type: 'changed', path: path, before: before[path], after: after[path] });
+                }
+            });
+
+            Object.keys(after).forEach(function(path) {
+                if (!(path in before)) {
+                    changes.push({ type: 'added', path: path, after: after[path] });
+                }
+            });
+
+            return changes;
+        },
+
+        getPreviousRun: function(key) {
+            try {
+                return JSON.parse(window.sessionStorage.getItem(this.storagePrefix + key));
+            } catch (e) {
+                return null;
+            }
+        },
+
+        saveRun: function(key, data) {
+            try {
+                window.sessionStorage.setItem(this.storagePrefix + key, JSON.stringify({ time: Date.now(), data: data }));
+            } catch (e) {
+                // Storage full or unavailable; comparison is best effort
+            }
+        },
+
+        formatRequest: function(request) {
+            const encoding = request.body_type ? ` (${request.body_type})` : '';
+            let body = this.stringify(request.body);
+
+            // Multipart bodies are described part by part instead of dumping file bytes
+            if (request.body_type === 'multipart') {
+                body = (request.form || []).map(part => part.type === 'file'
+                    ? `${part.name}: @${part.filename} (${part.content_type}, ${this.formatBytes(part.size)})`
+                    : `${part.name}: ${part.value}`).join('\n');
+            }
+
+            return `URL: ${request.url}\nMethod: ${request.method}\n\nHeaders:\n${JSON.stringify(request.headers, null, 2)}\n\nBody${encoding}:\n${body}`;
+        },
+
+        stringify: function(value) {
+            return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        },
+
+        formatSize: function(body) {
+            return this.formatBytes(new Blob([typeof body === 'string' ? body : JSON.stringify(body)]).size);
+        },
+
+        formatBytes: function(bytes) {
+            return bytes < 1024 ? bytes + ' B' : (bytes / 1024).toFixed(1) + ' KB';
+        }
+    };
+
+    /**
+     * Endpoints list
+     *
+     * Runs the endpoints WP_List_Table over AJAX: instant search, filters,
+     * sorting and paging replace the rows in place, and bulk or row actions
+     * report a result on each row. Deletes can be undone for ten minutes.
+     * The current page refreshes every minute to keep request counts fresh.
+     */
+    wpCustomAPI.endpointsList = {
+        refreshInterval: 60000,
+        state: {},
+        requestId: 0,
+        timer: null,
+
+        init: function() {
+            this.$form = $('#endpoints-filter');
+            if (!this.$form.length) {
+                return;
+            }
+
+            this.state = this.readState();
+            this.bindEvents();
+            this.schedule();
+        },
+
+        bindEvents: function() {
+            const self = this;
+            const $form = this.$form;
+            let searchTimer = null;
+
+            $form.on('submit', function(e) {
+                e.preventDefault();
+                self.applyFilters();
+            });
+
+            $form.on('input', 'input[name="s"]', function() {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(function() {
+                    self.applyFilters();
+                }, 300);
+            });
+
+            $form.on('change', '.endpoints-filters select', function() {
+                self.applyFilters();
+            });
+
+            $form.on('click', '.wp-custom-api-page', function(e) {
+                e.preventDefault();
+                self.state.paged = $(this).data('page');
+                self.load();
+            });
+
+            $form.on('click', 'thead th.sortable a, thead th.sorted a', function(e) {
+                e.preventDefault();
+                self.sort($(this).closest('th'), new URL(this.href, window.location.href).searchParams);
+            });
+
+            $form.on('click', '#doaction, #doaction2', function(e) {
+                e.preventDefault();
+
+                const operation = $(this).siblings('select').val();
+                const ids = $form.find('#the-list input[name="endpoint[]"]:checked').map(function() {
+                    return parseInt(this.value, 10);
+                }).get();
+
+                if (operation === '-1') {
+                    return;
+                }
+
+                if (!ids.length) {
+                    wpCustomAPI.showNotice('warning', 'Select at least one endpoint.');
+                    return;
+                }
+
+                self.bulk(operation, ids, $(this));
+            });
+
+            $form.on('click', '.wp-custom-api-duplicate', function(e) {
+                e.preventDefault();
+                self.bulk('duplicate', [$(this).data('endpoint-id')]);
+            });
+
+            $form.on('click', '.wp-custom-api-endpoint-delete', function(e) {
+                e.preventDefault();
+                self.bulk('delete', [$(this).data('endpoint-id')]);
+            });
+
+            $(document).on('click', '.endpoints-undo', function(e) {
+                e.preventDefault();
+                self.undo($(this).data('token'), $(this).closest('.notice'));
+            });
+        },
+
+        /**
+         * Read the filters, sorting and page from the form and URL
+         */
+        readState: function() {
+            const params = new URL(window.location.href).searchParams;
+            const $form = this.$form;
+
+            return {
+                s: $form.find('input[name="s"]').val() || '',
+                method: $form.find('.endpoints-filters select[name="method"]').val() || '',
+                handler_type: $form.find('.endpoints-filters select[name="handler_type"]').val() || '',
+                status: $form.find('.endpoints-filters select[name="status"]').val() || '',
+                orderby: params.get('orderby') || '',
+                order: params.get('order') || '',
+                paged: parseInt(params.get('paged'), 10) || 1
+            };
+        },
+
+        applyFilters: function() {
+            const $form = this.$form;
+
+            $.extend(this.state, {
+                s: $form.find('input[name="s"]').val(),
+                method: $form.find('.endpoints-filters select[name="method"]').val(),
+                handler_type: $form.find('.endpoints-filters select[name="handler_type"]').val(),
+                status: $form.find('.endpoints-filters select[name="status"]').val(),
+                paged: 1
+            });
+            this.load();
+        },
+
+        /**
+         * Sort by a column, flipping the header the way WordPress renders it
+         */
+        sort: function($th, params) {
+            const order = params.get('order') === 'desc' ? 'desc' : 'asc';
+
+            $.extend(this.state, { orderby: params.get('orderby'), order: order, paged: 1 });
+
+            this.$form.find('thead th.sorted').removeClass('sorted asc desc').addClass('sortable asc');
+            $th.removeClass('sortable asc desc').addClass(`sorted ${order}`);
+            $th.find('a').attr('href', function() {
+                const url = new URL(this.href, window.location.href);
+                url.searchParams.set('order', order === 'asc' ? 'desc' : 'asc');
+                return url.toString();
+            });
+
+            this.load();
+        },
+
+        /**
+         * Load the current page of rows, keeping the selection
+         */
+        load: function() {
+            const self = this;
+            const requestId = ++this.requestId;
+            const checked = this.$form.find('#the-list input[name="endpoint[]"]:checked').map(function() {
+                return this.value;
+            }).get();
+
+            clearTimeout(this.timer);
+            this.$form.addClass('is-loading');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: $.extend({
+                    action: 'wp_custom_api_list_endpoints',
+                    nonce: wpCustomAPI.nonce
+                }, this.state),
+                success: function(response) {
+                    // A newer request has replaced this one
+                    if (requestId !== self.requestId || !response.success) {
+                        return;
+                    }
+
+                    self.state.paged = response.data.page;
+                    self.$form.find('#the-list').html(response.data.rows_html);
+                    self.$form.find('.tablenav-pages').html(wpCustomAPI.renderPagination(response.data));
+                    self.$form.find('#the-list input[name="endpoint[]"]').each(function() {
+                        this.checked = checked.indexOf(this.value) !== -1;
+                    });
+                    self.$form.find('thead .check-column input, tfoot .check-column input').prop('checked', false);
+                    self.updateUrl();
+                },
+                complete: function() {
+                    if (requestId === self.requestId) {
+                        self.$form.removeClass('is-loading');
+                        self.schedule();
+                    }
+                }
+            });
+        },
+
+        /**
+         * Refresh the rows every minute while the page is visible
+         */
+        schedule: function() {
+            const self = this;
+
+            clearTimeout(this.timer);
+            this.timer = setTimeout(function() {
+                if (document.hidden) {
+                    self.schedule();
+                } else {
+                    self.load();
+                }
+            }, this.refreshInterval);
+        },
+
+        /**
+         * Keep the URL in step so a reload shows the same list
+         */
+        updateUrl: function() {
+            const url = new URL(window.location.href);
+
+            $.each(this.state, function(key, value) {
+                if (value === '' || value === null || (key === 'paged' && value === 1)) {
+                    url.searchParams.delete(key);
+                } else {
+                    url.searchParams.set(key, value);
+                }
+            });
+            url.searchParams.delete('message');
+
+            window.history.replaceState(null, '', url.toString());
+        },
+
+        /**
+         * Run a bulk or row action
+         */
+        bulk: function(operation, ids, $button) {
+            const self = this;
+            $button = $button || $();
+
+            $button.prop('disabled', true);
+            this.rows(ids).addClass('is-updating');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_bulk_endpoints',
+                    nonce: wpCustomAPI.nonce,
+                    operation: operation,
+                    ids: ids
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || wpCustomAPI.i18n.error));
+                        return;
+                    }
+
+                    self.applyResults(response.data);
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error));
+                },
+                complete: function() {
+                    $button.prop('disabled', false);
+                    self.rows(ids).removeClass('is-updating');
+                }
+            });
+        },
+
+        /**
+         * Update each row with its result
+         */
+        applyResults: function(data) {
+            const self = this;
+
+            $.each(data.results, function(index, result) {
+                let $row = self.rows([result.id]);
+
+                if (result.ok && data.operation === 'delete') {
+                    $row.fadeOut(300, function() {
+                        $(this).remove();
+                    });
+                    return;
+                }
+
+                if (data.rows[result.id]) {
+                    $row = $(data.rows[result.id]).replaceAll($row);
+                }
+
+                if (result.new_id && data.rows[result.new_id]) {
+                    $(data.rows[result.new_id]).insertAfter($row).addClass('is-new');
+                }
+
+                self.markRow($row, result);
+            });
+
+            this.$form.find('.check-column input').prop('checked', false);
+
+            if (data.undo_token) {
+                this.showUndo(data.message, data.undo_token);
+            } else {
+                wpCustomAPI.showNotice(data.results.every(result => result.ok) ? 'success' : 'warning', wpCustomAPI.escapeHtml(data.message));
+            }
+        },
+
+        /**
+         * Show a result under a row's name
+         */
+        markRow: function($row, result) {
+            $row.find('.endpoint-row-result').remove();
+            $row.find('td.column-name').append(
+                `<div class="endpoint-row-result ${result.ok ? 'is-success' : 'is-error'}">${wpCustomAPI.escapeHtml(result.message)}</div>`
+            );
+        },
+
+        /**
+         * Offer to undo a delete until dismissed
+         */
+        showUndo: function(message, token) {
+            $('.endpoints-undo-notice').remove();
+
+            $(`
+                <div class="notice notice-success endpoints-undo-notice">
+                    <p>${wpCustomAPI.escapeHtml(message)}. <a href="#" class="endpoints-undo" data-token="${wpCustomAPI.escapeHtml(token)}">Undo</a></p>
+                </div>
+            `).insertAfter('.wrap h1');
+        },
+
+        /**
+         * Restore deleted endpoints and reload the page of rows
+         */
+        undo: function(token, $notice) {
+            const self = this;
+
+            $notice.find('.endpoints-undo').replaceWith('<span class="wp-custom-api-loading"></span>');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_undo_delete_endpoints',
+                    nonce: wpCustomAPI.nonce,
+                    token: token
+                },
+                success: function(response) {
+                    $notice.remove();
+
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || wpCustomAPI.i18n.error));
+                        return;
+                    }
+
+                    const failed = response.data.results.filter(result => !result.ok).map(result => `#${result.id}: ${result.message}`);
+                    wpCustomAPI.showNotice(failed.length ? 'warning' : 'success', wpCustomAPI.escapeHtml(
+                        response.data.message + (failed.length ? ` (${failed.join('; ')})` : '')
+                    ));
+                    self.load();
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    $notice.remove();
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error));
+                }
+            });
+        },
+
+        rows: function(ids) {
+            return this.$form.find('#the-list tr').filter(function() {
+                return ids.indexOf(parseInt($(this).data('endpoint-id'), 10)) !== -1;
+            });
+        }
+    };
+
+    /**
+     * Field mapping utilities
+     *
+     * Visual editor for ETL field mappings. Reads and writes the same structure
+     * ETL_Engine::transform consumes:
+     *   { "target": "source.path" }
+     *   { "target": { "source": "source.path", "transformations": [...], "default": "" } }
+     */
+    wpCustomAPI.fieldMapper = {
+        /**
+         * Transformations supported by ETL_Engine::apply_single_transformation
+         */
+        transformations: {
+            uppercase: { label: 'Uppercase', params: [] },
+            lowercase: { label: 'Lowercase', params: [] },
+            trim: { label: 'Trim', params: [] },
+            int: { label: 'Integer', params: [] },
+            float: { label: 'Float', params: [] },
+            string: { label: 'String', params: [] },
+            bool: { label: 'Boolean', params: [] },
+            json_encode: { label: 'JSON Encode', params: [] },
+            json_decode: { label: 'JSON Decode', params: [] },
+            date: { label: 'Date', params: [
+                { key: 'input_format', label: 'Input format', placeholder: 'd/m/Y (optional)' },
+                { key: 'output_format', label: 'Output format', placeholder: 'Y-m-d H:i:s or timestamp' }
+            ] },
+            replace: { label: 'Replace', params: [
+                { key: 'search', label: 'Search' },
+                { key: 'replace', label: 'Replace with' }
+            ] },
+            regex_replace: { label: 'Regex Replace', params: [
+                { key: 'pattern', label: 'Pattern', placeholder: '/[^0-9]/' },
+                { key: 'replacement', label: 'Replacement' }
+            ] },
+            substr: { label: 'Substring', params: [
+                { key: 'start', label: 'Start', type: 'number' },
+                { key: 'length', label: 'Length', type: 'number' }
+            ] },
+            concat: { label: 'Prefix / Suffix', params: [
+                { key: 'prefix', label: 'Prefix' },
+                { key: 'suffix', label: 'Suffix' }
+            ] },
+            split: { label: 'Split', params: [
+                { key: 'delimiter', label: 'Delimiter', placeholder: ',' }
+            ] },
+            join: { label: 'Join', params: [
+                { key: 'delimiter', label: 'Delimiter', placeholder: ',' }
+            ] },
+            map: { label: 'Map Values', params: [
+                { key: 'values', label: 'Values', type: 'keyvalue', placeholder: 'paid: completed\npending: on-hold' },
+                { key: 'default', label: 'Fallback' }
+            ] },
+            multiply: { label: 'Multiply', params: [
+                { key: 'factor', label: 'Factor', type: 'number' }
+            ] },
+            divide: { label: 'Divide', params: [
+                { key: 'divisor', label: 'Divisor', type: 'number' }
+            ] },
+            round: { label: 'Round', params: [
+                { key: 'precision', label: 'Precision', type: 'number' }
+            ] },
+            hash: { label: 'Hash', params: [
+                { key: 'algorithm', label: 'Algorithm', type: 'select', options: ['sha256', 'sha1', 'sha512', 'md5'] }
+            ] },
+            base64_encode: { label: 'Base64 Encode', params: [] },
+            base64_decode: { label: 'Base64 Decode', params: [] },
+            url_encode: { label: 'URL Encode', params: [] },
+            url_decode: { label: 'URL Decode', params: [] },
+            html_encode: { label: 'HTML Encode', params: [] },
+            html_decode: { label: 'HTML Decode', params: [] },
+            strip_tags: { label: 'Strip Tags', params: [] }
+        },
+
+        init: function() {
+            $('.wp-custom-api-field-mapper').each(function() {
+                wpCustomAPI.fieldMapper.create($(this));
+            });
+        },
+
+        /**
+         * Build a mapper inside a container
+         *
+         * The container's data-mappings-input attribute points at the field
+         * holding the mappings JSON; data-sample-input optionally points at a
+         * textarea holding a sample payload.
+         */
+        create: function($mapper) {
+            if ($mapper.data('fieldMapper')) {
+                return $mapper.data('fieldMapper');
+            }
+
+            const state = {
+                $input: $($mapper.data('mappings-input')),
+                sources: [],
+                targets: [],
+                mappings: [],
+                expanded: {},
+                selectedSource: null
+            };
+
+            $mapper.data('fieldMapper', state);
+            $mapper.html(`
+                <div class="field-mapper-sample">
+                    <label>Sample Payload</label>
+                    <textarea rows="6" class="large-text code field-mapper-sample-input" placeholder='{"order": {"id": 42, "email": "jane@example.com"}}'></textarea>
+                    <button type="button" class="button field-mapper-load-sample">Load Source Fields</button>
+                </div>
+                <div class="field-mapper-board">
+                    <div class="field-mapper-source">
+                        <h4>Source Fields</h4>
+                        <ul class="field-list"></ul>
+                        <div class="field-mapper-add">
+                            <input type="text" class="field-mapper-new-source" placeholder="custom.path[0].field" />
+                            <button type="button" class="button field-mapper-add-source">Add</button>
+                        </div>
+                    </div>
+                    <svg class="field-mapper-canvas"></svg>
+                    <div class="field-mapper-target">
+                        <h4>Target Fields</h4>
+                        <ul class="field-list"></ul>
+                        <div class="field-mapper-add">
+                            <input type="text" class="field-mapper-new-target" placeholder="target_field" />
+                            <button type="button" class="button field-mapper-add-target">Add</button>
+                        </div>
+                    </div>
+                </div>
+                <div class="field-mapper-mappings">
+                    <h4>Mappings</h4>
+                    <ol class="field-mapper-list"></ol>
+                </div>
+            `);
+
+            const $sample = $($mapper.data('sample-input'));
+            if ($sample.length) {
+                $mapper.find('.field-mapper-sample').hide();
+            }
+
+            this.bindEvents($mapper);
+
+            let saved = {};
+            try {
+                saved = JSON.parse(state.$input.val() || '{}') || {};
+            } catch (e) {
+                saved = {};
+            }
+            this.setMappings($mapper, saved);
+
+            if ($sample.length && $sample.val()) {
+                this.loadSample($mapper, $sample.val());
+            }
+
+            return state;
+        },
+
+        bindEvents: function($mapper) {
+            const self = this;
+            const state = $mapper.data('fieldMapper');
+
+            $mapper.on('click', '.field-mapper-load-sample', function() {
+                self.loadSample($mapper, $mapper.find('.field-mapper-sample-input').val());
+            });
+
+            $mapper.on('click', '.field-mapper-add-source', function() {
+                const path = $.trim($mapper.find('.field-mapper-new-source').val());
+                if (path) {
+                    self.addSource(state, { path: path, type: '' });
+                    $mapper.find('.field-mapper-new-source').val('');
+                    self.render($mapper);
+                }
+            });
+
+            $mapper.on('click', '.field-mapper-add-target', function() {
+                const name = $.trim($mapper.find('.field-mapper-new-target').val());
+                if (name && state.targets.indexOf(name) === -1) {
+                    state.targets.push(name);
+                    $mapper.find('.field-mapper-new-target').val('');
+                    self.render($mapper);
+                }
+            });
+
+            // Click-to-map fallback: pick a source, then a target
+            $mapper.on('click', '.field-mapper-source .field-item', function() {
+                const path = $(this).attr('data-field');
+                state.selectedSource = state.selectedSource === path ? null : path;
+                self.render($mapper);
+            });
+
+            $mapper.on('click', '.field-mapper-target .field-item', function() {
+                if (state.selectedSource !== null) {
+                    self.createMapping($mapper, state.selectedSource, $(this).attr('data-field'));
+                }
+            });
+
+            $mapper.on('click', '.field-mapper-remove-target', function(e) {
+                e.stopPropagation();
+                const target = $(this).closest('.field-item').attr('data-field');
+                state.targets = state.targets.filter(name => name !== target);
+                self.removeMapping($mapper, target);
+            });
+
+            $mapper.on('click', '.field-mapper-remove', function() {
+                self.removeMapping($mapper, $(this).closest('li').attr('data-target'));
+            });
+
+            $mapper.on('click', '.field-mapper-toggle', function() {
+                const target = $(this).closest('li').attr('data-target');
+                state.expanded[target] = !state.expanded[target];
+                self.render($mapper);
+            });
+
+            $mapper.on('click', '.field-mapper-add-transform', function() {
+                const mapping = self.findMapping(state, $(this).closest('li').attr('data-target'));
+                mapping.transformations.push({ type: $(this).siblings('.field-mapper-transform-type').val() });
+                self.render($mapper);
+            });
+
+            $mapper.on('click', '.field-mapper-remove-transform', function() {
+                const mapping = self.findMapping(state, $(this).closest('li').attr('data-target'));
+                mapping.transformations.splice($(this).closest('.field-mapper-transform').index(), 1);
+                self.render($mapper);
+            });
+
+            $mapper.on('change', '.field-mapper-transform [data-param]', function() {
+                const $transform = $(this).closest('.field-mapper-transform');
+                const mapping = self.findMapping(state, $(this).closest('li').attr('data-target'));
+                const transformation = mapping.transformations[$transform.index()];
+                transformation[$(this).data('param')] = self.readParam($(this));
+                self.sync($mapper);
+            });
+
+            $mapper.on('change', '.field-mapper-default', function() {
+                const mapping = self.findMapping(state, $(this).closest('li').attr('data-target'));
+                const value = $(this).val();
+                mapping.default = value === '' ? undefined : value;
+                self.sync($mapper);
+            });
+
+            $mapper.on('click', '.field-mapper-move', function() {
+                const target = $(this).closest('li').attr('data-target');
+                const index = state.mappings.findIndex(mapping => mapping.target === target);
+                const swap = index + ($(this).data('direction') === 'up' ? -1 : 1);
+
+                if (swap >= 0 && swap < state.mappings.length) {
+                    const moved = state.mappings.splice(index, 1)[0];
+                    state.mappings.splice(swap, 0, moved);
+                    self.render($mapper);
+                }
+            });
+
+            const $sample = $($mapper.data('sample-input'));
+            if ($sample.length) {
+                $sample.on('change', function() {
+                    self.loadSample($mapper, $(this).val());
+                });
+            }
+
+            $(window).on('resize', function() {
+                self.drawConnections($mapper);
+            });
+        },
+
+        /**
+         * Make source items draggable and targets droppable
+         */
+        initDragDrop: function($mapper) {
+            const self = this;
+            const $sourceFields = $mapper.find('.field-mapper-source .field-item');
+            const $targetFields = $mapper.find('.field-mapper-target .field-item, .field-mapper-target .field-mapper-add');
+
+            if (typeof $.fn.draggable !== 'function' || typeof $.fn.droppable !== 'function') {
+                return;
+            }
+
+            $sourceFields.draggable({
+                helper: 'clone',
+                revert: 'invalid',
+                cursor: 'move',
+                appendTo: $mapper
+            });
+
+            $targetFields.droppable({
+                accept: '.field-mapper-source .field-item',
+                hoverClass: 'field-drop-hover',
+                drop: function(event, ui) {
+                    const sourceField = ui.draggable.attr('data-field');
+                    let targetField = $(this).attr('data-field');
+
+                    // Dropping on the "add" row creates a target named after the source leaf
+                    if (targetField === undefined) {
+                        targetField = $.trim($(this).find('input').val()) || self.leafName(sourceField);
+                        $(this).find('input').val('');
+                    }
+
+                    self.createMapping($mapper, sourceField, targetField);
+                }
+            });
+
+            if (typeof $.fn.sortable === 'function') {
+                $mapper.find('.field-mapper-list').sortable({
+                    handle: '.field-mapper-handle',
+                    axis: 'y',
+                    update: function() {
+                        const state = $mapper.data('fieldMapper');
+                        const order = $(this).children('li').map(function() {
+                            return $(this).attr('data-target');
+                        }).get();
+
+                        state.mappings.sort((a, b) => order.indexOf(a.target) - order.indexOf(b.target));
+                        self.render($mapper);
+                    }
+                });
+
+                $mapper.find('.field-mapper-transforms').sortable({
+                    axis: 'y',
+                    update: function() {
+                        const state = $mapper.data('fieldMapper');
+                        const mapping = self.findMapping(state, $(this).closest('li').attr('data-target'));
+                        const order = $(this).children('.field-mapper-transform').map(function() {
+                            return $(this).data('index');
+                        }).get();
+
+                        mapping.transformations = order.map(index => mapping.transformations[index]);
+                        self.render($mapper);
+                    }
+                });
+            }
+        },
+
+        /**
+         * Map a source path onto a target field, replacing any existing source
+         */
+        createMapping: function($mapper, sourceField, targetField) {
+            const state = $mapper.data('fieldMapper');
+            const existing = this.findMapping(state, targetField);
+
+            if (existing) {
+                existing.source = sourceField;
+            } else {
+                state.mappings.push({ target: targetField, source: sourceField, transformations: [] });
+            }
+
+            if (state.targets.indexOf(targetField) === -1) {
+                state.targets.push(targetField);
+            }
+
+            state.selectedSource = null;
+            this.render($mapper);
+        },
+
+        removeMapping: function($mapper, targetField) {
+            const state = $mapper.data('fieldMapper');
+            state.mappings = state.mappings.filter(mapping => mapping.target !== targetField);
+            delete state.expanded[targetField];
+            this.render($mapper);
+        },
+
+        findMapping: function(state, targetField) {
+            return state.mappings.find(mapping => mapping.target === targetField);
+        },
+
+        /**
+         * Replace the mapper contents with a mappings object
+         */
+        setMappings: function($mapper, mappings) {
+            const self = this;
+            const state = $mapper.data('fieldMapper');
+
+            state.mappings = [];
+            state.targets = [];
+
+            $.each(mappings || {}, function(target, mapping) {
+                const normalized = typeof mapping === 'string'
+                    ? { source: mapping, transformations: [] }
+                    : {
+                        source: mapping.source !== undefined ? mapping.source : target,
+                        transformations: (mapping.transformations || []).map(function(transformation) {
+                            return typeof transformation === 'string' ? { type: transformation } : $.extend({}, transformation);
+                        }),
+                        default: mapping.default
+                    };
+
+                normalized.target = target;
+                state.mappings.push(normalized);
+                state.targets.push(target);
+                self.addSource(state, { path: normalized.source, type: '' });
+            });
+
+            this.render($mapper);
+        },
+
+        /**
+         * Serialize the mapper into the ETL field_mappings structure
+         */
+        getMappings: function($mapper) {
+            const state = $mapper.data('fieldMapper');
+            const mappings = {};
+
+            state.mappings.forEach(function(mapping) {
+                if (!mapping.transformations.length && mapping.default === undefined) {
+                    mappings[mapping.target] = mapping.source;
+                    return;
+                }
+
+                const entry = { source: mapping.source };
+
+                if (mapping.transformations.length) {
+                    entry.transformations = mapping.transformations.map(function(transformation) {
+                        const params = Object.keys(transformation).filter(key => key !== 'type');
+                        return params.length ? transformation : transformation.type;
+                    });
+                }
+
+                if (mapping.default !== undefined) {
+                    entry.default = mapping.default;
+                }
+
+                mappings[mapping.target] = entry;
+            });
+
+            return mappings;
+        },
+
+        /**
+         * Load source fields from a JSON sample payload
+         */
+        loadSample: function($mapper, json) {
+            const self = this;
+            const state = $mapper.data('fieldMapper');
+            let sample;
+
+            try {
+                sample = JSON.parse(json);
+            } catch (e) {
+                wpCustomAPI.showNotice('error', 'Sample payload is not valid JSON');
+                return;
+            }
+
+            this.extractPaths(sample).forEach(function(source) {
+                self.addSource(state, source);
+            });
+
+            this.render($mapper);
+        },
+
+        /**
+         * Flatten a payload into dot/index paths understood by ETL_Engine::get_nested_value
+         */
+        extractPaths: function(data, prefix) {
+            const self = this;
+            let paths = [];
+
+            if (data === null || typeof data !== 'object') {
+                return paths;
+            }
+
+            const describe = function(path, value) {
+                const type = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+                return { path: path, type: type, sample: type === 'object' || type === 'array' ? '' : String(value) };
+            };
+
+            $.each(data, function(key, value) {
+                const path = prefix ? prefix + '.' + key : String(key);
+                paths.push(describe(path, value));
+
+                if (Array.isArray(value)) {
+                    // Index notation attaches to the segment (items[0]), one index per segment
+                    if (value.length && !Array.isArray(value[0])) {
+                        paths.push(describe(path + '[0]', value[0]));
+
+                        if (value[0] !== null && typeof value[0] === 'object') {
+                            paths = paths.concat(self.extractPaths(value[0], path + '[0]'));
+                        }
+                    }
+                } else if (value !== null && typeof value === 'object') {
+                    paths = paths.concat(self.extractPaths(value, path));
+                }
+            });
+
+            return paths;
+        },
+
+        addSource: function(state, source) {
+            const existing = state.sources.find(item => item.path === source.path);
+
+            if (existing) {
+                existing.type = source.type || existing.type;
+                existing.sample = source.sample !== undefined ? source.sample : existing.sample;
+            } else {
+                state.sources.push(source);
+            }
+        },
+
+        leafName: function(path) {
+            return String(path).split('.').pop().replace(/\[\d+\]$/, '');
+        },
+
+        /**
+         * Re-render lists, mapping rows and connections
+         */
+        render: function($mapper) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const state = $mapper.data('fieldMapper');
+            const mappedSources = state.mappings.map(mapping => mapping.source);
+
+            $mapper.find('.field-mapper-source .field-list').html(state.sources.map(function(source) {
+                const classes = ['field-item'];
+                if (mappedSources.indexOf(source.path) !== -1) classes.push('is-mapped');
+                if (state.selectedSource === source.path) classes.push('is-selected');
+
+                const title = source.sample ? ` title="${esc(source.sample)}"` : '';
+                const type = source.type ? `<span class="field-type">${esc(source.type)}</span>` : '';
+
+                return `<li class="${classes.join(' ')}" data-field="${esc(source.path)}"${title}><code>${esc(source.path)}</code>${type}</li>`;
+            }).join(''));
+
+            $mapper.find('.field-mapper-target .field-list').html(state.targets.map(function(target) {
+                const mapped = self.findMapping(state, target) ? ' is-mapped' : '';
+                return `<li class="field-item${mapped}" data-field="${esc(target)}"><code>${esc(target)}</code><button type="button" class="button-link field-mapper-remove-target" title="Remove target">&times;</button></li>`;
+            }).join(''));
+
+            $mapper.find('.field-mapper-list').html(state.mappings.length
+                ? state.mappings.map(mapping => self.renderMappingRow(state, mapping)).join('')
+                : '<li class="field-mapper-empty">Drag a source field onto a target field to create a mapping.</li>');
+
+            this.initDragDrop($mapper);
+            this.sync($mapper);
+            this.drawConnections($mapper);
+        },
+
+        renderMappingRow: function(state, mapping) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const count = mapping.transformations.length;
+            const chips = mapping.transformations.map(function(transformation) {
+                const definition = self.transformations[transformation.type];
+                return `<span class="field-mapper-chip">${esc(definition ? definition.label : transformation.type)}</span>`;
+            }).join('');
+
+            let editor = '';
+            if (state.expanded[mapping.target]) {
+                const typeOptions = Object.keys(this.transformations).map(function(type) {
+                    return `<option value="${type}">${esc(self.transformations[type].label)}</option>`;
+                }).join('');
+
+                editor = `
+                    <div class="field-mapper-editor">
+                        <div class="field-mapper-transforms">
+                            ${mapping.transformations.map((transformation, index) => self.renderTransformation(transformation, index)).join('')}
+                        </div>
+                        <div class="field-mapper-editor-actions">
+                            <select class="field-mapper-transform-type">${typeOptions}</select>
+                            <button type="button" class="button field-mapper-add-transform">Add Transformation</button>
+                            <label>Default <input type="text" class="field-mapper-default" value="${esc(mapping.default === undefined ? '' : mapping.default)}" placeholder="Used when the value is empty" /></label>
+                        </div>
+                    </div>
+                `;
+            }
+
+            return `
+                <li data-target="${esc(mapping.target)}">
+                    <div class="field-mapper-arrow">
+                        <span class="field-mapper-handle dashicons dashicons-menu" title="Drag to reorder"></span>
+                        <code>${esc(mapping.source)}</code>
+                        <span class="dashicons dashicons-arrow-right-alt"></span>
+                        <code>${esc(mapping.target)}</code>
+                        ${chips}
+                        <span class="field-mapper-row-actions">
+                            <button type="button" class="button-link field-mapper-move" data-direction="up" title="Move up">&uarr;</button>
+                            <button type="button" class="button-link field-mapper-move" data-direction="down" title="Move down">&darr;</button>
+                            <button type="button" class="button button-small field-mapper-toggle">Transform${count ? ' (' + count + ')' : ''}</button>
+                            <button type="button" class="button-link field-mapper-remove" style="color: #b32d2e;">Remove</button>
+                        </span>
+                    </div>
+                    ${editor}
+                </li>
+            `;
+        },
+
+        renderTransformation: function(transformation, index) {
+            const esc = wpCustomAPI.escapeHtml;
+            const definition = this.transformations[transformation.type] || { label: transformation.type, params: [] };
+
+            const params = definition.params.map(function(param) {
+                const value = transformation[param.key];
+                const placeholder = param.placeholder ? ` placeholder="${esc(param.placeholder)}"` : '';
+                let input;
+
+                if (param.type === 'select') {
+                    input = `<select data-param="${param.key}">` + param.options.map(function(option) {
+                        return `<option value="${option}"${option === value ? ' selected' : ''}>${option}</option>`;
+                    }).join('') + '</select>';
+                } else if (param.type === 'keyvalue') {
+                    const lines = value && typeof value === 'object'
+                        ? Object.keys(value).map(key => `${key}: ${value[key]}`).join('\n')
+                        : '';
+                    input = `<textarea rows="3" class="code" data-param="${param.key}" data-type="keyvalue"${placeholder}>${esc(lines)}</textarea>`;
+                } else {
+                    const type = param.type === 'number' ? 'number' : 'text';
+                    input = `<input type="${type}" data-param="${param.key}" data-type="${type}" value="${esc(value === undefined ? '' : value)}"${placeholder} />`;
+                }
+
+                return `<label>${esc(param.label)} ${input}</label>`;
+            }).join('');
+
+            return `
+                <div class="field-mapper-transform" data-index="${index}">
+                    <strong>${esc(definition.label)}</strong>
+                    ${params}
+                    <button type="button" class="button-link field-mapper-remove-transform" style="color: #b32d2e;">Remove</button>
+                </div>
+            `;
+        },
+
+        readParam: function($input) {
+            const raw = $input.val();
+
+            if ($input.data('type') === 'number') {
+                return raw === '' ? undefined : Number(raw);
+            }
+
+            if ($input.data('type') === 'keyvalue') {
+                const values = {};
+                raw.split('\n').forEach(function(line) {
+                    const index = line.indexOf(':');
+                    if (index > 0) {
+                        values[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+                    }
+                });
+                return values;
+            }
+
+            return raw === '' ? undefined : raw;
+        },
+
+        /**
+         * Write the mappings JSON back to the bound input
+         */
+        sync: function($mapper) {
+            const state = $mapper.data('fieldMapper');
+
+            // Drop params cleared back to empty
+            state.mappings.forEach(function(mapping) {
+                mapping.transformations.forEach(function(transformation) {
+                    Object.keys(transformation).forEach(function(key) {
+                        if (transformation[key] === undefined) {
+                            delete transformation[key];
+                        }
+                    });
+                });
+            });
+
+            const mappings = this.getMappings($mapper);
+
+            if (state.$input.length) {
+                state.$input.val(JSON.stringify(mappings)).trigger('change');
+            }
+
+            $mapper.trigger('wpCustomAPIMappingsChange', [mappings]);
+        },
+
+        /**
+         * Draw a curve from each mapped source to its target
+         */
+        drawConnections: function($mapper) {
+            const state = $mapper.data('fieldMapper');
+            const svg = $mapper.find('.field-mapper-canvas')[0];
+
+            if (!svg || !svg.getBoundingClientRect) {
+                return;
+            }
+
+            const box = svg.getBoundingClientRect();
+            const width = box.width;
+            let paths = '';
+
+            const center = function($item) {
+                const rect = $item[0].getBoundingClientRect();
+                return rect.top - box.top + rect.height / 2;
+            };
+
+            state.mappings.forEach(function(mapping) {
+                const $source = $mapper.find('.field-mapper-source .field-item').filter(function() {
+                    return $(this).attr('data-field') === mapping.source;
+                });
+                const $target = $mapper.find('.field-mapper-target .field-item').filter(function() {
+                    return $(this).attr('data-field') === mapping.target;
+                });
+
+                if (!$source.length || !$target.length) {
+                    return;
+                }
+
+                const y1 = center($source);
+                const y2 = center($target);
+                const cls = mapping.transformations.length ? 'connection has-transform' : 'connection';
+
+                paths += `<path class="${cls}" d="M0,${y1} C${width / 2},${y1} ${width / 2},${y2} ${width},${y2}" />`;
+            });
+
+            svg.innerHTML = paths;
+        }
+    };
+
+    /**
+     * Query builder utilities
+     *
+     * Builds ETL extract filters. Saves either the flat list the engine has
+     * always accepted ([{field, operator, value}], all must match) or, once
+     * OR logic or nesting is used, a group:
+     *   { "logic": "or", "conditions": [ {field, operator, value}, { "logic": "and", "conditions": [...] } ] }
+     */
+    wpCustomAPI.queryBuilder = {
+        /**
+         * Operators supported by ETL_Engine::apply_filters
+         */
+        operators: {
+            equals: { label: 'Equals', value: 'typed' },
+            not_equals: { label: 'Not Equals', value: 'typed' },
+            contains: { label: 'Contains', value: 'string' },
+            not_contains: { label: 'Does Not Contain', value: 'string' },
+            gt: { label: 'Greater Than', value: 'number' },
+            gte: { label: 'Greater Than or Equal', value: 'number' },
+            lt: { label: 'Less Than', value: 'number' },
+            lte: { label: 'Less Than or Equal', value: 'number' },
+            in: { label: 'In List', value: 'list' },
+            not_in: { label: 'Not In List', value: 'list' },
+            regex: { label: 'Matches Regex', value: 'regex' },
+            empty: { label: 'Is Empty', value: 'none' },
+            not_empty: { label: 'Is Not Empty', value: 'none' }
+        },
+
+        /**
+         * Legacy operator aliases the engine also accepts
+         */
+        aliases: {
+            greater_than: 'gt',
+            less_than: 'lt'
+        },
+
+        init: function() {
+            $('.wp-custom-api-query-builder').each(function() {
+                const $builder = $(this);
+                wpCustomAPI.queryBuilder.initBuilder($builder);
+            });
+        },
+
+        /**
+         * Set up a builder bound to the input named by data-filters-input
+         *
+         * Field suggestions come from data-fields (JSON array of paths) and
+         * data-source-schema (JSON Schema of the template's source endpoint).
+         */
+        initBuilder: function($builder) {
+            if ($builder.data('queryBuilder')) {
+                return $builder.data('queryBuilder');
+            }
+
+            const state = {
+                $input: $($builder.data('filters-input')),
+                root: { logic: 'and', conditions: [] },
+                fields: [],
+                listId: 'wp-custom-api-qb-fields-' + Math.random().toString(36).slice(2, 10)
+            };
+
+            $builder.data('queryBuilder', state);
+            $builder.html(`<datalist id="${state.listId}"></datalist><div class="query-builder-root"></div>`);
+
+            this.setFields($builder, $builder.data('fields') || []);
+
+            const schema = $builder.data('source-schema');
+            if (schema) {
+                this.setSchema($builder, schema);
+            }
+
+            this.bindEvents($builder);
+
+            let saved = [];
+            try {
+                saved = JSON.parse(state.$input.val() || '[]');
+            } catch (e) {
+                wpCustomAPI.showNotice('error', 'Saved filters are not valid JSON and were not loaded');
+            }
+            this.setFilters($builder, saved);
+
+            return state;
+        },
+
+        bindEvents: function($builder) {
+            const self = this;
+            const state = $builder.data('queryBuilder');
+
+            const locate = function($el) {
+                return self.getNode(state.root, String($el.closest('[data-path]').data('path')));
+            };
+
+            $builder.on('click', '.add-condition', function(e) {
+                e.preventDefault();
+                locate($(this)).conditions.push({ field: '', operator: 'equals', value: '', valueType: 'string' });
+                self.render($builder);
+            });
+
+            $builder.on('click', '.add-group', function(e) {
+                e.preventDefault();
+                locate($(this)).conditions.push({
+                    logic: 'or',
+                    conditions: [{ field: '', operator: 'equals', value: '', valueType: 'string' }]
+                });
+                self.render($builder);
+            });
+
+            $builder.on('click', '.remove-condition, .remove-group', function(e) {
+                e.preventDefault();
+                const path = String($(this).closest('[data-path]').data('path')).split('.');
+                const index = parseInt(path.pop(), 10);
+                self.getNode(state.root, path.join('.')).conditions.splice(index, 1);
+                self.render($builder);
+            });
+
+            $builder.on('change', '.query-group-logic', function() {
+                locate($(this)).logic = $(this).val();
+                self.render($builder);
+            });
+
+            $builder.on('change', '.query-condition-field', function() {
+                locate($(this)).field = $.trim($(this).val());
+                self.sync($builder);
+            });
+
+            $builder.on('change', '.query-condition-operator', function() {
+                const condition = locate($(this));
+                condition.operator = $(this).val();
+                condition.value = self.coerceValue(condition, condition.value);
+                self.render($builder);
+            });
+
+            $builder.on('change', '.query-condition-type', function() {
+                const condition = locate($(this));
+                condition.valueType = $(this).val();
+                condition.value = self.coerceValue(condition, condition.value);
+                self.render($builder);
+            });
+
+            // Update in place so tabbing to the next input keeps focus
+            $builder.on('change', '.query-condition-value', function() {
+                const $condition = $(this).closest('.query-condition');
+                const condition = locate($(this));
+                const warning = self.lintCondition($.extend(condition, { value: self.parseValue(condition, $(this).val()) }));
+
+                $condition.find('.query-condition-warning').remove();
+                if (warning) {
+                    $condition.append($('<span class="query-condition-warning"></span>').text(warning));
+                }
+
+                self.sync($builder);
+            });
+        },
+
+        /**
+         * Resolve a dotted index path ("" for root, "1.0" for nested) to a node
+         */
+        getNode: function(root, path) {
+            let node = root;
+
+            if (path === '' || path === 'undefined') {
+                return node;
+            }
+
+            path.split('.').forEach(function(index) {
+                node = node.conditions[parseInt(index, 10)];
+            });
+
+            return node;
+        },
+
+        /**
+         * Load filters in either the flat or grouped format
+         */
+        setFilters: function($builder, filters) {
+            const self = this;
+            const state = $builder.data('queryBuilder');
+
+            const normalize = function(node) {
+                if (Array.isArray(node)) {
+                    node = { logic: 'and', conditions: node };
+                }
+
+                return {
+                    logic: String(node.logic || 'and').toLowerCase() === 'or' ? 'or' : 'and',
+                    conditions: (node.conditions || []).filter(item => item && typeof item === 'object').map(function(item) {
+                        if (Array.isArray(item.conditions)) {
+                            return normalize(item);
+                        }
+
+                        const operator = self.aliases[item.operator] || item.operator || 'equals';
+                        const condition = { field: item.field || '', operator: operator, value: item.value };
+
+                        condition.valueType = self.inferType(item.value);
+                        if (!self.operators[operator]) {
+                            // Unknown operator from a custom build: keep it as-is
+                            condition.custom = true;
+                        }
+
+                        return condition;
+                    })
+                };
+            };
+
+            state.root = normalize(filters && typeof filters === 'object' ? filters : []);
+            this.render($builder);
+        },
+
+        /**
+         * Serialize to the structure ETL_Engine::apply_filters consumes
+         *
+         * A root AND group without nesting is saved as the original flat list.
+         */
+        getFilters: function($builder) {
+            const self = this;
+            const state = $builder.data('queryBuilder');
+
+            const serialize = function(node) {
+                return {
+                    logic: node.logic,
+                    conditions: node.conditions.map(function(item) {
+                        if (item.conditions) {
+                            return serialize(item);
+                        }
+
+                        const condition = { field: item.field, operator: item.operator };
+                        const definition = self.operators[item.operator];
+
+                        if (item.custom || (definition && definition.value !== 'none')) {
+                            if (item.value !== undefined) {
+                                condition.value = item.value;
+                            }
+                        }
+
+                        return condition;
+                    }).filter(item => item.conditions ? item.conditions.length : item.field !== '')
+                };
+            };
+
+            const root = serialize(state.root);
+            const nested = root.conditions.some(item => item.conditions);
+
+            return root.logic === 'and' && !nested ? root.conditions : root;
+        },
+
+        /**
+         * Replace the field suggestion list
+         */
+        setFields: function($builder, fields) {
+            const state = $builder.data('queryBuilder');
+
+            state.fields = Array.isArray(fields) ? fields.slice() : [];
+            $builder.find('#' + state.listId).html(state.fields.map(function(field) {
+                return `<option value="${wpCustomAPI.escapeHtml(field)}"></option>`;
+            }).join(''));
+        },
+
+        /**
+         * Add suggestions from a JSON Schema, using the engine's dot/[0] path notation
+         */
+        setSchema: function($builder, schema) {
+            if (typeof schema === 'string') {
+                try {
+                    schema = JSON.parse(schema);
+                } catch (e) {
+                    return;
+                }
+            }
+
+            const state = $builder.data('queryBuilder');
+            const fields = state.fields.slice();
+
+            this.schemaPaths(schema).forEach(function(path) {
+                if (fields.indexOf(path) === -1) {
+                    fields.push(path);
+                }
+            });
+
+            this.setFields($builder, fields);
+        },
+
+        schemaPaths: function(schema, prefix) {
+            const self = this;
+            let paths = [];
+
+            if (!schema || typeof schema !== 'object') {
+                return paths;
+            }
+
+            if (schema.items && prefix) {
+                return self.schemaPaths(schema.items, prefix + '[0]');
+            }
+
+            $.each(schema.properties || {}, function(key, property) {
+                const path = prefix ? prefix + '.' + key : key;
+                paths.push(path);
+                paths = paths.concat(self.schemaPaths(property, path));
+            });
+
+            return paths;
+        },
+
+        inferType: function(value) {
+            if (Array.isArray(value)) {
+                return value.length ? this.inferType(value[0]) : 'string';
+            }
+            if (value === null) {
+                return 'null';
+            }
+            if (typeof value === 'number') {
+                return 'number';
+            }
+            if (typeof value === 'boolean') {
+                return 'boolean';
+            }
+            return 'string';
+        },
+
+        /**
+         * Convert a single scalar to the condition's value type
+         */
+        castScalar: function(type, raw) {
+            switch (type) {
+                case 'number':
+                    return raw === '' || isNaN(Number(raw)) ? raw : Number(raw);
+                case 'boolean':
+                    return raw === true || raw === 'true' || raw === '1';
+                case 'null':
+                    return null;
+                default:
+                    return raw === null || raw === undefined ? '' : String(raw);
+            }
+        },
+
+        /**
+         * Parse the text typed into a value input
+         */
+        parseValue: function(condition, raw) {
+            const self = this;
+            const definition = this.operators[condition.operator];
+            const kind = definition ? definition.value : 'string';
+
+            switch (kind) {
+                case 'none':
+                    return undefined;
+                case 'number':
+                    return this.castScalar('number', $.trim(raw));
+                case 'list':
+                    return raw.split(',').map(item => $.trim(item)).filter(item => item !== '').map(function(item) {
+                        return self.castScalar(condition.valueType, item);
+                    });
+                case 'typed':
+                    return this.castScalar(condition.valueType, raw);
+                default:
+                    return raw;
+            }
+        },
+
+        /**
+         * Re-shape an existing value after the operator or type changed
+         */
+        coerceValue: function(condition, value) {
+            return this.parseValue(condition, this.formatValue(value));
+        },
+
+        formatValue: function(value) {
+            if (value === undefined || value === null) {
+                return '';
+            }
+            if (Array.isArray(value)) {
+                return value.join(', ');
+            }
+            return String(value);
+        },
+
+        /**
+         * Return a warning for values the engine would reject or misread
+         */
+        lintCondition: function(condition) {
+            const definition = this.operators[condition.operator];
+
+            if (!definition || !condition.field) {
+                return '';
+            }
+
+            if (definition.value === 'number' && typeof condition.value !== 'number') {
+                return 'Numeric comparison needs a number';
+            }
+
+            if (definition.value === 'regex') {
+                const match = /^(.)(.*)\1([imsxuADU]*)$/.exec(condition.value || '');
+                if (!match || /[a-zA-Z0-9\\\s]/.test(match[1])) {
+                    return 'PHP patterns need delimiters, e.g. /^order-\\d+$/i';
+                }
+            }
+
+            return '';
+        },
+
+        render: function($builder) {
+            const state = $builder.data('queryBuilder');
+
+            $builder.find('.query-builder-root').html(this.renderGroup(state, state.root, '', true));
+            this.sync($builder);
+        },
+
+        renderGroup: function(state, group, path, isRoot) {
+            const self = this;
+            const childPath = index => (path === '' ? '' : path + '.') + index;
+
+            const items = group.conditions.map(function(item, index) {
+                return item.conditions
+                    ? self.renderGroup(state, item, childPath(index), false)
+                    : self.renderCondition(state, item, childPath(index));
+            }).join('');
+
+            return `
+                <div class="query-group${isRoot ? ' query-group-root' : ''}" data-path="${path}">
+                    <div class="query-group-header">
+                        <select class="query-group-logic">
+                            <option value="and"${group.logic === 'and' ? ' selected' : ''}>Match ALL (AND)</option>
+                            <option value="or"${group.logic === 'or' ? ' selected' : ''}>Match ANY (OR)</option>
+                        </select>
+                        ${isRoot ? '' : '<button type="button" class="button-link remove-group" style="color: #b32d2e;">Remove Group</button>'}
+                    </div>
+                    <div class="query-conditions">
+                        ${items || '<p class="description">No conditions. All records pass.</p>'}
+                    </div>
+                    <div class="query-group-actions">
+                        <button type="button" class="button add-condition">Add Condition</button>
+                        <button type="button" class="button add-group">Add Group</button>
+                    </div>
+                </div>
+            `;
+        },
+
+        renderCondition: function(state, condition, path) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const definition = this.operators[condition.operator];
+            const kind = definition ? definition.value : 'string';
+
+            let operators = Object.keys(this.operators).map(function(operator) {
+                const selected = operator === condition.operator ? ' selected' : '';
+                return `<option value="${operator}"${selected}>${esc(self.operators[operator].label)}</option>`;
+            }).join('');
+
+            if (!definition) {
+                operators += `<option value="${esc(condition.operator)}" selected>${esc(condition.operator)}</option>`;
+            }
+
+            let valueInput = '';
+            if (kind !== 'none') {
+                const disabled = kind === 'typed' && condition.valueType === 'null' ? ' disabled' : '';
+                const placeholder = kind === 'list' ? 'a, b, c' : (kind === 'regex' ? '/pattern/i' : 'Value');
+                const value = kind === 'string' || kind === 'regex' || !definition
+                    ? (typeof condition.value === 'string' ? condition.value : this.formatValue(condition.value))
+                    : this.formatValue(condition.value);
+
+                valueInput = `<input type="${kind === 'number' ? 'number' : 'text'}" step="any" class="query-condition-value" value="${esc(value)}" placeholder="${placeholder}"${disabled} />`;
+            }
+
+            let typeSelect = '';
+            if (kind === 'typed' || kind === 'list') {
+                const types = kind === 'typed' ? ['string', 'number', 'boolean', 'null'] : ['string', 'number'];
+                typeSelect = '<select class="query-condition-type" title="Value type">' + types.map(function(type) {
+                    return `<option value="${type}"${type === condition.valueType ? ' selected' : ''}>${type}</option>`;
+                }).join('') + '</select>';
+            }
+
+            const warning = this.lintCondition(condition);
+
+            return `
+                <div class="query-condition" data-path="${path}">
+                    <input type="text" class="query-condition-field" list="${state.listId}" value="${esc(condition.field)}" placeholder="field.path" />
+                    <select class="query-condition-operator">${operators}</select>
+                    ${typeSelect}
+                    ${valueInput}
+                    <button type="button" class="button remove-condition">Remove</button>
+                    ${warning ? `<span class="query-condition-warning">${esc(warning)}</span>` : ''}
+                </div>
+            `;
+        },
+
+        /**
+         * Write the filters JSON back to the bound input
+         */
+        sync: function($builder) {
+            const state = $builder.data('queryBuilder');
+            const filters = this.getFilters($builder);
+
+            if (state.$input.length) {
+                state.$input.val(JSON.stringify(filters)).trigger('change');
+            }
 
-            $builder.find('.query-conditions').append(conditionHtml);
+            $builder.trigger('wpCustomAPIFiltersChange', [filters]);
         }
     };
 
@@ -338,6 +2671,7 @@
      */
     $(document).ready(function() {
         wpCustomAPI.init();
+        wpCustomAPI.endpointsList.init();
         wpCustomAPI.fieldMapper.init();
         wpCustomAPI.queryBuilder.init();
     });
@@ -0,0 +1,661 @@
+/**
+ * API Reference - Rendered OpenAPI document with Try it and import
+ *
+ * Renders the OpenAPI document of the active endpoints as a filterable
+ * list of operations with their parameters, request body, responses and
+ * authentication. Try it opens the endpoint tester with an example request
+ * built from the schemas. OpenAPI files are previewed as the endpoints
+ * they would create before any are imported.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPIReference = {
+        /**
+         * The loaded OpenAPI document
+         */
+        document: null,
+
+        /**
+         * Labels for import preview statuses
+         */
+        importStatusLabels: {
+            new: 'New',
+            exists: 'Already exists',
+            invalid: 'Cannot import'
+        },
+
+        /**
+         * Initialize the page
+         */
+        init: function() {
+            if (!$('#api-reference').length) {
+                return;
+            }
+
+            this.bindEvents();
+            this.load();
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function() {
+            const self = this;
+
+            $('.api-reference-search').on('input', function() {
+                self.filter($(this).val());
+            });
+
+            $('#api-reference').on('click', '.api-reference-try', function(e) {
+                e.preventDefault();
+                self.tryIt($(this).closest('.api-operation'));
+            });
+
+            $('.api-reference-import-toggle').on('click', function() {
+                const $panel = $('#api-reference-import');
+                const open = $panel.prop('hidden');
+
+                $panel.prop('hidden', !open);
+                $(this).attr('aria-expanded', open ? 'true' : 'false');
+            });
+
+            $('#api_reference_import_file').on('change', function() {
+                self.readImportFile(this.files && this.files[0]);
+            });
+
+            $('#api_reference_import_source').on('input', function() {
+                self.clearImportPreview();
+            });
+
+            $('.api-reference-import-preview-button').on('click', function(e) {
+                e.preventDefault();
+                self.previewImport();
+            });
+
+            $('.api-reference-import-preview').on('change', 'input[type="checkbox"]', function() {
+                if ($(this).hasClass('api-import-select-all')) {
+                    $('.api-import-operation:enabled').prop('checked', this.checked);
+                }
+
+                self.updateImportButton();
+            });
+
+            $('.api-reference-import-apply').on('click', function(e) {
+                e.preventDefault();
+                self.applyImport($(this));
+            });
+        },
+
+        /**
+         * Load the document
+         */
+        load: function() {
+            const self = this;
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_openapi',
+                    nonce: wpCustomAPI.nonce
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.renderError(response.data.message);
+                        return;
+                    }
+
+                    self.document = response.data.document;
+                    self.render();
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    self.renderError(message);
+                }
+            });
+        },
+
+        /**
+         * Show why the reference could not be loaded
+         */
+        renderError: function(message) {
+            $('.api-reference-content').html(
+                `<div class="notice notice-error inline"><p>${wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error)}</p></div>`
+            );
+        },
+
+        /**
+         * Get the document's operations in path order
+         */
+        getOperations: function() {
+            const operations = [];
+
+            $.each(this.document.paths || {}, function(path, pathItem) {
+                ['get', 'post', 'put', 'patch', 'delete'].forEach(function(method) {
+                    if (pathItem[method]) {
+                        operations.push({ path: path, method: method, operation: pathItem[method] });
+                    }
+                });
+            });
+
+            return operations;
+        },
+
+        /**
+         * Render the navigation and the operations
+         */
+        render: function() {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const operations = this.getOperations();
+            const server = ((this.document.servers || [])[0] || {}).url || '';
+
+            if (!operations.length) {
+                $('.api-reference-nav').empty();
+                $('.api-reference-content').html(`
+                    <p>No active endpoints to document.
+                        <a href="${esc($('#api-reference').data('endpoints-url'))}">Manage endpoints</a></p>
+                `);
+                return;
+            }
+
+            // Group by the endpoint slug, the first segment after /custom
+            const groups = {};
+            operations.forEach(function(item) {
+                const group = item.path.split('/')[2] || item.path;
+                (groups[group] = groups[group] || []).push(item);
+            });
+
+            const nav = Object.keys(groups).map(group => `
+                <div class="api-reference-nav-group">
+                    <h4>${esc(group)}</h4>
+                    <ul>
+                        ${groups[group].map(item => `
+                            <li data-operation="${esc(self.anchor(item))}">
+                                <a href="#${esc(self.anchor(item))}">
+                                    <span class="endpoint-method ${esc(item.method)}">${esc(item.method.toUpperCase())}</span>
+                                    ${esc(item.operation.summary || item.path)}
+                                </a>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('');
+
+            $('.api-reference-nav').html(nav);
+            $('.api-reference-content').html(`
+                <div class="api-reference-info">
+                    <h2>${esc(this.document.info.title)} <span class="api-reference-version">${esc(this.document.info.version)}</span></h2>
+                    <p>Base URL <code>${esc(server)}</code></p>
+                </div>
+                ${operations.map(item => self.renderOperation(item, server)).join('')}
+            `);
+
+            this.filter($('.api-reference-search').val() || '');
+        },
+
+        /**
+         * Get the element id of an operation
+         */
+        anchor: function(item) {
+            return 'operation-' + (item.operation.operationId || item.method + item.path).replace(/[^A-Za-z0-9_-]/g, '-');
+        },
+
+        /**
+         * Render one operation
+         */
+        renderOperation: function(item, server) {
+            const esc = wpCustomAPI.escapeHtml;
+            const operation = item.operation;
+            const internal = operation['x-wp-custom-api'] || {};
+            const parameters = operation.parameters || [];
+            const body = operation.requestBody && operation.requestBody.content && operation.requestBody.content['application/json'];
+
+            const responses = Object.keys(operation.responses || {}).map(status => {
+                const response = this.resolve(operation.responses[status]);
+                const content = response.content && response.content['application/json'];
+
+                return `
+                    <li>
+                        <code class="api-response-status status-${esc(status.charAt(0))}xx">${esc(status)}</code>
+                        ${esc(response.description || '')}
+                        ${content && content.schema ? this.renderSchema(content.schema) : ''}
+                    </li>
+                `;
+            }).join('');
+
+            return `
+                <section class="api-operation" id="${esc(this.anchor(item))}" data-path="${esc(item.path)}" data-method="${esc(item.method)}" data-endpoint-id="${esc(internal.id || '')}">
+                    <header class="api-operation-header">
+                        <span class="endpoint-method ${esc(item.method)}">${esc(item.method.toUpperCase())}</span>
+                        <code class="api-operation-path">${esc(item.path)}</code>
+                        <h3>${esc(operation.summary || '')}</h3>
+                        ${internal.id ? '<button type="button" class="button api-reference-try">Try it</button>' : ''}
+                    </header>
+
+                    ${operation.description ? `<p class="api-operation-description">${esc(operation.description).replace(/\n/g, '<br />')}</p>` : ''}
+
+                    <p class="api-operation-url"><code>${esc(server + item.path)}</code></p>
+
+                    <h4>Authentication</h4>
+                    <p>${this.describeSecurity(operation.security || [])}</p>
+
+                    ${parameters.length ? `
+                        <h4>Parameters</h4>
+                        ${this.renderParameters(parameters)}
+                    ` : ''}
+
+                    ${body && body.schema ? `
+                        <h4>Request body <span class="description">application/json${operation.requestBody.required ? ', required' : ''}</span></h4>
+                        ${this.renderSchema(body.schema)}
+                        <details class="api-operation-example">
+                            <summary>Example</summary>
+                            <pre>${esc(JSON.stringify(wpCustomAPI.schemaExample(body.schema, this.document), null, 2))}</pre>
+                        </details>
+                    ` : ''}
+
+                    <h4>Responses</h4>
+                    <ul class="api-operation-responses">${responses}</ul>
+                </section>
+            `;
+        },
+
+        /**
+         * Render a parameters table
+         */
+        renderParameters: function(parameters) {
+            const esc = wpCustomAPI.escapeHtml;
+
+            const rows = parameters.map(parameter => `
+                <tr>
+                    <td><code>${esc(parameter.name)}</code>${parameter.required ? ' <span class="api-required">required</span>' : ''}</td>
+                    <td>${esc(parameter.in)}</td>
+                    <td>${esc(this.schemaType(parameter.schema || {}))}</td>
+                    <td>${esc(parameter.description || (parameter.schema && parameter.schema.description) || '')}${this.renderConstraints(parameter.schema || {})}</td>
+                </tr>
+            `).join('');
+
+            return `
+                <table class="widefat striped api-parameters">
+                    <thead><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        },
+
+        /**
+         * Render a schema's properties as a nested list
+         */
+        renderSchema: function(schema, depth) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            depth = depth || 0;
+            schema = this.resolve(schema);
+
+            if (schema.type === 'array' || (!schema.properties && schema.items)) {
+                const items = this.resolve(schema.items || {});
+                return `<p class="api-schema-type">${esc(this.schemaType(schema))}</p>${items.properties && depth < 6 ? this.renderSchema(items, depth + 1) : ''}`;
+            }
+
+            if (!schema.properties) {
+                return `<p class="api-schema-type">${esc(this.schemaType(schema))}${this.renderConstraints(schema)}</p>`;
+            }
+
+            const required = schema.required || [];
+            const properties = Object.keys(schema.properties).map(function(name) {
+                const property = self.resolve(schema.properties[name]);
+                const nested = property.properties || (property.items && self.resolve(property.items).properties);
+
+                return `
+                    <li>
+                        <code>${esc(name)}</code>
+                        <span class="api-schema-type">${esc(self.schemaType(property))}</span>
+                        ${required.indexOf(name) !== -1 ? '<span class="api-required">required</span>' : ''}
+                        ${property.description ? `<span class="description">${esc(property.description)}</span>` : ''}
+                        ${self.renderConstraints(property)}
+                        ${nested && depth < 6 ? self.renderSchema(property.properties ? property : property.items, depth + 1) : ''}
+                    </li>
+                `;
+            }).join('');
+
+            return `<ul class="api-schema">${properties}</ul>`;
+        },
+
+        /**
+         * Describe a schema's type, e.g. "array of string (email)"
+         */
+        schemaType: function(schema) {
+            schema = this.resolve(schema);
+
+            let type = Array.isArray(schema.type) ? schema.type.join(' | ') : (schema.type || (schema.properties ? 'object' : 'any'));
+
+            if (type === 'array' && schema.items) {
+                type = 'array of ' + this.schemaType(schema.items);
+            }
+
+            return schema.format ? `${type} (${schema.format})` : type;
+        },
+
+        /**
+         * Render a schema's enum, range, length and pattern constraints
+         */
+        renderConstraints: function(schema) {
+            const esc = wpCustomAPI.escapeHtml;
+            const constraints = [];
+
+            if (Array.isArray(schema.enum)) {
+                constraints.push('one of ' + schema.enum.map(value => JSON.stringify(value)).join(', '));
+            }
+            if (schema.minimum !== undefined) {
+                constraints.push('min ' + schema.minimum);
+            }
+            if (schema.maximum !== undefined) {
+                constraints.push('max ' + schema.maximum);
+            }
+            if (schema.minLength !== undefined) {
+                constraints.push('min length ' + schema.minLength);
+            }
+            if (schema.maxLength !== undefined) {
+                constraints.push('max length ' + schema.maxLength);
+            }
+            if (schema.pattern) {
+                constraints.push('pattern ' + schema.pattern);
+            }
+            if (schema.default !== undefined) {
+                constraints.push('default ' + JSON.stringify(schema.default));
+            }
+
+            return constraints.length ? ` <span class="api-schema-constraints">${esc(constraints.join(', '))}</span>` : '';
+        },
+
+        /**
+         * Follow a local $ref
+         */
+        resolve: function(schema) {
+            let resolved = schema || {};
+
+            for (let i = 0; i < 10 && typeof resolved.$ref === 'string' && resolved.$ref.indexOf('#/') === 0; i++) {
+                resolved = resolved.$ref.slice(2).split('/').reduce(function(node, part) {
+                    return node && typeof node === 'object' ? node[part.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined;
+                }, this.document) || {};
+            }
+
+            return resolved;
+        },
+
+        /**
+         * Describe the credentials an operation accepts
+         */
+        describeSecurity: function(security) {
+            const esc = wpCustomAPI.escapeHtml;
+            const schemes = (this.document.components && this.document.components.securitySchemes) || {};
+
+            if (!security.length) {
+                return 'None';
+            }
+
+            return security.map(function(requirement) {
+                return Object.keys(requirement).map(function(name) {
+                    const scheme = schemes[name] || {};
+
+                    if (scheme.type === 'http' && scheme.scheme === 'bearer') {
+                        return 'Bearer token in the <code>Authorization</code> header';
+                    }
+                    if (scheme.type === 'apiKey') {
+                        const where = scheme.in === 'query' ? 'query parameter' : 'header';
+                        return `<code>${esc(scheme.name)}</code> ${where}${scheme.description ? ` &mdash; ${esc(scheme.description)}` : ''}`;
+                    }
+
+                    return esc(name);
+                }).join(' and ');
+            }).join(', or ');
+        },
+
+        /**
+         * Show only the operations matching a search
+         */
+        filter: function(term) {
+            term = $.trim(term).toLowerCase();
+
+            $('.api-operation').each(function() {
+                const $operation = $(this);
+                const text = [$operation.data('method'), $operation.data('path'), $operation.find('h3').text()].join(' ').toLowerCase();
+                const match = term === '' || text.indexOf(term) !== -1;
+
+                $operation.toggle(match);
+                $(`.api-reference-nav li[data-operation="${$operation.attr('id')}"]`).toggle(match);
+            });
+
+            $('.api-reference-nav-group').each(function() {
+                $(this).toggle($(this).find('li').filter(function() {
+                    return $(this).css('display') !== 'none';
+                }).length > 0);
+            });
+        },
+
+        /**
+         * Open the endpoint tester with an example request for an operation
+         */
+        tryIt: function($operation) {
+            const self = this;
+            const item = this.getOperations().filter(function(candidate) {
+                return candidate.path === $operation.data('path') && candidate.method === $operation.data('method');
+            })[0];
+
+            if (!item || typeof wpCustomAPITester === 'undefined') {
+                return;
+            }
+
+            const operation = item.operation;
+            const body = operation.requestBody && operation.requestBody.content && operation.requestBody.content['application/json'];
+            const queryParams = {};
+
+            (operation.parameters || []).forEach(function(parameter) {
+                if (parameter.in === 'query') {
+                    const value = wpCustomAPI.schemaExample(parameter.schema || {}, self.document);
+                    queryParams[parameter.name] = typeof value === 'string' ? value : JSON.stringify(value);
+                }
+            });
+
+            wpCustomAPITester.openModal(operation['x-wp-custom-api'].id, {
+                headers: {},
+                query_params: queryParams,
+                body_type: 'json',
+                body: body && body.schema ? wpCustomAPI.schemaExample(body.schema, this.document) : '',
+                auth: { mode: 'auto' }
+            });
+        },
+
+        /**
+         * Load a chosen file into the import box and preview it
+         */
+        readImportFile: function(file) {
+            const self = this;
+
+            if (!file) {
+                return;
+            }
+
+            const reader = new FileReader();
+
+            reader.onload = function() {
+                $('#api_reference_import_source').val(reader.result);
+                self.clearImportPreview();
+                self.previewImport();
+            };
+
+            reader.readAsText(file);
+        },
+
+        /**
+         * Forget the preview when the file changes
+         */
+        clearImportPreview: function() {
+            $('.api-reference-import-preview').empty();
+            $('.api-reference-import-apply').prop('disabled', true);
+        },
+
+        /**
+         * Ask the server which endpoints the file would create
+         */
+        previewImport: function() {
+            const self = this;
+            const $button = $('.api-reference-import-preview-button');
+            const originalText = $button.text();
+
+            $button.prop('disabled', true).html('<span class="wp-custom-api-loading"></span> Previewing...');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_preview_openapi_import',
+                    nonce: wpCustomAPI.nonce,
+                    document: $('#api_reference_import_source').val()
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.renderImportError(response.data.message);
+                        return;
+                    }
+
+                    self.renderImportPreview(response.data);
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    self.renderImportError(message);
+                },
+                complete: function() {
+                    $button.prop('disabled', false).text(originalText);
+                }
+            });
+        },
+
+        /**
+         * Show why the file cannot be imported
+         */
+        renderImportError: function(message) {
+            $('.api-reference-import-preview').html(
+                `<div class="notice notice-error inline"><p>${wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error)}</p></div>`
+            );
+            $('.api-reference-import-apply').prop('disabled', true);
+        },
+
+        /**
+         * List the file's operations and the endpoints they become
+         */
+        renderImportPreview: function(preview) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+
+            if (!preview.operations.length) {
+                this.renderImportError('The document has no operations with a supported method.');
+                return;
+            }
+
+            const rows = preview.operations.map(operation => `
+                <tr class="api-import-${esc(operation.status)}" data-key="${esc(operation.key)}">
+                    <th scope="row" class="check-column">
+                        <input type="checkbox" class="api-import-operation" value="${esc(operation.key)}"
+                            ${operation.status === 'new' ? 'checked' : 'disabled'} />
+                    </th>
+                    <td><span class="endpoint-method ${esc(operation.method.toLowerCase())}">${esc(operation.method)}</span> <code>${esc(operation.path)}</code></td>
+                    <td>${esc(operation.name)}${operation.slug ? `<br /><code>/custom/${esc(operation.slug)}${esc(operation.route === '/' ? '' : operation.route)}</code>` : ''}</td>
+                    <td>${esc(operation.permission_type)}</td>
+                    <td>
+                        <span class="api-import-status">${esc(self.importStatusLabels[operation.status] || operation.status)}</span>
+                        ${operation.message ? `<p class="description">${esc(operation.message)}</p>` : ''}
+                    </td>
+                </tr>
+            `).join('');
+
+            $('.api-reference-import-preview').html(`
+                ${preview.title ? `<p><strong>${esc(preview.title)}</strong></p>` : ''}
+                <table class="wp-list-table widefat fixed striped api-import-table">
+                    <thead>
+                        <tr>
+                            <td class="manage-column check-column"><input type="checkbox" class="api-import-select-all" checked /></td>
+                            <th>Operation</th>
+                            <th>Endpoint</th>
+                            <th>Authentication</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `);
+
+            this.updateImportButton();
+        },
+
+        /**
+         * Enable the import while operations are selected
+         */
+        updateImportButton: function() {
+            $('.api-reference-import-apply').prop('disabled', $('.api-import-operation:checked').length === 0);
+        },
+
+        /**
+         * List the operations an import could not create
+         */
+        importFailures: function(data) {
+            const esc = wpCustomAPI.escapeHtml;
+
+            return (data.results || []).filter(result => !result.ok)
+                .map(result => `<br />${esc(result.key)}: ${esc(result.message)}`)
+                .join('');
+        },
+
+        /**
+         * Create endpoints for the selected operations
+         */
+        applyImport: function($button) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const originalText = $button.text();
+            const keys = $('.api-import-operation:checked').map(function() {
+                return this.value;
+            }).get();
+
+            $button.prop('disabled', true).html('<span class="wp-custom-api-loading"></span> Creating...');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_import_openapi',
+                    nonce: wpCustomAPI.nonce,
+                    document: $('#api_reference_import_source').val(),
+                    keys: keys
+                },
+                success: function(response) {
+                    const data = response.data || {};
+                    const inactiveUrl = $('#api-reference').data('endpoints-url') + '&status=0';
+
+                    wpCustomAPI.showNotice(self.importFailures(data) ? 'warning' : 'success',
+                        `${esc(data.message)}. <a href="${esc(inactiveUrl)}">Configure and activate them</a>` + self.importFailures(data));
+
+                    // The created operations now show as existing
+                    self.previewImport();
+                },
+                error: function(xhr) {
+                    const data = (xhr.responseJSON && xhr.responseJSON.data) || {};
+                    wpCustomAPI.showNotice('error', esc(data.message || wpCustomAPI.i18n.error) + self.importFailures(data));
+                },
+                complete: function() {
+                    $button.text(originalText);
+                    self.updateImportButton();
+                }
+            });
+        }
+    };
+
+    $(document).ready(function() {
+        wpCustomAPIReference.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,686 @@
+/**
+ * Bundles - Export selection and import wizard
+ *
+ * The export panel previews which ETL templates, external services and
+ * scheduled tasks come along with the selected endpoints before the bundle
+ * is downloaded. The import wizard reads a bundle, lets each item be
+ * created, overwrite or reuse the matching item on this site, or be
+ * skipped, shows where its references will point, and reports the result.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPIBundles = {
+        /**
+         * Labels of the import actions
+         */
+        actionLabels: {
+            create: 'Create new',
+            overwrite: 'Overwrite existing',
+            use_existing: 'Use existing, unchanged',
+            skip: 'Skip'
+        },
+
+        /**
+         * Section headings, in import order
+         */
+        typeLabels: {
+            external_services: 'External Services',
+            etl_templates: 'ETL Templates',
+            endpoints: 'Endpoints',
+            scheduled_tasks: 'Scheduled Tasks'
+        },
+
+        previewTimer: null,
+        previewRequest: null,
+        bundle: null,
+        items: [],
+        decisions: {},
+
+        /**
+         * Initialize the page
+         */
+        init: function() {
+            if (!$('.wp-custom-api-bundles').length) {
+                return;
+            }
+
+            this.bindExportEvents();
+            this.bindImportEvents();
+        },
+
+        /**
+         * Bind the export panel
+         */
+        bindExportEvents: function() {
+            const self = this;
+            const $panel = $('#bundle-export');
+
+            $panel.on('change', '.bundle-export-endpoint-id', function() {
+                self.updateSelectAll();
+                self.schedulePreview();
+            });
+
+            $panel.on('change', '.bundle-export-select-all', function() {
+                $panel.find('.bundle-export-endpoint:not([hidden]) .bundle-export-endpoint-id').prop('checked', this.checked);
+                self.schedulePreview();
+            });
+
+            $panel.on('input', '.bundle-export-search', function() {
+                const query = $(this).val().toLowerCase().trim();
+
+                $panel.find('.bundle-export-endpoint').each(function() {
+                    $(this).prop('hidden', query !== '' && $(this).text().toLowerCase().indexOf(query) === -1);
+                });
+
+                self.updateSelectAll();
+            });
+
+            $panel.on('change', '.bundle-export-strip-secrets', function() {
+                $panel.find('.bundle-export-secrets-warning').remove();
+
+                if (!this.checked) {
+                    $(this).closest('p').after(`
+                        <div class="notice notice-warning inline bundle-export-secrets-warning">
+                            <p>The bundle will contain API keys, passwords and secrets in plain text. Store and send it like a password.</p>
+                        </div>
+                    `);
+                }
+            });
+
+            $panel.on('click', '.bundle-export-download', function(e) {
+                e.preventDefault();
+
+                const url = self.getExportUrl();
+
+                if (url) {
+                    window.location.href = url;
+                }
+            });
+        },
+
+        /**
+         * IDs of the checked endpoints
+         */
+        getSelectedIds: function() {
+            return $('#bundle-export .bundle-export-endpoint-id:checked').map(function() {
+                return parseInt(this.value, 10);
+            }).get();
+        },
+
+        /**
+         * Reflect the visible selection in the select all box
+         */
+        updateSelectAll: function() {
+            const $visible = $('#bundle-export .bundle-export-endpoint:not([hidden]) .bundle-export-endpoint-id');
+
+            $('#bundle-export .bundle-export-select-all').prop(
+                'checked',
+                $visible.length > 0 && $visible.filter(':checked').length === $visible.length
+            );
+        },
+
+        /**
+         * Download URL of a bundle of the selected endpoints
+         */
+        getExportUrl: function() {
+            const ids = this.getSelectedIds();
+
+            if (!ids.length) {
+                return '';
+            }
+
+            const strip = $('#bundle-export .bundle-export-strip-secrets').is(':checked');
+
+            return $('#bundle-export').attr('data-export-url')
+                + '&endpoint_ids=' + ids.join(',')
+                + '&strip_secrets=' + (strip ? '1' : '0');
+        },
+
+        /**
+         * Refresh the export preview once the selection settles
+         */
+        schedulePreview: function() {
+            const self = this;
+
+            clearTimeout(this.previewTimer);
+            this.previewTimer = setTimeout(function() {
+                self.previewExport();
+            }, 300);
+        },
+
+        /**
+         * Ask the server what the bundle would include
+         */
+        previewExport: function() {
+            const self = this;
+            const ids = this.getSelectedIds();
+            const $preview = $('#bundle-export .bundle-export-preview');
+
+            $('#bundle-export .bundle-export-download').prop('disabled', !ids.length);
+
+            if (this.previewRequest) {
+                this.previewRequest.abort();
+                this.previewRequest = null;
+            }
+
+            if (!ids.length) {
+                $preview.html('<p class="description">Select endpoints to see what the bundle includes.</p>');
+                return;
+            }
+
+            $preview.html('<p><span class="wp-custom-api-loading"></span> Collecting dependencies...</p>');
+
+            this.previewRequest = $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_custom_api_preview_bundle_export',
+                    nonce: wpCustomAPI.nonce,
+                    endpoint_ids: ids
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.renderExportPreview(response.data.items || []);
+                    } else {
+                        $preview.html(`<p class="description">${wpCustomAPI.escapeHtml(response.data.message || wpCustomAPI.i18n.error)}</p>`);
+                    }
+                },
+                error: function(xhr, status) {
+                    if (status !== 'abort') {
+                        $preview.html(`<p class="description">${wpCustomAPI.escapeHtml(wpCustomAPI.i18n.error || 'Could not preview the bundle.')}</p>`);
+                    }
+                },
+                complete: function() {
+                    self.previewRequest = null;
+                }
+            });
+        },
+
+        /**
+         * List the bundle's items grouped by section
+         */
+        renderExportPreview: function(items) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const dependencies = items.filter(item => item.reason !== 'Selected').length;
+
+            const groups = Object.keys(this.typeLabels).map(function(type) {
+                const group = items.filter(item => item.type === type);
+
+                if (!group.length) {
+                    return '';
+                }
+
+                const rows = group.map(item => `
+                    <li>
+                        <strong>${esc(item.name)}</strong>
+                        ${item.detail ? `<code>${esc(item.detail)}</code>` : ''}
+                        <span class="description">${esc(item.reason)}</span>
+                    </li>
+                `).join('');
+
+                return `<h4>${esc(self.typeLabels[type])} (${group.length})</h4><ul>${rows}</ul>`;
+            }).join('');
+
+            $('#bundle-export .bundle-export-preview').html(`
+                <p><strong>The bundle includes ${items.length} item(s)</strong>${dependencies ? `, ${dependencies} of them pulled in as dependencies` : ''}.</p>
+                ${groups}
+            `);
+        },
+
+        /**
+         * Bind the import wizard
+         */
+        bindImportEvents: function() {
+            const self = this;
+            const $panel = $('#bundle-import');
+
+            $panel.on('change', '#bundle_import_file', function() {
+                self.readImportFile(this.files && this.files[0]);
+            });
+
+            $panel.on('click', '.bundle-import-review', function(e) {
+                e.preventDefault();
+                self.previewImport($(this));
+            });
+
+            $panel.on('change', '.bundle-item-action', function() {
+                const key = $(this).closest('.bundle-item').attr('data-key');
+
+                self.decisions[key].action = $(this).val();
+                self.updateItem(key);
+                self.updateReview();
+            });
+
+            $panel.on('input', '.bundle-item-slug', function() {
+                const key = $(this).closest('.bundle-item').attr('data-key');
+
+                self.decisions[key].slug = $(this).val();
+                self.updateReview();
+            });
+
+            $panel.on('click', '.bundle-import-back', function(e) {
+                e.preventDefault();
+                self.showStep('source');
+            });
+
+            $panel.on('click', '.bundle-import-apply', function(e) {
+                e.preventDefault();
+                self.applyImport($(this));
+            });
+
+            $panel.on('click', '.bundle-import-restart', function(e) {
+                e.preventDefault();
+                $('#bundle_import_source').val('');
+                $('#bundle_import_file').val('');
+                self.bundle = null;
+                self.showStep('source');
+            });
+        },
+
+        /**
+         * Show a wizard step
+         */
+        showStep: function(step) {
+            const $panel = $('#bundle-import');
+            let reached = true;
+
+            $panel.find('.bundle-import-step').each(function() {
+                $(this).prop('hidden', $(this).attr('data-step') !== step);
+            });
+
+            $panel.find('.bundle-import-steps li').each(function() {
+                const current = $(this).attr('data-step') === step;
+
+                $(this).toggleClass('is-current', current).toggleClass('is-done', reached && !current);
+                reached = reached && !current;
+            });
+        },
+
+        /**
+         * Load a chosen file into the import box
+         */
+        readImportFile: function(file) {
+            if (!file) {
+                return;
+            }
+
+            const reader = new FileReader();
+
+            reader.onload = function() {
+                $('#bundle_import_source').val(reader.result);
+                $('#bundle-import .bundle-import-error').empty();
+            };
+
+            reader.readAsText(file);
+        },
+
+        /**
+         * Read the bundle and show what importing it would do
+         */
+        previewImport: function($button) {
+            const self = this;
+            const source = $('#bundle_import_source').val();
+            const originalText = $button.text();
+            const $error = $('#bundle-import .bundle-import-error');
+
+            $error.empty();
+            $button.prop('disabled', true).html('<span class="wp-custom-api-loading"></span> Reading bundle...');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_custom_api_preview_bundle_import',
+                    nonce: wpCustomAPI.nonce,
+                    bundle: source
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.renderImportError(response.data.message);
+                        return;
+                    }
+
+                    self.bundle = source;
+                    self.renderReview(response.data);
+                    self.showStep('review');
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    self.renderImportError(message);
+                },
+                complete: function() {
+                    $button.prop('disabled', false).text(originalText);
+                }
+            });
+        },
+
+        /**
+         * Show why the bundle cannot be read
+         */
+        renderImportError: function(message) {
+            $('#bundle-import .bundle-import-error').html(
+                `<div class="notice notice-error inline"><p>${wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error)}</p></div>`
+            );
+        },
+
+        /**
+         * Render the review step from an import preview
+         */
+        renderReview: function(preview) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+
+            this.items = preview.items || [];
+            this.decisions = {};
+
+            this.items.forEach(function(item) {
+                self.decisions[item.key] = { action: item.action, slug: item.suggested_slug || '' };
+            });
+
+            const origin = [];
+            if (preview.source) {
+                origin.push(`from <code>${esc(preview.source)}</code>`);
+            }
+            if (preview.exported_at) {
+                origin.push(`exported ${esc(preview.exported_at)}`);
+            }
+
+            const secrets = preview.secrets === 'included'
+                ? '<div class="notice notice-warning inline"><p>This bundle contains secrets in plain text. Delete the file once it is imported.</p></div>'
+                : '';
+
+            const groups = Object.keys(this.typeLabels).map(function(type) {
+                const group = self.items.filter(item => item.type === type);
+
+                if (!group.length) {
+                    return '';
+                }
+
+                return `
+                    <h4>${esc(self.typeLabels[type])}</h4>
+                    <table class="widefat bundle-import-table">
+                        <thead>
+                            <tr>
+                                <th>Item</th>
+                                <th>On this site</th>
+                                <th>Action</th>
+                            </tr>
+                        </thead>
+                        <tbody>${group.map(item => self.renderItem(item)).join('')}</tbody>
+                    </table>
+                `;
+            }).join('');
+
+            $('#bundle-import .bundle-import-items').html(`
+                <p class="bundle-import-origin">Bundle ${origin.join(', ')}</p>
+                ${secrets}
+                ${groups}
+            `);
+
+            this.items.forEach(item => this.updateItem(item.key));
+            this.updateReview();
+        },
+
+        /**
+         * Row of an item in the review table
+         */
+        renderItem: function(item) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+
+            const options = item.actions.map(action =>
+                `<option value="${esc(action)}"${action === item.action ? ' selected' : ''}>${esc(self.actionLabels[action] || action)}</option>`
+            ).join('');
+
+            let match = '<span class="description">Not on this site</span>';
+
+            if (item.match) {
+                const changes = item.changes.length
+                    ? `Overwriting changes: ${item.changes.map(column => `<code>${esc(column)}</code>`).join(', ')}`
+                    : 'Same configuration';
+
+                match = `
+                    <strong>${esc(item.match.name)}</strong> <span class="description">#${item.match.id}</span>
+                    ${item.match.detail ? `<br><code>${esc(item.match.detail)}</code>` : ''}
+                    <br><span class="bundle-item-changes">${changes}</span>
+                `;
+            }
+
+            const slug = item.type === 'endpoints' && item.match ? `
+                <label class="bundle-item-slug-field">
+                    New slug
+                    <input type="text" class="regular-text bundle-item-slug" value="${esc(item.suggested_slug || '')}" />
+                </label>
+            ` : '';
+
+            const warnings = item.warnings.map(warning => `<li>${esc(warning)}</li>`).join('');
+
+            return `
+                <tr class="bundle-item" data-key="${esc(item.key)}">
+                    <td>
+                        <strong>${esc(item.name)}</strong> <span class="description">#${item.source_id}</span>
+                        ${item.detail ? `<br><code>${esc(item.detail)}</code>` : ''}
+                        <ul class="bundle-item-references"></ul>
+                        ${warnings ? `<ul class="bundle-item-warnings">${warnings}</ul>` : ''}
+                    </td>
+                    <td>${match}</td>
+                    <td>
+                        <select class="bundle-item-action">${options}</select>
+                        ${slug}
+                    </td>
+                </tr>
+            `;
+        },
+
+        /**
+         * Show or hide the fields that depend on an item's action
+         */
+        updateItem: function(key) {
+            const decision = this.decisions[key];
+            const $row = $(`#bundle-import .bundle-item[data-key="${key}"]`);
+
+            $row.find('.bundle-item-slug-field').prop('hidden', decision.action !== 'create');
+            $row.toggleClass('is-skipped', decision.action === 'skip');
+        },
+
+        /**
+         * Where a bundle item's references point with the current decisions
+         */
+        describeTarget: function(key, inBundle) {
+            const item = this.items.find(candidate => candidate.key === key);
+
+            if (!inBundle || !item) {
+                return { label: 'an item missing from the bundle', note: 'cleared', cleared: true };
+            }
+
+            const action = this.decisions[key].action;
+            const label = `${item.type_label.toLowerCase()} "${item.name}"`;
+
+            switch (action) {
+                case 'create':
+                    return { label: label, note: 'the new copy' };
+                case 'overwrite':
+                    return { label: label, note: `#${item.match.id}, overwritten` };
+                case 'use_existing':
+                    return { label: label, note: `#${item.match.id}, unchanged` };
+                default:
+                    return { label: label, note: 'skipped, so the reference is cleared', cleared: true };
+            }
+        },
+
+        /**
+         * Refresh the references, slug checks and summary of the review
+         */
+        updateReview: function() {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const counts = { create: 0, overwrite: 0, use_existing: 0, skip: 0 };
+            const problems = [];
+            const paths = {};
+
+            this.items.forEach(function(item) {
+                const decision = self.decisions[item.key];
+                const $row = $(`#bundle-import .bundle-item[data-key="${item.key}"]`);
+
+                counts[decision.action] = (counts[decision.action] || 0) + 1;
+
+                const references = decision.action === 'skip' || decision.action === 'use_existing' ? [] : item.references;
+
+                $row.find('.bundle-item-references').html(references.map(function(reference) {
+                    const target = self.describeTarget(reference.key, reference.in_bundle);
+
+                    return `
+                        <li class="${target.cleared ? 'is-cleared' : ''}">
+                            <code>${esc(reference.field)}</code> → ${esc(target.label)}: ${esc(target.note)}
+                        </li>
+                    `;
+                }).join(''));
+
+                // New endpoints need a method and path no other endpoint serves
+                if (item.type === 'endpoints' && decision.action !== 'skip' && decision.action !== 'use_existing') {
+                    const slug = decision.action === 'create' && item.match ? decision.slug.trim() : null;
+                    const path = item.detail.replace(/\/custom\/[^/]+/, '/custom/' + (slug === null ? '' : slug));
+                    const identity = slug === null ? item.detail : path;
+                    const $slug = $row.find('.bundle-item-slug');
+
+                    let problem = '';
+
+                    if (slug !== null && !slug) {
+                        problem = 'Enter a slug for the new endpoint.';
+                    } else if (slug !== null && item.detail.split('/')[2] === slug) {
+                        problem = 'The new endpoint needs a slug other than the existing one.';
+                    } else if (paths[identity]) {
+                        problem = `Another endpoint in this bundle also serves ${identity}.`;
+                    }
+
+                    paths[identity] = true;
+                    $slug.toggleClass('is-invalid', problem !== '');
+                    $row.find('.bundle-item-slug-error').remove();
+
+                    if (problem) {
+                        problems.push(problem);
+                        $row.find('.bundle-item-action').parent().append(`<p class="bundle-item-slug-error">${esc(problem)}</p>`);
+                    }
+                }
+            });
+
+            const parts = [];
+            if (counts.create) parts.push(`${counts.create} to create`);
+            if (counts.overwrite) parts.push(`${counts.overwrite} to overwrite`);
+            if (counts.use_existing) parts.push(`${counts.use_existing} linked to existing items`);
+            if (counts.skip) parts.push(`${counts.skip} skipped`);
+
+            $('#bundle-import .bundle-import-summary').html(
+                `<p><strong>${this.items.length} item(s):</strong> ${esc(parts.join(', ') || 'nothing to do')}.</p>`
+            );
+
+            $('#bundle-import .bundle-import-apply').prop('disabled', problems.length > 0 || counts.create + counts.overwrite + counts.use_existing === 0);
+        },
+
+        /**
+         * Import the bundle with the chosen actions
+         */
+        applyImport: function($button) {
+            const self = this;
+            const overwrites = this.items.filter(item => this.decisions[item.key].action === 'overwrite').length;
+
+            if (overwrites && !confirm(`Overwrite ${overwrites} existing item(s) on this site? Endpoint changes can be rolled back from their revision history.`)) {
+                return;
+            }
+
+            const originalText = $button.text();
+            $button.prop('disabled', true).html('<span class="wp-custom-api-loading"></span> Importing...');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_custom_api_import_bundle',
+                    nonce: wpCustomAPI.nonce,
+                    bundle: this.bundle,
+                    decisions: this.decisions
+                },
+                success: function(response) {
+                    self.renderResults(response.success, response.data);
+                },
+                error: function(xhr) {
+                    const data = (xhr.responseJSON && xhr.responseJSON.data) || {};
+                    self.renderResults(false, data);
+                },
+                complete: function() {
+                    $button.prop('disabled', false).text(originalText);
+                }
+            });
+        },
+
+        /**
+         * Show what happened to each item
+         */
+        renderResults: function(success, data) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const results = data.results || [];
+
+            if (!results.length) {
+                wpCustomAPI.showNotice('error', esc(data.message || wpCustomAPI.i18n.error));
+                return;
+            }
+
+            let editUrls = {};
+            try {
+                editUrls = JSON.parse($('#bundle-import').attr('data-edit-urls') || '{}');
+            } catch (e) {
+                editUrls = {};
+            }
+
+            const rows = results.map(function(result) {
+                const name = result.ok && result.id && editUrls[result.type]
+                    ? `<a href="${esc(editUrls[result.type].replace('{id}', result.id))}">${esc(result.name)}</a>`
+                    : esc(result.name);
+                const warnings = (result.warnings || []).map(warning => `<li>${esc(warning)}</li>`).join('');
+
+                return `
+                    <tr class="${result.ok ? '' : 'bundle-result-failed'}">
+                        <td>${esc((self.typeLabels[result.type] || result.type).replace(/s$/, ''))}</td>
+                        <td>${name}</td>
+                        <td>${esc(self.actionLabels[result.action] || result.action)}</td>
+                        <td>
+                            <span class="dashicons ${result.ok ? 'dashicons-yes-alt' : 'dashicons-warning'}"></span>
+                            ${esc(result.message)}
+                            ${warnings ? `<ul class="bundle-item-warnings">${warnings}</ul>` : ''}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+
+            $('#bundle-import .bundle-import-results').html(`
+                <div class="notice ${success && !data.failed ? 'notice-success' : (success ? 'notice-warning' : 'notice-error')} inline">
+                    <p>${esc(data.message || '')}</p>
+                </div>
+                <table class="widefat striped bundle-import-table">
+                    <thead>
+                        <tr>
+                            <th>Type</th>
+                            <th>Item</th>
+                            <th>Action</th>
+                            <th>Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `);
+
+            this.showStep('result');
+        }
+    };
+
+    $(document).ready(function() {
+        wpCustomAPIBundles.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,579 @@
+/**
+ * Dashboard - Live charts and system health
+ *
+ * Loads request, latency, webhook, ETL and error series for the chosen time
+ * range and draws them with Chart.js, refreshing every minute while the tab
+ * is visible. Clicking a bar opens the matching log view with its filters.
+ * The health panel refreshes with the charts, re-initializes components and
+ * switches maintenance mode, keeping the status banner in step.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPIDashboard = {
+        refreshInterval: 60000,
+        charts: {},
+        data: null,
+        timer: null,
+        requestId: 0,
+        healthLabels: {
+            healthy: ['All Systems Operational', 'yes-alt'],
+            degraded: ['Issues Detected', 'warning'],
+            critical: ['Critical Errors', 'dismiss'],
+            maintenance: ['Maintenance Mode', 'hammer']
+        },
+        colors: ['#2271b1', '#00a32a', '#dba617', '#d63638', '#8c5fc4', '#1e8cbe', '#e26f56', '#50575e'],
+
+        /**
+         * Initialize the charts panel
+         */
+        init: function() {
+            this.$panel = $('#wp-custom-api-dashboard-charts');
+            this.$health = $('#wp-custom-api-system-health');
+            if (!this.$panel.length) {
+                return;
+            }
+
+            this.bindHealthEvents();
+
+            if (typeof Chart === 'undefined') {
+                this.$panel.find('.dashboard-chart-grid').html(
+                    '<div class="notice notice-warning inline"><p>The chart library could not be loaded.</p></div>'
+                );
+                return;
+            }
+
+            this.bindEvents();
+            this.load();
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function() {
+            const self = this;
+
+            $('#dashboard-range').on('change', function() {
+                self.load();
+            });
+
+            $('#dashboard-auto-refresh').on('change', function() {
+                if (this.checked) {
+                    self.load();
+                    self.loadHealth();
+                } else {
+                    self.schedule();
+                }
+            });
+
+            // Hidden tabs stop refreshing and catch up when shown again
+            $(document).on('visibilitychange', function() {
+                if (!document.hidden && $('#dashboard-auto-refresh').is(':checked')) {
+                    self.load();
+                    self.loadHealth();
+                } else {
+                    self.schedule();
+                }
+            });
+        },
+
+        /**
+         * Queue the next refresh when auto-refresh is on
+         */
+        schedule: function() {
+            const self = this;
+
+            clearTimeout(this.timer);
+            this.timer = null;
+
+            if ($('#dashboard-auto-refresh').is(':checked') && !document.hidden) {
+                this.timer = setTimeout(function() {
+                    self.load();
+                    self.loadHealth();
+                }, this.refreshInterval);
+            }
+        },
+
+        /**
+         * Load the statistics for the selected range
+         */
+        load: function() {
+            const self = this;
+            const requestId = ++this.requestId;
+
+            clearTimeout(this.timer);
+            this.$panel.addClass('is-loading');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_dashboard_stats',
+                    nonce: wpCustomAPI.nonce,
+                    range: $('#dashboard-range').val()
+                },
+                success: function(response) {
+                    // A newer request has replaced this one
+                    if (requestId !== self.requestId) {
+                        return;
+                    }
+
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || wpCustomAPI.i18n.error));
+                        return;
+                    }
+
+                    self.render(response.data);
+                },
+                error: function() {
+                    if (requestId === self.requestId) {
+                        self.$panel.find('.dashboard-updated').text('Could not refresh the charts');
+                    }
+                },
+                complete: function() {
+                    if (requestId === self.requestId) {
+                        self.$panel.removeClass('is-loading');
+                        self.schedule();
+                    }
+                }
+            });
+        },
+
+        /**
+         * Draw every chart and the error rate card
+         */
+        render: function(data) {
+            const self = this;
+            const series = data.system.series;
+
+            this.data = data;
+
+            $.each(['requests', 'latency', 'webhooks', 'etl', 'errors'], function(index, name) {
+                self.renderChart(name, self.buildChart(name, series, data.events));
+            });
+
+            this.renderErrorRate(series.requests);
+            this.$panel.find('.dashboard-updated').text(
+                'Updated ' + new Date(data.generated_at * 1000).toLocaleTimeString()
+            );
+        },
+
+        /**
+         * Create a chart or update it in place
+         */
+        renderChart: function(name, config) {
+            const self = this;
+            const $canvas = this.$panel.find(`.dashboard-chart[data-chart="${name}"]`);
+            const isEmpty = config.data.datasets.every(dataset => dataset.data.every(value => !value));
+
+            $canvas.prop('hidden', isEmpty).siblings('.dashboard-chart-empty').prop('hidden', !isEmpty);
+
+            config.options.onClick = function(event, elements) {
+                if (elements.length) {
+                    self.openLogs(name, elements[0].index, elements[0].datasetIndex);
+                }
+            };
+            config.options.onHover = function(event, elements) {
+                const linked = elements.length && self.logsUrl(name, elements[0].index, elements[0].datasetIndex);
+                event.native.target.style.cursor = linked ? 'pointer' : 'default';
+            };
+
+            if (this.charts[name]) {
+                this.charts[name].data = config.data;
+                this.charts[name].options = config.options;
+                this.charts[name].update();
+                return;
+            }
+
+            this.charts[name] = new Chart($canvas[0], config);
+        },
+
+        /**
+         * Build the Chart.js configuration for a chart
+         */
+        buildChart: function(name, series, events) {
+            const self = this;
+            const labels = series.buckets.map(bucket => bucket.label);
+            const stacked = {
+                x: { stacked: true },
+                y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } }
+            };
+
+            switch (name) {
+                case 'requests': {
+                    const chart = this.barChart(labels, series.requests.endpoints.map((endpoint, index) => ({
+                        label: endpoint.name,
+                        data: endpoint.counts,
+                        backgroundColor: self.colors[index % self.colors.length]
+                    })), stacked);
+
+                    // Only server errors reach the event log, so only those bars link to it
+                    chart.options.plugins.tooltip = {
+                        callbacks: {
+                            footer: function(items) {
+                                const failures = items.length
+                                    ? series.requests.endpoints[items[0].datasetIndex].failures[items[0].dataIndex]
+                                    : 0;
+
+                                return failures ? `${failures} failed with a server error. Click to view them.` : '';
+                            }
+                        }
+                    };
+
+                    return chart;
+                }
+
+                case 'latency':
+                    return {
+                        type: 'line',
+                        data: {
+                            labels: labels,
+                            datasets: [
+                                { label: 'p50', data: series.requests.p50, borderColor: this.colors[0], backgroundColor: this.colors[0], spanGaps: true },
+                                { label: 'p95', data: series.requests.p95, borderColor: this.colors[3], backgroundColor: this.colors[3], spanGaps: true }
+                            ]
+                        },
+                        options: $.extend(this.chartOptions({
+                            y: { beginAtZero: true, title: { display: true, text: 'ms' } }
+                        }), {
+                            // Any point in a column opens that bucket
+                            interaction: { mode: 'index', intersect: false }
+                        })
+                    };
+
+                case 'webhooks':
+                    return this.barChart(labels, [
+                        { label: 'Processed', data: series.webhooks.processed, backgroundColor: this.colors[1] },
+                        { label: 'Failed', data: series.webhooks.failed, backgroundColor: this.colors[3] }
+                    ], stacked);
+
+                case 'etl':
+                    return this.barChart(labels, [
+                        { label: 'Completed', data: series.etl.completed, backgroundColor: this.colors[1] },
+                        { label: 'Failed', data: series.etl.failed, backgroundColor: this.colors[3] }
+                    ], stacked);
+
+                case 'errors': {
+                    const categories = Object.keys(events.errors_by_category || {});
+
+                    return this.barChart(categories, [{
+                        label: 'Errors',
+                        data: categories.map(category => events.errors_by_category[category]),
+                        backgroundColor: this.colors[3]
+                    }], {
+                        y: { beginAtZero: true, ticks: { precision: 0 } }
+                    });
+                }
+            }
+        },
+
+        /**
+         * Build a bar chart configuration
+         */
+        barChart: function(labels, datasets, scales) {
+            return {
+                type: 'bar',
+                data: { labels: labels, datasets: datasets },
+                options: this.chartOptions(scales)
+            };
+        },
+
+        /**
+         * Options shared by every chart
+         */
+        chartOptions: function(scales) {
+            return {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { mode: 'nearest', intersect: true },
+                plugins: {
+                    legend: { position: 'bottom', labels: { boxWidth: 12 } }
+                },
+                scales: scales
+            };
+        },
+
+        /**
+         * Show the share of requests that failed in the range
+         */
+        renderErrorRate: function(requests) {
+            const range = $('#dashboard-range option:selected').text().toLowerCase();
+            const rate = requests.total ? (requests.errors / requests.total) * 100 : 0;
+
+            $('#dashboard-error-rate').text(rate.toFixed(2) + '%');
+            $('#dashboard-error-count').text(`${requests.errors} of ${requests.total} requests failed, ${range}`);
+        },
+
+        /**
+         * Get the log view URL behind a clicked bar, or null if it has none
+         *
+         * The event log only holds requests that failed with a server error,
+         * so request and latency buckets without one link nowhere.
+         */
+        logsUrl: function(name, index, datasetIndex) {
+            const series = this.data.system.series;
+            const buckets = series.buckets;
+            const bucket = buckets[index];
+            const statuses = {
+                webhooks: ['processed', 'failed'],
+                etl: ['completed', 'failed']
+            };
+
+            switch (name) {
+                case 'requests': {
+                    const endpoint = series.requests.endpoints[datasetIndex];
+
+                    if (!endpoint.failures[index]) {
+                        return null;
+                    }
+
+                    return this.$panel.data('logs-url') + '&' + $.param({
+                        level: ['error'],
+                        category: ['endpoint'],
+                        search: endpoint.name,
+                        from: bucket.date,
+                        to: bucket.date
+                    });
+                }
+
+                case 'latency':
+                    if (!series.requests.endpoints.some(endpoint => endpoint.failures[index])) {
+                        return null;
+                    }
+
+                    return this.$panel.data('logs-url') + '&' + $.param({
+                        level: ['error'],
+                        category: ['endpoint'],
+                        from: bucket.date,
+                        to: bucket.date
+                    });
+
+                case 'webhooks':
+                    return this.$panel.data('webhooks-url') + '&' + $.param({
+                        status: statuses.webhooks[datasetIndex],
+                        date_from: bucket.date,
+                        date_to: bucket.date
+                    });
+
+                case 'etl':
+                    return this.$panel.data('jobs-url') + '&' + $.param({
+                        status: statuses.etl[datasetIndex],
+                        date_from: bucket.date,
+                        date_to: bucket.date
+                    });
+
+                case 'errors':
+                    return this.$panel.data('logs-url') + '&' + $.param({
+                        level: ['error', 'critical'],
+                        category: [Object.keys(this.data.events.errors_by_category)[index]],
+                        from: buckets[0].date,
+                        to: buckets[buckets.length - 1].date
+                    });
+            }
+        },
+
+        /**
+         * Open the log view behind a clicked bar
+         */
+        openLogs: function(name, index, datasetIndex) {
+            const url = this.logsUrl(name, index, datasetIndex);
+
+            if (url) {
+                window.location.href = url;
+            }
+        },
+
+        /**
+         * Bind the health panel's component and maintenance controls
+         */
+        bindHealthEvents: function() {
+            const self = this;
+
+            this.$health.on('click', '.system-component-reinit', function(e) {
+                e.preventDefault();
+                self.reinitComponent($(this));
+            });
+
+            this.$health.on('submit', '.system-maintenance-form', function(e) {
+                e.preventDefault();
+                self.saveMaintenance($(this));
+            });
+        },
+
+        /**
+         * Reload the health panel
+         */
+        loadHealth: function() {
+            const self = this;
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_system_health',
+                    nonce: wpCustomAPI.nonce
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.renderHealth(response.data);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Initialize a component again
+         */
+        reinitComponent: function($button) {
+            const self = this;
+            const component = $button.closest('.system-component').data('component');
+            const originalText = $button.text();
+
+            $button.prop('disabled', true).html('<span class="wp-custom-api-loading"></span>');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_reinit_component',
+                    nonce: wpCustomAPI.nonce,
+                    component: component
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || wpCustomAPI.i18n.error));
+                        return;
+                    }
+
+                    self.renderHealth(response.data);
+                    wpCustomAPI.showNotice('success', wpCustomAPI.escapeHtml(response.data.message));
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error));
+                    self.loadHealth();
+                },
+                complete: function() {
+                    $button.prop('disabled', false).text(originalText);
+                }
+            });
+        },
+
+        /**
+         * Turn maintenance mode on or off with its reason
+         */
+        saveMaintenance: function($form) {
+            const self = this;
+            const $button = $form.find('button[type="submit"]');
+            const originalText = $button.text();
+
+            $button.prop('disabled', true).html('<span class="wp-custom-api-loading"></span> Saving...');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_set_maintenance_mode',
+                    nonce: wpCustomAPI.nonce,
+                    enabled: $form.find('input[name="enabled"]').is(':checked') ? 1 : 0,
+                    reason: $form.find('textarea[name="reason"]').val()
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || wpCustomAPI.i18n.error));
+                        return;
+                    }
+
+                    self.renderHealth(response.data);
+                    wpCustomAPI.showNotice('success', wpCustomAPI.escapeHtml(response.data.message));
+                },
+                error: function() {
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(wpCustomAPI.i18n.error));
+                },
+                complete: function() {
+                    $button.prop('disabled', false).text(originalText);
+                }
+            });
+        },
+
+        /**
+         * Draw the health status, checks, components and maintenance state
+         */
+        renderHealth: function(data) {
+            const esc = wpCustomAPI.escapeHtml;
+            const status = data.maintenance.enabled ? 'maintenance' : data.health;
+            const label = this.healthLabels[status] || this.healthLabels.degraded;
+            const $form = this.$health.find('.system-maintenance-form');
+
+            this.$health.find('.system-health-status')
+                .attr('class', `system-health-status status-${status}`)
+                .html(`<span class="dashicons dashicons-${label[1]}"></span> <span class="system-health-label">${esc(label[0])}</span>`);
+
+            this.$health.find('.health-checks').html($.map(data.checks, check => `
+                <li class="health-check ${check.status ? 'pass' : 'fail'}">
+                    <span class="dashicons dashicons-${check.status ? 'yes' : 'dismiss'}"></span>
+                    ${esc(check.message)}
+                </li>
+            `).join(''));
+
+            this.$health.find('.system-components').html($.map(data.components, (component, name) => `
+                <li class="system-component component-${esc(component.status)}" data-component="${esc(name)}">
+                    <div class="system-component-header">
+                        <strong>${esc(name)}</strong>
+                        <span class="status-badge status-${esc(component.status)}">${esc(component.status)}</span>
+                        ${component.required ? '<span class="system-component-required">required</span>' : ''}
+                        <button type="button" class="button button-small system-component-reinit">Re-init</button>
+                    </div>
+                    <p class="description">${esc(component.description)}</p>
+                    ${component.error ? `<p class="system-component-error">${esc(component.error)}</p>` : ''}
+                </li>
+            `).join(''));
+
+            // Leave the form alone while it is being edited
+            if (!$form.find(':focus').length) {
+                $form.find('input[name="enabled"]').prop('checked', data.maintenance.enabled);
+                $form.find('textarea[name="reason"]').val(data.maintenance.reason);
+            }
+            $form.find('.system-maintenance-since').text(
+                data.maintenance.started_at ? 'On since ' + new Date(data.maintenance.started_at * 1000).toLocaleString() : ''
+            );
+
+            this.renderBanner(data);
+        },
+
+        /**
+         * Keep the status banner above the page in step with the panel
+         */
+        renderBanner: function(data) {
+            const esc = wpCustomAPI.escapeHtml;
+            const failed = Object.keys(data.components).filter(name => data.components[name].status === 'error');
+            let html = '';
+
+            if (data.maintenance.enabled) {
+                html += `<div class="notice notice-warning inline wp-custom-api-status-banner status-maintenance"><p>
+                    <strong>Maintenance mode is on.</strong>
+                    ${data.maintenance.reason ? 'Reason: ' + esc(data.maintenance.reason) : ''}
+                </p></div>`;
+            }
+
+            if (['degraded', 'error'].indexOf(data.status) !== -1 || failed.length) {
+                html += `<div class="notice notice-error inline wp-custom-api-status-banner status-degraded"><p>
+                    <strong>Custom API is running in a degraded state.</strong>
+                    ${failed.length ? 'Components that failed to start: ' + esc(failed.join(', ')) + '.' : ''}
+                    <a href="#wp-custom-api-system-health">View system health</a>
+                </p></div>`;
+            }
+
+            $('#wp-custom-api-status-banner').html(html);
+        }
+    };
+
+    $(document).ready(function() {
+        wpCustomAPIDashboard.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,533 @@
+/**
+ * Endpoint Builder - Handler and authentication configuration panels
+ *
+ * Renders the sub-form for the selected handler_type and permission_type on
+ * the endpoint edit screen and serializes it into the handler_config and
+ * permission_config JSON fields when the form is saved.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    const builderData = window.wpCustomAPIBuilderData || {
+        etlTemplates: [],
+        externalServices: [],
+        workflows: [],
+        callbacks: []
+    };
+
+    const SIGNATURE_ALGORITHMS = [
+        { value: 'sha256', label: 'SHA-256' },
+        { value: 'sha1', label: 'SHA-1' },
+        { value: 'sha512', label: 'SHA-512' },
+        { value: 'md5', label: 'MD5' }
+    ];
+
+    window.wpCustomAPIBuilder = {
+        /**
+         * Config fields per handler_type (keys match Endpoint_Manager / Webhook_Handler)
+         */
+        handlerFields: {
+            webhook: {
+                help: 'Stores every incoming payload in the webhook log and optionally hands it to an ETL template.',
+                fields: [
+                    { key: 'auto_etl_template_id', label: 'Auto ETL Template', type: 'etl_template', description: 'Queue an ETL job with this template for every received payload' },
+                    { key: 'success_message', label: 'Success Message', type: 'text', placeholder: 'Webhook received successfully' },
+                    { key: 'echo_payload', label: 'Echo Payload', type: 'checkbox', description: 'Include the parsed payload in the response' },
+                    { key: 'require_signature', label: 'Require Signature', type: 'checkbox', description: 'Reject requests whose HMAC signature does not match' },
+                    { key: 'signature_secret', label: 'Signature Secret', type: 'password', generate: true },
+                    { key: 'signature_header', label: 'Signature Header', type: 'text', placeholder: 'X-Webhook-Signature' },
+                    { key: 'signature_algorithm', label: 'Signature Algorithm', type: 'select', options: SIGNATURE_ALGORITHMS, default: 'sha256' },
+                    { key: 'signature_format', label: 'Signature Format', type: 'select', options: [
+                        { value: 'hex', label: 'Hex' },
+                        { value: 'base64', label: 'Base64' }
+                    ], default: 'hex' }
+                ]
+            },
+            action: {
+                help: 'Runs a workflow from the workflow designer and responds with its final data, or fires a WordPress action with the request data. Return an action response through the wp_custom_api_action_response_{action} filter.',
+                fields: [
+                    { key: 'workflow_id', label: 'Workflow', type: 'workflow', description: 'Takes precedence over the action name' },
+                    { key: 'action_name', label: 'Action Name', type: 'text', required: true, requiredUnless: 'workflow_id', placeholder: 'my_plugin_handle_request' }
+                ]
+            },
+            script: {
+                help: 'Runs a PHP callback registered with Hooks::register_endpoint_callback().',
+                fields: [
+                    { key: 'callback_name', label: 'Callback Name', type: 'callback', required: true }
+                ]
+            },
+            forward: {
+                help: 'Proxies the request to a configured external service.',
+                fields: [
+                    { key: 'external_service_id', label: 'External Service', type: 'external_service', required: true },
+                    { key: 'target_path', label: 'Target Path', type: 'text', placeholder: '/v1/orders' },
+                    { key: 'preserve_method', label: 'Preserve Method', type: 'checkbox', default: true, description: 'Forward with the incoming HTTP method' },
+                    { key: 'method', label: 'Forward Method', type: 'select', dependsOn: '!preserve_method', options: [
+                        { value: 'GET', label: 'GET' },
+                        { value: 'POST', label: 'POST' },
+                        { value: 'PUT', label: 'PUT' },
+                        { value: 'PATCH', label: 'PATCH' },
+                        { value: 'DELETE', label: 'DELETE' }
+                    ], default: 'POST' },
+                    { key: 'forward_headers', label: 'Forward Headers', type: 'checkbox', description: 'Copy selected incoming headers to the outgoing request' },
+                    { key: 'forward_header_list', label: 'Headers to Forward', type: 'list', dependsOn: 'forward_headers', placeholder: 'Content-Type\nAccept', description: 'One header name per line' },
+                    { key: 'custom_headers', label: 'Custom Headers', type: 'keyvalue', placeholder: 'X-Source: wordpress', description: 'One "Name: value" pair per line' }
+                ]
+            },
+            etl: {
+                help: 'Runs the request data through an ETL template and returns the job result.',
+                fields: [
+                    { key: 'template_id', label: 'ETL Template', type: 'etl_template', required: true }
+                ]
+            }
+        },
+
+        /**
+         * Config fields per permission_type (keys match Endpoint_Manager::check_permission)
+         */
+        permissionFields: {
+            public: {
+                help: 'No authentication. Anyone who knows the URL can call this endpoint.',
+                fields: []
+            },
+            api_key: {
+                help: 'Requests must send one of the configured keys in a header or query parameter.',
+                fields: [
+                    { key: 'api_keys', label: 'API Keys', type: 'list', required: true, generate: true, description: 'One key per line' },
+                    { key: 'api_key_header', label: 'Header Name', type: 'text', placeholder: 'X-API-Key' },
+                    { key: 'api_key_param', label: 'Query Parameter', type: 'text', placeholder: 'api_key' }
+                ]
+            },
+            signature: {
+                help: 'Requests must carry an HMAC of the raw body computed with the shared secret.',
+                fields: [
+                    { key: 'signature_secret', label: 'HMAC Secret', type: 'password', required: true, generate: true },
+                    { key: 'signature_header', label: 'Signature Header', type: 'text', placeholder: 'X-Webhook-Signature' },
+                    { key: 'signature_algorithm', label: 'Algorithm', type: 'select', options: SIGNATURE_ALGORITHMS, default: 'sha256' }
+                ]
+            },
+            token: {
+                help: 'Requests must send a valid plugin auth token, optionally prefixed with "Bearer".',
+                fields: [
+                    { key: 'token_header', label: 'Token Header', type: 'text', placeholder: 'Authorization' }
+                ]
+            },
+            ip_whitelist: {
+                help: 'Only requests from the listed addresses are accepted. An empty list allows everyone.',
+                fields: [
+                    { key: 'ip_whitelist', label: 'Allowed IPs', type: 'list', placeholder: '203.0.113.10\n10.0.0.0/8\n192.168.1.*', description: 'One address per line. CIDR and * wildcards are supported.' }
+                ]
+            }
+        },
+
+        /**
+         * Initialize the builder
+         */
+        init: function() {
+            const self = this;
+            const $form = $('#endpoint-form');
+
+            if (!$form.length) {
+                return;
+            }
+
+            this.panels = [
+                this.createPanel($('#handler-config-fields'), this.handlerFields),
+                this.createPanel($('#permission-config-fields'), this.permissionFields)
+            ].filter(Boolean);
+
+            this.panels.forEach(function(panel) {
+                self.renderPanel(panel);
+            });
+
+            this.bindEvents($form);
+        },
+
+        /**
+         * Create panel state from its container data attributes
+         */
+        createPanel: function($container, definitions) {
+            if (!$container.length) {
+                return null;
+            }
+
+            const $input = $($container.data('config-input'));
+            const $select = $($container.data('type-select'));
+
+            let saved = {};
+            try {
+                saved = JSON.parse($input.val() || '{}') || {};
+            } catch (e) {
+                saved = {};
+            }
+
+            // Keep whatever was saved under the type it was saved for
+            const drafts = {};
+            drafts[$select.val()] = Array.isArray(saved) ? {} : saved;
+
+            return {
+                $container: $container,
+                $input: $input,
+                $select: $select,
+                definitions: definitions,
+                drafts: drafts,
+                currentType: $select.val()
+            };
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function($form) {
+            const self = this;
+
+            this.panels.forEach(function(panel) {
+                panel.$select.on('change', function() {
+                    panel.drafts[panel.currentType] = self.collect(panel);
+                    panel.currentType = $(this).val();
+                    self.renderPanel(panel);
+                });
+
+                panel.$container.on('change', '[data-key]', function() {
+                    self.updateDependents(panel);
+                });
+
+                panel.$container.on('click', '.config-generate', function(e) {
+                    e.preventDefault();
+                    self.fillGenerated($(this).closest('.wp-custom-api-form-row').find('[data-key]'));
+                });
+            });
+
+            $form.on('submit', function(e) {
+                if (!self.serialize()) {
+                    e.preventDefault();
+                }
+            });
+        },
+
+        /**
+         * Render the sub-form for the panel's current type
+         */
+        renderPanel: function(panel) {
+            const self = this;
+            const definition = panel.definitions[panel.currentType];
+            const values = panel.drafts[panel.currentType] || {};
+
+            panel.$container.empty();
+
+            if (!definition) {
+                panel.$container.html('<p class="description">No configuration options for this type.</p>');
+                return;
+            }
+
+            let html = `<p class="description config-help">${wpCustomAPI.escapeHtml(definition.help)}</p>`;
+
+            if (!definition.fields.length) {
+                panel.$container.html(html);
+                return;
+            }
+
+            definition.fields.forEach(function(field) {
+                html += self.renderField(panel, field, values[field.key]);
+            });
+
+            panel.$container.html(html);
+            this.updateDependents(panel);
+        },
+
+        /**
+         * Render a single field row
+         */
+        renderField: function(panel, field, value) {
+            const esc = wpCustomAPI.escapeHtml;
+            const id = panel.$input.attr('id') + '-' + field.key;
+            const required = field.required ? ' <span style="color: red;">*</span>' : '';
+            const placeholder = field.placeholder ? ` placeholder="${esc(field.placeholder)}"` : '';
+            let input = '';
+
+            if (value === undefined) {
+                value = field.default;
+            }
+
+            switch (field.type) {
+                case 'checkbox':
+                    input = `
+                        <label class="wp-custom-api-toggle">
+                            <input type="checkbox" id="${id}" data-key="${field.key}" data-type="checkbox" ${value ? 'checked' : ''} />
+                            <span class="slider"></span>
+                        </label>
+                    `;
+                    break;
+
+                case 'select':
+                    input = `<select id="${id}" data-key="${field.key}" data-type="select">` +
+                        field.options.map(function(option) {
+                            const selected = String(option.value) === String(value) ? ' selected' : '';
+                            return `<option value="${esc(option.value)}"${selected}>${esc(option.label)}</option>`;
+                        }).join('') +
+                        '</select>';
+                    break;
+
+                case 'etl_template':
+                case 'external_service':
+                case 'workflow':
+                    input = this.renderEntitySelect(id, field, value);
+                    break;
+
+                case 'callback':
+                    input = `
+                        <input type="text" id="${id}" class="regular-text" data-key="${field.key}" data-type="text" list="${id}-list" value="${esc(value || '')}" />
+                        <datalist id="${id}-list">
+                            ${builderData.callbacks.map(name => `<option value="${esc(name)}"></option>`).join('')}
+                        </datalist>
+                    `;
+                    if (!builderData.callbacks.length) {
+                        field = $.extend({}, field, { description: 'No callbacks are registered yet. Register one with Hooks::register_endpoint_callback().' });
+                    }
+                    break;
+
+                case 'list':
+                    input = `<textarea id="${id}" rows="4" class="large-text code" data-key="${field.key}" data-type="list"${placeholder}>${esc(Array.isArray(value) ? value.join('\n') : (value || ''))}</textarea>`;
+                    break;
+
+                case 'keyvalue':
+                    input = `<textarea id="${id}" rows="4" class="large-text code" data-key="${field.key}" data-type="keyvalue"${placeholder}>${esc(this.formatKeyValue(value))}</textarea>`;
+                    break;
+
+                case 'password':
+                    input = `<input type="password" id="${id}" class="regular-text" autocomplete="new-password" data-key="${field.key}" data-type="text" value="${esc(value || '')}"${placeholder} />`;
+                    break;
+
+                default:
+                    input = `<input type="text" id="${id}" class="regular-text" data-key="${field.key}" data-type="text" value="${esc(value === undefined || value === null ? '' : value)}"${placeholder} />`;
+            }
+
+            if (field.generate) {
+                input += ' <button type="button" class="button config-generate">Generate</button>';
+            }
+
+            const description = field.description ? `<p class="description">${esc(field.description)}</p>` : '';
+            const dependsOn = field.dependsOn ? ` data-depends-on="${field.dependsOn}"` : '';
+
+            return `
+                <div class="wp-custom-api-form-row"${dependsOn}>
+                    <label for="${id}">${esc(field.label)}${required}</label>
+                    <div>${input}${description}</div>
+                </div>
+            `;
+        },
+
+        /**
+         * Render a picker for ETL templates, external services or workflows
+         */
+        renderEntitySelect: function(id, field, value) {
+            const esc = wpCustomAPI.escapeHtml;
+            const source = {
+                etl_template: { items: builderData.etlTemplates, page: 'etl-templates', empty: '— Select template —' },
+                external_service: { items: builderData.externalServices, page: 'external-services', empty: '— Select service —' },
+                workflow: { items: builderData.workflows || [], page: 'workflows', empty: '— No workflow —' }
+            }[field.type];
+            const items = source.items;
+            const manageUrl = 'admin.php?page=wp-custom-api-' + source.page;
+
+            let options = `<option value="">${source.empty}</option>`;
+            let found = !value;
+
+            items.forEach(function(item) {
+                const selected = String(item.id) === String(value) ? ' selected' : '';
+                const suffix = item.is_active ? '' : ' (inactive)';
+                found = found || selected !== '';
+                options += `<option value="${item.id}"${selected}>${esc(item.name)}${suffix} (#${item.id})</option>`;
+            });
+
+            // Keep a stale reference selectable so saving doesn't silently drop it
+            if (!found) {
+                options += `<option value="${esc(value)}" selected>Missing #${esc(value)}</option>`;
+            }
+
+            return `
+                <select id="${id}" data-key="${field.key}" data-type="id">${options}</select>
+                <a href="${manageUrl}" target="_blank" class="button-link">Manage</a>
+            `;
+        },
+
+        /**
+         * Show or hide rows that depend on a checkbox in the same panel
+         */
+        updateDependents: function(panel) {
+            panel.$container.find('[data-depends-on]').each(function() {
+                const rule = $(this).data('depends-on');
+                const negate = rule.charAt(0) === '!';
+                const key = negate ? rule.slice(1) : rule;
+                const checked = panel.$container.find(`[data-key="${key}"]`).is(':checked');
+
+                $(this).toggle(negate ? !checked : checked);
+            });
+        },
+
+        /**
+         * Fill a field with a random secret
+         */
+        fillGenerated: function($field) {
+            const bytes = new Uint8Array(32);
+            window.crypto.getRandomValues(bytes);
+            const secret = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+            if ($field.data('type') === 'list') {
+                const current = $field.val().trim();
+                $field.val(current ? current + '\n' + secret : secret);
+            } else {
+                $field.attr('type', 'text').val(secret);
+            }
+
+            $field.trigger('change');
+        },
+
+        /**
+         * Collect the panel's values into a config object
+         */
+        collect: function(panel) {
+            const self = this;
+            const definition = panel.definitions[panel.currentType];
+            const previous = panel.drafts[panel.currentType] || {};
+            const config = {};
+
+            if (!definition) {
+                return $.extend({}, previous);
+            }
+
+            const knownKeys = definition.fields.map(field => field.key);
+
+            // Preserve keys the builder doesn't know about (hand-edited configs)
+            Object.keys(previous).forEach(function(key) {
+                if (knownKeys.indexOf(key) === -1) {
+                    config[key] = previous[key];
+                }
+            });
+
+            panel.$container.find('[data-key]').each(function() {
+                const $field = $(this);
+                const key = $field.data('key');
+
+                // Skip rows switched off by their dependency
+                if ($field.closest('[data-depends-on]').css('display') === 'none') {
+                    return;
+                }
+
+                const value = self.readField($field);
+
+                if (value !== null) {
+                    config[key] = value;
+                }
+            });
+
+            return config;
+        },
+
+        /**
+         * Read a typed value from a field, or null when empty
+         */
+        readField: function($field) {
+            const raw = $field.val();
+
+            switch ($field.data('type')) {
+                case 'checkbox':
+                    return $field.is(':checked');
+
+                case 'id':
+                    return raw ? parseInt(raw, 10) : null;
+
+                case 'list': {
+                    const items = raw.split('\n').map(line => line.trim()).filter(Boolean);
+                    return items.length ? items : null;
+                }
+
+                case 'keyvalue': {
+                    const pairs = this.parseKeyValue(raw);
+                    return Object.keys(pairs).length ? pairs : null;
+                }
+
+                default:
+                    return raw !== '' ? raw : null;
+            }
+        },
+
+        /**
+         * Parse "Name: value" lines into an object
+         */
+        parseKeyValue: function(text) {
+            const pairs = {};
+
+            text.split('\n').forEach(function(line) {
+                const index = line.indexOf(':');
+                if (index > 0) {
+                    pairs[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+                }
+            });
+
+            return pairs;
+        },
+
+        /**
+         * Format an object as "Name: value" lines
+         */
+        formatKeyValue: function(value) {
+            if (!value || typeof value !== 'object') {
+                return '';
+            }
+
+            return Object.keys(value).map(key => `${key}: ${value[key]}`).join('\n');
+        },
+
+        /**
+         * Get labels of required fields left empty in a panel
+         */
+        validate: function(panel, config) {
+            const definition = panel.definitions[panel.currentType];
+
+            if (!definition) {
+                return [];
+            }
+
+            return definition.fields
+                .filter(field => field.required && !(field.requiredUnless && config[field.requiredUnless]))
+                .filter(field => config[field.key] === undefined || config[field.key] === '')
+                .map(field => field.label);
+        },
+
+        /**
+         * Write every panel into its hidden JSON input
+         *
+         * @return {boolean} False when a required field is missing
+         */
+        serialize: function() {
+            const self = this;
+            let valid = true;
+
+            this.panels.forEach(function(panel) {
+                const config = self.collect(panel);
+                const missing = self.validate(panel, config);
+
+                panel.$input.val(JSON.stringify(config));
+
+                if (missing.length && valid) {
+                    valid = false;
+                    const tabId = panel.$container.closest('.wp-custom-api-tab-panel').attr('id');
+                    $(`.wp-custom-api-tabs .nav-tab[data-tab="${tabId}"]`).trigger('click');
+                    wpCustomAPI.showNotice('error', 'Please fill in: ' + missing.map(wpCustomAPI.escapeHtml).join(', '));
+                }
+            });
+
+            return valid;
+        }
+    };
+
+    // Initialize on document ready
+    $(document).ready(function() {
+        wpCustomAPIBuilder.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,553 @@
+/**
+ * Endpoint Revisions - Revision history and unsaved change warnings on the endpoint edit form
+ *
+ * Lists the revisions recorded for the endpoint, shows a side-by-side diff of
+ * a revision's configuration against the revision before it or against the
+ * current configuration, and rolls the endpoint back to a revision. Tabs
+ * with unsaved changes are marked, and leaving them or the page warns.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPIRevisions = {
+        /**
+         * Unchanged lines kept around each change in a diff
+         */
+        context: 3,
+
+        endpointId: 0,
+        revisions: [],
+        initialState: {},
+        dirtyTabs: [],
+        activeTab: '',
+        submitting: false,
+
+        /**
+         * Initialize change tracking and the revision panel
+         */
+        init: function() {
+            if (!$('#endpoint-form').length) {
+                return;
+            }
+
+            this.initChangeTracking();
+
+            const $panel = $('#endpoint-revisions');
+
+            if ($panel.length) {
+                this.endpointId = parseInt($panel.attr('data-endpoint-id'), 10) || 0;
+                this.bindRevisionEvents();
+                this.loadRevisions();
+            }
+        },
+
+        /**
+         * Snapshot the form and watch it for changes
+         */
+        initChangeTracking: function() {
+            const self = this;
+            const $form = $('#endpoint-form');
+
+            this.initialState = this.getState();
+
+            $form.on('input change', ':input', function() {
+                // Let handlers that sync hidden fields run first
+                setTimeout(function() {
+                    self.updateDirtyTabs();
+                }, 0);
+            });
+
+            $form.find('textarea').each(function() {
+                const instance = $(this).data('codeEditor');
+
+                if (instance && instance.codemirror) {
+                    instance.codemirror.on('change', function() {
+                        self.updateDirtyTabs();
+                    });
+                }
+            });
+
+            this.activeTab = $('.wp-custom-api-tabs .nav-tab-active').data('tab') || '';
+
+            $('.wp-custom-api-tabs .nav-tab[data-tab]').on('click', function() {
+                const leaving = self.activeTab;
+                self.activeTab = $(this).data('tab');
+
+                if (leaving !== self.activeTab && self.dirtyTabs.indexOf(leaving) !== -1) {
+                    self.showUnsavedNotice();
+                }
+            });
+
+            $form.on('click', '.endpoint-unsaved-save', function(e) {
+                e.preventDefault();
+                $form.find('button[name="wp_custom_api_save_endpoint"]').trigger('click');
+            });
+
+            $form.on('click', '.endpoint-unsaved-notice .notice-dismiss', function() {
+                $(this).closest('.endpoint-unsaved-notice').remove();
+            });
+
+            $form.on('submit', function(e) {
+                // The schema editor cancels submits with invalid JSON
+                self.submitting = !e.isDefaultPrevented();
+            });
+
+            $(window).on('beforeunload', function(e) {
+                if (self.submitting || !self.dirtyTabs.length) {
+                    return undefined;
+                }
+
+                const message = 'You have unsaved changes to this endpoint. Leave the page anyway?';
+                e.preventDefault();
+                e.returnValue = message;
+
+                return message;
+            });
+        },
+
+        /**
+         * Serialized values of the submitted fields, per tab
+         */
+        getState: function() {
+            const state = {};
+
+            $('#endpoint-form .wp-custom-api-tab-panel').each(function() {
+                const values = [];
+
+                $(this).find(':input[name]').not('button').each(function() {
+                    const $input = $(this);
+                    const instance = $input.is('textarea') ? $input.data('codeEditor') : null;
+                    let value;
+
+                    if (instance && instance.codemirror) {
+                        value = instance.codemirror.getValue();
+                    } else if ($input.is(':checkbox, :radio')) {
+                        value = $input.is(':checked');
+                    } else {
+                        value = $input.val();
+                    }
+
+                    values.push([$input.attr('name'), value]);
+                });
+
+                state[this.id] = JSON.stringify(values);
+            });
+
+            return state;
+        },
+
+        /**
+         * Compare the form with its initial state and mark the changed tabs
+         */
+        updateDirtyTabs: function() {
+            const self = this;
+            const state = this.getState();
+
+            this.dirtyTabs = Object.keys(state).filter(function(tab) {
+                return state[tab] !== self.initialState[tab];
+            });
+
+            $('.wp-custom-api-tabs .nav-tab[data-tab]').each(function() {
+                const $tab = $(this);
+                const dirty = self.dirtyTabs.indexOf($tab.data('tab')) !== -1;
+
+                $tab.toggleClass('has-unsaved-changes', dirty)
+                    .attr('title', dirty ? 'This tab has unsaved changes' : null);
+            });
+
+            if (!this.dirtyTabs.length) {
+                $('.endpoint-unsaved-notice').remove();
+            }
+        },
+
+        /**
+         * Warn that changes on other tabs have not been saved yet
+         */
+        showUnsavedNotice: function() {
+            const esc = wpCustomAPI.escapeHtml;
+            const names = this.dirtyTabs.map(function(tab) {
+                return $.trim($(`.wp-custom-api-tabs .nav-tab[data-tab="${tab}"]`).text());
+            });
+
+            const html = `
+                <div class="notice notice-warning endpoint-unsaved-notice">
+                    <p>
+                        Unsaved changes on: <strong>${esc(names.join(', '))}</strong>.
+                        They are kept while you switch tabs, but are lost if you leave the page without saving.
+                        <a href="#" class="endpoint-unsaved-save">Save now</a>
+                    </p>
+                    <button type="button" class="notice-dismiss"><span class="screen-reader-text">Dismiss this notice.</span></button>
+                </div>
+            `;
+
+            $('.endpoint-unsaved-notice').remove();
+            $('#endpoint-form .wp-custom-api-tabs').before(html);
+        },
+
+        /**
+         * Bind the revision panel's buttons
+         */
+        bindRevisionEvents: function() {
+            const self = this;
+            const $panel = $('#endpoint-revisions');
+
+            $panel.on('click', '.endpoint-revision-compare', function(e) {
+                e.preventDefault();
+                self.showDiff(parseInt($(this).attr('data-revision-id'), 10), 'previous');
+            });
+
+            $panel.on('change', '.endpoint-revision-diff-target', function() {
+                self.showDiff(parseInt($(this).attr('data-revision-id'), 10), $(this).val());
+            });
+
+            $panel.on('click', '.endpoint-revision-diff-close', function(e) {
+                e.preventDefault();
+                $panel.find('.endpoint-revision-diff').prop('hidden', true).empty();
+                $panel.find('.endpoint-revisions-table tr').removeClass('is-selected');
+            });
+
+            $panel.on('click', '.endpoint-revision-restore', function(e) {
+                e.preventDefault();
+                self.restore(parseInt($(this).attr('data-revision-id'), 10), $(this));
+            });
+        },
+
+        /**
+         * Load the revision list
+         */
+        loadRevisions: function() {
+            const self = this;
+            const $list = $('#endpoint-revisions .endpoint-revisions-list');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_endpoint_revisions',
+                    nonce: wpCustomAPI.nonce,
+                    endpoint_id: this.endpointId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.revisions = response.data.revisions || [];
+                        self.renderRevisions();
+                    } else {
+                        $list.html(`<p class="description">${wpCustomAPI.escapeHtml(response.data.message || 'Could not load revisions.')}</p>`);
+                    }
+                },
+                error: function() {
+                    $list.html('<p class="description">Could not load revisions.</p>');
+                }
+            });
+        },
+
+        /**
+         * Render the revision table
+         */
+        renderRevisions: function() {
+            const esc = wpCustomAPI.escapeHtml;
+            const $list = $('#endpoint-revisions .endpoint-revisions-list');
+
+            if (!this.revisions.length) {
+                $list.html('<p class="description">No revisions yet. The next save records the current configuration first.</p>');
+                return;
+            }
+
+            const rows = this.revisions.map(function(revision) {
+                const current = revision.is_current ? ' <span class="endpoint-revision-current">Current</span>' : '';
+                const restore = revision.is_current ? '' : `
+                    <button type="button" class="button button-small endpoint-revision-restore" data-revision-id="${revision.id}">Restore</button>
+                `;
+
+                return `
+                    <tr data-revision-id="${revision.id}">
+                        <td><strong>${esc(revision.created_at)}</strong>${current}</td>
+                        <td>${esc(revision.author)}</td>
+                        <td>${revision.note ? esc(revision.note) : '<span class="description">Saved</span>'}</td>
+                        <td class="endpoint-revision-actions">
+                            <button type="button" class="button button-small endpoint-revision-compare" data-revision-id="${revision.id}">Compare</button>
+                            ${restore}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+
+            $list.html(`
+                <table class="widefat striped endpoint-revisions-table">
+                    <thead>
+                        <tr>
+                            <th>Saved</th>
+                            <th>Author</th>
+                            <th>Note</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `);
+        },
+
+        /**
+         * Fetch a revision and show its diff
+         *
+         * "previous" shows what the save changed, "current" what restoring it
+         * would change.
+         */
+        showDiff: function(revisionId, target) {
+            const self = this;
+            const $diff = $('#endpoint-revisions .endpoint-revision-diff');
+
+            $('#endpoint-revisions .endpoint-revisions-table tr').removeClass('is-selected')
+                .filter(`[data-revision-id="${revisionId}"]`).addClass('is-selected');
+
+            $diff.prop('hidden', false).html('<p><span class="wp-custom-api-loading"></span> Loading revision...</p>');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_endpoint_revision',
+                    nonce: wpCustomAPI.nonce,
+                    revision_id: revisionId
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $diff.html(`<p class="description">${wpCustomAPI.escapeHtml(response.data.message || 'Could not load the revision.')}</p>`);
+                        return;
+                    }
+
+                    self.renderDiff(revisionId, target, response.data);
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    $diff.html(`<p class="description">${wpCustomAPI.escapeHtml(message || 'Could not load the revision.')}</p>`);
+                }
+            });
+        },
+
+        /**
+         * Render the side-by-side diff of a fetched revision
+         */
+        renderDiff: function(revisionId, target, data) {
+            const esc = wpCustomAPI.escapeHtml;
+            const revision = this.revisions.find(function(item) {
+                return item.id === revisionId;
+            }) || { created_at: '' };
+
+            let left, right, leftLabel, rightLabel;
+
+            if (target === 'current') {
+                left = data.current;
+                right = data.config;
+                leftLabel = 'Current configuration';
+                rightLabel = `Revision of ${revision.created_at}`;
+            } else {
+                left = data.previous;
+                right = data.config;
+                leftLabel = data.previous ? 'Previous revision' : 'No earlier revision';
+                rightLabel = `Revision of ${revision.created_at}`;
+            }
+
+            const oldLines = left ? JSON.stringify(left, null, 2).split('\n') : [];
+            const newLines = JSON.stringify(right || {}, null, 2).split('\n');
+            const ops = this.diffLines(oldLines, newLines);
+            const added = ops.filter(function(op) { return op.type === 'insert'; }).length;
+            const removed = ops.filter(function(op) { return op.type === 'delete'; }).length;
+
+            let summary;
+
+            if (!added && !removed) {
+                summary = target === 'current'
+                    ? 'This revision matches the current configuration.'
+                    : 'No changes to the configuration in this revision.';
+            } else {
+                summary = `<span class="diff-added-count">+${added}</span> <span class="diff-removed-count">-${removed}</span> lines`;
+            }
+
+            $('#endpoint-revisions .endpoint-revision-diff').html(`
+                <div class="endpoint-revision-diff-header">
+                    <label>
+                        Compare with
+                        <select class="endpoint-revision-diff-target" data-revision-id="${revisionId}">
+                            <option value="previous"${target === 'previous' ? ' selected' : ''}>Previous revision (changes made in this save)</option>
+                            <option value="current"${target === 'current' ? ' selected' : ''}>Current configuration (changes a restore would make)</option>
+                        </select>
+                    </label>
+                    <span class="endpoint-revision-diff-summary">${summary}</span>
+                    <a href="#" class="endpoint-revision-diff-close">Close</a>
+                </div>
+                <table class="endpoint-revision-diff-table">
+                    <thead>
+                        <tr>
+                            <th colspan="2">${esc(leftLabel)}</th>
+                            <th colspan="2">${esc(rightLabel)}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${this.renderDiffRows(ops)}</tbody>
+                </table>
+                <p class="description">Secrets are masked. A changed fingerprint means the secret changed.</p>
+            `);
+        },
+
+        /**
+         * Line diff from the longest common subsequence
+         *
+         * Returns [{type: 'equal'|'delete'|'insert', oldLine, newLine, text}].
+         */
+        diffLines: function(oldLines, newLines) {
+            const n = oldLines.length;
+            const m = newLines.length;
+            const lengths = [];
+
+            for (let i = n; i >= 0; i--) {
+                lengths[i] = new Array(m + 1).fill(0);
+
+                for (let j = m - 1; i < n && j >= 0; j--) {
+                    lengths[i][j] = oldLines[i] === newLines[j]
+                        ? lengths[i + 1][j + 1] + 1
+                        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+
+            const ops = [];
+            let i = 0;
+            let j = 0;
+
+            while (i < n || j < m) {
+                if (i < n && j < m && oldLines[i] === newLines[j]) {
+                    ops.push({ type: 'equal', oldLine: i + 1, newLine: j + 1, text: oldLines[i] });
+                    i++;
+                    j++;
+                } else if (j < m && (i === n || lengths[i][j + 1] >= lengths[i + 1][j])) {
+                    ops.push({ type: 'insert', newLine: j + 1, text: newLines[j] });
+                    j++;
+                } else {
+                    ops.push({ type: 'delete', oldLine: i + 1, text: oldLines[i] });
+                    i++;
+                }
+            }
+
+            return ops;
+        },
+
+        /**
+         * Side-by-side rows: removed and added lines are paired, long unchanged runs collapsed
+         */
+        renderDiffRows: function(ops) {
+            const esc = wpCustomAPI.escapeHtml;
+            const context = this.context;
+            const changed = ops.some(function(op) { return op.type !== 'equal'; });
+            const rows = [];
+            let index = 0;
+
+            const cells = function(line, text, type) {
+                if (!line) {
+                    return '<td class="diff-line-number"></td><td class="diff-empty"></td>';
+                }
+
+                return `<td class="diff-line-number">${line}</td><td class="diff-${type}"><code>${esc(text)}</code></td>`;
+            };
+
+            while (index < ops.length) {
+                if (ops[index].type === 'equal') {
+                    let end = index;
+
+                    while (end < ops.length && ops[end].type === 'equal') {
+                        end++;
+                    }
+
+                    const keepStart = index === 0 ? 0 : context;
+                    const keepEnd = end === ops.length ? 0 : context;
+                    const hidden = changed ? (end - index) - keepStart - keepEnd : 0;
+
+                    for (let k = index; k < end; k++) {
+                        const offset = k - index;
+
+                        if (hidden > 1 && offset === keepStart) {
+                            rows.push(`<tr class="diff-collapsed"><td colspan="4">${hidden} unchanged lines</td></tr>`);
+                            k += hidden - 1;
+                            continue;
+                        }
+
+                        rows.push(`<tr>${cells(ops[k].oldLine, ops[k].text, 'equal')}${cells(ops[k].newLine, ops[k].text, 'equal')}</tr>`);
+                    }
+
+                    index = end;
+                    continue;
+                }
+
+                const removed = [];
+                const added = [];
+
+                while (index < ops.length && ops[index].type !== 'equal') {
+                    (ops[index].type === 'delete' ? removed : added).push(ops[index]);
+                    index++;
+                }
+
+                for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+                    const left = removed[k] ? cells(removed[k].oldLine, removed[k].text, 'delete') : cells(0);
+                    const right = added[k] ? cells(added[k].newLine, added[k].text, 'insert') : cells(0);
+
+                    rows.push(`<tr>${left}${right}</tr>`);
+                }
+            }
+
+            return rows.join('');
+        },
+
+        /**
+         * Roll the endpoint back to a revision and reload the form
+         */
+        restore: function(revisionId, $button) {
+            const self = this;
+            const revision = this.revisions.find(function(item) {
+                return item.id === revisionId;
+            });
+
+            let message = `Roll this endpoint back to the revision of ${revision ? revision.created_at : revisionId}? The current configuration stays in the history.`;
+
+            if (this.dirtyTabs.length) {
+                message += '\n\nYour unsaved changes in the form will be discarded.';
+            }
+
+            if (!confirm(message)) {
+                return;
+            }
+
+            $button.prop('disabled', true);
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_custom_api_restore_endpoint_revision',
+                    nonce: wpCustomAPI.nonce,
+                    revision_id: revisionId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        wpCustomAPI.showNotice('success', wpCustomAPI.escapeHtml(response.data.message));
+                        self.submitting = true;
+                        window.location.reload();
+                    } else {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || 'Rollback failed.'));
+                        $button.prop('disabled', false);
+                    }
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(message || 'Rollback failed.'));
+                    $button.prop('disabled', false);
+                }
+            });
+        }
+    };
+
+    $(document).ready(function() {
+        wpCustomAPIRevisions.init();
+    });
+
+})(jQuery);
@@ -8,6 +8,22 @@
     'use strict';
 
     window.wpCustomAPITester = {
+        /**
+         * JSONPath assertion operators
+         */
+        jsonPathOperators: {
+            equals: 'equals',
+            not_equals: 'does not equal',
+            contains: 'contains',
+            exists: 'exists',
+            not_exists: 'does not exist'
+        },
+
+        /**
+         * Methods whose request schema describes query parameters
+         */
+        queryMethods: ['GET', 'DELETE'],
+
         /**
          * Initialize the tester
          */
@@ -29,9 +45,57 @@
                             <button type="button" class="wp-custom-api-modal-close">&times;</button>
                         </div>
                         <div class="wp-custom-api-modal-body">
+                            <div class="test-collections">
+                                <div class="test-collections-bar">
+                                    <select id="test-case-select">
+                                        <option value="">New request</option>
+                                    </select>
+                                    <button type="button" class="button" id="replay-test-case">Replay</button>
+                                    <button type="button" class="button" id="save-test-case">Save</button>
+                                    <button type="button" class="button" id="save-test-case-as">Save As&hellip;</button>
+                                    <button type="button" class="button-link" id="delete-test-case" style="color: #b32d2e;">Delete</button>
+                                    <span class="test-collections-spacer"></span>
+                                    <button type="button" class="button" id="export-test-cases">Export</button>
+                                    <button type="button" class="button" id="import-test-cases">Import</button>
+                                    <input type="file" id="import-test-cases-file" accept=".json,application/json" style="display:none;" />
+                                </div>
+                                <details class="test-history">
+                                    <summary>History (<span id="test-history-count">0</span>)</summary>
+                                    <ul id="test-history-list"></ul>
+                                </details>
+                            </div>
+
                             <div class="test-request-builder">
                                 <h3>Request Configuration</h3>
 
+                                <div class="form-group test-auth">
+                                    <label for="test-auth-mode">Auth</label>
+                                    <p class="description test-auth-summary"></p>
+                                    <select id="test-auth-mode">
+                                        <option value="auto">Use endpoint authentication</option>
+                                        <option value="none">No authentication</option>
+                                    </select>
+
+                                    <div class="test-auth-options" data-auth="signature" style="display:none;">
+                                        <label>
+                                            <input type="checkbox" id="test-auth-invalid-signature" />
+                                            Send an invalid signature to test rejection
+                                        </label>
+                                    </div>
+
+                                    <div class="test-auth-options" data-auth="api_key" style="display:none;">
+                                        <select id="test-auth-api-key-location">
+                                            <option value="header">Send in header</option>
+                                            <option value="query">Send as query parameter</option>
+                                        </select>
+                                        <input type="text" id="test-auth-api-key" placeholder="First configured key" />
+                                    </div>
+
+                                    <div class="test-auth-options" data-auth="token" style="display:none;">
+                                        <input type="text" id="test-auth-token" class="large-text" placeholder="Auth token (sent as Bearer)" />
+                                    </div>
+                                </div>
+
                                 <div class="form-group">
                                     <label>HTTP Headers</label>
                                     <div id="test-headers-container">
@@ -57,8 +121,59 @@
                                 </div>
 
                                 <div class="form-group">
-                                    <label>Request Body (JSON)</label>
-                                    <textarea id="test-body" rows="8" class="large-text code" placeholder='{"key": "value"}'></textarea>
+                                    <label for="test-body-type">Request Body</label>
+                                    <button type="button" class="button button-small test-generate-example" style="display:none;">Generate Example</button>
+                                    <select id="test-body-type">
+                                        <option value="json">JSON</option>
+                                        <option value="form">x-www-form-urlencoded</option>
+                                        <option value="raw">Raw (text, XML, ...)</option>
+                                        <option value="multipart">Multipart form-data</option>
+                                    </select>
+
+                                    <div class="test-body-panel" data-body-type="json">
+                                        <textarea id="test-body" rows="8" class="large-text code" placeholder='{"key": "value"}'></textarea>
+                                    </div>
+
+                                    <div class="test-body-panel" data-body-type="form" style="display:none;">
+                                        <div id="test-form-container"></div>
+                                        <button type="button" class="button add-form-field">Add Field</button>
+                                    </div>
+
+                                    <div class="test-body-panel" data-body-type="raw" style="display:none;">
+                                        <div class="test-raw-content-type">
+                                            <label for="test-raw-content-type">Content-Type</label>
+                                            <select id="test-raw-content-type">
+                                                <option value="text/plain">text/plain</option>
+                                                <option value="application/xml">application/xml</option>
+                                                <option value="text/xml">text/xml</option>
+                                                <option value="text/csv">text/csv</option>
+                                                <option value="text/html">text/html</option>
+                                                <option value="custom">Custom...</option>
+                                            </select>
+                                            <input type="text" id="test-raw-content-type-custom" placeholder="application/vnd.example+xml" style="display:none;" />
+                                        </div>
+                                        <textarea id="test-raw-body" rows="8" class="large-text code"></textarea>
+                                    </div>
+
+                                    <div class="test-body-panel" data-body-type="multipart" style="display:none;">
+                                        <div id="test-multipart-container"></div>
+                                        <button type="button" class="button add-multipart-field">Add Part</button>
+                                    </div>
+
+                                    <div class="test-request-validation" aria-live="polite" style="display:none;"></div>
+                                </div>
+
+                                <div class="form-group">
+                                    <label>Assertions</label>
+                                    <div id="test-assertions-container"></div>
+                                    <select id="test-assertion-type">
+                                        <option value="status">Status code</option>
+                                        <option value="json_path">JSONPath</option>
+                                        <option value="header">Header present</option>
+                                        <option value="max_duration">Max duration</option>
+                                        <option value="response_schema">Matches response schema</option>
+                                    </select>
+                                    <button type="button" class="button add-assertion">Add Assertion</button>
                                 </div>
 
                                 <div class="form-group">
@@ -74,35 +189,7 @@
                             <div id="test-results" style="display:none;">
                                 <hr>
                                 <h3>Response</h3>
-
-                                <div class="test-response-meta">
-                                    <span class="status-code"></span>
-                                    <span class="duration"></span>
-                                    <span class="memory"></span>
-                                </div>
-
-                                <div class="test-tabs">
-                                    <button type="button" class="test-tab active" data-tab="body">Body</button>
-                                    <button type="button" class="test-tab" data-tab="headers">Headers</button>
-                                    <button type="button" class="test-tab" data-tab="request">Request</button>
-                                    <button type="button" class="test-tab" data-tab="curl">cURL</button>
-                                </div>
-
-                                <div class="test-tab-content">
-                                    <div id="test-tab-body" class="test-tab-panel active">
-                                        <pre><code id="response-body"></code></pre>
-                                    </div>
-                                    <div id="test-tab-headers" class="test-tab-panel">
-                                        <pre><code id="response-headers"></code></pre>
-                                    </div>
-                                    <div id="test-tab-request" class="test-tab-panel">
-                                        <pre><code id="request-details"></code></pre>
-                                    </div>
-                                    <div id="test-tab-curl" class="test-tab-panel">
-                                        <pre><code id="curl-command"></code></pre>
-                                        <button type="button" class="button" id="copy-curl">Copy to Clipboard</button>
-                                    </div>
-                                </div>
+                                <div id="test-result-viewer"></div>
                             </div>
                         </div>
                     </div>
@@ -150,227 +237,1354 @@
                 $(this).closest('.param-row').remove();
             });
 
+            // Auth
+            $(document).on('change', '#test-auth-mode', function() {
+                self.renderAuthOptions();
+            });
+
+            // Body type
+            $(document).on('change', '#test-body-type', function() {
+                self.switchBodyType($(this).val());
+            });
+
+            $(document).on('change', '#test-raw-content-type', function() {
+                $('#test-raw-content-type-custom').toggle($(this).val() === 'custom');
+            });
+
+            $(document).on('click', '.add-form-field', function() {
+                self.addFormFieldRow();
+            });
+
+            $(document).on('click', '.add-multipart-field', function() {
+                self.addMultipartRow();
+            });
+
+            $(document).on('click', '.remove-body-field', function() {
+                $(this).closest('.form-field-row, .multipart-field-row').remove();
+            });
+
+            $(document).on('change', '.multipart-field-row .multipart-kind', function() {
+                const isFile = $(this).val() === 'file';
+                $(this).closest('.multipart-field-row')
+                    .find('.multipart-value').toggle(!isFile).end()
+                    .find('.multipart-file, .multipart-file-hint').toggle(isFile);
+            });
+
             // Execute test
             $(document).on('click', '#execute-test', function() {
                 self.executeTest();
             });
 
+            // Request schema
+            $(document).on('click', '.test-generate-example', function() {
+                self.generateExample();
+            });
+
+            $(document).on('input change', '#test-body, #test-body-type, #test-params-container input, #test-form-container input', function() {
+                self.scheduleValidation();
+            });
+
+            $(document).on('click', '.remove-param, .remove-body-field', function() {
+                self.scheduleValidation();
+            });
+
             // Clear form
             $(document).on('click', '#clear-test', function() {
                 self.clearForm();
             });
 
-            // Tab switching
-            $(document).on('click', '.test-tab', function() {
-                const tab = $(this).data('tab');
-                $('.test-tab').removeClass('active');
-                $(this).addClass('active');
-                $('.test-tab-panel').removeClass('active');
-                $('#test-tab-' + tab).addClass('active');
+            // Assertions
+            $(document).on('click', '.add-assertion', function() {
+                self.addAssertionRow({ type: $('#test-assertion-type').val() });
             });
 
-            // Copy cURL
-            $(document).on('click', '#copy-curl', function() {
-                const curlCommand = $('#curl-command').text();
-                navigator.clipboard.writeText(curlCommand).then(function() {
-                    alert('cURL command copied to clipboard!');
-                });
+            $(document).on('click', '.remove-assertion', function() {
+                $(this).closest('.assertion-row').remove();
+            });
+
+            $(document).on('change', '.assertion-row [data-field="operator"]', function() {
+                const hidden = $(this).val() === 'exists' || $(this).val() === 'not_exists';
+                $(this).closest('.assertion-row').find('[data-field="expected"]').toggle(!hidden);
+            });
+
+            // Run every saved test case (endpoints list)
+            $(document).on('click', '.wp-custom-api-run-all-tests', function(e) {
+                e.preventDefault();
+                self.runAllTests($(this));
+            });
+
+            // Load a saved test case into the form
+            $(document).on('change', '#test-case-select', function() {
+                const testCase = self.findTestCase($(this).val());
+                if (testCase) {
+                    self.setRequestData(testCase.request);
+                    self.setAssertions(testCase.assertions);
+                }
+            });
+
+            // Replay the selected test case
+            $(document).on('click', '#replay-test-case', function() {
+                const testCase = self.findTestCase($('#test-case-select').val());
+                if (testCase) {
+                    self.setRequestData(testCase.request);
+                    self.setAssertions(testCase.assertions);
+                }
+                self.executeTest();
+            });
+
+            // Save test case
+            $(document).on('click', '#save-test-case', function() {
+                self.saveTestCase(false);
+            });
+
+            $(document).on('click', '#save-test-case-as', function() {
+                self.saveTestCase(true);
+            });
+
+            // Delete test case
+            $(document).on('click', '#delete-test-case', function() {
+                self.deleteTestCase();
+            });
+
+            // Export / import collection
+            $(document).on('click', '#export-test-cases', function() {
+                self.exportCollection();
+            });
+
+            $(document).on('click', '#import-test-cases', function() {
+                $('#import-test-cases-file').val('').trigger('click');
+            });
+
+            $(document).on('change', '#import-test-cases-file', function() {
+                if (this.files && this.files[0]) {
+                    self.importCollection(this.files[0]);
+                }
+            });
+
+            // History entries
+            $(document).on('click', '.test-history-load, .test-history-replay, .test-history-view', function() {
+                const entry = self.history[$(this).closest('li').data('index')];
+                if (!entry) {
+                    return;
+                }
+
+                if ($(this).hasClass('test-history-view')) {
+                    self.displayStoredResult(entry.response);
+                    return;
+                }
+
+                $('#test-case-select').val('');
+                self.setRequestData(entry.request);
+                self.setAssertions(entry.request.assertions);
+
+                if ($(this).hasClass('test-history-replay')) {
+                    self.executeTest();
+                }
             });
         },
 
         /**
          * Open the test modal
          */
-        openModal: function(endpointId) {
+        openModal: function(endpointId, request) {
             this.currentEndpointId = endpointId;
+            this.schemas = null;
             this.clearForm();
             $('#test-results').hide();
             $('#wp-custom-api-test-modal').fadeIn(200);
             $('body').addClass('modal-open');
+
+            this.testCases = [];
+            this.history = [];
+            this.renderCollections('');
+
+            this.authProfile = null;
+            this.loadAuthProfile();
+            this.loadSchemas();
+
+            // Start from the given request, or the last request sent to this endpoint
+            if (request) {
+                this.setRequestData(request);
+                this.loadCollections(false);
+            } else {
+                this.loadCollections(true);
+            }
         },
 
         /**
-         * Close the modal
+         * Load the credentials the current endpoint expects
          */
-        closeModal: function() {
-            $('#wp-custom-api-test-modal').fadeOut(200);
-            $('body').removeClass('modal-open');
+        loadAuthProfile: function() {
+            const self = this;
+            const endpointId = this.currentEndpointId;
+
+            $('.test-auth-summary').text('Loading endpoint authentication...');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_endpoint_auth',
+                    nonce: wpCustomAPI.nonce,
+                    endpoint_id: endpointId
+                },
+                success: function(response) {
+                    if (response.success && endpointId === self.currentEndpointId) {
+                        self.authProfile = response.data;
+                        self.renderAuthOptions();
+                    }
+                }
+            });
         },
 
         /**
-         * Add header row
+         * Load the request and response schemas of the current endpoint
+         *
+         * On the endpoint edit page the schemas being edited are used instead,
+         * so they can be tried before saving.
          */
-        addHeaderRow: function() {
-            const row = `
-                <div class="header-row">
-                    <input type="text" placeholder="Header Name" class="header-name" />
-                    <input type="text" placeholder="Header Value" class="header-value" />
-                    <button type="button" class="button remove-header">Remove</button>
-                </div>
-            `;
-            $('#test-headers-container').append(row);
+        loadSchemas: function() {
+            const self = this;
+            const endpointId = this.currentEndpointId;
+
+            $('.test-generate-example').hide();
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_endpoint_schemas',
+                    nonce: wpCustomAPI.nonce,
+                    endpoint_id: endpointId
+                },
+                success: function(response) {
+                    if (!response.success || endpointId !== self.currentEndpointId) {
+                        return;
+                    }
+
+                    self.schemas = response.data;
+                    if (typeof wpCustomAPISchemaEditor !== 'undefined' && $('.schema-editor').length) {
+                        $.extend(self.schemas, wpCustomAPISchemaEditor.getSchemas());
+                    }
+
+                    $('.test-generate-example').toggle(!!self.schemas.request);
+                    self.validateRequest();
+                }
+            });
         },
 
         /**
-         * Add parameter row
+         * Build request options with an example value of a request schema
+         *
+         * GET and DELETE requests get it as query parameters, others as JSON body.
          */
-        addParamRow: function() {
-            const row = `
-                <div class="param-row">
-                    <input type="text" placeholder="Parameter Name" class="param-name" />
-                    <input type="text" placeholder="Parameter Value" class="param-value" />
-                    <button type="button" class="button remove-param">Remove</button>
-                </div>
-            `;
-            $('#test-params-container').append(row);
+        exampleRequest: function(schema, method) {
+            const example = wpCustomAPI.schemaExample(schema, schema);
+            const request = { headers: {}, query_params: {}, body_type: 'json', body: '', auth: { mode: 'auto' } };
+
+            if (this.queryMethods.indexOf(String(method).toUpperCase()) === -1) {
+                request.body = example;
+                return request;
+            }
+
+            $.each(example && typeof example === 'object' ? example : {}, function(name, value) {
+                if (value !== null) {
+                    request.query_params[name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+                }
+            });
+
+            return request;
         },
 
         /**
-         * Clear the form
+         * Fill the request with an example generated from the request schema
          */
-        clearForm: function() {
-            $('#test-headers-container').html(`
-                <div class="header-row">
-                    <input type="text" placeholder="Header Name" class="header-name" />
-                    <input type="text" placeholder="Header Value" class="header-value" />
-                    <button type="button" class="button remove-header">Remove</button>
-                </div>
-            `);
-            $('#test-params-container').html(`
-                <div class="param-row">
-                    <input type="text" placeholder="Parameter Name" class="param-name" />
-                    <input type="text" placeholder="Parameter Value" class="param-value" />
-                    <button type="button" class="button remove-param">Remove</button>
-                </div>
-            `);
-            $('#test-body').val('');
-            $('#test-results').hide();
+        generateExample: function() {
+            const self = this;
+
+            if (!this.schemas || !this.schemas.request) {
+                return;
+            }
+
+            const example = this.exampleRequest(this.schemas.request, this.schemas.method);
+
+            if (this.queryMethods.indexOf(String(this.schemas.method).toUpperCase()) === -1) {
+                this.switchBodyType('json');
+                $('#test-body').val(JSON.stringify(example.body, null, 2));
+            } else {
+                // Keep parameters the schema does not describe
+                const params = $.extend(this.getQueryParams(), example.query_params);
+
+                $('#test-params-container').empty();
+                $.each(params, function(name, value) {
+                    self.addParamRow();
+                    $('#test-params-container .param-row').last()
+                        .find('.param-name').val(name).end()
+                        .find('.param-value').val(value);
+                });
+                this.addParamRow();
+            }
+
+            this.validateRequest();
         },
 
         /**
-         * Execute the test
+         * Validate the request again once typing pauses
          */
-        executeTest: function() {
+        scheduleValidation: function() {
             const self = this;
-            const $button = $('#execute-test');
-            const originalText = $button.text();
 
-            // Collect headers
-            const headers = {};
-            $('#test-headers-container .header-row').each(function() {
-                const name = $(this).find('.header-name').val();
-                const value = $(this).find('.header-value').val();
-                if (name && value) {
-                    headers[name] = value;
-                }
-            });
+            clearTimeout(this.validationTimer);
+            this.validationTimer = setTimeout(function() {
+                self.validateRequest();
+            }, 300);
+        },
 
-            // Collect query params
-            const queryParams = {};
-            $('#test-params-container .param-row').each(function() {
-                const name = $(this).find('.param-name').val();
-                const value = $(this).find('.param-value').val();
-                if (name && value) {
-                    queryParams[name] = value;
-                }
-            });
+        /**
+         * Check the request against the request schema and show the problems
+         *
+         * JSON bodies are checked as typed; query parameters and form fields
+         * arrive as strings and are converted to the schema's types first, as
+         * WordPress does. Returns false when the request does not match.
+         */
+        validateRequest: function() {
+            const $panel = $('.test-request-validation');
+            const schema = this.schemas && this.schemas.request;
+
+            if (!schema) {
+                $panel.empty().hide();
+                return true;
+            }
 
-            // Get body
-            let body = $('#test-body').val();
-            if (body) {
+            const usesQuery = this.queryMethods.indexOf(String(this.schemas.method).toUpperCase()) !== -1;
+            const bodyType = $('#test-body-type').val();
+            let value;
+
+            if (usesQuery) {
+                value = this.coerceFields(this.getQueryParams(), schema);
+            } else if (bodyType === 'json') {
+                const body = $.trim($('#test-body').val());
                 try {
-                    body = JSON.parse(body);
+                    value = body === '' ? {} : JSON.parse(body);
                 } catch (e) {
-                    alert('Invalid JSON in request body');
-                    return;
+                    $panel.html('<p class="schema-validation-status is-invalid"><span class="dashicons dashicons-warning"></span> The request body is not valid JSON</p>').show();
+                    return false;
                 }
+            } else if (bodyType === 'form') {
+                const fields = {};
+                $('#test-form-container .form-field-row').each(function() {
+                    const name = $(this).find('.form-field-name').val();
+                    if (name) {
+                        fields[name] = $(this).find('.form-field-value').val();
+                    }
+                });
+                value = this.coerceFields(fields, schema);
+            } else {
+                $panel.html('<p class="description">Raw and multipart bodies are not checked against the request schema.</p>').show();
+                return true;
             }
 
-            // Prepare test data
-            const testData = {
-                headers: headers,
-                query_params: queryParams,
-                body: body
-            };
+            const errors = wpCustomAPI.validateSchema(value, schema);
+            $panel.html(wpCustomAPI.renderSchemaValidation(value, errors, usesQuery ? 'Query' : 'Request')).show();
 
-            // Disable button
-            $button.prop('disabled', true).html('<span class="spinner is-active"></span> Testing...');
+            return !errors.length;
+        },
 
-            // Make AJAX request
-            $.ajax({
-                url: wpCustomAPI.ajaxUrl,
-                method: 'POST',
-                data: {
-                    action: 'wp_custom_api_test_endpoint',
-                    nonce: wpCustomAPI.nonce,
-                    endpoint_id: self.currentEndpointId,
-                    test_data: JSON.stringify(testData)
-                },
-                success: function(response) {
-                    if (response.success) {
-                        self.displayResults(response.data);
-                    } else {
-                        alert('Test failed: ' + (response.data.message || 'Unknown error'));
+        /**
+         * Convert string fields to the types their schema properties expect
+         */
+        coerceFields: function(fields, schema) {
+            const properties = schema && schema.properties ? schema.properties : {};
+            const value = {};
+
+            $.each(fields, function(name, text) {
+                const type = properties[name] ? [].concat(properties[name].type || [])[0] : null;
+                value[name] = text;
+
+                if ((type === 'integer' || type === 'number') && text !== '' && !isNaN(Number(text))) {
+                    value[name] = Number(text);
+                } else if (type === 'boolean' && /^(true|false|1|0)$/.test(text)) {
+                    value[name] = text === 'true' || text === '1';
+                } else if (type === 'array') {
+                    value[name] = text === '' ? [] : text.split(',');
+                } else if (type === 'object') {
+                    try {
+                        value[name] = JSON.parse(text);
+                    } catch (e) {
+                        // Left as a string so it is reported as the wrong type
                     }
-                },
-                error: function(xhr, status, error) {
-                    alert('AJAX error: ' + error);
-                },
-                complete: function() {
-                    $button.prop('disabled', false).text(originalText);
                 }
             });
+
+            return value;
         },
 
         /**
-         * Display test results
+         * Describe the endpoint's auth and show the options that apply to it
          */
-        displayResults: function(data) {
-            // Show results section
-            $('#test-results').slideDown();
+        renderAuthOptions: function() {
+            const profile = this.authProfile;
+            const auto = $('#test-auth-mode').val() === 'auto';
+            const summary = [];
 
-            // Display meta
-            const statusClass = data.response.status_code >= 200 && data.response.status_code < 300 ? 'success' : 'error';
-            $('.status-code').html(`<span class="status-badge status-${statusClass}">${data.response.status_code} ${data.response.status_text}</span>`);
-            $('.duration').text(`Duration: ${data.metrics.duration_ms}ms`);
-            $('.memory').text(`Memory: ${data.metrics.memory_used}`);
+            $('.test-auth-options').hide();
 
-            // Display response body
-            $('#response-body').text(JSON.stringify(data.response.body, null, 2));
+            if (!profile) {
+                $('.test-auth-summary').text('');
+                return;
+            }
+
+            profile.signatures.forEach(function(signature) {
+                summary.push(signature.has_secret
+                    ? `HMAC ${signature.algorithm} (${signature.format}) signature in ${signature.header}`
+                    : `${signature.source === 'webhook' ? 'Webhook' : 'Signature'} auth has no secret configured`);
+            });
+
+            if (profile.api_key) {
+                summary.push(`API key in ${profile.api_key.header} or ?${profile.api_key.param}= (${profile.api_key.key_count} configured)`);
+            }
+
+            if (profile.token) {
+                summary.push(`Bearer token in ${profile.token.header}`);
+            }
 
-            // Display response headers
-            let headersText = '';
-            for (const [key, value] of Object.entries(data.response.headers)) {
-                headersText += `${key}: ${value}\n`;
+            if (profile.type === 'ip_whitelist') {
+                summary.push('IP whitelist; test requests are sent from this server');
             }
-            $('#response-headers').text(headersText);
 
-            // Display request details
-            const requestText = `URL: ${data.request.url}\nMethod: ${data.request.method}\n\nHeaders:\n${JSON.stringify(data.request.headers, null, 2)}\n\nBody:\n${JSON.stringify(data.request.body, null, 2)}`;
-            $('#request-details').text(requestText);
+            $('.test-auth-summary').text(summary.length ? 'Endpoint expects: ' + summary.join('; ') : 'Endpoint is public, no credentials needed');
 
-            // Generate cURL command
-            const curlCommand = this.generateCurlCommand(data.request);
-            $('#curl-command').text(curlCommand);
+            if (auto) {
+                $('.test-auth-options[data-auth="signature"]').toggle(profile.signatures.some(signature => signature.has_secret));
+                $('.test-auth-options[data-auth="api_key"]').toggle(!!profile.api_key);
+                $('.test-auth-options[data-auth="token"]').toggle(!!profile.token);
+            }
         },
 
         /**
-         * Generate cURL command
+         * Load saved test cases and history for the current endpoint
          */
-        generateCurlCommand: function(request) {
-            let curl = `curl -X ${request.method} "${request.url}"`;
+        loadCollections: function(restoreLast, selectId) {
+            const self = this;
+            const endpointId = this.currentEndpointId;
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_endpoint_tests',
+                    nonce: wpCustomAPI.nonce,
+                    endpoint_id: endpointId
+                },
+                success: function(response) {
+                    if (!response.success || endpointId !== self.currentEndpointId) {
+                        return;
+                    }
+
+                    self.testCases = response.data.saved || [];
+                    self.history = response.data.history || [];
+                    self.renderCollections(selectId);
+
+                    if (restoreLast && self.history.length) {
+                        self.setRequestData(self.history[0].request);
+                        self.setAssertions(self.history[0].request.assertions);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Render the saved test case select and history list
+         */
+        renderCollections: function(selectId) {
+            const esc = wpCustomAPI.escapeHtml;
+            const selected = String(selectId !== undefined ? selectId : ($('#test-case-select').val() || ''));
+
+            $('#test-case-select').html('<option value="">New request</option>' + this.testCases.map(function(testCase) {
+                return `<option value="${esc(testCase.id)}">${esc(testCase.name)}</option>`;
+            }).join('')).val(selected);
+
+            if ($('#test-case-select').val() === null) {
+                $('#test-case-select').val('');
+            }
+
+            $('#test-history-count').text(this.history.length);
+            $('#test-history-list').html(this.history.length ? this.history.map(function(entry, index) {
+                const result = entry.response || {};
+                const response = result.response || {};
+                const method = (result.request || {}).method || '';
+                const duration = (result.metrics || {}).duration_ms;
+
+                return `
+                    <li data-index="${index}">
+                        <span class="test-history-time">${esc(entry.created_at)}</span>
+                        <code>${esc(method)}</code>
+                        ${wpCustomAPI.resultViewer.renderStatus(response)}
+                        <span class="test-history-duration">${duration !== undefined ? esc(duration) + 'ms' : ''}</span>
+                        <span class="test-history-actions">
+                            <button type="button" class="button-link test-history-load">Load</button>
+                            <button type="button" class="button-link test-history-replay">Replay</button>
+                            <button type="button" class="button-link test-history-view">View Response</button>
+                        </span>
+                    </li>
+                `;
+            }).join('') : '<li class="description">No requests sent yet.</li>');
+        },
+
+        findTestCase: function(id) {
+            return (this.testCases || []).find(testCase => String(testCase.id) === String(id));
+        },
+
+        /**
+         * Save the current form as a test case
+         */
+        saveTestCase: function(asNew) {
+            const self = this;
+            const request = this.getRequestData();
+            const existing = asNew ? null : this.findTestCase($('#test-case-select').val());
+
+            if (!request) {
+                return;
+            }
+
+            const name = existing ? existing.name : prompt('Test case name:');
+            if (!name) {
+                return;
+            }
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_save_test_case',
+                    nonce: wpCustomAPI.nonce,
+                    endpoint_id: self.currentEndpointId,
+                    id: existing ? existing.id : 0,
+                    name: name,
+                    request: JSON.stringify(request),
+                    assertions: JSON.stringify(self.getAssertions())
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.loadCollections(false, response.data.id);
+                    } else {
+                        alert('Save failed: ' + (response.data.message || 'Unknown error'));
+                    }
+                },
+                error: function(xhr, status, error) {
+                    alert('Save failed: ' + ((xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) || error));
+                }
+            });
+        },
+
+        /**
+         * Delete the selected test case
+         */
+        deleteTestCase: function() {
+            const self = this;
+            const testCase = this.findTestCase($('#test-case-select').val());
 
-            // Add headers
-            for (const [key, value] of Object.entries(request.headers)) {
-                curl += ` \\\n  -H "${key}: ${value}"`;
+            if (!testCase || !confirm(wpCustomAPI.i18n.confirmDelete)) {
+                return;
             }
 
-            // Add body
-            if (request.body && Object.keys(request.body).length > 0) {
-                curl += ` \\\n  -d '${JSON.stringify(request.body)}'`;
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_delete_test_case',
+                    nonce: wpCustomAPI.nonce,
+                    id: testCase.id
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $('#test-case-select').val('');
+                        self.loadCollections(false);
+                    } else {
+                        alert('Delete failed: ' + (response.data.message || 'Unknown error'));
+                    }
+                }
+            });
+        },
+
+        /**
+         * Download the saved test cases as a JSON collection
+         */
+        exportCollection: function() {
+            const collection = {
+                version: 1,
+                endpoint_id: this.currentEndpointId,
+                exported_at: new Date().toISOString(),
+                cases: (this.testCases || []).map(testCase => ({
+                    name: testCase.name,
+                    request: testCase.request,
+                    assertions: testCase.assertions || []
+                }))
+            };
+
+            const blob = new Blob([JSON.stringify(collection, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const $link = $('<a>').attr({ href: url, download: `endpoint-${this.currentEndpointId}-tests.json` }).appendTo('body');
+
+            $link[0].click();
+            $link.remove();
+            URL.revokeObjectURL(url);
+        },
+
+        /**
+         * Import a JSON collection file into the current endpoint
+         */
+        importCollection: function(file) {
+            const self = this;
+            const reader = new FileReader();
+
+            reader.onload = function() {
+                $.ajax({
+                    url: wpCustomAPI.ajaxUrl,
+                    method: 'POST',
+                    data: {
+                        action: 'wp_custom_api_import_test_cases',
+                        nonce: wpCustomAPI.nonce,
+                        endpoint_id: self.currentEndpointId,
+                        collection: reader.result
+                    },
+                    success: function(response) {
+                        self.alertImport(response.data || {});
+                        self.loadCollections(false);
+                    },
+                    error: function(xhr, status, error) {
+                        const data = (xhr.responseJSON && xhr.responseJSON.data) || {};
+
+                        if (data.errors) {
+                            self.alertImport(data);
+                        } else {
+                            alert('Import failed: ' + (data.message || error));
+                        }
+                    }
+                });
+            };
+
+            reader.readAsText(file);
+        },
+
+        /**
+         * Report how many cases an import saved and why the others failed
+         */
+        alertImport: function(data) {
+            const imported = data.imported || 0;
+            const errors = data.errors || [];
+            const summary = errors.length
+                ? `${imported} test case(s) imported, ${errors.length} failed:\n\n${errors.join('\n')}`
+                : `${imported} test case(s) imported`;
+
+            alert(summary);
+        },
+
+        /**
+         * Show a stored history response in the result viewer
+         */
+        displayStoredResult: function(result) {
+            if (!result || !result.response) {
+                return;
+            }
+
+            wpCustomAPI.resultViewer.render($('#test-result-viewer'), result, {
+                extraTabs: this.schemaTabs(result)
+            });
+            $('#test-results').slideDown();
+        },
+
+        /**
+         * Close the modal
+         */
+        closeModal: function() {
+            $('#wp-custom-api-test-modal').fadeOut(200);
+            $('body').removeClass('modal-open');
+        },
+
+        /**
+         * Add header row
+         */
+        addHeaderRow: function() {
+            const row = `
+                <div class="header-row">
+                    <input type="text" placeholder="Header Name" class="header-name" />
+                    <input type="text" placeholder="Header Value" class="header-value" />
+                    <button type="button" class="button remove-header">Remove</button>
+                </div>
+            `;
+            $('#test-headers-container').append(row);
+        },
+
+        /**
+         * Add an assertion row
+         */
+        addAssertionRow: function(assertion) {
+            const esc = wpCustomAPI.escapeHtml;
+            const value = key => esc(assertion[key] === undefined ? '' : (typeof assertion[key] === 'string' ? assertion[key] : JSON.stringify(assertion[key])));
+            let fields = '';
+
+            switch (assertion.type) {
+                case 'status':
+                    fields = `<label>Status is <input type="text" data-field="expected" value="${value('expected') || '200'}" placeholder="200 or 2xx" /></label>`;
+                    break;
+                case 'json_path': {
+                    const operator = assertion.operator || 'equals';
+                    const operators = Object.keys(this.jsonPathOperators).map(key => `<option value="${key}"${key === operator ? ' selected' : ''}>${this.jsonPathOperators[key]}</option>`).join('');
+                    const hidden = operator === 'exists' || operator === 'not_exists' ? ' style="display:none;"' : '';
+                    fields = `<input type="text" data-field="path" value="${value('path')}" placeholder="$.data.id" />
+                        <select data-field="operator">${operators}</select>
+                        <input type="text" data-field="expected" value="${value('expected')}" placeholder='"paid", 42 or true'${hidden} />`;
+                    break;
+                }
+                case 'header':
+                    fields = `<input type="text" data-field="name" value="${value('name')}" placeholder="Content-Type" />
+                        <input type="text" data-field="expected" value="${value('expected')}" placeholder="Contains (optional)" />`;
+                    break;
+                case 'max_duration':
+                    fields = `<label>Duration at most <input type="number" min="0" data-field="max_ms" value="${value('max_ms') || '1000'}" /> ms</label>`;
+                    break;
+                case 'response_schema':
+                    fields = '<span class="description">Response body validates against the endpoint\'s response schema</span>';
+                    break;
             }
 
-            return curl;
+            $('#test-assertions-container').append(`
+                <div class="assertion-row" data-type="${esc(assertion.type)}">
+                    <strong>${esc($('#test-assertion-type option[value="' + assertion.type + '"]').text() || assertion.type)}</strong>
+                    ${fields}
+                    <button type="button" class="button remove-assertion">Remove</button>
+                </div>
+            `);
+        },
+
+        /**
+         * Collect assertions from the form
+         */
+        getAssertions: function() {
+            return $('#test-assertions-container .assertion-row').map(function() {
+                const assertion = { type: $(this).data('type') };
+
+                $(this).find('[data-field]').each(function() {
+                    const field = $(this).data('field');
+                    let value = $(this).val();
+
+                    if (field === 'max_ms') {
+                        value = parseFloat(value) || 0;
+                    } else if (field === 'expected' && assertion.type === 'json_path') {
+                        // Typed comparison: 42, true, null and {"a":1} are JSON; anything else is a string
+                        try {
+                            value = JSON.parse(value);
+                        } catch (e) {
+                            // Keep as string
+                        }
+                    }
+
+                    assertion[field] = value;
+                });
+
+                if (assertion.type === 'json_path' && (assertion.operator === 'exists' || assertion.operator === 'not_exists')) {
+                    delete assertion.expected;
+                }
+
+                return assertion;
+            }).get();
+        },
+
+        /**
+         * Replace the assertion rows
+         */
+        setAssertions: function(assertions) {
+            const self = this;
+
+            $('#test-assertions-container').empty();
+            (Array.isArray(assertions) ? assertions : []).forEach(function(assertion) {
+                if (assertion && assertion.type) {
+                    self.addAssertionRow(assertion);
+                }
+            });
+        },
+
+        /**
+         * Run every saved test case and show a pass/fail report
+         */
+        runAllTests: function($button) {
+            const self = this;
+            const originalText = $button.text();
+
+            $button.prop('disabled', true).text('Loading tests...');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_test_suite',
+                    nonce: wpCustomAPI.nonce
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || wpCustomAPI.i18n.error));
+                        $button.prop('disabled', false).text(originalText);
+                        return;
+                    }
+
+                    const queue = [];
+                    response.data.forEach(function(group) {
+                        group.cases.forEach(function(testCase) {
+                            queue.push({ group: group, testCase: testCase });
+                        });
+                    });
+
+                    if (!queue.length) {
+                        wpCustomAPI.showNotice('warning', 'No saved test cases yet. Save cases from the Test dialog first.');
+                        $button.prop('disabled', false).text(originalText);
+                        return;
+                    }
+
+                    self.openReport(queue.length);
+
+                    // One request at a time so the site isn't flooded
+                    const results = [];
+                    const next = function() {
+                        if (results.length === queue.length) {
+                            self.renderReport(results, true);
+                            $button.prop('disabled', false).text(originalText);
+                            return;
+                        }
+
+                        const item = queue[results.length];
+                        $button.text(`Running ${results.length + 1}/${queue.length}...`);
+
+                        self.runTestCase(item.group.endpoint_id, item.testCase, function(outcome) {
+                            results.push($.extend({ group: item.group, testCase: item.testCase }, outcome));
+                            self.renderReport(results, false, queue.length);
+                            next();
+                        });
+                    };
+
+                    next();
+                },
+                error: function(xhr, status, error) {
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml('AJAX error: ' + error));
+                    $button.prop('disabled', false).text(originalText);
+                }
+            });
+        },
+
+        /**
+         * Execute one saved case through the test endpoint handler
+         */
+        runTestCase: function(endpointId, testCase, callback) {
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_test_endpoint',
+                    nonce: wpCustomAPI.nonce,
+                    endpoint_id: endpointId,
+                    test_data: JSON.stringify($.extend({}, testCase.request, { assertions: testCase.assertions || [] })),
+                    batch: 1
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        callback({ outcome: 'error', message: response.data.message || 'Test failed' });
+                        return;
+                    }
+
+                    const assertions = response.data.assertions || [];
+                    const failed = assertions.filter(item => !item.passed).length;
+
+                    callback({
+                        outcome: !assertions.length ? 'none' : (failed ? 'fail' : 'pass'),
+                        result: response.data,
+                        message: assertions.length ? `${assertions.length - failed}/${assertions.length} assertions passed` : 'No assertions'
+                    });
+                },
+                error: function(xhr, status, error) {
+                    const data = xhr.responseJSON && xhr.responseJSON.data;
+                    callback({ outcome: 'error', message: (data && data.message) || error });
+                }
+            });
+        },
+
+        openReport: function(total) {
+            let $modal = $('#wp-custom-api-test-report');
+
+            if (!$modal.length) {
+                $modal = $(`
+                    <div id="wp-custom-api-test-report" class="wp-custom-api-modal" style="display:none;">
+                        <div class="wp-custom-api-modal-backdrop"></div>
+                        <div class="wp-custom-api-modal-dialog">
+                            <div class="wp-custom-api-modal-header">
+                                <h2>Test Report</h2>
+                                <button type="button" class="wp-custom-api-modal-close">&times;</button>
+                            </div>
+                            <div class="wp-custom-api-modal-body"></div>
+                        </div>
+                    </div>
+                `).appendTo('body');
+
+                $modal.on('click', '.wp-custom-api-modal-close, .wp-custom-api-modal-backdrop', function() {
+                    $modal.fadeOut(200);
+                    $('body').removeClass('modal-open');
+                });
+
+                $modal.on('click', '.test-report-details', function() {
+                    const item = $modal.data('results')[$(this).data('index')];
+                    if (item && item.result) {
+                        wpCustomAPI.displayTestResult(item.result);
+                    }
+                });
+            }
+
+            $modal.find('.wp-custom-api-modal-body').html(`<p>Running ${total} test case(s)...</p>`);
+            $modal.fadeIn(200);
+            $('body').addClass('modal-open');
+        },
+
+        renderReport: function(results, done, total) {
+            const esc = wpCustomAPI.escapeHtml;
+            const $modal = $('#wp-custom-api-test-report');
+            const counts = { pass: 0, fail: 0, error: 0, none: 0 };
+            const labels = { pass: 'PASS', fail: 'FAIL', error: 'ERROR', none: 'NO ASSERTIONS' };
+            const badges = { pass: 'success', fail: 'error', error: 'error', none: 'pending' };
+
+            results.forEach(item => counts[item.outcome]++);
+            $modal.data('results', results);
+
+            const rows = results.map(function(item, index) {
+                const response = item.result ? item.result.response : null;
+                const failures = item.result && item.result.assertions
+                    ? item.result.assertions.filter(a => !a.passed).map(a => `<li>${esc(a.message)}</li>`).join('')
+                    : '';
+
+                return `
+                    <tr>
+                        <td><span class="status-badge status-${badges[item.outcome]}">${labels[item.outcome]}</span></td>
+                        <td>${esc(item.group.endpoint_name)}</td>
+                        <td>${esc(item.testCase.name)}</td>
+                        <td>${response ? wpCustomAPI.resultViewer.renderStatus(response) : ''}</td>
+                        <td>${item.result ? esc(item.result.metrics.duration_ms) + 'ms' : ''}</td>
+                        <td>${esc(item.message)}${failures ? `<ul class="test-report-failures">${failures}</ul>` : ''}</td>
+                        <td>${item.result ? `<button type="button" class="button-link test-report-details" data-index="${index}">Details</button>` : ''}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            const progress = done ? '' : `<p>Running ${results.length + 1} of ${total}...</p>`;
+
+            $modal.find('.wp-custom-api-modal-body').html(`
+                <p class="test-report-summary">
+                    <strong>${counts.pass}</strong> passed,
+                    <strong>${counts.fail}</strong> failed,
+                    <strong>${counts.error}</strong> errors,
+                    <strong>${counts.none}</strong> without assertions
+                </p>
+                ${progress}
+                <table class="widefat striped test-report">
+                    <thead>
+                        <tr><th>Result</th><th>Endpoint</th><th>Test Case</th><th>Status</th><th>Duration</th><th>Details</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `);
+        },
+
+        /**
+         * Add parameter row
+         */
+        addParamRow: function() {
+            const row = `
+                <div class="param-row">
+                    <input type="text" placeholder="Parameter Name" class="param-name" />
+                    <input type="text" placeholder="Parameter Value" class="param-value" />
+                    <button type="button" class="button remove-param">Remove</button>
+                </div>
+            `;
+            $('#test-params-container').append(row);
+        },
+
+        /**
+         * Add a url-encoded form field row
+         */
+        addFormFieldRow: function(field) {
+            field = field || {};
+            const $row = $(`
+                <div class="form-field-row">
+                    <input type="text" placeholder="Field Name" class="form-field-name" />
+                    <input type="text" placeholder="Field Value" class="form-field-value" />
+                    <button type="button" class="button remove-body-field">Remove</button>
+                </div>
+            `);
+
+            $row.find('.form-field-name').val(field.name || '');
+            $row.find('.form-field-value').val(field.value || '');
+            $('#test-form-container').append($row);
+        },
+
+        /**
+         * Add a multipart part row (text field or file)
+         */
+        addMultipartRow: function(field) {
+            field = field || {};
+            const isFile = field.type === 'file';
+            const $row = $(`
+                <div class="multipart-field-row">
+                    <input type="text" placeholder="Part Name" class="multipart-name" />
+                    <select class="multipart-kind">
+                        <option value="text">Text</option>
+                        <option value="file">File</option>
+                    </select>
+                    <input type="text" placeholder="Value" class="multipart-value" />
+                    <input type="file" class="multipart-file" />
+                    <span class="multipart-file-hint description"></span>
+                    <button type="button" class="button remove-body-field">Remove</button>
+                </div>
+            `);
+
+            $row.find('.multipart-name').val(field.name || '');
+            $row.find('.multipart-kind').val(isFile ? 'file' : 'text');
+            $row.find('.multipart-value').val(isFile ? '' : (field.value || '')).toggle(!isFile);
+            $row.find('.multipart-file').toggle(isFile);
+
+            // Files are never stored with a test case, only their name
+            $row.find('.multipart-file-hint')
+                .text(isFile && field.filename ? `Select a file (last used: ${field.filename})` : '')
+                .toggle(isFile);
+
+            $('#test-multipart-container').append($row);
+        },
+
+        /**
+         * Show the editor for a body type
+         */
+        switchBodyType: function(type) {
+            $('#test-body-type').val(type);
+            $('.test-body-panel').hide().filter(`[data-body-type="${type}"]`).show();
+
+            if (type === 'form' && !$('#test-form-container .form-field-row').length) {
+                this.addFormFieldRow();
+            }
+            if (type === 'multipart' && !$('#test-multipart-container .multipart-field-row').length) {
+                this.addMultipartRow();
+            }
+        },
+
+        /**
+         * Clear the form
+         */
+        clearForm: function() {
+            $('#test-headers-container').html(`
+                <div class="header-row">
+                    <input type="text" placeholder="Header Name" class="header-name" />
+                    <input type="text" placeholder="Header Value" class="header-value" />
+                    <button type="button" class="button remove-header">Remove</button>
+                </div>
+            `);
+            $('#test-params-container').html(`
+                <div class="param-row">
+                    <input type="text" placeholder="Parameter Name" class="param-name" />
+                    <input type="text" placeholder="Parameter Value" class="param-value" />
+                    <button type="button" class="button remove-param">Remove</button>
+                </div>
+            `);
+            $('#test-body, #test-raw-body, #test-raw-content-type-custom').val('');
+            $('#test-raw-content-type').val('text/plain');
+            $('#test-raw-content-type-custom').hide();
+            $('#test-form-container, #test-multipart-container').empty();
+            this.switchBodyType('json');
+            this.setAuthData({ mode: 'auto' });
+            $('#test-assertions-container').empty();
+            $('#test-results').hide();
+            this.validateRequest();
+        },
+
+        /**
+         * Collect request options from the form
+         *
+         * Selected multipart files are pushed onto the optional files array and
+         * referenced by index, so they can be uploaded alongside the options.
+         * Returns null when a JSON body is not valid JSON.
+         */
+        getRequestData: function(files) {
+            // Collect headers
+            const headers = {};
+            $('#test-headers-container .header-row').each(function() {
+                const name = $(this).find('.header-name').val();
+                const value = $(this).find('.header-value').val();
+                if (name && value) {
+                    headers[name] = value;
+                }
+            });
+
+            const request = {
+                headers: headers,
+                query_params: this.getQueryParams(),
+                auth: {
+                    mode: $('#test-auth-mode').val() || 'none',
+                    invalid_signature: $('#test-auth-invalid-signature').is(':checked'),
+                    api_key_location: $('#test-auth-api-key-location').val(),
+                    api_key: $('#test-auth-api-key').val(),
+                    token: $('#test-auth-token').val()
+                },
+                body_type: $('#test-body-type').val() || 'json'
+            };
+
+            // Get body, JSON is sent exactly as typed
+            switch (request.body_type) {
+                case 'form':
+                    request.form = [];
+                    $('#test-form-container .form-field-row').each(function() {
+                        const name = $(this).find('.form-field-name').val();
+                        if (name) {
+                            request.form.push({ name: name, value: $(this).find('.form-field-value').val() });
+                        }
+                    });
+                    break;
+
+                case 'raw': {
+                    const contentType = $('#test-raw-content-type').val();
+                    request.content_type = contentType === 'custom' ? $.trim($('#test-raw-content-type-custom').val()) : contentType;
+                    request.body = $('#test-raw-body').val();
+                    break;
+                }
+
+                case 'multipart':
+                    request.form = [];
+                    $('#test-multipart-container .multipart-field-row').each(function() {
+                        const name = $(this).find('.multipart-name').val();
+                        if (!name) {
+                            return;
+                        }
+
+                        if ($(this).find('.multipart-kind').val() !== 'file') {
+                            request.form.push({ name: name, type: 'text', value: $(this).find('.multipart-value').val() });
+                            return;
+                        }
+
+                        const file = $(this).find('.multipart-file')[0].files[0];
+                        const part = { name: name, type: 'file', filename: file ? file.name : '' };
+                        if (file && files) {
+                            part.file = files.push(file) - 1;
+                        }
+                        request.form.push(part);
+                    });
+                    break;
+
+                default:
+                    request.body = $('#test-body').val();
+                    if ($.trim(request.body)) {
+                        try {
+                            JSON.parse(request.body);
+                        } catch (e) {
+                            alert('Invalid JSON in request body');
+                            return null;
+                        }
+                    }
+            }
+
+            return request;
+        },
+
+        /**
+         * Collect the query parameters that have a name and value
+         */
+        getQueryParams: function() {
+            const queryParams = {};
+            $('#test-params-container .param-row').each(function() {
+                const name = $(this).find('.param-name').val();
+                const value = $(this).find('.param-value').val();
+                if (name && value) {
+                    queryParams[name] = value;
+                }
+            });
+
+            return queryParams;
+        },
+
+        /**
+         * Fill the form from saved request options
+         */
+        setRequestData: function(request) {
+            const self = this;
+            request = request || {};
+
+            $('#test-headers-container, #test-params-container, #test-form-container, #test-multipart-container').empty();
+
+            $.each(request.headers || {}, function(name, value) {
+                self.addHeaderRow();
+                $('#test-headers-container .header-row').last()
+                    .find('.header-name').val(name).end()
+                    .find('.header-value').val(value);
+            });
+
+            $.each(request.query_params || {}, function(name, value) {
+                self.addParamRow();
+                $('#test-params-container .param-row').last()
+                    .find('.param-name').val(name).end()
+                    .find('.param-value').val(value);
+            });
+
+            // Always leave an empty row to type into
+            this.addHeaderRow();
+            this.addParamRow();
+
+            const type = request.body_type || 'json';
+            const body = request.body;
+            const bodyText = body === undefined || body === '' || body === null ? '' : (typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+
+            $('#test-body').val(type === 'json' ? bodyText : '');
+            $('#test-raw-body').val(type === 'raw' ? bodyText : '');
+
+            const contentType = request.content_type || 'text/plain';
+            const known = $('#test-raw-content-type option').filter(function() {
+                return this.value === contentType;
+            }).length > 0;
+            $('#test-raw-content-type').val(known ? contentType : 'custom');
+            $('#test-raw-content-type-custom').val(known ? '' : contentType).toggle(!known);
+
+            (request.form || []).forEach(function(field) {
+                if (type === 'form') {
+                    self.addFormFieldRow(field);
+                } else if (type === 'multipart') {
+                    self.addMultipartRow(field);
+                }
+            });
+
+            this.switchBodyType(type);
+
+            // Requests saved before auth options existed sent no credentials
+            this.setAuthData(request.auth || { mode: 'none' });
+            this.validateRequest();
+        },
+
+        /**
+         * Fill the auth options
+         */
+        setAuthData: function(auth) {
+            $('#test-auth-mode').val(auth.mode === 'auto' ? 'auto' : 'none');
+            $('#test-auth-invalid-signature').prop('checked', !!auth.invalid_signature);
+            $('#test-auth-api-key-location').val(auth.api_key_location === 'query' ? 'query' : 'header');
+            $('#test-auth-api-key').val(auth.api_key || '');
+            $('#test-auth-token').val(auth.token || '');
+            this.renderAuthOptions();
+        },
+
+        /**
+         * Execute the test
+         */
+        executeTest: function() {
+            const self = this;
+            const $button = $('#execute-test');
+            const originalText = $button.text();
+
+            const files = [];
+            const request = this.getRequestData(files);
+            if (!request) {
+                return;
+            }
+
+            // Mismatches are shown but still sent, to test how the endpoint rejects them
+            this.validateRequest();
+
+            const testData = $.extend({}, request, { assertions: this.getAssertions() });
+            let data = {
+                action: 'wp_custom_api_test_endpoint',
+                nonce: wpCustomAPI.nonce,
+                endpoint_id: self.currentEndpointId,
+                test_data: JSON.stringify(testData)
+            };
+
+            // Multipart files are uploaded next to the request options
+            if (files.length) {
+                const formData = new FormData();
+                $.each(data, function(key, value) {
+                    formData.append(key, value);
+                });
+                files.forEach(function(file, index) {
+                    formData.append(`test_files[${index}]`, file, file.name);
+                });
+                data = formData;
+            }
+
+            // Disable button
+            $button.prop('disabled', true).html('<span class="spinner is-active"></span> Testing...');
+
+            // Make AJAX request
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: data,
+                processData: !files.length,
+                contentType: files.length ? false : 'application/x-www-form-urlencoded; charset=UTF-8',
+                success: function(response) {
+                    if (response.success) {
+                        self.displayResults(response.data);
+                        self.loadCollections(false);
+                    } else {
+                        alert('Test failed: ' + (response.data.message || 'Unknown error'));
+                    }
+                },
+                error: function(xhr, status, error) {
+                    const data = xhr.responseJSON && xhr.responseJSON.data;
+                    alert('Test failed: ' + ((data && data.message) || error));
+                },
+                complete: function() {
+                    $button.prop('disabled', false).text(originalText);
+                }
+            });
+        },
+
+        /**
+         * Display test results
+         */
+        displayResults: function(data) {
+            wpCustomAPI.resultViewer.render($('#test-result-viewer'), data, {
+                key: this.currentEndpointId,
+                extraTabs: this.schemaTabs(data).concat([{
+                    id: 'code',
+                    label: 'Code',
+                    html: wpCustomAPISnippets.render(data.request)
+                }])
+            });
+
+            $('#test-results').slideDown();
+        },
+
+        /**
+         * Result viewer tab checking the response body against the response schema
+         */
+        schemaTabs: function(data) {
+            const schema = this.schemas && this.schemas.response;
+            const response = data.response || {};
+            const status = parseInt(response.status_code, 10) || 0;
+
+            if (!schema) {
+                return [];
+            }
+
+            if (status < 200 || status >= 300) {
+                return [{
+                    id: 'schema',
+                    label: 'Schema',
+                    html: '<p class="description">Only successful responses are checked against the response schema.</p>'
+                }];
+            }
+
+            const errors = wpCustomAPI.validateSchema(response.body, schema);
+
+            return [{
+                id: 'schema',
+                label: errors.length ? `Schema (${errors.length})` : 'Schema',
+                html: wpCustomAPI.renderSchemaValidation(response.body, errors, 'Response')
+            }];
+        },
+
+        /**
+         * Generate cURL command
+         */
+        generateCurlCommand: function(request) {
+            return wpCustomAPISnippets.generate('curl_bash', request);
         }
     };
 
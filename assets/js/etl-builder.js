@@ -0,0 +1,524 @@
+/**
+ * ETL Builder - Template editor with live dry-run preview
+ *
+ * Edits the extract, filter, mapping, transformation and load sections of an
+ * ETL template and serializes them into the hidden JSON fields the form
+ * saves. A sample payload is run through ETL_Engine::dry_run on every change
+ * to preview the extracted, filtered and transformed result.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPIETLBuilder = {
+        extractConfig: {},
+        transformConfig: {},
+        loadConfig: {},
+        previewTimer: null,
+        previewRequest: null,
+        lastPreview: null,
+
+        /**
+         * Delay before a change re-runs the preview, in milliseconds
+         */
+        previewDelay: 600,
+
+        storagePrefix: 'wpCustomAPI.etlSample.',
+
+        /**
+         * Global transformations supported by ETL_Engine::apply_global_transformation
+         */
+        transformations: {
+            flatten: { label: 'Flatten', params: [{ key: 'separator', label: 'Separator', placeholder: '_' }] },
+            unflatten: { label: 'Unflatten', params: [{ key: 'separator', label: 'Separator', placeholder: '_' }] },
+            sort: { label: 'Sort', params: [{ key: 'direction', label: 'Direction', type: 'select', options: ['asc', 'desc'] }] },
+            rename_keys: { label: 'Rename Keys', params: [{ key: 'mappings', label: 'Renames', type: 'keyvalue', placeholder: 'old_key: new_key' }] },
+            remove_keys: { label: 'Remove Keys', params: [{ key: 'keys', label: 'Keys', type: 'list', placeholder: 'internal_id, debug' }] },
+            keep_keys: { label: 'Keep Keys', params: [{ key: 'keys', label: 'Keys', type: 'list', placeholder: 'id, email' }] },
+            filter_empty: { label: 'Remove Empty Values', params: [] },
+            filter_null: { label: 'Remove Null Values', params: [] }
+        },
+
+        /**
+         * Initialize the editor
+         */
+        init: function() {
+            this.$form = $('#etl-template-form');
+            if (!this.$form.length) {
+                return;
+            }
+
+            this.$builder = this.$form.find('.etl-query-builder');
+            this.$mapper = this.$form.find('.etl-field-mapper');
+
+            this.extractConfig = this.parseJson($('#etl-extract-config').val(), {});
+            this.transformConfig = this.parseJson($('#etl-transform-config').val(), {});
+            this.loadConfig = $.extend({ destination: 'external_service' }, this.parseJson($('#etl-load-config').val(), {}));
+
+            this.renderExtract();
+            this.renderTransformations(this.transformConfig.transformations || []);
+            this.renderLoad();
+
+            wpCustomAPI.queryBuilder.initBuilder(this.$builder);
+            wpCustomAPI.queryBuilder.setFilters(this.$builder, this.extractConfig.filters || []);
+            wpCustomAPI.fieldMapper.create(this.$mapper);
+
+            this.bindEvents();
+            this.restoreSample();
+            this.sync();
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function() {
+            const self = this;
+            const $form = this.$form;
+            const changed = function() {
+                self.sync();
+                self.schedulePreview();
+            };
+
+            $form.on('click', '.etl-add-path', function() {
+                $form.find('.etl-extract-paths').append(self.renderPathRow('', ''));
+            });
+
+            $form.on('click', '.etl-remove-path', function() {
+                $(this).closest('.etl-path-row').remove();
+                changed();
+            });
+
+            $form.on('click', '.etl-add-transformation', function() {
+                const type = $form.find('.etl-transformation-type').val();
+                $form.find('.etl-transformations').append(self.renderTransformation({ type: type }));
+                changed();
+            });
+
+            $form.on('click', '.etl-remove-transformation', function() {
+                $(this).closest('.etl-transformation').remove();
+                changed();
+            });
+
+            $form.on('click', '.etl-move-transformation', function() {
+                const $item = $(this).closest('.etl-transformation');
+
+                if ($(this).data('direction') === 'up') {
+                    $item.prev().before($item);
+                } else {
+                    $item.next().after($item);
+                }
+                changed();
+            });
+
+            $form.on('change', '#etl-extract-root, .etl-path-row input, .etl-transformation [data-param]', changed);
+            $form.on('change', '#etl-filters, #etl-field-mappings', changed);
+
+            $form.on('change', '[data-load-key]', function() {
+                self.toggleLoadPanels();
+                self.sync();
+            });
+
+            $form.on('input', '#etl-preview-sample', function() {
+                self.schedulePreview();
+            });
+
+            $form.on('click', '.etl-preview-run', function() {
+                self.preview(true);
+            });
+
+            $form.on('submit', function() {
+                self.sync();
+            });
+        },
+
+        parseJson: function(text, fallback) {
+            try {
+                const value = JSON.parse(text);
+                return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : fallback;
+            } catch (e) {
+                return fallback;
+            }
+        },
+
+        /**
+         * Fill the root path and path rows from the saved extract config
+         */
+        renderExtract: function() {
+            const self = this;
+            const paths = this.extractConfig.paths || {};
+
+            $('#etl-extract-root').val(this.extractConfig.root || '');
+            this.$form.find('.etl-extract-paths').html(Object.keys(paths).map(function(key) {
+                return self.renderPathRow(key, paths[key]);
+            }).join(''));
+        },
+
+        renderPathRow: function(key, path) {
+            const esc = wpCustomAPI.escapeHtml;
+
+            return `
+                <div class="etl-path-row">
+                    <input type="text" class="etl-path-key" value="${esc(key)}" placeholder="field_name" />
+                    <span class="dashicons dashicons-arrow-left-alt"></span>
+                    <input type="text" class="etl-path-source code" value="${esc(path)}" placeholder="order.customer.email" />
+                    <button type="button" class="button-link etl-remove-path" aria-label="Remove path">
+                        <span class="dashicons dashicons-no-alt"></span>
+                    </button>
+                </div>
+            `;
+        },
+
+        renderTransformations: function(transformations) {
+            const self = this;
+
+            this.$form.find('.etl-transformations').html((transformations || []).map(function(transformation) {
+                return self.renderTransformation(transformation);
+            }).join(''));
+        },
+
+        /**
+         * Render one global transformation with its parameters
+         */
+        renderTransformation: function(transformation) {
+            const esc = wpCustomAPI.escapeHtml;
+            const definition = this.transformations[transformation.type] || { label: transformation.type, params: [] };
+
+            const params = definition.params.map(function(param) {
+                const value = transformation[param.key];
+                let input;
+
+                if (param.type === 'select') {
+                    input = `<select data-param="${esc(param.key)}" data-type="select">${param.options.map(option => `
+                        <option value="${esc(option)}"${value === option ? ' selected' : ''}>${esc(option)}</option>
+                    `).join('')}</select>`;
+                } else if (param.type === 'keyvalue') {
+                    const text = Object.keys(value || {}).map(key => `${key}: ${value[key]}`).join('\n');
+                    input = `<textarea rows="3" class="code" data-param="${esc(param.key)}" data-type="keyvalue" placeholder="${esc(param.placeholder || '')}">${esc(text)}</textarea>`;
+                } else {
+                    const text = param.type === 'list' ? (value || []).join(', ') : (value === undefined ? '' : value);
+                    input = `<input type="text" class="code" data-param="${esc(param.key)}" data-type="${esc(param.type || 'text')}" value="${esc(text)}" placeholder="${esc(param.placeholder || '')}" />`;
+                }
+
+                return `<label class="etl-transformation-param">${esc(param.label)} ${input}</label>`;
+            }).join('');
+
+            // Keep options the editor has no inputs for
+            const extra = $.extend({}, transformation);
+            delete extra.type;
+            definition.params.forEach(param => delete extra[param.key]);
+
+            return `
+                <li class="etl-transformation" data-type="${esc(transformation.type)}" data-extra="${esc(JSON.stringify(extra))}">
+                    <strong>${esc(definition.label)}</strong>
+                    ${params}
+                    <span class="etl-transformation-actions">
+                        <button type="button" class="button-link etl-move-transformation" data-direction="up" aria-label="Move up"><span class="dashicons dashicons-arrow-up-alt2"></span></button>
+                        <button type="button" class="button-link etl-move-transformation" data-direction="down" aria-label="Move down"><span class="dashicons dashicons-arrow-down-alt2"></span></button>
+                        <button type="button" class="button-link etl-remove-transformation" aria-label="Remove"><span class="dashicons dashicons-no-alt"></span></button>
+                    </span>
+                </li>
+            `;
+        },
+
+        /**
+         * Read the transformation rows back into engine config
+         */
+        getTransformations: function() {
+            return this.$form.find('.etl-transformation').map(function() {
+                const transformation = $.extend({ type: $(this).data('type') }, $(this).data('extra') || {});
+
+                $(this).find('[data-param]').each(function() {
+                    const key = $(this).data('param');
+                    const raw = $.trim($(this).val());
+
+                    if (raw === '') {
+                        return;
+                    }
+
+                    switch ($(this).data('type')) {
+                        case 'list':
+                            transformation[key] = raw.split(',').map(item => $.trim(item)).filter(Boolean);
+                            break;
+                        case 'keyvalue':
+                            transformation[key] = {};
+                            raw.split('\n').forEach(function(line) {
+                                const index = line.indexOf(':');
+                                if (index > 0) {
+                                    transformation[key][$.trim(line.slice(0, index))] = $.trim(line.slice(index + 1));
+                                }
+                            });
+                            break;
+                        default:
+                            transformation[key] = raw;
+                    }
+                });
+
+                return transformation;
+            }).get();
+        },
+
+        renderLoad: function() {
+            const config = this.loadConfig;
+
+            this.$form.find('[data-load-key]').each(function() {
+                const value = config[$(this).data('load-key')];
+                if (value !== undefined && value !== null) {
+                    $(this).val(String(value));
+                }
+            });
+
+            this.toggleLoadPanels();
+        },
+
+        toggleLoadPanels: function() {
+            const destination = $('#etl-load-destination').val();
+
+            this.$form.find('.etl-load-panel').each(function() {
+                $(this).toggle($(this).data('destination') === destination);
+            });
+        },
+
+        /**
+         * Build the template sections from the editor state
+         *
+         * Keys the editor does not manage (static_fields, computed_fields and
+         * options of other destinations) are carried over from the saved config.
+         */
+        getTemplate: function() {
+            const extract = $.extend({}, this.extractConfig);
+            const transform = $.extend({}, this.transformConfig);
+            const load = $.extend({}, this.loadConfig);
+            const root = $.trim($('#etl-extract-root').val());
+            const paths = {};
+
+            this.$form.find('.etl-path-row').each(function() {
+                const key = $.trim($(this).find('.etl-path-key').val());
+                const path = $.trim($(this).find('.etl-path-source').val());
+
+                if (key && path) {
+                    paths[key] = path;
+                }
+            });
+
+            const filters = wpCustomAPI.queryBuilder.getFilters(this.$builder);
+            const transformations = this.getTransformations();
+
+            // Empty sections are omitted so the engine passes data straight through
+            delete extract.root;
+            delete extract.paths;
+            delete extract.filters;
+            if (root) {
+                extract.root = root;
+            }
+            if (Object.keys(paths).length) {
+                extract.paths = paths;
+            }
+            if (Array.isArray(filters) ? filters.length : filters.conditions.length) {
+                extract.filters = filters;
+            }
+
+            delete transform.transformations;
+            if (transformations.length) {
+                transform.transformations = transformations;
+            }
+
+            const panel = this.$form.find(`.etl-load-panel[data-destination="${$('#etl-load-destination').val()}"]`);
+            load.destination = $('#etl-load-destination').val();
+            panel.find('[data-load-key]').each(function() {
+                const value = $.trim($(this).val());
+                if (value === '') {
+                    delete load[$(this).data('load-key')];
+                } else {
+                    load[$(this).data('load-key')] = value;
+                }
+            });
+
+            return {
+                extract_config: extract,
+                field_mappings: wpCustomAPI.fieldMapper.getMappings(this.$mapper),
+                transform_config: transform,
+                load_config: load
+            };
+        },
+
+        /**
+         * Write the template sections into the hidden form fields
+         */
+        sync: function() {
+            const template = this.getTemplate();
+
+            $('#etl-extract-config').val(JSON.stringify(template.extract_config));
+            $('#etl-field-mappings').val(JSON.stringify(template.field_mappings));
+            $('#etl-transform-config').val(JSON.stringify(template.transform_config));
+            $('#etl-load-config').val(JSON.stringify(template.load_config));
+
+            return template;
+        },
+
+        storageKey: function() {
+            return this.storagePrefix + (new URLSearchParams(window.location.search).get('id') || 'new');
+        },
+
+        restoreSample: function() {
+            try {
+                const sample = window.localStorage.getItem(this.storageKey());
+                if (sample) {
+                    $('#etl-preview-sample').val(sample);
+                    this.preview();
+                }
+            } catch (e) {
+                // Storage unavailable
+            }
+        },
+
+        schedulePreview: function() {
+            const self = this;
+
+            clearTimeout(this.previewTimer);
+            this.previewTimer = setTimeout(function() {
+                self.preview();
+            }, this.previewDelay);
+        },
+
+        /**
+         * Dry-run the current template against the sample payload
+         *
+         * Skipped when neither the template nor the sample changed since the
+         * last run, unless forced.
+         */
+        preview: function(force) {
+            const self = this;
+            const sample = $.trim($('#etl-preview-sample').val());
+            const $output = this.$form.find('.etl-preview-output');
+
+            if (sample === '') {
+                return;
+            }
+
+            try {
+                JSON.parse(sample);
+            } catch (e) {
+                $output.html(`<div class="notice notice-error inline"><p>Sample payload is not valid JSON: ${wpCustomAPI.escapeHtml(e.message)}</p></div>`);
+                return;
+            }
+
+            try {
+                window.localStorage.setItem(this.storageKey(), sample);
+            } catch (e) {
+                // Storage unavailable
+            }
+
+            // Load settings never affect the preview
+            const template = this.sync();
+            delete template.load_config;
+            const key = JSON.stringify(template) + sample;
+
+            if (!force && key === this.lastPreview) {
+                return;
+            }
+            this.lastPreview = key;
+
+            if (this.previewRequest) {
+                this.previewRequest.abort();
+            }
+
+            this.$form.find('.etl-preview-spinner').addClass('is-active');
+
+            this.previewRequest = $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_etl_dry_run',
+                    nonce: wpCustomAPI.nonce,
+                    template: JSON.stringify(template),
+                    sample: sample
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $output.html(self.renderPreview(response.data));
+                        self.updateSourceFields(response.data.extracted);
+                    } else {
+                        $output.html(self.renderPreview(response.data || {}));
+                    }
+                },
+                error: function(xhr, status, error) {
+                    if (status === 'abort') {
+                        return;
+                    }
+
+                    const data = (xhr.responseJSON && xhr.responseJSON.data) || { message: error };
+                    $output.html(self.renderPreview(data));
+                },
+                complete: function(xhr, status) {
+                    if (status !== 'abort') {
+                        self.previewRequest = null;
+                        self.$form.find('.etl-preview-spinner').removeClass('is-active');
+                    }
+                }
+            });
+        },
+
+        /**
+         * Render the preview stages, including partial output before an error
+         */
+        renderPreview: function(result) {
+            const esc = wpCustomAPI.escapeHtml;
+            const viewer = wpCustomAPI.resultViewer;
+            const count = function(data) {
+                if (Array.isArray(data)) {
+                    return `${data.length} item${data.length === 1 ? '' : 's'}`;
+                }
+                const fields = data && typeof data === 'object' ? Object.keys(data).length : null;
+                return fields === null ? '' : `${fields} field${fields === 1 ? '' : 's'}`;
+            };
+            const stage = function(title, data, badge) {
+                return data === undefined ? '' : `
+                    <div class="etl-preview-stage">
+                        <h4>${title} <span class="etl-preview-count">${esc(count(data))}</span> ${badge || ''}</h4>
+                        ${viewer.renderBody(data)}
+                    </div>
+                `;
+            };
+
+            let html = '';
+
+            if (result.error || result.message) {
+                html += `
+                    <div class="notice notice-error inline">
+                        <p>${result.stage ? `<strong>${esc(result.stage)} failed:</strong> ` : ''}${esc(result.error || result.message)}</p>
+                    </div>
+                `;
+            }
+
+            html += stage('Extracted', result.extracted);
+            html += stage('After Filters', result.filtered, result.filter_matched === undefined ? '' : (result.filter_matched
+                ? '<span class="status-badge status-success">matched</span>'
+                : '<span class="status-badge status-error">dropped</span>'));
+            html += stage('Transformed', result.transformed);
+
+            return html;
+        },
+
+        /**
+         * Offer the extracted fields to the field mapper and filter builder
+         */
+        updateSourceFields: function(extracted) {
+            if (extracted === null || typeof extracted !== 'object') {
+                return;
+            }
+
+            const paths = wpCustomAPI.fieldMapper.extractPaths(extracted).map(source => source.path);
+
+            $('#etl-mapper-sample').val(JSON.stringify(extracted)).trigger('change');
+            wpCustomAPI.queryBuilder.setFields(this.$builder, paths);
+        }
+    };
+
+    // Initialize on document ready
+    $(document).ready(function() {
+        wpCustomAPIETLBuilder.init();
+    });
+
+})(jQuery);
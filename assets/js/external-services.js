@@ -0,0 +1,243 @@
+/**
+ * External Services - Status grid and service editor
+ *
+ * Draws a latency sparkline with uptime for every service from its stored
+ * health checks, runs "Test connection" health checks in place, and drives
+ * the editor's auth type panels and header rows. Secret header values
+ * arrive masked and are left blank unless the user replaces them.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPIExternalServices = {
+        /**
+         * Sparkline size in pixels
+         */
+        sparkWidth: 220,
+        sparkHeight: 40,
+
+        /**
+         * Initialize the page
+         */
+        init: function() {
+            const self = this;
+
+            $('.service-health-card').each(function() {
+                self.renderHealth($(this));
+            });
+
+            $('.service-header-rows').each(function() {
+                self.initHeaderRows($(this));
+            });
+
+            this.bindEvents();
+            this.toggleAuthPanels();
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function() {
+            const self = this;
+
+            $(document).on('click', '.service-test-connection', function(e) {
+                e.preventDefault();
+                self.testConnection($(this));
+            });
+
+            $('#auth_type').on('change', function() {
+                self.toggleAuthPanels();
+            });
+
+            $(document).on('click', '.service-header-add', function(e) {
+                e.preventDefault();
+                const $rows = $(this).closest('.service-header-rows');
+                self.addHeaderRow($rows, {name: '', value: ''});
+            });
+
+            $(document).on('click', '.service-header-remove', function(e) {
+                e.preventDefault();
+                $(this).closest('.service-header-row').remove();
+            });
+        },
+
+        /**
+         * Show the panel of the selected auth type
+         */
+        toggleAuthPanels: function() {
+            const type = $('#auth_type').val();
+
+            $('.service-auth-panel').each(function() {
+                $(this).toggle($(this).data('auth-type') === type);
+            });
+        },
+
+        /**
+         * Render header rows from the container's data-rows
+         */
+        initHeaderRows: function($rows) {
+            const self = this;
+            const rows = $rows.data('rows') || [];
+
+            $rows.data('next-index', 0);
+            $rows.append('<div class="service-header-list"></div>');
+            $rows.append('<button type="button" class="button button-small service-header-add">Add Header</button>');
+
+            rows.forEach(function(row) {
+                self.addHeaderRow($rows, row);
+            });
+        },
+
+        /**
+         * Append a header row
+         */
+        addHeaderRow: function($rows, row) {
+            const name = $rows.data('name');
+            const mask = $rows.data('mask');
+            const index = $rows.data('next-index');
+            const isStored = mask !== undefined && row.value === mask;
+
+            $rows.data('next-index', index + 1);
+
+            const valueInput = mask !== undefined
+                ? `<input type="password" name="${name}[${index}][value]" value="" autocomplete="new-password" class="regular-text"
+                    placeholder="${isStored ? wpCustomAPI.escapeHtml($rows.data('placeholder') || '') : ''}" />`
+                : `<input type="text" name="${name}[${index}][value]" value="${wpCustomAPI.escapeHtml(row.value)}" class="regular-text" />`;
+
+            $rows.find('.service-header-list').append(`
+                <div class="service-header-row">
+                    <input type="text" name="${name}[${index}][name]" value="${wpCustomAPI.escapeHtml(row.name)}" placeholder="Header-Name" />
+                    ${valueInput}
+                    <button type="button" class="button-link service-header-remove" aria-label="Remove header">
+                        <span class="dashicons dashicons-no-alt"></span>
+                    </button>
+                </div>
+            `);
+        },
+
+        /**
+         * Run a health check for a service and update its card
+         */
+        testConnection: function($button) {
+            const self = this;
+            const $card = $button.closest('.service-health-card');
+            const originalText = $button.text();
+
+            $button.prop('disabled', true).html('<span class="wp-custom-api-loading"></span> Testing...');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_test_external_service',
+                    nonce: wpCustomAPI.nonce,
+                    id: $button.data('service-id')
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || wpCustomAPI.i18n.error));
+                        return;
+                    }
+
+                    const check = response.data.check;
+
+                    $card.data('history', response.data.history || []);
+                    self.setStatus($card, check.status);
+                    self.renderHealth($card);
+
+                    $card.find('.service-last-check').text(
+                        `Checked just now: HTTP ${check.response_code || 'error'} in ${check.response_time_ms} ms`
+                    );
+
+                    const message = `Connection ${check.status}` + (check.message ? `: ${check.message}` : '');
+                    wpCustomAPI.showNotice(check.status === 'healthy' ? 'success' : 'error', wpCustomAPI.escapeHtml(message));
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error));
+                },
+                complete: function() {
+                    $button.prop('disabled', false).text(originalText);
+                }
+            });
+        },
+
+        /**
+         * Update a card's status badge
+         */
+        setStatus: function($card, status) {
+            const $status = $card.find('.service-health-status');
+
+            $status.attr('class', `service-health-status service-health-${status}`)
+                .text(status.charAt(0).toUpperCase() + status.slice(1));
+        },
+
+        /**
+         * Draw the sparkline and stats of a card from its history
+         */
+        renderHealth: function($card) {
+            const history = $card.data('history') || [];
+            const $stats = $card.find('.service-latency-stats');
+
+            $card.find('.service-latency-sparkline').html(this.sparkline(history));
+
+            if (!history.length) {
+                $stats.text('No checks recorded yet');
+                return;
+            }
+
+            const times = history.map(check => parseInt(check.response_time_ms, 10) || 0);
+            const average = Math.round(times.reduce((sum, time) => sum + time, 0) / times.length);
+            const healthy = history.filter(check => check.status === 'healthy').length;
+            const uptime = Math.round(healthy / history.length * 1000) / 10;
+
+            $stats.text(`Avg ${average} ms, ${uptime}% healthy over the last ${history.length} check(s)`);
+        },
+
+        /**
+         * Build an SVG sparkline of response times; failed checks are marked
+         */
+        sparkline: function(history) {
+            const width = this.sparkWidth;
+            const height = this.sparkHeight;
+
+            if (!history.length) {
+                return '';
+            }
+
+            const times = history.map(check => parseInt(check.response_time_ms, 10) || 0);
+            const max = Math.max.apply(null, times) || 1;
+            const step = history.length > 1 ? (width - 4) / (history.length - 1) : 0;
+
+            const points = times.map(function(time, i) {
+                const x = 2 + (history.length > 1 ? i * step : (width - 4) / 2);
+                const y = height - 2 - (time / max) * (height - 4);
+                return [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+            });
+
+            const dots = points.map(function(point, i) {
+                const check = history[i];
+                const title = `${check.created_at || ''}: ${check.status}, ${times[i]} ms` +
+                    (check.response_code ? `, HTTP ${check.response_code}` : '');
+
+                return `<circle cx="${point[0]}" cy="${point[1]}" r="${check.status === 'healthy' ? 1.5 : 3}"
+                    class="service-spark-dot service-health-${wpCustomAPI.escapeHtml(check.status)}">
+                    <title>${wpCustomAPI.escapeHtml(title)}</title>
+                </circle>`;
+            }).join('');
+
+            return `<svg class="service-spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Response time history">
+                <polyline class="service-spark-line" fill="none" points="${points.map(point => point.join(',')).join(' ')}" />
+                ${dots}
+            </svg>`;
+        }
+    };
+
+    $(document).ready(function() {
+        wpCustomAPIExternalServices.init();
+    });
+
+})(jQuery);
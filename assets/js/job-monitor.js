@@ -0,0 +1,427 @@
+/**
+ * Job Monitor - ETL job progress and history
+ *
+ * Lists ETL jobs with their extract/transform/load stage states, record
+ * counts and duration, and refreshes while any listed job is still running.
+ * A drawer shows the input, each stage's output and the error for failed
+ * jobs, and any job can be re-run with the same input.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPIJobMonitor = {
+        page: 1,
+        filters: {},
+        refreshTimer: null,
+        openJobId: null,
+        openJobRunning: false,
+
+        /**
+         * Refresh interval while jobs are running, in milliseconds
+         */
+        refreshInterval: 5000,
+
+        /**
+         * Initialize the monitor
+         */
+        init: function() {
+            this.$monitor = $('#wp-custom-api-job-monitor');
+            if (!this.$monitor.length) {
+                return;
+            }
+
+            this.bindEvents();
+            this.filters = this.readFilters();
+            this.load(1);
+
+            // Drill-down link from another screen
+            const jobId = parseInt(this.$monitor.data('job-id'), 10);
+            if (jobId) {
+                this.openDrawer(jobId);
+            }
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function() {
+            const self = this;
+            const $monitor = this.$monitor;
+
+            $monitor.on('submit', '.job-filters', function(e) {
+                e.preventDefault();
+                self.filters = self.readFilters();
+                self.load(1);
+            });
+
+            $monitor.on('click', '.job-status-counts a', function(e) {
+                e.preventDefault();
+                $monitor.find('.job-filters [name="status"]').val($(this).data('status'));
+                $monitor.find('.job-filters').trigger('submit');
+            });
+
+            $monitor.on('click', '.wp-custom-api-page', function(e) {
+                e.preventDefault();
+                self.load(parseInt($(this).data('page'), 10));
+            });
+
+            $monitor.on('click', '.job-view', function(e) {
+                e.preventDefault();
+                self.openDrawer($(this).closest('[data-job-id]').data('job-id'));
+            });
+
+            $monitor.on('click', '.job-rerun', function(e) {
+                e.preventDefault();
+                self.rerun($(this).data('job-id'), $(this));
+            });
+
+            $monitor.on('change', '.job-auto-refresh-toggle', function() {
+                self.scheduleRefresh();
+            });
+
+            $monitor.on('click', '.job-drawer .drawer-close', function() {
+                self.closeDrawer();
+            });
+
+            $(document).on('keydown', function(e) {
+                if (e.key === 'Escape') {
+                    self.closeDrawer();
+                }
+            });
+        },
+
+        /**
+         * Read the filter form into request parameters
+         */
+        readFilters: function() {
+            const filters = {};
+
+            $.each(this.$monitor.find('.job-filters').serializeArray(), function(index, field) {
+                if (field.value !== '') {
+                    filters[field.name] = field.value;
+                }
+            });
+
+            return filters;
+        },
+
+        /**
+         * Load a page of jobs
+         */
+        load: function(page) {
+            const self = this;
+            this.page = page || this.page;
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: $.extend({
+                    action: 'wp_custom_api_get_etl_jobs',
+                    nonce: wpCustomAPI.nonce,
+                    paged: this.page
+                }, this.filters),
+                success: function(response) {
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || 'Failed to load jobs'));
+                        return;
+                    }
+
+                    self.page = response.data.page;
+                    self.items = response.data.items;
+                    self.renderRows(response.data.items);
+                    self.renderStatusCounts(response.data.status_counts || {});
+                    self.$monitor.find('.job-pagination').html(wpCustomAPI.renderPagination(response.data));
+                    self.scheduleRefresh();
+                },
+                error: function(xhr, status, error) {
+                    const data = xhr.responseJSON && xhr.responseJSON.data;
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml((data && data.message) || error));
+                }
+            });
+        },
+
+        /**
+         * Poll again while a listed job is still running
+         */
+        scheduleRefresh: function() {
+            const self = this;
+            const running = (this.items || []).some(job => job.is_running);
+
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+
+            if (running && this.$monitor.find('.job-auto-refresh-toggle').is(':checked')) {
+                this.refreshTimer = setTimeout(function() {
+                    self.refresh();
+                }, this.refreshInterval);
+            }
+        },
+
+        /**
+         * Render job rows
+         */
+        renderRows: function(items) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const $rows = this.$monitor.find('.job-rows');
+
+            if (!items.length) {
+                $rows.html('<tr><td colspan="8">No ETL jobs found.</td></tr>');
+                return;
+            }
+
+            $rows.html(items.map(function(job) {
+                return `
+                    <tr data-job-id="${esc(job.id)}"${job.is_running ? ' class="job-running"' : ''}>
+                        <td class="column-id"><a href="#" class="job-view">#${esc(job.id)}</a></td>
+                        <td>${esc(job.template_name || 'Template #' + job.template_id)}</td>
+                        <td>
+                            ${self.renderStatus(job.status)}
+                            ${job.error_message ? `<div class="description job-error">${esc(job.error_message)}</div>` : ''}
+                        </td>
+                        <td>${self.renderStages(job.stages)}</td>
+                        <td>${self.renderCounts(job.counts)}</td>
+                        <td>${esc(self.formatDuration(job.duration))}</td>
+                        <td>${esc(self.formatTime(job.started_at))}</td>
+                        <td class="job-actions">
+                            <a href="#" class="job-view">View</a>
+                            ${job.is_running ? '' : `| <a href="#" class="job-rerun" data-job-id="${esc(job.id)}">Re-run</a>`}
+                        </td>
+                    </tr>
+                `;
+            }).join(''));
+        },
+
+        renderStatusCounts: function(counts) {
+            const running = ['pending', 'extracting', 'transforming', 'loading'];
+            const status = this.filters.status || '';
+            const totals = {
+                '': Object.keys(counts).reduce((sum, key) => sum + counts[key], 0),
+                running: running.reduce((sum, key) => sum + (counts[key] || 0), 0)
+            };
+
+            this.$monitor.find('.job-status-counts a').each(function() {
+                const key = String($(this).data('status'));
+                $(this).toggleClass('current', key === status);
+                $(this).find('.count').text(`(${key in totals ? totals[key] : counts[key] || 0})`);
+            });
+        },
+
+        renderStatus: function(status) {
+            const classes = {
+                completed: 'status-success',
+                failed: 'status-error'
+            };
+
+            return `<span class="status-badge ${classes[status] || 'status-pending'}">${wpCustomAPI.escapeHtml(status)}</span>`;
+        },
+
+        /**
+         * Render the extract → transform → load pipeline
+         */
+        renderStages: function(stages) {
+            const esc = wpCustomAPI.escapeHtml;
+
+            return `
+                <ol class="job-stages">
+                    ${Object.keys(stages || {}).map(stage => `
+                        <li class="job-stage job-stage-${esc(stages[stage])}" title="${esc(stage)}: ${esc(stages[stage])}">${esc(stage)}</li>
+                    `).join('')}
+                </ol>
+            `;
+        },
+
+        renderCounts: function(counts) {
+            const esc = wpCustomAPI.escapeHtml;
+            const labels = { input: 'in', extracted: 'extracted', transformed: 'out' };
+
+            const parts = Object.keys(labels)
+                .filter(key => counts && counts[key] !== null && counts[key] !== undefined)
+                .map(key => `<span title="${esc(key)}">${esc(labels[key])} ${esc(counts[key])}</span>`);
+
+            return parts.length ? `<span class="job-counts">${parts.join(' &rarr; ')}</span>` : '&mdash;';
+        },
+
+        formatDuration: function(seconds) {
+            if (seconds === null || seconds === undefined) {
+                return '—';
+            }
+
+            seconds = parseInt(seconds, 10);
+            if (seconds < 60) {
+                return seconds + 's';
+            }
+
+            const minutes = Math.floor(seconds / 60);
+            return minutes < 60
+                ? `${minutes}m ${seconds % 60}s`
+                : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+        },
+
+        /**
+         * Jobs store started_at and completed_at as Unix timestamps
+         */
+        formatTime: function(timestamp) {
+            timestamp = parseInt(timestamp, 10);
+            return timestamp ? new Date(timestamp * 1000).toLocaleString() : '—';
+        },
+
+        /**
+         * Open the detail drawer for a job
+         */
+        openDrawer: function(jobId) {
+            const self = this;
+            const $drawer = this.$monitor.find('.job-drawer');
+            const reopening = this.openJobId === jobId && $drawer.hasClass('open');
+
+            this.openJobId = jobId;
+
+            $drawer.find('.drawer-title').text(`ETL Job #${jobId}`);
+            if (!reopening) {
+                $drawer.find('.drawer-body').html('<span class="spinner is-active"></span>');
+            }
+            $drawer.addClass('open').attr('aria-hidden', 'false');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_etl_job',
+                    nonce: wpCustomAPI.nonce,
+                    job_id: jobId
+                },
+                success: function(response) {
+                    if (self.openJobId !== jobId) {
+                        return;
+                    }
+
+                    if (response.success) {
+                        self.openJobRunning = response.data.is_running;
+                        $drawer.find('.drawer-body').html(self.renderDetails(response.data));
+                    } else {
+                        $drawer.find('.drawer-body').html(`<p class="job-error">${wpCustomAPI.escapeHtml(response.data.message || 'ETL job not found')}</p>`);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    const data = xhr.responseJSON && xhr.responseJSON.data;
+                    $drawer.find('.drawer-body').html(`<p class="job-error">${wpCustomAPI.escapeHtml((data && data.message) || error)}</p>`);
+                }
+            });
+        },
+
+        closeDrawer: function() {
+            this.openJobId = null;
+            this.$monitor.find('.job-drawer').removeClass('open').attr('aria-hidden', 'true');
+        },
+
+        /**
+         * Render the drawer contents
+         */
+        renderDetails: function(job) {
+            const esc = wpCustomAPI.escapeHtml;
+            const viewer = wpCustomAPI.resultViewer;
+            const webhooksUrl = this.$monitor.data('webhooks-url');
+            const section = (title, value, empty) => `
+                <h3>${title}</h3>
+                ${value === null || value === undefined || value === '' ? `<p class="description">${empty}</p>` : viewer.renderBody(value)}
+            `;
+
+            return `
+                <div class="webhook-detail-actions">
+                    ${job.is_running ? '' : `<button type="button" class="button button-primary job-rerun" data-job-id="${esc(job.id)}">Re-run with same input</button>`}
+                </div>
+
+                ${job.status === 'failed' ? `
+                    <div class="notice notice-error inline job-failure">
+                        <p><strong>Failed${job.error_stage ? ` during ${esc(job.error_stage)}` : ''}:</strong> ${esc(job.error_message || 'Unknown error')}</p>
+                    </div>
+                ` : ''}
+
+                <table class="widefat webhook-detail-summary">
+                    <tbody>
+                        <tr><th>Template</th><td>${esc(job.template_name || 'Template #' + job.template_id)}</td></tr>
+                        <tr><th>Status</th><td>${this.renderStatus(job.status)}</td></tr>
+                        <tr><th>Stages</th><td>${this.renderStages(job.stages)}</td></tr>
+                        <tr><th>Records</th><td>${this.renderCounts(job.counts)}</td></tr>
+                        <tr><th>Started</th><td>${esc(this.formatTime(job.started_at))}</td></tr>
+                        <tr><th>Completed</th><td>${esc(this.formatTime(job.completed_at))}</td></tr>
+                        <tr><th>Duration</th><td>${esc(this.formatDuration(job.duration))}</td></tr>
+                        <tr><th>Retries</th><td>${esc(job.retry_count || 0)}</td></tr>
+                        ${parseInt(job.webhook_log_id, 10) ? `<tr><th>Webhook</th><td><a href="${esc(webhooksUrl + '&log_id=' + job.webhook_log_id)}">#${esc(job.webhook_log_id)}</a></td></tr>` : ''}
+                        ${job.external_response_code ? `<tr><th>External response</th><td>${esc(job.external_response_code)}</td></tr>` : ''}
+                    </tbody>
+                </table>
+
+                ${section('Input', job.input_data, 'No input recorded.')}
+                ${section('Extracted', job.extracted_data, 'Extract has not produced output.')}
+                ${section('Transformed Output', job.transformed_data, 'Transform has not produced output.')}
+                ${section('Load Result', job.load_result, 'Nothing has been loaded.')}
+                ${job.external_response_body ? section('External Response Body', job.external_response_body, '') : ''}
+            `;
+        },
+
+        /**
+         * Run a job again with its original input
+         */
+        rerun: function(jobId, $button) {
+            const self = this;
+
+            $button.addClass('disabled').prop('disabled', true);
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_rerun_etl_job',
+                    nonce: wpCustomAPI.nonce,
+                    job_id: jobId
+                },
+                success: function(response) {
+                    const data = response.data || {};
+
+                    wpCustomAPI.showNotice(response.success ? 'success' : 'error', wpCustomAPI.escapeHtml(data.message || 'Re-run failed'));
+                    self.load(1);
+
+                    if (data.job_id) {
+                        self.openDrawer(data.job_id);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    const data = (xhr.responseJSON && xhr.responseJSON.data) || {};
+
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(data.message || error));
+
+                    // A failed run still creates a job worth inspecting
+                    if (data.job_id) {
+                        self.load(1);
+                        self.openDrawer(data.job_id);
+                    }
+                },
+                complete: function() {
+                    $button.removeClass('disabled').prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Reload the current page and the open drawer
+         */
+        refresh: function() {
+            this.load();
+
+            // Finished jobs no longer change, so keep their drawer as the user left it
+            if (this.openJobId && this.openJobRunning) {
+                this.openDrawer(this.openJobId);
+            }
+        }
+    };
+
+    // Initialize on document ready
+    $(document).ready(function() {
+        wpCustomAPIJobMonitor.init();
+    });
+
+})(jQuery);
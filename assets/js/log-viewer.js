@@ -0,0 +1,316 @@
+/**
+ * Log Viewer - Event log console
+ *
+ * Lists Event_Logger events with level and category facets, full-text search
+ * over message and context, and an expandable JSON context view. Live tail
+ * polls for events newer than the latest one shown.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPILogViewer = {
+        page: 1,
+        filters: {},
+        lastId: 0,
+        tailTimer: null,
+        tailBacklog: false,
+
+        /**
+         * Polling interval for live tail in milliseconds
+         */
+        tailInterval: 5000,
+
+        /**
+         * Rows kept on screen while tailing
+         */
+        tailLimit: 200,
+
+        /**
+         * Initialize the console
+         */
+        init: function() {
+            this.$console = $('#wp-custom-api-log-console');
+            if (!this.$console.length) {
+                return;
+            }
+
+            this.bindEvents();
+
+            // The page may open with filters from its URL
+            this.filters = this.readFilters();
+            this.load(1);
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function() {
+            const self = this;
+            const $console = this.$console;
+
+            $console.on('submit', '.log-toolbar', function(e) {
+                e.preventDefault();
+                self.applyFilters();
+            });
+
+            $console.on('change', '.log-facets input[type="checkbox"]', function() {
+                self.applyFilters();
+            });
+
+            $console.on('click', '.wp-custom-api-page', function(e) {
+                e.preventDefault();
+                self.load(parseInt($(this).data('page'), 10));
+            });
+
+            $console.on('click', '.log-row', function(e) {
+                if ($(e.target).closest('a, button, details').length) {
+                    return;
+                }
+                self.toggleContext($(this));
+            });
+
+            $console.on('change', '.log-live', function() {
+                if (this.checked) {
+                    self.startTail();
+                } else {
+                    self.stopTail();
+                }
+            });
+
+            $console.on('click', '.log-download', function() {
+                self.download($(this).data('format'));
+            });
+        },
+
+        /**
+         * Read search, dates and facet selections
+         */
+        readFilters: function() {
+            const filters = {};
+
+            $.each(this.$console.find('.log-toolbar, .log-facets').find(':input').serializeArray(), function(index, field) {
+                if (field.value === '') {
+                    return;
+                }
+
+                if (field.name.slice(-2) === '[]') {
+                    const name = field.name.slice(0, -2);
+                    filters[name] = (filters[name] || []).concat(field.value);
+                } else {
+                    filters[field.name] = field.value;
+                }
+            });
+
+            return filters;
+        },
+
+        applyFilters: function() {
+            this.filters = this.readFilters();
+            this.load(1);
+        },
+
+        /**
+         * Load a page of events with facet counts
+         */
+        load: function(page) {
+            const self = this;
+            this.page = page || this.page;
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: $.extend({
+                    action: 'wp_custom_api_get_event_logs',
+                    nonce: wpCustomAPI.nonce,
+                    paged: this.page
+                }, this.filters),
+                success: function(response) {
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || 'Failed to load events'));
+                        return;
+                    }
+
+                    const data = response.data;
+                    self.lastId = data.events.reduce((max, event) => Math.max(max, parseInt(event.id, 10)), self.page === 1 ? 0 : self.lastId);
+                    self.$console.find('.log-rows').html(data.events.length
+                        ? data.events.map(event => self.renderRow(event)).join('')
+                        : '<tr class="log-empty"><td colspan="4">No events found.</td></tr>');
+                    self.$console.find('.log-pagination').html(wpCustomAPI.renderPagination(data));
+                    self.renderFacets(data.facets);
+                },
+                error: function(xhr, status, error) {
+                    const data = xhr.responseJSON && xhr.responseJSON.data;
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml((data && data.message) || error));
+                }
+            });
+        },
+
+        /**
+         * Show counts next to facet options, adding custom categories as they appear
+         */
+        renderFacets: function(facets) {
+            const self = this;
+
+            $.each(facets || {}, function(facet, counts) {
+                const $facet = self.$console.find(`.log-facet[data-facet="${facet}"]`);
+
+                $facet.find('.log-facet-count').text('0');
+
+                $.each(counts, function(value, count) {
+                    let $count = $facet.find('.log-facet-count').filter(function() {
+                        return $(this).data('value') === value;
+                    });
+
+                    if (!$count.length) {
+                        const $option = $(`
+                            <label class="log-facet-option">
+                                <input type="checkbox" name="${facet}[]" />
+                                <span></span>
+                                <span class="log-facet-count"></span>
+                            </label>
+                        `);
+                        $option.find('input').val(value);
+                        $option.find('span').first().text(value);
+                        $option.find('.log-facet-count').attr('data-value', value);
+                        $facet.append($option);
+                        $count = $option.find('.log-facet-count');
+                    }
+
+                    $count.text(count);
+                });
+            });
+        },
+
+        /**
+         * Render one event row with its hidden context row
+         */
+        renderRow: function(event) {
+            const esc = wpCustomAPI.escapeHtml;
+            const hasContext = event.context !== null && typeof event.context === 'object' && Object.keys(event.context).length > 0;
+
+            return `
+                <tr class="log-row log-row-${esc(event.level)}" data-event-id="${esc(event.id)}">
+                    <td class="column-time">${esc(event.created_at)}</td>
+                    <td class="column-level"><span class="log-level log-level-${esc(event.level)}">${esc(event.level)}</span></td>
+                    <td class="column-category">${esc(event.category)}</td>
+                    <td>
+                        <span class="dashicons dashicons-arrow-right-alt2 log-toggle"></span>
+                        ${esc(event.message)}
+                        ${hasContext ? '<span class="log-has-context" title="Has context">{…}</span>' : ''}
+                    </td>
+                </tr>
+                <tr class="log-context-row" style="display:none;">
+                    <td colspan="4">
+                        <div class="log-meta">
+                            ${event.user_id && event.user_id !== '0' ? `<span>User #${esc(event.user_id)}</span>` : ''}
+                            ${event.ip_address ? `<span>IP <code>${esc(event.ip_address)}</code></span>` : ''}
+                            ${event.request_method || event.request_uri ? `<span><code>${esc(event.request_method)} ${esc(event.request_uri)}</code></span>` : ''}
+                        </div>
+                        ${hasContext ? wpCustomAPI.resultViewer.renderBody(event.context) : '<p class="description">No context recorded.</p>'}
+                    </td>
+                </tr>
+            `;
+        },
+
+        toggleContext: function($row) {
+            $row.toggleClass('expanded');
+            $row.find('.log-toggle').toggleClass('dashicons-arrow-right-alt2 dashicons-arrow-down-alt2');
+            $row.next('.log-context-row').toggle();
+        },
+
+        /**
+         * Start polling for new events
+         */
+        startTail: function() {
+            const self = this;
+
+            // New events appear on top of the first page
+            if (this.page !== 1) {
+                this.load(1);
+            }
+
+            this.stopTail();
+            this.tailTimer = setInterval(function() {
+                self.poll();
+            }, this.tailInterval);
+            this.$console.addClass('is-tailing');
+        },
+
+        stopTail: function() {
+            clearInterval(this.tailTimer);
+            this.tailTimer = null;
+            this.$console.removeClass('is-tailing');
+        },
+
+        /**
+         * Fetch events newer than the latest one shown and prepend them
+         */
+        poll: function() {
+            const self = this;
+
+            if (this.polling || document.hidden) {
+                return;
+            }
+
+            this.polling = true;
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: $.extend({
+                    action: 'wp_custom_api_get_event_logs',
+                    nonce: wpCustomAPI.nonce,
+                    after_id: this.lastId
+                }, this.filters),
+                success: function(response) {
+                    if (!response.success || !response.data.events.length) {
+                        return;
+                    }
+
+                    // Events arrive oldest first and are shown newest first
+                    const events = response.data.events.slice().reverse();
+                    const $rows = self.$console.find('.log-rows');
+
+                    self.lastId = events.reduce((max, event) => Math.max(max, parseInt(event.id, 10)), self.lastId);
+                    self.tailBacklog = !!response.data.has_more;
+                    $rows.find('.log-empty').remove();
+                    $(events.map(event => self.renderRow(event)).join('')).filter('.log-row').addClass('log-row-new').end().prependTo($rows);
+
+                    // Drop the oldest rows (each event renders two rows)
+                    $rows.children().slice(self.tailLimit * 2).remove();
+                },
+                complete: function() {
+                    self.polling = false;
+
+                    // Catch up on a burst without waiting for the next interval
+                    if (self.tailBacklog && self.tailTimer) {
+                        self.tailBacklog = false;
+                        self.poll();
+                    }
+                }
+            });
+        },
+
+        /**
+         * Download events matching the current filters
+         */
+        download: function(format) {
+            const params = $.extend({
+                action: 'wp_custom_api_export_event_logs',
+                nonce: wpCustomAPI.nonce,
+                format: format
+            }, this.filters);
+
+            window.location.href = wpCustomAPI.ajaxUrl + '?' + $.param(params);
+        }
+    };
+
+    // Initialize on document ready
+    $(document).ready(function() {
+        wpCustomAPILogViewer.init();
+    });
+
+})(jQuery);
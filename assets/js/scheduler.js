@@ -0,0 +1,620 @@
+/**
+ * Scheduler - Scheduled task controls and task editor
+ *
+ * Runs tasks now, pauses and resumes them, and updates the task's next
+ * run, last result and run counts in place, showing a manual run's output
+ * under the task. On the editor it switches between the ETL and custom
+ * task panels and the preset, custom interval or cron frequency. The cron
+ * builder keeps the expression and its five fields in sync, validates and
+ * describes it as you type and previews the next runs, computed by the
+ * server in the site timezone.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPIScheduler = {
+        /**
+         * Badge classes per task status
+         */
+        statusClasses: {
+            completed: 'status-success',
+            failed: 'status-error',
+            running: 'status-pending',
+            pending: 'status-pending',
+            paused: 'task-status-paused'
+        },
+
+        /**
+         * Cron fields in expression order, with their allowed ranges
+         */
+        cronFields: [
+            {name: 'minute', min: 0, max: 59},
+            {name: 'hour', min: 0, max: 23},
+            {name: 'day', min: 1, max: 31},
+            {name: 'month', min: 1, max: 12},
+            {name: 'weekday', min: 0, max: 7}
+        ],
+
+        /**
+         * Cron macros and their expressions
+         */
+        cronMacros: {
+            '@yearly': '0 0 1 1 *',
+            '@annually': '0 0 1 1 *',
+            '@monthly': '0 0 1 * *',
+            '@weekly': '0 0 * * 0',
+            '@daily': '0 0 * * *',
+            '@midnight': '0 0 * * *',
+            '@hourly': '0 * * * *'
+        },
+
+        /**
+         * Month and weekday names, indexed by value
+         */
+        cronNames: {
+            month: ['', 'JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+            weekday: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']
+        },
+
+        /**
+         * Pending cron preview request
+         */
+        cronTimer: null,
+        cronRequest: 0,
+
+        /**
+         * Last expression the server rejected, with its error
+         */
+        cronServerError: null,
+
+        /**
+         * Initialize the page
+         */
+        init: function() {
+            this.bindEvents();
+            this.toggleEditorPanels();
+
+            if ($('#cron_expression').length) {
+                this.syncCronFields();
+                this.updateCron();
+            }
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function() {
+            const self = this;
+
+            $(document).on('click', '.task-run-now', function(e) {
+                e.preventDefault();
+                self.runNow($(this));
+            });
+
+            $(document).on('click', '.task-toggle', function(e) {
+                e.preventDefault();
+                self.toggle($(this));
+            });
+
+            $('#task_type, #frequency_preset, #etl_source').on('change', function() {
+                self.toggleEditorPanels();
+            });
+
+            $('#cron_expression').on('input', function() {
+                self.syncCronFields();
+                self.updateCron();
+            });
+
+            $('.cron-field input').on('input', function() {
+                const expression = $('.cron-field input').map(function() {
+                    return $.trim($(this).val()) || '*';
+                }).get().join(' ');
+
+                $('#cron_expression').val(expression);
+                self.updateCron();
+            });
+
+            $('#cron_preset').on('change', function() {
+                const expression = $(this).val();
+
+                if (expression) {
+                    $('#cron_expression').val(expression);
+                    self.syncCronFields();
+                    self.updateCron();
+                }
+
+                $(this).val('');
+            });
+
+            $('#scheduled-task-form').on('submit', function(e) {
+                if ($('#frequency_preset').val() !== 'cron') {
+                    return;
+                }
+
+                const error = self.cronError($('#cron_expression').val());
+
+                if (error) {
+                    e.preventDefault();
+                    self.renderCronStatus(error, true);
+                    $('#cron_expression').trigger('focus');
+                }
+            });
+        },
+
+        /**
+         * Show the editor fields that apply to the current choices
+         */
+        toggleEditorPanels: function() {
+            const type = $('#task_type').val();
+            const source = $('#etl_source').val();
+
+            $('.scheduler-type-panel').each(function() {
+                $(this).toggle($(this).data('task-type') === type);
+            });
+
+            $('.scheduler-interval').toggle($('#frequency_preset').val() === 'custom');
+            $('.scheduler-cron').toggle($('#frequency_preset').val() === 'cron');
+
+            $('.scheduler-source').each(function() {
+                $(this).toggle($(this).data('source') === source);
+            });
+        },
+
+        /**
+         * Fill the builder fields from the expression
+         */
+        syncCronFields: function() {
+            const expression = this.normalizeCron($('#cron_expression').val());
+            const parts = (this.cronMacros[expression] || expression).split(' ');
+
+            if (parts.length !== this.cronFields.length) {
+                return;
+            }
+
+            $('.cron-field input').each(function(index) {
+                $(this).val(parts[index]);
+            });
+        },
+
+        /**
+         * Validate and describe the expression, then preview its next runs
+         */
+        updateCron: function() {
+            const self = this;
+            const expression = this.normalizeCron($('#cron_expression').val());
+            const error = this.cronError(expression);
+
+            clearTimeout(this.cronTimer);
+            this.cronRequest++;
+
+            if (error) {
+                this.renderCronStatus(error, true);
+                $('.cron-next-runs').empty();
+                return;
+            }
+
+            this.renderCronStatus(this.describeCron(expression), false);
+            $('.cron-next-runs').html('<li><span class="wp-custom-api-loading"></span></li>');
+
+            this.cronTimer = setTimeout(function() {
+                self.previewCron(expression);
+            }, 300);
+        },
+
+        /**
+         * Ask the server for the next run times in the site timezone
+         */
+        previewCron: function(expression) {
+            const self = this;
+            const request = this.cronRequest;
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_preview_cron',
+                    nonce: wpCustomAPI.nonce,
+                    expression: expression
+                },
+                success: function(response) {
+                    if (request !== self.cronRequest) {
+                        return;
+                    }
+
+                    if (!response.success) {
+                        self.rejectCron(expression, response.data && response.data.message);
+                        return;
+                    }
+
+                    self.cronServerError = null;
+
+                    const runs = response.data.runs.map(run => `
+                        <li>${wpCustomAPI.escapeHtml(run.formatted)}
+                            <span class="description">(${self.relativeTime(run.timestamp, response.data.now)})</span></li>
+                    `).join('');
+
+                    $('.cron-next-runs').html(runs || '<li>No upcoming runs</li>');
+                },
+                error: function(xhr) {
+                    if (request !== self.cronRequest) {
+                        return;
+                    }
+
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+
+                    if (xhr.status === 400) {
+                        self.rejectCron(expression, message);
+                    } else {
+                        $('.cron-next-runs').html(`<li>${wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error)}</li>`);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Remember and show an expression the server rejected
+         */
+        rejectCron: function(expression, message) {
+            this.cronServerError = {expression: expression, message: message || wpCustomAPI.i18n.error};
+            this.renderCronStatus(this.cronServerError.message, true);
+            $('.cron-next-runs').empty();
+        },
+
+        /**
+         * Show the expression's description or error
+         */
+        renderCronStatus: function(text, isError) {
+            $('.cron-status')
+                .toggleClass('is-invalid', isError)
+                .text(text);
+
+            $('#cron_expression').attr('aria-invalid', isError ? 'true' : 'false');
+        },
+
+        /**
+         * Collapse whitespace and set the case the server stores
+         */
+        normalizeCron: function(expression) {
+            expression = $.trim(String(expression || '')).replace(/\s+/g, ' ');
+            return expression.charAt(0) === '@' ? expression.toLowerCase() : expression.toUpperCase();
+        },
+
+        /**
+         * Validate an expression the way the server does
+         *
+         * @return {string|null} Error message, or null when valid
+         */
+        cronError: function(expression) {
+            const self = this;
+
+            expression = this.normalizeCron(expression);
+
+            if (this.cronServerError && this.cronServerError.expression === expression) {
+                return this.cronServerError.message;
+            }
+
+            if (expression.charAt(0) === '@') {
+                if (!this.cronMacros[expression]) {
+                    return `Unknown macro ${expression}`;
+                }
+                expression = this.cronMacros[expression];
+            }
+
+            const parts = expression === '' ? [] : expression.split(' ');
+
+            if (parts.length !== this.cronFields.length) {
+                return `Expected 5 fields (minute hour day month weekday), got ${parts.length}`;
+            }
+
+            for (let i = 0; i < parts.length; i++) {
+                const error = self.cronFieldError(self.cronFields[i], parts[i]);
+
+                if (error) {
+                    return error;
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Validate one field: lists of values, ranges and steps
+         */
+        cronFieldError: function(field, value) {
+            const names = this.cronNames[field.name] || [];
+            const parts = value.split(',');
+
+            for (let i = 0; i < parts.length; i++) {
+                const match = parts[i].match(/^(\*|[0-9A-Z]+)(?:-([0-9A-Z]+))?(?:\/([0-9]+))?$/);
+
+                if (!match || (match[1] === '*' && match[2] !== undefined)) {
+                    return `Invalid ${field.name} field: ${value}`;
+                }
+
+                if (match[3] !== undefined && parseInt(match[3], 10) < 1) {
+                    return `Invalid step in ${field.name} field: ${value}`;
+                }
+
+                if (match[1] === '*') {
+                    continue;
+                }
+
+                const values = [];
+
+                for (const part of [match[1], match[2]]) {
+                    if (part === undefined) {
+                        continue;
+                    }
+
+                    const number = /^\d+$/.test(part) ? parseInt(part, 10) : names.indexOf(part);
+
+                    if (number < 0) {
+                        return `Invalid ${field.name} value: ${part}`;
+                    }
+
+                    values.push(number);
+                }
+
+                const start = values[0];
+                const end = values.length > 1 ? values[1] : start;
+
+                if (start < field.min || end > field.max || start > end) {
+                    return `Out of range ${field.name} field: ${value} (allowed ${field.min}-${field.max})`;
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Describe a valid expression in words
+         */
+        describeCron: function(expression) {
+            const parts = (this.cronMacros[expression] || expression).split(' ');
+            const [minute, hour, day, month, weekday] = parts;
+            const isNumber = value => /^\d+$/.test(value);
+            const pad = value => String(value).padStart(2, '0');
+            let text;
+
+            if (isNumber(minute) && isNumber(hour)) {
+                text = `At ${pad(hour)}:${pad(minute)}`;
+            } else {
+                const minutes = this.describeCronField(minute, 'minute');
+
+                if (minute === '*') {
+                    text = 'Every minute';
+                } else if (minutes.indexOf('every ') === 0) {
+                    text = 'E' + minutes.slice(1);
+                } else {
+                    text = `At minute ${minutes}` + (hour === '*' ? ' of every hour' : '');
+                }
+
+                if (hour !== '*') {
+                    text += ` past hour ${this.describeCronField(hour, 'hour')}`;
+                }
+            }
+
+            if (day !== '*') {
+                text += `, on day ${this.describeCronField(day, 'day')} of the month`;
+            }
+
+            if (weekday !== '*') {
+                text += `, ${day !== '*' ? 'or ' : ''}on ${this.describeCronField(weekday, 'weekday')}`;
+            }
+
+            if (month !== '*') {
+                text += `, in ${this.describeCronField(month, 'month')}`;
+            }
+
+            return text;
+        },
+
+        /**
+         * Describe one field's lists, ranges and steps
+         */
+        describeCronField: function(value, name) {
+            const names = this.cronNames[name];
+            const label = function(part) {
+                if (!names) {
+                    return part;
+                }
+
+                const name = /^\d+$/.test(part) ? names[parseInt(part, 10)] : part;
+                return name.charAt(0) + name.slice(1).toLowerCase();
+            };
+
+            return value.split(',').map(function(part) {
+                const [range, step] = part.split('/');
+                const [start, end] = range.split('-');
+                let text = range === '*' ? 'every' : label(start) + (end !== undefined ? ` through ${label(end)}` : '');
+
+                if (step !== undefined) {
+                    text = `every ${step} ${name}s` + (range === '*' ? '' : ` from ${text}`);
+                }
+
+                return text;
+            }).join(', ');
+        },
+
+        /**
+         * Run a task now and show its output
+         */
+        runNow: function($button) {
+            const self = this;
+            const $task = $button.closest('.scheduler-task');
+            const originalText = $button.text();
+
+            $button.prop('disabled', true).html('<span class="wp-custom-api-loading"></span> Running...');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_run_scheduled_task',
+                    nonce: wpCustomAPI.nonce,
+                    id: $button.data('task-id')
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || wpCustomAPI.i18n.error));
+                        return;
+                    }
+
+                    self.updateTask($task, response.data.task);
+                    self.renderOutput($task, response.data.result);
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error));
+                },
+                complete: function() {
+                    $button.prop('disabled', false).text(originalText);
+                }
+            });
+        },
+
+        /**
+         * Pause or resume a task
+         */
+        toggle: function($button) {
+            const self = this;
+            const $task = $button.closest('.scheduler-task');
+            const operation = String($button.data('active')) === '1' ? 'pause' : 'resume';
+
+            $button.prop('disabled', true);
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: `wp_custom_api_${operation}_scheduled_task`,
+                    nonce: wpCustomAPI.nonce,
+                    id: $button.data('task-id')
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || wpCustomAPI.i18n.error));
+                        return;
+                    }
+
+                    self.updateTask($task, response.data.task);
+                    wpCustomAPI.showNotice('success', wpCustomAPI.escapeHtml(response.data.message));
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error));
+                },
+                complete: function() {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Update a task's cells from its state
+         */
+        updateTask: function($task, task) {
+            const esc = wpCustomAPI.escapeHtml;
+            const result = task.last_result || {};
+
+            $task.find('.task-next-run').text(
+                task.is_active ? this.relativeTime(task.next_run_at, task.now) : 'Paused'
+            );
+
+            $task.find('.task-last-run').html(`
+                <span class="status-badge ${this.statusClasses[task.status] || ''}">${esc(this.capitalize(task.status))}</span>
+                ${task.last_run_at ? esc(this.relativeTime(task.last_run_at, task.now)) : ''}
+                ${result.message ? `<p class="description">${esc(result.message)}</p>` : ''}
+            `);
+
+            $task.find('.task-runs').html(
+                esc(task.run_count) +
+                (task.fail_count > 0 ? ` <span class="task-fail-count">(${esc(task.fail_count)} failed)</span>` : '')
+            );
+
+            $task.find('.task-toggle')
+                .data('active', task.is_active ? '1' : '0')
+                .attr('data-active', task.is_active ? '1' : '0')
+                .text(task.is_active ? 'Pause' : 'Resume');
+        },
+
+        /**
+         * Show a manual run's result with the task
+         *
+         * List rows get a result row underneath; the details view has its
+         * own output container.
+         */
+        renderOutput: function($task, result) {
+            let $output = $task.find('.task-run-output');
+
+            if (!$output.length) {
+                let $row = $task.next('.task-result-row');
+
+                if (!$row.length) {
+                    $row = $(`<tr class="task-result-row"><td colspan="${$task.children('td').length}"><div class="task-run-output"></div></td></tr>`);
+                    $task.after($row);
+                }
+
+                $output = $row.find('.task-run-output');
+            }
+
+            const hasData = result.data !== undefined && result.data !== null;
+
+            $output.html(`
+                <div class="task-run-result ${result.success ? 'is-success' : 'is-failed'}">
+                    <div class="task-run-result-header">
+                        <span class="status-badge ${result.success ? 'status-success' : 'status-error'}">${result.success ? 'Completed' : 'Failed'}</span>
+                        <span>${wpCustomAPI.escapeHtml(result.message || '')}</span>
+                        <button type="button" class="button-link task-run-dismiss" aria-label="Dismiss">
+                            <span class="dashicons dashicons-no-alt"></span>
+                        </button>
+                    </div>
+                    ${hasData ? wpCustomAPI.resultViewer.renderBody(result.data) : ''}
+                </div>
+            `);
+
+            $output.find('.task-run-dismiss').on('click', function() {
+                const $row = $(this).closest('.task-result-row');
+                $row.length ? $row.remove() : $output.empty();
+            });
+        },
+
+        /**
+         * Describe a timestamp relative to the server's time
+         */
+        relativeTime: function(timestamp, now) {
+            const diff = timestamp - now;
+            const seconds = Math.abs(diff);
+            let amount;
+
+            if (seconds < 3600) {
+                const minutes = Math.max(1, Math.round(seconds / 60));
+                amount = `${minutes} min${minutes === 1 ? '' : 's'}`;
+            } else if (seconds < 86400) {
+                const hours = Math.round(seconds / 3600);
+                amount = `${hours} hour${hours === 1 ? '' : 's'}`;
+            } else {
+                const days = Math.round(seconds / 86400);
+                amount = `${days} day${days === 1 ? '' : 's'}`;
+            }
+
+            return diff >= 0 ? `in ${amount}` : `${amount} ago`;
+        },
+
+        /**
+         * Capitalize a status name
+         */
+        capitalize: function(value) {
+            value = String(value || '');
+            return value.charAt(0).toUpperCase() + value.slice(1);
+        }
+    };
+
+    $(document).ready(function() {
+        wpCustomAPIScheduler.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,742 @@
+/**
+ * Schema Editor - Visual JSON Schema editing on the endpoint Validation tab
+ *
+ * Each schema textarea gets a property tree (types, required flags, enums,
+ * formats, descriptions) kept in sync with the raw JSON view, inline linting
+ * of the JSON and the schema, and an example value. The request schema's
+ * example can be sent straight to the endpoint tester.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPISchemaEditor = {
+        types: ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'],
+        formats: ['date-time', 'date', 'email', 'uri', 'uuid', 'ipv4', 'ipv6', 'hex-color'],
+
+        /**
+         * Editor state per schema field
+         */
+        editors: {},
+
+        /**
+         * Initialize the editors found on the page
+         */
+        init: function() {
+            const self = this;
+
+            $('.schema-editor').each(function() {
+                self.setup($(this));
+            });
+
+            if (!Object.keys(this.editors).length) {
+                return;
+            }
+
+            this.bindEvents();
+
+            $('#endpoint-form').on('submit', function(e) {
+                if (!self.validateForm()) {
+                    e.preventDefault();
+                }
+            });
+        },
+
+        /**
+         * Attach an editor to a .schema-editor container
+         */
+        setup: function($root) {
+            const self = this;
+            const field = $root.data('schema-field');
+            const $textarea = $root.find(`textarea[name="${field}"]`);
+            const instance = $textarea.data('codeEditor');
+
+            const editor = {
+                field: field,
+                $root: $root,
+                $textarea: $textarea,
+                cm: instance ? instance.codemirror : null,
+                schema: null,
+                error: null,
+                issues: [],
+                syncing: false,
+                timer: null,
+                lintLine: null
+            };
+
+            this.editors[field] = editor;
+
+            // Typing in the JSON view updates the tree once the user pauses
+            const onChange = function() {
+                if (editor.syncing) {
+                    return;
+                }
+                clearTimeout(editor.timer);
+                editor.timer = setTimeout(function() {
+                    self.parse(editor);
+                }, 300);
+            };
+
+            if (editor.cm) {
+                editor.cm.on('change', onChange);
+            } else {
+                $textarea.on('input', onChange);
+            }
+
+            this.parse(editor);
+            this.showView(editor, editor.error ? 'json' : 'visual');
+        },
+
+        /**
+         * Bind tree and toolbar events
+         */
+        bindEvents: function() {
+            const self = this;
+            const $doc = $(document);
+            const context = function(element) {
+                const $node = $(element).closest('.schema-node');
+                const editor = self.editors[$(element).closest('.schema-editor').data('schema-field')];
+
+                return {
+                    editor: editor,
+                    $node: $node,
+                    node: editor ? self.resolve(editor.schema, $node.attr('data-pointer')) : null
+                };
+            };
+
+            $doc.on('click', '.schema-editor-view', function() {
+                const editor = self.editors[$(this).closest('.schema-editor').data('schema-field')];
+                self.showView(editor, $(this).data('view'));
+            });
+
+            $doc.on('click', '.schema-editor-start', function() {
+                const editor = self.editors[$(this).closest('.schema-editor').data('schema-field')];
+                editor.schema = { type: 'object', properties: {} };
+                self.commit(editor, true);
+            });
+
+            $doc.on('click', '.schema-editor-generate', function() {
+                self.generateExample($(this).data('endpoint-id'));
+            });
+
+            $doc.on('change', '.schema-node-type', function() {
+                const target = context(this);
+                self.setType(target.node, $(this).val());
+                self.commit(target.editor, true);
+            });
+
+            $doc.on('change', '.schema-node-name', function() {
+                const target = context(this);
+                self.renameProperty(target.editor, target.$node, $.trim($(this).val()));
+            });
+
+            $doc.on('change', '.schema-node-required input', function() {
+                const target = context(this);
+                const parent = self.resolve(target.editor.schema, target.$node.attr('data-parent'));
+                self.setRequired(parent, target.$node.attr('data-name'), this.checked);
+                self.commit(target.editor, false);
+            });
+
+            $doc.on('change', '.schema-node-format', function() {
+                const target = context(this);
+                self.setKeyword(target.node, 'format', $(this).val());
+                self.commit(target.editor, true);
+            });
+
+            $doc.on('change', '.schema-node-enum', function() {
+                const target = context(this);
+                self.setKeyword(target.node, 'enum', self.parseEnum($(this).val(), target.node.type));
+                self.commit(target.editor, true);
+            });
+
+            $doc.on('input', '.schema-node-description', function() {
+                const target = context(this);
+                self.setKeyword(target.node, 'description', $(this).val());
+                self.commit(target.editor, false);
+            });
+
+            $doc.on('click', '.schema-node-add', function() {
+                const target = context(this);
+                const properties = target.node.properties;
+                let name = 'property';
+                for (let index = 2; Object.prototype.hasOwnProperty.call(properties, name); index++) {
+                    name = 'property' + index;
+                }
+
+                properties[name] = { type: 'string' };
+                self.commit(target.editor, true);
+                target.editor.$root.find('.schema-node-name').filter(function() {
+                    return this.value === name;
+                }).trigger('focus').trigger('select');
+            });
+
+            $doc.on('click', '.schema-node-remove', function() {
+                const target = context(this);
+                const parent = self.resolve(target.editor.schema, target.$node.attr('data-parent'));
+                const name = target.$node.attr('data-name');
+
+                self.setRequired(parent, name, false);
+                delete parent.properties[name];
+                self.commit(target.editor, true);
+            });
+
+            // CodeMirror does not lay out while its tab is hidden
+            $doc.on('click', '.wp-custom-api-tabs .nav-tab[data-tab="tab-validation"]', function() {
+                $.each(self.editors, function(field, editor) {
+                    if (editor.cm) {
+                        editor.cm.refresh();
+                    }
+                });
+            });
+        },
+
+        /**
+         * Read the raw JSON view
+         */
+        getText: function(editor) {
+            return editor.cm ? editor.cm.getValue() : editor.$textarea.val();
+        },
+
+        /**
+         * Replace the raw JSON view without re-parsing it
+         */
+        setText: function(editor, text) {
+            editor.syncing = true;
+            if (editor.cm) {
+                editor.cm.setValue(text);
+                editor.cm.save();
+            } else {
+                editor.$textarea.val(text);
+            }
+            editor.syncing = false;
+        },
+
+        /**
+         * Parse the JSON view into the tree
+         */
+        parse: function(editor) {
+            const text = $.trim(this.getText(editor));
+
+            editor.schema = null;
+            editor.error = null;
+
+            if (text !== '') {
+                try {
+                    const schema = JSON.parse(text);
+                    if (schema && typeof schema === 'object' && !Array.isArray(schema)) {
+                        editor.schema = schema;
+                    } else {
+                        editor.error = { message: 'A schema must be a JSON object', line: 1, column: 1 };
+                    }
+                } catch (e) {
+                    editor.error = this.describeJsonError(e, text);
+                }
+            }
+
+            this.lint(editor);
+            this.renderTree(editor);
+            this.renderExample(editor);
+        },
+
+        /**
+         * Write the tree back to the JSON view
+         */
+        commit: function(editor, rerender) {
+            this.setText(editor, editor.schema ? JSON.stringify(editor.schema, null, 2) : '');
+            editor.error = null;
+
+            this.lint(editor);
+            if (rerender) {
+                this.renderTree(editor);
+            }
+            this.renderExample(editor);
+        },
+
+        /**
+         * Locate a JSON.parse error as a line and column
+         */
+        describeJsonError: function(error, text) {
+            const message = error.message.replace(/^JSON\.parse: /, '');
+            const position = message.match(/at position (\d+)/);
+            let line = 1;
+            let column = 1;
+
+            if (position) {
+                const before = text.slice(0, parseInt(position[1], 10)).split('\n');
+                line = before.length;
+                column = before[before.length - 1].length + 1;
+            } else {
+                const location = message.match(/line (\d+) column (\d+)/);
+                if (location) {
+                    line = parseInt(location[1], 10);
+                    column = parseInt(location[2], 10);
+                }
+            }
+
+            return {
+                message: message.replace(/\s*\(line \d+ column \d+\)|\s*in JSON at position \d+.*$/, '').replace(/ of the JSON data$/, ''),
+                line: line,
+                column: column
+            };
+        },
+
+        /**
+         * Show JSON and schema problems under the editor
+         */
+        lint: function(editor) {
+            const esc = wpCustomAPI.escapeHtml;
+            const $lint = editor.$root.find('.schema-editor-lint');
+
+            if (editor.cm && editor.lintLine !== null) {
+                editor.cm.removeLineClass(editor.lintLine, 'background', 'schema-lint-line');
+                editor.lintLine = null;
+            }
+
+            editor.issues = [];
+            editor.$root.toggleClass('has-json-error', !!editor.error);
+
+            if (editor.error) {
+                if (editor.cm) {
+                    editor.lintLine = editor.cm.addLineClass(editor.error.line - 1, 'background', 'schema-lint-line');
+                }
+
+                $lint.html(`
+                    <div class="notice notice-error inline">
+                        <p>Invalid JSON on line ${esc(editor.error.line)}, column ${esc(editor.error.column)}: ${esc(editor.error.message)}</p>
+                    </div>
+                `);
+                return;
+            }
+
+            if (editor.schema) {
+                this.lintSchema(editor.schema, '#', editor.issues, 0);
+            }
+
+            $lint.html(editor.issues.length ? `
+                <div class="notice notice-warning inline">
+                    <p>This schema has ${editor.issues.length === 1 ? 'a problem' : editor.issues.length + ' problems'}:</p>
+                    <ul>${editor.issues.map(issue => `<li><code>${esc(issue.pointer)}</code> ${esc(issue.message)}</li>`).join('')}</ul>
+                </div>
+            ` : '');
+
+            this.markIssues(editor);
+        },
+
+        /**
+         * Collect schema problems as [{pointer, message}]
+         */
+        lintSchema: function(node, pointer, issues, depth) {
+            const self = this;
+            const add = message => issues.push({ pointer: pointer, message: message });
+            const isSchema = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+            if (!isSchema(node)) {
+                add('Must be a schema object');
+                return;
+            }
+            if (depth > 32) {
+                return;
+            }
+
+            const types = node.type === undefined ? [] : [].concat(node.type);
+            types.forEach(function(type) {
+                if (self.types.indexOf(type) === -1) {
+                    add(`Unknown type ${JSON.stringify(type)}`);
+                }
+            });
+
+            if (node.properties !== undefined && !isSchema(node.properties)) {
+                add('"properties" must be an object');
+            }
+
+            if (Array.isArray(node.required)) {
+                node.required.forEach(function(name) {
+                    if (!isSchema(node.properties) || !Object.prototype.hasOwnProperty.call(node.properties, name)) {
+                        add(`Required property ${JSON.stringify(name)} is not defined in "properties"`);
+                    }
+                });
+            } else if (node.required !== undefined && typeof node.required !== 'boolean') {
+                add('"required" must be a list of property names');
+            }
+
+            if (node.enum !== undefined) {
+                if (!Array.isArray(node.enum) || !node.enum.length) {
+                    add('"enum" must be a non-empty list');
+                } else if (types.length) {
+                    node.enum.forEach(function(value) {
+                        if (wpCustomAPI.validateSchema(value, { type: types }).length) {
+                            add(`Allowed value ${JSON.stringify(value)} is not a ${types.join(' or ')}`);
+                        }
+                    });
+                }
+            }
+
+            [['minimum', 'maximum'], ['minLength', 'maxLength'], ['minItems', 'maxItems'], ['minProperties', 'maxProperties']].forEach(function(pair) {
+                pair.forEach(function(key) {
+                    if (node[key] !== undefined && typeof node[key] !== 'number') {
+                        add(`"${key}" must be a number`);
+                    }
+                });
+                if (typeof node[pair[0]] === 'number' && typeof node[pair[1]] === 'number' && node[pair[0]] > node[pair[1]]) {
+                    add(`"${pair[0]}" is greater than "${pair[1]}"`);
+                }
+            });
+
+            if (node.pattern !== undefined) {
+                try {
+                    new RegExp(node.pattern);
+                } catch (e) {
+                    add(`Invalid pattern: ${e.message}`);
+                }
+            }
+
+            if (node.items !== undefined && !isSchema(node.items) && !Array.isArray(node.items)) {
+                add('"items" must be a schema object');
+            }
+
+            // Nested schemas
+            if (isSchema(node.properties)) {
+                $.each(node.properties, function(name, property) {
+                    self.lintSchema(property, self.childPointer(pointer, 'properties', name), issues, depth + 1);
+                });
+            }
+            if (isSchema(node.items)) {
+                self.lintSchema(node.items, pointer + '/items', issues, depth + 1);
+            }
+            if (isSchema(node.additionalProperties)) {
+                self.lintSchema(node.additionalProperties, pointer + '/additionalProperties', issues, depth + 1);
+            }
+            ['allOf', 'anyOf', 'oneOf'].forEach(function(keyword) {
+                if (node[keyword] === undefined) {
+                    return;
+                }
+                if (!Array.isArray(node[keyword])) {
+                    add(`"${keyword}" must be a list of schemas`);
+                    return;
+                }
+                node[keyword].forEach(function(part, index) {
+                    self.lintSchema(part, `${pointer}/${keyword}/${index}`, issues, depth + 1);
+                });
+            });
+        },
+
+        /**
+         * Flag tree rows that have lint issues
+         */
+        markIssues: function(editor) {
+            const byPointer = {};
+            editor.issues.forEach(function(issue) {
+                (byPointer[issue.pointer] = byPointer[issue.pointer] || []).push(issue.message);
+            });
+
+            editor.$root.find('.schema-node').each(function() {
+                const messages = byPointer[$(this).attr('data-pointer')];
+                $(this).children('.schema-node-row')
+                    .toggleClass('has-lint-issue', !!messages)
+                    .attr('title', messages ? messages.join('\n') : null);
+            });
+        },
+
+        /**
+         * Render the property tree
+         */
+        renderTree: function(editor) {
+            const $visual = editor.$root.find('.schema-editor-visual');
+
+            if (editor.error) {
+                $visual.html('<p class="description">Fix the JSON errors to edit this schema visually.</p>');
+                return;
+            }
+
+            if (!editor.schema) {
+                $visual.html(`
+                    <p class="description">No schema, nothing is validated.</p>
+                    <button type="button" class="button schema-editor-start">Start Schema</button>
+                `);
+                return;
+            }
+
+            $visual.html(`<ul class="schema-tree">${this.renderNode(editor.schema, '#', { label: 'Root' })}</ul>`);
+            this.markIssues(editor);
+        },
+
+        /**
+         * Render a tree row and its children
+         *
+         * Property rows carry their name and parent pointer so they can be
+         * renamed, required or removed; the root and array items are labelled.
+         */
+        renderNode: function(node, pointer, options) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+
+            if (!node || typeof node !== 'object' || Array.isArray(node)) {
+                return `<li class="schema-node"><span class="description">Edit this part of the schema in the JSON view.</span></li>`;
+            }
+
+            const isProperty = options.name !== undefined;
+            const type = typeof node.type === 'string' ? node.type : '';
+            const typeOptions = this.types.map(item => `<option value="${item}"${item === type ? ' selected' : ''}>${item}</option>`).join('');
+            const formats = this.formats.concat(node.format && this.formats.indexOf(node.format) === -1 ? [node.format] : []);
+            let children = '';
+
+            if (type === 'object' && node.properties && typeof node.properties === 'object') {
+                children = `
+                    <ul class="schema-node-children">
+                        ${Object.keys(node.properties).map(name => self.renderNode(node.properties[name], self.childPointer(pointer, 'properties', name), {
+                            name: name,
+                            parent: pointer,
+                            required: self.isRequired(node, name)
+                        })).join('')}
+                    </ul>
+                    <button type="button" class="button button-small schema-node-add">Add Property</button>
+                `;
+            } else if (type === 'array' && node.items && typeof node.items === 'object' && !Array.isArray(node.items)) {
+                children = `<ul class="schema-node-children">${this.renderNode(node.items, pointer + '/items', { label: 'Items' })}</ul>`;
+            }
+
+            return `
+                <li class="schema-node" data-pointer="${esc(pointer)}"${isProperty ? ` data-parent="${esc(options.parent)}" data-name="${esc(options.name)}"` : ''}>
+                    <div class="schema-node-row">
+                        ${isProperty
+                            ? `<input type="text" class="schema-node-name" value="${esc(options.name)}" aria-label="Property name" />`
+                            : `<span class="schema-node-label">${esc(options.label)}</span>`}
+                        <select class="schema-node-type" aria-label="Type">
+                            <option value=""${type === '' ? ' selected' : ''}>${Array.isArray(node.type) ? esc(node.type.join(' | ')) : 'any'}</option>
+                            ${typeOptions}
+                        </select>
+                        ${isProperty ? `<label class="schema-node-required"><input type="checkbox"${options.required ? ' checked' : ''} /> Required</label>` : ''}
+                        ${type === 'string' ? `
+                            <select class="schema-node-format" aria-label="Format">
+                                <option value="">no format</option>
+                                ${formats.map(item => `<option value="${esc(item)}"${item === node.format ? ' selected' : ''}>${esc(item)}</option>`).join('')}
+                            </select>
+                        ` : ''}
+                        ${['string', 'number', 'integer'].indexOf(type) !== -1 ? `
+                            <input type="text" class="schema-node-enum" value="${esc(Array.isArray(node.enum) ? node.enum.join(', ') : '')}" placeholder="Allowed values, comma separated" aria-label="Allowed values" />
+                        ` : ''}
+                        <input type="text" class="schema-node-description" value="${esc(node.description || '')}" placeholder="Description" aria-label="Description" />
+                        ${isProperty ? '<button type="button" class="button-link schema-node-remove">Remove</button>' : ''}
+                    </div>
+                    ${children}
+                </li>
+            `;
+        },
+
+        /**
+         * Show the example value the schema describes
+         */
+        renderExample: function(editor) {
+            const $example = editor.$root.find('.schema-editor-example');
+            const hasSchema = !!editor.schema && !editor.error;
+
+            $example.toggle(hasSchema);
+            editor.$root.find('.schema-editor-generate').prop('disabled', !hasSchema);
+
+            if (hasSchema) {
+                $example.find('code').text(JSON.stringify(wpCustomAPI.schemaExample(editor.schema, editor.schema), null, 2));
+            }
+        },
+
+        /**
+         * Switch between the tree and the JSON view
+         */
+        showView: function(editor, view) {
+            editor.$root.find('.schema-editor-view').each(function() {
+                const active = $(this).data('view') === view;
+                $(this).toggleClass('active', active).attr('aria-pressed', active ? 'true' : 'false');
+            });
+
+            editor.$root.find('.schema-editor-visual').toggle(view === 'visual');
+            editor.$root.find('.schema-editor-json').toggle(view === 'json');
+
+            if (view === 'json' && editor.cm) {
+                editor.cm.refresh();
+            }
+        },
+
+        /**
+         * Change a node's type, dropping keywords that no longer apply
+         */
+        setType: function(node, type) {
+            this.setKeyword(node, 'type', type);
+            delete node.enum;
+
+            if (type === 'object') {
+                if (!node.properties || typeof node.properties !== 'object') {
+                    node.properties = {};
+                }
+            } else {
+                delete node.properties;
+                delete node.additionalProperties;
+                if (Array.isArray(node.required)) {
+                    delete node.required;
+                }
+            }
+
+            if (type === 'array') {
+                if (!node.items || typeof node.items !== 'object') {
+                    node.items = { type: 'string' };
+                }
+            } else {
+                delete node.items;
+                delete node.minItems;
+                delete node.maxItems;
+            }
+
+            if (type !== 'string') {
+                ['format', 'pattern', 'minLength', 'maxLength'].forEach(key => delete node[key]);
+            }
+            if (type !== 'number' && type !== 'integer') {
+                ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'].forEach(key => delete node[key]);
+            }
+        },
+
+        /**
+         * Set a keyword, removing it when empty
+         */
+        setKeyword: function(node, key, value) {
+            if (value === '' || value === null || (Array.isArray(value) && !value.length)) {
+                delete node[key];
+            } else {
+                node[key] = value;
+            }
+        },
+
+        /**
+         * Whether a property is required, as a list entry or WordPress' "required": true
+         */
+        isRequired: function(parent, name) {
+            const property = parent.properties[name];
+            return (Array.isArray(parent.required) && parent.required.indexOf(name) !== -1) || (!!property && property.required === true);
+        },
+
+        /**
+         * Mark a property as required in the parent's "required" list
+         */
+        setRequired: function(parent, name, required) {
+            const property = parent.properties[name];
+            let list = Array.isArray(parent.required) ? parent.required.filter(item => item !== name) : [];
+
+            if (property && typeof property.required === 'boolean') {
+                delete property.required;
+            }
+            if (required) {
+                list.push(name);
+            }
+
+            this.setKeyword(parent, 'required', list);
+        },
+
+        /**
+         * Rename a property in place, keeping its position and required flag
+         */
+        renameProperty: function(editor, $node, name) {
+            const parent = this.resolve(editor.schema, $node.attr('data-parent'));
+            const current = $node.attr('data-name');
+
+            if (name === current) {
+                return;
+            }
+
+            if (name === '' || Object.prototype.hasOwnProperty.call(parent.properties, name)) {
+                wpCustomAPI.showNotice('error', name === ''
+                    ? 'Property names cannot be empty.'
+                    : `A property named "${wpCustomAPI.escapeHtml(name)}" already exists.`);
+                $node.find('.schema-node-name').first().val(current);
+                return;
+            }
+
+            const properties = {};
+            $.each(parent.properties, function(key, property) {
+                properties[key === current ? name : key] = property;
+            });
+            parent.properties = properties;
+
+            if (Array.isArray(parent.required)) {
+                parent.required = parent.required.map(item => item === current ? name : item);
+            }
+
+            this.commit(editor, true);
+        },
+
+        /**
+         * Turn "a, b, 3" into enum values of the node's type
+         */
+        parseEnum: function(text, type) {
+            return text.split(',').map(item => $.trim(item)).filter(item => item !== '').map(function(item) {
+                if ((type === 'number' || type === 'integer') && item !== '' && !isNaN(Number(item))) {
+                    return Number(item);
+                }
+                return item;
+            });
+        },
+
+        /**
+         * Build a JSON pointer to a child schema
+         */
+        childPointer: function(pointer, keyword, name) {
+            return `${pointer}/${keyword}/${String(name).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+        },
+
+        /**
+         * Find the schema node at a JSON pointer
+         */
+        resolve: function(schema, pointer) {
+            return pointer === '#' ? schema : wpCustomAPI.resolveSchemaRef(pointer, schema);
+        },
+
+        /**
+         * Current schemas, for testing changes before they are saved
+         *
+         * A schema with invalid JSON is reported as null.
+         */
+        getSchemas: function() {
+            const schema = field => this.editors[field] && !this.editors[field].error ? this.editors[field].schema : null;
+
+            return {
+                method: $('#method').val(),
+                request: schema('request_schema'),
+                response: schema('response_schema')
+            };
+        },
+
+        /**
+         * Open the tester with an example request built from the request schema
+         */
+        generateExample: function(endpointId) {
+            const schemas = this.getSchemas();
+
+            if (!schemas.request || typeof wpCustomAPITester === 'undefined') {
+                return;
+            }
+
+            wpCustomAPITester.openModal(endpointId, wpCustomAPITester.exampleRequest(schemas.request, schemas.method));
+        },
+
+        /**
+         * Block saving while a schema is not valid JSON
+         */
+        validateForm: function() {
+            const invalid = $.map(this.editors, editor => editor.error ? editor : null)[0];
+
+            if (!invalid) {
+                return true;
+            }
+
+            $('.wp-custom-api-tabs .nav-tab[data-tab="tab-validation"]').trigger('click');
+            this.showView(invalid, 'json');
+            wpCustomAPI.showNotice('error', `The ${invalid.field === 'request_schema' ? 'request' : 'response'} schema is not valid JSON (line ${invalid.error.line}).`);
+
+            return false;
+        }
+    };
+
+    // Initialize on document ready
+    $(document).ready(function() {
+        wpCustomAPISchemaEditor.init();
+    });
+
+})(jQuery);
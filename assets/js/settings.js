@@ -0,0 +1,378 @@
+/**
+ * Settings - Schema-driven settings form and import preview
+ *
+ * Validates fields against their schema as they change, counting errors on
+ * each tab and stopping the save while any remain. Reset puts a field back
+ * to its default until the form is saved. Imports are previewed as a diff
+ * against the current settings before they can be applied.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPISettings = {
+        /**
+         * Initialize the page
+         */
+        init: function() {
+            const self = this;
+
+            this.bindEvents();
+
+            $('.settings-field').each(function() {
+                self.updateReset($(this));
+            });
+            this.updateTabErrors();
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function() {
+            const self = this;
+
+            $('.settings-field').on('input change', 'input, select, textarea', function() {
+                const $field = $(this).closest('.settings-field');
+                self.validateField($field);
+                self.updateReset($field);
+                self.updateTabErrors();
+            });
+
+            $('.settings-field').on('click', '.settings-reset', function(e) {
+                e.preventDefault();
+                const $field = $(this).closest('.settings-field');
+                self.setValue($field, self.getDefault($field));
+                $field.find('input, select, textarea').first().trigger('change');
+            });
+
+            $('#settings-form .nav-tab').on('click', function() {
+                $('#settings_active_tab').val($(this).data('group'));
+            });
+
+            $('#settings-form').on('submit', function(e) {
+                let $first = null;
+
+                $('.settings-field').each(function() {
+                    if (!self.validateField($(this)) && !$first) {
+                        $first = $(this);
+                    }
+                });
+                self.updateTabErrors();
+
+                if ($first) {
+                    e.preventDefault();
+                    self.showField($first);
+                }
+            });
+
+            $('#settings_import_file').on('change', function() {
+                self.readImportFile(this.files && this.files[0]);
+            });
+
+            $('#settings_import_json, #settings-import-form input[name="import_mode"]').on('input change', function() {
+                self.clearPreview();
+            });
+
+            $('.settings-import-preview').on('click', function(e) {
+                e.preventDefault();
+                self.previewImport($(this));
+            });
+        },
+
+        /**
+         * Get a field's value as the setting stores it
+         */
+        getValue: function($field) {
+            const $input = $field.find('input, select, textarea').first();
+
+            switch ($field.data('type')) {
+                case 'bool':
+                    return $input.is(':checked');
+                case 'array':
+                    return $input.val().split(/\r\n|\r|\n/).map(line => $.trim(line)).filter(line => line !== '');
+                default:
+                    return $.trim($input.val());
+            }
+        },
+
+        /**
+         * Get a field's default value from its JSON
+         */
+        getDefault: function($field) {
+            return JSON.parse($field.attr('data-default') || 'null');
+        },
+
+        /**
+         * Put a stored value into a field
+         */
+        setValue: function($field, value) {
+            const $input = $field.find('input, select, textarea').first();
+
+            switch ($field.data('type')) {
+                case 'bool':
+                    $input.prop('checked', !!value);
+                    break;
+                case 'array':
+                    $input.val((value || []).join('\n'));
+                    break;
+                case 'json':
+                    $input.val(typeof value === 'string' ? value : JSON.stringify(value, null, 4));
+                    break;
+                default:
+                    $input.val(value === null || value === undefined ? '' : String(value));
+            }
+        },
+
+        /**
+         * Check a field against its schema and show the error
+         *
+         * @return {boolean} Whether the value is valid
+         */
+        validateField: function($field) {
+            const error = this.fieldError($field);
+
+            $field.toggleClass('has-error', !!error)
+                .find('.settings-field-error').text(error || '');
+
+            return !error;
+        },
+
+        /**
+         * Get a field's error, with the messages the server uses
+         */
+        fieldError: function($field) {
+            const value = this.getValue($field);
+            const min = $field.data('min');
+            const max = $field.data('max');
+            const allowed = $field.data('enum');
+            const pattern = $field.attr('data-pattern');
+
+            if ($field.find(':disabled').length) {
+                return null;
+            }
+
+            switch ($field.data('type')) {
+                case 'int':
+                case 'float': {
+                    if (value === '' || isNaN(Number(value))) {
+                        return 'Enter a number';
+                    }
+
+                    const number = $field.data('type') === 'int' ? parseInt(value, 10) : Number(value);
+
+                    if (min !== undefined && number < min) {
+                        return `Value must be at least ${min}`;
+                    }
+                    if (max !== undefined && number > max) {
+                        return `Value must be at most ${max}`;
+                    }
+                    break;
+                }
+
+                case 'string':
+                    if (allowed && allowed.indexOf(value) === -1) {
+                        return `Value must be one of: ${allowed.join(', ')}`;
+                    }
+                    if (pattern && !new RegExp(pattern).test(value)) {
+                        return 'Value does not match required pattern';
+                    }
+                    break;
+
+                case 'json':
+                    if (value !== '') {
+                        try {
+                            JSON.parse(value);
+                        } catch (e) {
+                            return 'Enter valid JSON';
+                        }
+                    }
+                    break;
+            }
+
+            return null;
+        },
+
+        /**
+         * Show the reset button only while a field differs from its default
+         */
+        updateReset: function($field) {
+            const value = this.getValue($field);
+            let current = value;
+
+            // Numbers are compared as numbers, JSON by its parsed value
+            if (['int', 'float'].indexOf($field.data('type')) !== -1 && value !== '' && !isNaN(Number(value))) {
+                current = Number(value);
+            } else if ($field.data('type') === 'json') {
+                try {
+                    current = JSON.parse(value);
+                } catch (e) {
+                    current = value;
+                }
+            }
+
+            const isDefault = JSON.stringify(current) === JSON.stringify(this.getDefault($field));
+
+            $field.toggleClass('is-modified', !isDefault)
+                .find('.settings-reset').toggle(!isDefault);
+        },
+
+        /**
+         * Count the errors on each tab
+         */
+        updateTabErrors: function() {
+            $('#settings-form .nav-tab').each(function() {
+                const count = $('#' + $(this).data('tab')).find('.settings-field.has-error').length;
+
+                $(this).find('.settings-tab-errors')
+                    .text(count)
+                    .prop('hidden', count === 0);
+            });
+        },
+
+        /**
+         * Open a field's tab and focus it
+         */
+        showField: function($field) {
+            const panel = $field.closest('.wp-custom-api-tab-panel').attr('id');
+
+            $(`#settings-form .nav-tab[data-tab="${panel}"]`).trigger('click');
+            $field.find('input, select, textarea').first().trigger('focus');
+        },
+
+        /**
+         * Load a chosen file into the import box and preview it
+         */
+        readImportFile: function(file) {
+            const self = this;
+
+            if (!file) {
+                return;
+            }
+
+            const reader = new FileReader();
+
+            reader.onload = function() {
+                $('#settings_import_json').val(reader.result);
+                self.clearPreview();
+                self.previewImport($('.settings-import-preview'));
+            };
+
+            reader.readAsText(file);
+        },
+
+        /**
+         * Forget the preview when the import changes
+         */
+        clearPreview: function() {
+            $('.settings-import-diff').empty();
+            $('.settings-import-apply').prop('disabled', true);
+        },
+
+        /**
+         * Ask the server what the import would change
+         */
+        previewImport: function($button) {
+            const self = this;
+            const originalText = $button.text();
+
+            $button.prop('disabled', true).html('<span class="wp-custom-api-loading"></span> Previewing...');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_preview_settings_import',
+                    nonce: wpCustomAPI.nonce,
+                    json: $('#settings_import_json').val(),
+                    mode: $('#settings-import-form input[name="import_mode"]:checked').val()
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.renderPreviewError(response.data.message);
+                        return;
+                    }
+
+                    self.renderDiff(response.data);
+                },
+                error: function(xhr) {
+                    const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+                    self.renderPreviewError(message);
+                },
+                complete: function() {
+                    $button.prop('disabled', false).text(originalText);
+                }
+            });
+        },
+
+        /**
+         * Show why the import cannot be previewed
+         */
+        renderPreviewError: function(message) {
+            $('.settings-import-diff').html(
+                `<div class="notice notice-error inline"><p>${wpCustomAPI.escapeHtml(message || wpCustomAPI.i18n.error)}</p></div>`
+            );
+            $('.settings-import-apply').prop('disabled', true);
+        },
+
+        /**
+         * Show the settings an import changes, current value against imported
+         */
+        renderDiff: function(preview) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const statusLabels = {
+                added: 'Added',
+                changed: 'Changed',
+                reset: 'Back to default',
+                removed: 'Removed',
+                invalid: 'Invalid'
+            };
+
+            if (!preview.changes.length) {
+                $('.settings-import-diff').html('<p class="description">The import does not change any settings.</p>');
+                $('.settings-import-apply').prop('disabled', true);
+                return;
+            }
+
+            const rows = preview.changes.map(change => `
+                <tr class="settings-diff-${esc(change.status)}">
+                    <td><strong>${esc(change.label)}</strong><br /><code>${esc(change.key)}</code></td>
+                    <td><span class="settings-diff-status">${esc(statusLabels[change.status] || change.status)}</span></td>
+                    <td>${change.status === 'added' ? '' : `<del>${esc(self.formatValue(change.current))}</del>`}</td>
+                    <td>${change.status === 'removed' ? '' : `<ins>${esc(self.formatValue(change.imported))}</ins>`}
+                        ${change.error ? `<p class="settings-field-error">${esc(change.error)}</p>` : ''}</td>
+                </tr>
+            `).join('');
+
+            $('.settings-import-diff').html(`
+                ${preview.valid ? '' : `<div class="notice notice-error inline"><p>${esc(preview.error)}. Fix the file to import it.</p></div>`}
+                <table class="wp-list-table widefat fixed striped settings-diff">
+                    <thead>
+                        <tr><th>Setting</th><th>Change</th><th>Current</th><th>Imported</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `);
+
+            $('.settings-import-apply').prop('disabled', !preview.valid);
+        },
+
+        /**
+         * Format a setting value for the diff
+         */
+        formatValue: function(value) {
+            if (value === null || value === undefined) {
+                return '(not set)';
+            }
+
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        }
+    };
+
+    $(document).ready(function() {
+        wpCustomAPISettings.init();
+    });
+
+})(jQuery);
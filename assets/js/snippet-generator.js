@@ -0,0 +1,447 @@
+/**
+ * Snippet Generator - Request code samples for the endpoint tester
+ *
+ * Builds copy-ready snippets from a tester request object
+ * ({url, method, headers, body_type, body, form}). Every generator escapes
+ * values for its own language so quotes in bodies or header values survive
+ * intact. Multipart requests are rebuilt from their parts with each tool's
+ * own form support, since the boundary is generated per request.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPISnippets = {
+        /**
+         * Available generators, in display order
+         */
+        languages: {
+            curl_bash: 'cURL (bash)',
+            curl_powershell: 'cURL (PowerShell)',
+            httpie: 'HTTPie',
+            fetch: 'JavaScript fetch',
+            axios: 'Node.js axios',
+            php: 'PHP (wp_remote_request)',
+            python: 'Python requests'
+        },
+
+        /**
+         * Generate a snippet for one language
+         */
+        generate: function(language, request) {
+            const generator = this.generators[language];
+            return generator ? generator.call(this, this.normalize(request)) : '';
+        },
+
+        /**
+         * Normalize a request into method, url, header pairs and body text
+         */
+        normalize: function(request) {
+            request = request || {};
+            const multipart = request.body_type === 'multipart';
+            let headers = Object.keys(request.headers || {}).map(name => [name, String(request.headers[name])]);
+
+            // Each tool writes its own multipart Content-Type with a fresh boundary
+            if (multipart) {
+                headers = headers.filter(([name]) => name.toLowerCase() !== 'content-type');
+            }
+
+            return {
+                method: String(request.method || 'GET').toUpperCase(),
+                url: String(request.url || ''),
+                headers: headers,
+                body: multipart ? '' : this.bodyText(request.body),
+                parts: multipart ? (request.form || []).map(part => ({
+                    name: String(part.name),
+                    file: part.type === 'file',
+                    value: String(part.value === undefined ? '' : part.value),
+                    filename: String(part.filename || 'file'),
+                    contentType: String(part.content_type || 'application/octet-stream')
+                })) : null
+            };
+        },
+
+        /**
+         * Body exactly as it will be sent; empty bodies produce no body flag
+         */
+        bodyText: function(body) {
+            if (body === undefined || body === null || body === '') {
+                return '';
+            }
+
+            if (typeof body === 'string') {
+                return body;
+            }
+
+            return Object.keys(body).length ? JSON.stringify(body) : '';
+        },
+
+        /**
+         * Quote for POSIX shells: 'it'\''s'
+         */
+        shellQuote: function(value) {
+            return "'" + String(value).replace(/'/g, "'\\''") + "'";
+        },
+
+        /**
+         * Quote for PowerShell single-quoted strings: 'it''s'
+         */
+        powershellQuote: function(value) {
+            return "'" + String(value).replace(/'/g, "''") + "'";
+        },
+
+        /**
+         * Quote for PHP single-quoted strings
+         */
+        phpQuote: function(value) {
+            return "'" + String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+        },
+
+        /**
+         * Quote for JavaScript and Python; JSON string literals are valid in both
+         */
+        jsonQuote: function(value) {
+            return JSON.stringify(String(value));
+        },
+
+        /**
+         * Parse the body as JSON so JS snippets can show an object literal, but only
+         * when JSON.stringify reproduces the exact bytes that were sent
+         */
+        parseJson: function(text) {
+            try {
+                const value = JSON.parse(text);
+                return value !== null && typeof value === 'object' && JSON.stringify(value) === text ? value : undefined;
+            } catch (e) {
+                return undefined;
+            }
+        },
+
+        /**
+         * curl -F file part: name=@file;type=mime, quoting the file name when needed
+         */
+        curlFilePart: function(part) {
+            const filename = /^[^";,\\]+$/.test(part.filename)
+                ? part.filename
+                : '"' + part.filename.replace(/[\\"]/g, '\\$&') + '"';
+            return `${part.name}=@${filename};type=${part.contentType}`;
+        },
+
+        indent: function(text, spaces) {
+            const pad = ' '.repeat(spaces);
+            return text.split('\n').map((line, index) => (index === 0 ? line : pad + line)).join('\n');
+        },
+
+        generators: {
+            curl_bash: function(request) {
+                const lines = [`curl -X ${request.method} ${this.shellQuote(request.url)}`];
+
+                request.headers.forEach(([name, value]) => {
+                    lines.push(`-H ${this.shellQuote(name + ': ' + value)}`);
+                });
+
+                if (request.parts) {
+                    // --form-string keeps values starting with @ or < literal
+                    request.parts.forEach(part => {
+                        lines.push(part.file
+                            ? `-F ${this.shellQuote(this.curlFilePart(part))}`
+                            : `--form-string ${this.shellQuote(part.name + '=' + part.value)}`);
+                    });
+                } else if (request.body) {
+                    lines.push(`--data-raw ${this.shellQuote(request.body)}`);
+                }
+
+                return lines.join(' \\\n  ');
+            },
+
+            curl_powershell: function(request) {
+                // curl.exe, not the Invoke-WebRequest alias. Arguments containing double
+                // quotes are passed through temp files because Windows PowerShell 5.1 strips
+                // them from native command arguments.
+                const setup = [];
+                const lines = [`curl.exe -X ${request.method} ${this.powershellQuote(request.url)}`];
+                const quotedHeaders = request.headers.filter(([, value]) => value.indexOf('"') !== -1);
+
+                const hereString = (variable, text) => {
+                    // A here-string cannot contain a line starting with '@
+                    if (/\n'@/.test('\n' + text)) {
+                        setup.push(`$${variable} = ${this.powershellQuote(text)}`);
+                    } else {
+                        setup.push(`$${variable} = @'`, text, `'@`);
+                    }
+                    setup.push(`$${variable}File = New-TemporaryFile`);
+                    setup.push(`[IO.File]::WriteAllText($${variable}File, $${variable})`);
+                };
+
+                request.headers.forEach(([name, value]) => {
+                    if (value.indexOf('"') === -1) {
+                        lines.push(`-H ${this.powershellQuote(name + ': ' + value)}`);
+                    }
+                });
+
+                if (quotedHeaders.length) {
+                    hereString('headers', quotedHeaders.map(([name, value]) => `${name}: ${value}`).join('\n'));
+                    lines.push('-H "@$headersFile"');
+                }
+
+                if (request.parts) {
+                    // Quoted text values are read from a file with name=<file
+                    request.parts.forEach((part, index) => {
+                        if (part.file) {
+                            lines.push(`-F ${this.powershellQuote(this.curlFilePart(part))}`);
+                        } else if (part.value.indexOf('"') !== -1) {
+                            hereString('part' + index, part.value);
+                            lines.push(`-F (${this.powershellQuote(part.name + '=<')} + $part${index}File)`);
+                        } else {
+                            lines.push(`--form-string ${this.powershellQuote(part.name + '=' + part.value)}`);
+                        }
+                    });
+                } else if (request.body) {
+                    hereString('body', request.body);
+                    lines.push('--data-binary "@$bodyFile"');
+                }
+
+                return (setup.length ? setup.join('\n') + '\n\n' : '') + lines.join(' `\n  ');
+            },
+
+            httpie: function(request) {
+                const parts = [`http ${request.parts ? '--multipart ' : ''}${request.method} ${this.shellQuote(request.url)}`];
+
+                request.headers.forEach(([name, value]) => {
+                    parts.push(this.shellQuote(name + ':' + value));
+                });
+
+                (request.parts || []).forEach(part => {
+                    parts.push(this.shellQuote(part.file
+                        ? `${part.name}@${part.filename};type=${part.contentType}`
+                        : `${part.name}=${part.value}`));
+                });
+
+                const command = parts.join(' \\\n  ');
+
+                // Piped stdin is sent as the raw body
+                return request.body
+                    ? `printf '%s' ${this.shellQuote(request.body)} | ${command}`
+                    : command;
+            },
+
+            fetch: function(request) {
+                const options = [`  method: ${this.jsonQuote(request.method)}`];
+                const json = this.parseJson(request.body);
+                let setup = '';
+
+                if (request.headers.length) {
+                    options.push(`  headers: {\n${request.headers.map(([name, value]) => `    ${this.jsonQuote(name)}: ${this.jsonQuote(value)}`).join(',\n')}\n  }`);
+                }
+
+                if (request.parts) {
+                    // Pick each file with its own <input type="file">
+                    setup = 'const form = new FormData();\n' + request.parts.map(part => part.file
+                        ? `form.append(${this.jsonQuote(part.name)}, document.querySelector(${this.jsonQuote(`input[type="file"][name="${part.name}"]`)}).files[0], ${this.jsonQuote(part.filename)});`
+                        : `form.append(${this.jsonQuote(part.name)}, ${this.jsonQuote(part.value)});`).join('\n') + '\n\n';
+                    options.push('  body: form');
+                } else if (request.body) {
+                    options.push(json !== undefined
+                        ? `  body: JSON.stringify(${this.indent(JSON.stringify(json, null, 2), 2)})`
+                        : `  body: ${this.jsonQuote(request.body)}`);
+                }
+
+                return setup + `fetch(${this.jsonQuote(request.url)}, {\n${options.join(',\n')}\n})\n`
+                    + `  .then((response) => response.text())\n`
+                    + `  .then((body) => console.log(body))\n`
+                    + `  .catch((error) => console.error(error));`;
+            },
+
+            axios: function(request) {
+                const options = [
+                    `  method: ${this.jsonQuote(request.method.toLowerCase())}`,
+                    `  url: ${this.jsonQuote(request.url)}`
+                ];
+                const json = this.parseJson(request.body);
+                const headers = request.headers.map(([name, value]) => `    ${this.jsonQuote(name)}: ${this.jsonQuote(value)}`);
+                let setup = '';
+
+                if (request.parts) {
+                    // form-data sets the multipart Content-Type with its boundary
+                    headers.unshift('    ...form.getHeaders()');
+                    setup = `const FormData = require('form-data');\nconst fs = require('fs');\n\nconst form = new FormData();\n`
+                        + request.parts.map(part => part.file
+                            ? `form.append(${this.jsonQuote(part.name)}, fs.createReadStream(${this.jsonQuote(part.filename)}), { contentType: ${this.jsonQuote(part.contentType)} });`
+                            : `form.append(${this.jsonQuote(part.name)}, ${this.jsonQuote(part.value)});`).join('\n') + '\n\n';
+                }
+
+                if (headers.length) {
+                    options.push(`  headers: {\n${headers.join(',\n')}\n  }`);
+                }
+
+                if (request.parts) {
+                    options.push('  data: form');
+                } else if (request.body) {
+                    options.push(json !== undefined
+                        ? `  data: ${this.indent(JSON.stringify(json, null, 2), 2)}`
+                        : `  data: ${this.jsonQuote(request.body)}`);
+                }
+
+                return `const axios = require('axios');\n` + (setup ? setup : '\n')
+                    + `axios({\n${options.join(',\n')}\n})\n`
+                    + `  .then((response) => console.log(response.status, response.data))\n`
+                    + `  .catch((error) => console.error(error.response ? error.response.data : error.message));`;
+            },
+
+            php: function(request) {
+                const lines = [];
+
+                // WordPress HTTP API has no multipart helper, so the body is assembled by hand
+                if (request.parts) {
+                    lines.push(`$boundary = wp_generate_password( 24, false );`);
+                    lines.push(`$body     = '';`);
+                    request.parts.forEach(part => {
+                        const disposition = `Content-Disposition: form-data; name="${part.name.replace(/"/g, '%22')}"`;
+                        if (part.file) {
+                            lines.push(`$body    .= '--' . $boundary . "\\r\\n"`);
+                            lines.push(`    . ${this.phpQuote(disposition + '; filename="' + part.filename.replace(/"/g, '%22') + '"')} . "\\r\\n"`);
+                            lines.push(`    . ${this.phpQuote('Content-Type: ' + part.contentType)} . "\\r\\n\\r\\n"`);
+                            lines.push(`    . file_get_contents( ${this.phpQuote(part.filename)} ) . "\\r\\n";`);
+                        } else {
+                            lines.push(`$body    .= '--' . $boundary . "\\r\\n" . ${this.phpQuote(disposition)} . "\\r\\n\\r\\n" . ${this.phpQuote(part.value)} . "\\r\\n";`);
+                        }
+                    });
+                    lines.push(`$body    .= '--' . $boundary . "--\\r\\n";`);
+                    lines.push('');
+                }
+
+                lines.push(`$response = wp_remote_request( ${this.phpQuote(request.url)}, array(`);
+                lines.push(`    'method'  => ${this.phpQuote(request.method)},`);
+
+                if (request.headers.length || request.parts) {
+                    lines.push(`    'headers' => array(`);
+                    request.headers.forEach(([name, value]) => {
+                        lines.push(`        ${this.phpQuote(name)} => ${this.phpQuote(value)},`);
+                    });
+                    if (request.parts) {
+                        lines.push(`        'Content-Type' => 'multipart/form-data; boundary=' . $boundary,`);
+                    }
+                    lines.push(`    ),`);
+                }
+
+                if (request.parts) {
+                    lines.push(`    'body'    => $body,`);
+                } else if (request.body) {
+                    lines.push(`    'body'    => ${this.phpQuote(request.body)},`);
+                }
+
+                lines.push(`    'timeout' => 30,`);
+                lines.push(`) );`);
+                lines.push('');
+                lines.push(`if ( is_wp_error( $response ) ) {`);
+                lines.push(`    echo $response->get_error_message();`);
+                lines.push(`} else {`);
+                lines.push(`    echo wp_remote_retrieve_response_code( $response ) . "\\n";`);
+                lines.push(`    echo wp_remote_retrieve_body( $response );`);
+                lines.push(`}`);
+
+                return lines.join('\n');
+            },
+
+            python: function(request) {
+                const lines = ['import requests', '', `url = ${this.jsonQuote(request.url)}`];
+
+                if (request.headers.length) {
+                    lines.push('headers = {');
+                    request.headers.forEach(([name, value]) => {
+                        lines.push(`    ${this.jsonQuote(name)}: ${this.jsonQuote(value)},`);
+                    });
+                    lines.push('}');
+                } else {
+                    lines.push('headers = {}');
+                }
+
+                let payload = '';
+
+                if (request.parts) {
+                    // A None file name sends a plain text part, keeping the request
+                    // multipart even when no file is attached
+                    lines.push('files = [');
+                    request.parts.forEach(part => {
+                        lines.push(part.file
+                            ? `    (${this.jsonQuote(part.name)}, (${this.jsonQuote(part.filename)}, open(${this.jsonQuote(part.filename)}, "rb"), ${this.jsonQuote(part.contentType)})),`
+                            : `    (${this.jsonQuote(part.name)}, (None, ${this.jsonQuote(part.value)})),`);
+                    });
+                    lines.push(']');
+                    payload = ', files=files';
+                } else if (request.body) {
+                    // Send the exact body bytes rather than re-serializing with json=
+                    lines.push(`payload = ${this.jsonQuote(request.body)}.encode("utf-8")`);
+                    payload = ', data=payload';
+                }
+
+                lines.push('');
+                lines.push(`response = requests.request(${this.jsonQuote(request.method)}, url, headers=headers${payload}, timeout=30)`);
+                lines.push('print(response.status_code)');
+                lines.push('print(response.text)');
+
+                return lines.join('\n');
+            }
+        },
+
+        /**
+         * Render language tabs with one snippet panel and copy button each
+         */
+        render: function(request) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const languages = Object.keys(this.languages);
+
+            return `
+                <div class="wp-custom-api-snippets">
+                    <div class="snippet-languages">
+                        ${languages.map((language, index) => `<button type="button" class="button button-small snippet-language${index === 0 ? ' active' : ''}" data-language="${language}">${esc(self.languages[language])}</button>`).join('')}
+                    </div>
+                    ${languages.map((language, index) => `
+                        <div class="snippet-panel" data-language="${language}"${index === 0 ? '' : ' style="display:none;"'}>
+                            <pre><code>${esc(self.generate(language, request))}</code></pre>
+                            <button type="button" class="button snippet-copy">Copy to Clipboard</button>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        },
+
+        /**
+         * Copy text, falling back to a hidden textarea outside secure contexts
+         */
+        copy: function(text, $button) {
+            const done = function() {
+                const label = $button.text();
+                $button.text('Copied!');
+                setTimeout(() => $button.text(label), 1500);
+            };
+
+            if (navigator.clipboard && window.isSecureContext) {
+                navigator.clipboard.writeText(text).then(done);
+                return;
+            }
+
+            const $textarea = $('<textarea readonly style="position:absolute;left:-9999px;"></textarea>').val(text).appendTo('body');
+            $textarea[0].select();
+            document.execCommand('copy');
+            $textarea.remove();
+            done();
+        }
+    };
+
+    $(document).on('click', '.wp-custom-api-snippets .snippet-language', function() {
+        const $snippets = $(this).closest('.wp-custom-api-snippets');
+        const language = $(this).data('language');
+
+        $(this).addClass('active').siblings().removeClass('active');
+        $snippets.find('.snippet-panel').hide().filter('[data-language="' + language + '"]').show();
+    });
+
+    $(document).on('click', '.wp-custom-api-snippets .snippet-copy', function() {
+        wpCustomAPISnippets.copy($(this).siblings('pre').text(), $(this));
+    });
+
+})(jQuery);
@@ -0,0 +1,542 @@
+/**
+ * Webhook Explorer - Browse, inspect and retry logged webhooks
+ *
+ * Loads webhook logs page by page with endpoint, source, status and date
+ * filters. A drawer shows the stored headers, payload and resulting ETL jobs,
+ * and any entry can be retried or replayed into the endpoint tester.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPIWebhookExplorer = {
+        page: 1,
+        filters: {},
+        logs: {},
+
+        /**
+         * Initialize the explorer
+         */
+        init: function() {
+            this.$explorer = $('#wp-custom-api-webhook-explorer');
+            if (!this.$explorer.length) {
+                return;
+            }
+
+            this.bindEvents();
+
+            // The page may open with filters from its URL
+            this.filters = this.readFilters();
+            this.load();
+
+            // Drill-down link from another screen
+            const logId = parseInt(this.$explorer.data('log-id'), 10);
+            if (logId) {
+                this.openDrawer(logId);
+            }
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function() {
+            const self = this;
+            const $explorer = this.$explorer;
+
+            $explorer.on('submit', '.webhook-filters', function(e) {
+                e.preventDefault();
+                self.filters = self.readFilters();
+                self.load(1);
+            });
+
+            $explorer.on('click', '.webhook-filters-reset', function() {
+                // Clear rather than reset, which would bring back filters from the URL
+                $explorer.find('.webhook-filters').find('select, input').val('');
+                self.filters = {};
+                self.load(1);
+            });
+
+            $explorer.on('click', '.wp-custom-api-page', function(e) {
+                e.preventDefault();
+                self.load(parseInt($(this).data('page'), 10));
+            });
+
+            $explorer.on('change', '.webhook-select-all', function() {
+                $explorer.find('.webhook-select:enabled').prop('checked', this.checked);
+                self.updateBulkState();
+            });
+
+            $explorer.on('change', '.webhook-select', function() {
+                self.updateBulkState();
+            });
+
+            $explorer.on('click', '.webhook-view', function(e) {
+                e.preventDefault();
+                self.openDrawer($(this).closest('tr').data('log-id'));
+            });
+
+            $explorer.on('click', '.webhook-retry', function(e) {
+                e.preventDefault();
+                self.retry($(this).data('log-id'), $(this));
+            });
+
+            $explorer.on('click', '.webhook-replay', function(e) {
+                e.preventDefault();
+                self.replay($(this).data('log-id'));
+            });
+
+            $explorer.on('click', '.webhook-retry-selected', function() {
+                const ids = $explorer.find('.webhook-select:checked').map(function() {
+                    return $(this).val();
+                }).get();
+
+                self.bulkRetry({ log_ids: ids }, $(this));
+            });
+
+            $(document).on('click', '.webhook-retry-all-failed', function(e) {
+                e.preventDefault();
+                if (confirm('Retry every failed webhook matching the current filters?')) {
+                    self.bulkRetry($.extend({ all_failed: 1 }, self.filters), $(this));
+                }
+            });
+
+            $explorer.on('click', '.webhook-log-drawer .drawer-close', function() {
+                self.closeDrawer();
+            });
+
+            $(document).on('keydown', function(e) {
+                if (e.key === 'Escape') {
+                    self.closeDrawer();
+                }
+            });
+        },
+
+        /**
+         * Read the filter form into request parameters
+         */
+        readFilters: function() {
+            const filters = {};
+
+            $.each(this.$explorer.find('.webhook-filters').serializeArray(), function(index, field) {
+                if (field.value !== '') {
+                    filters[field.name] = field.value;
+                }
+            });
+
+            return filters;
+        },
+
+        /**
+         * Load a page of logs
+         */
+        load: function(page) {
+            const self = this;
+            this.page = page || this.page;
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: $.extend({
+                    action: 'wp_custom_api_get_webhook_logs',
+                    nonce: wpCustomAPI.nonce,
+                    paged: this.page
+                }, this.filters),
+                success: function(response) {
+                    if (!response.success) {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || 'Failed to load webhook logs'));
+                        return;
+                    }
+
+                    self.page = response.data.page;
+                    self.renderRows(response.data.items);
+                    self.$explorer.find('.webhook-pagination').html(wpCustomAPI.renderPagination(response.data));
+                },
+                error: function(xhr, status, error) {
+                    wpCustomAPI.showNotice('error', 'AJAX error: ' + wpCustomAPI.escapeHtml(error));
+                }
+            });
+        },
+
+        /**
+         * Render log rows
+         */
+        renderRows: function(items) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const $rows = this.$explorer.find('.webhook-log-rows');
+
+            this.$explorer.find('.webhook-select-all').prop('checked', false);
+            this.updateBulkState();
+
+            if (!items.length) {
+                $rows.html('<tr><td colspan="9">No webhook logs found.</td></tr>');
+                return;
+            }
+
+            $rows.html(items.map(function(log) {
+                const failed = log.status === 'failed';
+
+                return `
+                    <tr data-log-id="${esc(log.id)}">
+                        <th scope="row" class="check-column">
+                            <input type="checkbox" class="webhook-select" value="${esc(log.id)}"${failed ? '' : ' disabled title="Only failed webhooks can be bulk retried"'} />
+                        </th>
+                        <td class="column-id"><a href="#" class="webhook-view">#${esc(log.id)}</a></td>
+                        <td>${esc(log.endpoint_name || 'Endpoint #' + log.endpoint_id)}</td>
+                        <td>
+                            <div class="webhook-source">${esc(log.source_identifier || '')}</div>
+                            <code>${esc(log.source_ip || '')}</code>
+                        </td>
+                        <td>${self.renderStatus(log.status)}${log.error_message ? `<div class="description">${esc(log.error_message)}</div>` : ''}</td>
+                        <td>${self.renderSignature(log.signature_valid)}</td>
+                        <td>${esc(log.retry_count || 0)}</td>
+                        <td>${esc(log.created_at)}</td>
+                        <td class="webhook-actions">
+                            <a href="#" class="webhook-view">View</a>
+                            ${failed ? `| <a href="#" class="webhook-retry" data-log-id="${esc(log.id)}">Retry</a>` : ''}
+                            | <a href="#" class="webhook-replay" data-log-id="${esc(log.id)}">Replay in Tester</a>
+                        </td>
+                    </tr>
+                `;
+            }).join(''));
+        },
+
+        renderStatus: function(status) {
+            const classes = {
+                processed: 'status-success',
+                failed: 'status-error'
+            };
+
+            return `<span class="status-badge ${classes[status] || 'status-pending'}">${wpCustomAPI.escapeHtml(status)}</span>`;
+        },
+
+        renderSignature: function(valid) {
+            if (valid === null || valid === undefined || valid === '') {
+                return '&mdash;';
+            }
+
+            return parseInt(valid, 10) === 1
+                ? '<span class="dashicons dashicons-yes-alt webhook-signature-valid" title="Valid signature"></span>'
+                : '<span class="dashicons dashicons-warning webhook-signature-invalid" title="Invalid or missing signature"></span>';
+        },
+
+        updateBulkState: function() {
+            this.$explorer.find('.webhook-retry-selected').prop('disabled', !this.$explorer.find('.webhook-select:checked').length);
+        },
+
+        /**
+         * Fetch a log with headers, payload and ETL jobs
+         */
+        fetchLog: function(logId, callback) {
+            const self = this;
+
+            if (this.logs[logId]) {
+                callback(this.logs[logId]);
+                return;
+            }
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_get_webhook_log',
+                    nonce: wpCustomAPI.nonce,
+                    log_id: logId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.logs[logId] = response.data;
+                        callback(response.data);
+                    } else {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || 'Webhook log not found'));
+                    }
+                },
+                error: function(xhr, status, error) {
+                    const data = xhr.responseJSON && xhr.responseJSON.data;
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml((data && data.message) || error));
+                }
+            });
+        },
+
+        /**
+         * Open the detail drawer for a log
+         */
+        openDrawer: function(logId) {
+            const self = this;
+            const $drawer = this.$explorer.find('.webhook-log-drawer');
+
+            this.openLogId = logId;
+
+            $drawer.find('.drawer-title').text(`Webhook #${logId}`);
+            $drawer.find('.drawer-body').html('<span class="spinner is-active"></span>');
+            $drawer.addClass('open').attr('aria-hidden', 'false');
+
+            this.fetchLog(logId, function(log) {
+                $drawer.find('.drawer-body').html(self.renderDetails(log));
+            });
+        },
+
+        closeDrawer: function() {
+            this.openLogId = null;
+            this.$explorer.find('.webhook-log-drawer').removeClass('open').attr('aria-hidden', 'true');
+        },
+
+        /**
+         * Render the drawer contents
+         */
+        renderDetails: function(log) {
+            const esc = wpCustomAPI.escapeHtml;
+            const headers = log.request_headers || {};
+            const query = log.query_params || {};
+            const jobsUrl = this.$explorer.data('jobs-url');
+
+            return `
+                <div class="webhook-detail-actions">
+                    ${log.status === 'failed' ? `<button type="button" class="button webhook-retry" data-log-id="${esc(log.id)}">Retry</button>` : ''}
+                    <button type="button" class="button button-primary webhook-replay" data-log-id="${esc(log.id)}">Replay in Tester</button>
+                </div>
+
+                <table class="widefat webhook-detail-summary">
+                    <tbody>
+                        <tr><th>Status</th><td>${this.renderStatus(log.status)}</td></tr>
+                        <tr><th>Method</th><td><code>${esc(log.request_method)}</code></td></tr>
+                        <tr><th>Source</th><td>${esc(log.source_identifier || '')} <code>${esc(log.source_ip || '')}</code></td></tr>
+                        <tr><th>Signature</th><td>${this.renderSignature(log.signature_valid)}</td></tr>
+                        <tr><th>Response</th><td>${esc(log.response_code || '—')}</td></tr>
+                        <tr><th>Received</th><td>${esc(log.created_at)}</td></tr>
+                        <tr><th>Retries</th><td>${esc(log.retry_count || 0)}</td></tr>
+                        ${log.error_message ? `<tr><th>Error</th><td class="webhook-error">${esc(log.error_message)}</td></tr>` : ''}
+                    </tbody>
+                </table>
+
+                <h3>Headers</h3>
+                ${Object.keys(headers).length ? `
+                    <table class="widefat striped">
+                        <tbody>
+                            ${Object.keys(headers).map(name => `<tr><th>${esc(this.headerName(name))}</th><td><code>${esc(headers[name])}</code></td></tr>`).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="description">No headers stored.</p>'}
+
+                ${Object.keys(query).length ? `
+                    <h3>Query Parameters</h3>
+                    <pre><code>${esc(JSON.stringify(query, null, 2))}</code></pre>
+                ` : ''}
+
+                <h3>Payload</h3>
+                <pre class="webhook-payload"><code>${esc(this.prettyBody(log.request_payload))}</code></pre>
+
+                ${log.response_body ? `
+                    <h3>Response Body</h3>
+                    <pre><code>${esc(this.prettyBody(log.response_body))}</code></pre>
+                ` : ''}
+
+                <h3>ETL Jobs</h3>
+                ${(log.etl_jobs || []).length ? `
+                    <table class="widefat striped">
+                        <thead><tr><th>Job</th><th>Template</th><th>Status</th><th>Error</th></tr></thead>
+                        <tbody>
+                            ${log.etl_jobs.map(job => `
+                                <tr>
+                                    <td><a href="${esc(jobsUrl + '&job_id=' + job.id)}">#${esc(job.id)}</a></td>
+                                    <td>#${esc(job.template_id)}</td>
+                                    <td>${this.renderStatus(job.status === 'completed' ? 'processed' : job.status)}</td>
+                                    <td>${esc(job.error_message ? (job.error_stage ? job.error_stage + ': ' : '') + job.error_message : '')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="description">No ETL job was started for this webhook.</p>'}
+            `;
+        },
+
+        /**
+         * Stored header keys are canonicalized by WordPress (content_type)
+         */
+        headerName: function(name) {
+            return String(name).split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+        },
+
+        prettyBody: function(body) {
+            if (!body) {
+                return '';
+            }
+
+            try {
+                return JSON.stringify(JSON.parse(body), null, 2);
+            } catch (e) {
+                return body;
+            }
+        },
+
+        /**
+         * Retry one webhook
+         */
+        retry: function(logId, $button) {
+            const self = this;
+
+            $button.addClass('disabled');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_retry_webhook',
+                    nonce: wpCustomAPI.nonce,
+                    log_id: logId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        wpCustomAPI.showNotice('success', wpCustomAPI.escapeHtml(response.data.message));
+                        self.refresh();
+                    } else {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml(response.data.message || 'Retry failed'));
+                    }
+                },
+                error: function(xhr, status, error) {
+                    const data = xhr.responseJSON && xhr.responseJSON.data;
+                    wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml((data && data.message) || error));
+                },
+                complete: function() {
+                    $button.removeClass('disabled');
+                }
+            });
+        },
+
+        /**
+         * Retry selected logs, or all failed logs matching the filters
+         */
+        bulkRetry: function(data, $button) {
+            const self = this;
+
+            $button.prop('disabled', true).addClass('disabled');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: $.extend({
+                    action: 'wp_custom_api_bulk_retry_webhooks',
+                    nonce: wpCustomAPI.nonce
+                }, data),
+                success: function(response) {
+                    self.showBulkRetryResult(response.data);
+                    self.refresh();
+                },
+                error: function(xhr, status, error) {
+                    const data = xhr.responseJSON && xhr.responseJSON.data;
+
+                    if (data && data.errors) {
+                        self.showBulkRetryResult(data, 'error');
+                        self.refresh();
+                    } else {
+                        wpCustomAPI.showNotice('error', wpCustomAPI.escapeHtml((data && data.message) || error));
+                    }
+                },
+                complete: function() {
+                    $button.prop('disabled', false).removeClass('disabled');
+                    self.updateBulkState();
+                }
+            });
+        },
+
+        /**
+         * Show the bulk retry summary with the reason each failed log was not retried
+         */
+        showBulkRetryResult: function(data, type) {
+            const errors = data.errors || {};
+            const details = Object.keys(errors).map(id => `#${id}: ${errors[id]}`).join('; ');
+
+            wpCustomAPI.showNotice(type || (details ? 'warning' : 'success'), wpCustomAPI.escapeHtml((data.message || 'Retry failed') + (details ? ` (${details})` : '')));
+        },
+
+        /**
+         * Reload the current page and the open drawer after a change
+         */
+        refresh: function() {
+            this.logs = {};
+            this.load();
+
+            if (this.openLogId) {
+                this.openDrawer(this.openLogId);
+            }
+        },
+
+        /**
+         * Open the endpoint tester pre-filled with a logged request
+         */
+        replay: function(logId) {
+            const self = this;
+
+            if (!window.wpCustomAPITester) {
+                return;
+            }
+
+            this.fetchLog(logId, function(log) {
+                wpCustomAPITester.openModal(log.endpoint_id, self.toTesterRequest(log));
+            });
+        },
+
+        /**
+         * Convert a stored webhook into tester request options
+         *
+         * Redacted and transport headers are dropped; the tester sets the
+         * content type from the body type and re-signs the body when the
+         * endpoint expects a signature.
+         */
+        toTesterRequest: function(log) {
+            const self = this;
+            const skip = ['host', 'content-length', 'content-type', 'connection', 'accept-encoding', 'cookie', 'expect'];
+            const stored = log.request_headers || {};
+            const headers = {};
+            let contentType = '';
+
+            Object.keys(stored).forEach(function(key) {
+                const name = self.headerName(key);
+                const value = String(stored[key]);
+
+                if (name.toLowerCase() === 'content-type') {
+                    contentType = value;
+                }
+
+                if (skip.indexOf(name.toLowerCase()) === -1 && value !== '[REDACTED]') {
+                    headers[name] = value;
+                }
+            });
+
+            const request = {
+                headers: headers,
+                query_params: $.isPlainObject(log.query_params) ? log.query_params : {},
+                auth: { mode: 'auto' }
+            };
+            const body = log.request_payload || '';
+            const mime = contentType.split(';')[0].trim().toLowerCase();
+
+            if (mime === 'application/x-www-form-urlencoded') {
+                request.body_type = 'form';
+                request.form = body.split('&').filter(Boolean).map(function(pair) {
+                    const parts = pair.split('=');
+                    const decode = value => decodeURIComponent(String(value || '').replace(/\+/g, ' '));
+                    return { name: decode(parts.shift()), value: decode(parts.join('=')) };
+                });
+            } else if (mime === '' || mime === 'application/json') {
+                request.body_type = 'json';
+                request.body = body;
+            } else {
+                // Multipart bodies are not kept by PHP, so only the raw body can be replayed
+                request.body_type = 'raw';
+                request.content_type = mime === 'multipart/form-data' ? 'text/plain' : contentType;
+                request.body = body;
+            }
+
+            return request;
+        }
+    };
+
+    // Initialize on document ready
+    $(document).ready(function() {
+        wpCustomAPIWebhookExplorer.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,945 @@
+/**
+ * Workflow Designer - Visual editor for Action_Executor workflows
+ *
+ * Registered action handlers are dragged from the palette onto the canvas
+ * as nodes and arranged in sequence, in parallel branches or behind
+ * condition nodes. Node options are rendered from each handler's
+ * registration fields. The definition is serialized into the hidden
+ * definition field the form saves, and a test run shows each node's entry
+ * from the execution log.
+ *
+ * @since 2.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    window.wpCustomAPIWorkflowDesigner = {
+        workflow: { steps: [] },
+        handlers: {},
+        selected: null,
+        insertTarget: null,
+        lastRun: null,
+        nodeCounter: 0,
+
+        storagePrefix: 'wpCustomAPI.workflowSample.',
+
+        /**
+         * Initialize the designer
+         */
+        init: function() {
+            const self = this;
+
+            this.$form = $('#workflow-form');
+            if (!this.$form.length) {
+                return;
+            }
+
+            this.$canvas = this.$form.find('.workflow-steps-root');
+            this.$inspector = this.$form.find('.workflow-inspector-body');
+
+            (this.$form.data('handlers') || []).forEach(function(handler) {
+                self.handlers[handler.name] = handler;
+            });
+
+            const saved = this.parseJson($('#workflow-definition').val(), {});
+            this.workflow = $.extend({}, saved, { steps: Array.isArray(saved.steps) ? saved.steps : [] });
+            this.nodeCounter = this.maxNodeNumber(this.workflow.steps);
+
+            this.bindEvents();
+            this.restoreSample();
+            this.render();
+        },
+
+        /**
+         * Bind events
+         */
+        bindEvents: function() {
+            const self = this;
+            const $form = this.$form;
+
+            // Palette: drag onto a drop slot, or click to insert at the selected slot
+            $form.on('dragstart', '.workflow-palette-item', function(e) {
+                e.originalEvent.dataTransfer.effectAllowed = 'copy';
+                e.originalEvent.dataTransfer.setData('text/plain', JSON.stringify({
+                    type: $(this).data('node-type'),
+                    handler: $(this).data('handler') || ''
+                }));
+            });
+
+            $form.on('click', '.workflow-palette-item', function() {
+                const target = self.insertTarget || { list: 'steps', index: self.workflow.steps.length };
+                self.insertTarget = null;
+                self.insertNode(self.createNode($(this).data('node-type'), $(this).data('handler')), target.list, target.index);
+            });
+
+            $form.on('dragstart', '.workflow-node-header', function(e) {
+                e.stopPropagation();
+                e.originalEvent.dataTransfer.effectAllowed = 'move';
+                e.originalEvent.dataTransfer.setData('text/plain', JSON.stringify({
+                    move: $(this).closest('.workflow-node').attr('data-path')
+                }));
+            });
+
+            $form.on('dragover', '.workflow-drop', function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                $(this).addClass('is-over');
+            });
+
+            $form.on('dragleave drop', '.workflow-drop', function() {
+                $(this).removeClass('is-over');
+            });
+
+            $form.on('drop', '.workflow-drop', function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+
+                let payload = null;
+                try {
+                    payload = JSON.parse(e.originalEvent.dataTransfer.getData('text/plain'));
+                } catch (err) {
+                    return;
+                }
+
+                const list = $(this).attr('data-list');
+                const index = parseInt($(this).attr('data-index'), 10);
+
+                if (payload.move) {
+                    self.moveNode(payload.move, list, index);
+                } else if (payload.type) {
+                    self.insertNode(self.createNode(payload.type, payload.handler), list, index);
+                }
+            });
+
+            $form.on('click', '.workflow-drop', function(e) {
+                e.stopPropagation();
+
+                const target = { list: $(this).attr('data-list'), index: parseInt($(this).attr('data-index'), 10) };
+                const same = self.insertTarget && self.insertTarget.list === target.list && self.insertTarget.index === target.index;
+
+                self.insertTarget = same ? null : target;
+                $form.find('.workflow-drop').removeClass('is-target');
+                if (!same) {
+                    $(this).addClass('is-target');
+                }
+            });
+
+            // Canvas nodes
+            $form.on('click', '.workflow-node', function(e) {
+                e.stopPropagation();
+                if ($(e.target).closest('button').length) {
+                    return;
+                }
+                self.select(self.nodeAt($(this).attr('data-path')));
+            });
+
+            $form.on('click', '.workflow-remove-node', function() {
+                self.removeNode($(this).closest('.workflow-node').attr('data-path'));
+            });
+
+            $form.on('click', '.workflow-move-node', function() {
+                self.shiftNode($(this).closest('.workflow-node').attr('data-path'), $(this).data('direction') === 'up' ? -1 : 1);
+            });
+
+            $form.on('click', '.workflow-add-branch', function() {
+                const node = $(this).closest('.workflow-node').attr('data-path');
+                self.nodeAt(node).branches.push([]);
+                self.changed();
+            });
+
+            $form.on('click', '.workflow-remove-branch', function() {
+                const node = self.nodeAt($(this).closest('.workflow-node').attr('data-path'));
+                node.branches.splice(parseInt($(this).data('branch'), 10), 1);
+                self.changed();
+            });
+
+            // Inspector
+            this.$inspector.on('input change', '[data-option], [data-prop]', function() {
+                self.readInspectorField($(this));
+            });
+
+            this.$inspector.on('change', '.workflow-extra-options', function() {
+                self.readExtraOptions($(this));
+            });
+
+            this.$inspector.on('change', '#workflow-condition-filters', function() {
+                if (self.selected && self.selected.type === 'condition') {
+                    self.selected.conditions = wpCustomAPI.queryBuilder.getFilters(self.$inspector.find('.workflow-condition-builder'));
+                    self.changed();
+                }
+            });
+
+            // Test run
+            $form.on('click', '.workflow-test-run', function() {
+                self.run();
+            });
+
+            $form.on('submit', function(e) {
+                if (self.$inspector.find('.is-invalid').length) {
+                    e.preventDefault();
+                    wpCustomAPI.showNotice('error', 'Fix the invalid JSON in the node options before saving.');
+                    return;
+                }
+                self.sync();
+            });
+        },
+
+        parseJson: function(text, fallback) {
+            try {
+                const value = JSON.parse(text);
+                return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : fallback;
+            } catch (e) {
+                return fallback;
+            }
+        },
+
+        /**
+         * Highest number used in node_N IDs, so new IDs never collide
+         */
+        maxNodeNumber: function(steps) {
+            let max = 0;
+
+            this.eachNode(steps, function(node) {
+                const match = /^node_(\d+)$/.exec(node.id || '');
+                if (match) {
+                    max = Math.max(max, parseInt(match[1], 10));
+                }
+            });
+
+            return max;
+        },
+
+        /**
+         * Call fn for every node, depth first
+         */
+        eachNode: function(steps, fn) {
+            const self = this;
+
+            (steps || []).forEach(function(node) {
+                fn(node);
+                self.childLists(node).forEach(function(list) {
+                    self.eachNode(list, fn);
+                });
+            });
+        },
+
+        childLists: function(node) {
+            if (node.type === 'parallel') {
+                return node.branches || [];
+            }
+            if (node.type === 'condition') {
+                return [node.then || [], node.else || []];
+            }
+            return [];
+        },
+
+        /**
+         * Create a node of the given type with default options
+         */
+        createNode: function(type, handlerName) {
+            const node = { id: 'node_' + (++this.nodeCounter), type: type };
+
+            switch (type) {
+                case 'parallel':
+                    node.branches = [[], []];
+                    break;
+
+                case 'condition':
+                    node.conditions = [];
+                    node.then = [];
+                    node.else = [];
+                    break;
+
+                case 'hook':
+                    node.hook = '';
+                    node.options = {};
+                    break;
+
+                default: {
+                    const handler = this.handlers[handlerName] || { fields: [] };
+                    node.handler = handlerName;
+                    node.options = {};
+                    handler.fields.forEach(function(field) {
+                        if (field.default !== undefined) {
+                            node.options[field.key] = field.default;
+                        }
+                    });
+                }
+            }
+
+            return node;
+        },
+
+        /**
+         * Resolve a list path such as "steps.0.branches.1" to its array
+         */
+        resolve: function(path) {
+            return path.split('.').reduce((value, key) => value[key], this.workflow);
+        },
+
+        locate: function(nodePath) {
+            const split = nodePath.lastIndexOf('.');
+            return {
+                list: this.resolve(nodePath.slice(0, split)),
+                index: parseInt(nodePath.slice(split + 1), 10)
+            };
+        },
+
+        nodeAt: function(nodePath) {
+            const location = this.locate(nodePath);
+            return location.list[location.index];
+        },
+
+        insertNode: function(node, listPath, index) {
+            this.resolve(listPath).splice(index, 0, node);
+            this.selected = node;
+            this.changed();
+            this.renderInspector();
+        },
+
+        /**
+         * Move a node to another slot, refusing to drop a container into itself
+         */
+        moveNode: function(fromPath, listPath, index) {
+            if (listPath === fromPath || listPath.indexOf(fromPath + '.') === 0) {
+                return;
+            }
+
+            const from = this.locate(fromPath);
+            const target = this.resolve(listPath);
+            const node = from.list[from.index];
+
+            // Removing the node first shifts later slots of the same list
+            if (from.list === target && from.index < index) {
+                index--;
+            }
+
+            from.list.splice(from.index, 1);
+            target.splice(index, 0, node);
+            this.changed();
+        },
+
+        shiftNode: function(nodePath, offset) {
+            const location = this.locate(nodePath);
+            const to = location.index + offset;
+
+            if (to < 0 || to >= location.list.length) {
+                return;
+            }
+
+            const node = location.list.splice(location.index, 1)[0];
+            location.list.splice(to, 0, node);
+            this.changed();
+        },
+
+        removeNode: function(nodePath) {
+            const location = this.locate(nodePath);
+            const node = location.list.splice(location.index, 1)[0];
+
+            if (this.selected === node || (this.selected && this.contains(node, this.selected))) {
+                this.selected = null;
+                this.renderInspector();
+            }
+            this.changed();
+        },
+
+        contains: function(container, node) {
+            let found = false;
+
+            this.childLists(container).forEach(list => this.eachNode(list, function(child) {
+                found = found || child === node;
+            }));
+
+            return found;
+        },
+
+        select: function(node) {
+            this.selected = node;
+            this.$canvas.find('.workflow-node').removeClass('is-selected');
+            this.$canvas.find('.workflow-node').filter((index, el) => this.nodeAt($(el).attr('data-path')) === node).addClass('is-selected');
+            this.renderInspector();
+        },
+
+        /**
+         * Re-render after the definition changed; earlier test results no longer apply
+         */
+        changed: function() {
+            this.lastRun = null;
+            this.render();
+        },
+
+        /**
+         * Render the canvas and serialize the definition
+         */
+        render: function() {
+            this.$canvas.html(this.renderSteps(this.workflow.steps, 'steps'));
+            this.sync();
+
+            if (this.lastRun) {
+                this.markResults(this.lastRun);
+            }
+        },
+
+        renderSteps: function(steps, listPath) {
+            const self = this;
+            let html = `<div class="workflow-steps" data-list="${listPath}">`;
+
+            steps.forEach(function(node, index) {
+                html += self.renderDrop(listPath, index, false);
+                html += self.renderNode(node, `${listPath}.${index}`);
+            });
+
+            html += this.renderDrop(listPath, steps.length, !steps.length);
+
+            return html + '</div>';
+        },
+
+        renderDrop: function(listPath, index, empty) {
+            const target = this.insertTarget && this.insertTarget.list === listPath && this.insertTarget.index === index;
+
+            return `<div class="workflow-drop${empty ? ' is-empty' : ''}${target ? ' is-target' : ''}" data-list="${listPath}" data-index="${index}">${empty ? 'Drop a node here' : ''}</div>`;
+        },
+
+        renderNode: function(node, path) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const info = this.describe(node);
+            let body = '';
+
+            if (node.type === 'parallel') {
+                body = '<div class="workflow-branches">' + (node.branches || []).map(function(branch, index) {
+                    const remove = node.branches.length > 2
+                        ? `<button type="button" class="button-link workflow-remove-branch" data-branch="${index}">Remove</button>`
+                        : '';
+                    return `
+                        <div class="workflow-branch">
+                            <div class="workflow-branch-header">Branch ${index + 1} ${remove}</div>
+                            ${self.renderSteps(branch, `${path}.branches.${index}`)}
+                        </div>
+                    `;
+                }).join('') + '</div><button type="button" class="button button-small workflow-add-branch">Add Branch</button>';
+            } else if (node.type === 'condition') {
+                body = `
+                    <div class="workflow-branches">
+                        <div class="workflow-branch workflow-branch-then">
+                            <div class="workflow-branch-header">Yes</div>
+                            ${this.renderSteps(node.then || (node.then = []), `${path}.then`)}
+                        </div>
+                        <div class="workflow-branch workflow-branch-else">
+                            <div class="workflow-branch-header">No</div>
+                            ${this.renderSteps(node.else || (node.else = []), `${path}.else`)}
+                        </div>
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="workflow-node workflow-node-${esc(node.type)}${node === this.selected ? ' is-selected' : ''}" data-path="${path}" data-node-id="${esc(node.id)}">
+                    <div class="workflow-node-header" draggable="true">
+                        <span class="dashicons ${info.icon}"></span>
+                        <span class="workflow-node-title">${esc(info.title)}</span>
+                        <span class="workflow-node-actions">
+                            <button type="button" class="button-link workflow-move-node" data-direction="up" aria-label="Move up"><span class="dashicons dashicons-arrow-up-alt2"></span></button>
+                            <button type="button" class="button-link workflow-move-node" data-direction="down" aria-label="Move down"><span class="dashicons dashicons-arrow-down-alt2"></span></button>
+                            <button type="button" class="button-link workflow-remove-node" aria-label="Remove"><span class="dashicons dashicons-trash"></span></button>
+                        </span>
+                    </div>
+                    <div class="workflow-node-summary">${esc(info.summary)}</div>
+                    ${info.warning ? `<div class="workflow-node-warning">${esc(info.warning)}</div>` : ''}
+                    <div class="workflow-node-result"></div>
+                    ${body}
+                </div>
+            `;
+        },
+
+        /**
+         * Title, icon, one-line summary and warning for a node
+         */
+        describe: function(node) {
+            switch (node.type) {
+                case 'parallel':
+                    return { icon: 'dashicons-randomize', title: 'Parallel Branches', summary: `${(node.branches || []).length} branches from the same data` };
+
+                case 'condition':
+                    return {
+                        icon: 'dashicons-editor-help',
+                        title: 'Condition',
+                        summary: this.describeConditions(node.conditions),
+                        warning: this.isEmptyConditions(node.conditions) ? 'Add at least one condition' : ''
+                    };
+
+                case 'hook':
+                    return {
+                        icon: 'dashicons-wordpress',
+                        title: 'WordPress Action',
+                        summary: node.hook || '',
+                        warning: node.hook ? '' : 'Set the action name'
+                    };
+
+                default: {
+                    const handler = this.handlers[node.handler];
+
+                    if (!handler) {
+                        return { icon: 'dashicons-warning', title: node.handler, summary: '', warning: 'This handler is not registered' };
+                    }
+
+                    const options = node.options || {};
+                    const missing = handler.fields
+                        .filter(field => field.required && (options[field.key] === undefined || options[field.key] === ''))
+                        .map(field => field.label);
+
+                    return {
+                        icon: 'dashicons-admin-generic',
+                        title: handler.label,
+                        summary: Object.keys(options).slice(0, 2).map(function(key) {
+                            const value = options[key];
+                            return `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`;
+                        }).join(', '),
+                        warning: missing.length ? `Read from the request data: ${missing.join(', ')}` : ''
+                    };
+                }
+            }
+        },
+
+        isEmptyConditions: function(conditions) {
+            if (Array.isArray(conditions)) {
+                return !conditions.length;
+            }
+            return !conditions || !(conditions.conditions || []).length;
+        },
+
+        describeConditions: function(conditions) {
+            const self = this;
+
+            if (this.isEmptyConditions(conditions)) {
+                return 'No conditions';
+            }
+
+            const group = Array.isArray(conditions) ? { logic: 'and', conditions: conditions } : conditions;
+
+            return group.conditions.map(function(condition) {
+                if (condition.conditions) {
+                    return `(${self.describeConditions(condition)})`;
+                }
+                return [condition.field, condition.operator, condition.value === undefined ? '' : JSON.stringify(condition.value)].join(' ').trim();
+            }).join(` ${String(group.logic || 'and').toUpperCase()} `);
+        },
+
+        /**
+         * Render the options form of the selected node
+         */
+        renderInspector: function() {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const node = this.selected;
+
+            if (!node) {
+                this.$inspector.html('<p class="description">Select a node to configure it.</p>');
+                return;
+            }
+
+            const meta = `<p class="description">Node <code>${esc(node.id)}</code></p>`;
+            const placeholderHelp = '<p class="description">Options are merged over the data passed to the node. Insert values from that data with <code>{{path}}</code>, for example <code>{{customer.email}}</code>.</p>';
+
+            switch (node.type) {
+                case 'parallel':
+                    this.$inspector.html(`
+                        <h4>Parallel Branches</h4>
+                        ${meta}
+                        <p class="description">Each branch starts from the same data. What the branches add is merged in branch order before the next node runs.</p>
+                    `);
+                    return;
+
+                case 'condition': {
+                    this.$inspector.html(`
+                        <h4>Condition</h4>
+                        ${meta}
+                        <p class="description">Runs the Yes branch when the data matches, otherwise the No branch.</p>
+                        <input type="hidden" id="workflow-condition-filters" />
+                        <div class="wp-custom-api-query-builder workflow-condition-builder" data-filters-input="#workflow-condition-filters"></div>
+                    `);
+
+                    const $builder = this.$inspector.find('.workflow-condition-builder');
+                    $('#workflow-condition-filters').val(JSON.stringify(node.conditions || []));
+                    wpCustomAPI.queryBuilder.initBuilder($builder);
+                    wpCustomAPI.queryBuilder.setFields($builder, this.dataPaths());
+                    return;
+                }
+
+                case 'hook':
+                    this.$inspector.html(`
+                        <h4>WordPress Action</h4>
+                        ${meta}
+                        <div class="workflow-field">
+                            <label for="workflow-node-hook">Action Name <span style="color: red;">*</span></label>
+                            <input type="text" id="workflow-node-hook" class="regular-text code" data-prop="hook" value="${esc(node.hook || '')}" placeholder="my_plugin_handle_request" />
+                            <p class="description">Fired with the data. Add to the data through the wp_custom_api_action_response_{action} filter.</p>
+                        </div>
+                        ${this.renderExtraOptions(node, [])}
+                        ${placeholderHelp}
+                    `);
+                    return;
+
+                default: {
+                    const handler = this.handlers[node.handler];
+
+                    if (!handler) {
+                        this.$inspector.html(`
+                            <h4>${esc(node.handler)}</h4>
+                            ${meta}
+                            <div class="notice notice-warning inline"><p>This handler is not registered. The workflow cannot be saved until the node is removed or the handler is registered again.</p></div>
+                        `);
+                        return;
+                    }
+
+                    const options = node.options || {};
+
+                    this.$inspector.html(`
+                        <h4>${esc(handler.label)}</h4>
+                        ${meta}
+                        ${handler.description ? `<p class="description">${esc(handler.description)}</p>` : ''}
+                        ${handler.fields.map(field => self.renderField(field, options[field.key])).join('')}
+                        ${this.renderExtraOptions(node, handler.fields.map(field => field.key))}
+                        ${placeholderHelp}
+                    `);
+                }
+            }
+        },
+
+        /**
+         * Render one option field from handler registration metadata
+         */
+        renderField: function(field, value) {
+            const esc = wpCustomAPI.escapeHtml;
+            const id = 'workflow-option-' + String(field.key).replace(/[^\w-]/g, '_');
+            const placeholder = field.placeholder ? ` placeholder="${esc(field.placeholder)}"` : '';
+            const required = field.required ? ' <span style="color: red;">*</span>' : '';
+            const attrs = `id="${id}" data-option="${esc(field.key)}" data-type="${esc(field.type || 'text')}"`;
+            let input;
+
+            if (value === undefined) {
+                value = '';
+            }
+
+            switch (field.type) {
+                case 'textarea':
+                    input = `<textarea ${attrs} rows="3" class="large-text"${placeholder}>${esc(value)}</textarea>`;
+                    break;
+
+                case 'json':
+                    input = `<textarea ${attrs} rows="4" class="large-text code"${placeholder}>${esc(typeof value === 'string' ? value : JSON.stringify(value, null, 2))}</textarea>`;
+                    break;
+
+                case 'checkbox':
+                    input = `<input type="checkbox" ${attrs} ${value ? 'checked' : ''} />`;
+                    break;
+
+                case 'select':
+                    input = `<select ${attrs}><option value="">— Default —</option>` + (field.options || []).map(function(option) {
+                        const optionValue = typeof option === 'object' ? option.value : option;
+                        const label = typeof option === 'object' ? option.label : option;
+                        const selected = String(optionValue) === String(value) ? ' selected' : '';
+                        return `<option value="${esc(optionValue)}"${selected}>${esc(label)}</option>`;
+                    }).join('') + '</select>';
+                    break;
+
+                case 'number':
+                    input = `<input type="text" inputmode="numeric" ${attrs} class="small-text" value="${esc(value)}"${placeholder} />`;
+                    break;
+
+                default:
+                    input = `<input type="text" ${attrs} class="regular-text" value="${esc(value)}"${placeholder} />`;
+            }
+
+            return `
+                <div class="workflow-field">
+                    <label for="${id}">${esc(field.label || field.key)}${required}</label>
+                    ${input}
+                    ${field.description ? `<p class="description">${esc(field.description)}</p>` : ''}
+                </div>
+            `;
+        },
+
+        /**
+         * JSON editor for option keys the handler's fields don't describe
+         */
+        renderExtraOptions: function(node, knownKeys) {
+            const extra = {};
+
+            Object.keys(node.options || {}).forEach(function(key) {
+                if (knownKeys.indexOf(key) === -1) {
+                    extra[key] = node.options[key];
+                }
+            });
+
+            return `
+                <div class="workflow-field">
+                    <label for="workflow-extra-options">${knownKeys.length ? 'Other Data' : 'Data'}</label>
+                    <textarea id="workflow-extra-options" class="large-text code workflow-extra-options" rows="3" placeholder='{"key": "value"}'>${wpCustomAPI.escapeHtml(Object.keys(extra).length ? JSON.stringify(extra, null, 2) : '')}</textarea>
+                    <p class="description">JSON object of extra keys to add to the data.</p>
+                </div>
+            `;
+        },
+
+        /**
+         * Store an inspector field on the selected node
+         */
+        readInspectorField: function($field) {
+            const node = this.selected;
+
+            if (!node) {
+                return;
+            }
+
+            if ($field.data('prop')) {
+                node[$field.data('prop')] = $.trim($field.val());
+                this.render();
+                return;
+            }
+
+            const key = $field.attr('data-option');
+            const type = $field.data('type');
+            const raw = $field.is(':checkbox') ? $field.is(':checked') : $field.val();
+
+            node.options = node.options || {};
+            $field.removeClass('is-invalid').siblings('.workflow-field-error').remove();
+
+            if (raw === '' || raw === false) {
+                delete node.options[key];
+            } else if (type === 'number') {
+                node.options[key] = isNaN(Number(raw)) ? raw : Number(raw);
+            } else if (type === 'json') {
+                try {
+                    node.options[key] = JSON.parse(raw);
+                } catch (e) {
+                    $field.addClass('is-invalid').after(`<p class="workflow-field-error">${wpCustomAPI.escapeHtml(e.message)}</p>`);
+                    return;
+                }
+            } else {
+                node.options[key] = raw;
+            }
+
+            this.render();
+        },
+
+        readExtraOptions: function($field) {
+            const node = this.selected;
+            const raw = $.trim($field.val());
+            const known = node.type === 'handler' && this.handlers[node.handler]
+                ? this.handlers[node.handler].fields.map(field => field.key)
+                : [];
+            let extra = {};
+
+            $field.removeClass('is-invalid').siblings('.workflow-field-error').remove();
+
+            if (raw !== '') {
+                extra = this.parseJson(raw, null);
+                if (extra === null) {
+                    $field.addClass('is-invalid').after('<p class="workflow-field-error">Enter a JSON object.</p>');
+                    return;
+                }
+            }
+
+            const options = {};
+            Object.keys(node.options || {}).forEach(function(key) {
+                if (known.indexOf(key) !== -1) {
+                    options[key] = node.options[key];
+                }
+            });
+            node.options = $.extend(options, extra);
+
+            this.render();
+        },
+
+        /**
+         * Write the definition to the hidden field
+         */
+        sync: function() {
+            $('#workflow-definition').val(JSON.stringify(this.workflow));
+            return this.workflow;
+        },
+
+        storageKey: function() {
+            return this.storagePrefix + (this.$form.data('workflow-id') || 'new');
+        },
+
+        restoreSample: function() {
+            try {
+                const sample = window.localStorage.getItem(this.storageKey());
+                if (sample) {
+                    $('#workflow-test-sample').val(sample);
+                }
+            } catch (e) {
+                // Storage unavailable
+            }
+        },
+
+        /**
+         * Paths in the sample data and the last run's output, for condition fields
+         */
+        dataPaths: function() {
+            const paths = [];
+            const sources = [this.parseJson($('#workflow-test-sample').val(), null), this.lastRun && this.lastRun.data];
+
+            sources.forEach(function(source) {
+                if (source && typeof source === 'object') {
+                    wpCustomAPI.fieldMapper.extractPaths(source).forEach(function(item) {
+                        if (paths.indexOf(item.path) === -1) {
+                            paths.push(item.path);
+                        }
+                    });
+                }
+            });
+
+            return paths;
+        },
+
+        /**
+         * Test run the current definition with the sample data
+         */
+        run: function() {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const sample = $.trim($('#workflow-test-sample').val()) || '{}';
+            const $output = this.$form.find('.workflow-test-output');
+            const $button = this.$form.find('.workflow-test-run');
+
+            if (this.parseJson(sample, null) === null) {
+                $output.html('<div class="notice notice-error inline"><p>Sample request data must be a JSON object.</p></div>');
+                return;
+            }
+
+            try {
+                window.localStorage.setItem(this.storageKey(), sample);
+            } catch (e) {
+                // Storage unavailable
+            }
+
+            $button.prop('disabled', true);
+            this.$form.find('.workflow-test-spinner').addClass('is-active');
+
+            $.ajax({
+                url: wpCustomAPI.ajaxUrl,
+                method: 'POST',
+                data: {
+                    action: 'wp_custom_api_test_workflow',
+                    nonce: wpCustomAPI.nonce,
+                    definition: JSON.stringify(this.sync()),
+                    sample: sample
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.lastRun = response.data;
+                        self.markResults(response.data);
+                        $output.html(self.renderRun(response.data));
+                    } else {
+                        $output.html(`<div class="notice notice-error inline"><p>${esc(response.data.message || 'Test run failed')}</p></div>`);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    const data = xhr.responseJSON && xhr.responseJSON.data;
+                    const errors = (data && data.errors) || [];
+
+                    $output.html(`
+                        <div class="notice notice-error inline">
+                            ${errors.length
+                                ? '<p>The workflow is not valid:</p><ul>' + errors.map(message => `<li>${esc(message)}</li>`).join('') + '</ul>'
+                                : `<p>${esc((data && data.message) || error)}</p>`}
+                        </div>
+                    `);
+                },
+                complete: function() {
+                    $button.prop('disabled', false);
+                    self.$form.find('.workflow-test-spinner').removeClass('is-active');
+                }
+            });
+        },
+
+        /**
+         * Badge canvas nodes with their result; nodes without a log entry did not run
+         */
+        markResults: function(result) {
+            const self = this;
+            const entries = {};
+
+            (result.nodes || []).forEach(function(entry) {
+                entries[entry.node] = entry;
+            });
+
+            this.$canvas.find('.workflow-node').each(function() {
+                const $node = $(this);
+                const entry = entries[$node.attr('data-node-id')];
+
+                $node.removeClass('is-success is-failed is-skipped');
+
+                if (!entry) {
+                    $node.addClass('is-skipped').children('.workflow-node-result').html('<span class="status-badge status-pending">not run</span>');
+                    return;
+                }
+
+                $node.addClass(entry.success ? 'is-success' : 'is-failed')
+                    .children('.workflow-node-result').html(self.renderBadge(entry));
+            });
+        },
+
+        renderBadge: function(entry) {
+            if (entry.type === 'condition') {
+                return `<span class="status-badge status-success">${entry.output.matched ? 'matched → Yes' : 'no match → No'}</span>`;
+            }
+
+            const time = `${Math.round((entry.time || 0) * 1000)} ms`;
+
+            return entry.success
+                ? `<span class="status-badge status-success">ok · ${time}</span>`
+                : `<span class="status-badge status-error">failed · ${time}</span>`;
+        },
+
+        /**
+         * Render the execution log of a test run, one entry per executed node
+         */
+        renderRun: function(result) {
+            const self = this;
+            const esc = wpCustomAPI.escapeHtml;
+            const titles = {};
+
+            this.eachNode(this.workflow.steps, function(node) {
+                titles[node.id] = self.describe(node).title;
+            });
+
+            let html = result.success
+                ? '<div class="notice notice-success inline"><p>All nodes completed.</p></div>'
+                : `<div class="notice notice-error inline"><p>${esc(result.error || 'Workflow failed')}</p></div>`;
+
+            html += '<ol class="workflow-run-log">' + (result.nodes || []).map(function(entry) {
+                return `
+                    <li class="workflow-run-entry ${entry.success ? 'is-success' : 'is-failed'}">
+                        <div class="workflow-run-entry-header">
+                            <strong>${esc(titles[entry.node] || entry.handler || entry.node)}</strong>
+                            <code>${esc(entry.node)}</code>
+                            ${self.renderBadge(entry)}
+                        </div>
+                        ${entry.error ? `<p class="workflow-run-error">${esc(entry.error)}</p>` : ''}
+                        <details${entry.success ? '' : ' open'}>
+                            <summary>Output</summary>
+                            ${wpCustomAPI.resultViewer.renderBody(entry.output)}
+                        </details>
+                    </li>
+                `;
+            }).join('') + '</ol>';
+
+            html += `
+                <h4>Final Data</h4>
+                ${wpCustomAPI.resultViewer.renderBody(result.data)}
+            `;
+
+            return html;
+        }
+    };
+
+    // Initialize on document ready
+    $(document).ready(function() {
+        wpCustomAPIWorkflowDesigner.init();
+    });
+
+})(jQuery);
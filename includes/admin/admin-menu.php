@@ -4,6 +4,13 @@ declare(strict_types=1);
 
 namespace WP_Custom_API\Includes\Admin;
 
+use WP_Custom_API\Includes\Database;
+use WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Manager;
+use WP_Custom_API\Includes\Endpoint_Manager\ETL_Template_Model;
+use WP_Custom_API\Includes\Endpoint_Manager\External_Service_Model;
+use WP_Custom_API\Includes\Endpoint_Manager\System_Manager;
+use WP_Custom_API\Includes\Endpoint_Manager\Workflow_Model;
+
 /**
  * Prevent direct access from sources other than the WordPress environment
  */
@@ -18,14 +25,20 @@ if (!defined('ABSPATH')) exit;
  * Menu Structure:
  * - Dashboard (overview with statistics)
  * - Endpoints (list/add/edit custom endpoints)
+ * - API Reference (OpenAPI document, Try it and import)
  * - Webhooks (incoming webhook logs)
  * - External Services (outgoing API configurations)
  * - ETL Templates (data transformation pipelines)
  * - Workflows (visual workflow builder)
  * - Jobs Queue (view and manage queued jobs)
+ * - Scheduler (scheduled tasks and their run history)
  * - Logs (request/response/error/system logs)
+ * - Bundles (export/import integrations between sites)
  * - Settings (plugin configuration)
  *
+ * Every page shows a banner while the system is in maintenance mode or
+ * degraded.
+ *
  * @since 2.0.0
  */
 final class Admin_Menu
@@ -49,6 +62,7 @@ final class Admin_Menu
     {
         add_action('admin_menu', [self::class, 'register_menu']);
         add_action('admin_enqueue_scripts', [self::class, 'enqueue_assets']);
+        add_action('admin_notices', [self::class, 'render_status_banner']);
 
         // Load AJAX handlers
         require_once WP_CUSTOM_API_FOLDER_PATH . 'includes/admin/class-ajax-handlers.php';
@@ -102,6 +116,16 @@ final class Admin_Menu
             [self::class, 'render_endpoint_new']
         );
 
+        // API Reference
+        add_submenu_page(
+            self::MENU_SLUG,
+            __('API Reference', 'wp-custom-api'),
+            __('API Reference', 'wp-custom-api'),
+            self::REQUIRED_CAPABILITY,
+            self::MENU_SLUG . '-reference',
+            [self::class, 'render_api_reference']
+        );
+
         // Webhooks
         add_submenu_page(
             self::MENU_SLUG,
@@ -132,7 +156,7 @@ final class Admin_Menu
             [self::class, 'render_etl_templates']
         );
 
-        // Workflows (Phase 5)
+        // Workflows
         add_submenu_page(
             self::MENU_SLUG,
             __('Workflows', 'wp-custom-api'),
@@ -152,6 +176,16 @@ final class Admin_Menu
             [self::class, 'render_jobs']
         );
 
+        // Scheduler
+        add_submenu_page(
+            self::MENU_SLUG,
+            __('Scheduler', 'wp-custom-api'),
+            __('Scheduler', 'wp-custom-api'),
+            self::REQUIRED_CAPABILITY,
+            self::MENU_SLUG . '-scheduler',
+            [self::class, 'render_scheduler']
+        );
+
         // Logs
         add_submenu_page(
             self::MENU_SLUG,
@@ -162,6 +196,16 @@ final class Admin_Menu
             [self::class, 'render_logs']
         );
 
+        // Bundles
+        add_submenu_page(
+            self::MENU_SLUG,
+            __('Bundles', 'wp-custom-api'),
+            __('Bundles', 'wp-custom-api'),
+            self::REQUIRED_CAPABILITY,
+            self::MENU_SLUG . '-bundles',
+            [self::class, 'render_bundles']
+        );
+
         // Settings
         add_submenu_page(
             self::MENU_SLUG,
@@ -202,6 +246,8 @@ final class Admin_Menu
         wp_enqueue_script('jquery-ui-core');
         wp_enqueue_script('jquery-ui-tabs');
         wp_enqueue_script('jquery-ui-sortable');
+        wp_enqueue_script('jquery-ui-draggable');
+        wp_enqueue_script('jquery-ui-droppable');
         wp_enqueue_code_editor(['type' => 'application/json']);
         wp_enqueue_code_editor(['type' => 'application/x-httpd-php']);
 
@@ -253,18 +299,41 @@ final class Admin_Menu
             );
         }
 
-        // Endpoint Editor - Monaco Editor
-        if (strpos($hook, 'endpoint') !== false) {
+        // Dashboard - Live charts
+        if ($hook === 'toplevel_page_' . self::MENU_SLUG) {
+            wp_enqueue_script(
+                'wp-custom-api-dashboard',
+                $plugin_url . '/assets/js/dashboard.js',
+                ['wp-custom-api-admin', 'chart-js'],
+                $version,
+                true
+            );
+        }
+
+        // Endpoint tester - also used to replay logged webhooks and by the API reference
+        if (strpos($hook, 'endpoint') !== false || strpos($hook, 'webhooks') !== false || strpos($hook, 'reference') !== false) {
+            // Snippet Generator - Request code samples for the tester
+            wp_enqueue_script(
+                'wp-custom-api-snippet-generator',
+                $plugin_url . '/assets/js/snippet-generator.js',
+                ['wp-custom-api-admin'],
+                $version,
+                true
+            );
+
             // Endpoint Tester - Test modal interface
             wp_enqueue_script(
                 'wp-custom-api-endpoint-tester',
                 $plugin_url . '/assets/js/endpoint-tester.js',
-                ['wp-custom-api-admin'],
+                ['wp-custom-api-admin', 'wp-custom-api-snippet-generator'],
                 $version,
                 true
             );
+        }
 
-            // Endpoint Builder - Code editor
+        // Endpoint Editor - Monaco Editor
+        if (strpos($hook, 'endpoint') !== false) {
+            // Endpoint Builder - Handler and authentication config panels
             wp_enqueue_script(
                 'wp-custom-api-endpoint-builder',
                 $plugin_url . '/assets/js/endpoint-builder.js',
@@ -272,6 +341,48 @@ final class Admin_Menu
                 $version,
                 true
             );
+
+            wp_localize_script('wp-custom-api-endpoint-builder', 'wpCustomAPIBuilderData', self::get_endpoint_builder_data());
+
+            // Schema Editor - Visual request/response schema editing and linting
+            wp_enqueue_script(
+                'wp-custom-api-schema-editor',
+                $plugin_url . '/assets/js/schema-editor.js',
+                ['wp-custom-api-admin', 'wp-custom-api-endpoint-tester'],
+                $version,
+                true
+            );
+
+            // Endpoint Revisions - Revision history, rollback and unsaved change warnings
+            wp_enqueue_script(
+                'wp-custom-api-endpoint-revisions',
+                $plugin_url . '/assets/js/endpoint-revisions.js',
+                ['wp-custom-api-admin', 'wp-custom-api-schema-editor'],
+                $version,
+                true
+            );
+        }
+
+        // API Reference - Rendered OpenAPI document and import
+        if (strpos($hook, 'reference') !== false) {
+            wp_enqueue_script(
+                'wp-custom-api-reference',
+                $plugin_url . '/assets/js/api-reference.js',
+                ['wp-custom-api-admin', 'wp-custom-api-endpoint-tester'],
+                $version,
+                true
+            );
+        }
+
+        // Webhooks - Log explorer
+        if (strpos($hook, 'webhooks') !== false) {
+            wp_enqueue_script(
+                'wp-custom-api-webhook-explorer',
+                $plugin_url . '/assets/js/webhook-explorer.js',
+                ['wp-custom-api-admin', 'wp-custom-api-endpoint-tester'],
+                $version,
+                true
+            );
         }
 
         // ETL Templates - Visual builder
@@ -285,9 +396,70 @@ final class Admin_Menu
             );
         }
 
-        // Workflows - React builder (Phase 5)
+        // Jobs - ETL job monitor
+        if (strpos($hook, 'jobs') !== false) {
+            wp_enqueue_script(
+                'wp-custom-api-job-monitor',
+                $plugin_url . '/assets/js/job-monitor.js',
+                ['wp-custom-api-admin'],
+                $version,
+                true
+            );
+        }
+
+        // Workflows - Visual workflow designer
         if (strpos($hook, 'workflows') !== false) {
-            // React workflow builder will be enqueued here in Phase 5
+            wp_enqueue_script(
+                'wp-custom-api-workflow-designer',
+                $plugin_url . '/assets/js/workflow-designer.js',
+                ['wp-custom-api-admin'],
+                $version,
+                true
+            );
+        }
+
+        // Bundles - Export selection and import wizard
+        if (strpos($hook, 'bundles') !== false) {
+            wp_enqueue_script(
+                'wp-custom-api-bundles',
+                $plugin_url . '/assets/js/bundles.js',
+                ['wp-custom-api-admin'],
+                $version,
+                true
+            );
+        }
+
+        // External Services - Status grid and auth config panels
+        if (strpos($hook, 'external-services') !== false) {
+            wp_enqueue_script(
+                'wp-custom-api-external-services',
+                $plugin_url . '/assets/js/external-services.js',
+                ['wp-custom-api-admin'],
+                $version,
+                true
+            );
+        }
+
+        // Scheduler - Task controls and interval picker
+        if (strpos($hook, 'scheduler') !== false) {
+            wp_enqueue_script(
+                'wp-custom-api-scheduler',
+                $plugin_url . '/assets/js/scheduler.js',
+                ['wp-custom-api-admin'],
+                $version,
+                true
+            );
+        }
+
+        // Settings - Field validation and import preview
+        if (strpos($hook, 'settings') !== false) {
+            wp_enqueue_script(
+                'wp-custom-api-settings',
+                $plugin_url . '/assets/js/settings.js',
+                ['wp-custom-api-admin'],
+                $version,
+                true
+            );
         }
 
         // Logs - Real-time updates
@@ -302,6 +474,48 @@ final class Admin_Menu
         }
     }
 
+    /**
+     * Get picker options for the endpoint builder config panels
+     *
+     * @return array
+     */
+    private static function get_endpoint_builder_data(): array
+    {
+        global $wpdb;
+
+        $data = [
+            'etlTemplates' => [],
+            'externalServices' => [],
+            'workflows' => [],
+            'callbacks' => Endpoint_Manager::get_callback_names(),
+        ];
+
+        $sources = [
+            'etlTemplates' => ETL_Template_Model::TABLE_NAME,
+            'externalServices' => External_Service_Model::TABLE_NAME,
+            'workflows' => Workflow_Model::TABLE_NAME,
+        ];
+
+        foreach ($sources as $key => $table_name) {
+            $table = Database::get_table_full_name($table_name);
+            if (!$table || !Database::table_exists($table_name)) {
+                continue;
+            }
+
+            $rows = $wpdb->get_results("SELECT id, name, is_active FROM {$table} ORDER BY name ASC", ARRAY_A);
+
+            foreach ($rows ?: [] as $row) {
+                $data[$key][] = [
+                    'id' => (int) $row['id'],
+                    'name' => $row['name'],
+                    'is_active' => (int) $row['is_active'],
+                ];
+            }
+        }
+
+        return $data;
+    }
+
     /**
      * Render Dashboard page
      *
@@ -344,6 +558,20 @@ final class Admin_Menu
         require_once WP_CUSTOM_API_FOLDER_PATH . 'includes/admin/pages/endpoint-edit.php';
     }
 
+    /**
+     * Render API Reference page
+     *
+     * @return void
+     */
+    public static function render_api_reference(): void
+    {
+        if (!current_user_can(self::REQUIRED_CAPABILITY)) {
+            wp_die(__('You do not have sufficient permissions to access this page.'));
+        }
+
+        require_once WP_CUSTOM_API_FOLDER_PATH . 'includes/admin/pages/api-reference.php';
+    }
+
     /**
      * Render Webhooks page
      *
@@ -414,6 +642,20 @@ final class Admin_Menu
         require_once WP_CUSTOM_API_FOLDER_PATH . 'includes/admin/pages/jobs.php';
     }
 
+    /**
+     * Render Scheduler page
+     *
+     * @return void
+     */
+    public static function render_scheduler(): void
+    {
+        if (!current_user_can(self::REQUIRED_CAPABILITY)) {
+            wp_die(__('You do not have sufficient permissions to access this page.'));
+        }
+
+        require_once WP_CUSTOM_API_FOLDER_PATH . 'includes/admin/pages/scheduler.php';
+    }
+
     /**
      * Render Logs page
      *
@@ -428,6 +670,20 @@ final class Admin_Menu
         require_once WP_CUSTOM_API_FOLDER_PATH . 'includes/admin/pages/logs.php';
     }
 
+    /**
+     * Render Bundles page
+     *
+     * @return void
+     */
+    public static function render_bundles(): void
+    {
+        if (!current_user_can(self::REQUIRED_CAPABILITY)) {
+            wp_die(__('You do not have sufficient permissions to access this page.'));
+        }
+
+        require_once WP_CUSTOM_API_FOLDER_PATH . 'includes/admin/pages/bundles.php';
+    }
+
     /**
      * Render Settings page
      *
@@ -442,6 +698,57 @@ final class Admin_Menu
         require_once WP_CUSTOM_API_FOLDER_PATH . 'includes/admin/pages/settings.php';
     }
 
+    /**
+     * Show the maintenance and degraded status banner on plugin pages
+     *
+     * The dashboard updates the banner when the status changes.
+     *
+     * @return void
+     */
+    public static function render_status_banner(): void
+    {
+        $screen = get_current_screen();
+
+        if (!$screen || strpos($screen->id, self::MENU_SLUG) === false || !current_user_can(self::REQUIRED_CAPABILITY)) {
+            return;
+        }
+
+        $status = System_Manager::instance()->get_status();
+        $maintenance = $status['maintenance'];
+        $failed = array_keys(array_filter($status['components'], fn($component) => $component['status'] === System_Manager::COMPONENT_ERROR));
+        $health_url = admin_url('admin.php?page=' . self::MENU_SLUG . '#wp-custom-api-system-health');
+        ?>
+        <div id="wp-custom-api-status-banner">
+            <?php if ($maintenance['enabled']): ?>
+                <div class="notice notice-warning inline wp-custom-api-status-banner status-maintenance">
+                    <p>
+                        <strong><?php _e('Maintenance mode is on.', 'wp-custom-api'); ?></strong>
+                        <?php if ($maintenance['reason'] !== ''): ?>
+                            <?php printf(__('Reason: %s', 'wp-custom-api'), esc_html($maintenance['reason'])); ?>
+                        <?php endif; ?>
+                        <?php if ($maintenance['started_at']): ?>
+                            <?php printf(__('Started %s ago.', 'wp-custom-api'), esc_html(human_time_diff($maintenance['started_at']))); ?>
+                        <?php endif; ?>
+                        <a href="<?php echo esc_url($health_url); ?>"><?php _e('Manage', 'wp-custom-api'); ?></a>
+                    </p>
+                </div>
+            <?php endif; ?>
+
+            <?php if (in_array($status['status'], [System_Manager::STATUS_DEGRADED, System_Manager::STATUS_ERROR], true) || $failed): ?>
+                <div class="notice notice-error inline wp-custom-api-status-banner status-degraded">
+                    <p>
+                        <strong><?php _e('Custom API is running in a degraded state.', 'wp-custom-api'); ?></strong>
+                        <?php if ($failed): ?>
+                            <?php printf(__('Components that failed to start: %s.', 'wp-custom-api'), esc_html(implode(', ', $failed))); ?>
+                        <?php endif; ?>
+                        <a href="<?php echo esc_url($health_url); ?>"><?php _e('View system health', 'wp-custom-api'); ?></a>
+                    </p>
+                </div>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
     /**
      * Add admin body class for styling
      *
@@ -7,6 +7,20 @@ namespace WP_Custom_API\Includes\Admin;
 use WP_Custom_API\Includes\Database;
 use WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Manager;
 use WP_Custom_API\Includes\Endpoint_Manager\Custom_Endpoint_Model;
+use WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Tester;
+use WP_Custom_API\Includes\Endpoint_Manager\Webhook_Handler;
+use WP_Custom_API\Includes\Endpoint_Manager\Event_Logger;
+use WP_Custom_API\Includes\Endpoint_Manager\ETL_Engine;
+use WP_Custom_API\Includes\Endpoint_Manager\Workflow_Manager;
+use WP_Custom_API\Includes\Endpoint_Manager\External_Service_Connector;
+use WP_Custom_API\Includes\Endpoint_Manager\Scheduler;
+use WP_Custom_API\Includes\Endpoint_Manager\Cron_Expression;
+use WP_Custom_API\Includes\Endpoint_Manager\Configuration_Manager;
+use WP_Custom_API\Includes\Endpoint_Manager\System_Manager;
+use WP_Custom_API\Includes\Endpoint_Manager\OpenAPI_Document;
+use WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Revisions;
+use WP_Custom_API\Includes\Endpoint_Manager\Bundle_Manager;
+use WP_Custom_API\Includes\Admin\Tables\Endpoints_List_Table;
 
 /**
  * Prevent direct access from sources other than the WordPress environment
@@ -18,6 +32,21 @@ if (!defined('ABSPATH')) exit;
  *
  * Handles AJAX requests from the admin interface:
  * - Test endpoint
+ * - Saved test cases, test history and endpoint schemas
+ * - Webhook log explorer (search, details, retry)
+ * - Event log console (search, live tail, export)
+ * - ETL job monitor (progress, details, re-run)
+ * - ETL template editor (dry-run preview, delete)
+ * - Workflow designer (test run, delete)
+ * - External services (test connection, delete)
+ * - Scheduled tasks (run now, pause, resume, delete, cron preview)
+ * - Settings (export, import preview)
+ * - Dashboard chart statistics
+ * - System health (component re-init, maintenance mode)
+ * - Endpoints list (filtered pages, bulk actions, undo delete)
+ * - API reference (OpenAPI export, import preview, import)
+ * - Endpoint revisions (history, diff, rollback)
+ * - Bundles (export preview, export, import preview, import)
  * - Delete endpoint
  * - Toggle endpoint status
  * - Duplicate endpoint
@@ -36,6 +65,83 @@ final class AJAX_Handlers
         // Test endpoint
         add_action('wp_ajax_wp_custom_api_test_endpoint', [self::class, 'test_endpoint']);
 
+        // Saved test cases and history
+        add_action('wp_ajax_wp_custom_api_get_endpoint_tests', [self::class, 'get_endpoint_tests']);
+        add_action('wp_ajax_wp_custom_api_get_endpoint_auth', [self::class, 'get_endpoint_auth']);
+        add_action('wp_ajax_wp_custom_api_get_endpoint_schemas', [self::class, 'get_endpoint_schemas']);
+        add_action('wp_ajax_wp_custom_api_save_test_case', [self::class, 'save_test_case']);
+        add_action('wp_ajax_wp_custom_api_delete_test_case', [self::class, 'delete_test_case']);
+        add_action('wp_ajax_wp_custom_api_import_test_cases', [self::class, 'import_test_cases']);
+        add_action('wp_ajax_wp_custom_api_get_test_suite', [self::class, 'get_test_suite']);
+
+        // Webhook log explorer
+        add_action('wp_ajax_wp_custom_api_get_webhook_logs', [self::class, 'get_webhook_logs']);
+        add_action('wp_ajax_wp_custom_api_get_webhook_log', [self::class, 'get_webhook_log']);
+        add_action('wp_ajax_wp_custom_api_retry_webhook', [self::class, 'retry_webhook']);
+        add_action('wp_ajax_wp_custom_api_bulk_retry_webhooks', [self::class, 'bulk_retry_webhooks']);
+
+        // Event log console
+        add_action('wp_ajax_wp_custom_api_get_event_logs', [self::class, 'get_event_logs']);
+        add_action('wp_ajax_wp_custom_api_export_event_logs', [self::class, 'export_event_logs']);
+
+        // ETL job monitor
+        add_action('wp_ajax_wp_custom_api_get_etl_jobs', [self::class, 'get_etl_jobs']);
+        add_action('wp_ajax_wp_custom_api_get_etl_job', [self::class, 'get_etl_job']);
+        add_action('wp_ajax_wp_custom_api_rerun_etl_job', [self::class, 'rerun_etl_job']);
+
+        // ETL template editor
+        add_action('wp_ajax_wp_custom_api_etl_dry_run', [self::class, 'etl_dry_run']);
+        add_action('wp_ajax_wp_custom_api_delete_etl_template', [self::class, 'delete_etl_template']);
+
+        // Workflow designer
+        add_action('wp_ajax_wp_custom_api_test_workflow', [self::class, 'test_workflow']);
+        add_action('wp_ajax_wp_custom_api_delete_workflow', [self::class, 'delete_workflow']);
+
+        // External services
+        add_action('wp_ajax_wp_custom_api_test_external_service', [self::class, 'test_external_service']);
+        add_action('wp_ajax_wp_custom_api_delete_external_service', [self::class, 'delete_external_service']);
+
+        // Scheduled tasks
+        add_action('wp_ajax_wp_custom_api_run_scheduled_task', [self::class, 'run_scheduled_task']);
+        add_action('wp_ajax_wp_custom_api_pause_scheduled_task', [self::class, 'pause_scheduled_task']);
+        add_action('wp_ajax_wp_custom_api_resume_scheduled_task', [self::class, 'resume_scheduled_task']);
+        add_action('wp_ajax_wp_custom_api_delete_scheduled_task', [self::class, 'delete_scheduled_task']);
+        add_action('wp_ajax_wp_custom_api_preview_cron', [self::class, 'preview_cron']);
+
+        // Settings
+        add_action('wp_ajax_wp_custom_api_export_settings', [self::class, 'export_settings']);
+        add_action('wp_ajax_wp_custom_api_preview_settings_import', [self::class, 'preview_settings_import']);
+
+        // Dashboard
+        add_action('wp_ajax_wp_custom_api_get_dashboard_stats', [self::class, 'get_dashboard_stats']);
+
+        // System health
+        add_action('wp_ajax_wp_custom_api_get_system_health', [self::class, 'get_system_health']);
+        add_action('wp_ajax_wp_custom_api_reinit_component', [self::class, 'reinit_component']);
+        add_action('wp_ajax_wp_custom_api_set_maintenance_mode', [self::class, 'set_maintenance_mode']);
+
+        // Endpoints list
+        add_action('wp_ajax_wp_custom_api_list_endpoints', [self::class, 'list_endpoints']);
+        add_action('wp_ajax_wp_custom_api_bulk_endpoints', [self::class, 'bulk_endpoints']);
+        add_action('wp_ajax_wp_custom_api_undo_delete_endpoints', [self::class, 'undo_delete_endpoints']);
+
+        // API reference
+        add_action('wp_ajax_wp_custom_api_export_openapi', [self::class, 'export_openapi']);
+        add_action('wp_ajax_wp_custom_api_get_openapi', [self::class, 'get_openapi']);
+        add_action('wp_ajax_wp_custom_api_preview_openapi_import', [self::class, 'preview_openapi_import']);
+        add_action('wp_ajax_wp_custom_api_import_openapi', [self::class, 'import_openapi']);
+
+        // Endpoint revisions
+        add_action('wp_ajax_wp_custom_api_get_endpoint_revisions', [self::class, 'get_endpoint_revisions']);
+        add_action('wp_ajax_wp_custom_api_get_endpoint_revision', [self::class, 'get_endpoint_revision']);
+        add_action('wp_ajax_wp_custom_api_restore_endpoint_revision', [self::class, 'restore_endpoint_revision']);
+
+        // Bundles
+        add_action('wp_ajax_wp_custom_api_preview_bundle_export', [self::class, 'preview_bundle_export']);
+        add_action('wp_ajax_wp_custom_api_export_bundle', [self::class, 'export_bundle']);
+        add_action('wp_ajax_wp_custom_api_preview_bundle_import', [self::class, 'preview_bundle_import']);
+        add_action('wp_ajax_wp_custom_api_import_bundle', [self::class, 'import_bundle']);
+
         // Delete endpoint
         add_action('wp_ajax_wp_custom_api_delete_endpoint', [self::class, 'delete_endpoint']);
 
@@ -85,27 +191,49 @@ final class AJAX_Handlers
 
         // Prepare test request
         $method = strtoupper($endpoint['method'] ?? 'POST');
+
+        // Encode the body exactly as it will be sent
+        $encoded = Endpoint_Tester::build_request_body(is_array($test_data) ? $test_data : [], self::get_test_files());
+        if (!$encoded->ok) {
+            wp_send_json_error(['message' => $encoded->reason], $encoded->status_code);
+        }
+
+        $body = $encoded->data['body'];
+        $body_type = $test_data['body_type'] ?? Endpoint_Tester::BODY_JSON;
         $headers = [
-            'Content-Type' => 'application/json'
+            'Content-Type' => $encoded->data['content_type']
         ];
 
-        // Add custom headers from test data
-        if (!empty($test_data['headers'])) {
-            $headers = array_merge($headers, $test_data['headers']);
+        // Add custom headers from test data, a custom Content-Type replaces the default
+        // except for multipart bodies whose boundary must match the encoded body
+        if (!empty($test_data['headers']) && is_array($test_data['headers'])) {
+            foreach ($test_data['headers'] as $name => $value) {
+                if (strtolower((string) $name) === 'content-type') {
+                    if ($body_type === Endpoint_Tester::BODY_MULTIPART) {
+                        continue;
+                    }
+                    unset($headers['Content-Type']);
+                }
+                $headers[$name] = $value;
+            }
         }
 
+        // Add credentials for the endpoint's auth type, signed over the encoded body
+        $auth = Endpoint_Tester::apply_auth(
+            $endpoint,
+            is_array($test_data['auth'] ?? null) ? $test_data['auth'] : [],
+            $body,
+            $headers,
+            is_array($test_data['query_params'] ?? null) ? $test_data['query_params'] : []
+        );
+        $headers = $auth['headers'];
+
         // Add query params to URL
-        $query_params = $test_data['query_params'] ?? [];
+        $query_params = $auth['query_params'];
         if (!empty($query_params)) {
             $full_url .= '?' . http_build_query($query_params);
         }
 
-        // Prepare body
-        $body = $test_data['body'] ?? [];
-        if (!is_string($body)) {
-            $body = json_encode($body);
-        }
-
         // Make request
         $start_time = microtime(true);
         $start_memory = memory_get_usage();
@@ -140,12 +268,14 @@ final class AJAX_Handlers
             $response_body = $decoded_body;
         }
 
-        wp_send_json_success([
+        $result_data = [
             'request' => [
                 'url' => $full_url,
                 'method' => $method,
                 'headers' => $headers,
-                'body' => $test_data['body'] ?? []
+                'body_type' => $body_type,
+                'body' => $body_type === Endpoint_Tester::BODY_MULTIPART ? null : $body,
+                'form' => $encoded->data['form']
             ],
             'response' => [
                 'status_code' => $status_code,
@@ -157,15 +287,55 @@ final class AJAX_Handlers
                 'duration_ms' => round(($end_time - $start_time) * 1000, 2),
                 'memory_used' => self::format_bytes($end_memory - $start_memory)
             ]
-        ]);
+        ];
+
+        // Evaluate assertions attached to a saved test case
+        if (!empty($test_data['assertions']) && is_array($test_data['assertions'])) {
+            $result_data['assertions'] = Endpoint_Tester::evaluate_assertions($test_data['assertions'], $result_data, $endpoint);
+        }
+
+        // Batch runs of saved cases would push the user's own requests out of the history
+        if (empty($_POST['batch'])) {
+            Endpoint_Tester::record_history($endpoint_id, is_array($test_data) ? $test_data : [], $result_data);
+        }
+
+        wp_send_json_success($result_data);
     }
 
     /**
-     * Delete an endpoint
+     * Read files uploaded with a multipart test request
+     *
+     * @return array Files keyed by upload index ({name, type, contents})
+     */
+    private static function get_test_files(): array
+    {
+        if (empty($_FILES['test_files']['name']) || !is_array($_FILES['test_files']['name'])) {
+            return [];
+        }
+
+        $files = [];
+        foreach ($_FILES['test_files']['name'] as $index => $name) {
+            $tmp_name = $_FILES['test_files']['tmp_name'][$index] ?? '';
+            if (($_FILES['test_files']['error'][$index] ?? UPLOAD_ERR_NO_FILE) !== UPLOAD_ERR_OK || !is_uploaded_file($tmp_name)) {
+                continue;
+            }
+
+            $files[(string) $index] = [
+                'name' => sanitize_file_name(wp_unslash($name)),
+                'type' => sanitize_mime_type($_FILES['test_files']['type'][$index] ?? ''),
+                'contents' => (string) file_get_contents($tmp_name)
+            ];
+        }
+
+        return $files;
+    }
+
+    /**
+     * Get the auth profile the tester uses to build credentials
      *
      * @return void
      */
-    public static function delete_endpoint(): void
+    public static function get_endpoint_auth(): void
     {
         // Verify nonce
         check_ajax_referer('wp_custom_api_nonce', 'nonce');
@@ -175,32 +345,124 @@ final class AJAX_Handlers
             wp_send_json_error(['message' => 'Insufficient permissions'], 403);
         }
 
-        $endpoint_id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+        $endpoint_id = isset($_POST['endpoint_id']) ? intval($_POST['endpoint_id']) : 0;
 
         if ($endpoint_id <= 0) {
             wp_send_json_error(['message' => 'Invalid endpoint ID'], 400);
         }
 
-        $result = Endpoint_Manager::delete_endpoint($endpoint_id);
+        $result = Endpoint_Manager::get_endpoint($endpoint_id);
+        if (!$result->ok) {
+            wp_send_json_error(['message' => 'Endpoint not found'], 404);
+        }
+
+        $endpoint = is_array($result->data) && isset($result->data[0]) ? $result->data[0] : $result->data;
+
+        wp_send_json_success(Endpoint_Tester::get_auth_profile((array) $endpoint));
+    }
+
+    /**
+     * Get an endpoint's request and response schemas for the tester
+     *
+     * @return void
+     */
+    public static function get_endpoint_schemas(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $endpoint_id = isset($_POST['endpoint_id']) ? intval($_POST['endpoint_id']) : 0;
+
+        if ($endpoint_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid endpoint ID'], 400);
+        }
+
+        $result = Endpoint_Manager::get_endpoint($endpoint_id);
+        if (!$result->ok) {
+            wp_send_json_error(['message' => 'Endpoint not found'], 404);
+        }
+
+        $endpoint = is_array($result->data) && isset($result->data[0]) ? $result->data[0] : $result->data;
+
+        wp_send_json_success(Endpoint_Tester::get_schemas((array) $endpoint));
+    }
+
+    /**
+     * Get saved test cases and recent history for an endpoint
+     *
+     * @return void
+     */
+    public static function get_endpoint_tests(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $endpoint_id = isset($_POST['endpoint_id']) ? intval($_POST['endpoint_id']) : 0;
+
+        if ($endpoint_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid endpoint ID'], 400);
+        }
+
+        wp_send_json_success([
+            'saved' => Endpoint_Tester::get_tests($endpoint_id, Endpoint_Tester::TYPE_SAVED)->data ?: [],
+            'history' => Endpoint_Tester::get_tests($endpoint_id, Endpoint_Tester::TYPE_HISTORY)->data ?: []
+        ]);
+    }
+
+    /**
+     * Create or update a saved test case
+     *
+     * @return void
+     */
+    public static function save_test_case(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $request = isset($_POST['request']) ? json_decode(wp_unslash($_POST['request']), true) : null;
+        $assertions = isset($_POST['assertions']) ? json_decode(wp_unslash($_POST['assertions']), true) : [];
+
+        $result = Endpoint_Tester::save_test_case([
+            'id' => isset($_POST['id']) ? intval($_POST['id']) : 0,
+            'endpoint_id' => isset($_POST['endpoint_id']) ? intval($_POST['endpoint_id']) : 0,
+            'name' => isset($_POST['name']) ? sanitize_text_field(wp_unslash($_POST['name'])) : '',
+            'request' => $request,
+            'assertions' => is_array($assertions) ? $assertions : []
+        ]);
 
         if ($result->ok) {
             wp_send_json_success([
-                'message' => 'Endpoint deleted successfully',
-                'id' => $endpoint_id
+                'message' => 'Test case saved',
+                'id' => $result->data['id'] ?? 0
             ]);
         } else {
             wp_send_json_error([
-                'message' => $result->message ?? 'Failed to delete endpoint'
-            ], 500);
+                'message' => $result->reason ?: 'Failed to save test case'
+            ], $result->status_code ?: 500);
         }
     }
 
     /**
-     * Toggle endpoint status (active/inactive)
+     * Get all saved test cases grouped by endpoint for the batch runner
      *
      * @return void
      */
-    public static function toggle_status(): void
+    public static function get_test_suite(): void
     {
         // Verify nonce
         check_ajax_referer('wp_custom_api_nonce', 'nonce');
@@ -210,37 +472,50 @@ final class AJAX_Handlers
             wp_send_json_error(['message' => 'Insufficient permissions'], 403);
         }
 
-        $endpoint_id = isset($_POST['endpoint_id']) ? intval($_POST['endpoint_id']) : 0;
-        $new_status = isset($_POST['status']) ? intval($_POST['status']) : 0;
+        wp_send_json_success(Endpoint_Tester::get_test_suite()->data ?: []);
+    }
 
-        if ($endpoint_id <= 0) {
-            wp_send_json_error(['message' => 'Invalid endpoint ID'], 400);
+    /**
+     * Delete a saved test case or history entry
+     *
+     * @return void
+     */
+    public static function delete_test_case(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
         }
 
-        $result = Endpoint_Manager::update_endpoint($endpoint_id, [
-            'is_active' => $new_status
-        ]);
+        $test_id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        if ($test_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid test case ID'], 400);
+        }
+
+        $result = Endpoint_Tester::delete_test($test_id);
 
         if ($result->ok) {
             wp_send_json_success([
-                'message' => 'Status updated successfully',
-                'id' => $endpoint_id,
-                'status' => $new_status,
-                'status_text' => $new_status ? 'Active' : 'Inactive'
+                'message' => 'Test case deleted',
+                'id' => $test_id
             ]);
         } else {
             wp_send_json_error([
-                'message' => $result->message ?? 'Failed to update status'
+                'message' => $result->message ?? 'Failed to delete test case'
             ], 500);
         }
     }
 
     /**
-     * Duplicate an endpoint
+     * Import a test case collection exported from the tester
      *
      * @return void
      */
-    public static function duplicate_endpoint(): void
+    public static function import_test_cases(): void
     {
         // Verify nonce
         check_ajax_referer('wp_custom_api_nonce', 'nonce');
@@ -251,51 +526,1613 @@ final class AJAX_Handlers
         }
 
         $endpoint_id = isset($_POST['endpoint_id']) ? intval($_POST['endpoint_id']) : 0;
+        $collection = isset($_POST['collection']) ? json_decode(wp_unslash($_POST['collection']), true) : null;
 
         if ($endpoint_id <= 0) {
             wp_send_json_error(['message' => 'Invalid endpoint ID'], 400);
         }
 
-        global $wpdb;
-        $table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
+        if (!is_array($collection) || !isset($collection['cases']) || !is_array($collection['cases'])) {
+            wp_send_json_error(['message' => 'Invalid collection file: expected a "cases" array'], 400);
+        }
+
+        $result = Endpoint_Tester::import_test_cases($endpoint_id, $collection['cases']);
+        $data = array_merge(['message' => $result->reason], $result->data);
 
-        if (!$table) {
-            wp_send_json_error(['message' => 'Database table not found'], 500);
+        if ($result->ok) {
+            wp_send_json_success($data);
+        } else {
+            wp_send_json_error($data, 400);
         }
+    }
 
-        // Get original endpoint
-        $endpoint = $wpdb->get_row($wpdb->prepare(
-            "SELECT * FROM {$table} WHERE id = %d",
-            $endpoint_id
-        ), ARRAY_A);
+    /**
+     * Get a filtered page of webhook logs
+     *
+     * @return void
+     */
+    public static function get_webhook_logs(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
 
-        if (!$endpoint) {
-            wp_send_json_error(['message' => 'Endpoint not found'], 404);
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
         }
 
-        // Prepare duplicate data
-        unset($endpoint['id']);
-        $endpoint['name'] = $endpoint['name'] . ' (Copy)';
-        $endpoint['slug'] = $endpoint['slug'] . '-copy-' . time();
-        $endpoint['is_active'] = 0; // Start inactive
-        $endpoint['created_at'] = current_time('mysql');
-        $endpoint['updated_at'] = current_time('mysql');
+        $result = Webhook_Handler::search_logs(
+            self::get_webhook_filters(),
+            isset($_POST['paged']) ? intval($_POST['paged']) : 1,
+            isset($_POST['per_page']) ? intval($_POST['per_page']) : 20
+        );
+
+        wp_send_json_success($result->data);
+    }
+
+    /**
+     * Get one webhook log with headers, payload and ETL jobs
+     *
+     * @return void
+     */
+    public static function get_webhook_log(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
 
-        // Insert duplicate
-        $result = Database::insert_row(Custom_Endpoint_Model::TABLE_NAME, $endpoint);
+        $log_id = isset($_POST['log_id']) ? intval($_POST['log_id']) : 0;
+        $result = Webhook_Handler::get_log_details($log_id);
 
         if ($result->ok) {
-            wp_send_json_success([
-                'message' => 'Endpoint duplicated successfully',
-                'original_id' => $endpoint_id,
-                'new_id' => $result->data['id'] ?? 0,
-                'new_slug' => $endpoint['slug']
-            ]);
+            wp_send_json_success($result->data);
         } else {
-            wp_send_json_error([
-                'message' => $result->message ?? 'Failed to duplicate endpoint'
-            ], 500);
+            wp_send_json_error(['message' => $result->reason], $result->status_code);
+        }
+    }
+
+    /**
+     * Retry processing a logged webhook
+     *
+     * @return void
+     */
+    public static function retry_webhook(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $log_id = isset($_POST['log_id']) ? intval($_POST['log_id']) : 0;
+        $result = Webhook_Handler::retry($log_id);
+
+        if ($result->ok) {
+            wp_send_json_success(array_merge(['message' => $result->reason], $result->data));
+        } else {
+            wp_send_json_error(['message' => $result->reason], $result->status_code);
+        }
+    }
+
+    /**
+     * Retry selected webhooks, or every failed webhook matching the filters
+     *
+     * @return void
+     */
+    public static function bulk_retry_webhooks(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $log_ids = isset($_POST['log_ids']) ? array_map('intval', (array) $_POST['log_ids']) : [];
+
+        if (!empty($_POST['all_failed'])) {
+            $log_ids = Webhook_Handler::get_failed_log_ids(self::get_webhook_filters());
+        }
+
+        if (empty($log_ids)) {
+            wp_send_json_error(['message' => 'No webhooks to retry'], 400);
+        }
+
+        $result = Webhook_Handler::retry_many($log_ids);
+        $failed = count($result->data['errors']);
+
+        $data = array_merge($result->data, [
+            'message' => sprintf('Retried %d webhook(s)', count($result->data['retried'])) . ($failed ? sprintf(', %d failed', $failed) : '')
+        ]);
+
+        // Partial failures still report which logs were retried
+        if (!$result->ok) {
+            wp_send_json_error($data, 400);
         }
+
+        wp_send_json_success($data);
+    }
+
+    /**
+     * Read webhook explorer filters from the request
+     *
+     * @return array
+     */
+    private static function get_webhook_filters(): array
+    {
+        $date = static function (string $key): string {
+            $value = isset($_POST[$key]) ? sanitize_text_field(wp_unslash($_POST[$key])) : '';
+            return preg_match('/^\d{4}-\d{2}-\d{2}$/', $value) ? $value : '';
+        };
+
+        return [
+            'endpoint_id' => isset($_POST['endpoint_id']) ? intval($_POST['endpoint_id']) : 0,
+            'source' => isset($_POST['source']) ? sanitize_text_field(wp_unslash($_POST['source'])) : '',
+            'status' => isset($_POST['status']) ? sanitize_key(wp_unslash($_POST['status'])) : '',
+            'date_from' => $date('date_from'),
+            'date_to' => $date('date_to')
+        ];
+    }
+
+    /**
+     * Get a page of events, or the events after a given id for live tail
+     *
+     * @return void
+     */
+    public static function get_event_logs(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $filters = self::get_event_filters();
+        $per_page = 50;
+        $page = isset($_POST['paged']) ? max(1, intval($_POST['paged'])) : 1;
+        $decode = static function (array $event): array {
+            $event['context'] = json_decode($event['context'] ?? '', true);
+            return $event;
+        };
+
+        // Tail requests only need the new events, oldest first
+        if (!empty($filters['after_id'])) {
+            $result = Event_Logger::get_events_after((int) $filters['after_id'], array_diff_key($filters, ['after_id' => true]), $per_page);
+            if (!$result->ok) {
+                wp_send_json_error(['message' => $result->reason], $result->status_code);
+            }
+
+            wp_send_json_success([
+                'events' => array_map($decode, $result->data['events']),
+                'has_more' => $result->data['has_more']
+            ]);
+        }
+
+        $result = Event_Logger::get_events(array_merge($filters, ['page' => $page, 'per_page' => $per_page]));
+        if (!$result->ok) {
+            wp_send_json_error(['message' => $result->reason], $result->status_code);
+        }
+
+        $events = array_map($decode, $result->data ?: []);
+
+        $total = Event_Logger::count_events($filters);
+
+        wp_send_json_success([
+            'events' => $events,
+            'total' => $total,
+            'page' => $page,
+            'total_pages' => (int) ceil($total / $per_page),
+            'facets' => Event_Logger::get_facet_counts($filters)
+        ]);
+    }
+
+    /**
+     * Download events matching the filters as JSON or CSV
+     *
+     * @return void
+     */
+    public static function export_event_logs(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions', 403);
+        }
+
+        $format = isset($_REQUEST['format']) && $_REQUEST['format'] === 'csv' ? 'csv' : 'json';
+        $export = Event_Logger::export(self::get_event_filters(), $format);
+
+        if (!empty($export['error']) || empty($export['path']) || !is_readable($export['path'])) {
+            wp_die(esc_html($export['error'] ?? 'Failed to export event logs'), 500);
+        }
+
+        // Stream the file and remove it so event data is not left in uploads
+        nocache_headers();
+        header('Content-Type: ' . ($format === 'csv' ? 'text/csv' : 'application/json') . '; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $export['filename'] . '"');
+        header('Content-Length: ' . $export['size']);
+        readfile($export['path']);
+        wp_delete_file($export['path']);
+        exit;
+    }
+
+    /**
+     * Read event console filters from the request
+     *
+     * @return array
+     */
+    private static function get_event_filters(): array
+    {
+        $list = static function (string $key): array {
+            $values = isset($_REQUEST[$key]) ? (array) wp_unslash($_REQUEST[$key]) : [];
+            return array_values(array_filter(array_map('sanitize_key', $values)));
+        };
+
+        $date = static function (string $key, string $time): string {
+            $value = isset($_REQUEST[$key]) ? sanitize_text_field(wp_unslash($_REQUEST[$key])) : '';
+            return preg_match('/^\d{4}-\d{2}-\d{2}$/', $value) ? $value . ' ' . $time : '';
+        };
+
+        return array_filter([
+            'level' => $list('level'),
+            'category' => $list('category'),
+            'search' => isset($_REQUEST['search']) ? sanitize_text_field(wp_unslash($_REQUEST['search'])) : '',
+            'from' => $date('from', '00:00:00'),
+            'to' => $date('to', '23:59:59'),
+            'after_id' => isset($_REQUEST['after_id']) ? intval($_REQUEST['after_id']) : 0
+        ]);
+    }
+
+    /**
+     * Get a filtered page of ETL jobs with per-status counts
+     *
+     * @return void
+     */
+    public static function get_etl_jobs(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $filters = self::get_etl_job_filters();
+        $result = ETL_Engine::search_jobs(
+            $filters,
+            isset($_POST['paged']) ? intval($_POST['paged']) : 1,
+            isset($_POST['per_page']) ? intval($_POST['per_page']) : 20
+        );
+
+        wp_send_json_success(array_merge($result->data, [
+            'status_counts' => ETL_Engine::get_status_counts($filters)
+        ]));
+    }
+
+    /**
+     * Get one ETL job with its input, stage output and error
+     *
+     * @return void
+     */
+    public static function get_etl_job(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $job_id = isset($_POST['job_id']) ? intval($_POST['job_id']) : 0;
+        $result = ETL_Engine::get_job_details($job_id);
+
+        if ($result->ok) {
+            wp_send_json_success($result->data);
+        } else {
+            wp_send_json_error(['message' => $result->reason], $result->status_code);
+        }
+    }
+
+    /**
+     * Run an ETL job again with the same input
+     *
+     * @return void
+     */
+    public static function rerun_etl_job(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $job_id = isset($_POST['job_id']) ? intval($_POST['job_id']) : 0;
+        $result = ETL_Engine::rerun_job($job_id);
+
+        if ($result->ok) {
+            wp_send_json_success(array_merge(['message' => $result->reason], $result->data));
+        } else {
+            wp_send_json_error(array_merge(['message' => $result->reason], (array) $result->data), $result->status_code);
+        }
+    }
+
+    /**
+     * Read ETL job monitor filters from the request
+     *
+     * @return array
+     */
+    private static function get_etl_job_filters(): array
+    {
+        $date = static function (string $key): string {
+            $value = isset($_POST[$key]) ? sanitize_text_field(wp_unslash($_POST[$key])) : '';
+            return preg_match('/^\d{4}-\d{2}-\d{2}$/', $value) ? $value : '';
+        };
+
+        return [
+            'template_id' => isset($_POST['template_id']) ? intval($_POST['template_id']) : 0,
+            'webhook_log_id' => isset($_POST['webhook_log_id']) ? intval($_POST['webhook_log_id']) : 0,
+            'status' => isset($_POST['status']) ? sanitize_key(wp_unslash($_POST['status'])) : '',
+            'date_from' => $date('date_from'),
+            'date_to' => $date('date_to')
+        ];
+    }
+
+    /**
+     * Preview an ETL template against a sample payload without loading
+     *
+     * @return void
+     */
+    public static function etl_dry_run(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $template = json_decode(isset($_POST['template']) ? wp_unslash($_POST['template']) : '', true);
+        $sample = json_decode(isset($_POST['sample']) ? wp_unslash($_POST['sample']) : '', true);
+
+        if (!is_array($template)) {
+            wp_send_json_error(['message' => 'Invalid template configuration'], 400);
+        }
+
+        if (!is_array($sample)) {
+            wp_send_json_error(['message' => 'Sample payload must be a JSON object or array'], 400);
+        }
+
+        $result = (new ETL_Engine())->dry_run($template, $sample);
+
+        if ($result->ok) {
+            wp_send_json_success($result->data);
+        } else {
+            wp_send_json_error(array_merge(['message' => $result->reason], $result->data), $result->status_code);
+        }
+    }
+
+    /**
+     * Delete an ETL template
+     *
+     * @return void
+     */
+    public static function delete_etl_template(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $template_id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        if ($template_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid template ID'], 400);
+        }
+
+        $result = ETL_Engine::delete_template($template_id);
+
+        if ($result->ok) {
+            wp_send_json_success([
+                'message' => 'ETL template deleted successfully',
+                'id' => $template_id
+            ]);
+        } else {
+            wp_send_json_error([
+                'message' => $result->reason ?: 'Failed to delete ETL template'
+            ], 500);
+        }
+    }
+
+    /**
+     * Test run a workflow definition from the designer with a sample payload
+     *
+     * @return void
+     */
+    public static function test_workflow(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $definition = json_decode(isset($_POST['definition']) ? wp_unslash($_POST['definition']) : '', true);
+        $sample = json_decode(isset($_POST['sample']) ? wp_unslash($_POST['sample']) : '', true);
+
+        if (!is_array($definition)) {
+            wp_send_json_error(['message' => 'Invalid workflow definition'], 400);
+        }
+
+        if (!is_array($sample)) {
+            wp_send_json_error(['message' => 'Sample payload must be a JSON object'], 400);
+        }
+
+        $result = Workflow_Manager::test_run($definition, $sample);
+
+        if ($result->ok) {
+            wp_send_json_success($result->data);
+        } else {
+            wp_send_json_error([
+                'message' => implode('; ', $result->data['errors'] ?? []) ?: 'Workflow test run failed',
+                'errors' => $result->data['errors'] ?? []
+            ], $result->status_code);
+        }
+    }
+
+    /**
+     * Delete a workflow
+     *
+     * @return void
+     */
+    public static function delete_workflow(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $workflow_id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        if ($workflow_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid workflow ID'], 400);
+        }
+
+        $result = Workflow_Manager::delete_workflow($workflow_id);
+
+        if ($result->ok) {
+            wp_send_json_success([
+                'message' => 'Workflow deleted successfully',
+                'id' => $workflow_id
+            ]);
+        } else {
+            wp_send_json_error([
+                'message' => $result->reason ?: 'Failed to delete workflow'
+            ], 500);
+        }
+    }
+
+    /**
+     * Run a health check on an external service
+     *
+     * @return void
+     */
+    public static function test_external_service(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $service_id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        if ($service_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid service ID'], 400);
+        }
+
+        $service = External_Service_Connector::get_service_by_id($service_id);
+
+        if (!$service->ok || empty($service->data)) {
+            wp_send_json_error(['message' => 'External service not found'], 404);
+        }
+
+        $check = (new External_Service_Connector())->health_check($service_id);
+
+        wp_send_json_success([
+            'check' => $check,
+            'history' => External_Service_Connector::get_health_history($service_id)
+        ]);
+    }
+
+    /**
+     * Delete an external service
+     *
+     * @return void
+     */
+    public static function delete_external_service(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $service_id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        if ($service_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid service ID'], 400);
+        }
+
+        $result = External_Service_Connector::delete_service($service_id);
+
+        if ($result->ok) {
+            wp_send_json_success([
+                'message' => 'External service deleted successfully',
+                'id' => $service_id
+            ]);
+        } else {
+            wp_send_json_error([
+                'message' => $result->reason ?: 'Failed to delete external service'
+            ], 500);
+        }
+    }
+
+    /**
+     * Run a scheduled task now
+     *
+     * @return void
+     */
+    public static function run_scheduled_task(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $task_id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        if (self::get_task_state($task_id) === null) {
+            wp_send_json_error(['message' => 'Scheduled task not found'], 404);
+        }
+
+        $result = Scheduler::run_now($task_id);
+
+        wp_send_json_success([
+            'result' => $result,
+            'task' => self::get_task_state($task_id)
+        ]);
+    }
+
+    /**
+     * Pause a scheduled task
+     *
+     * @return void
+     */
+    public static function pause_scheduled_task(): void
+    {
+        self::change_task_state('pause');
+    }
+
+    /**
+     * Resume a scheduled task
+     *
+     * @return void
+     */
+    public static function resume_scheduled_task(): void
+    {
+        self::change_task_state('resume');
+    }
+
+    /**
+     * Delete a scheduled task
+     *
+     * @return void
+     */
+    public static function delete_scheduled_task(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $task_id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        if ($task_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid task ID'], 400);
+        }
+
+        $result = Scheduler::delete_task($task_id);
+
+        if ($result->ok) {
+            wp_send_json_success([
+                'message' => 'Scheduled task deleted successfully',
+                'id' => $task_id
+            ]);
+        } else {
+            wp_send_json_error([
+                'message' => $result->status_code === 403 ? 'System tasks cannot be deleted' : 'Failed to delete scheduled task'
+            ], $result->status_code === 403 ? 403 : 500);
+        }
+    }
+
+    /**
+     * Validate a cron expression and list its next run times in the site timezone
+     *
+     * @return void
+     */
+    public static function preview_cron(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $expression = Cron_Expression::normalize(sanitize_text_field(wp_unslash($_POST['expression'] ?? '')));
+        $error = Cron_Expression::validate($expression);
+
+        if ($error !== null) {
+            wp_send_json_error(['message' => $error, 'expression' => $expression], 400);
+        }
+
+        $runs = array_map(function (int $timestamp): array {
+            return [
+                'timestamp' => $timestamp,
+                'formatted' => wp_date('D, M j, Y H:i', $timestamp)
+            ];
+        }, Cron_Expression::next_runs($expression, 5, time()));
+
+        wp_send_json_success([
+            'expression' => $expression,
+            'runs' => $runs,
+            'timezone' => wp_timezone_string(),
+            'now' => time()
+        ]);
+    }
+
+    /**
+     * Download the stored settings as JSON
+     *
+     * @return void
+     */
+    public static function export_settings(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions', 403);
+        }
+
+        $export = Configuration_Manager::export();
+
+        nocache_headers();
+        header('Content-Type: application/json; charset=utf-8');
+        header('Content-Disposition: attachment; filename="wp-custom-api-settings-' . gmdate('Y-m-d') . '.json"');
+        header('Content-Length: ' . strlen($export));
+        echo $export;
+        exit;
+    }
+
+    /**
+     * Show what importing a settings file would change
+     *
+     * @return void
+     */
+    public static function preview_settings_import(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $json = isset($_POST['json']) ? trim(wp_unslash($_POST['json'])) : '';
+        $merge = ($_POST['mode'] ?? 'merge') !== 'replace';
+
+        if ($json === '') {
+            wp_send_json_error(['message' => 'Choose a settings file or paste its JSON'], 400);
+        }
+
+        $preview = Configuration_Manager::preview_import($json, $merge);
+
+        if (empty($preview['changes']) && !$preview['valid']) {
+            wp_send_json_error(['message' => $preview['error']], 400);
+        }
+
+        $changes = [];
+        foreach ($preview['changes'] as $key => $change) {
+            $changes[] = ['key' => $key, 'label' => Configuration_Manager::get_setting_schema($key)['label']] + $change;
+        }
+
+        wp_send_json_success([
+            'valid' => $preview['valid'],
+            'error' => $preview['error'],
+            'changes' => $changes
+        ]);
+    }
+
+    /**
+     * Get the dashboard statistics and chart series for a time range
+     *
+     * @return void
+     */
+    public static function get_dashboard_stats(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $range = sanitize_text_field(wp_unslash($_POST['range'] ?? '24h'));
+
+        if (!isset(System_Manager::STATISTICS_RANGES[$range])) {
+            wp_send_json_error(['message' => 'Invalid time range'], 400);
+        }
+
+        $events = Event_Logger::get_statistics($range);
+
+        wp_send_json_success([
+            'system' => System_Manager::instance()->get_statistics($range),
+            'events' => [
+                'total' => $events['total'] ?? 0,
+                'by_level' => $events['by_level'] ?? [],
+                'errors_by_category' => $events['errors_by_category'] ?? []
+            ],
+            'generated_at' => time()
+        ]);
+    }
+
+    /**
+     * Get the system health checks, component status and maintenance state
+     *
+     * @return void
+     */
+    public static function get_system_health(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        wp_send_json_success(self::system_health_data());
+    }
+
+    /**
+     * Initialize a system component again
+     *
+     * @return void
+     */
+    public static function reinit_component(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $component = sanitize_key($_POST['component'] ?? '');
+        $system = System_Manager::instance();
+
+        if (!$system->has_component($component)) {
+            wp_send_json_error(['message' => 'Unknown component'], 404);
+        }
+
+        if (!$system->init_component($component)) {
+            $error = $system->get_status()['components'][$component]['error'] ?? '';
+            wp_send_json_error(['message' => trim("Component {$component} failed to initialize: {$error}", ': ')], 500);
+        }
+
+        Event_Logger::log(Event_Logger::CATEGORY_SYSTEM, 'Component re-initialized', [
+            'component' => $component,
+            'user_id' => get_current_user_id()
+        ]);
+
+        wp_send_json_success(['message' => "Component {$component} initialized"] + self::system_health_data());
+    }
+
+    /**
+     * Turn maintenance mode on or off
+     *
+     * @return void
+     */
+    public static function set_maintenance_mode(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $system = System_Manager::instance();
+
+        if (!empty($_POST['enabled'])) {
+            $system->enable_maintenance_mode(sanitize_textarea_field(wp_unslash($_POST['reason'] ?? '')));
+            $message = 'Maintenance mode enabled';
+        } else {
+            $system->disable_maintenance_mode();
+            $message = 'Maintenance mode disabled';
+        }
+
+        wp_send_json_success(['message' => $message] + self::system_health_data());
+    }
+
+    /**
+     * Build the system health panel data
+     *
+     * @return array
+     */
+    private static function system_health_data(): array
+    {
+        $system = System_Manager::instance();
+        $health = $system->health_check();
+        $status = $system->get_status();
+
+        return [
+            'status' => $status['status'],
+            'health' => $health['status'],
+            'checks' => array_filter($health['checks'], fn($key) => !str_starts_with($key, 'component_'), ARRAY_FILTER_USE_KEY),
+            'components' => $status['components'],
+            'maintenance' => $status['maintenance']
+        ];
+    }
+
+    /**
+     * Pause or resume a scheduled task and send its new state
+     *
+     * @param string $operation pause or resume
+     * @return void
+     */
+    private static function change_task_state(string $operation): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $task_id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        if (self::get_task_state($task_id) === null) {
+            wp_send_json_error(['message' => 'Scheduled task not found'], 404);
+        }
+
+        $result = $operation === 'pause' ? Scheduler::pause_task($task_id) : Scheduler::resume_task($task_id);
+
+        // update_row reports a save without changes as a failed update
+        if (!$result->ok && $result->status_code !== 400) {
+            wp_send_json_error(['message' => "Failed to {$operation} task"], 500);
+        }
+
+        wp_send_json_success([
+            'message' => $operation === 'pause' ? 'Task paused' : 'Task resumed',
+            'task' => self::get_task_state($task_id)
+        ]);
+    }
+
+    /**
+     * Get the fields the scheduler screen shows for a task
+     *
+     * @param int $task_id
+     * @return array|null
+     */
+    private static function get_task_state(int $task_id): ?array
+    {
+        if ($task_id <= 0) {
+            return null;
+        }
+
+        $task = Scheduler::get_task($task_id);
+
+        if (!$task->ok || empty($task->data)) {
+            return null;
+        }
+
+        $row = $task->data;
+
+        return [
+            'id' => (int) $row['id'],
+            'status' => $row['status'],
+            'is_active' => (int) $row['is_active'],
+            'next_run_at' => (int) $row['next_run_at'],
+            'last_run_at' => (int) $row['last_run_at'],
+            'last_duration' => (int) $row['last_duration'],
+            'last_result' => json_decode($row['last_result'] ?? 'null', true),
+            'run_count' => (int) $row['run_count'],
+            'fail_count' => (int) $row['fail_count'],
+            'now' => time()
+        ];
+    }
+
+    /**
+     * Delete an endpoint
+     *
+     * @return void
+     */
+    public static function delete_endpoint(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $endpoint_id = isset($_POST['id']) ? intval($_POST['id']) : 0;
+
+        if ($endpoint_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid endpoint ID'], 400);
+        }
+
+        $result = Endpoint_Manager::delete_endpoint($endpoint_id);
+
+        if ($result->ok) {
+            wp_send_json_success([
+                'message' => 'Endpoint deleted successfully',
+                'id' => $endpoint_id
+            ]);
+        } else {
+            wp_send_json_error([
+                'message' => $result->message ?? 'Failed to delete endpoint'
+            ], 500);
+        }
+    }
+
+    /**
+     * Toggle endpoint status (active/inactive)
+     *
+     * @return void
+     */
+    public static function toggle_status(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $endpoint_id = isset($_POST['endpoint_id']) ? intval($_POST['endpoint_id']) : 0;
+        $new_status = isset($_POST['status']) ? intval($_POST['status']) : 0;
+
+        if ($endpoint_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid endpoint ID'], 400);
+        }
+
+        $result = Endpoint_Manager::update_endpoint($endpoint_id, [
+            'is_active' => $new_status
+        ]);
+
+        if ($result->ok) {
+            wp_send_json_success([
+                'message' => 'Status updated successfully',
+                'id' => $endpoint_id,
+                'status' => $new_status,
+                'status_text' => $new_status ? 'Active' : 'Inactive',
+                'row' => self::endpoints_list_table()->render_rows([$endpoint_id])[$endpoint_id] ?? ''
+            ]);
+        } else {
+            wp_send_json_error([
+                'message' => $result->message ?? 'Failed to update status'
+            ], 500);
+        }
+    }
+
+    /**
+     * Duplicate an endpoint
+     *
+     * @return void
+     */
+    public static function duplicate_endpoint(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $endpoint_id = isset($_POST['endpoint_id']) ? intval($_POST['endpoint_id']) : 0;
+
+        if ($endpoint_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid endpoint ID'], 400);
+        }
+
+        $result = Endpoint_Manager::duplicate_endpoint($endpoint_id);
+
+        if ($result->ok) {
+            wp_send_json_success([
+                'message' => 'Endpoint duplicated successfully',
+                'original_id' => $endpoint_id,
+                'new_id' => $result->data['id'],
+                'new_slug' => $result->data['slug'],
+                'row' => self::endpoints_list_table()->render_rows([$result->data['id']])[$result->data['id']] ?? ''
+            ]);
+        } else {
+            wp_send_json_error([
+                'message' => $result->message ?? 'Failed to duplicate endpoint'
+            ], $result->status_code === 404 ? 404 : 500);
+        }
+    }
+
+    /**
+     * Get a page of the endpoints list for the current filters and sorting
+     *
+     * @return void
+     */
+    public static function list_endpoints(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        wp_send_json_success(self::endpoints_list_table()->render_page());
+    }
+
+    /**
+     * Activate, deactivate, delete or duplicate endpoints, reporting each one
+     *
+     * Deleted endpoints are kept for ten minutes so the deletion can be undone.
+     *
+     * @return void
+     */
+    public static function bulk_endpoints(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $operation = sanitize_key($_POST['operation'] ?? '');
+        $ids = array_values(array_unique(array_filter(array_map('intval', (array) ($_POST['ids'] ?? [])))));
+
+        if (!in_array($operation, ['activate', 'deactivate', 'delete', 'duplicate'], true)) {
+            wp_send_json_error(['message' => 'Invalid bulk action'], 400);
+        }
+
+        if (empty($ids)) {
+            wp_send_json_error(['message' => 'Select at least one endpoint'], 400);
+        }
+
+        $results = [];
+        $deleted = [];
+        $changed = [];
+
+        foreach ($ids as $id) {
+            $endpoint = Endpoint_Manager::get_endpoint_row($id);
+
+            if (!$endpoint) {
+                $results[] = ['id' => $id, 'ok' => false, 'message' => 'Endpoint not found'];
+                continue;
+            }
+
+            switch ($operation) {
+                case 'activate':
+                case 'deactivate':
+                    $is_active = $operation === 'activate' ? 1 : 0;
+
+                    // update_row refuses updates that change nothing
+                    if ((int) $endpoint['is_active'] === $is_active) {
+                        $results[] = ['id' => $id, 'ok' => true, 'message' => $is_active ? 'Already active' : 'Already inactive'];
+                        break;
+                    }
+
+                    $result = Endpoint_Manager::update_endpoint($id, ['is_active' => $is_active]);
+                    $results[] = ['id' => $id, 'ok' => $result->ok, 'message' => $result->ok ? ($is_active ? 'Activated' : 'Deactivated') : ($result->reason ?: 'Failed to update endpoint')];
+
+                    if ($result->ok) {
+                        $changed[] = $id;
+                    }
+                    break;
+
+                case 'delete':
+                    $result = Endpoint_Manager::delete_endpoint($id);
+                    $results[] = ['id' => $id, 'ok' => $result->ok, 'message' => $result->ok ? 'Deleted' : ($result->reason ?: 'Failed to delete endpoint')];
+
+                    if ($result->ok) {
+                        $deleted[] = $endpoint;
+                    }
+                    break;
+
+                case 'duplicate':
+                    $result = Endpoint_Manager::duplicate_endpoint($id);
+                    $results[] = [
+                        'id' => $id,
+                        'ok' => $result->ok,
+                        'message' => $result->ok ? 'Duplicated' : ($result->reason ?: 'Failed to duplicate endpoint'),
+                        'new_id' => $result->ok ? $result->data['id'] : null
+                    ];
+
+                    if ($result->ok) {
+                        $changed[] = $result->data['id'];
+                    }
+                    break;
+            }
+        }
+
+        $undo_token = null;
+        if ($deleted) {
+            $undo_token = wp_generate_password(20, false);
+            set_transient('wp_custom_api_undo_' . $undo_token, [
+                'user_id' => get_current_user_id(),
+                'endpoints' => $deleted
+            ], 10 * MINUTE_IN_SECONDS);
+        }
+
+        $succeeded = count(array_filter($results, fn($result) => $result['ok']));
+
+        wp_send_json_success([
+            'message' => sprintf('%d of %d endpoints updated', $succeeded, count($results)),
+            'operation' => $operation,
+            'results' => $results,
+            'rows' => self::endpoints_list_table()->render_rows($changed),
+            'undo_token' => $undo_token
+        ]);
+    }
+
+    /**
+     * Restore endpoints removed by a bulk delete
+     *
+     * @return void
+     */
+    public static function undo_delete_endpoints(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $key = 'wp_custom_api_undo_' . sanitize_key($_POST['token'] ?? '');
+        $undo = get_transient($key);
+
+        if (!$undo || (int) $undo['user_id'] !== get_current_user_id()) {
+            wp_send_json_error(['message' => 'This deletion can no longer be undone'], 410);
+        }
+
+        delete_transient($key);
+
+        $results = [];
+        $restored = [];
+        foreach ($undo['endpoints'] as $endpoint) {
+            $result = Endpoint_Manager::restore_endpoint($endpoint);
+            $results[] = ['id' => (int) $endpoint['id'], 'ok' => $result->ok, 'message' => $result->ok ? 'Restored' : $result->reason];
+
+            if ($result->ok) {
+                $restored[] = (int) $endpoint['id'];
+            }
+        }
+
+        Event_Logger::log(Event_Logger::CATEGORY_ENDPOINT, 'Endpoint deletion undone', [
+            'endpoint_ids' => $restored,
+            'user_id' => get_current_user_id()
+        ]);
+
+        wp_send_json_success([
+            'message' => sprintf('%d of %d endpoints restored', count($restored), count($results)),
+            'results' => $results,
+            'rows' => self::endpoints_list_table()->render_rows($restored)
+        ]);
+    }
+
+    /**
+     * Download the OpenAPI document of the active endpoints
+     *
+     * @return void
+     */
+    public static function export_openapi(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions', 403);
+        }
+
+        $export = wp_json_encode(OpenAPI_Document::generate(), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
+
+        nocache_headers();
+        header('Content-Type: application/json; charset=utf-8');
+        header('Content-Disposition: attachment; filename="openapi-' . gmdate('Y-m-d') . '.json"');
+        header('Content-Length: ' . strlen($export));
+        echo $export;
+        exit;
+    }
+
+    /**
+     * Get the OpenAPI document for the API reference page
+     *
+     * @return void
+     */
+    public static function get_openapi(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        wp_send_json_success(['document' => OpenAPI_Document::generate(true)]);
+    }
+
+    /**
+     * List the endpoints an OpenAPI file would create
+     *
+     * @return void
+     */
+    public static function preview_openapi_import(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $source = isset($_POST['document']) ? trim(wp_unslash($_POST['document'])) : '';
+
+        if ($source === '') {
+            wp_send_json_error(['message' => 'Choose an OpenAPI file or paste its contents'], 400);
+        }
+
+        $parsed = OpenAPI_Document::parse($source);
+        if (!$parsed->ok) {
+            wp_send_json_error(['message' => $parsed->reason], $parsed->status_code);
+        }
+
+        wp_send_json_success([
+            'title' => (string) ($parsed->data['info']['title'] ?? ''),
+            'operations' => OpenAPI_Document::preview_import($parsed->data)
+        ]);
+    }
+
+    /**
+     * Create endpoints from the chosen operations of an OpenAPI file
+     *
+     * @return void
+     */
+    public static function import_openapi(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $source = isset($_POST['document']) ? trim(wp_unslash($_POST['document'])) : '';
+        $keys = isset($_POST['keys']) ? array_map('sanitize_text_field', (array) wp_unslash($_POST['keys'])) : [];
+
+        if (empty($keys)) {
+            wp_send_json_error(['message' => 'Select at least one operation to import'], 400);
+        }
+
+        $parsed = OpenAPI_Document::parse($source);
+        if (!$parsed->ok) {
+            wp_send_json_error(['message' => $parsed->reason], $parsed->status_code);
+        }
+
+        $result = OpenAPI_Document::import($parsed->data, $keys);
+
+        if ($result->ok) {
+            Event_Logger::log(Event_Logger::CATEGORY_ENDPOINT, 'Endpoints imported from OpenAPI', [
+                'title' => (string) ($parsed->data['info']['title'] ?? ''),
+                'endpoint_ids' => array_values(array_filter(array_column($result->data['results'], 'id'))),
+                'user_id' => get_current_user_id()
+            ]);
+        }
+
+        $data = array_merge(['message' => $result->reason], $result->data);
+
+        if (!$result->ok) {
+            wp_send_json_error($data, $result->status_code);
+        }
+
+        wp_send_json_success($data);
+    }
+
+    /**
+     * List the revisions of an endpoint
+     *
+     * @return void
+     */
+    public static function get_endpoint_revisions(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $endpoint_id = isset($_POST['endpoint_id']) ? intval($_POST['endpoint_id']) : 0;
+
+        if ($endpoint_id <= 0) {
+            wp_send_json_error(['message' => 'Invalid endpoint ID'], 400);
+        }
+
+        wp_send_json_success(['revisions' => Endpoint_Revisions::get_revisions($endpoint_id)->data ?: []]);
+    }
+
+    /**
+     * Get a revision's configuration with the previous revision and the current one to diff against
+     *
+     * Secrets are masked in all three.
+     *
+     * @return void
+     */
+    public static function get_endpoint_revision(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $revision = Endpoint_Revisions::get_revision(isset($_POST['revision_id']) ? intval($_POST['revision_id']) : 0);
+
+        if (!$revision) {
+            wp_send_json_error(['message' => 'Revision not found'], 404);
+        }
+
+        $previous = Endpoint_Revisions::get_previous($revision);
+        $current = Endpoint_Manager::get_endpoint_row($revision['endpoint_id']);
+
+        wp_send_json_success([
+            'config' => Endpoint_Revisions::for_display($revision['config']),
+            'previous' => $previous ? Endpoint_Revisions::for_display($previous['config']) : null,
+            'current' => $current ? Endpoint_Revisions::for_display(Endpoint_Revisions::snapshot($current)) : null
+        ]);
+    }
+
+    /**
+     * Roll an endpoint back to a revision
+     *
+     * @return void
+     */
+    public static function restore_endpoint_revision(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $result = Endpoint_Revisions::restore(isset($_POST['revision_id']) ? intval($_POST['revision_id']) : 0);
+
+        if (!$result->ok) {
+            wp_send_json_error(['message' => $result->reason], $result->status_code);
+        }
+
+        wp_send_json_success($result->data);
+    }
+
+    /**
+     * List what a bundle of the selected endpoints would include
+     *
+     * @return void
+     */
+    public static function preview_bundle_export(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $endpoint_ids = isset($_POST['endpoint_ids']) ? array_map('intval', (array) $_POST['endpoint_ids']) : [];
+
+        wp_send_json_success(['items' => Bundle_Manager::preview_export($endpoint_ids)]);
+    }
+
+    /**
+     * Download a bundle of the selected endpoints and their dependencies
+     *
+     * @return void
+     */
+    public static function export_bundle(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions', 403);
+        }
+
+        $endpoint_ids = array_filter(array_map('intval', explode(',', (string) ($_GET['endpoint_ids'] ?? ''))));
+        $strip_secrets = ($_GET['strip_secrets'] ?? '1') !== '0';
+
+        $result = Bundle_Manager::export($endpoint_ids, $strip_secrets);
+
+        if (!$result->ok) {
+            wp_die(esc_html($result->reason), $result->status_code);
+        }
+
+        Event_Logger::log(Event_Logger::CATEGORY_ENDPOINT, 'Bundle exported', [
+            'endpoint_ids' => array_column($result->data['items']['endpoints'], 'id'),
+            'secrets' => $result->data['secrets'],
+            'user_id' => get_current_user_id()
+        ]);
+
+        $export = wp_json_encode($result->data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
+
+        nocache_headers();
+        header('Content-Type: application/json; charset=utf-8');
+        header('Content-Disposition: attachment; filename="wp-custom-api-bundle-' . gmdate('Y-m-d') . '.json"');
+        header('Content-Length: ' . strlen($export));
+        echo $export;
+        exit;
+    }
+
+    /**
+     * Show what importing a bundle would do with each of its items
+     *
+     * @return void
+     */
+    public static function preview_bundle_import(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $source = isset($_POST['bundle']) ? trim(wp_unslash($_POST['bundle'])) : '';
+
+        if ($source === '') {
+            wp_send_json_error(['message' => 'Choose a bundle file or paste its JSON'], 400);
+        }
+
+        $parsed = Bundle_Manager::parse($source);
+        if (!$parsed->ok) {
+            wp_send_json_error(['message' => $parsed->reason], $parsed->status_code);
+        }
+
+        wp_send_json_success([
+            'source' => (string) ($parsed->data['source'] ?? ''),
+            'exported_at' => (string) ($parsed->data['exported_at'] ?? ''),
+            'secrets' => (string) ($parsed->data['secrets'] ?? ''),
+            'items' => Bundle_Manager::preview_import($parsed->data)
+        ]);
+    }
+
+    /**
+     * Import a bundle with the action chosen for each item
+     *
+     * @return void
+     */
+    public static function import_bundle(): void
+    {
+        // Verify nonce
+        check_ajax_referer('wp_custom_api_nonce', 'nonce');
+
+        // Check permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        $source = isset($_POST['bundle']) ? trim(wp_unslash($_POST['bundle'])) : '';
+        $decisions = [];
+
+        foreach ((array) wp_unslash($_POST['decisions'] ?? []) as $key => $decision) {
+            $decisions[sanitize_text_field((string) $key)] = [
+                'action' => sanitize_key($decision['action'] ?? ''),
+                'slug' => sanitize_title($decision['slug'] ?? ''),
+            ];
+        }
+
+        $parsed = Bundle_Manager::parse($source);
+        if (!$parsed->ok) {
+            wp_send_json_error(['message' => $parsed->reason], $parsed->status_code);
+        }
+
+        $result = Bundle_Manager::import($parsed->data, $decisions);
+
+        Event_Logger::log(Event_Logger::CATEGORY_ENDPOINT, 'Bundle imported', [
+            'source' => (string) ($parsed->data['source'] ?? ''),
+            'imported' => $result->data['imported'] ?? 0,
+            'failed' => $result->data['failed'] ?? 0,
+            'user_id' => get_current_user_id()
+        ], $result->ok ? Event_Logger::LEVEL_INFO : Event_Logger::LEVEL_ERROR);
+
+        $data = array_merge(['message' => $result->reason], $result->data);
+
+        if (!$result->ok) {
+            wp_send_json_error($data, $result->status_code);
+        }
+
+        wp_send_json_success($data);
+    }
+
+    /**
+     * Create the endpoints list table outside its admin page
+     *
+     * @return Endpoints_List_Table
+     */
+    private static function endpoints_list_table(): Endpoints_List_Table
+    {
+        require_once ABSPATH . 'wp-admin/includes/class-wp-list-table.php';
+        require_once WP_CUSTOM_API_FOLDER_PATH . 'includes/admin/tables/class-endpoints-list-table.php';
+
+        return new Endpoints_List_Table(['screen' => 'wp-custom-api-endpoints']);
     }
 
     /**
@@ -0,0 +1,81 @@
+<?php
+/**
+ * API Reference Admin Page
+ *
+ * Shows the OpenAPI document of the active endpoints as a browsable
+ * reference, rendered by api-reference.js, with a Try it button that opens
+ * the endpoint tester prefilled with an example request. The document can
+ * be downloaded for partners, and OpenAPI files can be imported to
+ * scaffold inactive endpoints after previewing what they would create.
+ *
+ * @since 2.0.0
+ */
+
+if (!defined('ABSPATH')) exit;
+
+use WP_Custom_API\Config;
+use WP_Custom_API\Includes\Endpoint_Manager\Configuration_Manager;
+use WP_Custom_API\Includes\Endpoint_Manager\OpenAPI_Document;
+
+$document_url = rest_url(Config::BASE_API_ROUTE . '/' . OpenAPI_Document::ROUTE);
+$is_public = (bool) Configuration_Manager::get('openapi_public', false);
+
+$export_url = add_query_arg([
+    'action' => 'wp_custom_api_export_openapi',
+    'nonce' => wp_create_nonce('wp_custom_api_nonce'),
+], admin_url('admin-ajax.php'));
+?>
+
+<div class="wrap wp-custom-api-reference">
+    <h1 class="wp-heading-inline"><?php _e('API Reference', 'wp-custom-api'); ?></h1>
+    <a href="<?php echo esc_url($export_url); ?>" class="page-title-action"><?php _e('Download OpenAPI', 'wp-custom-api'); ?></a>
+    <button type="button" class="page-title-action api-reference-import-toggle" aria-expanded="false" aria-controls="api-reference-import"><?php _e('Import OpenAPI', 'wp-custom-api'); ?></button>
+    <hr class="wp-header-end">
+
+    <p class="description">
+        <?php printf(
+            /* translators: %s: URL of the OpenAPI document */
+            __('The OpenAPI 3.1 document of the active endpoints is served at %s.', 'wp-custom-api'),
+            '<a href="' . esc_url($document_url) . '" target="_blank" rel="noopener"><code>' . esc_html($document_url) . '</code></a>'
+        ); ?>
+        <?php if ($is_public): ?>
+            <?php _e('Anyone can read it.', 'wp-custom-api'); ?>
+        <?php else: ?>
+            <?php _e('Only administrators can read it.', 'wp-custom-api'); ?>
+        <?php endif; ?>
+        <a href="<?php echo esc_url(admin_url('admin.php?page=wp-custom-api-settings&tab=endpoints')); ?>"><?php _e('Change', 'wp-custom-api'); ?></a>
+    </p>
+
+    <div id="api-reference-import" class="wp-custom-api-form-section api-reference-import" hidden>
+        <h3><?php _e('Import OpenAPI', 'wp-custom-api'); ?></h3>
+        <p class="description">
+            <?php _e('Each operation in the file becomes an inactive endpoint with its schemas and authentication type. Configure its handler and credentials, then activate it.', 'wp-custom-api'); ?>
+        </p>
+
+        <div class="wp-custom-api-form-row">
+            <label for="api_reference_import_file"><?php _e('OpenAPI file', 'wp-custom-api'); ?></label>
+            <div>
+                <input type="file" id="api_reference_import_file" accept="<?php echo function_exists('yaml_parse') ? '.json,.yaml,.yml' : '.json,application/json'; ?>" />
+                <textarea id="api_reference_import_source" rows="6" class="large-text code" placeholder="<?php esc_attr_e('Or paste the OpenAPI document', 'wp-custom-api'); ?>"></textarea>
+            </div>
+        </div>
+
+        <div class="api-reference-import-preview" aria-live="polite"></div>
+
+        <p>
+            <button type="button" class="button api-reference-import-preview-button"><?php _e('Preview Endpoints', 'wp-custom-api'); ?></button>
+            <button type="button" class="button button-primary api-reference-import-apply" disabled><?php _e('Create Endpoints', 'wp-custom-api'); ?></button>
+        </p>
+    </div>
+
+    <div id="api-reference" class="api-reference" data-endpoints-url="<?php echo esc_url(admin_url('admin.php?page=wp-custom-api-endpoints')); ?>">
+        <div class="api-reference-sidebar">
+            <input type="search" class="api-reference-search" placeholder="<?php esc_attr_e('Filter operations', 'wp-custom-api'); ?>" aria-label="<?php esc_attr_e('Filter operations', 'wp-custom-api'); ?>" />
+            <nav class="api-reference-nav"></nav>
+        </div>
+
+        <div class="api-reference-content">
+            <p class="api-reference-loading"><span class="wp-custom-api-loading"></span> <?php _e('Loading the API reference...', 'wp-custom-api'); ?></p>
+        </div>
+    </div>
+</div>
@@ -0,0 +1,136 @@
+<?php
+/**
+ * Bundles Admin Page
+ *
+ * Moves integrations between sites. The export side selects endpoints and
+ * downloads them as a bundle together with the ETL templates, external
+ * services and scheduled tasks they depend on, with secrets stripped unless
+ * asked otherwise. The import side is a wizard rendered by bundles.js: read
+ * a bundle, review what each item creates or overwrites and resolve slug
+ * conflicts, then import with every cross-reference remapped.
+ *
+ * @since 2.0.0
+ */
+
+if (!defined('ABSPATH')) exit;
+
+use WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Manager;
+
+$result = Endpoint_Manager::get_all_endpoints();
+$endpoints = $result->ok && is_array($result->data) ? $result->data : [];
+
+usort($endpoints, fn($a, $b) => strcasecmp((string) $a['name'], (string) $b['name']));
+
+$export_url = add_query_arg([
+    'action' => 'wp_custom_api_export_bundle',
+    'nonce' => wp_create_nonce('wp_custom_api_nonce'),
+], admin_url('admin-ajax.php'));
+
+// Edit screen of an imported item, with {id} replaced by its ID
+$edit_urls = [
+    'endpoints' => admin_url('admin.php?page=wp-custom-api-endpoint-new&id={id}'),
+    'etl_templates' => admin_url('admin.php?page=wp-custom-api-etl-templates&action=edit&id={id}'),
+    'external_services' => admin_url('admin.php?page=wp-custom-api-external-services&action=edit&id={id}'),
+    'scheduled_tasks' => admin_url('admin.php?page=wp-custom-api-scheduler&action=edit&id={id}'),
+];
+?>
+
+<div class="wrap wp-custom-api-bundles">
+    <h1 class="wp-heading-inline"><?php _e('Bundles', 'wp-custom-api'); ?></h1>
+    <hr class="wp-header-end">
+
+    <p class="description">
+        <?php _e('A bundle carries one or more endpoints from one site to another, together with the ETL templates, external services and scheduled tasks they use.', 'wp-custom-api'); ?>
+    </p>
+
+    <div class="wp-custom-api-bundles-columns">
+        <div id="bundle-export" class="wp-custom-api-form-section bundle-export" data-export-url="<?php echo esc_url($export_url); ?>">
+            <h3><?php _e('Export', 'wp-custom-api'); ?></h3>
+
+            <?php if (empty($endpoints)): ?>
+                <p class="description"><?php _e('There are no endpoints to export yet.', 'wp-custom-api'); ?></p>
+            <?php else: ?>
+                <input type="search" class="bundle-export-search" placeholder="<?php esc_attr_e('Filter endpoints', 'wp-custom-api'); ?>" aria-label="<?php esc_attr_e('Filter endpoints', 'wp-custom-api'); ?>" />
+
+                <div class="bundle-export-endpoints">
+                    <label class="bundle-export-all">
+                        <input type="checkbox" class="bundle-export-select-all" />
+                        <?php _e('Select all', 'wp-custom-api'); ?>
+                    </label>
+                    <?php foreach ($endpoints as $endpoint): ?>
+                        <label class="bundle-export-endpoint">
+                            <input type="checkbox" class="bundle-export-endpoint-id" value="<?php echo (int) $endpoint['id']; ?>" />
+                            <strong><?php echo esc_html($endpoint['name']); ?></strong>
+                            <code><?php echo esc_html(strtoupper($endpoint['method']) . ' ' . Endpoint_Manager::get_path($endpoint)); ?></code>
+                            <?php if (empty($endpoint['is_active'])): ?>
+                                <span class="description"><?php _e('Inactive', 'wp-custom-api'); ?></span>
+                            <?php endif; ?>
+                        </label>
+                    <?php endforeach; ?>
+                </div>
+
+                <div class="bundle-export-preview" aria-live="polite">
+                    <p class="description"><?php _e('Select endpoints to see what the bundle includes.', 'wp-custom-api'); ?></p>
+                </div>
+
+                <p>
+                    <label>
+                        <input type="checkbox" class="bundle-export-strip-secrets" checked />
+                        <?php _e('Strip secrets', 'wp-custom-api'); ?>
+                    </label>
+                    <span class="description bundle-export-secrets-help">
+                        <?php _e('API keys, passwords, tokens, signing secrets and the default header values of external services are replaced with a placeholder. Imported items keep the secrets the other site already has, and new ones start inactive.', 'wp-custom-api'); ?>
+                    </span>
+                </p>
+
+                <p>
+                    <button type="button" class="button button-primary bundle-export-download" disabled><?php _e('Download Bundle', 'wp-custom-api'); ?></button>
+                </p>
+            <?php endif; ?>
+        </div>
+
+        <div id="bundle-import" class="wp-custom-api-form-section bundle-import" data-edit-urls="<?php echo esc_attr(wp_json_encode($edit_urls)); ?>">
+            <h3><?php _e('Import', 'wp-custom-api'); ?></h3>
+
+            <ol class="bundle-import-steps">
+                <li class="is-current" data-step="source"><?php _e('Choose bundle', 'wp-custom-api'); ?></li>
+                <li data-step="review"><?php _e('Review', 'wp-custom-api'); ?></li>
+                <li data-step="result"><?php _e('Done', 'wp-custom-api'); ?></li>
+            </ol>
+
+            <div class="bundle-import-step" data-step="source">
+                <div class="wp-custom-api-form-row">
+                    <label for="bundle_import_file"><?php _e('Bundle file', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="file" id="bundle_import_file" accept=".json,application/json" />
+                        <textarea id="bundle_import_source" rows="6" class="large-text code" placeholder="<?php esc_attr_e('Or paste the bundle JSON', 'wp-custom-api'); ?>"></textarea>
+                    </div>
+                </div>
+
+                <div class="bundle-import-error" aria-live="polite"></div>
+
+                <p>
+                    <button type="button" class="button button-primary bundle-import-review"><?php _e('Review Import', 'wp-custom-api'); ?></button>
+                </p>
+            </div>
+
+            <div class="bundle-import-step" data-step="review" hidden>
+                <div class="bundle-import-summary" aria-live="polite"></div>
+                <div class="bundle-import-items"></div>
+
+                <p>
+                    <button type="button" class="button bundle-import-back"><?php _e('Back', 'wp-custom-api'); ?></button>
+                    <button type="button" class="button button-primary bundle-import-apply"><?php _e('Import', 'wp-custom-api'); ?></button>
+                </p>
+            </div>
+
+            <div class="bundle-import-step" data-step="result" hidden>
+                <div class="bundle-import-results" aria-live="polite"></div>
+
+                <p>
+                    <button type="button" class="button bundle-import-restart"><?php _e('Import Another Bundle', 'wp-custom-api'); ?></button>
+                </p>
+            </div>
+        </div>
+    </div>
+</div>
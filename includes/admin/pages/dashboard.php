@@ -22,6 +22,34 @@ $total_endpoints = $system_stats['endpoints'] ?? 0;
 $active_endpoints = $system_stats['active_endpoints'] ?? 0;
 $webhooks_today = $system_stats['webhook_logs_today'] ?? 0;
 $queued_jobs = function_exists('as_get_scheduled_actions') ? count(as_get_scheduled_actions(['status' => 'pending', 'group' => 'wp_custom_api%'], 'ids')) : 0;
+
+// System health, with maintenance mode taking over the overall status
+$health = System_Manager::instance()->health_check();
+$system_status = System_Manager::instance()->get_status();
+$maintenance = $system_status['maintenance'];
+$health_status = $maintenance['enabled'] ? 'maintenance' : $health['status'];
+$health_labels = [
+    'healthy' => [__('All Systems Operational', 'wp-custom-api'), 'yes-alt'],
+    'degraded' => [__('Issues Detected', 'wp-custom-api'), 'warning'],
+    'critical' => [__('Critical Errors', 'wp-custom-api'), 'dismiss'],
+    'maintenance' => [__('Maintenance Mode', 'wp-custom-api'), 'hammer'],
+];
+
+// Chart time ranges, matching System_Manager::STATISTICS_RANGES
+$chart_ranges = [
+    '1h' => __('Last hour', 'wp-custom-api'),
+    '24h' => __('Last 24 hours', 'wp-custom-api'),
+    '7d' => __('Last 7 days', 'wp-custom-api'),
+    '30d' => __('Last 30 days', 'wp-custom-api'),
+];
+
+$charts = [
+    'requests' => __('Requests per Endpoint', 'wp-custom-api'),
+    'latency' => __('Latency (p50 / p95)', 'wp-custom-api'),
+    'webhooks' => __('Webhooks', 'wp-custom-api'),
+    'etl' => __('ETL Job Throughput', 'wp-custom-api'),
+    'errors' => __('Errors by Category', 'wp-custom-api'),
+];
 ?>
 
 <div class="wrap wp-custom-api-dashboard">
@@ -78,10 +106,10 @@ $queued_jobs = function_exists('as_get_scheduled_actions') ? count(as_get_schedu
         <div class="wp-custom-api-stat-card">
             <div class="stat-icon dashicons dashicons-warning"></div>
             <div class="stat-content">
-                <div class="stat-value">0.00%</div>
+                <div class="stat-value" id="dashboard-error-rate">&ndash;</div>
                 <div class="stat-label"><?php _e('Error Rate', 'wp-custom-api'); ?></div>
                 <div class="stat-meta">
-                    <span class="stat-errors">0 <?php _e('errors today', 'wp-custom-api'); ?></span>
+                    <span class="stat-errors" id="dashboard-error-count"><?php _e('Loading...', 'wp-custom-api'); ?></span>
                 </div>
             </div>
         </div>
@@ -91,31 +119,41 @@ $queued_jobs = function_exists('as_get_scheduled_actions') ? count(as_get_schedu
         <!-- Left Column -->
         <div class="wp-custom-api-dashboard-left">
 
-            <!-- Getting Started -->
-            <div class="wp-custom-api-panel">
-                <h2><?php _e('🚀 Getting Started', 'wp-custom-api'); ?></h2>
-                <p><?php _e('Welcome to WP Custom API 2.0! This is the enterprise rebuild with powerful new features:', 'wp-custom-api'); ?></p>
-
-                <h3>✅ Phase 1 Complete: Foundation</h3>
-                <ul>
-                    <li><strong>Composer Dependencies:</strong> Action Scheduler, Monolog Logger</li>
-                    <li><strong>Admin Menu:</strong> Complete navigation system</li>
-                    <li><strong>Dashboard:</strong> Statistics and monitoring (this page!)</li>
-                </ul>
+            <!-- Charts -->
+            <div class="wp-custom-api-panel wp-custom-api-dashboard-charts" id="wp-custom-api-dashboard-charts"
+                data-logs-url="<?php echo esc_url(admin_url('admin.php?page=wp-custom-api-logs')); ?>"
+                data-webhooks-url="<?php echo esc_url(admin_url('admin.php?page=wp-custom-api-webhooks')); ?>"
+                data-jobs-url="<?php echo esc_url(admin_url('admin.php?page=wp-custom-api-jobs')); ?>">
+                <div class="dashboard-charts-toolbar">
+                    <h2><?php _e('Activity', 'wp-custom-api'); ?></h2>
 
-                <h3>⏳ Coming Soon (Phase 2-7):</h3>
-                <ul>
-                    <li>Visual Endpoint Builder with tabs</li>
-                    <li>Job Queue Integration</li>
-                    <li>Advanced Logging & Monitoring</li>
-                    <li>Visual Workflow Builder (React)</li>
-                    <li>ETL Pipeline Builder</li>
-                    <li>Complete Testing Suite</li>
-                </ul>
+                    <select id="dashboard-range" class="dashboard-range">
+                        <?php foreach ($chart_ranges as $range => $label): ?>
+                            <option value="<?php echo esc_attr($range); ?>" <?php selected($range, '24h'); ?>><?php echo esc_html($label); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+
+                    <label class="dashboard-auto-refresh">
+                        <input type="checkbox" id="dashboard-auto-refresh" checked />
+                        <?php _e('Auto-refresh', 'wp-custom-api'); ?>
+                    </label>
+
+                    <span class="dashboard-updated description"></span>
+                </div>
 
-                <p><a href="<?php echo plugins_url('REBUILD_README.md', WP_CUSTOM_API_FOLDER_PATH . 'wp_custom_api.php'); ?>" class="button button-primary">
-                    📖 View Full Implementation Plan
-                </a></p>
+                <p class="description"><?php _e('Click a bar to open the matching logs.', 'wp-custom-api'); ?></p>
+
+                <div class="dashboard-chart-grid">
+                    <?php foreach ($charts as $chart => $title): ?>
+                        <div class="dashboard-chart-card<?php echo $chart === 'requests' ? ' dashboard-chart-wide' : ''; ?>">
+                            <h3><?php echo esc_html($title); ?></h3>
+                            <div class="dashboard-chart-canvas">
+                                <canvas class="dashboard-chart" data-chart="<?php echo esc_attr($chart); ?>"></canvas>
+                                <p class="dashboard-chart-empty" hidden><?php _e('No data in this range', 'wp-custom-api'); ?></p>
+                            </div>
+                        </div>
+                    <?php endforeach; ?>
+                </div>
             </div>
 
         </div>
@@ -124,25 +162,58 @@ $queued_jobs = function_exists('as_get_scheduled_actions') ? count(as_get_schedu
         <div class="wp-custom-api-dashboard-right">
 
             <!-- System Health -->
-            <div class="wp-custom-api-panel">
+            <div class="wp-custom-api-panel" id="wp-custom-api-system-health">
                 <h2><?php _e('System Health', 'wp-custom-api'); ?></h2>
-                <?php
-                $health = System_Manager::instance()->health_check();
-                $health_status = $health['healthy'] ? 'healthy' : 'warning';
-                ?>
-                <div class="system-health-status status-<?php echo $health_status; ?>">
-                    <span class="dashicons dashicons-<?php echo $health['healthy'] ? 'yes-alt' : 'warning'; ?>"></span>
-                    <?php echo $health['healthy'] ? __('All Systems Operational', 'wp-custom-api') : __('Issues Detected', 'wp-custom-api'); ?>
+
+                <div class="system-health-status status-<?php echo esc_attr($health_status); ?>">
+                    <span class="dashicons dashicons-<?php echo esc_attr($health_labels[$health_status][1]); ?>"></span>
+                    <span class="system-health-label"><?php echo esc_html($health_labels[$health_status][0]); ?></span>
                 </div>
 
                 <ul class="health-checks">
                     <?php foreach ($health['checks'] as $check_name => $check): ?>
-                    <li class="health-check <?php echo $check['status'] ? 'pass' : 'fail'; ?>">
-                        <span class="dashicons dashicons-<?php echo $check['status'] ? 'yes' : 'dismiss'; ?>"></span>
-                        <?php echo esc_html($check['message']); ?>
-                    </li>
+                        <?php if (str_starts_with($check_name, 'component_')) continue; ?>
+                        <li class="health-check <?php echo $check['status'] ? 'pass' : 'fail'; ?>">
+                            <span class="dashicons dashicons-<?php echo $check['status'] ? 'yes' : 'dismiss'; ?>"></span>
+                            <?php echo esc_html($check['message']); ?>
+                        </li>
                     <?php endforeach; ?>
                 </ul>
+
+                <h3><?php _e('Components', 'wp-custom-api'); ?></h3>
+                <ul class="system-components">
+                    <?php foreach ($system_status['components'] as $name => $component): ?>
+                        <li class="system-component component-<?php echo esc_attr($component['status']); ?>" data-component="<?php echo esc_attr($name); ?>">
+                            <div class="system-component-header">
+                                <strong><?php echo esc_html($name); ?></strong>
+                                <span class="status-badge status-<?php echo esc_attr($component['status']); ?>"><?php echo esc_html($component['status']); ?></span>
+                                <?php if ($component['required']): ?>
+                                    <span class="system-component-required"><?php _e('required', 'wp-custom-api'); ?></span>
+                                <?php endif; ?>
+                                <button type="button" class="button button-small system-component-reinit"><?php _e('Re-init', 'wp-custom-api'); ?></button>
+                            </div>
+                            <p class="description"><?php echo esc_html($component['description']); ?></p>
+                            <?php if ($component['error']): ?>
+                                <p class="system-component-error"><?php echo esc_html($component['error']); ?></p>
+                            <?php endif; ?>
+                        </li>
+                    <?php endforeach; ?>
+                </ul>
+
+                <h3><?php _e('Maintenance Mode', 'wp-custom-api'); ?></h3>
+                <form class="system-maintenance-form">
+                    <label>
+                        <input type="checkbox" name="enabled" value="1" <?php checked($maintenance['enabled']); ?> />
+                        <?php _e('Put the system in maintenance mode', 'wp-custom-api'); ?>
+                    </label>
+                    <textarea name="reason" rows="2" class="large-text" placeholder="<?php esc_attr_e('Reason, shown to administrators', 'wp-custom-api'); ?>"><?php echo esc_textarea($maintenance['reason']); ?></textarea>
+                    <p class="description system-maintenance-since">
+                        <?php if ($maintenance['started_at']): ?>
+                            <?php printf(__('On since %s', 'wp-custom-api'), esc_html(wp_date(get_option('date_format') . ' ' . get_option('time_format'), $maintenance['started_at']))); ?>
+                        <?php endif; ?>
+                    </p>
+                    <button type="submit" class="button"><?php _e('Save', 'wp-custom-api'); ?></button>
+                </form>
             </div>
 
             <!-- Quick Actions -->
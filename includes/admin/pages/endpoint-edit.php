@@ -12,12 +12,15 @@
  * 5. Validation - Request/response schema, validation rules
  * 6. Advanced - Custom headers, transformations, logging level
  *
+ * Existing endpoints also list their revisions, with a diff and rollback.
+ *
  * @since 2.0.0
  */
 
 if (!defined('ABSPATH')) exit;
 
 use WP_Custom_API\Includes\Database;
+use WP_Custom_API\Includes\Endpoint_Manager\Configuration_Manager;
 use WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Manager;
 use WP_Custom_API\Includes\Endpoint_Manager\Custom_Endpoint_Model;
 
@@ -27,12 +30,8 @@ $endpoint = null;
 $is_edit = false;
 
 if ($endpoint_id > 0) {
-    $result = Endpoint_Manager::get_endpoint($endpoint_id);
-    if ($result->ok && !empty($result->data)) {
-        $endpoint = is_array($result->data) ? $result->data : [$result->data];
-        $endpoint = $endpoint[0] ?? null;
-        $is_edit = true;
-    }
+    $endpoint = Endpoint_Manager::get_endpoint_row($endpoint_id);
+    $is_edit = $endpoint !== null;
 }
 
 // Handle form submission
@@ -42,6 +41,13 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['wp_custom_api_save_en
         wp_die('Security check failed');
     }
 
+    // Handler and auth configs arrive as JSON serialized by endpoint-builder.js
+    $decode_config = function (string $field): string {
+        $raw = isset($_POST[$field]) ? wp_unslash($_POST[$field]) : '{}';
+        $decoded = is_array($raw) ? $raw : json_decode($raw, true);
+        return wp_json_encode(is_array($decoded) ? $decoded : []);
+    };
+
     $endpoint_data = [
         'name' => sanitize_text_field($_POST['name'] ?? ''),
         'slug' => sanitize_title($_POST['slug'] ?? ''),
@@ -49,9 +55,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['wp_custom_api_save_en
         'method' => sanitize_text_field($_POST['method'] ?? 'POST'),
         'description' => sanitize_textarea_field($_POST['description'] ?? ''),
         'handler_type' => sanitize_text_field($_POST['handler_type'] ?? 'webhook'),
-        'handler_config' => wp_json_encode($_POST['handler_config'] ?? []),
+        'handler_config' => $decode_config('handler_config'),
         'permission_type' => sanitize_text_field($_POST['permission_type'] ?? 'public'),
-        'permission_config' => wp_json_encode($_POST['permission_config'] ?? []),
+        'permission_config' => $decode_config('permission_config'),
         'is_active' => isset($_POST['is_active']) ? 1 : 0,
         'rate_limit_per_minute' => intval($_POST['rate_limit_per_minute'] ?? 60),
         'rate_limit_per_hour' => intval($_POST['rate_limit_per_hour'] ?? 1000),
@@ -60,8 +66,8 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['wp_custom_api_save_en
         'timeout_seconds' => intval($_POST['timeout_seconds'] ?? 30),
         'retry_attempts' => intval($_POST['retry_attempts'] ?? 3),
         'retry_delay' => intval($_POST['retry_delay'] ?? 60),
-        'request_schema' => $_POST['request_schema'] ?? '',
-        'response_schema' => $_POST['response_schema'] ?? '',
+        'request_schema' => trim(wp_unslash($_POST['request_schema'] ?? '')),
+        'response_schema' => trim(wp_unslash($_POST['response_schema'] ?? '')),
     ];
 
     if ($is_edit) {
@@ -87,7 +93,7 @@ $default = [
     'description' => '',
     'handler_type' => 'webhook',
     'handler_config' => '{}',
-    'permission_type' => 'public',
+    'permission_type' => Configuration_Manager::get('default_permission', 'public'),
     'permission_config' => '{}',
     'is_active' => 1,
     'rate_limit_per_minute' => 60,
@@ -264,6 +270,9 @@ $data = $endpoint ? array_merge($default, $endpoint) : $default;
                                 <p class="description"><?php _e('Handler configuration options will appear based on selection', 'wp-custom-api'); ?></p>
                             </div>
                         </div>
+
+                        <input type="hidden" name="handler_config" id="handler_config" value="<?php echo esc_attr($data['handler_config'] ?: '{}'); ?>" />
+                        <div id="handler-config-fields" class="wp-custom-api-config-fields" data-config-input="#handler_config" data-type-select="#handler_type"></div>
                     </div>
                 </div>
 
@@ -276,7 +285,7 @@ $data = $endpoint ? array_merge($default, $endpoint) : $default;
                         <div class="wp-custom-api-form-row">
                             <label><?php _e('Authentication Type', 'wp-custom-api'); ?></label>
                             <div>
-                                <select name="permission_type">
+                                <select name="permission_type" id="permission_type">
                                     <option value="public" <?php selected($data['permission_type'], 'public'); ?>><?php _e('Public (no auth)', 'wp-custom-api'); ?></option>
                                     <option value="api_key" <?php selected($data['permission_type'], 'api_key'); ?>><?php _e('API Key', 'wp-custom-api'); ?></option>
                                     <option value="signature" <?php selected($data['permission_type'], 'signature'); ?>><?php _e('Signature (HMAC)', 'wp-custom-api'); ?></option>
@@ -286,6 +295,9 @@ $data = $endpoint ? array_merge($default, $endpoint) : $default;
                                 <p class="description"><?php _e('Auth configuration fields will appear based on selection', 'wp-custom-api'); ?></p>
                             </div>
                         </div>
+
+                        <input type="hidden" name="permission_config" id="permission_config" value="<?php echo esc_attr($data['permission_config'] ?: '{}'); ?>" />
+                        <div id="permission-config-fields" class="wp-custom-api-config-fields" data-config-input="#permission_config" data-type-select="#permission_type"></div>
                     </div>
                 </div>
 
@@ -356,17 +368,48 @@ $data = $endpoint ? array_merge($default, $endpoint) : $default;
                         <h3><?php _e('Request/Response Schemas', 'wp-custom-api'); ?></h3>
 
                         <div class="wp-custom-api-form-row">
-                            <label><?php _e('Request Schema (JSON)', 'wp-custom-api'); ?></label>
-                            <div>
-                                <textarea name="request_schema" class="wp-custom-api-code-editor large-text" data-editor-type="application/json" rows="10"><?php echo esc_textarea($data['request_schema']); ?></textarea>
+                            <label><?php _e('Request Schema', 'wp-custom-api'); ?></label>
+                            <div class="schema-editor" data-schema-field="request_schema">
+                                <div class="schema-editor-toolbar">
+                                    <span class="schema-editor-views" role="group" aria-label="<?php esc_attr_e('Editor view', 'wp-custom-api'); ?>">
+                                        <button type="button" class="button schema-editor-view" data-view="visual" aria-pressed="true"><?php _e('Visual', 'wp-custom-api'); ?></button>
+                                        <button type="button" class="button schema-editor-view" data-view="json" aria-pressed="false"><?php _e('JSON', 'wp-custom-api'); ?></button>
+                                    </span>
+                                    <?php if ($is_edit): ?>
+                                        <button type="button" class="button schema-editor-generate" data-endpoint-id="<?php echo $endpoint_id; ?>"><?php _e('Generate Example', 'wp-custom-api'); ?></button>
+                                    <?php endif; ?>
+                                </div>
+                                <div class="schema-editor-visual"></div>
+                                <div class="schema-editor-json">
+                                    <textarea name="request_schema" class="wp-custom-api-code-editor large-text" data-editor-type="application/json" rows="10"><?php echo esc_textarea($data['request_schema']); ?></textarea>
+                                </div>
+                                <div class="schema-editor-lint" aria-live="polite"></div>
+                                <details class="schema-editor-example">
+                                    <summary><?php _e('Example', 'wp-custom-api'); ?></summary>
+                                    <pre><code></code></pre>
+                                </details>
                                 <p class="description"><?php _e('JSON Schema for validating incoming requests', 'wp-custom-api'); ?></p>
                             </div>
                         </div>
 
                         <div class="wp-custom-api-form-row">
-                            <label><?php _e('Response Schema (JSON)', 'wp-custom-api'); ?></label>
-                            <div>
-                                <textarea name="response_schema" class="wp-custom-api-code-editor large-text" data-editor-type="application/json" rows="10"><?php echo esc_textarea($data['response_schema']); ?></textarea>
+                            <label><?php _e('Response Schema', 'wp-custom-api'); ?></label>
+                            <div class="schema-editor" data-schema-field="response_schema">
+                                <div class="schema-editor-toolbar">
+                                    <span class="schema-editor-views" role="group" aria-label="<?php esc_attr_e('Editor view', 'wp-custom-api'); ?>">
+                                        <button type="button" class="button schema-editor-view" data-view="visual" aria-pressed="true"><?php _e('Visual', 'wp-custom-api'); ?></button>
+                                        <button type="button" class="button schema-editor-view" data-view="json" aria-pressed="false"><?php _e('JSON', 'wp-custom-api'); ?></button>
+                                    </span>
+                                </div>
+                                <div class="schema-editor-visual"></div>
+                                <div class="schema-editor-json">
+                                    <textarea name="response_schema" class="wp-custom-api-code-editor large-text" data-editor-type="application/json" rows="10"><?php echo esc_textarea($data['response_schema']); ?></textarea>
+                                </div>
+                                <div class="schema-editor-lint" aria-live="polite"></div>
+                                <details class="schema-editor-example">
+                                    <summary><?php _e('Example', 'wp-custom-api'); ?></summary>
+                                    <pre><code></code></pre>
+                                </details>
                                 <p class="description"><?php _e('JSON Schema for validating outgoing responses', 'wp-custom-api'); ?></p>
                             </div>
                         </div>
@@ -401,6 +444,19 @@ $data = $endpoint ? array_merge($default, $endpoint) : $default;
         </p>
 
     </form>
+
+    <?php if ($is_edit): ?>
+        <div id="endpoint-revisions" class="wp-custom-api-form-section endpoint-revisions" data-endpoint-id="<?php echo $endpoint_id; ?>">
+            <h3><?php _e('Revisions', 'wp-custom-api'); ?></h3>
+            <p class="description">
+                <?php _e('Every save, and every change to which ETL templates are bound to this endpoint, is kept as a revision. Compare a revision with the one before it or with the current configuration, and roll back to it if a change broke the endpoint.', 'wp-custom-api'); ?>
+            </p>
+            <div class="endpoint-revisions-list" aria-live="polite">
+                <p><span class="wp-custom-api-loading"></span> <?php _e('Loading revisions...', 'wp-custom-api'); ?></p>
+            </div>
+            <div class="endpoint-revision-diff" hidden></div>
+        </div>
+    <?php endif; ?>
 </div>
 
 <script type="text/javascript">
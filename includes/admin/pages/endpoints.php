@@ -28,6 +28,10 @@ $endpoints_table->prepare_items();
         <?php _e('Add New', 'wp-custom-api'); ?>
     </a>
 
+    <a href="#" class="page-title-action wp-custom-api-run-all-tests">
+        <?php _e('Run All Tests', 'wp-custom-api'); ?>
+    </a>
+
     <hr class="wp-header-end">
 
     <?php
@@ -41,7 +45,7 @@ $endpoints_table->prepare_items();
     }
     ?>
 
-    <form method="get">
+    <form method="get" id="endpoints-filter">
         <input type="hidden" name="page" value="wp-custom-api-endpoints" />
         <?php
         $endpoints_table->search_box(__('Search endpoints', 'wp-custom-api'), 'search_endpoints');
@@ -1,14 +1,402 @@
 <?php
 /**
- * Etl-templates Admin Page - Placeholder
+ * ETL Templates Admin Page
+ *
+ * Lists ETL templates and edits them with extract, filter, mapping,
+ * transformation and load sections next to a live dry-run preview
+ *
+ * @since 2.0.0
  */
+
 if (!defined('ABSPATH')) exit;
-?>
-<div class="wrap">
-    <h1><?php _e('Etl-templates', 'wp-custom-api'); ?></h1>
-    <div class="wp-custom-api-placeholder" style="background: #fff; padding: 40px; border: 1px solid #c3c4c7; border-radius: 4px; margin-top: 20px; text-align: center;">
-        <h2>🚧 Coming Soon</h2>
-        <p>This feature is being developed in the current rebuild phase.</p>
-        <p><em>See REBUILD_README.md for implementation timeline.</em></p>
+
+use WP_Custom_API\Includes\Database;
+use WP_Custom_API\Includes\Endpoint_Manager\ETL_Engine;
+use WP_Custom_API\Includes\Endpoint_Manager\ETL_Template_Model;
+use WP_Custom_API\Includes\Endpoint_Manager\External_Service_Model;
+
+$list_url = admin_url('admin.php?page=wp-custom-api-etl-templates');
+$action = isset($_GET['action']) ? sanitize_key($_GET['action']) : '';
+$template_id = isset($_GET['id']) ? intval($_GET['id']) : 0;
+
+// ---------------------------------------------------------------------------
+// Template list
+// ---------------------------------------------------------------------------
+
+if ($action !== 'edit' && $action !== 'new') {
+    $templates = [];
+    if (Database::table_exists(ETL_Template_Model::TABLE_NAME)) {
+        $templates_result = ETL_Engine::get_all_templates();
+        $templates = $templates_result->ok && is_array($templates_result->data) ? $templates_result->data : [];
+    }
+    ?>
+
+    <div class="wrap wp-custom-api-etl-templates">
+        <h1 class="wp-heading-inline">
+            <?php _e('ETL Templates', 'wp-custom-api'); ?>
+        </h1>
+
+        <a href="<?php echo esc_url(add_query_arg('action', 'new', $list_url)); ?>" class="page-title-action">
+            <?php _e('Add New', 'wp-custom-api'); ?>
+        </a>
+
+        <hr class="wp-header-end">
+
+        <table class="wp-list-table widefat fixed striped">
+            <thead>
+                <tr>
+                    <th><?php _e('Name', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Load Target', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Status', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Actions', 'wp-custom-api'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php if (empty($templates)): ?>
+                    <tr><td colspan="4"><?php _e('No ETL templates yet.', 'wp-custom-api'); ?></td></tr>
+                <?php endif; ?>
+
+                <?php foreach ($templates as $template):
+                    $load_config = json_decode($template['load_config'] ?? '', true);
+                    $edit_url = add_query_arg(['action' => 'edit', 'id' => $template['id']], $list_url);
+                    ?>
+                    <tr>
+                        <td>
+                            <strong><a href="<?php echo esc_url($edit_url); ?>"><?php echo esc_html($template['name']); ?></a></strong>
+                            <?php if (!empty($template['description'])): ?>
+                                <p class="description"><?php echo esc_html($template['description']); ?></p>
+                            <?php endif; ?>
+                        </td>
+                        <td><code><?php echo esc_html($load_config['destination'] ?? 'external_service'); ?></code></td>
+                        <td>
+                            <span class="status-badge <?php echo !empty($template['is_active']) ? 'status-success' : 'status-pending'; ?>">
+                                <?php echo !empty($template['is_active']) ? __('Active', 'wp-custom-api') : __('Inactive', 'wp-custom-api'); ?>
+                            </span>
+                        </td>
+                        <td>
+                            <a href="<?php echo esc_url($edit_url); ?>"><?php _e('Edit', 'wp-custom-api'); ?></a> |
+                            <a href="<?php echo esc_url(admin_url('admin.php?page=wp-custom-api-jobs&template_id=' . $template['id'])); ?>"><?php _e('Jobs', 'wp-custom-api'); ?></a> |
+                            <a href="#" class="wp-custom-api-delete" data-item-type="etl_template" data-item-id="<?php echo esc_attr($template['id']); ?>"><?php _e('Delete', 'wp-custom-api'); ?></a>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
     </div>
+
+    <?php
+    return;
+}
+
+// ---------------------------------------------------------------------------
+// Template editor
+// ---------------------------------------------------------------------------
+
+$template = null;
+if ($template_id > 0) {
+    $result = ETL_Engine::get_template($template_id);
+    $template = $result->ok && !empty($result->data) ? $result->data : null;
+}
+$is_edit = $template !== null;
+
+// Handle form submission
+if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['wp_custom_api_save_etl_template'])) {
+    // Verify nonce
+    if (!isset($_POST['_wpnonce']) || !wp_verify_nonce($_POST['_wpnonce'], 'save_etl_template')) {
+        wp_die('Security check failed');
+    }
+
+    // Config sections arrive as JSON serialized by etl-builder.js
+    $decode_config = function (string $field): array {
+        $decoded = json_decode(isset($_POST[$field]) ? wp_unslash($_POST[$field]) : '', true);
+        return is_array($decoded) ? $decoded : [];
+    };
+
+    $template_data = [
+        'name' => sanitize_text_field($_POST['name'] ?? ''),
+        'description' => sanitize_textarea_field($_POST['description'] ?? ''),
+        'external_service_id' => intval($_POST['external_service_id'] ?? 0),
+        'extract_config' => $decode_config('extract_config'),
+        'field_mappings' => $decode_config('field_mappings'),
+        'transform_config' => $decode_config('transform_config'),
+        'load_config' => $decode_config('load_config'),
+        'is_active' => isset($_POST['is_active']) ? 1 : 0,
+    ];
+
+    $result = $is_edit
+        ? ETL_Engine::update_template($template_id, $template_data)
+        : ETL_Engine::create_template($template_data);
+
+    if ($result->ok) {
+        $saved_id = $is_edit ? $template_id : (int) $result->data['id'];
+        wp_redirect(add_query_arg(['action' => 'edit', 'id' => $saved_id, 'message' => 'saved'], $list_url));
+        exit;
+    } else {
+        $error_message = $result->reason ?: 'Failed to save ETL template';
+    }
+}
+
+$external_services = [];
+if (Database::table_exists(External_Service_Model::TABLE_NAME)) {
+    global $wpdb;
+    $services_table = Database::get_table_full_name(External_Service_Model::TABLE_NAME);
+    $external_services = $wpdb->get_results("SELECT id, name FROM {$services_table} ORDER BY name ASC", ARRAY_A) ?: [];
+}
+
+// Default values
+$default = [
+    'name' => '',
+    'description' => '',
+    'external_service_id' => 0,
+    'extract_config' => '{}',
+    'field_mappings' => '{}',
+    'transform_config' => '{}',
+    'load_config' => '{"destination":"external_service"}',
+    'is_active' => 1,
+];
+
+$data = $template ? array_merge($default, array_filter($template, fn($value) => $value !== null)) : $default;
+
+$json_field = function (string $field) use ($data): string {
+    $decoded = is_array($data[$field]) ? $data[$field] : json_decode((string) $data[$field], true);
+    return wp_json_encode(is_array($decoded) && !empty($decoded) ? $decoded : new \stdClass());
+};
+?>
+
+<div class="wrap wp-custom-api-etl-edit">
+    <h1 class="wp-heading-inline">
+        <?php echo $is_edit ? __('Edit ETL Template', 'wp-custom-api') : __('Add New ETL Template', 'wp-custom-api'); ?>
+    </h1>
+
+    <a href="<?php echo esc_url($list_url); ?>" class="page-title-action">
+        <?php _e('Back to List', 'wp-custom-api'); ?>
+    </a>
+
+    <?php if ($is_edit): ?>
+        <a href="<?php echo esc_url(admin_url('admin.php?page=wp-custom-api-jobs&template_id=' . $template_id)); ?>" class="page-title-action">
+            <?php _e('View Jobs', 'wp-custom-api'); ?>
+        </a>
+    <?php endif; ?>
+
+    <hr class="wp-header-end">
+
+    <?php if (isset($error_message)): ?>
+        <div class="notice notice-error"><p><?php echo esc_html($error_message); ?></p></div>
+    <?php endif; ?>
+
+    <?php if (isset($_GET['message']) && $_GET['message'] === 'saved'): ?>
+        <div class="notice notice-success is-dismissible"><p><?php _e('ETL template saved successfully.', 'wp-custom-api'); ?></p></div>
+    <?php endif; ?>
+
+    <form method="post" id="etl-template-form" class="etl-editor">
+        <?php wp_nonce_field('save_etl_template'); ?>
+
+        <input type="hidden" name="extract_config" id="etl-extract-config" value="<?php echo esc_attr($json_field('extract_config')); ?>" />
+        <input type="hidden" name="field_mappings" id="etl-field-mappings" value="<?php echo esc_attr($json_field('field_mappings')); ?>" />
+        <input type="hidden" name="transform_config" id="etl-transform-config" value="<?php echo esc_attr($json_field('transform_config')); ?>" />
+        <input type="hidden" name="load_config" id="etl-load-config" value="<?php echo esc_attr($json_field('load_config')); ?>" />
+        <input type="hidden" id="etl-filters" value="" />
+        <textarea id="etl-mapper-sample" hidden></textarea>
+
+        <div class="etl-editor-main">
+
+            <!-- Basics -->
+            <div class="wp-custom-api-form-section">
+                <h3><?php _e('Template', 'wp-custom-api'); ?></h3>
+
+                <div class="wp-custom-api-form-row">
+                    <label for="name">
+                        <?php _e('Name', 'wp-custom-api'); ?>
+                        <span style="color: red;">*</span>
+                    </label>
+                    <div>
+                        <input type="text" id="name" name="name" value="<?php echo esc_attr($data['name']); ?>" required class="regular-text" />
+                    </div>
+                </div>
+
+                <div class="wp-custom-api-form-row">
+                    <label for="description"><?php _e('Description', 'wp-custom-api'); ?></label>
+                    <div>
+                        <textarea id="description" name="description" rows="2" class="large-text"><?php echo esc_textarea($data['description']); ?></textarea>
+                    </div>
+                </div>
+
+                <div class="wp-custom-api-form-row">
+                    <label for="is_active"><?php _e('Status', 'wp-custom-api'); ?></label>
+                    <div>
+                        <label class="wp-custom-api-toggle">
+                            <input type="checkbox" id="is_active" name="is_active" value="1" <?php checked($data['is_active'], 1); ?> />
+                            <span class="slider"></span>
+                        </label>
+                        <span style="margin-left: 10px;"><?php _e('Active', 'wp-custom-api'); ?></span>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Extract -->
+            <div class="wp-custom-api-form-section">
+                <h3><?php _e('Extract', 'wp-custom-api'); ?></h3>
+                <p class="description"><?php _e('Pick values out of the incoming payload with dot paths such as order.items[0].sku. Leave empty to pass the whole payload through.', 'wp-custom-api'); ?></p>
+
+                <div class="wp-custom-api-form-row">
+                    <label for="etl-extract-root"><?php _e('Root Path', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="text" id="etl-extract-root" class="regular-text code" placeholder="data.order" />
+                        <p class="description"><?php _e('Keys of the object at this path are merged into the extracted data', 'wp-custom-api'); ?></p>
+                    </div>
+                </div>
+
+                <div class="wp-custom-api-form-row">
+                    <label><?php _e('Paths', 'wp-custom-api'); ?></label>
+                    <div>
+                        <div class="etl-extract-paths"></div>
+                        <button type="button" class="button etl-add-path"><?php _e('Add Path', 'wp-custom-api'); ?></button>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Filters -->
+            <div class="wp-custom-api-form-section">
+                <h3><?php _e('Filters', 'wp-custom-api'); ?></h3>
+                <p class="description"><?php _e('Records that do not match are dropped after extraction.', 'wp-custom-api'); ?></p>
+                <div class="wp-custom-api-query-builder etl-query-builder" data-filters-input="#etl-filters" data-fields="[]"></div>
+            </div>
+
+            <!-- Field mappings -->
+            <div class="wp-custom-api-form-section">
+                <h3><?php _e('Field Mappings', 'wp-custom-api'); ?></h3>
+                <p class="description"><?php _e('Source fields come from the extracted preview. Without mappings the extracted data is passed through unchanged.', 'wp-custom-api'); ?></p>
+                <div class="wp-custom-api-field-mapper etl-field-mapper" data-mappings-input="#etl-field-mappings" data-sample-input="#etl-mapper-sample"></div>
+            </div>
+
+            <!-- Global transformations -->
+            <div class="wp-custom-api-form-section">
+                <h3><?php _e('Global Transformations', 'wp-custom-api'); ?></h3>
+                <p class="description"><?php _e('Applied in order to the whole mapped record.', 'wp-custom-api'); ?></p>
+                <ol class="etl-transformations"></ol>
+                <select class="etl-transformation-type">
+                    <option value="flatten"><?php _e('Flatten', 'wp-custom-api'); ?></option>
+                    <option value="unflatten"><?php _e('Unflatten', 'wp-custom-api'); ?></option>
+                    <option value="sort"><?php _e('Sort', 'wp-custom-api'); ?></option>
+                    <option value="rename_keys"><?php _e('Rename Keys', 'wp-custom-api'); ?></option>
+                    <option value="remove_keys"><?php _e('Remove Keys', 'wp-custom-api'); ?></option>
+                    <option value="keep_keys"><?php _e('Keep Keys', 'wp-custom-api'); ?></option>
+                    <option value="filter_empty"><?php _e('Remove Empty Values', 'wp-custom-api'); ?></option>
+                    <option value="filter_null"><?php _e('Remove Null Values', 'wp-custom-api'); ?></option>
+                </select>
+                <button type="button" class="button etl-add-transformation"><?php _e('Add Transformation', 'wp-custom-api'); ?></button>
+            </div>
+
+            <!-- Load -->
+            <div class="wp-custom-api-form-section">
+                <h3><?php _e('Load Target', 'wp-custom-api'); ?></h3>
+                <p class="description"><?php _e('The preview never loads data; this only runs for real jobs.', 'wp-custom-api'); ?></p>
+
+                <div class="wp-custom-api-form-row">
+                    <label for="etl-load-destination"><?php _e('Destination', 'wp-custom-api'); ?></label>
+                    <div>
+                        <select id="etl-load-destination" data-load-key="destination">
+                            <option value="external_service"><?php _e('External service', 'wp-custom-api'); ?></option>
+                            <option value="database"><?php _e('Database table', 'wp-custom-api'); ?></option>
+                            <option value="action"><?php _e('WordPress action', 'wp-custom-api'); ?></option>
+                            <option value="file"><?php _e('File in uploads', 'wp-custom-api'); ?></option>
+                        </select>
+                    </div>
+                </div>
+
+                <div class="etl-load-panel" data-destination="external_service">
+                    <div class="wp-custom-api-form-row">
+                        <label for="external_service_id"><?php _e('Service', 'wp-custom-api'); ?></label>
+                        <div>
+                            <select id="external_service_id" name="external_service_id">
+                                <option value="0"><?php _e('Select a service', 'wp-custom-api'); ?></option>
+                                <?php foreach ($external_services as $service): ?>
+                                    <option value="<?php echo esc_attr($service['id']); ?>" <?php selected((int) $data['external_service_id'], (int) $service['id']); ?>><?php echo esc_html($service['name']); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="wp-custom-api-form-row">
+                        <label for="etl-load-endpoint-path"><?php _e('Endpoint Path', 'wp-custom-api'); ?></label>
+                        <div><input type="text" id="etl-load-endpoint-path" data-load-key="endpoint_path" class="regular-text code" placeholder="/v1/orders" /></div>
+                    </div>
+                    <div class="wp-custom-api-form-row">
+                        <label for="etl-load-method"><?php _e('Method', 'wp-custom-api'); ?></label>
+                        <div>
+                            <select id="etl-load-method" data-load-key="method">
+                                <option value="POST">POST</option>
+                                <option value="PUT">PUT</option>
+                                <option value="PATCH">PATCH</option>
+                            </select>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="etl-load-panel" data-destination="database">
+                    <div class="wp-custom-api-form-row">
+                        <label for="etl-load-table"><?php _e('Table', 'wp-custom-api'); ?></label>
+                        <div>
+                            <input type="text" id="etl-load-table" data-load-key="table_name" class="regular-text code" />
+                            <p class="description"><?php _e('Plugin table name without the WordPress prefix', 'wp-custom-api'); ?></p>
+                        </div>
+                    </div>
+                    <div class="wp-custom-api-form-row">
+                        <label for="etl-load-operation"><?php _e('Operation', 'wp-custom-api'); ?></label>
+                        <div>
+                            <select id="etl-load-operation" data-load-key="operation">
+                                <option value="insert"><?php _e('Insert', 'wp-custom-api'); ?></option>
+                                <option value="update"><?php _e('Update (by id field)', 'wp-custom-api'); ?></option>
+                            </select>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="etl-load-panel" data-destination="action">
+                    <div class="wp-custom-api-form-row">
+                        <label for="etl-load-action"><?php _e('Action Name', 'wp-custom-api'); ?></label>
+                        <div><input type="text" id="etl-load-action" data-load-key="action_name" class="regular-text code" placeholder="wp_custom_api_etl_load" /></div>
+                    </div>
+                </div>
+
+                <div class="etl-load-panel" data-destination="file">
+                    <div class="wp-custom-api-form-row">
+                        <label for="etl-load-filename"><?php _e('Filename', 'wp-custom-api'); ?></label>
+                        <div><input type="text" id="etl-load-filename" data-load-key="filename" class="regular-text code" placeholder="etl-output.json" /></div>
+                    </div>
+                    <div class="wp-custom-api-form-row">
+                        <label for="etl-load-format"><?php _e('Format', 'wp-custom-api'); ?></label>
+                        <div>
+                            <select id="etl-load-format" data-load-key="format">
+                                <option value="json">JSON</option>
+                                <option value="csv">CSV</option>
+                            </select>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <p class="submit">
+                <button type="submit" name="wp_custom_api_save_etl_template" class="button button-primary button-large">
+                    <?php _e('Save Template', 'wp-custom-api'); ?>
+                </button>
+                <a href="<?php echo esc_url($list_url); ?>" class="button button-large">
+                    <?php _e('Cancel', 'wp-custom-api'); ?>
+                </a>
+            </p>
+        </div>
+
+        <!-- Live preview -->
+        <aside class="etl-preview">
+            <h3><?php _e('Live Preview', 'wp-custom-api'); ?></h3>
+            <label for="etl-preview-sample"><?php _e('Sample Payload', 'wp-custom-api'); ?></label>
+            <textarea id="etl-preview-sample" rows="10" class="large-text code" placeholder='{"order": {"id": 42, "email": "jane@example.com"}}'></textarea>
+            <p>
+                <button type="button" class="button etl-preview-run"><?php _e('Run Preview', 'wp-custom-api'); ?></button>
+                <span class="spinner etl-preview-spinner"></span>
+            </p>
+            <div class="etl-preview-output">
+                <p class="description"><?php _e('Paste a sample payload to see the extracted, filtered and transformed result.', 'wp-custom-api'); ?></p>
+            </div>
+        </aside>
+    </form>
 </div>
@@ -1,14 +1,598 @@
 <?php
 /**
- * External-services Admin Page - Placeholder
+ * External Services Admin Page
+ *
+ * Shows a status grid of the configured external services with their
+ * latency history, and edits a service's connection, authentication,
+ * retry, rate limit and health check settings. Stored secrets are never
+ * sent back to the browser.
+ *
+ * @since 2.0.0
  */
+
 if (!defined('ABSPATH')) exit;
-?>
-<div class="wrap">
-    <h1><?php _e('External-services', 'wp-custom-api'); ?></h1>
-    <div class="wp-custom-api-placeholder" style="background: #fff; padding: 40px; border: 1px solid #c3c4c7; border-radius: 4px; margin-top: 20px; text-align: center;">
-        <h2>🚧 Coming Soon</h2>
-        <p>This feature is being developed in the current rebuild phase.</p>
-        <p><em>See REBUILD_README.md for implementation timeline.</em></p>
+
+use WP_Custom_API\Includes\Endpoint_Manager\External_Service_Connector;
+
+$list_url = admin_url('admin.php?page=wp-custom-api-external-services');
+$action = isset($_GET['action']) ? sanitize_key($_GET['action']) : '';
+$service_id = isset($_GET['id']) ? intval($_GET['id']) : 0;
+
+$auth_types = [
+    External_Service_Connector::AUTH_NONE => __('None', 'wp-custom-api'),
+    External_Service_Connector::AUTH_API_KEY => __('API Key', 'wp-custom-api'),
+    External_Service_Connector::AUTH_BEARER => __('Bearer Token', 'wp-custom-api'),
+    External_Service_Connector::AUTH_BASIC => __('Basic Auth', 'wp-custom-api'),
+    External_Service_Connector::AUTH_OAUTH2 => __('OAuth2 Client Credentials', 'wp-custom-api'),
+    External_Service_Connector::AUTH_CUSTOM => __('Custom Headers', 'wp-custom-api'),
+];
+
+$health_labels = [
+    External_Service_Connector::HEALTH_HEALTHY => __('Healthy', 'wp-custom-api'),
+    External_Service_Connector::HEALTH_DEGRADED => __('Degraded', 'wp-custom-api'),
+    External_Service_Connector::HEALTH_UNHEALTHY => __('Unhealthy', 'wp-custom-api'),
+    External_Service_Connector::HEALTH_UNKNOWN => __('Unknown', 'wp-custom-api'),
+];
+
+$decode = function ($value): array {
+    if (is_array($value)) {
+        return $value;
+    }
+
+    $decoded = json_decode((string) $value, true);
+    return is_array($decoded) ? $decoded : [];
+};
+
+// ---------------------------------------------------------------------------
+// Status grid
+// ---------------------------------------------------------------------------
+
+if ($action !== 'edit' && $action !== 'new') {
+    $services = External_Service_Connector::get_services();
+
+    $counts = array_fill_keys(array_keys($health_labels), 0);
+    foreach ($services as $service) {
+        $status = $service['health_status'] ?: External_Service_Connector::HEALTH_UNKNOWN;
+        $counts[isset($counts[$status]) ? $status : External_Service_Connector::HEALTH_UNKNOWN]++;
+    }
+    ?>
+
+    <div class="wrap wp-custom-api-external-services">
+        <h1 class="wp-heading-inline">
+            <?php _e('External Services', 'wp-custom-api'); ?>
+        </h1>
+
+        <a href="<?php echo esc_url(add_query_arg('action', 'new', $list_url)); ?>" class="page-title-action">
+            <?php _e('Add New', 'wp-custom-api'); ?>
+        </a>
+
+        <hr class="wp-header-end">
+
+        <p class="description">
+            <?php _e('External services are used by proxy and forward endpoints and by ETL templates. Active services are checked every hour by the "External Service Health Checks" scheduled task.', 'wp-custom-api'); ?>
+        </p>
+
+        <?php if (!empty($services)): ?>
+            <ul class="service-health-summary">
+                <?php foreach ($health_labels as $status => $label): ?>
+                    <li class="service-health-<?php echo esc_attr($status); ?>">
+                        <strong><?php echo esc_html($counts[$status]); ?></strong> <?php echo esc_html($label); ?>
+                    </li>
+                <?php endforeach; ?>
+            </ul>
+        <?php endif; ?>
+
+        <div class="service-health-grid">
+            <?php if (empty($services)): ?>
+                <p><?php _e('No external services yet.', 'wp-custom-api'); ?></p>
+            <?php endif; ?>
+
+            <?php foreach ($services as $service):
+                $edit_url = add_query_arg(['action' => 'edit', 'id' => $service['id']], $list_url);
+                $status = $service['health_status'] ?: External_Service_Connector::HEALTH_UNKNOWN;
+                $last_check = (int) ($service['last_health_check'] ?? 0);
+                ?>
+                <div class="service-health-card" data-item-row data-service-id="<?php echo esc_attr($service['id']); ?>"
+                    data-history="<?php echo esc_attr(wp_json_encode(External_Service_Connector::get_health_history((int) $service['id']))); ?>">
+                    <div class="service-health-card-header">
+                        <strong><a href="<?php echo esc_url($edit_url); ?>"><?php echo esc_html($service['name']); ?></a></strong>
+                        <span class="service-health-status service-health-<?php echo esc_attr($status); ?>">
+                            <?php echo esc_html($health_labels[$status] ?? $status); ?>
+                        </span>
+                    </div>
+
+                    <p class="service-health-url"><code><?php echo esc_html($service['base_url']); ?></code></p>
+
+                    <p class="service-health-meta">
+                        <?php echo esc_html($auth_types[$service['auth_type'] ?: External_Service_Connector::AUTH_NONE] ?? $service['auth_type']); ?>
+                        <?php if (empty($service['is_active'])): ?>
+                            &middot; <span class="status-badge status-pending"><?php _e('Inactive', 'wp-custom-api'); ?></span>
+                        <?php endif; ?>
+                    </p>
+
+                    <div class="service-latency-sparkline"></div>
+                    <p class="service-latency-stats description"></p>
+
+                    <p class="service-last-check description">
+                        <?php if ($last_check > 0): ?>
+                            <?php printf(__('Last checked %s ago', 'wp-custom-api'), esc_html(human_time_diff($last_check))); ?>
+                        <?php else: ?>
+                            <?php _e('Never checked', 'wp-custom-api'); ?>
+                        <?php endif; ?>
+                    </p>
+
+                    <div class="service-health-actions">
+                        <button type="button" class="button button-small service-test-connection" data-service-id="<?php echo esc_attr($service['id']); ?>">
+                            <?php _e('Test connection', 'wp-custom-api'); ?>
+                        </button>
+                        <a href="<?php echo esc_url($edit_url); ?>"><?php _e('Edit', 'wp-custom-api'); ?></a> |
+                        <a href="#" class="wp-custom-api-delete" data-item-type="external_service" data-item-id="<?php echo esc_attr($service['id']); ?>"><?php _e('Delete', 'wp-custom-api'); ?></a>
+                    </div>
+                </div>
+            <?php endforeach; ?>
+        </div>
     </div>
+
+    <?php
+    return;
+}
+
+// ---------------------------------------------------------------------------
+// Service editor
+// ---------------------------------------------------------------------------
+
+$service = null;
+if ($service_id > 0) {
+    $service_result = External_Service_Connector::get_service_by_id($service_id);
+    $service = $service_result->ok && !empty($service_result->data) ? $service_result->data : null;
+}
+$is_edit = $service !== null;
+
+$existing_type = $service['auth_type'] ?? External_Service_Connector::AUTH_NONE;
+$existing_auth = $decode($service['auth_config'] ?? []);
+
+// Header rows posted as [{name, value}, ...] to a name => value map
+$read_header_rows = function ($rows): array {
+    $headers = [];
+
+    foreach (is_array($rows) ? $rows : [] as $row) {
+        $name = sanitize_text_field($row['name'] ?? '');
+        if ($name !== '') {
+            $headers[$name] = trim((string) ($row['value'] ?? ''));
+        }
+    }
+
+    return $headers;
+};
+
+// Handle form submission
+if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['wp_custom_api_save_service'])) {
+    // Verify nonce
+    if (!isset($_POST['_wpnonce']) || !wp_verify_nonce($_POST['_wpnonce'], 'save_external_service')) {
+        wp_die('Security check failed');
+    }
+
+    $posted = wp_unslash($_POST);
+
+    $auth_type = sanitize_key($posted['auth_type'] ?? '');
+    if (!isset($auth_types[$auth_type])) {
+        $auth_type = External_Service_Connector::AUTH_NONE;
+    }
+
+    // Only the panel of the selected type is stored
+    $auth_input = is_array($posted['auth'][$auth_type] ?? null) ? $posted['auth'][$auth_type] : [];
+    $secret = fn(string $key): string => trim((string) ($auth_input[$key] ?? ''));
+    $text = fn(string $key): string => sanitize_text_field($auth_input[$key] ?? '');
+
+    $auth_config = match ($auth_type) {
+        External_Service_Connector::AUTH_API_KEY => [
+            'header_name' => $text('header_name') ?: 'X-API-Key',
+            'api_key' => $secret('api_key'),
+        ],
+        External_Service_Connector::AUTH_BEARER => [
+            'token' => $secret('token'),
+        ],
+        External_Service_Connector::AUTH_BASIC => [
+            'username' => $text('username'),
+            'password' => $secret('password'),
+        ],
+        External_Service_Connector::AUTH_OAUTH2 => [
+            'token_url' => esc_url_raw($auth_input['token_url'] ?? ''),
+            'client_id' => $text('client_id'),
+            'client_secret' => $secret('client_secret'),
+            'scope' => $text('scope'),
+            'expires_in' => max(300, (int) ($auth_input['expires_in'] ?? 3600)),
+            'grant_type' => 'client_credentials',
+        ],
+        External_Service_Connector::AUTH_CUSTOM => [
+            'headers' => $read_header_rows($auth_input['headers'] ?? []),
+        ],
+        default => [],
+    };
+
+    $auth_config = External_Service_Connector::merge_auth_config($auth_type, $auth_config, $existing_auth, $existing_type);
+
+    $retry_codes = array_values(array_filter(array_map('intval', preg_split('/[\s,]+/', (string) ($posted['retry_codes'] ?? ''))), fn($code) => $code >= 100 && $code <= 599));
+
+    $row = [
+        'name' => sanitize_text_field($posted['name'] ?? ''),
+        'description' => sanitize_textarea_field($posted['description'] ?? ''),
+        'base_url' => esc_url_raw(trim((string) ($posted['base_url'] ?? ''))),
+        'timeout' => min(300, max(1, (int) ($posted['timeout'] ?? 30))),
+        'is_active' => isset($posted['is_active']) ? 1 : 0,
+        'auth_type' => $auth_type,
+        'auth_config' => $auth_config,
+        'default_headers' => $read_header_rows($posted['default_headers'] ?? []),
+        'retry_config' => [
+            'max_retries' => min(10, max(0, (int) ($posted['max_retries'] ?? 3))),
+            'retry_delay' => max(0, (int) ($posted['retry_delay'] ?? 1000)),
+            'retry_codes' => $retry_codes,
+        ],
+        'rate_limit_config' => [
+            'enabled' => isset($posted['rate_limit_enabled']),
+            'max_requests' => max(1, (int) ($posted['rate_limit_max_requests'] ?? 100)),
+            'time_window' => max(1, (int) ($posted['rate_limit_time_window'] ?? 60)),
+        ],
+        'health_check_config' => [
+            'endpoint' => sanitize_text_field($posted['health_endpoint'] ?? '') ?: '/health',
+            'expected_code' => (int) ($posted['health_expected_code'] ?? 200) ?: 200,
+            'timeout' => min(60, max(1, (int) ($posted['health_timeout'] ?? 10))),
+        ],
+    ];
+
+    if ($row['name'] === '' || $row['base_url'] === '') {
+        $error_message = __('Name and a valid base URL are required.', 'wp-custom-api');
+    } else {
+        if ($is_edit) {
+            $result = External_Service_Connector::update_service($service_id, $row);
+            // update_row reports a save without changes as a failed update
+            $saved = $result->ok || $result->status_code === 400;
+            $saved_id = $service_id;
+        } else {
+            $result = External_Service_Connector::create_service($row);
+            $saved = $result->ok;
+            $saved_id = $saved ? (int) $result->data['id'] : 0;
+        }
+
+        if ($saved) {
+            wp_redirect(add_query_arg(['action' => 'edit', 'id' => $saved_id, 'message' => 'saved'], $list_url));
+            exit;
+        }
+
+        $error_message = $result->reason ?: __('Failed to save external service', 'wp-custom-api');
+    }
+}
+
+// Keep what was submitted when saving fails
+$data = isset($error_message) ? $row : [
+    'name' => $service['name'] ?? '',
+    'description' => $service['description'] ?? '',
+    'base_url' => $service['base_url'] ?? '',
+    'timeout' => $service['timeout'] ?? 30,
+    'is_active' => $service['is_active'] ?? 1,
+    'auth_type' => $existing_type ?: External_Service_Connector::AUTH_NONE,
+    'auth_config' => $existing_auth,
+    'default_headers' => $decode($service['default_headers'] ?? []),
+    'retry_config' => $decode($service['retry_config'] ?? []),
+    'rate_limit_config' => $decode($service['rate_limit_config'] ?? []),
+    'health_check_config' => $decode($service['health_check_config'] ?? []),
+];
+
+// Secrets only ever reach the page as a mask
+$auth = External_Service_Connector::mask_auth_config($data['auth_type'], $data['auth_config']);
+$auth_value = fn(string $type, string $key, string $default = ''): string
+    => $data['auth_type'] === $type ? (string) ($auth[$key] ?? $default) : $default;
+$has_secret = fn(string $type, string $key): bool
+    => $auth_value($type, $key) === External_Service_Connector::SECRET_MASK;
+
+$retry = array_merge(['max_retries' => 3, 'retry_delay' => 1000, 'retry_codes' => [408, 429, 500, 502, 503, 504]], $data['retry_config']);
+$rate_limit = array_merge(['enabled' => false, 'max_requests' => 100, 'time_window' => 60], $data['rate_limit_config']);
+$health = array_merge(['endpoint' => '/health', 'expected_code' => 200, 'timeout' => 10], $data['health_check_config']);
+
+// Header rows for the row editors; custom auth header values are masked
+$header_rows = fn(array $headers): array => array_map(
+    fn($name, $value) => ['name' => (string) $name, 'value' => (string) $value],
+    array_keys($headers),
+    array_values($headers)
+);
+$custom_headers = $data['auth_type'] === External_Service_Connector::AUTH_CUSTOM ? (array) ($auth['headers'] ?? []) : [];
+
+$secret_placeholder = __('Stored - leave blank to keep', 'wp-custom-api');
+?>
+
+<div class="wrap wp-custom-api-external-service-edit">
+    <h1 class="wp-heading-inline">
+        <?php echo $is_edit ? __('Edit External Service', 'wp-custom-api') : __('Add New External Service', 'wp-custom-api'); ?>
+    </h1>
+
+    <a href="<?php echo esc_url($list_url); ?>" class="page-title-action">
+        <?php _e('Back to List', 'wp-custom-api'); ?>
+    </a>
+
+    <hr class="wp-header-end">
+
+    <?php if (isset($error_message)): ?>
+        <div class="notice notice-error"><p><?php echo esc_html($error_message); ?></p></div>
+    <?php endif; ?>
+
+    <?php if (isset($_GET['message']) && $_GET['message'] === 'saved'): ?>
+        <div class="notice notice-success is-dismissible"><p><?php _e('External service saved successfully.', 'wp-custom-api'); ?></p></div>
+    <?php endif; ?>
+
+    <form method="post" id="external-service-form">
+        <?php wp_nonce_field('save_external_service'); ?>
+
+        <div class="wp-custom-api-form-section">
+            <h3><?php _e('Connection', 'wp-custom-api'); ?></h3>
+
+            <div class="wp-custom-api-form-row">
+                <label for="name">
+                    <?php _e('Name', 'wp-custom-api'); ?>
+                    <span style="color: red;">*</span>
+                </label>
+                <div>
+                    <input type="text" id="name" name="name" value="<?php echo esc_attr($data['name']); ?>" required class="regular-text" />
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="description"><?php _e('Description', 'wp-custom-api'); ?></label>
+                <div>
+                    <textarea id="description" name="description" rows="2" class="large-text"><?php echo esc_textarea($data['description']); ?></textarea>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="base_url">
+                    <?php _e('Base URL', 'wp-custom-api'); ?>
+                    <span style="color: red;">*</span>
+                </label>
+                <div>
+                    <input type="url" id="base_url" name="base_url" value="<?php echo esc_attr($data['base_url']); ?>" required class="regular-text" placeholder="https://api.example.com/v1" />
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="timeout"><?php _e('Timeout (seconds)', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="number" id="timeout" name="timeout" value="<?php echo esc_attr($data['timeout']); ?>" min="1" max="300" class="small-text" />
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="is_active"><?php _e('Status', 'wp-custom-api'); ?></label>
+                <div>
+                    <label class="wp-custom-api-toggle">
+                        <input type="checkbox" id="is_active" name="is_active" value="1" <?php checked((int) $data['is_active'], 1); ?> />
+                        <span class="slider"></span>
+                    </label>
+                    <span style="margin-left: 10px;"><?php _e('Active', 'wp-custom-api'); ?></span>
+                    <p class="description"><?php _e('Requests to an inactive service fail with 503 and it is left out of scheduled health checks.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label><?php _e('Default Headers', 'wp-custom-api'); ?></label>
+                <div>
+                    <div class="service-header-rows" data-name="default_headers"
+                        data-rows="<?php echo esc_attr(wp_json_encode($header_rows($data['default_headers']))); ?>"></div>
+                    <p class="description"><?php _e('Sent with every request to this service.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+        </div>
+
+        <div class="wp-custom-api-form-section">
+            <h3><?php _e('Authentication', 'wp-custom-api'); ?></h3>
+
+            <div class="wp-custom-api-form-row">
+                <label for="auth_type"><?php _e('Type', 'wp-custom-api'); ?></label>
+                <div>
+                    <select id="auth_type" name="auth_type">
+                        <?php foreach ($auth_types as $type => $label): ?>
+                            <option value="<?php echo esc_attr($type); ?>" <?php selected($data['auth_type'], $type); ?>><?php echo esc_html($label); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <?php if ($is_edit): ?>
+                        <p class="description"><?php _e('Changing the type discards the stored credentials.', 'wp-custom-api'); ?></p>
+                    <?php endif; ?>
+                </div>
+            </div>
+
+            <div class="service-auth-panel" data-auth-type="<?php echo esc_attr(External_Service_Connector::AUTH_API_KEY); ?>">
+                <div class="wp-custom-api-form-row">
+                    <label for="auth-api-key-header"><?php _e('Header Name', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="text" id="auth-api-key-header" name="auth[api_key][header_name]" value="<?php echo esc_attr($auth_value('api_key', 'header_name', 'X-API-Key')); ?>" class="regular-text" />
+                    </div>
+                </div>
+                <div class="wp-custom-api-form-row">
+                    <label for="auth-api-key"><?php _e('API Key', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="password" id="auth-api-key" name="auth[api_key][api_key]" value="" autocomplete="new-password" class="regular-text"
+                            placeholder="<?php echo esc_attr($has_secret('api_key', 'api_key') ? $secret_placeholder : ''); ?>" />
+                    </div>
+                </div>
+            </div>
+
+            <div class="service-auth-panel" data-auth-type="<?php echo esc_attr(External_Service_Connector::AUTH_BEARER); ?>">
+                <div class="wp-custom-api-form-row">
+                    <label for="auth-bearer-token"><?php _e('Token', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="password" id="auth-bearer-token" name="auth[bearer][token]" value="" autocomplete="new-password" class="regular-text"
+                            placeholder="<?php echo esc_attr($has_secret('bearer', 'token') ? $secret_placeholder : ''); ?>" />
+                        <p class="description"><?php _e('Sent as "Authorization: Bearer &lt;token&gt;".', 'wp-custom-api'); ?></p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="service-auth-panel" data-auth-type="<?php echo esc_attr(External_Service_Connector::AUTH_BASIC); ?>">
+                <div class="wp-custom-api-form-row">
+                    <label for="auth-basic-username"><?php _e('Username', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="text" id="auth-basic-username" name="auth[basic][username]" value="<?php echo esc_attr($auth_value('basic', 'username')); ?>" autocomplete="off" class="regular-text" />
+                    </div>
+                </div>
+                <div class="wp-custom-api-form-row">
+                    <label for="auth-basic-password"><?php _e('Password', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="password" id="auth-basic-password" name="auth[basic][password]" value="" autocomplete="new-password" class="regular-text"
+                            placeholder="<?php echo esc_attr($has_secret('basic', 'password') ? $secret_placeholder : ''); ?>" />
+                    </div>
+                </div>
+            </div>
+
+            <div class="service-auth-panel" data-auth-type="<?php echo esc_attr(External_Service_Connector::AUTH_OAUTH2); ?>">
+                <div class="wp-custom-api-form-row">
+                    <label for="auth-oauth2-token-url"><?php _e('Token URL', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="url" id="auth-oauth2-token-url" name="auth[oauth2][token_url]" value="<?php echo esc_attr($auth_value('oauth2', 'token_url')); ?>" class="regular-text" placeholder="https://auth.example.com/oauth/token" />
+                    </div>
+                </div>
+                <div class="wp-custom-api-form-row">
+                    <label for="auth-oauth2-client-id"><?php _e('Client ID', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="text" id="auth-oauth2-client-id" name="auth[oauth2][client_id]" value="<?php echo esc_attr($auth_value('oauth2', 'client_id')); ?>" autocomplete="off" class="regular-text" />
+                    </div>
+                </div>
+                <div class="wp-custom-api-form-row">
+                    <label for="auth-oauth2-client-secret"><?php _e('Client Secret', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="password" id="auth-oauth2-client-secret" name="auth[oauth2][client_secret]" value="" autocomplete="new-password" class="regular-text"
+                            placeholder="<?php echo esc_attr($has_secret('oauth2', 'client_secret') ? $secret_placeholder : ''); ?>" />
+                    </div>
+                </div>
+                <div class="wp-custom-api-form-row">
+                    <label for="auth-oauth2-scope"><?php _e('Scope', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="text" id="auth-oauth2-scope" name="auth[oauth2][scope]" value="<?php echo esc_attr($auth_value('oauth2', 'scope')); ?>" class="regular-text" />
+                    </div>
+                </div>
+                <div class="wp-custom-api-form-row">
+                    <label for="auth-oauth2-expires"><?php _e('Token Lifetime (seconds)', 'wp-custom-api'); ?></label>
+                    <div>
+                        <input type="number" id="auth-oauth2-expires" name="auth[oauth2][expires_in]" value="<?php echo esc_attr($auth_value('oauth2', 'expires_in', '3600')); ?>" min="300" class="small-text" />
+                        <p class="description"><?php _e('Tokens are cached until five minutes before they expire.', 'wp-custom-api'); ?></p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="service-auth-panel" data-auth-type="<?php echo esc_attr(External_Service_Connector::AUTH_CUSTOM); ?>">
+                <div class="wp-custom-api-form-row">
+                    <label><?php _e('Headers', 'wp-custom-api'); ?></label>
+                    <div>
+                        <div class="service-header-rows" data-name="auth[custom][headers]"
+                            data-mask="<?php echo esc_attr(External_Service_Connector::SECRET_MASK); ?>"
+                            data-placeholder="<?php echo esc_attr($secret_placeholder); ?>"
+                            data-rows="<?php echo esc_attr(wp_json_encode($header_rows($custom_headers))); ?>"></div>
+                        <p class="description"><?php _e('Header values are stored as secrets. Leave a stored value blank to keep it.', 'wp-custom-api'); ?></p>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <div class="wp-custom-api-form-section">
+            <h3><?php _e('Retries and Rate Limit', 'wp-custom-api'); ?></h3>
+
+            <div class="wp-custom-api-form-row">
+                <label for="max_retries"><?php _e('Max Retries', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="number" id="max_retries" name="max_retries" value="<?php echo esc_attr($retry['max_retries']); ?>" min="0" max="10" class="small-text" />
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="retry_delay"><?php _e('Retry Delay (ms)', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="number" id="retry_delay" name="retry_delay" value="<?php echo esc_attr($retry['retry_delay']); ?>" min="0" class="small-text" />
+                    <p class="description"><?php _e('Doubles after every attempt.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="retry_codes"><?php _e('Retry On Status', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="text" id="retry_codes" name="retry_codes" value="<?php echo esc_attr(implode(', ', (array) $retry['retry_codes'])); ?>" class="regular-text" />
+                    <p class="description"><?php _e('Comma-separated HTTP status codes. Connection errors are always retried.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="rate_limit_enabled"><?php _e('Rate Limit', 'wp-custom-api'); ?></label>
+                <div>
+                    <label class="wp-custom-api-toggle">
+                        <input type="checkbox" id="rate_limit_enabled" name="rate_limit_enabled" value="1" <?php checked(!empty($rate_limit['enabled'])); ?> />
+                        <span class="slider"></span>
+                    </label>
+                    <span class="service-rate-limit-fields">
+                        <input type="number" name="rate_limit_max_requests" value="<?php echo esc_attr($rate_limit['max_requests']); ?>" min="1" class="small-text" aria-label="<?php esc_attr_e('Max requests', 'wp-custom-api'); ?>" />
+                        <?php _e('requests per', 'wp-custom-api'); ?>
+                        <input type="number" name="rate_limit_time_window" value="<?php echo esc_attr($rate_limit['time_window']); ?>" min="1" class="small-text" aria-label="<?php esc_attr_e('Time window', 'wp-custom-api'); ?>" />
+                        <?php _e('seconds', 'wp-custom-api'); ?>
+                    </span>
+                </div>
+            </div>
+        </div>
+
+        <div class="wp-custom-api-form-section">
+            <h3><?php _e('Health Check', 'wp-custom-api'); ?></h3>
+
+            <div class="wp-custom-api-form-row">
+                <label for="health_endpoint"><?php _e('Path', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="text" id="health_endpoint" name="health_endpoint" value="<?php echo esc_attr($health['endpoint']); ?>" class="regular-text" />
+                    <p class="description"><?php _e('Requested with GET relative to the base URL, without retries.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="health_expected_code"><?php _e('Expected Status', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="number" id="health_expected_code" name="health_expected_code" value="<?php echo esc_attr($health['expected_code']); ?>" min="100" max="599" class="small-text" />
+                    <p class="description"><?php _e('Other 2xx-4xx responses count as degraded, anything else as unhealthy.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="health_timeout"><?php _e('Timeout (seconds)', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="number" id="health_timeout" name="health_timeout" value="<?php echo esc_attr($health['timeout']); ?>" min="1" max="60" class="small-text" />
+                </div>
+            </div>
+
+            <?php if ($is_edit): ?>
+                <div class="wp-custom-api-form-row">
+                    <label><?php _e('Status', 'wp-custom-api'); ?></label>
+                    <div class="service-health-card" data-service-id="<?php echo esc_attr($service_id); ?>"
+                        data-history="<?php echo esc_attr(wp_json_encode(External_Service_Connector::get_health_history($service_id))); ?>">
+                        <?php $status = $service['health_status'] ?: External_Service_Connector::HEALTH_UNKNOWN; ?>
+                        <span class="service-health-status service-health-<?php echo esc_attr($status); ?>">
+                            <?php echo esc_html($health_labels[$status] ?? $status); ?>
+                        </span>
+                        <div class="service-latency-sparkline"></div>
+                        <p class="service-latency-stats description"></p>
+                        <p class="service-last-check description">
+                            <?php if (!empty($service['last_health_check'])): ?>
+                                <?php printf(__('Last checked %s ago', 'wp-custom-api'), esc_html(human_time_diff((int) $service['last_health_check']))); ?>
+                            <?php else: ?>
+                                <?php _e('Never checked', 'wp-custom-api'); ?>
+                            <?php endif; ?>
+                        </p>
+                        <button type="button" class="button service-test-connection" data-service-id="<?php echo esc_attr($service_id); ?>">
+                            <?php _e('Test connection', 'wp-custom-api'); ?>
+                        </button>
+                        <p class="description"><?php _e('Tests the saved settings. Save your changes first.', 'wp-custom-api'); ?></p>
+                    </div>
+                </div>
+            <?php endif; ?>
+        </div>
+
+        <p class="submit">
+            <button type="submit" name="wp_custom_api_save_service" class="button button-primary button-large">
+                <?php _e('Save Service', 'wp-custom-api'); ?>
+            </button>
+            <a href="<?php echo esc_url($list_url); ?>" class="button button-large">
+                <?php _e('Cancel', 'wp-custom-api'); ?>
+            </a>
+        </p>
+    </form>
 </div>
@@ -1,14 +1,136 @@
 <?php
 /**
- * Jobs Admin Page - Placeholder
+ * Jobs Admin Page
+ *
+ * ETL job monitor with stage progress, record counts, drill-down and re-run
+ *
+ * @since 2.0.0
  */
+
 if (!defined('ABSPATH')) exit;
+
+use WP_Custom_API\Includes\Database;
+use WP_Custom_API\Includes\Endpoint_Manager\ETL_Engine;
+use WP_Custom_API\Includes\Endpoint_Manager\ETL_Template_Model;
+
+// Templates for the template filter
+$templates = [];
+if (Database::table_exists(ETL_Template_Model::TABLE_NAME)) {
+    $templates_result = ETL_Engine::get_all_templates();
+    $templates = $templates_result->ok && is_array($templates_result->data) ? $templates_result->data : [];
+}
+
+$statuses = [
+    'running' => __('Running', 'wp-custom-api'),
+    ETL_Engine::STATUS_PENDING => __('Pending', 'wp-custom-api'),
+    ETL_Engine::STATUS_EXTRACTING => __('Extracting', 'wp-custom-api'),
+    ETL_Engine::STATUS_TRANSFORMING => __('Transforming', 'wp-custom-api'),
+    ETL_Engine::STATUS_LOADING => __('Loading', 'wp-custom-api'),
+    ETL_Engine::STATUS_COMPLETED => __('Completed', 'wp-custom-api'),
+    ETL_Engine::STATUS_FAILED => __('Failed', 'wp-custom-api'),
+];
+
+// Drill-down links from other screens
+$selected_job = isset($_GET['job_id']) ? intval($_GET['job_id']) : 0;
+$selected_template = isset($_GET['template_id']) ? intval($_GET['template_id']) : 0;
+$selected_webhook_log = isset($_GET['webhook_log_id']) ? intval($_GET['webhook_log_id']) : 0;
+$selected_status = sanitize_key($_GET['status'] ?? '');
+$date_from = sanitize_text_field($_GET['date_from'] ?? '');
+$date_to = sanitize_text_field($_GET['date_to'] ?? '');
 ?>
-<div class="wrap">
-    <h1><?php _e('Jobs', 'wp-custom-api'); ?></h1>
-    <div class="wp-custom-api-placeholder" style="background: #fff; padding: 40px; border: 1px solid #c3c4c7; border-radius: 4px; margin-top: 20px; text-align: center;">
-        <h2>🚧 Coming Soon</h2>
-        <p>This feature is being developed in the current rebuild phase.</p>
-        <p><em>See REBUILD_README.md for implementation timeline.</em></p>
+
+<div class="wrap wp-custom-api-jobs">
+    <h1 class="wp-heading-inline">
+        <?php _e('ETL Jobs', 'wp-custom-api'); ?>
+    </h1>
+
+    <hr class="wp-header-end">
+
+    <div id="wp-custom-api-job-monitor" class="wp-custom-api-job-monitor"
+        data-job-id="<?php echo esc_attr($selected_job); ?>"
+        data-webhooks-url="<?php echo esc_url(admin_url('admin.php?page=wp-custom-api-webhooks')); ?>">
+
+        <ul class="subsubsub job-status-counts">
+            <li><a href="#" data-status="" class="current"><?php _e('All', 'wp-custom-api'); ?> <span class="count">(0)</span></a> |</li>
+            <li><a href="#" data-status="running"><?php _e('Running', 'wp-custom-api'); ?> <span class="count">(0)</span></a> |</li>
+            <li><a href="#" data-status="<?php echo esc_attr(ETL_Engine::STATUS_COMPLETED); ?>"><?php _e('Completed', 'wp-custom-api'); ?> <span class="count">(0)</span></a> |</li>
+            <li><a href="#" data-status="<?php echo esc_attr(ETL_Engine::STATUS_FAILED); ?>"><?php _e('Failed', 'wp-custom-api'); ?> <span class="count">(0)</span></a></li>
+        </ul>
+
+        <form class="job-filters">
+            <select name="template_id">
+                <option value=""><?php _e('All templates', 'wp-custom-api'); ?></option>
+                <?php foreach ($templates as $template): ?>
+                    <option value="<?php echo esc_attr($template['id']); ?>" <?php selected($selected_template, (int) $template['id']); ?>><?php echo esc_html($template['name']); ?></option>
+                <?php endforeach; ?>
+            </select>
+
+            <select name="status">
+                <option value=""><?php _e('All statuses', 'wp-custom-api'); ?></option>
+                <?php foreach ($statuses as $status => $label): ?>
+                    <option value="<?php echo esc_attr($status); ?>" <?php selected($selected_status, $status); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+
+            <label>
+                <?php _e('From', 'wp-custom-api'); ?>
+                <input type="date" name="date_from" value="<?php echo esc_attr($date_from); ?>" />
+            </label>
+
+            <label>
+                <?php _e('To', 'wp-custom-api'); ?>
+                <input type="date" name="date_to" value="<?php echo esc_attr($date_to); ?>" />
+            </label>
+
+            <?php if ($selected_webhook_log): ?>
+                <label class="job-webhook-filter">
+                    <input type="checkbox" name="webhook_log_id" value="<?php echo esc_attr($selected_webhook_log); ?>" checked />
+                    <?php printf(__('Webhook #%d', 'wp-custom-api'), $selected_webhook_log); ?>
+                </label>
+            <?php endif; ?>
+
+            <button type="submit" class="button"><?php _e('Filter', 'wp-custom-api'); ?></button>
+
+            <label class="job-auto-refresh">
+                <input type="checkbox" class="job-auto-refresh-toggle" checked />
+                <?php _e('Auto-refresh running jobs', 'wp-custom-api'); ?>
+            </label>
+        </form>
+
+        <div class="tablenav top">
+            <div class="tablenav-pages job-pagination"></div>
+        </div>
+
+        <table class="wp-list-table widefat fixed striped job-table">
+            <thead>
+                <tr>
+                    <th class="column-id"><?php _e('ID', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Template', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Status', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Stages', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Records', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Duration', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Started', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Actions', 'wp-custom-api'); ?></th>
+                </tr>
+            </thead>
+            <tbody class="job-rows">
+                <tr><td colspan="8"><?php _e('Loading jobs...', 'wp-custom-api'); ?></td></tr>
+            </tbody>
+        </table>
+
+        <div class="tablenav bottom">
+            <div class="tablenav-pages job-pagination"></div>
+        </div>
+
+        <div class="wp-custom-api-drawer job-drawer" aria-hidden="true">
+            <div class="drawer-header">
+                <h2 class="drawer-title"></h2>
+                <button type="button" class="button-link drawer-close" aria-label="<?php esc_attr_e('Close', 'wp-custom-api'); ?>">
+                    <span class="dashicons dashicons-no-alt"></span>
+                </button>
+            </div>
+            <div class="drawer-body"></div>
+        </div>
     </div>
 </div>
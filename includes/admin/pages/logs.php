@@ -1,14 +1,104 @@
 <?php
 /**
- * Logs Admin Page - Placeholder
+ * Logs Admin Page
+ *
+ * Event log console with level/category facets, search, live tail and export
+ *
+ * @since 2.0.0
  */
+
 if (!defined('ABSPATH')) exit;
+
+use WP_Custom_API\Includes\Endpoint_Manager\Event_Logger;
+
+// Filters passed in the URL, e.g. from a dashboard chart
+$selected_levels = array_map('sanitize_key', (array) ($_GET['level'] ?? []));
+$selected_categories = array_map('sanitize_key', (array) ($_GET['category'] ?? []));
+$search = sanitize_text_field(wp_unslash($_GET['search'] ?? ''));
+$date_from = sanitize_text_field($_GET['from'] ?? '');
+$date_to = sanitize_text_field($_GET['to'] ?? '');
 ?>
-<div class="wrap">
-    <h1><?php _e('Logs', 'wp-custom-api'); ?></h1>
-    <div class="wp-custom-api-placeholder" style="background: #fff; padding: 40px; border: 1px solid #c3c4c7; border-radius: 4px; margin-top: 20px; text-align: center;">
-        <h2>🚧 Coming Soon</h2>
-        <p>This feature is being developed in the current rebuild phase.</p>
-        <p><em>See REBUILD_README.md for implementation timeline.</em></p>
+
+<div class="wrap wp-custom-api-logs">
+    <h1 class="wp-heading-inline">
+        <?php _e('Event Logs', 'wp-custom-api'); ?>
+    </h1>
+
+    <hr class="wp-header-end">
+
+    <div id="wp-custom-api-log-console" class="wp-custom-api-log-console">
+        <aside class="log-facets">
+            <div class="log-facet" data-facet="level">
+                <h3><?php _e('Level', 'wp-custom-api'); ?></h3>
+                <?php foreach (Event_Logger::get_levels() as $level): ?>
+                    <label class="log-facet-option">
+                        <input type="checkbox" name="level[]" value="<?php echo esc_attr($level); ?>" <?php checked(in_array($level, $selected_levels, true)); ?> />
+                        <span class="log-level log-level-<?php echo esc_attr($level); ?>"><?php echo esc_html($level); ?></span>
+                        <span class="log-facet-count" data-value="<?php echo esc_attr($level); ?>"></span>
+                    </label>
+                <?php endforeach; ?>
+            </div>
+
+            <div class="log-facet" data-facet="category">
+                <h3><?php _e('Category', 'wp-custom-api'); ?></h3>
+                <?php foreach (Event_Logger::get_categories() as $category): ?>
+                    <label class="log-facet-option">
+                        <input type="checkbox" name="category[]" value="<?php echo esc_attr($category); ?>" <?php checked(in_array($category, $selected_categories, true)); ?> />
+                        <span><?php echo esc_html($category); ?></span>
+                        <span class="log-facet-count" data-value="<?php echo esc_attr($category); ?>"></span>
+                    </label>
+                <?php endforeach; ?>
+            </div>
+        </aside>
+
+        <div class="log-main">
+            <form class="log-toolbar">
+                <input type="search" name="search" class="log-search" value="<?php echo esc_attr($search); ?>" placeholder="<?php esc_attr_e('Search message and context', 'wp-custom-api'); ?>" />
+
+                <label>
+                    <?php _e('From', 'wp-custom-api'); ?>
+                    <input type="date" name="from" value="<?php echo esc_attr($date_from); ?>" />
+                </label>
+
+                <label>
+                    <?php _e('To', 'wp-custom-api'); ?>
+                    <input type="date" name="to" value="<?php echo esc_attr($date_to); ?>" />
+                </label>
+
+                <button type="submit" class="button"><?php _e('Search', 'wp-custom-api'); ?></button>
+
+                <label class="log-live-toggle">
+                    <input type="checkbox" class="log-live" />
+                    <?php _e('Live tail', 'wp-custom-api'); ?>
+                </label>
+
+                <span class="log-export">
+                    <button type="button" class="button log-download" data-format="json"><?php _e('Download JSON', 'wp-custom-api'); ?></button>
+                    <button type="button" class="button log-download" data-format="csv"><?php _e('Download CSV', 'wp-custom-api'); ?></button>
+                </span>
+            </form>
+
+            <div class="tablenav top">
+                <div class="tablenav-pages log-pagination"></div>
+            </div>
+
+            <table class="wp-list-table widefat fixed striped log-table">
+                <thead>
+                    <tr>
+                        <th class="column-time"><?php _e('Time', 'wp-custom-api'); ?></th>
+                        <th class="column-level"><?php _e('Level', 'wp-custom-api'); ?></th>
+                        <th class="column-category"><?php _e('Category', 'wp-custom-api'); ?></th>
+                        <th><?php _e('Message', 'wp-custom-api'); ?></th>
+                    </tr>
+                </thead>
+                <tbody class="log-rows">
+                    <tr><td colspan="4"><?php _e('Loading events...', 'wp-custom-api'); ?></td></tr>
+                </tbody>
+            </table>
+
+            <div class="tablenav bottom">
+                <div class="tablenav-pages log-pagination"></div>
+            </div>
+        </div>
     </div>
 </div>
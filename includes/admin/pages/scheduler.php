@@ -0,0 +1,629 @@
+<?php
+/**
+ * Scheduler Admin Page
+ *
+ * Lists scheduled tasks with their frequency, next run and last result,
+ * with run-now, pause and resume controls. ETL and custom tasks can be
+ * created and edited; system tasks registered by the plugin are shown
+ * read-only with their run history. Tasks can also run on a cron
+ * expression, built and previewed in the editor.
+ *
+ * @since 2.0.0
+ */
+
+if (!defined('ABSPATH')) exit;
+
+use WP_Custom_API\Includes\Database;
+use WP_Custom_API\Includes\Endpoint_Manager\Scheduler;
+use WP_Custom_API\Includes\Endpoint_Manager\Cron_Expression;
+use WP_Custom_API\Includes\Endpoint_Manager\Action_Executor;
+use WP_Custom_API\Includes\Endpoint_Manager\ETL_Engine;
+use WP_Custom_API\Includes\Endpoint_Manager\ETL_Template_Model;
+use WP_Custom_API\Includes\Endpoint_Manager\External_Service_Connector;
+
+$list_url = admin_url('admin.php?page=wp-custom-api-scheduler');
+$action = isset($_GET['action']) ? sanitize_key($_GET['action']) : '';
+$task_id = isset($_GET['id']) ? intval($_GET['id']) : 0;
+
+$task_types = [
+    Scheduler::TYPE_ETL => __('ETL', 'wp-custom-api'),
+    Scheduler::TYPE_CLEANUP => __('Cleanup', 'wp-custom-api'),
+    Scheduler::TYPE_HEALTH_CHECK => __('Health Check', 'wp-custom-api'),
+    Scheduler::TYPE_WEBHOOK_RETRY => __('Webhook Retry', 'wp-custom-api'),
+    Scheduler::TYPE_CUSTOM => __('Custom', 'wp-custom-api'),
+];
+
+$status_classes = [
+    Scheduler::STATUS_COMPLETED => 'status-success',
+    Scheduler::STATUS_FAILED => 'status-error',
+    Scheduler::STATUS_RUNNING => 'status-pending',
+    Scheduler::STATUS_PENDING => 'status-pending',
+    Scheduler::STATUS_PAUSED => 'task-status-paused',
+];
+
+// Relative time with the absolute site time as a tooltip
+$format_time = function (int $timestamp): string {
+    if ($timestamp <= 0) {
+        return '&mdash;';
+    }
+
+    $relative = $timestamp >= time()
+        ? sprintf(__('in %s', 'wp-custom-api'), human_time_diff($timestamp))
+        : sprintf(__('%s ago', 'wp-custom-api'), human_time_diff($timestamp));
+
+    return sprintf(
+        '<span title="%s">%s</span>',
+        esc_attr(wp_date(get_option('date_format') . ' ' . get_option('time_format'), $timestamp)),
+        esc_html($relative)
+    );
+};
+
+$decode = function ($value) {
+    if (is_array($value)) {
+        return $value;
+    }
+
+    return json_decode((string) $value, true);
+};
+
+// ---------------------------------------------------------------------------
+// Task list
+// ---------------------------------------------------------------------------
+
+if ($action === '') {
+    $tasks = Scheduler::get_tasks();
+    ?>
+
+    <div class="wrap wp-custom-api-scheduler">
+        <h1 class="wp-heading-inline">
+            <?php _e('Scheduler', 'wp-custom-api'); ?>
+        </h1>
+
+        <a href="<?php echo esc_url(add_query_arg('action', 'new', $list_url)); ?>" class="page-title-action">
+            <?php _e('Add New', 'wp-custom-api'); ?>
+        </a>
+
+        <hr class="wp-header-end">
+
+        <p class="description">
+            <?php _e('Due tasks are picked up by WP-Cron once a minute, so run times depend on site traffic unless a real cron job calls wp-cron.php.', 'wp-custom-api'); ?>
+        </p>
+
+        <table class="wp-list-table widefat fixed striped scheduler-tasks">
+            <thead>
+                <tr>
+                    <th class="column-primary"><?php _e('Task', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Frequency', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Next Run', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Last Result', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Runs', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Actions', 'wp-custom-api'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php if (empty($tasks)): ?>
+                    <tr><td colspan="6"><?php _e('No scheduled tasks yet.', 'wp-custom-api'); ?></td></tr>
+                <?php endif; ?>
+
+                <?php foreach ($tasks as $task):
+                    $view_url = add_query_arg(['action' => 'view', 'id' => $task['id']], $list_url);
+                    $last_result = $decode($task['last_result'] ?? null);
+                    $is_active = !empty($task['is_active']);
+                    ?>
+                    <tr class="scheduler-task" data-task-id="<?php echo esc_attr($task['id']); ?>">
+                        <td class="column-primary">
+                            <strong><a href="<?php echo esc_url($view_url); ?>"><?php echo esc_html($task['name']); ?></a></strong>
+                            <?php if (!empty($task['is_system'])): ?>
+                                <span class="task-system-badge" title="<?php esc_attr_e('Registered by the plugin', 'wp-custom-api'); ?>"><?php _e('System', 'wp-custom-api'); ?></span>
+                            <?php endif; ?>
+                            <p class="description"><?php echo esc_html($task_types[$task['task_type']] ?? $task['task_type']); ?> &middot; <code><?php echo esc_html($task['handler']); ?></code></p>
+                        </td>
+                        <td><?php echo esc_html(Scheduler::describe_frequency($task['frequency'])); ?></td>
+                        <td class="task-next-run">
+                            <?php echo $is_active ? $format_time((int) $task['next_run_at']) : esc_html__('Paused', 'wp-custom-api'); ?>
+                        </td>
+                        <td class="task-last-run">
+                            <span class="status-badge <?php echo esc_attr($status_classes[$task['status']] ?? ''); ?>"><?php echo esc_html(ucfirst((string) $task['status'])); ?></span>
+                            <?php if (!empty($task['last_run_at'])): ?>
+                                <?php echo $format_time((int) $task['last_run_at']); ?>
+                                <?php if (is_array($last_result) && ($last_result['message'] ?? '') !== ''): ?>
+                                    <p class="description"><?php echo esc_html($last_result['message']); ?></p>
+                                <?php endif; ?>
+                            <?php endif; ?>
+                        </td>
+                        <td class="task-runs">
+                            <?php echo esc_html((int) $task['run_count']); ?>
+                            <?php if ((int) $task['fail_count'] > 0): ?>
+                                <span class="task-fail-count">(<?php printf(esc_html__('%d failed', 'wp-custom-api'), (int) $task['fail_count']); ?>)</span>
+                            <?php endif; ?>
+                        </td>
+                        <td class="task-controls">
+                            <button type="button" class="button button-small task-run-now" data-task-id="<?php echo esc_attr($task['id']); ?>"><?php _e('Run now', 'wp-custom-api'); ?></button>
+                            <button type="button" class="button button-small task-toggle" data-task-id="<?php echo esc_attr($task['id']); ?>" data-active="<?php echo $is_active ? '1' : '0'; ?>">
+                                <?php echo $is_active ? esc_html__('Pause', 'wp-custom-api') : esc_html__('Resume', 'wp-custom-api'); ?>
+                            </button>
+                            <div class="row-actions visible">
+                                <a href="<?php echo esc_url($view_url); ?>"><?php _e('History', 'wp-custom-api'); ?></a>
+                                <?php if (empty($task['is_system'])): ?>
+                                    | <a href="<?php echo esc_url(add_query_arg(['action' => 'edit', 'id' => $task['id']], $list_url)); ?>"><?php _e('Edit', 'wp-custom-api'); ?></a>
+                                    | <a href="#" class="wp-custom-api-delete" data-item-type="scheduled_task" data-item-id="<?php echo esc_attr($task['id']); ?>"><?php _e('Delete', 'wp-custom-api'); ?></a>
+                                <?php endif; ?>
+                            </div>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+    </div>
+
+    <?php
+    return;
+}
+
+$task = null;
+if ($task_id > 0) {
+    $task_result = Scheduler::get_task($task_id);
+    $task = $task_result->ok && !empty($task_result->data) ? $task_result->data : null;
+}
+
+// ---------------------------------------------------------------------------
+// Task details and run history (the only view of system tasks)
+// ---------------------------------------------------------------------------
+
+if ($action === 'view' || ($task !== null && !empty($task['is_system']))) {
+    if ($task === null) {
+        wp_die(__('Scheduled task not found.', 'wp-custom-api'));
+    }
+
+    $history = Scheduler::get_run_history($task_id);
+    $config = $decode($task['config'] ?? null);
+    $is_active = !empty($task['is_active']);
+    ?>
+
+    <div class="wrap wp-custom-api-scheduler-task">
+        <h1 class="wp-heading-inline"><?php echo esc_html($task['name']); ?></h1>
+
+        <a href="<?php echo esc_url($list_url); ?>" class="page-title-action"><?php _e('Back to List', 'wp-custom-api'); ?></a>
+        <?php if (empty($task['is_system'])): ?>
+            <a href="<?php echo esc_url(add_query_arg(['action' => 'edit', 'id' => $task_id], $list_url)); ?>" class="page-title-action"><?php _e('Edit', 'wp-custom-api'); ?></a>
+        <?php endif; ?>
+
+        <hr class="wp-header-end">
+
+        <?php if (!empty($task['is_system'])): ?>
+            <div class="notice notice-info inline">
+                <p><?php _e('This is a system task registered by the plugin. It can be paused, resumed and run now, but not edited or deleted.', 'wp-custom-api'); ?></p>
+            </div>
+        <?php endif; ?>
+
+        <?php if (!empty($task['description'])): ?>
+            <p class="description"><?php echo esc_html($task['description']); ?></p>
+        <?php endif; ?>
+
+        <table class="widefat striped scheduler-task-details">
+            <tbody class="scheduler-task" data-task-id="<?php echo esc_attr($task_id); ?>">
+                <tr><th><?php _e('Type', 'wp-custom-api'); ?></th><td><?php echo esc_html($task_types[$task['task_type']] ?? $task['task_type']); ?></td></tr>
+                <tr><th><?php _e('Handler', 'wp-custom-api'); ?></th><td><code><?php echo esc_html($task['handler']); ?></code></td></tr>
+                <tr><th><?php _e('Frequency', 'wp-custom-api'); ?></th><td><?php echo esc_html(Scheduler::describe_frequency($task['frequency'])); ?></td></tr>
+                <tr><th><?php _e('Next Run', 'wp-custom-api'); ?></th><td class="task-next-run"><?php echo $is_active ? $format_time((int) $task['next_run_at']) : esc_html__('Paused', 'wp-custom-api'); ?></td></tr>
+                <tr>
+                    <th><?php _e('Last Result', 'wp-custom-api'); ?></th>
+                    <td class="task-last-run">
+                        <span class="status-badge <?php echo esc_attr($status_classes[$task['status']] ?? ''); ?>"><?php echo esc_html(ucfirst((string) $task['status'])); ?></span>
+                        <?php echo !empty($task['last_run_at']) ? $format_time((int) $task['last_run_at']) : ''; ?>
+                    </td>
+                </tr>
+                <tr><th><?php _e('Runs', 'wp-custom-api'); ?></th><td class="task-runs"><?php printf(esc_html__('%1$d (%2$d failed)', 'wp-custom-api'), (int) $task['run_count'], (int) $task['fail_count']); ?></td></tr>
+                <tr><th><?php _e('Priority', 'wp-custom-api'); ?></th><td><?php echo esc_html((int) $task['priority']); ?></td></tr>
+                <tr>
+                    <th><?php _e('Configuration', 'wp-custom-api'); ?></th>
+                    <td><pre class="scheduler-config"><code><?php echo esc_html(wp_json_encode($config ?: new stdClass(), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES)); ?></code></pre></td>
+                </tr>
+                <tr>
+                    <th><?php _e('Actions', 'wp-custom-api'); ?></th>
+                    <td class="task-controls">
+                        <button type="button" class="button task-run-now" data-task-id="<?php echo esc_attr($task_id); ?>"><?php _e('Run now', 'wp-custom-api'); ?></button>
+                        <button type="button" class="button task-toggle" data-task-id="<?php echo esc_attr($task_id); ?>" data-active="<?php echo $is_active ? '1' : '0'; ?>">
+                            <?php echo $is_active ? esc_html__('Pause', 'wp-custom-api') : esc_html__('Resume', 'wp-custom-api'); ?>
+                        </button>
+                        <div class="task-run-output"></div>
+                    </td>
+                </tr>
+            </tbody>
+        </table>
+
+        <h2><?php _e('Run History', 'wp-custom-api'); ?></h2>
+        <p class="description"><?php printf(esc_html__('The last %d runs are kept.', 'wp-custom-api'), Scheduler::HISTORY_LIMIT); ?></p>
+
+        <table class="wp-list-table widefat fixed striped scheduler-history">
+            <thead>
+                <tr>
+                    <th><?php _e('Started', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Trigger', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Result', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Duration', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Message', 'wp-custom-api'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php if (empty($history)): ?>
+                    <tr><td colspan="5"><?php _e('This task has not run yet.', 'wp-custom-api'); ?></td></tr>
+                <?php endif; ?>
+
+                <?php foreach ($history as $run): ?>
+                    <tr>
+                        <td><?php echo $format_time((int) $run['started_at']); ?></td>
+                        <td><?php echo $run['triggered_by'] === Scheduler::TRIGGER_MANUAL ? esc_html__('Manual', 'wp-custom-api') : esc_html__('Schedule', 'wp-custom-api'); ?></td>
+                        <td><span class="status-badge <?php echo esc_attr($status_classes[$run['status']] ?? ''); ?>"><?php echo esc_html(ucfirst($run['status'])); ?></span></td>
+                        <td><?php echo esc_html(number_format_i18n((int) $run['duration_ms'])); ?> ms</td>
+                        <td>
+                            <?php echo esc_html($run['message']); ?>
+                            <?php if ($run['result'] !== null): ?>
+                                <details>
+                                    <summary><?php _e('Output', 'wp-custom-api'); ?></summary>
+                                    <pre><code><?php echo esc_html(wp_json_encode($run['result'], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES)); ?></code></pre>
+                                </details>
+                            <?php endif; ?>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+    </div>
+
+    <?php
+    return;
+}
+
+// ---------------------------------------------------------------------------
+// Task editor (ETL and custom tasks)
+// ---------------------------------------------------------------------------
+
+$is_edit = $task !== null;
+
+// Handle form submission
+if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['wp_custom_api_save_task'])) {
+    // Verify nonce
+    if (!isset($_POST['_wpnonce']) || !wp_verify_nonce($_POST['_wpnonce'], 'save_scheduled_task')) {
+        wp_die('Security check failed');
+    }
+
+    $posted = wp_unslash($_POST);
+    $task_type = ($posted['task_type'] ?? '') === Scheduler::TYPE_ETL ? Scheduler::TYPE_ETL : Scheduler::TYPE_CUSTOM;
+
+    // A preset frequency, every_<n>_<unit> built from the custom interval fields, or a cron expression
+    $frequency = sanitize_key($posted['frequency_preset'] ?? '');
+    $frequency_error = null;
+    if ($frequency === 'custom') {
+        $unit = sanitize_key($posted['interval_unit'] ?? '');
+        $frequency = 'every_' . max(1, (int) ($posted['interval_count'] ?? 1)) . '_' . (isset(Scheduler::INTERVAL_UNITS[$unit]) ? $unit : 'hours');
+    } elseif ($frequency === 'cron') {
+        $frequency = Cron_Expression::normalize(sanitize_text_field($posted['cron_expression'] ?? ''));
+        $frequency_error = Cron_Expression::validate($frequency);
+    }
+
+    if ($task_type === Scheduler::TYPE_ETL) {
+        $source = sanitize_key($posted['etl_source'] ?? '');
+        $config = ['template_id' => (int) ($posted['etl_template_id'] ?? 0)];
+
+        if ($source === 'query') {
+            $config['source_query'] = trim((string) ($posted['etl_source_query'] ?? ''));
+        } elseif ($source === 'service') {
+            $config['source_service_id'] = (int) ($posted['etl_source_service_id'] ?? 0);
+            $config['source_endpoint'] = sanitize_text_field($posted['etl_source_endpoint'] ?? '');
+        }
+
+        $handler = 'run_etl_template';
+        $config_error = $config['template_id'] > 0 ? null : __('Choose an ETL template.', 'wp-custom-api');
+    } else {
+        $handler = sanitize_key($posted['custom_handler'] ?? '');
+        $config = json_decode(trim((string) ($posted['custom_config'] ?? '')) ?: '{}', true);
+        $config_error = match (true) {
+            $handler === '' => __('Enter a handler name.', 'wp-custom-api'),
+            !is_array($config) => __('Handler options must be a JSON object.', 'wp-custom-api'),
+            default => null,
+        };
+    }
+
+    if ($config_error === null && $frequency_error !== null) {
+        /* translators: %s: why the cron expression is invalid */
+        $config_error = sprintf(__('Invalid cron expression: %s', 'wp-custom-api'), $frequency_error);
+    } elseif ($config_error === null && !Scheduler::is_valid_frequency($frequency)) {
+        $config_error = __('Choose a valid frequency.', 'wp-custom-api');
+    }
+
+    $row = [
+        'name' => sanitize_text_field($posted['name'] ?? ''),
+        'description' => sanitize_textarea_field($posted['description'] ?? ''),
+        'task_type' => $task_type,
+        'handler' => $handler,
+        'frequency' => $frequency,
+        'config' => is_array($config) ? $config : [],
+        'priority' => (int) ($posted['priority'] ?? 10),
+        'is_active' => isset($posted['is_active']) ? 1 : 0,
+    ];
+
+    if ($config_error !== null) {
+        $error_message = $config_error;
+    } else {
+        if ($is_edit) {
+            $result = Scheduler::update_task($task_id, $row);
+            // update_row reports a save without changes as a failed update
+            $saved = $result->ok || $result->status_code === 400;
+            $saved_id = $task_id;
+        } else {
+            $result = Scheduler::create_task($row);
+            $saved = $result->ok;
+            $saved_id = $saved ? (int) $result->data['id'] : 0;
+        }
+
+        if ($saved) {
+            wp_redirect(add_query_arg(['action' => 'edit', 'id' => $saved_id, 'message' => 'saved'], $list_url));
+            exit;
+        }
+
+        $error_message = $result->reason ?: __('Failed to save scheduled task', 'wp-custom-api');
+    }
+}
+
+// Keep what was submitted when saving fails
+$data = isset($error_message) ? $row : [
+    'name' => $task['name'] ?? '',
+    'description' => $task['description'] ?? '',
+    'task_type' => $task['task_type'] ?? Scheduler::TYPE_CUSTOM,
+    'handler' => $task['handler'] ?? '',
+    'frequency' => $task['frequency'] ?? Scheduler::FREQ_DAILY,
+    'config' => $decode($task['config'] ?? null) ?: [],
+    'priority' => $task['priority'] ?? 10,
+    'is_active' => $task['is_active'] ?? 1,
+];
+
+$frequencies = Scheduler::get_frequencies();
+$is_cron = Cron_Expression::is_expression($data['frequency']);
+$is_custom_interval = !$is_cron && !isset($frequencies[$data['frequency']]);
+$interval = ['count' => 2, 'unit' => 'hours'];
+if ($is_custom_interval && preg_match('/^every_(\d+)_(\w+)$/', $data['frequency'], $matches)) {
+    $interval = ['count' => (int) $matches[1], 'unit' => $matches[2]];
+}
+
+$etl_source = !empty($data['config']['source_query']) ? 'query' : (!empty($data['config']['source_service_id']) ? 'service' : 'none');
+
+$templates = [];
+if (Database::table_exists(ETL_Template_Model::TABLE_NAME)) {
+    $templates_result = ETL_Engine::get_all_templates();
+    $templates = $templates_result->ok && is_array($templates_result->data) ? $templates_result->data : [];
+}
+$services = External_Service_Connector::get_services();
+$handlers = array_keys(Action_Executor::get_handlers());
+?>
+
+<div class="wrap wp-custom-api-scheduler-edit">
+    <h1 class="wp-heading-inline">
+        <?php echo $is_edit ? __('Edit Scheduled Task', 'wp-custom-api') : __('Add New Scheduled Task', 'wp-custom-api'); ?>
+    </h1>
+
+    <a href="<?php echo esc_url($list_url); ?>" class="page-title-action">
+        <?php _e('Back to List', 'wp-custom-api'); ?>
+    </a>
+
+    <hr class="wp-header-end">
+
+    <?php if (isset($error_message)): ?>
+        <div class="notice notice-error"><p><?php echo esc_html($error_message); ?></p></div>
+    <?php endif; ?>
+
+    <?php if (isset($_GET['message']) && $_GET['message'] === 'saved'): ?>
+        <div class="notice notice-success is-dismissible"><p><?php _e('Scheduled task saved successfully.', 'wp-custom-api'); ?></p></div>
+    <?php endif; ?>
+
+    <form method="post" id="scheduled-task-form">
+        <?php wp_nonce_field('save_scheduled_task'); ?>
+
+        <div class="wp-custom-api-form-section">
+            <h3><?php _e('Task', 'wp-custom-api'); ?></h3>
+
+            <div class="wp-custom-api-form-row">
+                <label for="name">
+                    <?php _e('Name', 'wp-custom-api'); ?>
+                    <span style="color: red;">*</span>
+                </label>
+                <div>
+                    <input type="text" id="name" name="name" value="<?php echo esc_attr($data['name']); ?>" required class="regular-text" />
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="description"><?php _e('Description', 'wp-custom-api'); ?></label>
+                <div>
+                    <textarea id="description" name="description" rows="2" class="large-text"><?php echo esc_textarea($data['description']); ?></textarea>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="task_type"><?php _e('Type', 'wp-custom-api'); ?></label>
+                <div>
+                    <select id="task_type" name="task_type">
+                        <option value="<?php echo esc_attr(Scheduler::TYPE_ETL); ?>" <?php selected($data['task_type'], Scheduler::TYPE_ETL); ?>><?php _e('ETL template run', 'wp-custom-api'); ?></option>
+                        <option value="<?php echo esc_attr(Scheduler::TYPE_CUSTOM); ?>" <?php selected($data['task_type'], Scheduler::TYPE_CUSTOM); ?>><?php _e('Custom handler', 'wp-custom-api'); ?></option>
+                    </select>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="is_active"><?php _e('Status', 'wp-custom-api'); ?></label>
+                <div>
+                    <label class="wp-custom-api-toggle">
+                        <input type="checkbox" id="is_active" name="is_active" value="1" <?php checked((int) $data['is_active'], 1); ?> />
+                        <span class="slider"></span>
+                    </label>
+                    <span style="margin-left: 10px;"><?php _e('Active', 'wp-custom-api'); ?></span>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="priority"><?php _e('Priority', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="number" id="priority" name="priority" value="<?php echo esc_attr($data['priority']); ?>" class="small-text" />
+                    <p class="description"><?php _e('Higher priority tasks run first when several are due.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+        </div>
+
+        <div class="wp-custom-api-form-section scheduler-schedule">
+            <h3><?php _e('Schedule', 'wp-custom-api'); ?></h3>
+
+            <div class="wp-custom-api-form-row">
+                <label for="frequency_preset"><?php _e('Frequency', 'wp-custom-api'); ?></label>
+                <div>
+                    <select id="frequency_preset" name="frequency_preset">
+                        <?php foreach ($frequencies as $value => $label): ?>
+                            <option value="<?php echo esc_attr($value); ?>" <?php selected(!$is_custom_interval && $data['frequency'] === $value); ?>><?php echo esc_html($label); ?></option>
+                        <?php endforeach; ?>
+                        <option value="custom" <?php selected($is_custom_interval); ?>><?php _e('Custom interval...', 'wp-custom-api'); ?></option>
+                        <option value="cron" <?php selected($is_cron); ?>><?php _e('Cron expression...', 'wp-custom-api'); ?></option>
+                    </select>
+
+                    <span class="scheduler-interval">
+                        <?php _e('Every', 'wp-custom-api'); ?>
+                        <input type="number" name="interval_count" value="<?php echo esc_attr($interval['count']); ?>" min="1" class="small-text" aria-label="<?php esc_attr_e('Interval', 'wp-custom-api'); ?>" />
+                        <select name="interval_unit" aria-label="<?php esc_attr_e('Interval unit', 'wp-custom-api'); ?>">
+                            <?php foreach (array_keys(Scheduler::INTERVAL_UNITS) as $unit): ?>
+                                <option value="<?php echo esc_attr($unit); ?>" <?php selected($interval['unit'], $unit); ?>><?php echo esc_html($unit); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </span>
+
+                    <p class="description"><?php _e('Intervals keep to the time the task was due, skipping runs missed while the site was idle. Changing the frequency reschedules the next run.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row scheduler-cron">
+                <label for="cron_expression"><?php _e('Cron Expression', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="text" id="cron_expression" name="cron_expression" value="<?php echo esc_attr($is_cron ? $data['frequency'] : '0 2 * * *'); ?>"
+                        maxlength="<?php echo esc_attr(Cron_Expression::MAX_LENGTH); ?>" spellcheck="false" class="regular-text code" />
+
+                    <select id="cron_preset" aria-label="<?php esc_attr_e('Common schedules', 'wp-custom-api'); ?>">
+                        <option value=""><?php _e('Common schedules...', 'wp-custom-api'); ?></option>
+                        <option value="*/10 * * * *"><?php _e('Every 10 minutes', 'wp-custom-api'); ?></option>
+                        <option value="0 * * * *"><?php _e('Every hour, on the hour', 'wp-custom-api'); ?></option>
+                        <option value="0 2 * * *"><?php _e('Every day at 02:00', 'wp-custom-api'); ?></option>
+                        <option value="0 2 * * 1-5"><?php _e('Every weekday at 02:00', 'wp-custom-api'); ?></option>
+                        <option value="0 9 * * 1"><?php _e('Every Monday at 09:00', 'wp-custom-api'); ?></option>
+                        <option value="0 0 1 * *"><?php _e('First day of the month at midnight', 'wp-custom-api'); ?></option>
+                        <option value="30 6 1,15 * *"><?php _e('1st and 15th of the month at 06:30', 'wp-custom-api'); ?></option>
+                    </select>
+
+                    <div class="cron-fields">
+                        <?php foreach (['minute' => __('Minute', 'wp-custom-api'), 'hour' => __('Hour', 'wp-custom-api'), 'day' => __('Day of month', 'wp-custom-api'), 'month' => __('Month', 'wp-custom-api'), 'weekday' => __('Day of week', 'wp-custom-api')] as $field => $label): ?>
+                            <label class="cron-field">
+                                <input type="text" data-field="<?php echo esc_attr($field); ?>" spellcheck="false" class="code" />
+                                <span><?php echo esc_html($label); ?></span>
+                            </label>
+                        <?php endforeach; ?>
+                    </div>
+
+                    <p class="cron-status" aria-live="polite"></p>
+
+                    <div class="cron-preview">
+                        <strong><?php _e('Next runs', 'wp-custom-api'); ?></strong>
+                        <ol class="cron-next-runs"></ol>
+                    </div>
+
+                    <p class="description">
+                        <?php
+                        printf(
+                            /* translators: 1: site timezone, 2: general settings URL */
+                            __('Fields support <code>*</code>, lists, ranges, steps, month and day names and macros such as <code>@daily</code>. Times are in the site timezone, %1$s, set under <a href="%2$s">Settings &gt; General</a>.', 'wp-custom-api'),
+                            '<code>' . esc_html(wp_timezone_string()) . '</code>',
+                            esc_url(admin_url('options-general.php'))
+                        );
+                        ?>
+                    </p>
+                </div>
+            </div>
+        </div>
+
+        <div class="wp-custom-api-form-section scheduler-type-panel" data-task-type="<?php echo esc_attr(Scheduler::TYPE_ETL); ?>">
+            <h3><?php _e('ETL Run', 'wp-custom-api'); ?></h3>
+
+            <div class="wp-custom-api-form-row">
+                <label for="etl_template_id"><?php _e('Template', 'wp-custom-api'); ?></label>
+                <div>
+                    <select id="etl_template_id" name="etl_template_id">
+                        <option value="0"><?php _e('Select a template', 'wp-custom-api'); ?></option>
+                        <?php foreach ($templates as $template): ?>
+                            <option value="<?php echo esc_attr($template['id']); ?>" <?php selected((int) ($data['config']['template_id'] ?? 0), (int) $template['id']); ?>><?php echo esc_html($template['name']); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="etl_source"><?php _e('Source Data', 'wp-custom-api'); ?></label>
+                <div>
+                    <select id="etl_source" name="etl_source">
+                        <option value="none" <?php selected($etl_source, 'none'); ?>><?php _e('None', 'wp-custom-api'); ?></option>
+                        <option value="query" <?php selected($etl_source, 'query'); ?>><?php _e('SQL query', 'wp-custom-api'); ?></option>
+                        <option value="service" <?php selected($etl_source, 'service'); ?>><?php _e('External service', 'wp-custom-api'); ?></option>
+                    </select>
+                    <p class="description"><?php _e('Every returned row runs through the template as its own job. Without data the run is skipped.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row scheduler-source" data-source="query">
+                <label for="etl_source_query"><?php _e('Query', 'wp-custom-api'); ?></label>
+                <div>
+                    <textarea id="etl_source_query" name="etl_source_query" rows="4" class="large-text code"><?php echo esc_textarea($data['config']['source_query'] ?? ''); ?></textarea>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row scheduler-source" data-source="service">
+                <label for="etl_source_service_id"><?php _e('Service', 'wp-custom-api'); ?></label>
+                <div>
+                    <select id="etl_source_service_id" name="etl_source_service_id">
+                        <?php foreach ($services as $service): ?>
+                            <option value="<?php echo esc_attr($service['id']); ?>" <?php selected((int) ($data['config']['source_service_id'] ?? 0), (int) $service['id']); ?>><?php echo esc_html($service['name']); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <input type="text" name="etl_source_endpoint" value="<?php echo esc_attr($data['config']['source_endpoint'] ?? ''); ?>" class="regular-text" placeholder="/records" aria-label="<?php esc_attr_e('Path', 'wp-custom-api'); ?>" />
+                    <p class="description"><?php _e('Fetched with GET.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+        </div>
+
+        <div class="wp-custom-api-form-section scheduler-type-panel" data-task-type="<?php echo esc_attr(Scheduler::TYPE_CUSTOM); ?>">
+            <h3><?php _e('Custom Handler', 'wp-custom-api'); ?></h3>
+
+            <div class="wp-custom-api-form-row">
+                <label for="custom_handler"><?php _e('Handler', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="text" id="custom_handler" name="custom_handler" value="<?php echo esc_attr($data['task_type'] === Scheduler::TYPE_CUSTOM ? $data['handler'] : ''); ?>" list="scheduler-handlers" class="regular-text" />
+                    <datalist id="scheduler-handlers">
+                        <?php foreach ($handlers as $handler): ?>
+                            <option value="<?php echo esc_attr($handler); ?>"></option>
+                        <?php endforeach; ?>
+                    </datalist>
+                    <p class="description"><?php _e('A registered action handler, or any name answered by the wp_custom_api_task_{handler} filter.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="custom_config"><?php _e('Options', 'wp-custom-api'); ?></label>
+                <div>
+                    <textarea id="custom_config" name="custom_config" rows="5" class="large-text code" placeholder='{"to": "admin@example.com"}'><?php echo esc_textarea($data['task_type'] === Scheduler::TYPE_CUSTOM && !empty($data['config']) ? wp_json_encode($data['config'], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES) : ''); ?></textarea>
+                    <p class="description"><?php _e('JSON object passed to the handler.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+        </div>
+
+        <p class="submit">
+            <button type="submit" name="wp_custom_api_save_task" class="button button-primary button-large">
+                <?php _e('Save Task', 'wp-custom-api'); ?>
+            </button>
+            <a href="<?php echo esc_url($list_url); ?>" class="button button-large">
+                <?php _e('Cancel', 'wp-custom-api'); ?>
+            </a>
+        </p>
+    </form>
+</div>
@@ -1,14 +1,300 @@
 <?php
 /**
- * Settings Admin Page - Placeholder
+ * Settings Admin Page
+ *
+ * Renders every setting registered with the Configuration Manager from its
+ * schema, one tab per group, with the input that suits its type and a
+ * reset to the default value. Settings can be exported as JSON and
+ * imported after previewing what the import would change.
+ *
+ * @since 2.0.0
  */
+
 if (!defined('ABSPATH')) exit;
+
+use WP_Custom_API\Includes\Endpoint_Manager\Configuration_Manager;
+use WP_Custom_API\Includes\Endpoint_Manager\System_Manager;
+
+$page_url = admin_url('admin.php?page=wp-custom-api-settings');
+$grouped = Configuration_Manager::get_grouped();
+$defaults = Configuration_Manager::get_defaults();
+$overrides = Configuration_Manager::get_constant_overrides();
+$values = array_merge(...array_values($grouped));
+$field_errors = [];
+
+// Read a submitted field as the value the setting stores
+$read_field = function (string $type, $value) {
+    return match ($type) {
+        'bool' => !empty($value),
+        'array' => array_values(array_filter(array_map('trim', preg_split('/\r\n|\r|\n/', (string) $value)), 'strlen')),
+        default => trim((string) $value),
+    };
+};
+
+// Switch maintenance mode through the System Manager so it records when it started
+$set_maintenance = function (bool $enabled, bool $was_enabled) {
+    if ($enabled === $was_enabled) {
+        return;
+    }
+
+    $enabled ? System_Manager::instance()->enable_maintenance_mode() : System_Manager::instance()->disable_maintenance_mode();
+};
+
+// Handle settings form submission
+if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['wp_custom_api_save_settings'])) {
+    // Verify nonce
+    if (!isset($_POST['_wpnonce']) || !wp_verify_nonce($_POST['_wpnonce'], 'save_settings')) {
+        wp_die('Security check failed');
+    }
+
+    $posted = wp_unslash($_POST['settings'] ?? []);
+    $changes = [];
+
+    foreach (array_keys($values) as $key) {
+        $schema = Configuration_Manager::get_setting_schema($key);
+
+        if (isset($overrides[$key]) || (!array_key_exists($key, $posted) && $schema['type'] !== 'bool')) {
+            continue;
+        }
+
+        $value = $read_field($schema['type'], $posted[$key] ?? '');
+
+        if (in_array($schema['type'], ['int', 'float'], true) && !is_numeric($value)) {
+            $field_errors[$key] = __('Enter a number', 'wp-custom-api');
+        } elseif ($schema['type'] === 'json' && $value !== '' && json_decode($value) === null) {
+            $field_errors[$key] = __('Enter valid JSON', 'wp-custom-api');
+        } else {
+            $validation = Configuration_Manager::validate($key, $value);
+
+            if ($validation['valid']) {
+                $changes[$key] = $validation['value'];
+            } else {
+                $field_errors[$key] = $validation['error'];
+            }
+        }
+
+        // Keep what was submitted when saving fails
+        $values[$key] = $value;
+    }
+
+    if (empty($field_errors)) {
+        $was_maintenance = (bool) Configuration_Manager::get('maintenance_mode', false);
+
+        if (array_key_exists('maintenance_mode', $changes)) {
+            $set_maintenance((bool) $changes['maintenance_mode'], $was_maintenance);
+            unset($changes['maintenance_mode']);
+        }
+
+        Configuration_Manager::set_many($changes);
+
+        $tab = sanitize_key($_POST['active_tab'] ?? '');
+        wp_redirect(add_query_arg(['message' => 'saved', 'tab' => $tab], $page_url));
+        exit;
+    }
+
+    $error_message = sprintf(
+        /* translators: %d: number of invalid settings */
+        _n('%d setting is invalid. Nothing was saved.', '%d settings are invalid. Nothing was saved.', count($field_errors), 'wp-custom-api'),
+        count($field_errors)
+    );
+}
+
+// Handle import submission
+if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['wp_custom_api_import_settings'])) {
+    // Verify nonce
+    if (!isset($_POST['_wpnonce']) || !wp_verify_nonce($_POST['_wpnonce'], 'import_settings')) {
+        wp_die('Security check failed');
+    }
+
+    $import_json = trim(wp_unslash($_POST['import_json'] ?? ''));
+    $merge = ($_POST['import_mode'] ?? 'merge') !== 'replace';
+    $preview = Configuration_Manager::preview_import($import_json, $merge);
+
+    if ($preview['valid']) {
+        $was_maintenance = (bool) Configuration_Manager::get('maintenance_mode', false);
+
+        // import() reports an import that changes nothing as a failed save
+        Configuration_Manager::import($import_json, $merge);
+        $set_maintenance((bool) Configuration_Manager::get('maintenance_mode', false), $was_maintenance);
+        wp_redirect(add_query_arg('message', 'imported', $page_url));
+        exit;
+    }
+
+    $error_message = sprintf(
+        /* translators: %s: why the import failed */
+        __('Import failed: %s', 'wp-custom-api'),
+        $preview['error']
+    );
+}
+
+// Open the tab with the first error, else the requested tab
+$active_tab = sanitize_key($_GET['tab'] ?? '');
+if (!empty($field_errors)) {
+    $active_tab = Configuration_Manager::get_setting_schema((string) array_key_first($field_errors))['group'];
+}
+if (!isset($grouped[$active_tab])) {
+    $active_tab = (string) array_key_first($grouped);
+}
+
+// Text shown for a default value
+$display_value = function ($value): string {
+    return match (true) {
+        is_bool($value) => $value ? 'On' : 'Off',
+        is_array($value) => $value === [] ? 'None' : implode(', ', array_map('strval', $value)),
+        default => (string) $value,
+    };
+};
+
+$export_url = add_query_arg([
+    'action' => 'wp_custom_api_export_settings',
+    'nonce' => wp_create_nonce('wp_custom_api_nonce'),
+], admin_url('admin-ajax.php'));
 ?>
-<div class="wrap">
+
+<div class="wrap wp-custom-api-settings">
     <h1><?php _e('Settings', 'wp-custom-api'); ?></h1>
-    <div class="wp-custom-api-placeholder" style="background: #fff; padding: 40px; border: 1px solid #c3c4c7; border-radius: 4px; margin-top: 20px; text-align: center;">
-        <h2>🚧 Coming Soon</h2>
-        <p>This feature is being developed in the current rebuild phase.</p>
-        <p><em>See REBUILD_README.md for implementation timeline.</em></p>
+
+    <?php if (isset($error_message)): ?>
+        <div class="notice notice-error"><p><?php echo esc_html($error_message); ?></p></div>
+    <?php endif; ?>
+
+    <?php if (isset($_GET['message']) && $_GET['message'] === 'saved'): ?>
+        <div class="notice notice-success is-dismissible"><p><?php _e('Settings saved.', 'wp-custom-api'); ?></p></div>
+    <?php elseif (isset($_GET['message']) && $_GET['message'] === 'imported'): ?>
+        <div class="notice notice-success is-dismissible"><p><?php _e('Settings imported.', 'wp-custom-api'); ?></p></div>
+    <?php endif; ?>
+
+    <form method="post" id="settings-form" novalidate>
+        <?php wp_nonce_field('save_settings'); ?>
+        <input type="hidden" name="active_tab" id="settings_active_tab" value="<?php echo esc_attr($active_tab); ?>" />
+
+        <div class="wp-custom-api-tabs">
+            <div class="nav-tab-wrapper">
+                <?php foreach (array_keys($grouped) as $group): ?>
+                    <a href="#settings-tab-<?php echo esc_attr($group); ?>" class="nav-tab <?php echo $group === $active_tab ? 'nav-tab-active' : ''; ?>" data-tab="settings-tab-<?php echo esc_attr($group); ?>" data-group="<?php echo esc_attr($group); ?>">
+                        <?php echo esc_html(Configuration_Manager::GROUPS[$group]); ?>
+                        <span class="settings-tab-errors" hidden></span>
+                    </a>
+                <?php endforeach; ?>
+            </div>
+
+            <div class="wp-custom-api-tab-content">
+                <?php foreach ($grouped as $group => $settings): ?>
+                    <div id="settings-tab-<?php echo esc_attr($group); ?>" class="wp-custom-api-tab-panel <?php echo $group === $active_tab ? 'active' : ''; ?>">
+                        <?php foreach (array_keys($settings) as $key):
+                            $schema = Configuration_Manager::get_setting_schema($key);
+                            $type = $schema['type'];
+                            $value = $values[$key];
+                            $default = $defaults[$key] ?? null;
+                            $field_id = 'setting-' . $key;
+                            $name = 'settings[' . $key . ']';
+                            $locked = isset($overrides[$key]);
+
+                            // Keep the JavaScript pattern of a PHP regex when it has no flags
+                            $pattern = isset($schema['pattern']) && preg_match('#^/(.*)/$#s', $schema['pattern'], $matches) ? $matches[1] : '';
+                            ?>
+                            <div class="wp-custom-api-form-row settings-field <?php echo isset($field_errors[$key]) ? 'has-error' : ''; ?>"
+                                data-key="<?php echo esc_attr($key); ?>"
+                                data-type="<?php echo esc_attr($type); ?>"
+                                data-default="<?php echo esc_attr(wp_json_encode($default)); ?>"
+                                <?php if (isset($schema['min'])): ?>data-min="<?php echo esc_attr($schema['min']); ?>"<?php endif; ?>
+                                <?php if (isset($schema['max'])): ?>data-max="<?php echo esc_attr($schema['max']); ?>"<?php endif; ?>
+                                <?php if (isset($schema['enum'])): ?>data-enum="<?php echo esc_attr(wp_json_encode(array_values($schema['enum']))); ?>"<?php endif; ?>
+                                <?php if ($pattern !== ''): ?>data-pattern="<?php echo esc_attr($pattern); ?>"<?php endif; ?>>
+                                <label for="<?php echo esc_attr($field_id); ?>"><?php echo esc_html($schema['label']); ?></label>
+                                <div>
+                                    <?php if ($type === 'bool'): ?>
+                                        <label class="wp-custom-api-toggle">
+                                            <input type="checkbox" id="<?php echo esc_attr($field_id); ?>" name="<?php echo esc_attr($name); ?>" value="1" <?php checked((bool) $value); ?> <?php disabled($locked); ?> />
+                                            <span class="slider"></span>
+                                        </label>
+                                    <?php elseif (isset($schema['enum'])): ?>
+                                        <select id="<?php echo esc_attr($field_id); ?>" name="<?php echo esc_attr($name); ?>" <?php disabled($locked); ?>>
+                                            <?php foreach ($schema['enum'] as $option): ?>
+                                                <option value="<?php echo esc_attr($option); ?>" <?php selected((string) $value, (string) $option); ?>><?php echo esc_html($option); ?></option>
+                                            <?php endforeach; ?>
+                                        </select>
+                                    <?php elseif ($type === 'int' || $type === 'float'): ?>
+                                        <input type="number" id="<?php echo esc_attr($field_id); ?>" name="<?php echo esc_attr($name); ?>" value="<?php echo esc_attr($value); ?>"
+                                            step="<?php echo $type === 'int' ? '1' : 'any'; ?>"
+                                            <?php if (isset($schema['min'])): ?>min="<?php echo esc_attr($schema['min']); ?>"<?php endif; ?>
+                                            <?php if (isset($schema['max'])): ?>max="<?php echo esc_attr($schema['max']); ?>"<?php endif; ?>
+                                            class="regular-text" <?php disabled($locked); ?> />
+                                    <?php elseif ($type === 'array'): ?>
+                                        <textarea id="<?php echo esc_attr($field_id); ?>" name="<?php echo esc_attr($name); ?>" rows="4" class="large-text code" <?php disabled($locked); ?>><?php echo esc_textarea(implode("\n", array_map('strval', (array) $value))); ?></textarea>
+                                    <?php elseif ($type === 'json'): ?>
+                                        <textarea id="<?php echo esc_attr($field_id); ?>" name="<?php echo esc_attr($name); ?>" rows="6" class="large-text code" <?php disabled($locked); ?>><?php echo esc_textarea(is_string($value) ? $value : wp_json_encode($value, JSON_PRETTY_PRINT)); ?></textarea>
+                                    <?php else: ?>
+                                        <input type="text" id="<?php echo esc_attr($field_id); ?>" name="<?php echo esc_attr($name); ?>" value="<?php echo esc_attr($value); ?>" class="regular-text" <?php disabled($locked); ?> />
+                                    <?php endif; ?>
+
+                                    <?php if (!$locked && array_key_exists($key, $defaults)): ?>
+                                        <button type="button" class="button-link settings-reset"><?php _e('Reset to default', 'wp-custom-api'); ?></button>
+                                    <?php endif; ?>
+
+                                    <p class="settings-field-error" role="alert"><?php echo esc_html($field_errors[$key] ?? ''); ?></p>
+
+                                    <p class="description">
+                                        <?php echo esc_html($schema['description'] ?? ''); ?>
+                                        <?php if (array_key_exists($key, $defaults)): ?>
+                                            <?php _e('Default:', 'wp-custom-api'); ?> <code><?php echo esc_html($display_value($default)); ?></code>
+                                        <?php endif; ?>
+                                    </p>
+
+                                    <?php if ($locked): ?>
+                                        <p class="description settings-locked">
+                                            <?php
+                                            /* translators: %s: PHP constant name */
+                                            printf(esc_html__('Set by the %s constant in wp-config.php.', 'wp-custom-api'), '<code>' . esc_html($overrides[$key]) . '</code>');
+                                            ?>
+                                        </p>
+                                    <?php endif; ?>
+                                </div>
+                            </div>
+                        <?php endforeach; ?>
+                    </div>
+                <?php endforeach; ?>
+            </div>
+        </div>
+
+        <p class="submit">
+            <button type="submit" name="wp_custom_api_save_settings" class="button button-primary"><?php _e('Save Settings', 'wp-custom-api'); ?></button>
+        </p>
+    </form>
+
+    <div class="wp-custom-api-form-section settings-transfer">
+        <h3><?php _e('Import / Export', 'wp-custom-api'); ?></h3>
+
+        <p>
+            <a href="<?php echo esc_url($export_url); ?>" class="button"><?php _e('Export Settings', 'wp-custom-api'); ?></a>
+            <span class="description"><?php _e('Downloads the stored settings as JSON.', 'wp-custom-api'); ?></span>
+        </p>
+
+        <form method="post" id="settings-import-form">
+            <?php wp_nonce_field('import_settings'); ?>
+
+            <div class="wp-custom-api-form-row">
+                <label for="settings_import_file"><?php _e('Settings file', 'wp-custom-api'); ?></label>
+                <div>
+                    <input type="file" id="settings_import_file" accept=".json,application/json" />
+                    <textarea id="settings_import_json" name="import_json" rows="6" class="large-text code" placeholder="<?php esc_attr_e('Or paste the settings JSON', 'wp-custom-api'); ?>"><?php echo esc_textarea($import_json ?? ''); ?></textarea>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <span class="settings-label"><?php _e('Mode', 'wp-custom-api'); ?></span>
+                <div>
+                    <label><input type="radio" name="import_mode" value="merge" <?php checked(!isset($merge) || $merge); ?> /> <?php _e('Merge - only the settings in the file change', 'wp-custom-api'); ?></label><br />
+                    <label><input type="radio" name="import_mode" value="replace" <?php checked(isset($merge) && !$merge); ?> /> <?php _e('Replace - settings missing from the file go back to their defaults', 'wp-custom-api'); ?></label>
+                </div>
+            </div>
+
+            <div class="settings-import-diff" aria-live="polite"></div>
+
+            <p>
+                <button type="button" class="button settings-import-preview"><?php _e('Preview Changes', 'wp-custom-api'); ?></button>
+                <button type="submit" name="wp_custom_api_import_settings" class="button button-primary settings-import-apply" disabled><?php _e('Apply Import', 'wp-custom-api'); ?></button>
+            </p>
+        </form>
     </div>
 </div>
@@ -1,14 +1,129 @@
 <?php
 /**
- * Webhooks Admin Page - Placeholder
+ * Webhooks Admin Page
+ *
+ * Log explorer for incoming webhooks with filters, payload details and retries
+ *
+ * @since 2.0.0
  */
+
 if (!defined('ABSPATH')) exit;
+
+use WP_Custom_API\Includes\Database;
+use WP_Custom_API\Includes\Endpoint_Manager\Custom_Endpoint_Model;
+use WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Manager;
+use WP_Custom_API\Includes\Endpoint_Manager\Webhook_Handler;
+
+global $wpdb;
+
+// Webhook endpoints for the endpoint filter
+$webhook_endpoints = [];
+if (Database::table_exists(Custom_Endpoint_Model::TABLE_NAME)) {
+    $endpoints_table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
+    $webhook_endpoints = $wpdb->get_results($wpdb->prepare(
+        "SELECT id, name FROM {$endpoints_table} WHERE handler_type = %s ORDER BY name ASC",
+        Endpoint_Manager::HANDLER_WEBHOOK
+    ), ARRAY_A) ?: [];
+}
+
+$statuses = [
+    Webhook_Handler::STATUS_PENDING => __('Pending', 'wp-custom-api'),
+    Webhook_Handler::STATUS_RECEIVED => __('Received', 'wp-custom-api'),
+    Webhook_Handler::STATUS_QUEUED => __('Queued', 'wp-custom-api'),
+    Webhook_Handler::STATUS_PROCESSED => __('Processed', 'wp-custom-api'),
+    Webhook_Handler::STATUS_FAILED => __('Failed', 'wp-custom-api'),
+];
+
+// Filters passed in the URL, e.g. from a dashboard chart
+$selected_endpoint = isset($_GET['endpoint_id']) ? intval($_GET['endpoint_id']) : 0;
+$selected_status = sanitize_key($_GET['status'] ?? '');
+$date_from = sanitize_text_field($_GET['date_from'] ?? '');
+$date_to = sanitize_text_field($_GET['date_to'] ?? '');
 ?>
-<div class="wrap">
-    <h1><?php _e('Webhooks', 'wp-custom-api'); ?></h1>
-    <div class="wp-custom-api-placeholder" style="background: #fff; padding: 40px; border: 1px solid #c3c4c7; border-radius: 4px; margin-top: 20px; text-align: center;">
-        <h2>🚧 Coming Soon</h2>
-        <p>This feature is being developed in the current rebuild phase.</p>
-        <p><em>See REBUILD_README.md for implementation timeline.</em></p>
+
+<div class="wrap wp-custom-api-webhooks">
+    <h1 class="wp-heading-inline">
+        <?php _e('Webhooks', 'wp-custom-api'); ?>
+    </h1>
+
+    <a href="#" class="page-title-action webhook-retry-all-failed">
+        <?php _e('Retry All Failed', 'wp-custom-api'); ?>
+    </a>
+
+    <hr class="wp-header-end">
+
+    <div id="wp-custom-api-webhook-explorer" class="wp-custom-api-webhook-explorer" data-jobs-url="<?php echo esc_url(admin_url('admin.php?page=wp-custom-api-jobs')); ?>" data-log-id="<?php echo esc_attr(isset($_GET['log_id']) ? intval($_GET['log_id']) : 0); ?>">
+        <form class="webhook-filters">
+            <select name="endpoint_id">
+                <option value=""><?php _e('All endpoints', 'wp-custom-api'); ?></option>
+                <?php foreach ($webhook_endpoints as $endpoint): ?>
+                    <option value="<?php echo esc_attr($endpoint['id']); ?>" <?php selected($selected_endpoint, (int) $endpoint['id']); ?>><?php echo esc_html($endpoint['name']); ?></option>
+                <?php endforeach; ?>
+            </select>
+
+            <input type="search" name="source" placeholder="<?php esc_attr_e('Source (IP, delivery id, user agent)', 'wp-custom-api'); ?>" />
+
+            <select name="status">
+                <option value=""><?php _e('All statuses', 'wp-custom-api'); ?></option>
+                <?php foreach ($statuses as $status => $label): ?>
+                    <option value="<?php echo esc_attr($status); ?>" <?php selected($selected_status, $status); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+
+            <label>
+                <?php _e('From', 'wp-custom-api'); ?>
+                <input type="date" name="date_from" value="<?php echo esc_attr($date_from); ?>" />
+            </label>
+
+            <label>
+                <?php _e('To', 'wp-custom-api'); ?>
+                <input type="date" name="date_to" value="<?php echo esc_attr($date_to); ?>" />
+            </label>
+
+            <button type="submit" class="button"><?php _e('Filter', 'wp-custom-api'); ?></button>
+            <button type="button" class="button-link webhook-filters-reset"><?php _e('Reset', 'wp-custom-api'); ?></button>
+        </form>
+
+        <div class="tablenav top">
+            <div class="alignleft actions bulkactions">
+                <button type="button" class="button webhook-retry-selected" disabled>
+                    <?php _e('Retry Selected', 'wp-custom-api'); ?>
+                </button>
+            </div>
+            <div class="tablenav-pages webhook-pagination"></div>
+        </div>
+
+        <table class="wp-list-table widefat fixed striped webhook-log-table">
+            <thead>
+                <tr>
+                    <td class="manage-column column-cb check-column"><input type="checkbox" class="webhook-select-all" /></td>
+                    <th class="column-id"><?php _e('ID', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Endpoint', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Source', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Status', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Signature', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Retries', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Received', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Actions', 'wp-custom-api'); ?></th>
+                </tr>
+            </thead>
+            <tbody class="webhook-log-rows">
+                <tr><td colspan="9"><?php _e('Loading webhook logs...', 'wp-custom-api'); ?></td></tr>
+            </tbody>
+        </table>
+
+        <div class="tablenav bottom">
+            <div class="tablenav-pages webhook-pagination"></div>
+        </div>
+
+        <div class="wp-custom-api-drawer webhook-log-drawer" aria-hidden="true">
+            <div class="drawer-header">
+                <h2 class="drawer-title"></h2>
+                <button type="button" class="button-link drawer-close" aria-label="<?php esc_attr_e('Close', 'wp-custom-api'); ?>">
+                    <span class="dashicons dashicons-no-alt"></span>
+                </button>
+            </div>
+            <div class="drawer-body"></div>
+        </div>
     </div>
 </div>
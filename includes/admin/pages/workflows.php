@@ -1,14 +1,299 @@
 <?php
 /**
- * Workflows Admin Page - Placeholder
+ * Workflows Admin Page
+ *
+ * Lists workflows and edits them in a visual designer built on the
+ * registered Action_Executor handlers, with a test run that shows the
+ * output of every node
+ *
+ * @since 2.0.0
  */
+
 if (!defined('ABSPATH')) exit;
-?>
-<div class="wrap">
-    <h1><?php _e('Workflows', 'wp-custom-api'); ?></h1>
-    <div class="wp-custom-api-placeholder" style="background: #fff; padding: 40px; border: 1px solid #c3c4c7; border-radius: 4px; margin-top: 20px; text-align: center;">
-        <h2>🚧 Coming Soon</h2>
-        <p>This feature is being developed in the current rebuild phase.</p>
-        <p><em>See REBUILD_README.md for implementation timeline.</em></p>
+
+use WP_Custom_API\Includes\Endpoint_Manager\Action_Executor;
+use WP_Custom_API\Includes\Endpoint_Manager\Workflow_Manager;
+
+$list_url = admin_url('admin.php?page=wp-custom-api-workflows');
+$action = isset($_GET['action']) ? sanitize_key($_GET['action']) : '';
+$workflow_id = isset($_GET['id']) ? intval($_GET['id']) : 0;
+
+// ---------------------------------------------------------------------------
+// Workflow list
+// ---------------------------------------------------------------------------
+
+if ($action !== 'edit' && $action !== 'new') {
+    $workflows_result = Workflow_Manager::get_workflows();
+    $workflows = $workflows_result->ok && is_array($workflows_result->data) ? $workflows_result->data : [];
+    ?>
+
+    <div class="wrap wp-custom-api-workflows">
+        <h1 class="wp-heading-inline">
+            <?php _e('Workflows', 'wp-custom-api'); ?>
+        </h1>
+
+        <a href="<?php echo esc_url(add_query_arg('action', 'new', $list_url)); ?>" class="page-title-action">
+            <?php _e('Add New', 'wp-custom-api'); ?>
+        </a>
+
+        <hr class="wp-header-end">
+
+        <p class="description">
+            <?php _e('Workflows chain registered action handlers in sequence, in parallel branches and behind conditions. Run one from an endpoint by choosing it in the Action handler settings.', 'wp-custom-api'); ?>
+        </p>
+
+        <table class="wp-list-table widefat fixed striped">
+            <thead>
+                <tr>
+                    <th><?php _e('Name', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Nodes', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Status', 'wp-custom-api'); ?></th>
+                    <th><?php _e('Actions', 'wp-custom-api'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php if (empty($workflows)): ?>
+                    <tr><td colspan="4"><?php _e('No workflows yet.', 'wp-custom-api'); ?></td></tr>
+                <?php endif; ?>
+
+                <?php foreach ($workflows as $workflow):
+                    $edit_url = add_query_arg(['action' => 'edit', 'id' => $workflow['id']], $list_url);
+                    ?>
+                    <tr>
+                        <td>
+                            <strong><a href="<?php echo esc_url($edit_url); ?>"><?php echo esc_html($workflow['name']); ?></a></strong>
+                            <?php if (!empty($workflow['description'])): ?>
+                                <p class="description"><?php echo esc_html($workflow['description']); ?></p>
+                            <?php endif; ?>
+                        </td>
+                        <td><?php echo esc_html($workflow['node_count']); ?></td>
+                        <td>
+                            <span class="status-badge <?php echo !empty($workflow['is_active']) ? 'status-success' : 'status-pending'; ?>">
+                                <?php echo !empty($workflow['is_active']) ? __('Active', 'wp-custom-api') : __('Inactive', 'wp-custom-api'); ?>
+                            </span>
+                        </td>
+                        <td>
+                            <a href="<?php echo esc_url($edit_url); ?>"><?php _e('Edit', 'wp-custom-api'); ?></a> |
+                            <a href="#" class="wp-custom-api-delete" data-item-type="workflow" data-item-id="<?php echo esc_attr($workflow['id']); ?>"><?php _e('Delete', 'wp-custom-api'); ?></a>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
     </div>
+
+    <?php
+    return;
+}
+
+// ---------------------------------------------------------------------------
+// Workflow designer
+// ---------------------------------------------------------------------------
+
+$workflow = $workflow_id > 0 ? Workflow_Manager::get_workflow($workflow_id) : null;
+$is_edit = $workflow !== null;
+
+// Handle form submission
+if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['wp_custom_api_save_workflow'])) {
+    // Verify nonce
+    if (!isset($_POST['_wpnonce']) || !wp_verify_nonce($_POST['_wpnonce'], 'save_workflow')) {
+        wp_die('Security check failed');
+    }
+
+    // The definition arrives as JSON serialized by workflow-designer.js
+    $definition = json_decode(isset($_POST['definition']) ? wp_unslash($_POST['definition']) : '', true);
+
+    $result = Workflow_Manager::save_workflow([
+        'id' => $is_edit ? $workflow_id : 0,
+        'name' => sanitize_text_field($_POST['name'] ?? ''),
+        'description' => sanitize_textarea_field($_POST['description'] ?? ''),
+        'definition' => is_array($definition) ? $definition : null,
+        'is_active' => isset($_POST['is_active']) ? 1 : 0,
+    ]);
+
+    if ($result->ok) {
+        $saved_id = $is_edit ? $workflow_id : (int) $result->data['id'];
+        wp_redirect(add_query_arg(['action' => 'edit', 'id' => $saved_id, 'message' => 'saved'], $list_url));
+        exit;
+    } else {
+        $error_message = !empty($result->data['errors'])
+            ? implode(' ', $result->data['errors'])
+            : ($result->reason ?: 'Failed to save workflow');
+    }
+}
+
+// Keep what was submitted when saving fails
+$data = [
+    'name' => $workflow['name'] ?? '',
+    'description' => $workflow['description'] ?? '',
+    'definition' => $workflow['definition'] ?? ['steps' => []],
+    'is_active' => $workflow['is_active'] ?? 1,
+];
+
+if (isset($error_message)) {
+    $data = [
+        'name' => sanitize_text_field($_POST['name'] ?? ''),
+        'description' => sanitize_textarea_field($_POST['description'] ?? ''),
+        'definition' => is_array($definition) ? $definition : $data['definition'],
+        'is_active' => isset($_POST['is_active']) ? 1 : 0,
+    ];
+}
+
+// Palette: registered handlers with their registration metadata, by group
+$handlers = array_values(array_map(fn($handler) => [
+    'name' => $handler['name'],
+    'label' => $handler['options']['label'] ?: $handler['name'],
+    'description' => $handler['options']['description'],
+    'group' => $handler['options']['group'],
+    'fields' => array_values((array) $handler['options']['fields']),
+], Action_Executor::get_handlers()));
+
+usort($handlers, fn($a, $b) => [$a['group'], $a['label']] <=> [$b['group'], $b['label']]);
+?>
+
+<div class="wrap wp-custom-api-workflow-edit">
+    <h1 class="wp-heading-inline">
+        <?php echo $is_edit ? __('Edit Workflow', 'wp-custom-api') : __('Add New Workflow', 'wp-custom-api'); ?>
+    </h1>
+
+    <a href="<?php echo esc_url($list_url); ?>" class="page-title-action">
+        <?php _e('Back to List', 'wp-custom-api'); ?>
+    </a>
+
+    <hr class="wp-header-end">
+
+    <?php if (isset($error_message)): ?>
+        <div class="notice notice-error"><p><?php echo esc_html($error_message); ?></p></div>
+    <?php endif; ?>
+
+    <?php if (isset($_GET['message']) && $_GET['message'] === 'saved'): ?>
+        <div class="notice notice-success is-dismissible"><p><?php _e('Workflow saved successfully.', 'wp-custom-api'); ?></p></div>
+    <?php endif; ?>
+
+    <form method="post" id="workflow-form" class="workflow-editor"
+        data-workflow-id="<?php echo esc_attr($is_edit ? $workflow_id : 0); ?>"
+        data-handlers="<?php echo esc_attr(wp_json_encode($handlers)); ?>">
+        <?php wp_nonce_field('save_workflow'); ?>
+
+        <input type="hidden" name="definition" id="workflow-definition" value="<?php echo esc_attr(wp_json_encode($data['definition'])); ?>" />
+
+        <div class="wp-custom-api-form-section">
+            <h3><?php _e('Workflow', 'wp-custom-api'); ?></h3>
+
+            <div class="wp-custom-api-form-row">
+                <label for="name">
+                    <?php _e('Name', 'wp-custom-api'); ?>
+                    <span style="color: red;">*</span>
+                </label>
+                <div>
+                    <input type="text" id="name" name="name" value="<?php echo esc_attr($data['name']); ?>" required class="regular-text" />
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="description"><?php _e('Description', 'wp-custom-api'); ?></label>
+                <div>
+                    <textarea id="description" name="description" rows="2" class="large-text"><?php echo esc_textarea($data['description']); ?></textarea>
+                </div>
+            </div>
+
+            <div class="wp-custom-api-form-row">
+                <label for="is_active"><?php _e('Status', 'wp-custom-api'); ?></label>
+                <div>
+                    <label class="wp-custom-api-toggle">
+                        <input type="checkbox" id="is_active" name="is_active" value="1" <?php checked((int) $data['is_active'], 1); ?> />
+                        <span class="slider"></span>
+                    </label>
+                    <span style="margin-left: 10px;"><?php _e('Active', 'wp-custom-api'); ?></span>
+                    <p class="description"><?php _e('Endpoints that reference an inactive workflow respond with 503.', 'wp-custom-api'); ?></p>
+                </div>
+            </div>
+        </div>
+
+        <div class="workflow-designer">
+
+            <!-- Palette -->
+            <div class="workflow-palette">
+                <h3><?php _e('Nodes', 'wp-custom-api'); ?></h3>
+                <p class="description"><?php _e('Drag onto the canvas, or select a drop slot and click a node.', 'wp-custom-api'); ?></p>
+
+                <div class="workflow-palette-group">
+                    <h4><?php _e('Flow', 'wp-custom-api'); ?></h4>
+                    <div class="workflow-palette-item" draggable="true" data-node-type="<?php echo esc_attr(Action_Executor::NODE_PARALLEL); ?>">
+                        <span class="dashicons dashicons-randomize"></span>
+                        <?php _e('Parallel Branches', 'wp-custom-api'); ?>
+                    </div>
+                    <div class="workflow-palette-item" draggable="true" data-node-type="<?php echo esc_attr(Action_Executor::NODE_CONDITION); ?>">
+                        <span class="dashicons dashicons-editor-help"></span>
+                        <?php _e('Condition', 'wp-custom-api'); ?>
+                    </div>
+                    <div class="workflow-palette-item" draggable="true" data-node-type="<?php echo esc_attr(Action_Executor::NODE_HOOK); ?>">
+                        <span class="dashicons dashicons-wordpress"></span>
+                        <?php _e('WordPress Action', 'wp-custom-api'); ?>
+                    </div>
+                </div>
+
+                <?php
+                $current_group = null;
+                foreach ($handlers as $handler):
+                    if ($handler['group'] !== $current_group):
+                        if ($current_group !== null) echo '</div>';
+                        $current_group = $handler['group'];
+                        ?>
+                        <div class="workflow-palette-group">
+                            <h4><?php echo esc_html(ucwords(str_replace('_', ' ', $current_group))); ?></h4>
+                    <?php endif; ?>
+                    <div class="workflow-palette-item" draggable="true"
+                        data-node-type="<?php echo esc_attr(Action_Executor::NODE_HANDLER); ?>"
+                        data-handler="<?php echo esc_attr($handler['name']); ?>"
+                        title="<?php echo esc_attr($handler['description']); ?>">
+                        <span class="dashicons dashicons-admin-generic"></span>
+                        <?php echo esc_html($handler['label']); ?>
+                    </div>
+                <?php endforeach; ?>
+                <?php if ($current_group !== null) echo '</div>'; ?>
+
+                <?php if (empty($handlers)): ?>
+                    <p class="description"><?php _e('No action handlers are registered. Register one with Hooks::register_handler().', 'wp-custom-api'); ?></p>
+                <?php endif; ?>
+            </div>
+
+            <!-- Canvas -->
+            <div class="workflow-canvas">
+                <div class="workflow-node-start"><?php _e('Request data', 'wp-custom-api'); ?></div>
+                <div class="workflow-steps-root"></div>
+                <div class="workflow-node-end"><?php _e('Response', 'wp-custom-api'); ?></div>
+            </div>
+
+            <!-- Inspector -->
+            <aside class="workflow-inspector">
+                <h3><?php _e('Node Options', 'wp-custom-api'); ?></h3>
+                <div class="workflow-inspector-body">
+                    <p class="description"><?php _e('Select a node to configure it.', 'wp-custom-api'); ?></p>
+                </div>
+            </aside>
+        </div>
+
+        <!-- Test run -->
+        <div class="wp-custom-api-form-section workflow-test">
+            <h3><?php _e('Test Run', 'wp-custom-api'); ?></h3>
+            <p class="description"><?php _e('Runs the workflow as currently designed, without saving it. Handlers execute for real, so emails are sent and posts are created.', 'wp-custom-api'); ?></p>
+            <label for="workflow-test-sample"><?php _e('Sample Request Data', 'wp-custom-api'); ?></label>
+            <textarea id="workflow-test-sample" rows="6" class="large-text code" placeholder='{"email": "jane@example.com", "total": 42}'></textarea>
+            <p>
+                <button type="button" class="button workflow-test-run"><?php _e('Run Test', 'wp-custom-api'); ?></button>
+                <span class="spinner workflow-test-spinner"></span>
+            </p>
+            <div class="workflow-test-output"></div>
+        </div>
+
+        <p class="submit">
+            <button type="submit" name="wp_custom_api_save_workflow" class="button button-primary button-large">
+                <?php _e('Save Workflow', 'wp-custom-api'); ?>
+            </button>
+            <a href="<?php echo esc_url($list_url); ?>" class="button button-large">
+                <?php _e('Cancel', 'wp-custom-api'); ?>
+            </a>
+        </p>
+    </form>
 </div>
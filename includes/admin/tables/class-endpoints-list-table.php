@@ -6,6 +6,8 @@ namespace WP_Custom_API\Includes\Admin\Tables;
 
 use WP_Custom_API\Includes\Database;
 use WP_Custom_API\Includes\Endpoint_Manager\Custom_Endpoint_Model;
+use WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Manager;
+use WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Request_Model;
 
 /**
  * Prevent direct access from sources other than the WordPress environment
@@ -16,26 +18,31 @@ if (!defined('ABSPATH')) exit;
  * Endpoints List Table
  *
  * Displays all custom endpoints in a WordPress admin list table with:
- * - Bulk actions (activate, deactivate, delete)
+ * - Bulk actions (activate, deactivate, delete, duplicate)
  * - Status indicators
- * - Search and filtering
- * - Sortable columns
+ * - Search and filtering by method, handler type and status
+ * - Sortable columns, including request counts from the request metrics
  * - Quick actions (edit, test, duplicate, delete)
  *
+ * admin.js drives the table over AJAX; the AJAX handlers render single
+ * rows and pages of rows with render_rows() and render_page().
+ *
  * @since 2.0.0
  */
 class Endpoints_List_Table extends \WP_List_Table
 {
     /**
      * Constructor
+     *
+     * @param array $args Passed to WP_List_Table, e.g. the screen for AJAX requests
      */
-    public function __construct()
+    public function __construct(array $args = [])
     {
-        parent::__construct([
+        parent::__construct(array_merge([
             'singular' => 'endpoint',
             'plural'   => 'endpoints',
             'ajax'     => true
-        ]);
+        ], $args));
     }
 
     /**
@@ -132,7 +139,7 @@ class Endpoints_List_Table extends \WP_List_Table
                 __('Duplicate', 'wp-custom-api')
             ),
             'delete' => sprintf(
-                '<a href="#" class="wp-custom-api-delete" data-item-id="%s" data-item-type="endpoint" style="color: #b32d2e;">%s</a>',
+                '<a href="#" class="wp-custom-api-endpoint-delete" data-endpoint-id="%s" style="color: #b32d2e;">%s</a>',
                 $item['id'],
                 __('Delete', 'wp-custom-api')
             )
@@ -240,22 +247,7 @@ class Endpoints_List_Table extends \WP_List_Table
      */
     protected function column_requests_24h($item): string
     {
-        global $wpdb;
-
-        $webhook_table = Database::get_table_full_name('webhook_log');
-        if (!$webhook_table) {
-            return '<span style="color: #646970;">—</span>';
-        }
-
-        $count = $wpdb->get_var($wpdb->prepare(
-            "SELECT COUNT(*) FROM {$webhook_table}
-             WHERE endpoint_id = %d
-             AND created_at >= %s",
-            $item['id'],
-            date('Y-m-d H:i:s', strtotime('-24 hours'))
-        ));
-
-        return number_format((int)$count);
+        return number_format((int) ($item['requests_count'] ?? 0));
     }
 
     /**
@@ -266,32 +258,32 @@ class Endpoints_List_Table extends \WP_List_Table
      */
     protected function column_last_called($item): string
     {
-        global $wpdb;
-
-        $webhook_table = Database::get_table_full_name('webhook_log');
-        if (!$webhook_table) {
-            return '<span style="color: #646970;">—</span>';
-        }
+        $last_called = (int) ($item['last_called_at'] ?? 0);
 
-        $last_call = $wpdb->get_var($wpdb->prepare(
-            "SELECT created_at FROM {$webhook_table}
-             WHERE endpoint_id = %d
-             ORDER BY created_at DESC
-             LIMIT 1",
-            $item['id']
-        ));
-
-        if (!$last_call) {
+        if (!$last_called) {
             return '<span style="color: #646970;">' . __('Never', 'wp-custom-api') . '</span>';
         }
 
         return sprintf(
             '<span title="%s">%s</span>',
-            esc_attr($last_call),
-            human_time_diff(strtotime($last_call), current_time('timestamp')) . ' ago'
+            esc_attr(wp_date('Y-m-d H:i:s', $last_called)),
+            sprintf(__('%s ago', 'wp-custom-api'), human_time_diff($last_called))
         );
     }
 
+    /**
+     * Render a row with its endpoint id for in-place updates
+     *
+     * @param array $item
+     * @return void
+     */
+    public function single_row($item): void
+    {
+        printf('<tr data-endpoint-id="%d">', (int) $item['id']);
+        $this->single_row_columns($item);
+        echo '</tr>';
+    }
+
     /**
      * Render actions column
      *
@@ -334,17 +326,20 @@ class Endpoints_List_Table extends \WP_List_Table
         $current_page = $this->get_pagenum();
 
         // Get filters
-        $search = isset($_REQUEST['s']) ? sanitize_text_field($_REQUEST['s']) : '';
-        $handler_type = isset($_REQUEST['handler_type']) ? sanitize_text_field($_REQUEST['handler_type']) : '';
-        $status = isset($_REQUEST['status']) ? sanitize_text_field($_REQUEST['status']) : '';
+        $filters = [
+            'search' => isset($_REQUEST['s']) ? sanitize_text_field(wp_unslash($_REQUEST['s'])) : '',
+            'method' => isset($_REQUEST['method']) ? strtoupper(sanitize_key($_REQUEST['method'])) : '',
+            'handler_type' => isset($_REQUEST['handler_type']) ? sanitize_text_field($_REQUEST['handler_type']) : '',
+            'status' => isset($_REQUEST['status']) ? sanitize_text_field($_REQUEST['status']) : ''
+        ];
 
         // Get sorting
         $orderby = isset($_REQUEST['orderby']) ? sanitize_text_field($_REQUEST['orderby']) : 'id';
         $order = isset($_REQUEST['order']) ? sanitize_text_field($_REQUEST['order']) : 'DESC';
 
         // Build query
-        $items = $this->get_endpoints($search, $handler_type, $status, $orderby, $order, $per_page, $current_page);
-        $total_items = $this->get_endpoints_count($search, $handler_type, $status);
+        $items = $this->get_endpoints($filters, $orderby, $order, $per_page, $current_page);
+        $total_items = $this->get_endpoints_count($filters);
 
         // Set items
         $this->items = $items;
@@ -358,53 +353,71 @@ class Endpoints_List_Table extends \WP_List_Table
     }
 
     /**
-     * Get endpoints from database
+     * Render the rows for the current filters with their pagination numbers
+     *
+     * @return array rows_html, total, page and total_pages
+     */
+    public function render_page(): array
+    {
+        $this->prepare_items();
+
+        ob_start();
+        $this->display_rows_or_placeholder();
+
+        return [
+            'rows_html' => ob_get_clean(),
+            'total' => (int) $this->get_pagination_arg('total_items'),
+            'page' => $this->get_pagenum(),
+            'total_pages' => (int) $this->get_pagination_arg('total_pages')
+        ];
+    }
+
+    /**
+     * Render the rows of some endpoints
+     *
+     * @param array $ids
+     * @return array endpoint id => row HTML, for the endpoints that exist
+     */
+    public function render_rows(array $ids): array
+    {
+        $this->_column_headers = [
+            $this->get_columns(),
+            [],
+            $this->get_sortable_columns()
+        ];
+
+        $rows = [];
+        foreach ($this->get_endpoints(['ids' => $ids], 'id', 'DESC', max(count($ids), 1), 1) as $item) {
+            ob_start();
+            $this->single_row($item);
+            $rows[(int) $item['id']] = ob_get_clean();
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Get endpoints from database with their request counts
      *
-     * @param string $search
-     * @param string $handler_type
-     * @param string $status
+     * @param array $filters search, method, handler_type, status or ids
      * @param string $orderby
      * @param string $order
      * @param int $per_page
      * @param int $current_page
      * @return array
      */
-    private function get_endpoints(string $search, string $handler_type, string $status, string $orderby, string $order, int $per_page, int $current_page): array
+    private function get_endpoints(array $filters, string $orderby, string $order, int $per_page, int $current_page): array
     {
         global $wpdb;
 
         $table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
         if (!$table) return [];
 
-        $where = ['1=1'];
-        $where_values = [];
-
-        // Search filter
-        if (!empty($search)) {
-            $where[] = '(name LIKE %s OR slug LIKE %s OR route LIKE %s)';
-            $search_term = '%' . $wpdb->esc_like($search) . '%';
-            $where_values[] = $search_term;
-            $where_values[] = $search_term;
-            $where_values[] = $search_term;
-        }
-
-        // Handler type filter
-        if (!empty($handler_type)) {
-            $where[] = 'handler_type = %s';
-            $where_values[] = $handler_type;
-        }
-
-        // Status filter
-        if ($status !== '') {
-            $where[] = 'is_active = %d';
-            $where_values[] = (int)$status;
-        }
-
-        $where_clause = implode(' AND ', $where);
+        [$where_clause, $where_values] = $this->build_where($filters);
         $offset = ($current_page - 1) * $per_page;
 
         // Validate orderby
-        $allowed_orderby = ['id', 'name', 'route', 'method', 'handler_type', 'is_active', 'created_at'];
+        $allowed_orderby = ['id', 'name', 'route', 'method', 'handler_type', 'is_active', 'created_at', 'requests_count', 'last_called_at'];
         if (!in_array($orderby, $allowed_orderby)) {
             $orderby = 'id';
         }
@@ -412,61 +425,101 @@ class Endpoints_List_Table extends \WP_List_Table
         // Validate order
         $order = strtoupper($order) === 'ASC' ? 'ASC' : 'DESC';
 
-        $sql = "SELECT * FROM {$table} WHERE {$where_clause} ORDER BY {$orderby} {$order} LIMIT %d OFFSET %d";
+        // Request counts come from the request metrics when they are recorded
+        if (Database::table_exists(Endpoint_Request_Model::TABLE_NAME)) {
+            $requests_table = Database::get_table_full_name(Endpoint_Request_Model::TABLE_NAME);
+            $stats_join = $wpdb->prepare(
+                "LEFT JOIN (
+                    SELECT endpoint_id, SUM(requested_at >= %d) AS requests_count, MAX(requested_at) AS last_called_at
+                    FROM {$requests_table}
+                    GROUP BY endpoint_id
+                ) stats ON stats.endpoint_id = e.id",
+                time() - DAY_IN_SECONDS
+            );
+            $stats_columns = 'COALESCE(stats.requests_count, 0) AS requests_count, stats.last_called_at';
+        } else {
+            $stats_join = '';
+            $stats_columns = '0 AS requests_count, NULL AS last_called_at';
+        }
+
+        $sql = "SELECT e.*, {$stats_columns} FROM {$table} e {$stats_join} WHERE {$where_clause} ORDER BY {$orderby} {$order} LIMIT %d OFFSET %d";
         $where_values[] = $per_page;
         $where_values[] = $offset;
 
-        if (!empty($where_values)) {
-            $sql = $wpdb->prepare($sql, $where_values);
-        }
-
-        return $wpdb->get_results($sql, ARRAY_A);
+        return $wpdb->get_results($wpdb->prepare($sql, $where_values), ARRAY_A) ?: [];
     }
 
     /**
      * Get endpoints count
      *
-     * @param string $search
-     * @param string $handler_type
-     * @param string $status
+     * @param array $filters
      * @return int
      */
-    private function get_endpoints_count(string $search, string $handler_type, string $status): int
+    private function get_endpoints_count(array $filters): int
     {
         global $wpdb;
 
         $table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
         if (!$table) return 0;
 
+        [$where_clause, $where_values] = $this->build_where($filters);
+        $sql = "SELECT COUNT(*) FROM {$table} e WHERE {$where_clause}";
+
+        if (!empty($where_values)) {
+            $sql = $wpdb->prepare($sql, $where_values);
+        }
+
+        return (int)$wpdb->get_var($sql);
+    }
+
+    /**
+     * Build the WHERE clause for the filters
+     *
+     * @param array $filters
+     * @return array [clause, values]
+     */
+    private function build_where(array $filters): array
+    {
+        global $wpdb;
+
         $where = ['1=1'];
         $where_values = [];
 
-        if (!empty($search)) {
-            $where[] = '(name LIKE %s OR slug LIKE %s OR route LIKE %s)';
-            $search_term = '%' . $wpdb->esc_like($search) . '%';
+        // Search filter
+        if (!empty($filters['search'])) {
+            $where[] = '(e.name LIKE %s OR e.slug LIKE %s OR e.route LIKE %s)';
+            $search_term = '%' . $wpdb->esc_like($filters['search']) . '%';
             $where_values[] = $search_term;
             $where_values[] = $search_term;
             $where_values[] = $search_term;
         }
 
-        if (!empty($handler_type)) {
-            $where[] = 'handler_type = %s';
-            $where_values[] = $handler_type;
+        // Method filter
+        if (!empty($filters['method'])) {
+            $where[] = 'e.method = %s';
+            $where_values[] = $filters['method'];
         }
 
-        if ($status !== '') {
-            $where[] = 'is_active = %d';
-            $where_values[] = (int)$status;
+        // Handler type filter
+        if (!empty($filters['handler_type'])) {
+            $where[] = 'e.handler_type = %s';
+            $where_values[] = $filters['handler_type'];
         }
 
-        $where_clause = implode(' AND ', $where);
-        $sql = "SELECT COUNT(*) FROM {$table} WHERE {$where_clause}";
+        // Status filter
+        if (isset($filters['status']) && $filters['status'] !== '') {
+            $where[] = 'e.is_active = %d';
+            $where_values[] = (int)$filters['status'];
+        }
 
-        if (!empty($where_values)) {
-            $sql = $wpdb->prepare($sql, $where_values);
+        // Specific endpoints
+        if (isset($filters['ids'])) {
+            $ids = array_map('intval', $filters['ids']) ?: [0];
+            $where[] = 'e.id IN (' . implode(',', array_fill(0, count($ids), '%d')) . ')';
+            $where_values = array_merge($where_values, $ids);
         }
 
-        return (int)$wpdb->get_var($sql);
+        return [implode(' AND ', $where), $where_values];
     }
 
     /**
@@ -478,7 +531,8 @@ class Endpoints_List_Table extends \WP_List_Table
     {
         $action = $this->current_action();
 
-        if (!$action) {
+        // AJAX requests carry their own action and run bulk operations through their handler
+        if (!$action || wp_doing_ajax()) {
             return;
         }
 
@@ -577,25 +631,8 @@ class Endpoints_List_Table extends \WP_List_Table
      */
     private function bulk_duplicate(array $ids): void
     {
-        global $wpdb;
-        $table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
-
-        if (!$table) return;
-
         foreach ($ids as $id) {
-            $endpoint = $wpdb->get_row($wpdb->prepare(
-                "SELECT * FROM {$table} WHERE id = %d",
-                $id
-            ), ARRAY_A);
-
-            if ($endpoint) {
-                unset($endpoint['id']);
-                $endpoint['name'] = $endpoint['name'] . ' (Copy)';
-                $endpoint['slug'] = $endpoint['slug'] . '-copy-' . time();
-                $endpoint['is_active'] = 0;
-
-                Database::insert_row(Custom_Endpoint_Model::TABLE_NAME, $endpoint);
-            }
+            Endpoint_Manager::duplicate_endpoint($id);
         }
     }
 
@@ -611,10 +648,18 @@ class Endpoints_List_Table extends \WP_List_Table
             return;
         }
 
+        $method = isset($_REQUEST['method']) ? strtoupper($_REQUEST['method']) : '';
         $handler_type = isset($_REQUEST['handler_type']) ? $_REQUEST['handler_type'] : '';
         $status = isset($_REQUEST['status']) ? $_REQUEST['status'] : '';
         ?>
-        <div class="alignleft actions">
+        <div class="alignleft actions endpoints-filters">
+            <select name="method">
+                <option value=""><?php _e('All Methods', 'wp-custom-api'); ?></option>
+                <?php foreach (['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] as $method_option): ?>
+                    <option value="<?php echo esc_attr($method_option); ?>" <?php selected($method, $method_option); ?>><?php echo esc_html($method_option); ?></option>
+                <?php endforeach; ?>
+            </select>
+
             <select name="handler_type">
                 <option value=""><?php _e('All Handler Types', 'wp-custom-api'); ?></option>
                 <option value="webhook" <?php selected($handler_type, 'webhook'); ?>><?php _e('Webhook', 'wp-custom-api'); ?></option>
@@ -44,6 +44,19 @@ final class Action_Executor
      */
     private static array $execution_log = [];
 
+    /**
+     * Maximum execution log entries kept in memory
+     */
+    private const MAX_LOG_ENTRIES = 200;
+
+    /**
+     * Workflow node types
+     */
+    public const NODE_HANDLER = 'handler';
+    public const NODE_HOOK = 'hook';
+    public const NODE_PARALLEL = 'parallel';
+    public const NODE_CONDITION = 'condition';
+
     /**
      * Register a custom action handler
      *
@@ -51,7 +64,16 @@ final class Action_Executor
      * Action_Executor::register('my_handler', function($data, $endpoint, $request) {
      *     // Process data
      *     return ['result' => 'success', 'data' => $processed];
-     * });
+     * }, [
+     *     'label' => 'My Handler',
+     *     'fields' => [
+     *         ['key' => 'channel', 'label' => 'Channel', 'type' => 'text', 'required' => true],
+     *     ],
+     * ]);
+     *
+     * The optional fields describe the data keys the handler reads (type is one of
+     * text, textarea, number, select, checkbox or json). The workflow designer
+     * renders them as the options form of the handler's nodes.
      *
      * @param string $name Handler name
      * @param callable $callback The callback function
@@ -63,7 +85,9 @@ final class Action_Executor
         self::$handlers[$name] = [
             'callback' => $callback,
             'options' => array_merge([
+                'label' => '',
                 'description' => '',
+                'fields' => [],
                 'group' => 'default',
                 'priority' => 10,
                 'accepts_request' => true,
@@ -200,9 +224,14 @@ final class Action_Executor
             'time' => $execution_time,
             'success' => $error === null,
             'error' => $error,
+            'output' => $result instanceof WP_REST_Response ? $result->get_data() : $result,
             'timestamp' => time()
         ];
 
+        if (count(self::$execution_log) > self::MAX_LOG_ENTRIES) {
+            self::$execution_log = array_slice(self::$execution_log, -self::MAX_LOG_ENTRIES);
+        }
+
         // Convert result to response if needed
         if ($options['returns_response'] && !($result instanceof WP_REST_Response)) {
             $result = new WP_REST_Response(
@@ -309,6 +338,240 @@ final class Action_Executor
         return $results;
     }
 
+    /**
+     * Execute a workflow definition built in the workflow designer
+     *
+     * The definition is a sequence of nodes under "steps". Handler and hook
+     * nodes receive the current data merged with their options and, like
+     * execute_chain, merge array results back into it. Parallel nodes run each
+     * branch from the same input and merge the branch results in order.
+     * Condition nodes run their "then" or "else" steps depending on whether
+     * the data matches their ETL-style filter conditions. Execution stops at
+     * the first failed node.
+     *
+     * @param array $workflow Workflow definition with a "steps" list
+     * @param array $data Input data
+     * @param array $endpoint Endpoint configuration
+     * @param WP_REST_Request|null $request Original request
+     * @return array success, data, error and a per-node trace taken from the execution log
+     */
+    public static function execute_workflow(
+        array $workflow,
+        array $data,
+        array $endpoint = [],
+        ?WP_REST_Request $request = null
+    ): array {
+        $trace = [];
+        $error = null;
+
+        $data = self::run_workflow_steps($workflow['steps'] ?? [], $data, $endpoint, $request, $trace, $error);
+
+        return [
+            'success' => $error === null,
+            'data' => $data,
+            'error' => $error,
+            'nodes' => $trace,
+        ];
+    }
+
+    /**
+     * Run a sequence of workflow nodes
+     *
+     * @param array $steps
+     * @param array $data
+     * @param array $endpoint
+     * @param WP_REST_Request|null $request
+     * @param array $trace Per-node results, appended in execution order
+     * @param string|null $error Set to the first failure
+     * @return array Data after the last executed node
+     */
+    private static function run_workflow_steps(
+        array $steps,
+        array $data,
+        array $endpoint,
+        ?WP_REST_Request $request,
+        array &$trace,
+        ?string &$error
+    ): array {
+        foreach ($steps as $node) {
+            if ($error !== null) {
+                break;
+            }
+
+            if (!is_array($node)) {
+                continue;
+            }
+
+            $data = self::run_workflow_node($node, $data, $endpoint, $request, $trace, $error);
+        }
+
+        return $data;
+    }
+
+    /**
+     * Run a single workflow node
+     *
+     * @param array $node
+     * @param array $data
+     * @param array $endpoint
+     * @param WP_REST_Request|null $request
+     * @param array $trace
+     * @param string|null $error
+     * @return array
+     */
+    private static function run_workflow_node(
+        array $node,
+        array $data,
+        array $endpoint,
+        ?WP_REST_Request $request,
+        array &$trace,
+        ?string &$error
+    ): array {
+        $id = (string) ($node['id'] ?? '');
+        $type = $node['type'] ?? self::NODE_HANDLER;
+
+        if ($type === self::NODE_PARALLEL) {
+            $changes = [];
+
+            foreach ($node['branches'] ?? [] as $branch) {
+                $branch_data = self::run_workflow_steps(is_array($branch) ? $branch : [], $data, $endpoint, $request, $trace, $error);
+
+                // Branches start from the same input, so merge only what each one added or changed
+                foreach ($branch_data as $key => $value) {
+                    if (!array_key_exists($key, $data) || $data[$key] !== $value) {
+                        $changes[$key] = $value;
+                    }
+                }
+            }
+
+            return array_merge($data, $changes);
+        }
+
+        if ($type === self::NODE_CONDITION) {
+            $conditions = is_array($node['conditions'] ?? null) ? $node['conditions'] : [];
+            $matched = (new ETL_Engine())->matches_filters($data, $conditions);
+
+            $trace[] = [
+                'node' => $id,
+                'type' => $type,
+                'success' => true,
+                'error' => null,
+                'time' => 0,
+                'output' => ['matched' => $matched, 'branch' => $matched ? 'then' : 'else'],
+            ];
+
+            $steps = $matched ? ($node['then'] ?? []) : ($node['else'] ?? []);
+
+            return self::run_workflow_steps(is_array($steps) ? $steps : [], $data, $endpoint, $request, $trace, $error);
+        }
+
+        $options = self::interpolate_options(is_array($node['options'] ?? null) ? $node['options'] : [], $data);
+        $input = array_merge($data, $options);
+
+        if ($type === self::NODE_HOOK) {
+            $hook = (string) ($node['hook'] ?? '');
+            $start_time = microtime(true);
+            $output = $hook !== '' ? self::do_action($hook, $input, $endpoint) : null;
+
+            $entry = [
+                'handler' => $hook,
+                'time' => microtime(true) - $start_time,
+                'success' => $hook !== '',
+                'error' => $hook !== '' ? null : 'No hook name configured',
+                'output' => $output,
+            ];
+        } else {
+            $handler = (string) ($node['handler'] ?? '');
+
+            if (self::exists($handler)) {
+                self::execute($handler, $input, $endpoint, $request);
+                $entry = end(self::$execution_log);
+            } else {
+                $entry = [
+                    'handler' => $handler,
+                    'time' => 0,
+                    'success' => false,
+                    'error' => "Handler not found: {$handler}",
+                    'output' => null,
+                ];
+            }
+        }
+
+        $trace[] = [
+            'node' => $id,
+            'type' => $type,
+            'handler' => $entry['handler'],
+            'success' => $entry['success'],
+            'error' => $entry['error'],
+            'time' => $entry['time'],
+            'output' => $entry['output'],
+        ];
+
+        if (!$entry['success']) {
+            $error = $entry['error'] ?? 'Workflow node failed';
+            return $data;
+        }
+
+        return is_array($entry['output']) ? array_merge($data, $entry['output']) : $data;
+    }
+
+    /**
+     * Replace {{path}} placeholders in node options with values from the data
+     *
+     * A placeholder that makes up the whole value keeps the value's type.
+     *
+     * @param array $options
+     * @param array $data
+     * @return array
+     */
+    private static function interpolate_options(array $options, array $data): array
+    {
+        foreach ($options as $key => $value) {
+            if (is_array($value)) {
+                $options[$key] = self::interpolate_options($value, $data);
+                continue;
+            }
+
+            if (!is_string($value) || !str_contains($value, '{{')) {
+                continue;
+            }
+
+            if (preg_match('/^\{\{\s*([\w.\-]+)\s*\}\}$/', $value, $matches)) {
+                $options[$key] = self::get_path_value($data, $matches[1]);
+                continue;
+            }
+
+            $options[$key] = preg_replace_callback('/\{\{\s*([\w.\-]+)\s*\}\}/', function ($matches) use ($data) {
+                $resolved = self::get_path_value($data, $matches[1]);
+                return is_scalar($resolved) ? (string) $resolved : (string) wp_json_encode($resolved);
+            }, $value);
+        }
+
+        return $options;
+    }
+
+    /**
+     * Get a value from data using dot notation
+     *
+     * @param array $data
+     * @param string $path
+     * @return mixed
+     */
+    private static function get_path_value(array $data, string $path): mixed
+    {
+        $value = $data;
+
+        foreach (explode('.', $path) as $key) {
+            if (!is_array($value) || !array_key_exists($key, $value)) {
+                return null;
+            }
+
+            $value = $value[$key];
+        }
+
+        return $value;
+    }
+
     /**
      * Get all registered handlers
      *
@@ -427,7 +690,7 @@ final class Action_Executor
         self::register('log', function($data, $endpoint) {
             error_log('[WP Custom API] Data: ' . json_encode($data));
             return $data;
-        }, ['description' => 'Logs data to error log', 'group' => 'utility']);
+        }, ['label' => 'Log Data', 'description' => 'Logs data to error log', 'group' => 'utility']);
 
         // Email notification handler
         self::register('send_email', function($data, $endpoint) {
@@ -438,7 +701,16 @@ final class Action_Executor
             $sent = wp_mail($to, $subject, $message);
 
             return ['sent' => $sent, 'to' => $to];
-        }, ['description' => 'Sends email notification', 'group' => 'notification']);
+        }, [
+            'label' => 'Send Email',
+            'description' => 'Sends email notification',
+            'group' => 'notification',
+            'fields' => [
+                ['key' => 'to', 'label' => 'To', 'type' => 'text', 'placeholder' => 'Site admin email'],
+                ['key' => 'subject', 'label' => 'Subject', 'type' => 'text', 'placeholder' => 'WP Custom API Notification'],
+                ['key' => 'message', 'label' => 'Message', 'type' => 'textarea', 'description' => 'Defaults to the workflow data as JSON'],
+            ],
+        ]);
 
         // Slack notification handler
         self::register('notify_slack', function($data, $endpoint) {
@@ -458,7 +730,15 @@ final class Action_Executor
                 'sent' => !is_wp_error($response),
                 'error' => is_wp_error($response) ? $response->get_error_message() : null
             ];
-        }, ['description' => 'Sends Slack notification', 'group' => 'notification']);
+        }, [
+            'label' => 'Slack Notification',
+            'description' => 'Sends Slack notification',
+            'group' => 'notification',
+            'fields' => [
+                ['key' => 'webhook_url', 'label' => 'Webhook URL', 'type' => 'text', 'required' => true],
+                ['key' => 'message', 'label' => 'Message', 'type' => 'textarea', 'description' => 'Defaults to the workflow data as JSON'],
+            ],
+        ]);
 
         // Store to database handler
         self::register('store_data', function($data, $endpoint) {
@@ -472,7 +752,14 @@ final class Action_Executor
             ]);
 
             return ['stored' => $result->ok, 'id' => $result->data['id'] ?? null];
-        }, ['description' => 'Stores data to database', 'group' => 'storage']);
+        }, [
+            'label' => 'Store Data',
+            'description' => 'Stores data to database',
+            'group' => 'storage',
+            'fields' => [
+                ['key' => '_table', 'label' => 'Table', 'type' => 'text', 'placeholder' => 'webhook_data'],
+            ],
+        ]);
 
         // WordPress user creation handler
         self::register('create_wp_user', function($data, $endpoint) {
@@ -507,7 +794,17 @@ final class Action_Executor
                 'email' => $email,
                 'role' => $role
             ];
-        }, ['description' => 'Creates WordPress user', 'group' => 'wordpress']);
+        }, [
+            'label' => 'Create User',
+            'description' => 'Creates WordPress user',
+            'group' => 'wordpress',
+            'fields' => [
+                ['key' => 'username', 'label' => 'Username', 'type' => 'text', 'description' => 'Defaults to the email'],
+                ['key' => 'email', 'label' => 'Email', 'type' => 'text', 'required' => true],
+                ['key' => 'role', 'label' => 'Role', 'type' => 'text', 'placeholder' => 'subscriber'],
+                ['key' => 'meta', 'label' => 'User Meta', 'type' => 'json', 'placeholder' => '{"source": "api"}'],
+            ],
+        ]);
 
         // WordPress post creation handler
         self::register('create_wp_post', function($data, $endpoint) {
@@ -549,7 +846,18 @@ final class Action_Executor
                 'post_id' => $post_id,
                 'url' => get_permalink($post_id)
             ];
-        }, ['description' => 'Creates WordPress post', 'group' => 'wordpress']);
+        }, [
+            'label' => 'Create Post',
+            'description' => 'Creates WordPress post',
+            'group' => 'wordpress',
+            'fields' => [
+                ['key' => 'title', 'label' => 'Title', 'type' => 'text', 'placeholder' => 'Untitled'],
+                ['key' => 'content', 'label' => 'Content', 'type' => 'textarea'],
+                ['key' => 'status', 'label' => 'Status', 'type' => 'select', 'options' => ['draft', 'pending', 'publish', 'private'], 'default' => 'draft'],
+                ['key' => 'type', 'label' => 'Post Type', 'type' => 'text', 'placeholder' => 'post'],
+                ['key' => 'meta', 'label' => 'Post Meta', 'type' => 'json'],
+            ],
+        ]);
 
         // HTTP request handler
         self::register('http_request', function($data, $endpoint) {
@@ -583,7 +891,18 @@ final class Action_Executor
                 'body' => json_decode(wp_remote_retrieve_body($response), true) ?: wp_remote_retrieve_body($response),
                 'headers' => wp_remote_retrieve_headers($response)->getAll()
             ];
-        }, ['description' => 'Makes HTTP request', 'group' => 'utility']);
+        }, [
+            'label' => 'HTTP Request',
+            'description' => 'Makes HTTP request',
+            'group' => 'utility',
+            'fields' => [
+                ['key' => 'url', 'label' => 'URL', 'type' => 'text', 'required' => true],
+                ['key' => 'method', 'label' => 'Method', 'type' => 'select', 'options' => ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], 'default' => 'GET'],
+                ['key' => 'headers', 'label' => 'Headers', 'type' => 'json', 'placeholder' => '{"Authorization": "Bearer ..."}'],
+                ['key' => 'body', 'label' => 'Body', 'type' => 'json'],
+                ['key' => 'timeout', 'label' => 'Timeout', 'type' => 'number', 'placeholder' => '30'],
+            ],
+        ]);
 
         do_action('wp_custom_api_builtin_handlers_registered');
     }
@@ -0,0 +1,1105 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Includes\Database;
+use WP_Custom_API\Includes\Response_Handler;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Bundle Manager - Portable export/import of integrations between sites
+ *
+ * This class handles:
+ * - Exporting selected endpoints together with the ETL templates, external
+ *   services and scheduled tasks they depend on, optionally without secrets
+ * - Previewing what importing a bundle would create or overwrite
+ * - Importing a bundle: items are created, overwrite a matching item,
+ *   link to a matching item or are skipped, and every cross-reference is
+ *   remapped to the IDs the items get on this site
+ *
+ * Configuration columns are copied verbatim, so a bundle round-trips
+ * exactly. IDs in a bundle are those of the exporting site and are never
+ * reused.
+ *
+ * @since 2.0.0
+ */
+
+final class Bundle_Manager
+{
+    /**
+     * Bundle file format marker and version
+     */
+    public const FORMAT = 'wp-custom-api-bundle';
+    public const VERSION = 1;
+
+    /**
+     * Import actions
+     */
+    public const ACTION_CREATE = 'create';
+    public const ACTION_OVERWRITE = 'overwrite';
+    public const ACTION_USE_EXISTING = 'use_existing';
+    public const ACTION_SKIP = 'skip';
+
+    /**
+     * Bundle sections in import order, dependencies before the items using them
+     */
+    public const TYPES = [
+        'external_services' => 'External service',
+        'etl_templates' => 'ETL template',
+        'endpoints' => 'Endpoint',
+        'scheduled_tasks' => 'Scheduled task',
+    ];
+
+    /**
+     * Table of each section
+     */
+    private const TABLES = [
+        'external_services' => External_Service_Model::TABLE_NAME,
+        'etl_templates' => ETL_Template_Model::TABLE_NAME,
+        'endpoints' => Custom_Endpoint_Model::TABLE_NAME,
+        'scheduled_tasks' => Scheduled_Task_Model::TABLE_NAME,
+    ];
+
+    /**
+     * Columns holding runtime state rather than configuration
+     */
+    private const EXCLUDED_FIELDS = [
+        'external_services' => ['last_health_check', 'health_status'],
+        'etl_templates' => [],
+        'endpoints' => [],
+        'scheduled_tasks' => ['is_system', 'status', 'next_run_at', 'last_run_at', 'last_result', 'last_duration', 'run_count', 'fail_count'],
+    ];
+
+    /**
+     * JSON columns that may hold secrets
+     */
+    private const SECRET_COLUMNS = [
+        'external_services' => ['auth_config', 'default_headers'],
+        'etl_templates' => ['extract_config', 'load_config'],
+        'endpoints' => ['handler_config', 'permission_config'],
+        'scheduled_tasks' => ['config'],
+    ];
+
+    /**
+     * JSON columns whose every value is treated as a secret
+     *
+     * Header names such as Authorization or X-API-Key do not follow the
+     * secret key pattern, so every header value is stripped.
+     */
+    private const SECRET_VALUE_COLUMNS = [
+        'external_services' => ['default_headers'],
+    ];
+
+    /**
+     * Config keys holding headers, whose every value is treated as a secret
+     *
+     * Forward endpoints send their custom headers to the external service.
+     */
+    private const SECRET_VALUE_KEYS = ['custom_headers'];
+
+    /**
+     * Config keys whose values are secrets
+     */
+    private const SECRET_PATTERN = '/(secret|password|token|api_keys?|private_key)$/i';
+
+    /**
+     * Cross-references per section: column, or JSON column and key, => referenced section
+     *
+     * Workflows are not bundled; references to them are kept as they are.
+     */
+    private const REFERENCES = [
+        'external_services' => [],
+        'etl_templates' => [
+            'source_endpoint_id' => 'endpoints',
+            'external_service_id' => 'external_services',
+        ],
+        'endpoints' => [
+            'handler_config.template_id' => 'etl_templates',
+            'handler_config.auto_etl_template_id' => 'etl_templates',
+            'handler_config.external_service_id' => 'external_services',
+            'handler_config.workflow_id' => 'workflows',
+        ],
+        'scheduled_tasks' => [
+            'config.template_id' => 'etl_templates',
+            'config.source_service_id' => 'external_services',
+        ],
+    ];
+
+    /**
+     * Column names per table
+     */
+    private static array $columns = [];
+
+    /**
+     * Collect the selected endpoints and everything they depend on
+     *
+     * Dependencies are followed transitively: the ETL templates and external
+     * services an endpoint uses, the services and source endpoints of those
+     * templates, and the scheduled tasks that run the templates.
+     *
+     * @param array $endpoint_ids
+     * @return array Rows by section and ID, each with the reason it is included
+     */
+    public static function resolve(array $endpoint_ids): array
+    {
+        $items = array_fill_keys(array_keys(self::TYPES), []);
+        $queue = [];
+
+        foreach (array_unique(array_map('intval', $endpoint_ids)) as $id) {
+            $queue[] = ['endpoints', $id, 'Selected'];
+        }
+
+        while ($queue) {
+            [$type, $id, $reason] = array_shift($queue);
+
+            if ($id <= 0 || isset($items[$type][$id])) {
+                continue;
+            }
+
+            $row = self::get_row($type, $id);
+
+            if (!$row) {
+                continue;
+            }
+
+            $items[$type][$id] = ['row' => $row, 'reason' => $reason];
+            $used_by = sprintf('Used by %s "%s"', strtolower(self::TYPES[$type]), $row['name'] ?? '');
+
+            foreach (self::REFERENCES[$type] as $path => $target) {
+                $reference = (int) self::get_reference($row, $path);
+
+                if ($reference > 0 && isset(self::TYPES[$target])) {
+                    $queue[] = [$target, $reference, $used_by];
+                }
+            }
+
+            if ($type === 'etl_templates') {
+                foreach (self::get_template_tasks($id) as $task_id) {
+                    $queue[] = ['scheduled_tasks', $task_id, sprintf('Runs ETL template "%s"', $row['name'] ?? '')];
+                }
+            }
+        }
+
+        return $items;
+    }
+
+    /**
+     * List what exporting the selected endpoints would include
+     *
+     * @param array $endpoint_ids
+     * @return array One entry per item: type, type_label, id, name and reason
+     */
+    public static function preview_export(array $endpoint_ids): array
+    {
+        $preview = [];
+
+        foreach (self::resolve($endpoint_ids) as $type => $items) {
+            foreach ($items as $id => $item) {
+                $preview[] = [
+                    'type' => $type,
+                    'type_label' => self::TYPES[$type],
+                    'id' => $id,
+                    'name' => (string) ($item['row']['name'] ?? ''),
+                    'detail' => self::describe($type, $item['row']),
+                    'reason' => $item['reason'],
+                ];
+            }
+        }
+
+        return $preview;
+    }
+
+    /**
+     * Build a bundle of the selected endpoints and their dependencies
+     *
+     * @param array $endpoint_ids
+     * @param bool $strip_secrets Replace secrets with a placeholder
+     * @return Response_Handler Data holds the bundle, or the error
+     */
+    public static function export(array $endpoint_ids, bool $strip_secrets = true): Response_Handler
+    {
+        $resolved = self::resolve($endpoint_ids);
+
+        if (empty($resolved['endpoints'])) {
+            return Response_Handler::response(false, 404, 'None of the selected endpoints exist');
+        }
+
+        $sections = [];
+
+        foreach ($resolved as $type => $items) {
+            $sections[$type] = array_values(array_map(function (array $item) use ($type, $strip_secrets): array {
+                $row = array_diff_key($item['row'], array_flip(array_merge(['created_at', 'updated_at'], self::EXCLUDED_FIELDS[$type])));
+                $row['id'] = (int) $row['id'];
+
+                return $strip_secrets ? self::strip_secrets($type, $row) : $row;
+            }, $items));
+
+            // Never hand out a "stripped" bundle that still carries header credentials
+            if ($strip_secrets && self::has_plain_secret_values($type, $sections[$type])) {
+                return Response_Handler::response(false, 500, 'Secrets could not be stripped from the bundle');
+            }
+        }
+
+        return Response_Handler::response(true, 200, 'Bundle exported', [
+            'format' => self::FORMAT,
+            'version' => self::VERSION,
+            'exported_at' => gmdate('c'),
+            'source' => home_url(),
+            'secrets' => $strip_secrets ? 'stripped' : 'included',
+            'items' => $sections,
+        ]);
+    }
+
+    /**
+     * Read a bundle file
+     *
+     * @param string $json
+     * @return Response_Handler Data holds the bundle, or the error
+     */
+    public static function parse(string $json): Response_Handler
+    {
+        $bundle = json_decode(trim($json), true);
+
+        if (!is_array($bundle)) {
+            return Response_Handler::response(false, 400, 'The file is not valid JSON');
+        }
+
+        if (($bundle['format'] ?? '') !== self::FORMAT) {
+            return Response_Handler::response(false, 400, 'The file is not a WP Custom API bundle');
+        }
+
+        if ((int) ($bundle['version'] ?? 0) > self::VERSION) {
+            return Response_Handler::response(false, 400, 'The bundle was exported by a newer version of the plugin');
+        }
+
+        $items = [];
+
+        foreach (array_keys(self::TYPES) as $type) {
+            $rows = $bundle['items'][$type] ?? [];
+
+            if (!is_array($rows)) {
+                return Response_Handler::response(false, 400, "The {$type} section of the bundle is not a list");
+            }
+
+            foreach ($rows as $row) {
+                if (!is_array($row) || (int) ($row['id'] ?? 0) <= 0 || empty($row['name'])) {
+                    return Response_Handler::response(false, 400, "Every item in the {$type} section needs an id and a name");
+                }
+
+                $items[$type][(int) $row['id']] = $row;
+            }
+        }
+
+        if (empty($items['endpoints'])) {
+            return Response_Handler::response(false, 400, 'The bundle has no endpoints');
+        }
+
+        $bundle['items'] = $items + array_fill_keys(array_keys(self::TYPES), []);
+
+        return Response_Handler::response(true, 200, 'Bundle read', $bundle);
+    }
+
+    /**
+     * List what importing a bundle would do with each item
+     *
+     * @param array $bundle A bundle read by parse()
+     * @return array One entry per item: key, type, type_label, source_id, name,
+     *               detail, match, actions, action, suggested_slug, references,
+     *               changes, secrets_missing and warnings
+     */
+    public static function preview_import(array $bundle): array
+    {
+        $preview = [];
+
+        foreach ($bundle['items'] as $type => $rows) {
+            foreach ($rows as $id => $row) {
+                $match = self::find_match($type, $row);
+                $secrets_missing = self::has_mask($row);
+                $warnings = [];
+
+                $references = [];
+                foreach (self::REFERENCES[$type] as $path => $target) {
+                    $reference = (int) self::get_reference($row, $path);
+
+                    if ($reference <= 0) {
+                        continue;
+                    }
+
+                    if (!isset(self::TYPES[$target])) {
+                        $warnings[] = sprintf('Uses workflow #%d, which bundles do not include. The reference is kept as it is.', $reference);
+                        continue;
+                    }
+
+                    $references[] = [
+                        'field' => $path,
+                        'key' => "{$target}:{$reference}",
+                        'in_bundle' => isset($bundle['items'][$target][$reference]),
+                    ];
+                }
+
+                if ($secrets_missing) {
+                    $warnings[] = $match
+                        ? 'Secrets were stripped from the bundle. Overwriting keeps the secrets stored on this site.'
+                        : 'Secrets were stripped from the bundle. A new item is created inactive until its secrets are entered.';
+                }
+
+                $preview[] = [
+                    'key' => "{$type}:{$id}",
+                    'type' => $type,
+                    'type_label' => self::TYPES[$type],
+                    'source_id' => $id,
+                    'name' => (string) $row['name'],
+                    'detail' => self::describe($type, $row),
+                    'match' => $match ? [
+                        'id' => (int) $match['id'],
+                        'name' => (string) ($match['name'] ?? ''),
+                        'detail' => self::describe($type, $match),
+                    ] : null,
+                    'actions' => $match
+                        ? [self::ACTION_OVERWRITE, self::ACTION_USE_EXISTING, self::ACTION_CREATE, self::ACTION_SKIP]
+                        : [self::ACTION_CREATE, self::ACTION_SKIP],
+                    'action' => $match ? self::ACTION_OVERWRITE : self::ACTION_CREATE,
+                    'suggested_slug' => $type === 'endpoints' && $match ? self::unique_slug($row) : null,
+                    'references' => $references,
+                    'changes' => $match ? self::get_changes($type, $row, $match) : [],
+                    'secrets_missing' => $secrets_missing,
+                    'warnings' => $warnings,
+                ];
+            }
+        }
+
+        return $preview;
+    }
+
+    /**
+     * Import a bundle
+     *
+     * Items are written in section order with references remapped to the IDs
+     * known so far, then references to items written later are filled in.
+     * References to skipped items are cleared.
+     *
+     * @param array $bundle A bundle read by parse()
+     * @param array $decisions Per item key: action, and slug for endpoints created next to a match
+     * @return Response_Handler Data holds the summary message, counts and per-item results
+     */
+    public static function import(array $bundle, array $decisions): Response_Handler
+    {
+        $map = array_fill_keys(array_keys(self::TYPES), []);
+        $results = [];
+        $written = [];
+        $taken_paths = [];
+
+        foreach ($bundle['items'] as $type => $rows) {
+            foreach ($rows as $id => $row) {
+                $key = "{$type}:{$id}";
+                $decision = $decisions[$key] ?? [];
+                $action = (string) ($decision['action'] ?? self::ACTION_CREATE);
+                $match = self::find_match($type, $row);
+
+                $result = ['key' => $key, 'type' => $type, 'name' => (string) $row['name'], 'action' => $action, 'ok' => true, 'id' => null, 'message' => '', 'warnings' => []];
+
+                if (!in_array($action, [self::ACTION_CREATE, self::ACTION_OVERWRITE, self::ACTION_USE_EXISTING, self::ACTION_SKIP], true)) {
+                    $results[] = ['ok' => false, 'message' => 'Unknown action'] + $result;
+                    continue;
+                }
+
+                if (in_array($action, [self::ACTION_OVERWRITE, self::ACTION_USE_EXISTING], true) && !$match) {
+                    $results[] = ['ok' => false, 'message' => 'There is no matching item on this site'] + $result;
+                    continue;
+                }
+
+                if ($action === self::ACTION_SKIP) {
+                    $results[] = ['message' => 'Skipped'] + $result;
+                    continue;
+                }
+
+                if ($action === self::ACTION_USE_EXISTING) {
+                    $map[$type][$id] = (int) $match['id'];
+                    $results[] = ['id' => (int) $match['id'], 'message' => 'Linked to the existing item'] + $result;
+                    continue;
+                }
+
+                $existing = $action === self::ACTION_OVERWRITE ? $match : null;
+                $data = self::prepare_row($type, $row, $existing);
+                $warnings = [];
+
+                if ($data === null) {
+                    $results[] = ['ok' => false, 'message' => 'The table does not exist on this site'] + $result;
+                    continue;
+                }
+
+                if ($type === 'endpoints') {
+                    if ($action === self::ACTION_CREATE && $match) {
+                        $data['slug'] = sanitize_title((string) ($decision['slug'] ?? ''));
+                    }
+
+                    $conflict = self::get_endpoint_conflict($data, $existing ? (int) $existing['id'] : 0, $taken_paths);
+
+                    if ($conflict !== null) {
+                        $results[] = ['ok' => false, 'message' => $conflict] + $result;
+                        continue;
+                    }
+
+                    $taken_paths[] = self::get_endpoint_key($data);
+                }
+
+                if (!$existing && self::has_mask($data)) {
+                    $data = self::clear_masks($data);
+                    $data['is_active'] = 0;
+                    $warnings[] = 'Created inactive: enter its secrets before activating it';
+                }
+
+                $data = self::remap($type, $data, $map, false);
+                $changed = $existing ? self::get_changed_columns($data, $existing) : $data;
+
+                if ($changed) {
+                    $saved = self::save($type, $changed, $existing ? (int) $existing['id'] : 0);
+
+                    if (!$saved->ok) {
+                        $results[] = ['ok' => false, 'message' => $saved->reason] + $result;
+                        continue;
+                    }
+                }
+
+                $target_id = $existing ? (int) $existing['id'] : (int) $saved->data['id'];
+                $map[$type][$id] = $target_id;
+                $written[] = ['type' => $type, 'id' => $target_id, 'data' => $data, 'row' => $row, 'index' => count($results)];
+
+                $results[] = [
+                    'id' => $target_id,
+                    'message' => $existing ? ($changed ? 'Overwritten' : 'Already up to date') : 'Created',
+                    'warnings' => $warnings,
+                ] + $result;
+            }
+        }
+
+        // Fill in references to items written after the items using them
+        foreach ($written as $item) {
+            $final = self::remap($item['type'], self::prepare_references($item['type'], $item['row'], $item['data']), $map, true, $cleared);
+
+            foreach ($cleared as $field) {
+                $results[$item['index']]['warnings'][] = sprintf('%s was cleared: the item it referenced was skipped or failed', $field);
+            }
+
+            $changed = self::get_changed_columns($final, $item['data']);
+
+            if (!$changed) {
+                continue;
+            }
+
+            $saved = self::save($item['type'], $changed, $item['id']);
+
+            // The item is written but still points at the IDs of the source site
+            if (!$saved->ok) {
+                $results[$item['index']]['ok'] = false;
+                $results[$item['index']]['message'] = sprintf('Saved, but its references could not be updated: %s', $saved->reason);
+            }
+        }
+
+        $failed = count(array_filter($results, fn($result) => !$result['ok']));
+        $imported = count(array_filter($results, fn($result) => $result['ok'] && in_array($result['action'], [self::ACTION_CREATE, self::ACTION_OVERWRITE], true)));
+
+        $ok = $failed === 0 || $imported > 0;
+
+        if (!$ok) {
+            $message = sprintf('Imported none of %d items', count($results));
+        } else {
+            $message = $failed > 0
+                ? sprintf('Imported %d items, %d failed', $imported, $failed)
+                : sprintf('Imported %d items', $imported);
+        }
+
+        return Response_Handler::response($ok, $ok ? 200 : 400, $message, [
+            'imported' => $imported,
+            'failed' => $failed,
+            'results' => $results,
+        ]);
+    }
+
+    /**
+     * Read a row of a section
+     *
+     * @param string $type
+     * @param int $id
+     * @return array|null
+     */
+    private static function get_row(string $type, int $id): ?array
+    {
+        if (!Database::table_exists(self::TABLES[$type])) {
+            return null;
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(self::TABLES[$type]);
+
+        return $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table} WHERE id = %d", $id), ARRAY_A) ?: null;
+    }
+
+    /**
+     * IDs of the scheduled ETL tasks that run a template
+     *
+     * @param int $template_id
+     * @return array
+     */
+    private static function get_template_tasks(int $template_id): array
+    {
+        $ids = [];
+
+        foreach (Scheduler::get_tasks() as $task) {
+            if (($task['task_type'] ?? '') !== Scheduler::TYPE_ETL || !empty($task['is_system'])) {
+                continue;
+            }
+
+            if ((int) self::get_reference($task, 'config.template_id') === $template_id) {
+                $ids[] = (int) $task['id'];
+            }
+        }
+
+        return $ids;
+    }
+
+    /**
+     * Find the item on this site a bundle item corresponds to
+     *
+     * Endpoints match on method and path, scheduled tasks on name and type,
+     * everything else on name.
+     *
+     * @param string $type
+     * @param array $row
+     * @return array|null
+     */
+    private static function find_match(string $type, array $row): ?array
+    {
+        if (!Database::table_exists(self::TABLES[$type])) {
+            return null;
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(self::TABLES[$type]);
+
+        $match = match ($type) {
+            'endpoints' => $wpdb->get_row($wpdb->prepare(
+                "SELECT * FROM {$table} WHERE slug = %s AND route = %s AND method = %s ORDER BY id ASC LIMIT 1",
+                $row['slug'] ?? '',
+                $row['route'] ?? '',
+                $row['method'] ?? ''
+            ), ARRAY_A),
+            'scheduled_tasks' => $wpdb->get_row($wpdb->prepare(
+                "SELECT * FROM {$table} WHERE name = %s AND task_type = %s AND is_system = 0 ORDER BY id ASC LIMIT 1",
+                $row['name'],
+                $row['task_type'] ?? ''
+            ), ARRAY_A),
+            default => $wpdb->get_row($wpdb->prepare(
+                "SELECT * FROM {$table} WHERE name = %s ORDER BY id ASC LIMIT 1",
+                $row['name']
+            ), ARRAY_A),
+        };
+
+        return $match ?: null;
+    }
+
+    /**
+     * Short description of an item for previews
+     *
+     * @param string $type
+     * @param array $row
+     * @return string
+     */
+    private static function describe(string $type, array $row): string
+    {
+        return match ($type) {
+            'endpoints' => strtoupper((string) ($row['method'] ?? '')) . ' ' . Endpoint_Manager::get_path($row),
+            'external_services' => (string) ($row['base_url'] ?? ''),
+            'etl_templates' => (string) ($row['trigger_type'] ?? '') !== '' ? 'Trigger: ' . $row['trigger_type'] : '',
+            'scheduled_tasks' => Scheduler::is_valid_frequency((string) ($row['frequency'] ?? ''))
+                ? Scheduler::describe_frequency((string) $row['frequency'])
+                : (string) ($row['frequency'] ?? ''),
+            default => '',
+        };
+    }
+
+    /**
+     * An endpoint slug not used with the endpoint's method and route
+     *
+     * @param array $row
+     * @return string
+     */
+    private static function unique_slug(array $row): string
+    {
+        $base = sanitize_title((string) ($row['slug'] ?? ''));
+
+        for ($suffix = 2; $suffix < 100; $suffix++) {
+            $candidate = ['slug' => "{$base}-{$suffix}"] + $row;
+
+            if (!self::find_match('endpoints', $candidate)) {
+                return $candidate['slug'];
+            }
+        }
+
+        return $base . '-' . time();
+    }
+
+    /**
+     * Identity of an endpoint: method and path
+     *
+     * @param array $endpoint
+     * @return string
+     */
+    private static function get_endpoint_key(array $endpoint): string
+    {
+        return strtoupper((string) ($endpoint['method'] ?? '')) . ' ' . Endpoint_Manager::get_path($endpoint);
+    }
+
+    /**
+     * Why an endpoint cannot be written, if it clashes with another one
+     *
+     * @param array $data
+     * @param int $existing_id ID being overwritten, 0 when creating
+     * @param array $taken_paths Endpoints written earlier in this import
+     * @return string|null
+     */
+    private static function get_endpoint_conflict(array $data, int $existing_id, array $taken_paths): ?string
+    {
+        if (($data['slug'] ?? '') === '') {
+            return 'Choose a slug for the new endpoint';
+        }
+
+        $match = self::find_match('endpoints', $data);
+
+        if ($match && (int) $match['id'] !== $existing_id) {
+            return sprintf('Another endpoint already serves %s', self::get_endpoint_key($data));
+        }
+
+        if (in_array(self::get_endpoint_key($data), $taken_paths, true)) {
+            return sprintf('Another endpoint in this import serves %s', self::get_endpoint_key($data));
+        }
+
+        return null;
+    }
+
+    /**
+     * Columns that differ between a bundle item and the item it overwrites
+     *
+     * References are left out since they are remapped on import, and so are
+     * stripped secrets since overwriting keeps the stored ones.
+     *
+     * @param string $type
+     * @param array $row
+     * @param array $existing
+     * @return array
+     */
+    private static function get_changes(string $type, array $row, array $existing): array
+    {
+        $data = self::prepare_row($type, $row, $existing) ?? [];
+
+        foreach (array_keys(self::REFERENCES[$type]) as $path) {
+            $data = self::set_reference($data, $path, null);
+            $existing = self::set_reference($existing, $path, null);
+        }
+
+        return array_keys(self::get_changed_columns($data, $existing));
+    }
+
+    /**
+     * The columns of data whose value differs from a stored row
+     *
+     * @param array $data
+     * @param array $current
+     * @return array
+     */
+    private static function get_changed_columns(array $data, array $current): array
+    {
+        return array_filter(
+            $data,
+            fn($value, $column) => self::normalize($value) !== self::normalize($current[$column] ?? null),
+            ARRAY_FILTER_USE_BOTH
+        );
+    }
+
+    /**
+     * Value for comparison, with JSON decoded so formatting does not count
+     *
+     * @param mixed $value
+     * @return mixed
+     */
+    private static function normalize(mixed $value): mixed
+    {
+        if (is_string($value) && $value !== '' && ($value[0] === '{' || $value[0] === '[')) {
+            $decoded = json_decode($value, true);
+
+            if (is_array($decoded)) {
+                return $decoded;
+            }
+        }
+
+        return is_scalar($value) || $value === null ? (string) $value : $value;
+    }
+
+    /**
+     * Bundle row as data to write: columns this site has, secrets filled in
+     *
+     * When overwriting, stripped secrets keep the overwritten item's values.
+     *
+     * @param string $type
+     * @param array $row
+     * @param array|null $existing Item being overwritten
+     * @return array|null Null when the table does not exist
+     */
+    private static function prepare_row(string $type, array $row, ?array $existing): ?array
+    {
+        $columns = self::get_columns($type);
+
+        if (!$columns) {
+            return null;
+        }
+
+        $excluded = array_merge(['id', 'created_at', 'updated_at'], self::EXCLUDED_FIELDS[$type]);
+        $data = array_intersect_key($row, array_flip(array_diff($columns, $excluded)));
+
+        $data = array_map(fn($value) => is_array($value) ? wp_json_encode($value) : $value, $data);
+
+        if ($existing) {
+            foreach (self::SECRET_COLUMNS[$type] as $column) {
+                if (!isset($data[$column]) || !str_contains((string) $data[$column], External_Service_Connector::SECRET_MASK)) {
+                    continue;
+                }
+
+                $value = json_decode((string) $data[$column], true);
+                $current = json_decode((string) ($existing[$column] ?? ''), true);
+
+                if (is_array($value)) {
+                    $data[$column] = wp_json_encode(self::fill_masks($value, is_array($current) ? $current : []));
+                }
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Put the bundle's original reference values back before the final remap
+     *
+     * @param string $type
+     * @param array $row
+     * @param array $data
+     * @return array
+     */
+    private static function prepare_references(string $type, array $row, array $data): array
+    {
+        foreach (array_keys(self::REFERENCES[$type]) as $path) {
+            $reference = self::get_reference($row, $path);
+
+            if ($reference !== null) {
+                $data = self::set_reference($data, $path, $reference);
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Point references at the IDs items got on this site
+     *
+     * References to bundled items that were not written are cleared once
+     * every item has been written.
+     *
+     * @param string $type
+     * @param array $data
+     * @param array $map Source ID => local ID, per section
+     * @param bool $final
+     * @param array|null $cleared Fields whose reference was cleared
+     * @return array
+     */
+    private static function remap(string $type, array $data, array $map, bool $final, ?array &$cleared = null): array
+    {
+        $cleared = [];
+
+        foreach (self::REFERENCES[$type] as $path => $target) {
+            $reference = (int) self::get_reference($data, $path);
+
+            if ($reference <= 0 || !isset(self::TYPES[$target])) {
+                continue;
+            }
+
+            if (isset($map[$target][$reference])) {
+                $data = self::set_reference($data, $path, $map[$target][$reference]);
+            } else {
+                $data = self::set_reference($data, $path, 0);
+
+                if ($final) {
+                    $cleared[] = $path;
+                }
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Read a reference: a column, or a key of a JSON column
+     *
+     * @param array $row
+     * @param string $path
+     * @return mixed
+     */
+    private static function get_reference(array $row, string $path): mixed
+    {
+        [$column, $key] = array_pad(explode('.', $path, 2), 2, null);
+
+        if ($key === null) {
+            return $row[$column] ?? null;
+        }
+
+        $config = is_array($row[$column] ?? null) ? $row[$column] : json_decode((string) ($row[$column] ?? ''), true);
+
+        return is_array($config) ? ($config[$key] ?? null) : null;
+    }
+
+    /**
+     * Write a reference: a column, or a key of a JSON column
+     *
+     * @param array $data
+     * @param string $path
+     * @param mixed $value
+     * @return array
+     */
+    private static function set_reference(array $data, string $path, mixed $value): array
+    {
+        [$column, $key] = array_pad(explode('.', $path, 2), 2, null);
+
+        if ($key === null) {
+            $data[$column] = $value;
+            return $data;
+        }
+
+        $config = json_decode((string) ($data[$column] ?? ''), true);
+
+        if (is_array($config) && array_key_exists($key, $config) && $config[$key] !== $value) {
+            $config[$key] = $value;
+            $data[$column] = wp_json_encode($config);
+        }
+
+        return $data;
+    }
+
+    /**
+     * Replace secrets in a row's JSON columns with the mask
+     *
+     * @param string $type
+     * @param array $row
+     * @return array
+     */
+    private static function strip_secrets(string $type, array $row): array
+    {
+        foreach (self::SECRET_COLUMNS[$type] as $column) {
+            $config = json_decode((string) ($row[$column] ?? ''), true);
+
+            if (!is_array($config) || !$config) {
+                continue;
+            }
+
+            $masked = in_array($column, self::SECRET_VALUE_COLUMNS[$type] ?? [], true)
+                ? self::mask_values($config)
+                : self::mask($config);
+
+            if ($type === 'external_services' && $column === 'auth_config') {
+                $masked = External_Service_Connector::mask_auth_config((string) ($row['auth_type'] ?? ''), $masked);
+            }
+
+            if ($masked !== $config) {
+                $row[$column] = wp_json_encode($masked);
+            }
+        }
+
+        return $row;
+    }
+
+    /**
+     * Mask secret values recursively
+     *
+     * @param array $config
+     * @return array
+     */
+    private static function mask(array $config): array
+    {
+        foreach ($config as $key => $value) {
+            if (in_array($key, self::SECRET_VALUE_KEYS, true) && is_array($value)) {
+                $config[$key] = self::mask_values($value);
+            } elseif (is_string($key) && preg_match(self::SECRET_PATTERN, $key)) {
+                $config[$key] = is_array($value)
+                    ? array_map(fn($item) => $item === '' || $item === null ? $item : External_Service_Connector::SECRET_MASK, $value)
+                    : ($value === '' || $value === null ? $value : External_Service_Connector::SECRET_MASK);
+            } elseif (is_array($value)) {
+                $config[$key] = self::mask($value);
+            }
+        }
+
+        return $config;
+    }
+
+    /**
+     * Mask every value recursively
+     *
+     * @param array $config
+     * @return array
+     */
+    private static function mask_values(array $config): array
+    {
+        return array_map(
+            fn($value) => is_array($value) ? self::mask_values($value) : ($value === '' || $value === null ? $value : External_Service_Connector::SECRET_MASK),
+            $config
+        );
+    }
+
+    /**
+     * Whether a stripped section still holds a value of a column or key whose values are all secrets
+     *
+     * @param string $type
+     * @param array $rows
+     * @return bool
+     */
+    private static function has_plain_secret_values(string $type, array $rows): bool
+    {
+        foreach ($rows as $row) {
+            foreach (self::SECRET_COLUMNS[$type] as $column) {
+                $config = json_decode((string) ($row[$column] ?? ''), true);
+
+                if (!is_array($config)) {
+                    continue;
+                }
+
+                if (in_array($column, self::SECRET_VALUE_COLUMNS[$type] ?? [], true) ? self::mask_values($config) !== $config : self::has_plain_secret_keys($config)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Whether a config still holds a plain value under a key whose values are all secrets
+     *
+     * @param array $config
+     * @return bool
+     */
+    private static function has_plain_secret_keys(array $config): bool
+    {
+        foreach ($config as $key => $value) {
+            if (!is_array($value)) {
+                continue;
+            }
+
+            if (in_array($key, self::SECRET_VALUE_KEYS, true) ? self::mask_values($value) !== $value : self::has_plain_secret_keys($value)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Whether a row still holds masked secrets
+     *
+     * @param array $row
+     * @return bool
+     */
+    private static function has_mask(array $row): bool
+    {
+        foreach ($row as $value) {
+            if (is_string($value) && str_contains($value, '"' . External_Service_Connector::SECRET_MASK . '"')) {
+                return true;
+            }
+
+            if (is_array($value) && str_contains((string) wp_json_encode($value), '"' . External_Service_Connector::SECRET_MASK . '"')) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Fill masked secrets with the values stored at the same place
+     *
+     * @param array $config
+     * @param array $current
+     * @return array
+     */
+    private static function fill_masks(array $config, array $current): array
+    {
+        foreach ($config as $key => $value) {
+            if ($value === External_Service_Connector::SECRET_MASK) {
+                $config[$key] = $current[$key] ?? '';
+            } elseif (is_array($value) && $value && array_is_list($value) && !array_filter($value, fn($item) => $item !== External_Service_Connector::SECRET_MASK)) {
+                $config[$key] = $current[$key] ?? [];
+            } elseif (is_array($value)) {
+                $config[$key] = self::fill_masks($value, is_array($current[$key] ?? null) ? $current[$key] : []);
+            }
+        }
+
+        return $config;
+    }
+
+    /**
+     * Remove masked secrets from a row's JSON columns
+     *
+     * @param array $data
+     * @return array
+     */
+    private static function clear_masks(array $data): array
+    {
+        foreach ($data as $column => $value) {
+            $config = is_string($value) ? json_decode($value, true) : null;
+
+            if (is_array($config) && str_contains($value, External_Service_Connector::SECRET_MASK)) {
+                $data[$column] = wp_json_encode(self::fill_masks($config, []));
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Create or update an item through its manager
+     *
+     * @param string $type
+     * @param array $data
+     * @param int $id Item to update, 0 to create
+     * @return Response_Handler
+     */
+    private static function save(string $type, array $data, int $id): Response_Handler
+    {
+        return match ($type) {
+            'external_services' => $id ? External_Service_Connector::update_service($id, $data) : External_Service_Connector::create_service($data),
+            'etl_templates' => $id ? ETL_Engine::update_template($id, $data) : ETL_Engine::create_template($data),
+            'endpoints' => $id ? Endpoint_Manager::update_endpoint($id, $data) : Endpoint_Manager::create_endpoint($data),
+            'scheduled_tasks' => $id ? Scheduler::update_task($id, $data) : Scheduler::create_task($data),
+        };
+    }
+
+    /**
+     * Column names of a section's table on this site
+     *
+     * @param string $type
+     * @return array
+     */
+    private static function get_columns(string $type): array
+    {
+        if (!isset(self::$columns[$type])) {
+            global $wpdb;
+            $table = Database::table_exists(self::TABLES[$type]) ? Database::get_table_full_name(self::TABLES[$type]) : null;
+
+            self::$columns[$type] = $table ? ($wpdb->get_col("DESCRIBE {$table}", 0) ?: []) : [];
+        }
+
+        return self::$columns[$type];
+    }
+}
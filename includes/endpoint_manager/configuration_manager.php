@@ -22,8 +22,9 @@ if (!defined('ABSPATH')) exit;
  * - Caching for performance
  * - Type casting and validation
  * - Default value handling
- * - Settings import/export
+ * - Settings import/export with a preview of what an import changes
  * - Environment-aware configuration
+ * - Schema metadata (group, label, description) for the settings page
  *
  * @since 1.1.0
  */
@@ -45,6 +46,29 @@ final class Configuration_Manager
      */
     private const OPTION_KEY = 'wp_custom_api_settings';
 
+    /**
+     * Settings groups, in display order
+     */
+    public const GROUPS = [
+        'system' => 'System',
+        'endpoints' => 'Endpoints',
+        'webhooks' => 'Webhooks',
+        'etl' => 'ETL',
+        'external_services' => 'External Services',
+        'scheduler' => 'Scheduler',
+        'security' => 'Security',
+        'other' => 'Other',
+    ];
+
+    /**
+     * Constants that override settings, by constant name
+     */
+    private const CONSTANT_OVERRIDES = [
+        'WP_CUSTOM_API_DEBUG' => 'debug_mode',
+        'WP_CUSTOM_API_LOG_LEVEL' => 'log_level',
+        'WP_CUSTOM_API_MAINTENANCE' => 'maintenance_mode',
+    ];
+
     /**
      * Default settings
      */
@@ -61,6 +85,7 @@ final class Configuration_Manager
         'rate_limit_enabled' => false,
         'rate_limit_requests' => 100,
         'rate_limit_window' => 60,
+        'openapi_public' => false,
 
         // Webhook settings
         'webhook_log_retention' => 30,
@@ -92,25 +117,54 @@ final class Configuration_Manager
     ];
 
     /**
-     * Settings schema for validation
+     * Settings schema for validation and the settings page
+     *
+     * Besides type and its constraints (min, max, enum, pattern), entries
+     * name their group, label and description. Settings registered without
+     * them go to the "other" group.
      */
     private static array $schema = [
-        'system_enabled' => ['type' => 'bool'],
-        'maintenance_mode' => ['type' => 'bool'],
-        'debug_mode' => ['type' => 'bool'],
-        'log_level' => ['type' => 'string', 'enum' => ['debug', 'info', 'warning', 'error', 'critical']],
-        'max_endpoints' => ['type' => 'int', 'min' => 1, 'max' => 1000],
-        'rate_limit_enabled' => ['type' => 'bool'],
-        'rate_limit_requests' => ['type' => 'int', 'min' => 1, 'max' => 10000],
-        'rate_limit_window' => ['type' => 'int', 'min' => 1, 'max' => 3600],
-        'webhook_log_retention' => ['type' => 'int', 'min' => 1, 'max' => 365],
-        'webhook_max_payload_size' => ['type' => 'int', 'min' => 1024, 'max' => 52428800],
-        'etl_timeout' => ['type' => 'int', 'min' => 10, 'max' => 3600],
-        'etl_batch_size' => ['type' => 'int', 'min' => 1, 'max' => 10000],
-        'external_default_timeout' => ['type' => 'int', 'min' => 1, 'max' => 300],
-        'allowed_origins' => ['type' => 'array'],
-        'ip_whitelist' => ['type' => 'array'],
-        'ip_blacklist' => ['type' => 'array'],
+        // System settings
+        'system_enabled' => ['type' => 'bool', 'group' => 'system', 'label' => 'API enabled', 'description' => 'Serve custom endpoints. Turn off to disable every custom endpoint at once.'],
+        'maintenance_mode' => ['type' => 'bool', 'group' => 'system', 'label' => 'Maintenance mode', 'description' => 'Show administrators that the system is under maintenance. Endpoints keep answering requests.'],
+        'debug_mode' => ['type' => 'bool', 'group' => 'system', 'label' => 'Debug mode', 'description' => 'Include error details in API responses and logs.'],
+        'log_level' => ['type' => 'string', 'enum' => ['debug', 'info', 'warning', 'error', 'critical'], 'group' => 'system', 'label' => 'Log level', 'description' => 'Events below this level are not logged.'],
+
+        // Endpoint settings
+        'max_endpoints' => ['type' => 'int', 'min' => 1, 'max' => 1000, 'group' => 'endpoints', 'label' => 'Maximum endpoints'],
+        'default_permission' => ['type' => 'string', 'enum' => ['public', 'api_key', 'signature', 'token', 'ip_whitelist'], 'group' => 'endpoints', 'label' => 'Default permission', 'description' => 'Authentication preselected for new endpoints.'],
+        'rate_limit_enabled' => ['type' => 'bool', 'group' => 'endpoints', 'label' => 'Rate limiting'],
+        'rate_limit_requests' => ['type' => 'int', 'min' => 1, 'max' => 10000, 'group' => 'endpoints', 'label' => 'Requests per window'],
+        'rate_limit_window' => ['type' => 'int', 'min' => 1, 'max' => 3600, 'group' => 'endpoints', 'label' => 'Rate limit window', 'description' => 'In seconds.'],
+        'openapi_public' => ['type' => 'bool', 'group' => 'endpoints', 'label' => 'Public OpenAPI document', 'description' => 'Serve openapi.json without signing in. When off, only administrators can read it.'],
+
+        // Webhook settings
+        'webhook_log_retention' => ['type' => 'int', 'min' => 1, 'max' => 365, 'group' => 'webhooks', 'label' => 'Log retention', 'description' => 'Days to keep webhook logs.'],
+        'webhook_max_payload_size' => ['type' => 'int', 'min' => 1024, 'max' => 52428800, 'group' => 'webhooks', 'label' => 'Maximum payload size', 'description' => 'In bytes.'],
+        'webhook_signature_required' => ['type' => 'bool', 'group' => 'webhooks', 'label' => 'Require signatures'],
+        'webhook_auto_retry' => ['type' => 'bool', 'group' => 'webhooks', 'label' => 'Retry failed webhooks'],
+        'webhook_max_retries' => ['type' => 'int', 'min' => 0, 'max' => 10, 'group' => 'webhooks', 'label' => 'Maximum retries'],
+
+        // ETL settings
+        'etl_job_retention' => ['type' => 'int', 'min' => 1, 'max' => 365, 'group' => 'etl', 'label' => 'Job retention', 'description' => 'Days to keep finished ETL jobs.'],
+        'etl_max_concurrent_jobs' => ['type' => 'int', 'min' => 1, 'max' => 50, 'group' => 'etl', 'label' => 'Concurrent jobs'],
+        'etl_timeout' => ['type' => 'int', 'min' => 10, 'max' => 3600, 'group' => 'etl', 'label' => 'Job timeout', 'description' => 'In seconds.'],
+        'etl_batch_size' => ['type' => 'int', 'min' => 1, 'max' => 10000, 'group' => 'etl', 'label' => 'Batch size', 'description' => 'Records processed per batch.'],
+
+        // External service settings
+        'external_default_timeout' => ['type' => 'int', 'min' => 1, 'max' => 300, 'group' => 'external_services', 'label' => 'Default timeout', 'description' => 'In seconds.'],
+        'external_max_retries' => ['type' => 'int', 'min' => 0, 'max' => 10, 'group' => 'external_services', 'label' => 'Maximum retries'],
+        'external_health_check_interval' => ['type' => 'int', 'min' => 60, 'max' => 86400, 'group' => 'external_services', 'label' => 'Health check interval', 'description' => 'In seconds.'],
+
+        // Scheduler settings
+        'scheduler_enabled' => ['type' => 'bool', 'group' => 'scheduler', 'label' => 'Scheduler enabled'],
+        'scheduler_max_tasks_per_run' => ['type' => 'int', 'min' => 1, 'max' => 100, 'group' => 'scheduler', 'label' => 'Tasks per run', 'description' => 'Most due tasks run by one cron tick.'],
+
+        // Security settings
+        'api_key_header' => ['type' => 'string', 'pattern' => '/^[A-Za-z0-9-]+$/', 'group' => 'security', 'label' => 'API key header', 'description' => 'Request header that carries the API key.'],
+        'allowed_origins' => ['type' => 'array', 'group' => 'security', 'label' => 'Allowed origins', 'description' => 'One origin per line, e.g. https://example.com.'],
+        'ip_whitelist' => ['type' => 'array', 'group' => 'security', 'label' => 'IP whitelist', 'description' => 'One IP address per line.'],
+        'ip_blacklist' => ['type' => 'array', 'group' => 'security', 'label' => 'IP blacklist', 'description' => 'One IP address per line.'],
     ];
 
     /**
@@ -159,13 +213,7 @@ final class Configuration_Manager
      */
     private static function apply_constant_overrides(): void
     {
-        $constant_map = [
-            'WP_CUSTOM_API_DEBUG' => 'debug_mode',
-            'WP_CUSTOM_API_LOG_LEVEL' => 'log_level',
-            'WP_CUSTOM_API_MAINTENANCE' => 'maintenance_mode',
-        ];
-
-        foreach ($constant_map as $constant => $setting) {
+        foreach (self::CONSTANT_OVERRIDES as $constant => $setting) {
             if (defined($constant)) {
                 self::$cache[$setting] = constant($constant);
             }
@@ -420,27 +468,91 @@ final class Configuration_Manager
     /**
      * Import settings from JSON
      *
+     * Accepts the export() JSON or the REST export's {"config": {...}}.
+     * Nothing is imported when a value fails validation.
+     *
      * @param string $json JSON string
      * @param bool $merge Merge with existing settings
      * @return bool
      */
     public static function import(string $json, bool $merge = true): bool
     {
-        $settings = json_decode($json, true);
+        $preview = self::preview_import($json, $merge);
 
-        if (!is_array($settings)) {
+        if (!$preview['valid']) {
             return false;
         }
 
-        if ($merge) {
-            self::$cache = array_merge(self::$cache, $settings);
-        } else {
-            self::$cache = array_merge(self::$defaults, $settings);
-        }
+        self::$cache = $preview['settings'];
 
         return self::save();
     }
 
+    /**
+     * Work out what an import would change without applying it
+     *
+     * @param string $json JSON string
+     * @param bool $merge Merge with existing settings
+     * @return array ['valid' => bool, 'error' => string|null, 'changes' => [key => [status, current, imported, error]], 'settings' => array]
+     */
+    public static function preview_import(string $json, bool $merge = true): array
+    {
+        self::load_cache();
+
+        $settings = json_decode($json, true);
+
+        if (is_array($settings) && isset($settings['config']) && is_array($settings['config'])) {
+            $settings = $settings['config'];
+        }
+
+        if (!is_array($settings) || ($settings !== [] && array_is_list($settings))) {
+            return ['valid' => false, 'error' => 'The file is not a JSON object of settings', 'changes' => [], 'settings' => []];
+        }
+
+        $errors = [];
+        foreach ($settings as $key => $value) {
+            $validation = self::validate((string) $key, $value);
+            $settings[$key] = $validation['value'];
+
+            if (!$validation['valid']) {
+                $errors[$key] = $validation['error'];
+            }
+        }
+
+        $before = self::$cache;
+        $after = array_merge($merge ? self::$cache : self::$defaults, $settings);
+        $changes = [];
+
+        foreach (array_unique(array_merge(array_keys($before), array_keys($after))) as $key) {
+            $current = $before[$key] ?? null;
+            $imported = $after[$key] ?? null;
+
+            if (!isset($errors[$key]) && array_key_exists($key, $before) === array_key_exists($key, $after) && $current === $imported) {
+                continue;
+            }
+
+            $changes[$key] = [
+                'status' => match (true) {
+                    isset($errors[$key]) => 'invalid',
+                    !array_key_exists($key, $before) => 'added',
+                    !array_key_exists($key, $after) => 'removed',
+                    !$merge && !array_key_exists($key, $settings) => 'reset',
+                    default => 'changed',
+                },
+                'current' => $current,
+                'imported' => $imported,
+                'error' => $errors[$key] ?? null,
+            ];
+        }
+
+        return [
+            'valid' => empty($errors),
+            'error' => empty($errors) ? null : count($errors) . ' setting(s) failed validation',
+            'changes' => $changes,
+            'settings' => $after,
+        ];
+    }
+
     /**
      * Get default value for a setting
      *
@@ -472,6 +584,48 @@ final class Configuration_Manager
         return self::$schema;
     }
 
+    /**
+     * Get the schema of one setting, inferring the type from its default when it has none
+     *
+     * @param string $key Setting key
+     * @return array Schema with type, group and label always set
+     */
+    public static function get_setting_schema(string $key): array
+    {
+        $schema = self::$schema[$key] ?? [];
+        $default = self::$defaults[$key] ?? null;
+
+        $schema['type'] ??= match (true) {
+            is_bool($default) => 'bool',
+            is_int($default) => 'int',
+            is_float($default) => 'float',
+            is_array($default) => 'array',
+            default => 'string',
+        };
+        $schema['group'] = isset(self::GROUPS[$schema['group'] ?? '']) ? $schema['group'] : 'other';
+        $schema['label'] ??= ucfirst(str_replace('_', ' ', $key));
+
+        return $schema;
+    }
+
+    /**
+     * Get the settings fixed by constants, which the admin cannot change
+     *
+     * @return array Setting key => constant name
+     */
+    public static function get_constant_overrides(): array
+    {
+        $overrides = [];
+
+        foreach (self::CONSTANT_OVERRIDES as $constant => $setting) {
+            if (defined($constant)) {
+                $overrides[$setting] = $constant;
+            }
+        }
+
+        return $overrides;
+    }
+
     /**
      * Register a custom setting
      *
@@ -523,54 +677,20 @@ final class Configuration_Manager
     /**
      * Get settings grouped by category
      *
+     * Groups follow GROUPS; settings come in schema order, then registered
+     * settings without a schema. Empty groups are left out.
+     *
      * @return array
      */
     public static function get_grouped(): array
     {
         $settings = self::get_all();
+        $grouped = array_fill_keys(array_keys(self::GROUPS), []);
 
-        return [
-            'system' => [
-                'system_enabled' => $settings['system_enabled'],
-                'maintenance_mode' => $settings['maintenance_mode'],
-                'debug_mode' => $settings['debug_mode'],
-                'log_level' => $settings['log_level'],
-            ],
-            'endpoints' => [
-                'max_endpoints' => $settings['max_endpoints'],
-                'default_permission' => $settings['default_permission'],
-                'rate_limit_enabled' => $settings['rate_limit_enabled'],
-                'rate_limit_requests' => $settings['rate_limit_requests'],
-                'rate_limit_window' => $settings['rate_limit_window'],
-            ],
-            'webhooks' => [
-                'webhook_log_retention' => $settings['webhook_log_retention'],
-                'webhook_max_payload_size' => $settings['webhook_max_payload_size'],
-                'webhook_signature_required' => $settings['webhook_signature_required'],
-                'webhook_auto_retry' => $settings['webhook_auto_retry'],
-                'webhook_max_retries' => $settings['webhook_max_retries'],
-            ],
-            'etl' => [
-                'etl_job_retention' => $settings['etl_job_retention'],
-                'etl_max_concurrent_jobs' => $settings['etl_max_concurrent_jobs'],
-                'etl_timeout' => $settings['etl_timeout'],
-                'etl_batch_size' => $settings['etl_batch_size'],
-            ],
-            'external_services' => [
-                'external_default_timeout' => $settings['external_default_timeout'],
-                'external_max_retries' => $settings['external_max_retries'],
-                'external_health_check_interval' => $settings['external_health_check_interval'],
-            ],
-            'scheduler' => [
-                'scheduler_enabled' => $settings['scheduler_enabled'],
-                'scheduler_max_tasks_per_run' => $settings['scheduler_max_tasks_per_run'],
-            ],
-            'security' => [
-                'api_key_header' => $settings['api_key_header'],
-                'allowed_origins' => $settings['allowed_origins'],
-                'ip_whitelist' => $settings['ip_whitelist'],
-                'ip_blacklist' => $settings['ip_blacklist'],
-            ],
-        ];
+        foreach (array_unique(array_merge(array_keys(self::$schema), array_keys(self::$defaults))) as $key) {
+            $grouped[self::get_setting_schema($key)['group']][$key] = $settings[$key] ?? null;
+        }
+
+        return array_filter($grouped);
     }
 }
@@ -0,0 +1,355 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use InvalidArgumentException;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Cron Expression - Standard 5-field cron schedules
+ *
+ * This class handles:
+ * - Parsing "minute hour day-of-month month day-of-week" expressions with
+ *   lists, ranges, steps, month and weekday names and @ macros
+ * - Validating expressions for the scheduler and the admin
+ * - Finding the next run times in a timezone, the site timezone by default
+ *
+ * As in Vixie cron, when both day-of-month and day-of-week are restricted
+ * a day matching either one runs. Wall-clock times skipped by a daylight
+ * saving change do not run that day, and times repeated when clocks go back
+ * run once, at their first occurrence, unless every hour matches.
+ *
+ * @since 2.0.0
+ */
+
+final class Cron_Expression
+{
+    /**
+     * Supported macros and their expressions
+     */
+    public const MACROS = [
+        '@yearly' => '0 0 1 1 *',
+        '@annually' => '0 0 1 1 *',
+        '@monthly' => '0 0 1 * *',
+        '@weekly' => '0 0 * * 0',
+        '@daily' => '0 0 * * *',
+        '@midnight' => '0 0 * * *',
+        '@hourly' => '0 * * * *',
+    ];
+
+    /**
+     * Longest expression the scheduled task frequency column holds
+     */
+    public const MAX_LENGTH = 50;
+
+    /**
+     * Field names with their allowed ranges
+     */
+    private const FIELDS = [
+        'minute' => [0, 59],
+        'hour' => [0, 23],
+        'day' => [1, 31],
+        'month' => [1, 12],
+        'weekday' => [0, 7],
+    ];
+
+    /**
+     * Names accepted in the month and weekday fields
+     */
+    private const NAMES = [
+        'month' => ['JAN' => 1, 'FEB' => 2, 'MAR' => 3, 'APR' => 4, 'MAY' => 5, 'JUN' => 6, 'JUL' => 7, 'AUG' => 8, 'SEP' => 9, 'OCT' => 10, 'NOV' => 11, 'DEC' => 12],
+        'weekday' => ['SUN' => 0, 'MON' => 1, 'TUE' => 2, 'WED' => 3, 'THU' => 4, 'FRI' => 5, 'SAT' => 6],
+    ];
+
+    /**
+     * How far ahead to look for a matching time before giving up
+     */
+    private const MAX_YEARS = 5;
+
+    /**
+     * Check whether a scheduler frequency is a cron expression rather than a named frequency
+     *
+     * @param string $frequency
+     * @return bool
+     */
+    public static function is_expression(string $frequency): bool
+    {
+        $frequency = trim($frequency);
+
+        return str_starts_with($frequency, '@') || preg_match('/\s/', $frequency) === 1;
+    }
+
+    /**
+     * Collapse whitespace and lowercase macros
+     *
+     * @param string $expression
+     * @return string
+     */
+    public static function normalize(string $expression): string
+    {
+        $expression = trim((string) preg_replace('/\s+/', ' ', $expression));
+
+        return str_starts_with($expression, '@') ? strtolower($expression) : strtoupper($expression);
+    }
+
+    /**
+     * Validate an expression
+     *
+     * @param string $expression
+     * @return string|null Error message, or null when the expression is valid
+     */
+    public static function validate(string $expression): ?string
+    {
+        if (strlen(self::normalize($expression)) > self::MAX_LENGTH) {
+            return 'Cron expressions are limited to ' . self::MAX_LENGTH . ' characters';
+        }
+
+        try {
+            self::parse($expression);
+        } catch (InvalidArgumentException $e) {
+            return $e->getMessage();
+        }
+
+        if (self::next_run($expression, time(), new DateTimeZone('UTC')) === null) {
+            return 'The expression never matches a date';
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse an expression into the allowed values of each field
+     *
+     * @param string $expression
+     * @return array Field name => [value => true], plus day_restricted and weekday_restricted
+     * @throws InvalidArgumentException
+     */
+    public static function parse(string $expression): array
+    {
+        $expression = self::normalize($expression);
+
+        if (str_starts_with($expression, '@')) {
+            if (!isset(self::MACROS[$expression])) {
+                throw new InvalidArgumentException("Unknown macro {$expression}");
+            }
+            $expression = self::MACROS[$expression];
+        }
+
+        $parts = $expression === '' ? [] : explode(' ', $expression);
+
+        if (count($parts) !== count(self::FIELDS)) {
+            throw new InvalidArgumentException('Expected 5 fields (minute hour day month weekday), got ' . count($parts));
+        }
+
+        $fields = [];
+        foreach (array_keys(self::FIELDS) as $index => $name) {
+            $fields[$name] = self::parse_field($name, $parts[$index]);
+        }
+
+        // Sunday may be written as 0 or 7
+        if (isset($fields['weekday'][7])) {
+            $fields['weekday'][0] = true;
+            unset($fields['weekday'][7]);
+        }
+
+        // Fields starting with * do not restrict the day (cron's day-of-month/day-of-week rule)
+        $fields['day_restricted'] = !str_starts_with($parts[2], '*');
+        $fields['weekday_restricted'] = !str_starts_with($parts[4], '*');
+
+        return $fields;
+    }
+
+    /**
+     * Get the first run time after a timestamp
+     *
+     * @param string $expression
+     * @param int $after Unix timestamp; the result is at least one minute later
+     * @param DateTimeZone|null $timezone Defaults to the site timezone
+     * @return int|null Unix timestamp, or null when nothing matches within MAX_YEARS
+     */
+    public static function next_run(string $expression, int $after, ?DateTimeZone $timezone = null): ?int
+    {
+        try {
+            $fields = self::parse($expression);
+        } catch (InvalidArgumentException $e) {
+            return null;
+        }
+
+        $date = (new DateTimeImmutable('@' . ($after - $after % 60 + 60)))->setTimezone($timezone ?? wp_timezone());
+        $last_year = (int) $date->format('Y') + self::MAX_YEARS;
+
+        while ((int) $date->format('Y') <= $last_year) {
+            if (!isset($fields['month'][(int) $date->format('n')])) {
+                $date = $date->modify('first day of next month')->setTime(0, 0);
+                continue;
+            }
+
+            if (!self::day_matches($fields, $date)) {
+                $date = $date->modify('+1 day')->setTime(0, 0);
+                continue;
+            }
+
+            // Hours and minutes move on in elapsed time so repeated wall-clock hours cannot loop
+            if (!isset($fields['hour'][(int) $date->format('G')])) {
+                $date = $date->setTimestamp($date->getTimestamp() + (60 - (int) $date->format('i')) * 60);
+                continue;
+            }
+
+            if (!isset($fields['minute'][(int) $date->format('i')])) {
+                $date = $date->setTimestamp($date->getTimestamp() + 60);
+                continue;
+            }
+
+            if (count($fields['hour']) < 24 && self::is_repeated_time($date)) {
+                $date = $date->setTimestamp($date->getTimestamp() + 60);
+                continue;
+            }
+
+            return $date->getTimestamp();
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the next run times after a timestamp
+     *
+     * @param string $expression
+     * @param int $count
+     * @param int $after Unix timestamp
+     * @param DateTimeZone|null $timezone Defaults to the site timezone
+     * @return array Unix timestamps
+     */
+    public static function next_runs(string $expression, int $count, int $after, ?DateTimeZone $timezone = null): array
+    {
+        $runs = [];
+
+        while (count($runs) < $count) {
+            $next = self::next_run($expression, $after, $timezone);
+
+            if ($next === null) {
+                break;
+            }
+
+            $runs[] = $next;
+            $after = $next;
+        }
+
+        return $runs;
+    }
+
+    /**
+     * Parse one field into its allowed values
+     *
+     * @param string $name
+     * @param string $field
+     * @return array value => true
+     * @throws InvalidArgumentException
+     */
+    private static function parse_field(string $name, string $field): array
+    {
+        [$min, $max] = self::FIELDS[$name];
+        $values = [];
+
+        foreach (explode(',', $field) as $part) {
+            if (!preg_match('/^(\*|[0-9A-Z]+)(?:-([0-9A-Z]+))?(?:\/([0-9]+))?$/', $part, $matches)) {
+                throw new InvalidArgumentException("Invalid {$name} field: {$field}");
+            }
+
+            $has_end = isset($matches[2]) && $matches[2] !== '';
+            $step = isset($matches[3]) ? (int) $matches[3] : 1;
+
+            if ($matches[1] === '*') {
+                if ($has_end) {
+                    throw new InvalidArgumentException("Invalid {$name} field: {$field}");
+                }
+                [$start, $end] = [$min, $max];
+            } else {
+                $start = self::parse_value($name, $matches[1]);
+                // A stepped single value runs from that value to the end of the range
+                $end = $has_end
+                    ? self::parse_value($name, $matches[2])
+                    : (isset($matches[3]) ? $max : $start);
+            }
+
+            if ($step < 1) {
+                throw new InvalidArgumentException("Invalid step in {$name} field: {$field}");
+            }
+
+            if ($start < $min || $end > $max || $start > $end) {
+                throw new InvalidArgumentException("Out of range {$name} field: {$field} (allowed {$min}-{$max})");
+            }
+
+            for ($value = $start; $value <= $end; $value += $step) {
+                $values[$value] = true;
+            }
+        }
+
+        return $values;
+    }
+
+    /**
+     * Parse a number or a month/weekday name
+     *
+     * @param string $name
+     * @param string $value
+     * @return int
+     * @throws InvalidArgumentException
+     */
+    private static function parse_value(string $name, string $value): int
+    {
+        if (ctype_digit($value)) {
+            return (int) $value;
+        }
+
+        if (isset(self::NAMES[$name][$value])) {
+            return self::NAMES[$name][$value];
+        }
+
+        throw new InvalidArgumentException("Invalid {$name} value: {$value}");
+    }
+
+    /**
+     * Check whether a wall-clock time already occurred earlier that day
+     *
+     * Ambiguous local times resolve to their first occurrence, so only the
+     * second pass through a repeated hour lands later than its own reading.
+     *
+     * @param DateTimeImmutable $date
+     * @return bool
+     */
+    private static function is_repeated_time(DateTimeImmutable $date): bool
+    {
+        $first = new DateTimeImmutable($date->format('Y-m-d H:i'), $date->getTimezone());
+
+        return $first->getTimestamp() < $date->getTimestamp();
+    }
+
+    /**
+     * Check the day-of-month and day-of-week fields against a date
+     *
+     * @param array $fields
+     * @param DateTimeImmutable $date
+     * @return bool
+     */
+    private static function day_matches(array $fields, DateTimeImmutable $date): bool
+    {
+        $day = isset($fields['day'][(int) $date->format('j')]);
+        $weekday = isset($fields['weekday'][(int) $date->format('w')]);
+
+        if ($fields['day_restricted'] && $fields['weekday_restricted']) {
+            return $day || $weekday;
+        }
+
+        return $day && $weekday;
+    }
+}
@@ -27,6 +27,9 @@ if (!defined('ABSPATH')) exit;
  * - script: Executes custom PHP callbacks
  * - forward: Forwards requests to external services
  *
+ * The status and duration of every request are recorded for the dashboard,
+ * and every saved configuration is kept as a revision.
+ *
  * @since 1.1.0
  */
 
@@ -50,6 +53,11 @@ final class Endpoint_Manager
     public const PERMISSION_TOKEN = 'token';
     public const PERMISSION_IP_WHITELIST = 'ip_whitelist';
 
+    /**
+     * Characters a {param} route segment matches
+     */
+    public const PATH_PARAM_PATTERN = '[a-zA-Z0-9_-]+';
+
     /**
      * Cached endpoints
      */
@@ -74,6 +82,9 @@ final class Endpoint_Manager
         // Register dynamic endpoints
         add_action('rest_api_init', [self::class, 'register_dynamic_endpoints']);
 
+        // Serve the OpenAPI document of the active endpoints
+        OpenAPI_Document::init();
+
         // Register async endpoint processor
         add_action('wp_custom_api_process_async_endpoint', [self::class, 'process_async_endpoint'], 10, 1);
 
@@ -115,6 +126,16 @@ final class Endpoint_Manager
         self::$custom_callbacks[$callback_name] = $callback;
     }
 
+    /**
+     * Get the names of all registered script handler callbacks
+     *
+     * @return array
+     */
+    public static function get_callback_names(): array
+    {
+        return array_keys(self::$custom_callbacks);
+    }
+
     /**
      * Get all active endpoints from database
      *
@@ -145,6 +166,11 @@ final class Endpoint_Manager
      */
     public static function register_dynamic_endpoints(): void
     {
+        // Turning the API off in the settings leaves every custom endpoint unregistered
+        if (!Configuration_Manager::is_enabled()) {
+            return;
+        }
+
         $endpoints = self::get_active_endpoints();
 
         foreach ($endpoints as $endpoint) {
@@ -183,14 +209,23 @@ final class Endpoint_Manager
      * @return string
      */
     private static function build_route(array $endpoint): string
+    {
+        // Replace {param} with regex patterns
+        return ltrim(preg_replace('/\{(\w+)\}/', '(?P<$1>' . self::PATH_PARAM_PATTERN . ')', self::get_path($endpoint)), '/');
+    }
+
+    /**
+     * Get an endpoint's path below the API base, with {param} placeholders
+     *
+     * @param array $endpoint Endpoint configuration
+     * @return string e.g. /custom/orders/{id}
+     */
+    public static function get_path(array $endpoint): string
     {
         $slug = sanitize_title($endpoint['slug'] ?? '');
         $route = trim($endpoint['route'] ?? '', '/');
 
-        // Replace {param} with regex patterns
-        $route = preg_replace('/\{(\w+)\}/', '(?P<$1>[a-zA-Z0-9_-]+)', $route);
-
-        return "custom/{$slug}" . ($route ? "/{$route}" : '');
+        return "/custom/{$slug}" . ($route ? "/{$route}" : '');
     }
 
     /**
@@ -234,13 +269,30 @@ final class Endpoint_Manager
     }
 
     /**
-     * Handle an incoming request to a dynamic endpoint
+     * Handle an incoming request to a dynamic endpoint and record how it went
      *
      * @param WP_REST_Request $request
      * @param array $endpoint
      * @return WP_REST_Response
      */
     private static function handle_request(WP_REST_Request $request, array $endpoint): WP_REST_Response
+    {
+        $started = microtime(true);
+        $response = self::process_request($request, $endpoint);
+
+        self::record_request($endpoint, $response->get_status(), $started);
+
+        return $response;
+    }
+
+    /**
+     * Process a request with the endpoint's handler
+     *
+     * @param WP_REST_Request $request
+     * @param array $endpoint
+     * @return WP_REST_Response
+     */
+    private static function process_request(WP_REST_Request $request, array $endpoint): WP_REST_Response
     {
         $handler_type = $endpoint['handler_type'] ?? self::HANDLER_WEBHOOK;
         $handler_config = self::decode_json($endpoint['handler_config'] ?? '{}');
@@ -311,6 +363,66 @@ final class Endpoint_Manager
         return apply_filters('wp_custom_api_post_handle_request', $response, $request, $endpoint);
     }
 
+    /**
+     * Store a request's status and duration, logging server errors
+     *
+     * @param array $endpoint
+     * @param int $status_code
+     * @param float $started microtime(true) when the request started
+     * @return void
+     */
+    private static function record_request(array $endpoint, int $status_code, float $started): void
+    {
+        global $wpdb;
+        $duration_ms = (int) round((microtime(true) - $started) * 1000);
+
+        // A missing table must not break the response
+        $suppress = $wpdb->suppress_errors();
+        $wpdb->insert(Database::get_table_full_name(Endpoint_Request_Model::TABLE_NAME), [
+            'endpoint_id' => (int) ($endpoint['id'] ?? 0),
+            'status_code' => $status_code,
+            'duration_ms' => $duration_ms,
+            'requested_at' => time()
+        ], ['%d', '%d', '%d', '%d']);
+        $wpdb->suppress_errors($suppress);
+
+        if ($status_code >= 500) {
+            Event_Logger::log(Event_Logger::CATEGORY_ENDPOINT, 'Request failed', [
+                'endpoint_id' => $endpoint['id'] ?? null,
+                'endpoint_name' => $endpoint['name'] ?? '',
+                'status_code' => $status_code,
+                'duration_ms' => $duration_ms
+            ], Event_Logger::LEVEL_ERROR);
+        }
+    }
+
+    /**
+     * Delete recorded requests older than a number of days
+     *
+     * @param int $days_old
+     * @return Response_Handler
+     */
+    public static function cleanup_requests(int $days_old = 30): Response_Handler
+    {
+        global $wpdb;
+
+        if (!Database::table_exists(Endpoint_Request_Model::TABLE_NAME)) {
+            return Response_Handler::response(true, 200, 'No endpoint requests recorded');
+        }
+
+        $table = Database::get_table_full_name(Endpoint_Request_Model::TABLE_NAME);
+        $deleted = $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$table} WHERE requested_at < %d",
+            time() - $days_old * DAY_IN_SECONDS
+        ));
+
+        if ($deleted === false) {
+            return Response_Handler::response(false, 500, 'Failed to cleanup endpoint requests');
+        }
+
+        return Response_Handler::response(true, 200, "Deleted {$deleted} old endpoint requests");
+    }
+
     /**
      * Handle webhook type endpoints
      *
@@ -326,7 +438,7 @@ final class Endpoint_Manager
     }
 
     /**
-     * Handle action type endpoints (WordPress hooks)
+     * Handle action type endpoints (WordPress hooks or a saved workflow)
      *
      * @param WP_REST_Request $request
      * @param array $endpoint
@@ -335,8 +447,13 @@ final class Endpoint_Manager
      */
     private static function handle_action(WP_REST_Request $request, array $endpoint, array $config): WP_REST_Response
     {
+        $workflow_id = (int) ($config['workflow_id'] ?? 0);
         $action_name = $config['action_name'] ?? '';
 
+        if ($workflow_id > 0) {
+            return self::handle_workflow($request, $endpoint, $workflow_id);
+        }
+
         if (empty($action_name)) {
             return new WP_REST_Response(['message' => 'No action name configured'], 400);
         }
@@ -360,6 +477,29 @@ final class Endpoint_Manager
         return new WP_REST_Response($response_data, $status_code);
     }
 
+    /**
+     * Run a workflow from the workflow designer for an action endpoint
+     *
+     * @param WP_REST_Request $request
+     * @param array $endpoint
+     * @param int $workflow_id
+     * @return WP_REST_Response
+     */
+    private static function handle_workflow(WP_REST_Request $request, array $endpoint, int $workflow_id): WP_REST_Response
+    {
+        $result = Workflow_Manager::run($workflow_id, self::get_request_data($request), $endpoint, $request);
+
+        if (!$result->ok) {
+            $error = $result->data['error'] ?? $result->message;
+
+            return new WP_REST_Response([
+                'message' => Config::DEBUG_MESSAGE_MODE ? $error : 'An error occurred processing the request'
+            ], $result->status_code);
+        }
+
+        return new WP_REST_Response($result->data['data'], 200);
+    }
+
     /**
      * Handle script type endpoints (custom PHP callbacks)
      *
@@ -582,6 +722,15 @@ final class Endpoint_Manager
             'queued_at' => current_time('mysql')
         ];
 
+        // Record ETL jobs up front so queued requests show as pending in the job monitor
+        if ($handler_type === self::HANDLER_ETL && !empty($handler_config['template_id'])) {
+            $etl_job = ETL_Engine::create_job((int) $handler_config['template_id'], self::get_request_data($request));
+
+            if ($etl_job->ok) {
+                $job_data['etl_job_id'] = (int) $etl_job->data['id'];
+            }
+        }
+
         // Enqueue async action
         $job_id = as_enqueue_async_action(
             'wp_custom_api_process_async_endpoint',
@@ -590,12 +739,26 @@ final class Endpoint_Manager
         );
 
         if ($job_id) {
-            return new WP_REST_Response([
+            $response = [
                 'message' => 'Request queued for processing',
                 'job_id' => $job_id,
                 'status' => 'queued'
-            ], 202);
+            ];
+
+            if (!empty($job_data['etl_job_id'])) {
+                $response['etl_job_id'] = $job_data['etl_job_id'];
+            }
+
+            return new WP_REST_Response($response, 202);
         } else {
+            if (!empty($job_data['etl_job_id'])) {
+                Database::update_row(ETL_Job_Model::TABLE_NAME, $job_data['etl_job_id'], [
+                    'status' => ETL_Engine::STATUS_FAILED,
+                    'completed_at' => time(),
+                    'error_message' => 'Failed to queue request'
+                ]);
+            }
+
             return new WP_REST_Response([
                 'message' => 'Failed to queue request'
             ], 500);
@@ -639,6 +802,18 @@ final class Endpoint_Manager
         }
 
         try {
+            // Run the ETL job recorded when the request was queued
+            if ($handler_type === self::HANDLER_ETL && !empty($job_data['etl_job_id'])) {
+                $etl_job = ETL_Engine::get_job((int) $job_data['etl_job_id']);
+                $input_data = $etl_job->ok && !empty($etl_job->data) ? json_decode($etl_job->data['input_data'] ?? '', true) : null;
+
+                if (is_array($input_data)) {
+                    $response = (new ETL_Engine())->run_job((int) $job_data['etl_job_id'], (int) $etl_job->data['template_id'], $input_data);
+                    do_action('wp_custom_api_async_endpoint_processed', $endpoint_id, $job_data, $response);
+                    return;
+                }
+            }
+
             // Process the handler
             $response = match ($handler_type) {
                 self::HANDLER_WEBHOOK => self::handle_webhook($mock_request, $endpoint, $handler_config),
@@ -884,6 +1059,7 @@ final class Endpoint_Manager
 
         if ($result->ok) {
             self::$endpoints = null; // Clear cache
+            Endpoint_Revisions::record((int) $result->data['id'], 'Created');
             do_action('wp_custom_api_endpoint_created', $result->data['id'], $data);
         }
 
@@ -907,10 +1083,14 @@ final class Endpoint_Manager
             }
         }
 
+        // Keep the configuration being replaced if it predates revision history
+        Endpoint_Revisions::record_baseline($id);
+
         $result = Database::update_row(Custom_Endpoint_Model::TABLE_NAME, $id, $data);
 
         if ($result->ok) {
             self::$endpoints = null; // Clear cache
+            Endpoint_Revisions::record($id);
             do_action('wp_custom_api_endpoint_updated', $id, $data);
         }
 
@@ -935,6 +1115,116 @@ final class Endpoint_Manager
         return $result;
     }
 
+    /**
+     * Duplicate an endpoint as an inactive copy
+     *
+     * @param int $id Endpoint ID
+     * @return Response_Handler Data holds the new id and slug
+     */
+    public static function duplicate_endpoint(int $id): Response_Handler
+    {
+        $endpoint = self::get_endpoint_row($id);
+
+        if (!$endpoint) {
+            return Response_Handler::response(false, 404, 'Endpoint not found');
+        }
+
+        $name = $endpoint['name'];
+
+        unset($endpoint['id'], $endpoint['created_at'], $endpoint['updated_at']);
+        $endpoint['name'] = $endpoint['name'] . ' (Copy)';
+        $endpoint['slug'] = $endpoint['slug'] . '-copy-' . time();
+        $endpoint['is_active'] = 0; // Start inactive
+
+        $result = Database::insert_row(Custom_Endpoint_Model::TABLE_NAME, $endpoint);
+
+        if (!$result->ok) {
+            return $result;
+        }
+
+        self::$endpoints = null; // Clear cache
+        Endpoint_Revisions::record((int) $result->data['id'], sprintf('Duplicated from %s', $name));
+        do_action('wp_custom_api_endpoint_created', $result->data['id'], $endpoint);
+
+        return Response_Handler::response(true, 201, 'Endpoint duplicated', [
+            'id' => (int) $result->data['id'],
+            'slug' => $endpoint['slug']
+        ]);
+    }
+
+    /**
+     * Put back a deleted endpoint row with its original id
+     *
+     * @param array $row The full row as it was read before deletion
+     * @return Response_Handler Data holds the id, or the error
+     */
+    public static function restore_endpoint(array $row): Response_Handler
+    {
+        global $wpdb;
+        $table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
+
+        if (self::get_endpoint_row((int) ($row['id'] ?? 0))) {
+            return Response_Handler::response(false, 409, 'Endpoint already exists');
+        }
+
+        if (self::find_path_conflict($row)) {
+            return Response_Handler::response(false, 409, sprintf('Another endpoint now uses %s %s', strtoupper((string) ($row['method'] ?? '')), self::get_path($row)));
+        }
+
+        if ($wpdb->insert($table, $row) === false) {
+            return Response_Handler::response(false, 500, 'Failed to restore endpoint');
+        }
+
+        self::$endpoints = null; // Clear cache
+        do_action('wp_custom_api_endpoint_created', (int) $row['id'], $row);
+
+        return Response_Handler::response(true, 200, 'Endpoint restored', ['id' => (int) $row['id']]);
+    }
+
+    /**
+     * Find another endpoint that answers the same method and path
+     *
+     * Routes are registered per slug, route and method, so endpoints may
+     * share a slug as long as their route or method differs.
+     *
+     * @param array $endpoint Holds slug, route and method
+     * @param int $exclude_id Endpoint left out of the search, such as the one being changed
+     * @return int|null ID of the conflicting endpoint
+     */
+    public static function find_path_conflict(array $endpoint, int $exclude_id = 0): ?int
+    {
+        global $wpdb;
+        $table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
+
+        $id = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$table} WHERE slug = %s AND route = %s AND method = %s AND id != %d LIMIT 1",
+            $endpoint['slug'] ?? '',
+            $endpoint['route'] ?? '',
+            $endpoint['method'] ?? '',
+            $exclude_id
+        ));
+
+        return $id ? (int) $id : null;
+    }
+
+    /**
+     * Read an endpoint's full row
+     *
+     * @param int $id Endpoint ID
+     * @return array|null
+     */
+    public static function get_endpoint_row(int $id): ?array
+    {
+        global $wpdb;
+        $table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
+
+        if (!$table || $id <= 0) {
+            return null;
+        }
+
+        return $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table} WHERE id = %d", $id), ARRAY_A) ?: null;
+    }
+
     /**
      * Get endpoint by ID
      *
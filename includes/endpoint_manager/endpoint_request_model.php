@@ -0,0 +1,72 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Includes\Model_Interface;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Model for endpoint requests.
+ * Stores the status and duration of every request to a custom endpoint for the dashboard charts.
+ *
+ * @since 2.0.0
+ */
+
+final class Endpoint_Request_Model extends Model_Interface
+{
+    /**
+     * Table name for endpoint requests
+     */
+    public const TABLE_NAME = 'endpoint_requests';
+
+    public static function table_name(): string
+    {
+        return self::TABLE_NAME;
+    }
+
+    public static function schema(): array
+    {
+        return [
+            'endpoint_id' => [
+                'query'    => 'BIGINT(20)',
+                'type'     => 'int',
+                'required' => true,
+                'minimum'  => 0,
+                'maximum'  => 99999999999,
+            ],
+            'status_code' => [
+                'query'    => 'INT(11)',
+                'type'     => 'int',
+                'required' => true,
+                'minimum'  => 100,
+                'maximum'  => 599,
+            ],
+            'duration_ms' => [
+                'query'    => 'INT(11)',
+                'type'     => 'int',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 999999999,
+            ],
+            'requested_at' => [
+                'query'    => 'BIGINT(12)',
+                'type'     => 'int',
+                'required' => true,
+                'minimum'  => 0,
+                'maximum'  => 999999999999,
+            ],
+        ];
+    }
+
+    public static function create_table(): bool
+    {
+        return true;
+    }
+}
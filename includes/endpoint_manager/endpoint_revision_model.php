@@ -0,0 +1,72 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Includes\Model_Interface;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Model for endpoint revisions.
+ * Stores a snapshot of an endpoint's configuration every time it is saved, for diffs and rollback.
+ *
+ * @since 2.0.0
+ */
+
+final class Endpoint_Revision_Model extends Model_Interface
+{
+    /**
+     * Table name for endpoint revisions
+     */
+    public const TABLE_NAME = 'endpoint_revisions';
+
+    public static function table_name(): string
+    {
+        return self::TABLE_NAME;
+    }
+
+    public static function schema(): array
+    {
+        return [
+            'endpoint_id' => [
+                'query'    => 'MEDIUMINT(11)',
+                'type'     => 'int',
+                'required' => true,
+                'minimum'  => 1,
+                'maximum'  => 99999999,
+            ],
+            'config' => [
+                'query'    => 'LONGTEXT',
+                'type'     => 'raw',
+                'required' => true,
+                'minimum'  => 0,
+                'maximum'  => 16777215,
+            ],
+            'note' => [
+                'query'    => 'VARCHAR(255)',
+                'type'     => 'text',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 255,
+            ],
+            'created_by' => [
+                'query'    => 'BIGINT(20)',
+                'type'     => 'int',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 99999999999,
+            ],
+        ];
+    }
+
+    public static function create_table(): bool
+    {
+        return true;
+    }
+}
@@ -0,0 +1,469 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Includes\Database;
+use WP_Custom_API\Includes\Response_Handler;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Endpoint Revisions - Configuration history of custom endpoints
+ *
+ * This class handles:
+ * - Recording a snapshot of the endpoint's row and bound ETL templates every time either changes
+ * - Keeping the configuration that predates the history before its first save
+ * - Listing revisions with their author, and masking secrets for display
+ * - Rolling an endpoint and its ETL template bindings back to a revision
+ *
+ * @since 2.0.0
+ */
+
+final class Endpoint_Revisions
+{
+    /**
+     * Default number of revisions kept per endpoint
+     */
+    public const LIMIT = 50;
+
+    /**
+     * Columns that are not part of an endpoint's configuration
+     */
+    private const IGNORED_FIELDS = ['id', 'created_at', 'updated_at'];
+
+    /**
+     * Columns stored as JSON, decoded for display
+     */
+    private const JSON_FIELDS = ['handler_config', 'permission_config', 'request_schema', 'response_schema'];
+
+    /**
+     * Snapshot key listing the IDs of the ETL templates bound to the endpoint
+     *
+     * The binding is stored as source_endpoint_id on the template, not in
+     * the endpoint row.
+     */
+    public const ETL_TEMPLATES_FIELD = 'etl_template_ids';
+
+    /**
+     * Config keys whose values are masked for display
+     */
+    private const SECRET_PATTERN = '/(secret|password|api_keys?|private_key|access_token)$/i';
+
+    /**
+     * Set while rolling back, so the rollback is recorded as one revision
+     */
+    private static bool $paused = false;
+
+    /**
+     * Record the endpoint's current configuration as a revision
+     *
+     * Nothing is recorded when it matches the latest revision.
+     *
+     * @param int $endpoint_id
+     * @param string $note
+     * @return void
+     */
+    public static function record(int $endpoint_id, string $note = ''): void
+    {
+        if (self::$paused || $endpoint_id <= 0 || !Database::table_exists(Endpoint_Revision_Model::TABLE_NAME)) {
+            return;
+        }
+
+        $endpoint = Endpoint_Manager::get_endpoint_row($endpoint_id);
+
+        if (!$endpoint) {
+            return;
+        }
+
+        $config = self::snapshot($endpoint);
+        $latest = self::get_latest($endpoint_id);
+
+        if ($latest && $latest['config'] === $config) {
+            return;
+        }
+
+        Database::insert_row(Endpoint_Revision_Model::TABLE_NAME, [
+            'endpoint_id' => $endpoint_id,
+            'config' => wp_json_encode($config),
+            'note' => mb_substr($note, 0, 255),
+            'created_by' => get_current_user_id(),
+        ]);
+
+        $limit = max(1, (int) apply_filters('wp_custom_api_endpoint_revision_limit', self::LIMIT, $endpoint_id));
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Endpoint_Revision_Model::TABLE_NAME);
+
+        $ids = $wpdb->get_col($wpdb->prepare(
+            "SELECT id FROM {$table} WHERE endpoint_id = %d ORDER BY id DESC",
+            $endpoint_id
+        ));
+
+        $stale_ids = array_slice($ids ?: [], $limit);
+
+        if (!empty($stale_ids)) {
+            $wpdb->query("DELETE FROM {$table} WHERE id IN (" . implode(',', array_map('intval', $stale_ids)) . ")");
+        }
+    }
+
+    /**
+     * Keep the configuration about to be replaced if the endpoint has no history yet
+     *
+     * Endpoints created before revisions existed would otherwise lose the
+     * configuration their first save overwrites.
+     *
+     * @param int $endpoint_id
+     * @return void
+     */
+    public static function record_baseline(int $endpoint_id): void
+    {
+        if ($endpoint_id > 0 && Database::table_exists(Endpoint_Revision_Model::TABLE_NAME) && !self::get_latest($endpoint_id)) {
+            self::record($endpoint_id, 'Configuration before revision history');
+        }
+    }
+
+    /**
+     * List an endpoint's revisions, newest first, without their configuration
+     *
+     * The newest revision is flagged as current when it matches the endpoint.
+     *
+     * @param int $endpoint_id
+     * @return Response_Handler
+     */
+    public static function get_revisions(int $endpoint_id): Response_Handler
+    {
+        if (!Database::table_exists(Endpoint_Revision_Model::TABLE_NAME)) {
+            return Response_Handler::response(true, 200, 'No revisions found', []);
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Endpoint_Revision_Model::TABLE_NAME);
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table} WHERE endpoint_id = %d ORDER BY id DESC",
+            $endpoint_id
+        ), ARRAY_A) ?: [];
+
+        $endpoint = Endpoint_Manager::get_endpoint_row($endpoint_id);
+        $current = $endpoint ? self::snapshot($endpoint) : null;
+
+        $revisions = array_map(static function (array $row, int $index) use ($current): array {
+            return [
+                'id' => (int) $row['id'],
+                'note' => (string) ($row['note'] ?? ''),
+                'author' => self::get_author_name((int) ($row['created_by'] ?? 0)),
+                'created_at' => $row['created_at'],
+                'is_current' => $index === 0 && $current !== null && json_decode((string) $row['config'], true) === $current,
+            ];
+        }, $rows, array_keys($rows));
+
+        return Response_Handler::response(true, 200, count($revisions) . ' revision(s) found', $revisions);
+    }
+
+    /**
+     * Get a single revision with its decoded configuration
+     *
+     * @param int $id
+     * @return array|null
+     */
+    public static function get_revision(int $id): ?array
+    {
+        if (!Database::table_exists(Endpoint_Revision_Model::TABLE_NAME)) {
+            return null;
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Endpoint_Revision_Model::TABLE_NAME);
+
+        $row = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table} WHERE id = %d", $id), ARRAY_A);
+
+        return $row ? self::decode_revision($row) : null;
+    }
+
+    /**
+     * Get the revision recorded before another one
+     *
+     * @param array $revision
+     * @return array|null
+     */
+    public static function get_previous(array $revision): ?array
+    {
+        global $wpdb;
+        $table = Database::get_table_full_name(Endpoint_Revision_Model::TABLE_NAME);
+
+        $row = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table} WHERE endpoint_id = %d AND id < %d ORDER BY id DESC LIMIT 1",
+            $revision['endpoint_id'],
+            $revision['id']
+        ), ARRAY_A);
+
+        return $row ? self::decode_revision($row) : null;
+    }
+
+    /**
+     * Roll an endpoint back to a revision
+     *
+     * Only columns the endpoints table still has are restored, along with
+     * the ETL templates bound to the endpoint. The rollback itself is
+     * recorded as a new revision.
+     *
+     * @param int $revision_id
+     * @return Response_Handler Data holds the endpoint ID and message, or the error
+     */
+    public static function restore(int $revision_id): Response_Handler
+    {
+        $revision = self::get_revision($revision_id);
+        $endpoint_id = $revision ? (int) $revision['endpoint_id'] : 0;
+        $endpoint = $revision ? Endpoint_Manager::get_endpoint_row($endpoint_id) : null;
+
+        if (!$revision) {
+            return Response_Handler::response(false, 404, 'Revision not found');
+        }
+
+        if (!$endpoint) {
+            return Response_Handler::response(false, 404, 'The endpoint of this revision no longer exists');
+        }
+
+        $current = self::snapshot($endpoint);
+        $data = array_intersect_key($revision['config'], $current);
+
+        if ($data == array_intersect_key($current, $data)) {
+            return Response_Handler::response(false, 400, 'The endpoint already has this configuration');
+        }
+
+        // Revisions recorded before bindings were tracked leave them as they are
+        $templates = $data[self::ETL_TEMPLATES_FIELD] ?? null;
+        unset($data[self::ETL_TEMPLATES_FIELD]);
+
+        if (Endpoint_Manager::find_path_conflict(array_merge($current, $data), $endpoint_id)) {
+            return Response_Handler::response(false, 409, 'Another endpoint now uses the path and method of this revision');
+        }
+
+        if ($data != array_intersect_key($current, $data)) {
+            self::$paused = true;
+
+            try {
+                $result = Endpoint_Manager::update_endpoint($endpoint_id, $data);
+            } finally {
+                self::$paused = false;
+            }
+
+            if (!$result->ok) {
+                return Response_Handler::response(false, $result->status_code, 'The endpoint could not be saved');
+            }
+        }
+
+        $moved_from = $templates !== null ? self::bind_templates($endpoint_id, $templates, $current[self::ETL_TEMPLATES_FIELD]) : [];
+
+        self::record($endpoint_id, sprintf('Rolled back to the revision of %s', $revision['created_at']));
+
+        // Templates taken back from other endpoints change their history too
+        foreach ($moved_from as $other_id) {
+            self::record($other_id);
+        }
+
+        Event_Logger::log(Event_Logger::CATEGORY_ENDPOINT, 'Endpoint rolled back to a revision', [
+            'endpoint_id' => $endpoint_id,
+            'revision_id' => $revision_id,
+            'user_id' => get_current_user_id()
+        ]);
+
+        return Response_Handler::response(true, 200, 'Endpoint rolled back', [
+            'endpoint_id' => $endpoint_id,
+            'message' => 'Endpoint rolled back'
+        ]);
+    }
+
+    /**
+     * Configuration for display: JSON columns decoded, keys sorted, secrets masked
+     *
+     * Masked values keep a short fingerprint so changed secrets still show up
+     * in a diff.
+     *
+     * @param array $config
+     * @return array
+     */
+    public static function for_display(array $config): array
+    {
+        foreach (self::JSON_FIELDS as $field) {
+            if (is_string($config[$field] ?? null) && $config[$field] !== '') {
+                $decoded = json_decode($config[$field], true);
+                $config[$field] = is_array($decoded) ? $decoded : $config[$field];
+            }
+        }
+
+        return self::mask($config);
+    }
+
+    /**
+     * The configuration columns of an endpoint row and its bound ETL templates
+     *
+     * @param array $endpoint
+     * @return array
+     */
+    public static function snapshot(array $endpoint): array
+    {
+        $config = array_diff_key($endpoint, array_flip(self::IGNORED_FIELDS));
+        $config[self::ETL_TEMPLATES_FIELD] = self::get_bound_templates((int) ($endpoint['id'] ?? 0));
+
+        return $config;
+    }
+
+    /**
+     * IDs of the ETL templates bound to an endpoint
+     *
+     * @param int $endpoint_id
+     * @return array
+     */
+    private static function get_bound_templates(int $endpoint_id): array
+    {
+        if ($endpoint_id <= 0 || !Database::table_exists(ETL_Template_Model::TABLE_NAME)) {
+            return [];
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(ETL_Template_Model::TABLE_NAME);
+
+        $ids = $wpdb->get_col($wpdb->prepare(
+            "SELECT id FROM {$table} WHERE source_endpoint_id = %d ORDER BY id ASC",
+            $endpoint_id
+        ));
+
+        return array_map('intval', $ids ?: []);
+    }
+
+    /**
+     * Bind exactly the given ETL templates to an endpoint
+     *
+     * Templates that no longer exist are left out. Rows are written directly
+     * so the rollback is recorded as a single revision.
+     *
+     * @param int $endpoint_id
+     * @param array $template_ids Templates to bind
+     * @param array $bound Templates bound now
+     * @return array IDs of the other endpoints templates were taken from
+     */
+    private static function bind_templates(int $endpoint_id, array $template_ids, array $bound): array
+    {
+        global $wpdb;
+        $table = Database::get_table_full_name(ETL_Template_Model::TABLE_NAME);
+        $moved_from = [];
+
+        foreach (array_diff($bound, $template_ids) as $template_id) {
+            Database::update_row(ETL_Template_Model::TABLE_NAME, (int) $template_id, ['source_endpoint_id' => 0]);
+        }
+
+        foreach (array_diff($template_ids, $bound) as $template_id) {
+            $owner = $wpdb->get_var($wpdb->prepare("SELECT source_endpoint_id FROM {$table} WHERE id = %d", $template_id));
+
+            if ($owner === null) {
+                continue;
+            }
+
+            Database::update_row(ETL_Template_Model::TABLE_NAME, (int) $template_id, ['source_endpoint_id' => $endpoint_id]);
+
+            if ((int) $owner > 0) {
+                $moved_from[] = (int) $owner;
+            }
+        }
+
+        return array_values(array_unique($moved_from));
+    }
+
+    /**
+     * Get the newest revision of an endpoint
+     *
+     * @param int $endpoint_id
+     * @return array|null
+     */
+    private static function get_latest(int $endpoint_id): ?array
+    {
+        global $wpdb;
+        $table = Database::get_table_full_name(Endpoint_Revision_Model::TABLE_NAME);
+
+        $row = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table} WHERE endpoint_id = %d ORDER BY id DESC LIMIT 1",
+            $endpoint_id
+        ), ARRAY_A);
+
+        return $row ? self::decode_revision($row) : null;
+    }
+
+    /**
+     * Decode the config column of a revision row
+     *
+     * @param array $row
+     * @return array
+     */
+    private static function decode_revision(array $row): array
+    {
+        $row['id'] = (int) $row['id'];
+        $row['endpoint_id'] = (int) $row['endpoint_id'];
+        $row['config'] = json_decode((string) ($row['config'] ?? ''), true) ?: [];
+
+        return $row;
+    }
+
+    /**
+     * Sort keys and mask secret values recursively
+     *
+     * @param array $value
+     * @return array
+     */
+    private static function mask(array $value): array
+    {
+        if (!array_is_list($value)) {
+            ksort($value);
+        }
+
+        foreach ($value as $key => $item) {
+            if (is_string($key) && preg_match(self::SECRET_PATTERN, $key)) {
+                $value[$key] = is_array($item) ? array_map([self::class, 'mask_secret'], $item) : self::mask_secret($item);
+            } elseif (is_array($item)) {
+                $value[$key] = self::mask($item);
+            }
+        }
+
+        return $value;
+    }
+
+    /**
+     * Replace a secret with the mask and a fingerprint
+     *
+     * @param mixed $secret
+     * @return mixed
+     */
+    private static function mask_secret(mixed $secret): mixed
+    {
+        if ($secret === '' || $secret === null) {
+            return $secret;
+        }
+
+        $fingerprint = substr(hash('sha256', wp_json_encode($secret)), 0, 8);
+
+        return External_Service_Connector::SECRET_MASK . " ({$fingerprint})";
+    }
+
+    /**
+     * Display name of a revision's author
+     *
+     * @param int $user_id
+     * @return string
+     */
+    private static function get_author_name(int $user_id): string
+    {
+        if ($user_id <= 0) {
+            return 'System';
+        }
+
+        $user = get_userdata($user_id);
+
+        return $user ? $user->display_name : sprintf('Deleted user #%d', $user_id);
+    }
+}
@@ -0,0 +1,93 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Includes\Model_Interface;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Model for endpoint tests.
+ * Stores named test cases and the recent request history of the admin endpoint tester.
+ *
+ * @since 2.0.0
+ */
+
+final class Endpoint_Test_Model extends Model_Interface
+{
+    /**
+     * Table name for endpoint tests
+     */
+    public const TABLE_NAME = 'endpoint_tests';
+
+    public static function table_name(): string
+    {
+        return self::TABLE_NAME;
+    }
+
+    public static function schema(): array
+    {
+        return [
+            'endpoint_id' => [
+                'query'    => 'MEDIUMINT(11)',
+                'type'     => 'int',
+                'required' => true,
+                'minimum'  => 1,
+                'maximum'  => 99999999,
+            ],
+            'type' => [
+                'query'    => 'VARCHAR(20)',
+                'type'     => 'text',
+                'required' => true,
+                'minimum'  => 1,
+                'maximum'  => 20,
+            ],
+            'name' => [
+                'query'    => 'VARCHAR(255)',
+                'type'     => 'text',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 255,
+            ],
+            'request' => [
+                'query'    => 'JSON',
+                'type'     => 'raw',
+                'required' => true,
+                'minimum'  => 0,
+                'maximum'  => 65535,
+            ],
+            'assertions' => [
+                'query'    => 'JSON',
+                'type'     => 'raw',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 65535,
+            ],
+            'response' => [
+                'query'    => 'LONGTEXT',
+                'type'     => 'raw',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 16777215,
+            ],
+            'created_by' => [
+                'query'    => 'BIGINT(20)',
+                'type'     => 'int',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 99999999999,
+            ],
+        ];
+    }
+
+    public static function create_table(): bool
+    {
+        return true;
+    }
+}
@@ -0,0 +1,903 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Includes\Database;
+use WP_Custom_API\Includes\Response_Handler;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Endpoint Tester - Saved test cases and request history for the admin tester
+ *
+ * This class handles:
+ * - Named test cases (collections) per endpoint
+ * - Automatic history of the last executed test requests with their responses
+ * - Importing shared collections
+ * - Evaluating response assertions attached to test cases
+ * - Encoding request bodies (JSON, url-encoded form, raw, multipart)
+ * - Adding the credentials an endpoint's permission or webhook config expects
+ * - Exposing the endpoint's schemas for validating test requests and responses
+ *
+ * @since 2.0.0
+ */
+
+final class Endpoint_Tester
+{
+    /**
+     * Test entry type constants
+     */
+    public const TYPE_SAVED = 'saved';
+    public const TYPE_HISTORY = 'history';
+
+    /**
+     * Default number of history entries kept per endpoint
+     */
+    public const HISTORY_LIMIT = 20;
+
+    /**
+     * Assertion type constants
+     */
+    public const ASSERT_STATUS = 'status';
+    public const ASSERT_JSON_PATH = 'json_path';
+    public const ASSERT_HEADER = 'header';
+    public const ASSERT_MAX_DURATION = 'max_duration';
+    public const ASSERT_RESPONSE_SCHEMA = 'response_schema';
+
+    /**
+     * Request body type constants
+     */
+    public const BODY_JSON = 'json';
+    public const BODY_FORM = 'form';
+    public const BODY_RAW = 'raw';
+    public const BODY_MULTIPART = 'multipart';
+
+    /**
+     * Auth mode constants
+     */
+    public const AUTH_AUTO = 'auto';
+    public const AUTH_NONE = 'none';
+
+    /**
+     * Get saved test cases or history entries for an endpoint
+     *
+     * @param int $endpoint_id
+     * @param string $type
+     * @return Response_Handler
+     */
+    public static function get_tests(int $endpoint_id, string $type = self::TYPE_SAVED): Response_Handler
+    {
+        if (!Database::table_exists(Endpoint_Test_Model::TABLE_NAME)) {
+            return Response_Handler::response(true, 200, 'No tests found', []);
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Endpoint_Test_Model::TABLE_NAME);
+
+        // Saved cases are listed by name, history newest first
+        $order = $type === self::TYPE_HISTORY ? 'id DESC' : 'name ASC';
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table} WHERE endpoint_id = %d AND type = %s ORDER BY {$order}",
+            $endpoint_id,
+            $type
+        ), ARRAY_A);
+
+        $tests = array_map([self::class, 'decode_test'], $rows ?: []);
+
+        return Response_Handler::response(true, 200, count($tests) . ' test(s) found', $tests);
+    }
+
+    /**
+     * Create or update a saved test case
+     *
+     * @param array $data id (optional), endpoint_id, name, request, assertions (optional)
+     * @return Response_Handler Data holds the id, or the error when the case is invalid
+     */
+    public static function save_test_case(array $data): Response_Handler
+    {
+        $name = trim((string) ($data['name'] ?? ''));
+
+        if ($name === '') {
+            return Response_Handler::response(false, 400, 'Test case name is required');
+        }
+
+        if (!is_array($data['request'] ?? null)) {
+            return Response_Handler::response(false, 400, 'Test case request is required');
+        }
+
+        $row = [
+            'name' => $name,
+            'request' => wp_json_encode($data['request']),
+            'assertions' => wp_json_encode(array_values(is_array($data['assertions'] ?? null) ? $data['assertions'] : [])),
+        ];
+
+        $id = (int) ($data['id'] ?? 0);
+
+        if ($id > 0) {
+            if (self::get_test($id) === null) {
+                return Response_Handler::response(false, 404, 'Test case not found');
+            }
+
+            $result = Database::update_row(Endpoint_Test_Model::TABLE_NAME, $id, $row);
+
+            // update_row reports a save without changes as a failed update
+            return $result->ok || $result->status_code === 400
+                ? Response_Handler::response(true, 200, 'Test case saved', ['id' => $id])
+                : $result;
+        }
+
+        $endpoint_id = (int) ($data['endpoint_id'] ?? 0);
+
+        if ($endpoint_id <= 0) {
+            return Response_Handler::response(false, 400, 'Invalid endpoint ID');
+        }
+
+        return Database::insert_row(Endpoint_Test_Model::TABLE_NAME, array_merge($row, [
+            'endpoint_id' => $endpoint_id,
+            'type' => self::TYPE_SAVED,
+            'created_by' => get_current_user_id(),
+        ]));
+    }
+
+    /**
+     * Get a single saved test case or history entry
+     *
+     * @param int $id
+     * @return array|null
+     */
+    public static function get_test(int $id): ?array
+    {
+        if (!Database::table_exists(Endpoint_Test_Model::TABLE_NAME)) {
+            return null;
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Endpoint_Test_Model::TABLE_NAME);
+
+        $row = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table} WHERE id = %d", $id), ARRAY_A);
+
+        return $row ? self::decode_test($row) : null;
+    }
+
+    /**
+     * Delete a saved test case or history entry
+     *
+     * @param int $id
+     * @return Response_Handler
+     */
+    public static function delete_test(int $id): Response_Handler
+    {
+        return Database::delete_row(Endpoint_Test_Model::TABLE_NAME, $id);
+    }
+
+    /**
+     * Import a collection of test cases into an endpoint
+     *
+     * Cases whose name already exists on the endpoint are overwritten.
+     *
+     * @param int $endpoint_id
+     * @param array $cases List of ['name' => string, 'request' => array, 'assertions' => array]
+     * @return Response_Handler Data holds message, imported and errors
+     */
+    public static function import_test_cases(int $endpoint_id, array $cases): Response_Handler
+    {
+        $existing = [];
+        foreach (self::get_tests($endpoint_id)->data ?: [] as $test) {
+            $existing[$test['name']] = (int) $test['id'];
+        }
+
+        $imported = 0;
+        $errors = [];
+
+        foreach ($cases as $index => $case) {
+            $name = is_array($case) ? trim((string) ($case['name'] ?? '')) : '';
+
+            $result = self::save_test_case([
+                'id' => $existing[$name] ?? 0,
+                'endpoint_id' => $endpoint_id,
+                'name' => $name,
+                'request' => is_array($case) ? ($case['request'] ?? null) : null,
+                'assertions' => is_array($case) ? ($case['assertions'] ?? []) : [],
+            ]);
+
+            if ($result->ok) {
+                $imported++;
+            } else {
+                $errors[] = sprintf('Case %d (%s): %s', $index + 1, $name !== '' ? $name : 'unnamed', $result->reason);
+            }
+        }
+
+        $message = empty($errors)
+            ? sprintf('%d test case(s) imported', $imported)
+            : sprintf('%d of %d test case(s) imported', $imported, count($cases));
+
+        return Response_Handler::response(
+            $imported > 0 || empty($cases),
+            empty($errors) ? 200 : 207,
+            $message,
+            ['imported' => $imported, 'errors' => $errors]
+        );
+    }
+
+    /**
+     * Get every saved test case grouped by endpoint
+     *
+     * @return Response_Handler
+     */
+    public static function get_test_suite(): Response_Handler
+    {
+        if (!Database::table_exists(Endpoint_Test_Model::TABLE_NAME)) {
+            return Response_Handler::response(true, 200, 'No tests found', []);
+        }
+
+        global $wpdb;
+        $tests_table = Database::get_table_full_name(Endpoint_Test_Model::TABLE_NAME);
+        $endpoints_table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT t.*, e.name AS endpoint_name, e.method AS endpoint_method
+             FROM {$tests_table} t
+             INNER JOIN {$endpoints_table} e ON e.id = t.endpoint_id
+             WHERE t.type = %s
+             ORDER BY e.name ASC, t.name ASC",
+            self::TYPE_SAVED
+        ), ARRAY_A);
+
+        $suite = [];
+        foreach ($rows ?: [] as $row) {
+            $endpoint_id = (int) $row['endpoint_id'];
+
+            $suite[$endpoint_id] ??= [
+                'endpoint_id' => $endpoint_id,
+                'endpoint_name' => $row['endpoint_name'],
+                'method' => $row['endpoint_method'],
+                'cases' => [],
+            ];
+
+            unset($row['endpoint_name'], $row['endpoint_method']);
+            $suite[$endpoint_id]['cases'][] = self::decode_test($row);
+        }
+
+        return Response_Handler::response(true, 200, count($rows ?: []) . ' test(s) found', array_values($suite));
+    }
+
+    /**
+     * Evaluate assertions against a test result
+     *
+     * @param array $assertions List of assertion definitions
+     * @param array $result Test result (request, response, metrics)
+     * @param array $endpoint Endpoint row, used for response schema validation
+     * @return array List of ['assertion', 'passed', 'message']
+     */
+    public static function evaluate_assertions(array $assertions, array $result, array $endpoint = []): array
+    {
+        $results = [];
+
+        foreach ($assertions as $assertion) {
+            if (!is_array($assertion) || empty($assertion['type'])) {
+                continue;
+            }
+
+            [$passed, $message] = match ($assertion['type']) {
+                self::ASSERT_STATUS => self::assert_status($assertion, $result),
+                self::ASSERT_JSON_PATH => self::assert_json_path($assertion, $result),
+                self::ASSERT_HEADER => self::assert_header($assertion, $result),
+                self::ASSERT_MAX_DURATION => self::assert_max_duration($assertion, $result),
+                self::ASSERT_RESPONSE_SCHEMA => self::assert_response_schema($result, $endpoint),
+                default => [false, 'Unknown assertion type: ' . $assertion['type']],
+            };
+
+            $results[] = [
+                'assertion' => $assertion,
+                'passed' => $passed,
+                'message' => $message,
+            ];
+        }
+
+        return $results;
+    }
+
+    /**
+     * Check the response status code, either exact (200) or by class (2xx)
+     *
+     * @param array $assertion
+     * @param array $result
+     * @return array [bool, string]
+     */
+    private static function assert_status(array $assertion, array $result): array
+    {
+        $actual = (int) ($result['response']['status_code'] ?? 0);
+        $expected = strtolower(trim((string) ($assertion['expected'] ?? '200')));
+
+        $passed = preg_match('/^([1-5])xx$/', $expected, $matches)
+            ? intdiv($actual, 100) === (int) $matches[1]
+            : $actual === (int) $expected;
+
+        return [$passed, sprintf('Expected status %s, got %d', $expected, $actual)];
+    }
+
+    /**
+     * Check a JSONPath expression against the response body
+     *
+     * Operators: equals, not_equals, contains, exists, not_exists.
+     *
+     * @param array $assertion
+     * @param array $result
+     * @return array [bool, string]
+     */
+    private static function assert_json_path(array $assertion, array $result): array
+    {
+        $path = (string) ($assertion['path'] ?? '$');
+        $operator = $assertion['operator'] ?? 'equals';
+        $expected = $assertion['expected'] ?? null;
+        $matches = self::json_path_query($result['response']['body'] ?? null, $path);
+
+        if ($matches === null) {
+            return [false, sprintf('Invalid JSONPath: %s', $path)];
+        }
+
+        if ($operator === 'exists' || $operator === 'not_exists') {
+            $exists = !empty($matches);
+            return [
+                $operator === 'exists' ? $exists : !$exists,
+                sprintf('%s %s', $path, $exists ? 'exists' : 'does not exist'),
+            ];
+        }
+
+        if (empty($matches)) {
+            return [false, sprintf('%s not found in response body', $path)];
+        }
+
+        // Wildcard paths compare against the list of matched values
+        $actual = str_contains($path, '*') ? $matches : $matches[0];
+        $actual_text = wp_json_encode($actual);
+
+        $passed = match ($operator) {
+            'equals' => self::values_equal($actual, $expected),
+            'not_equals' => !self::values_equal($actual, $expected),
+            'contains' => is_array($actual)
+                ? !empty(array_filter($actual, fn($item) => self::values_equal($item, $expected)))
+                : str_contains((string) $actual, (string) $expected),
+            default => false,
+        };
+
+        return [$passed, sprintf('%s %s %s (actual: %s)', $path, $operator, wp_json_encode($expected), $actual_text)];
+    }
+
+    /**
+     * Check that a response header is present, optionally containing a value
+     *
+     * @param array $assertion
+     * @param array $result
+     * @return array [bool, string]
+     */
+    private static function assert_header(array $assertion, array $result): array
+    {
+        $name = strtolower(trim((string) ($assertion['name'] ?? '')));
+        $headers = array_change_key_case($result['response']['headers'] ?? [], CASE_LOWER);
+
+        if (!isset($headers[$name])) {
+            return [false, sprintf('Header %s is missing', $name)];
+        }
+
+        $value = is_array($headers[$name]) ? implode(', ', $headers[$name]) : (string) $headers[$name];
+        $expected = (string) ($assertion['expected'] ?? '');
+
+        if ($expected === '') {
+            return [true, sprintf('Header %s is present', $name)];
+        }
+
+        return [
+            str_contains($value, $expected),
+            sprintf('Header %s: expected to contain "%s", got "%s"', $name, $expected, $value),
+        ];
+    }
+
+    /**
+     * Check the request duration against a maximum in milliseconds
+     *
+     * @param array $assertion
+     * @param array $result
+     * @return array [bool, string]
+     */
+    private static function assert_max_duration(array $assertion, array $result): array
+    {
+        $actual = (float) ($result['metrics']['duration_ms'] ?? 0);
+        $max = (float) ($assertion['max_ms'] ?? 0);
+
+        return [$actual <= $max, sprintf('Duration %sms (max %sms)', $actual, $max)];
+    }
+
+    /**
+     * Validate the response body against the endpoint's response schema
+     *
+     * @param array $result
+     * @param array $endpoint
+     * @return array [bool, string]
+     */
+    private static function assert_response_schema(array $result, array $endpoint): array
+    {
+        $schema = $endpoint['response_schema'] ?? null;
+        if (is_string($schema)) {
+            $schema = json_decode($schema, true);
+        }
+
+        if (empty($schema) || !is_array($schema)) {
+            return [false, 'Endpoint has no response schema'];
+        }
+
+        $valid = rest_validate_value_from_schema($result['response']['body'] ?? null, $schema, 'response');
+
+        if (is_wp_error($valid)) {
+            return [false, $valid->get_error_message()];
+        }
+
+        return [true, 'Response matches schema'];
+    }
+
+    /**
+     * Resolve a JSONPath expression ($.a.b[0], $['a'], [*] wildcards)
+     *
+     * @param mixed $data
+     * @param string $path
+     * @return array|null Matched values, or null if the path cannot be parsed
+     */
+    private static function json_path_query(mixed $data, string $path): ?array
+    {
+        $path = trim($path);
+
+        if ($path === '' || $path === '$') {
+            return [$data];
+        }
+
+        // Allow paths written without the root, e.g. "data.items[0]"
+        $path = $path[0] === '$' ? substr($path, 1) : '.' . ltrim($path, '.');
+
+        preg_match_all('/\.([^.\[\]]+)|\[(\d+)\]|\[[\'"]([^\'"]+)[\'"]\]|\[\*\]/', $path, $tokens, PREG_SET_ORDER);
+
+        if (implode('', array_column($tokens, 0)) !== $path) {
+            return null;
+        }
+
+        $nodes = [$data];
+
+        foreach ($tokens as $token) {
+            $wildcard = $token[0] === '[*]' || $token[0] === '.*';
+            $key = ($token[1] ?? '') !== '' ? $token[1] : ((($token[2] ?? '') !== '') ? (int) $token[2] : ($token[3] ?? ''));
+            $next = [];
+
+            foreach ($nodes as $node) {
+                if (!is_array($node)) {
+                    continue;
+                }
+
+                if ($wildcard) {
+                    array_push($next, ...array_values($node));
+                } elseif (array_key_exists($key, $node)) {
+                    $next[] = $node[$key];
+                }
+            }
+
+            $nodes = $next;
+        }
+
+        return $nodes;
+    }
+
+    /**
+     * Compare values, treating numerically equal numbers as equal
+     *
+     * @param mixed $actual
+     * @param mixed $expected
+     * @return bool
+     */
+    private static function values_equal(mixed $actual, mixed $expected): bool
+    {
+        if (is_numeric($actual) && is_numeric($expected) && !is_string($actual) && !is_string($expected)) {
+            return $actual == $expected;
+        }
+
+        return $actual === $expected;
+    }
+
+    /**
+     * Encode the tester request body for the selected body type
+     *
+     * Returns the exact body string to send, its content type and a readable
+     * description of the form fields or multipart parts for the result view.
+     *
+     * @param array $test_data Request options sent by the tester
+     * @param array $files Normalized uploaded files keyed by their upload index
+     * @return Response_Handler Data holds body, content_type and form, or the error
+     */
+    public static function build_request_body(array $test_data, array $files = []): Response_Handler
+    {
+        $body_type = $test_data['body_type'] ?? self::BODY_JSON;
+        $body = $test_data['body'] ?? '';
+
+        switch ($body_type) {
+            case self::BODY_JSON:
+                if (!is_string($body)) {
+                    $body = $body === [] ? '' : (string) wp_json_encode($body);
+                }
+
+                return Response_Handler::response(true, 200, 'Body encoded', [
+                    'body' => $body,
+                    'content_type' => 'application/json',
+                    'form' => null
+                ]);
+
+            case self::BODY_FORM:
+                $pairs = [];
+                $fields = [];
+
+                foreach ((array) ($test_data['form'] ?? []) as $field) {
+                    $name = (string) ($field['name'] ?? '');
+                    if ($name === '') {
+                        continue;
+                    }
+
+                    $value = (string) ($field['value'] ?? '');
+                    $pairs[] = urlencode($name) . '=' . urlencode($value);
+                    $fields[] = ['name' => $name, 'value' => $value];
+                }
+
+                return Response_Handler::response(true, 200, 'Body encoded', [
+                    'body' => implode('&', $pairs),
+                    'content_type' => 'application/x-www-form-urlencoded',
+                    'form' => $fields
+                ]);
+
+            case self::BODY_RAW:
+                $content_type = trim((string) ($test_data['content_type'] ?? ''));
+
+                return Response_Handler::response(true, 200, 'Body encoded', [
+                    'body' => is_string($body) ? $body : (string) wp_json_encode($body),
+                    'content_type' => $content_type !== '' ? $content_type : 'text/plain',
+                    'form' => null
+                ]);
+
+            case self::BODY_MULTIPART:
+                return self::build_multipart_body((array) ($test_data['form'] ?? []), $files);
+        }
+
+        return Response_Handler::response(false, 400, 'Unsupported body type: ' . $body_type);
+    }
+
+    /**
+     * Build a multipart/form-data body from text fields and uploaded files
+     *
+     * @param array $fields Field definitions ({name, type: text|file, value|file})
+     * @param array $files Normalized uploaded files keyed by their upload index
+     * @return Response_Handler
+     */
+    private static function build_multipart_body(array $fields, array $files): Response_Handler
+    {
+        $boundary = '----WPCustomAPI' . wp_generate_password(24, false);
+        $body = '';
+        $parts = [];
+
+        foreach ($fields as $field) {
+            $name = (string) ($field['name'] ?? '');
+            if ($name === '') {
+                continue;
+            }
+
+            $disposition = 'Content-Disposition: form-data; name="' . self::escape_multipart_name($name) . '"';
+
+            if (($field['type'] ?? 'text') !== 'file') {
+                $value = (string) ($field['value'] ?? '');
+                $body .= '--' . $boundary . "\r\n" . $disposition . "\r\n\r\n" . $value . "\r\n";
+                $parts[] = ['name' => $name, 'type' => 'text', 'value' => $value];
+                continue;
+            }
+
+            $index = (string) ($field['file'] ?? '');
+            if ($index === '' || !isset($files[$index])) {
+                return Response_Handler::response(false, 400, 'No file selected for multipart field "' . $name . '"');
+            }
+
+            $file = $files[$index];
+            $content_type = $file['type'] !== '' ? $file['type'] : 'application/octet-stream';
+
+            $body .= '--' . $boundary . "\r\n"
+                . $disposition . '; filename="' . self::escape_multipart_name($file['name']) . '"' . "\r\n"
+                . 'Content-Type: ' . $content_type . "\r\n\r\n"
+                . $file['contents'] . "\r\n";
+
+            $parts[] = [
+                'name' => $name,
+                'type' => 'file',
+                'filename' => $file['name'],
+                'content_type' => $content_type,
+                'size' => strlen($file['contents'])
+            ];
+        }
+
+        $body .= '--' . $boundary . "--\r\n";
+
+        return Response_Handler::response(true, 200, 'Body encoded', [
+            'body' => $body,
+            'content_type' => 'multipart/form-data; boundary=' . $boundary,
+            'form' => $parts
+        ]);
+    }
+
+    /**
+     * Escape a field or file name for a Content-Disposition header
+     *
+     * @param string $name
+     * @return string
+     */
+    private static function escape_multipart_name(string $name): string
+    {
+        return str_replace(['"', "\r", "\n"], ['%22', '%0D', '%0A'], $name);
+    }
+
+    /**
+     * Describe the credentials an endpoint expects, without exposing secrets
+     *
+     * Signatures come from the signature permission type and from the webhook
+     * handler when it has a signature secret; both are checked against the body.
+     *
+     * @param array $endpoint
+     * @return array
+     */
+    public static function get_auth_profile(array $endpoint): array
+    {
+        $permission_type = $endpoint['permission_type'] ?? Endpoint_Manager::PERMISSION_PUBLIC;
+        $permission_config = self::decode_config($endpoint['permission_config'] ?? []);
+        $profile = [
+            'type' => $permission_type,
+            'signatures' => [],
+            'api_key' => null,
+            'token' => null
+        ];
+
+        foreach (self::get_signature_configs($endpoint) as $signature) {
+            $profile['signatures'][] = [
+                'source' => $signature['source'],
+                'header' => $signature['header'],
+                'algorithm' => $signature['algorithm'],
+                'format' => $signature['format'],
+                'has_secret' => $signature['secret'] !== ''
+            ];
+        }
+
+        if ($permission_type === Endpoint_Manager::PERMISSION_API_KEY) {
+            $profile['api_key'] = [
+                'header' => $permission_config['api_key_header'] ?? 'X-API-Key',
+                'param' => $permission_config['api_key_param'] ?? 'api_key',
+                'key_count' => count(array_filter((array) ($permission_config['api_keys'] ?? [])))
+            ];
+        }
+
+        if ($permission_type === Endpoint_Manager::PERMISSION_TOKEN) {
+            $profile['token'] = [
+                'header' => $permission_config['token_header'] ?? 'Authorization'
+            ];
+        }
+
+        return $profile;
+    }
+
+    /**
+     * The endpoint's method and decoded request/response schemas
+     *
+     * Schemas that are empty or not valid JSON are returned as null.
+     *
+     * @param array $endpoint
+     * @return array
+     */
+    public static function get_schemas(array $endpoint): array
+    {
+        $decode = static function (mixed $schema): ?array {
+            $decoded = self::decode_config(is_array($schema) ? $schema : (string) $schema);
+            return $decoded ?: null;
+        };
+
+        return [
+            'method' => strtoupper($endpoint['method'] ?? 'POST'),
+            'request' => $decode($endpoint['request_schema'] ?? null),
+            'response' => $decode($endpoint['response_schema'] ?? null)
+        ];
+    }
+
+    /**
+     * Add the endpoint's credentials to a test request
+     *
+     * Auth options: mode (auto|none), invalid_signature, api_key_location
+     * (header|query), api_key (defaults to the first configured key) and token.
+     * Signatures are computed over the exact encoded body.
+     *
+     * @param array $endpoint
+     * @param array $auth Auth options sent by the tester
+     * @param string $body Encoded request body
+     * @param array $headers Request headers
+     * @param array $query_params Request query parameters
+     * @return array Updated headers and query_params
+     */
+    public static function apply_auth(array $endpoint, array $auth, string $body, array $headers, array $query_params): array
+    {
+        if (($auth['mode'] ?? self::AUTH_NONE) !== self::AUTH_AUTO) {
+            return ['headers' => $headers, 'query_params' => $query_params];
+        }
+
+        foreach (self::get_signature_configs($endpoint) as $signature) {
+            if ($signature['secret'] === '' || !in_array($signature['algorithm'], hash_hmac_algos(), true)) {
+                continue;
+            }
+
+            // A random key yields a well-formed signature that can never match
+            $secret = empty($auth['invalid_signature']) ? $signature['secret'] : wp_generate_password(32, true, true);
+            $value = $signature['format'] === 'base64'
+                ? base64_encode(hash_hmac($signature['algorithm'], $body, $secret, true))
+                : hash_hmac($signature['algorithm'], $body, $secret);
+
+            $headers = self::with_header($headers, $signature['header'], $value);
+        }
+
+        $permission_type = $endpoint['permission_type'] ?? Endpoint_Manager::PERMISSION_PUBLIC;
+        $permission_config = self::decode_config($endpoint['permission_config'] ?? []);
+
+        if ($permission_type === Endpoint_Manager::PERMISSION_API_KEY) {
+            $keys = array_values(array_filter((array) ($permission_config['api_keys'] ?? [])));
+            $api_key = trim((string) ($auth['api_key'] ?? ''));
+            $api_key = $api_key !== '' ? $api_key : (string) ($keys[0] ?? '');
+
+            if ($api_key !== '') {
+                if (($auth['api_key_location'] ?? 'header') === 'query') {
+                    $query_params[$permission_config['api_key_param'] ?? 'api_key'] = $api_key;
+                } else {
+                    $headers = self::with_header($headers, $permission_config['api_key_header'] ?? 'X-API-Key', $api_key);
+                }
+            }
+        }
+
+        if ($permission_type === Endpoint_Manager::PERMISSION_TOKEN) {
+            $token = trim((string) ($auth['token'] ?? ''));
+
+            if ($token !== '') {
+                $headers = self::with_header($headers, $permission_config['token_header'] ?? 'Authorization', 'Bearer ' . preg_replace('/^Bearer\s+/i', '', $token));
+            }
+        }
+
+        return ['headers' => $headers, 'query_params' => $query_params];
+    }
+
+    /**
+     * Signature settings that apply to an endpoint
+     *
+     * @param array $endpoint
+     * @return array
+     */
+    private static function get_signature_configs(array $endpoint): array
+    {
+        $signatures = [];
+
+        if (($endpoint['permission_type'] ?? '') === Endpoint_Manager::PERMISSION_SIGNATURE) {
+            $config = self::decode_config($endpoint['permission_config'] ?? []);
+            $signatures[] = [
+                'source' => 'permission',
+                'header' => $config['signature_header'] ?? 'X-Webhook-Signature',
+                'algorithm' => $config['signature_algorithm'] ?? 'sha256',
+                'format' => 'hex',
+                'secret' => (string) ($config['signature_secret'] ?? '')
+            ];
+        }
+
+        if (($endpoint['handler_type'] ?? '') === Endpoint_Manager::HANDLER_WEBHOOK) {
+            $config = self::decode_config($endpoint['handler_config'] ?? []);
+            if (!empty($config['signature_secret'])) {
+                $signatures[] = [
+                    'source' => 'webhook',
+                    'header' => $config['signature_header'] ?? 'X-Webhook-Signature',
+                    'algorithm' => $config['signature_algorithm'] ?? 'sha256',
+                    'format' => $config['signature_format'] ?? 'hex',
+                    'secret' => (string) $config['signature_secret']
+                ];
+            }
+        }
+
+        return $signatures;
+    }
+
+    /**
+     * Set a header, replacing any existing header with the same name in any case
+     *
+     * @param array $headers
+     * @param string $name
+     * @param string $value
+     * @return array
+     */
+    private static function with_header(array $headers, string $name, string $value): array
+    {
+        foreach (array_keys($headers) as $existing) {
+            if (strcasecmp((string) $existing, $name) === 0) {
+                unset($headers[$existing]);
+            }
+        }
+
+        $headers[$name] = $value;
+
+        return $headers;
+    }
+
+    /**
+     * Decode a stored JSON config column
+     *
+     * @param string|array $config
+     * @return array
+     */
+    private static function decode_config(string|array $config): array
+    {
+        if (is_array($config)) {
+            return $config;
+        }
+
+        $decoded = json_decode($config, true);
+        return is_array($decoded) ? $decoded : [];
+    }
+
+    /**
+     * Record an executed test request and trim history to the limit
+     *
+     * @param int $endpoint_id
+     * @param array $request Request options sent by the tester
+     * @param array $result Test result (request, response, metrics)
+     * @return void
+     */
+    public static function record_history(int $endpoint_id, array $request, array $result): void
+    {
+        if (!Database::table_exists(Endpoint_Test_Model::TABLE_NAME)) {
+            return;
+        }
+
+        Database::insert_row(Endpoint_Test_Model::TABLE_NAME, [
+            'endpoint_id' => $endpoint_id,
+            'type' => self::TYPE_HISTORY,
+            'request' => wp_json_encode($request),
+            'response' => wp_json_encode($result),
+            'created_by' => get_current_user_id(),
+        ]);
+
+        $limit = max(1, (int) apply_filters('wp_custom_api_test_history_limit', self::HISTORY_LIMIT, $endpoint_id));
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Endpoint_Test_Model::TABLE_NAME);
+
+        $ids = $wpdb->get_col($wpdb->prepare(
+            "SELECT id FROM {$table} WHERE endpoint_id = %d AND type = %s ORDER BY id DESC",
+            $endpoint_id,
+            self::TYPE_HISTORY
+        ));
+
+        $stale_ids = array_slice($ids ?: [], $limit);
+
+        if (!empty($stale_ids)) {
+            $wpdb->query("DELETE FROM {$table} WHERE id IN (" . implode(',', array_map('intval', $stale_ids)) . ")");
+        }
+    }
+
+    /**
+     * Decode the JSON columns of a test row
+     *
+     * @param array $row
+     * @return array
+     */
+    private static function decode_test(array $row): array
+    {
+        $row['request'] = json_decode((string) ($row['request'] ?? ''), true) ?: [];
+        $row['assertions'] = json_decode((string) ($row['assertions'] ?? ''), true) ?: [];
+        $row['response'] = json_decode((string) ($row['response'] ?? ''), true);
+
+        return $row;
+    }
+}
@@ -40,6 +40,13 @@ final class ETL_Engine
     public const STATUS_COMPLETED = 'completed';
     public const STATUS_FAILED = 'failed';
 
+    /**
+     * Job stage constants, in execution order
+     */
+    public const STAGE_EXTRACT = 'extract';
+    public const STAGE_TRANSFORM = 'transform';
+    public const STAGE_LOAD = 'load';
+
     /**
      * Registered custom transformers
      */
@@ -85,15 +92,7 @@ final class ETL_Engine
         $input_data = Endpoint_Manager::get_request_data($request);
 
         // Create job record
-        $job_data = [
-            'template_id' => $template_id,
-            'status' => self::STATUS_PENDING,
-            'started_at' => time(),
-            'input_data' => json_encode($input_data),
-            'retry_count' => 0
-        ];
-
-        $job_result = Database::insert_row(ETL_Job_Model::TABLE_NAME, $job_data);
+        $job_result = self::create_job($template_id, $input_data);
 
         if (!$job_result->ok) {
             return new WP_REST_Response(['message' => 'Failed to create ETL job'], 500);
@@ -107,6 +106,32 @@ final class ETL_Engine
         return $result instanceof WP_REST_Response ? $result : new WP_REST_Response($result, 200);
     }
 
+    /**
+     * Create a pending job record
+     *
+     * @param int $template_id
+     * @param array $input_data
+     * @param int $webhook_log_id
+     * @param int $retry_count
+     * @return Response_Handler
+     */
+    public static function create_job(int $template_id, array $input_data, int $webhook_log_id = 0, int $retry_count = 0): Response_Handler
+    {
+        $job_data = [
+            'template_id' => $template_id,
+            'status' => self::STATUS_PENDING,
+            'started_at' => time(),
+            'input_data' => json_encode($input_data),
+            'retry_count' => $retry_count
+        ];
+
+        if ($webhook_log_id > 0) {
+            $job_data['webhook_log_id'] = $webhook_log_id;
+        }
+
+        return Database::insert_row(ETL_Job_Model::TABLE_NAME, $job_data);
+    }
+
     /**
      * Run an ETL job
      *
@@ -132,6 +157,8 @@ final class ETL_Engine
 
         $template = $template_result->data;
 
+        $stage = self::STAGE_EXTRACT;
+
         try {
             // EXTRACT
             $this->update_job_status($job_id, self::STATUS_EXTRACTING);
@@ -142,6 +169,7 @@ final class ETL_Engine
             ]);
 
             // TRANSFORM
+            $stage = self::STAGE_TRANSFORM;
             $this->update_job_status($job_id, self::STATUS_TRANSFORMING);
             $transformed_data = $this->transform($extracted_data, $template);
 
@@ -150,6 +178,7 @@ final class ETL_Engine
             ]);
 
             // LOAD
+            $stage = self::STAGE_LOAD;
             $this->update_job_status($job_id, self::STATUS_LOADING);
             $load_result = $this->load($transformed_data, $template);
 
@@ -171,14 +200,7 @@ final class ETL_Engine
             ];
 
         } catch (\Exception $e) {
-            $error_stage = match (true) {
-                str_contains($e->getMessage(), 'extract') => 'extract',
-                str_contains($e->getMessage(), 'transform') => 'transform',
-                str_contains($e->getMessage(), 'load') => 'load',
-                default => 'unknown'
-            };
-
-            $this->update_job_status($job_id, self::STATUS_FAILED, $error_stage, $e->getMessage());
+            $this->update_job_status($job_id, self::STATUS_FAILED, $stage, $e->getMessage());
 
             Error_Generator::generate('ETL Job Error', $e->getMessage());
 
@@ -191,6 +213,39 @@ final class ETL_Engine
         }
     }
 
+    /**
+     * Run extract and transform against a sample payload without loading
+     *
+     * The template may be unsaved; JSON columns can be passed as arrays.
+     * No job is recorded and nothing is sent to the load destination.
+     *
+     * @param array $template
+     * @param array $input_data
+     * @return Response_Handler Data contains extracted, filtered, filter_matched and transformed
+     */
+    public function dry_run(array $template, array $input_data): Response_Handler
+    {
+        $stage = self::STAGE_EXTRACT;
+        $result = [];
+
+        try {
+            $extract_config = $this->decode_json($template['extract_config'] ?? '{}');
+
+            // Before filters, so the preview shows what the filters were evaluated against
+            $result['extracted'] = empty($extract_config) ? $input_data : $this->extract_paths($input_data, $extract_config);
+            $result['filter_matched'] = empty($extract_config['filters'])
+                || $this->matches_filter_group($result['extracted'], $extract_config['filters']);
+            $result['filtered'] = $this->extract($input_data, $template);
+
+            $stage = self::STAGE_TRANSFORM;
+            $result['transformed'] = $this->transform($result['filtered'], $template);
+
+            return Response_Handler::response(true, 200, 'Dry run completed', $result);
+        } catch (\Throwable $e) {
+            return Response_Handler::response(false, 422, $e->getMessage(), array_merge($result, ['stage' => $stage]));
+        }
+    }
+
     /**
      * Extract data from input using configured paths
      *
@@ -207,6 +262,33 @@ final class ETL_Engine
             return $input_data;
         }
 
+        $extracted = $this->extract_paths($input_data, $extract_config);
+
+        // Apply filters
+        if (!empty($extract_config['filters'])) {
+            $extracted = $this->apply_filters($extracted, $extract_config['filters']);
+        }
+
+        // Allow custom extraction via hook
+        $extracted = apply_filters(
+            'wp_custom_api_etl_extract',
+            $extracted,
+            $input_data,
+            $template
+        );
+
+        return $extracted;
+    }
+
+    /**
+     * Pick the configured paths and root element out of the input
+     *
+     * @param array $input_data
+     * @param array $extract_config
+     * @return array
+     */
+    private function extract_paths(array $input_data, array $extract_config): array
+    {
         $extracted = [];
 
         // Extract specific paths
@@ -227,19 +309,6 @@ final class ETL_Engine
             }
         }
 
-        // Apply filters
-        if (!empty($extract_config['filters'])) {
-            $extracted = $this->apply_filters($extracted, $extract_config['filters']);
-        }
-
-        // Allow custom extraction via hook
-        $extracted = apply_filters(
-            'wp_custom_api_etl_extract',
-            $extracted,
-            $input_data,
-            $template
-        );
-
         return $extracted;
     }
 
@@ -686,42 +755,109 @@ final class ETL_Engine
     /**
      * Apply filters to data
      *
+     * Accepts either a flat list of conditions (all must match) or a group
+     * of the form {"logic": "and"|"or", "conditions": [...]}, where each
+     * condition may itself be a nested group.
+     *
      * @param array $data
      * @param array $filters
      * @return array
      */
     private function apply_filters(array $data, array $filters): array
     {
-        foreach ($filters as $filter) {
-            $field = $filter['field'] ?? '';
-            $operator = $filter['operator'] ?? 'equals';
-            $value = $filter['value'] ?? null;
-
-            $field_value = $data[$field] ?? null;
-
-            $matches = match ($operator) {
-                'equals' => $field_value === $value,
-                'not_equals' => $field_value !== $value,
-                'contains' => is_string($field_value) && str_contains($field_value, $value),
-                'not_contains' => is_string($field_value) && !str_contains($field_value, $value),
-                'gt', 'greater_than' => is_numeric($field_value) && $field_value > $value,
-                'gte' => is_numeric($field_value) && $field_value >= $value,
-                'lt', 'less_than' => is_numeric($field_value) && $field_value < $value,
-                'lte' => is_numeric($field_value) && $field_value <= $value,
-                'in' => is_array($value) && in_array($field_value, $value),
-                'not_in' => is_array($value) && !in_array($field_value, $value),
-                'regex' => is_string($field_value) && preg_match($value, $field_value),
-                'empty' => empty($field_value),
-                'not_empty' => !empty($field_value),
-                default => true
-            };
+        if (!$this->matches_filter_group($data, $filters)) {
+            return []; // Filter didn't match, return empty
+        }
+
+        return $data;
+    }
+
+    /**
+     * Check whether data matches filters in the apply_filters format
+     *
+     * Used by workflow condition nodes.
+     *
+     * @param array $data
+     * @param array $filters
+     * @return bool
+     */
+    public function matches_filters(array $data, array $filters): bool
+    {
+        return $this->matches_filter_group($data, $filters);
+    }
+
+    /**
+     * Evaluate a filter group against data
+     *
+     * @param array $data
+     * @param array $group
+     * @return bool
+     */
+    private function matches_filter_group(array $data, array $group): bool
+    {
+        $logic = 'and';
+        $conditions = $group;
+
+        if (isset($group['conditions']) && is_array($group['conditions'])) {
+            $logic = strtolower((string) ($group['logic'] ?? 'and')) === 'or' ? 'or' : 'and';
+            $conditions = $group['conditions'];
+        }
 
-            if (!$matches) {
-                return []; // Filter didn't match, return empty
+        foreach ($conditions as $condition) {
+            if (!is_array($condition)) {
+                continue;
+            }
+
+            $matches = isset($condition['conditions'])
+                ? $this->matches_filter_group($data, $condition)
+                : $this->matches_filter($data, $condition);
+
+            if ($logic === 'or' && $matches) {
+                return true;
+            }
+
+            if ($logic === 'and' && !$matches) {
+                return false;
             }
         }
 
-        return $data;
+        // All AND conditions passed, or no OR condition matched (empty groups don't restrict)
+        return $logic === 'and' || empty($conditions);
+    }
+
+    /**
+     * Evaluate a single filter condition against data
+     *
+     * @param array $data
+     * @param array $filter
+     * @return bool
+     */
+    private function matches_filter(array $data, array $filter): bool
+    {
+        $field = $filter['field'] ?? '';
+        $operator = $filter['operator'] ?? 'equals';
+        $value = $filter['value'] ?? null;
+
+        $field_value = array_key_exists($field, $data)
+            ? $data[$field]
+            : $this->get_nested_value($data, $field);
+
+        return (bool) match ($operator) {
+            'equals' => $field_value === $value,
+            'not_equals' => $field_value !== $value,
+            'contains' => is_string($field_value) && str_contains($field_value, (string) $value),
+            'not_contains' => is_string($field_value) && !str_contains($field_value, (string) $value),
+            'gt', 'greater_than' => is_numeric($field_value) && $field_value > $value,
+            'gte' => is_numeric($field_value) && $field_value >= $value,
+            'lt', 'less_than' => is_numeric($field_value) && $field_value < $value,
+            'lte' => is_numeric($field_value) && $field_value <= $value,
+            'in' => is_array($value) && in_array($field_value, $value),
+            'not_in' => is_array($value) && !in_array($field_value, $value),
+            'regex' => is_string($field_value) && preg_match($value, $field_value),
+            'empty' => empty($field_value),
+            'not_empty' => !empty($field_value),
+            default => true
+        };
     }
 
     /**
@@ -939,7 +1075,17 @@ final class ETL_Engine
 
         $data['is_active'] = $data['is_active'] ?? 1;
 
-        return Database::insert_row(ETL_Template_Model::TABLE_NAME, $data);
+        // Binding a template is part of the endpoint's revision history
+        $endpoint_id = (int) ($data['source_endpoint_id'] ?? 0);
+        Endpoint_Revisions::record_baseline($endpoint_id);
+
+        $result = Database::insert_row(ETL_Template_Model::TABLE_NAME, $data);
+
+        if ($result->ok) {
+            Endpoint_Revisions::record($endpoint_id);
+        }
+
+        return $result;
     }
 
     /**
@@ -959,7 +1105,24 @@ final class ETL_Engine
             }
         }
 
-        return Database::update_row(ETL_Template_Model::TABLE_NAME, $id, $data);
+        // Rebinding a template is part of both endpoints' revision history
+        $endpoint_ids = array_key_exists('source_endpoint_id', $data)
+            ? array_unique([self::get_source_endpoint_id($id), (int) $data['source_endpoint_id']])
+            : [];
+
+        foreach ($endpoint_ids as $endpoint_id) {
+            Endpoint_Revisions::record_baseline($endpoint_id);
+        }
+
+        $result = Database::update_row(ETL_Template_Model::TABLE_NAME, $id, $data);
+
+        if ($result->ok) {
+            foreach ($endpoint_ids as $endpoint_id) {
+                Endpoint_Revisions::record($endpoint_id);
+            }
+        }
+
+        return $result;
     }
 
     /**
@@ -970,7 +1133,35 @@ final class ETL_Engine
      */
     public static function delete_template(int $id): Response_Handler
     {
-        return Database::delete_row(ETL_Template_Model::TABLE_NAME, $id);
+        $endpoint_id = self::get_source_endpoint_id($id);
+        Endpoint_Revisions::record_baseline($endpoint_id);
+
+        $result = Database::delete_row(ETL_Template_Model::TABLE_NAME, $id);
+
+        if ($result->ok) {
+            Endpoint_Revisions::record($endpoint_id);
+        }
+
+        return $result;
+    }
+
+    /**
+     * ID of the endpoint an ETL template is bound to, 0 if none
+     *
+     * @param int $id
+     * @return int
+     */
+    private static function get_source_endpoint_id(int $id): int
+    {
+        global $wpdb;
+
+        if (!Database::table_exists(ETL_Template_Model::TABLE_NAME)) {
+            return 0;
+        }
+
+        $table = Database::get_table_full_name(ETL_Template_Model::TABLE_NAME);
+
+        return (int) $wpdb->get_var($wpdb->prepare("SELECT source_endpoint_id FROM {$table} WHERE id = %d", $id));
     }
 
     /**
@@ -994,4 +1185,304 @@ final class ETL_Engine
     {
         return Database::get_rows_data(ETL_Job_Model::TABLE_NAME, 'template_id', $template_id);
     }
+
+    /**
+     * Statuses of jobs that have not finished yet
+     *
+     * @return array
+     */
+    public static function get_running_statuses(): array
+    {
+        return [self::STATUS_PENDING, self::STATUS_EXTRACTING, self::STATUS_TRANSFORMING, self::STATUS_LOADING];
+    }
+
+    /**
+     * Search jobs with pagination, summarising stages, record counts and duration
+     *
+     * @param array $filters template_id, webhook_log_id, status, date_from, date_to
+     * @param int $page
+     * @param int $per_page
+     * @return Response_Handler
+     */
+    public static function search_jobs(array $filters = [], int $page = 1, int $per_page = 20): Response_Handler
+    {
+        global $wpdb;
+
+        if (!Database::table_exists(ETL_Job_Model::TABLE_NAME)) {
+            return Response_Handler::response(true, 200, 'No ETL jobs found', [
+                'items' => [],
+                'total' => 0,
+                'page' => 1,
+                'total_pages' => 0
+            ]);
+        }
+
+        $table = Database::get_table_full_name(ETL_Job_Model::TABLE_NAME);
+        $templates_table = Database::get_table_full_name(ETL_Template_Model::TABLE_NAME);
+        [$where_clause, $where_values] = self::build_job_filters($filters);
+
+        $count_sql = "SELECT COUNT(*) FROM {$table} j WHERE {$where_clause}";
+        $total = (int) $wpdb->get_var(!empty($where_values) ? $wpdb->prepare($count_sql, $where_values) : $count_sql);
+
+        $per_page = max(1, min(100, $per_page));
+        $total_pages = (int) ceil($total / $per_page);
+        $page = max(1, min($page, max(1, $total_pages)));
+
+        $sql = "SELECT j.*, t.name AS template_name
+            FROM {$table} j
+            LEFT JOIN {$templates_table} t ON t.id = j.template_id
+            WHERE {$where_clause}
+            ORDER BY j.id DESC
+            LIMIT %d OFFSET %d";
+        $where_values[] = $per_page;
+        $where_values[] = ($page - 1) * $per_page;
+
+        $rows = $wpdb->get_results($wpdb->prepare($sql, $where_values), ARRAY_A) ?: [];
+        $items = array_map(function (array $job): array {
+            $summary = self::summarize_job($job);
+            unset($summary['input_data'], $summary['extracted_data'], $summary['transformed_data'], $summary['load_result'], $summary['external_response_body']);
+            return $summary;
+        }, $rows);
+
+        return Response_Handler::response(true, 200, 'ETL jobs retrieved', [
+            'items' => $items,
+            'total' => $total,
+            'page' => $page,
+            'total_pages' => $total_pages
+        ]);
+    }
+
+    /**
+     * Count jobs per status for the given filters, ignoring the status filter
+     *
+     * @param array $filters
+     * @return array Status => count
+     */
+    public static function get_status_counts(array $filters = []): array
+    {
+        global $wpdb;
+
+        if (!Database::table_exists(ETL_Job_Model::TABLE_NAME)) {
+            return [];
+        }
+
+        unset($filters['status']);
+
+        $table = Database::get_table_full_name(ETL_Job_Model::TABLE_NAME);
+        [$where_clause, $where_values] = self::build_job_filters($filters);
+
+        $sql = "SELECT j.status, COUNT(*) AS total FROM {$table} j WHERE {$where_clause} GROUP BY j.status";
+        $rows = $wpdb->get_results(!empty($where_values) ? $wpdb->prepare($sql, $where_values) : $sql, ARRAY_A) ?: [];
+
+        return array_map('intval', array_column($rows, 'total', 'status'));
+    }
+
+    /**
+     * Get a job with decoded input, stage output and load result
+     *
+     * @param int $job_id
+     * @return Response_Handler
+     */
+    public static function get_job_details(int $job_id): Response_Handler
+    {
+        $job = self::get_job($job_id);
+
+        if (!$job->ok || empty($job->data)) {
+            return Response_Handler::response(false, 404, 'ETL job not found');
+        }
+
+        $template = self::get_template((int) $job->data['template_id']);
+        $details = self::summarize_job(array_merge($job->data, [
+            'template_name' => $template->ok && !empty($template->data) ? $template->data['name'] : null
+        ]));
+
+        foreach (['input_data', 'extracted_data', 'transformed_data', 'load_result', 'external_response_body'] as $field) {
+            $value = $details[$field] ?? null;
+            $decoded = is_string($value) ? json_decode($value, true) : null;
+            $details[$field] = $decoded !== null ? $decoded : $value;
+        }
+
+        return Response_Handler::response(true, 200, 'ETL job retrieved', $details);
+    }
+
+    /**
+     * Run a job's template again with the job's original input
+     *
+     * The original job is kept; a new job is created with an incremented retry count
+     * and linked to the same webhook log.
+     *
+     * @param int $job_id
+     * @return Response_Handler Data contains the new job_id
+     */
+    public static function rerun_job(int $job_id): Response_Handler
+    {
+        $job = self::get_job($job_id);
+
+        if (!$job->ok || empty($job->data)) {
+            return Response_Handler::response(false, 404, 'ETL job not found');
+        }
+
+        $template_id = (int) $job->data['template_id'];
+        $input_data = json_decode($job->data['input_data'] ?? '', true);
+        $input_data = is_array($input_data) ? $input_data : [];
+
+        $new_job = self::create_job(
+            $template_id,
+            $input_data,
+            (int) ($job->data['webhook_log_id'] ?? 0),
+            (int) ($job->data['retry_count'] ?? 0) + 1
+        );
+
+        if (!$new_job->ok) {
+            return Response_Handler::response(false, 500, 'Failed to create ETL job');
+        }
+
+        $new_job_id = (int) $new_job->data['id'];
+        $result = (new self())->run_job($new_job_id, $template_id, $input_data);
+
+        if ($result instanceof WP_REST_Response && $result->get_status() >= 400) {
+            $data = $result->get_data();
+            return Response_Handler::response(false, $result->get_status(), $data['message'] ?? 'ETL job failed', ['job_id' => $new_job_id]);
+        }
+
+        return Response_Handler::response(true, 200, 'ETL job completed successfully', ['job_id' => $new_job_id]);
+    }
+
+    /**
+     * Add stage states, record counts and duration to a job row
+     *
+     * @param array $job
+     * @return array
+     */
+    private static function summarize_job(array $job): array
+    {
+        $started_at = (int) ($job['started_at'] ?? 0);
+        $completed_at = (int) ($job['completed_at'] ?? 0);
+        $running = in_array($job['status'], self::get_running_statuses(), true);
+
+        $job['stages'] = self::get_stage_states($job);
+        $job['counts'] = [
+            'input' => self::count_records($job['input_data'] ?? null),
+            'extracted' => self::count_records($job['extracted_data'] ?? null),
+            'transformed' => self::count_records($job['transformed_data'] ?? null)
+        ];
+        $job['is_running'] = $running;
+        $job['duration'] = $started_at > 0 ? max(0, ($running || $completed_at === 0 ? time() : $completed_at) - $started_at) : null;
+
+        return $job;
+    }
+
+    /**
+     * Work out the state of each stage from the job status
+     *
+     * @param array $job
+     * @return array Stage => pending|running|completed|failed
+     */
+    private static function get_stage_states(array $job): array
+    {
+        $stages = [self::STAGE_EXTRACT, self::STAGE_TRANSFORM, self::STAGE_LOAD];
+
+        $current = match ($job['status']) {
+            self::STATUS_EXTRACTING => self::STAGE_EXTRACT,
+            self::STATUS_TRANSFORMING => self::STAGE_TRANSFORM,
+            self::STATUS_LOADING => self::STAGE_LOAD,
+            default => null
+        };
+
+        if ($job['status'] === self::STATUS_FAILED) {
+            // Older jobs may not have a reliable error stage, so fall back to the stored output
+            $current = match (true) {
+                in_array($job['error_stage'] ?? '', $stages, true) => $job['error_stage'],
+                !empty($job['transformed_data']) => self::STAGE_LOAD,
+                !empty($job['extracted_data']) => self::STAGE_TRANSFORM,
+                default => self::STAGE_EXTRACT
+            };
+        }
+
+        $states = [];
+        $reached = $current === null;
+
+        foreach ($stages as $stage) {
+            if ($job['status'] === self::STATUS_COMPLETED) {
+                $states[$stage] = 'completed';
+            } elseif ($stage === $current) {
+                $states[$stage] = $job['status'] === self::STATUS_FAILED ? 'failed' : 'running';
+                $reached = true;
+            } else {
+                $states[$stage] = $reached ? 'pending' : 'completed';
+            }
+        }
+
+        return $states;
+    }
+
+    /**
+     * Count the records in stored stage data
+     *
+     * @param string|null $json
+     * @return int|null Null when the stage has no output yet
+     */
+    private static function count_records(?string $json): ?int
+    {
+        if ($json === null || $json === '') {
+            return null;
+        }
+
+        $data = json_decode($json, true);
+
+        if (!is_array($data)) {
+            return $data === null ? 0 : 1;
+        }
+
+        if (empty($data)) {
+            return 0;
+        }
+
+        return array_is_list($data) ? count($data) : 1;
+    }
+
+    /**
+     * Build the WHERE clause for job searches
+     *
+     * @param array $filters
+     * @return array [where clause, values]
+     */
+    private static function build_job_filters(array $filters): array
+    {
+        $where = ['1=1'];
+        $where_values = [];
+
+        if (!empty($filters['template_id'])) {
+            $where[] = 'j.template_id = %d';
+            $where_values[] = (int) $filters['template_id'];
+        }
+
+        if (!empty($filters['webhook_log_id'])) {
+            $where[] = 'j.webhook_log_id = %d';
+            $where_values[] = (int) $filters['webhook_log_id'];
+        }
+
+        if (!empty($filters['status'])) {
+            if ($filters['status'] === 'running') {
+                $statuses = self::get_running_statuses();
+                $where[] = 'j.status IN (' . implode(', ', array_fill(0, count($statuses), '%s')) . ')';
+                $where_values = array_merge($where_values, $statuses);
+            } else {
+                $where[] = 'j.status = %s';
+                $where_values[] = $filters['status'];
+            }
+        }
+
+        if (!empty($filters['date_from'])) {
+            $where[] = 'j.created_at >= %s';
+            $where_values[] = $filters['date_from'] . ' 00:00:00';
+        }
+
+        if (!empty($filters['date_to'])) {
+            $where[] = 'j.created_at <= %s';
+            $where_values[] = $filters['date_to'] . ' 23:59:59';
+        }
+
+        return [implode(' AND ', $where), $where_values];
+    }
 }
@@ -301,6 +301,8 @@ final class Event_Logger
     /**
      * Get events with filtering
      *
+     * Level and category accept a single value or a list of values.
+     *
      * @param array $filters Filter options
      * @return Response_Handler
      */
@@ -313,19 +315,144 @@ final class Event_Logger
             return Response_Handler::response(false, 500, 'Event log table not found');
         }
 
+        [$where, $params] = self::build_filters($filters);
+
+        // Build query
+        $where_clause = !empty($where) ? 'WHERE ' . implode(' AND ', $where) : '';
+
+        // Pagination
+        $page = max(1, (int) ($filters['page'] ?? 1));
+        $per_page = min(100, max(1, (int) ($filters['per_page'] ?? 50)));
+        $offset = ($page - 1) * $per_page;
+
+        // Get total count
+        $count_query = "SELECT COUNT(*) FROM {$table} {$where_clause}";
+        if (!empty($params)) {
+            $count_query = $wpdb->prepare($count_query, $params);
+        }
+        $total = (int) $wpdb->get_var($count_query);
+
+        // Get events
+        $query = "SELECT * FROM {$table} {$where_clause} ORDER BY created_at DESC, id DESC LIMIT %d OFFSET %d";
+        $query_params = array_merge($params, [$per_page, $offset]);
+        $events = $wpdb->get_results($wpdb->prepare($query, $query_params), ARRAY_A);
+
+        // Set pagination headers
+        $total_pages = (int) ceil($total / $per_page);
+        Database::pagination_headers($total, $total_pages, $per_page, $page);
+
+        return Response_Handler::response(true, 200, 'Events retrieved', $events);
+    }
+
+    /**
+     * Get the events after a given id, oldest first, for live tail
+     *
+     * Reads at most $limit events so a burst between polls is fetched over
+     * several calls instead of being skipped.
+     *
+     * @param int $after_id
+     * @param array $filters Filter options
+     * @param int $limit
+     * @return Response_Handler Data holds the events and whether more are waiting
+     */
+    public static function get_events_after(int $after_id, array $filters = [], int $limit = 50): Response_Handler
+    {
+        global $wpdb;
+        $table = Database::get_table_full_name(Event_Log_Model::TABLE_NAME);
+
+        if (!$table || !Database::table_exists(Event_Log_Model::TABLE_NAME)) {
+            return Response_Handler::response(false, 500, 'Event log table not found');
+        }
+
+        [$where, $params] = self::build_filters(array_merge($filters, ['after_id' => max(0, $after_id)]));
+        $where_clause = !empty($where) ? 'WHERE ' . implode(' AND ', $where) : '';
+
+        // One extra row tells whether another call is needed
+        $query = "SELECT * FROM {$table} {$where_clause} ORDER BY id ASC LIMIT %d";
+        $events = $wpdb->get_results($wpdb->prepare($query, array_merge($params, [$limit + 1])), ARRAY_A) ?: [];
+
+        return Response_Handler::response(true, 200, 'Events retrieved', [
+            'events' => array_slice($events, 0, $limit),
+            'has_more' => count($events) > $limit
+        ]);
+    }
+
+    /**
+     * Count events matching the filters
+     *
+     * @param array $filters Filter options
+     * @return int
+     */
+    public static function count_events(array $filters = []): int
+    {
+        global $wpdb;
+        $table = Database::get_table_full_name(Event_Log_Model::TABLE_NAME);
+
+        if (!$table || !Database::table_exists(Event_Log_Model::TABLE_NAME)) {
+            return 0;
+        }
+
+        [$where, $params] = self::build_filters($filters);
+        $where_clause = !empty($where) ? 'WHERE ' . implode(' AND ', $where) : '';
+        $query = "SELECT COUNT(*) FROM {$table} {$where_clause}";
+
+        return (int) $wpdb->get_var(!empty($params) ? $wpdb->prepare($query, $params) : $query);
+    }
+
+    /**
+     * Count matching events per level and per category
+     *
+     * Each facet ignores its own selection so the counts show what selecting
+     * another value would return.
+     *
+     * @param array $filters Filter options
+     * @return array
+     */
+    public static function get_facet_counts(array $filters = []): array
+    {
+        global $wpdb;
+        $table = Database::get_table_full_name(Event_Log_Model::TABLE_NAME);
+        $counts = ['level' => [], 'category' => []];
+
+        if (!$table || !Database::table_exists(Event_Log_Model::TABLE_NAME)) {
+            return $counts;
+        }
+
+        foreach (array_keys($counts) as $facet) {
+            [$where, $params] = self::build_filters(array_diff_key($filters, [$facet => true, 'after_id' => true]));
+            $where_clause = !empty($where) ? 'WHERE ' . implode(' AND ', $where) : '';
+            $query = "SELECT {$facet} AS value, COUNT(*) AS count FROM {$table} {$where_clause} GROUP BY {$facet}";
+
+            $rows = $wpdb->get_results(!empty($params) ? $wpdb->prepare($query, $params) : $query, ARRAY_A);
+            $counts[$facet] = array_map('intval', array_column($rows ?: [], 'count', 'value'));
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Build WHERE conditions and prepared values for event filters
+     *
+     * @param array $filters
+     * @return array Conditions and their prepared values
+     */
+    private static function build_filters(array $filters): array
+    {
+        global $wpdb;
+
         $where = [];
         $params = [];
 
-        // Filter by category
-        if (!empty($filters['category'])) {
-            $where[] = 'category = %s';
-            $params[] = $filters['category'];
-        }
+        // Filter by category and level
+        foreach (['category', 'level'] as $column) {
+            if (empty($filters[$column])) {
+                continue;
+            }
 
-        // Filter by level
-        if (!empty($filters['level'])) {
-            $where[] = 'level = %s';
-            $params[] = $filters['level'];
+            $values = array_values((array) $filters[$column]);
+            $placeholders = implode(',', array_fill(0, count($values), '%s'));
+            $where[] = "{$column} IN ({$placeholders})";
+            $params = array_merge($params, $values);
         }
 
         // Filter by minimum level
@@ -351,6 +478,12 @@ final class Event_Logger
             $params[] = $filters['to'];
         }
 
+        // Only events newer than the last one seen (live tail)
+        if (!empty($filters['after_id'])) {
+            $where[] = 'id > %d';
+            $params[] = (int) $filters['after_id'];
+        }
+
         // Filter by user
         if (isset($filters['user_id'])) {
             $where[] = 'user_id = %d';
@@ -365,37 +498,42 @@ final class Event_Logger
             $params[] = $search_term;
         }
 
-        // Build query
-        $where_clause = !empty($where) ? 'WHERE ' . implode(' AND ', $where) : '';
-
-        // Pagination
-        $page = max(1, (int) ($filters['page'] ?? 1));
-        $per_page = min(100, max(1, (int) ($filters['per_page'] ?? 50)));
-        $offset = ($page - 1) * $per_page;
-
-        // Get total count
-        $count_query = "SELECT COUNT(*) FROM {$table} {$where_clause}";
-        if (!empty($params)) {
-            $count_query = $wpdb->prepare($count_query, $params);
-        }
-        $total = (int) $wpdb->get_var($count_query);
-
-        // Get events
-        $query = "SELECT * FROM {$table} {$where_clause} ORDER BY created_at DESC LIMIT %d OFFSET %d";
-        $query_params = array_merge($params, [$per_page, $offset]);
-        $events = $wpdb->get_results($wpdb->prepare($query, $query_params), ARRAY_A);
+        return [$where, $params];
+    }
 
-        // Set pagination headers
-        $total_pages = (int) ceil($total / $per_page);
-        Database::pagination_headers($total, $total_pages, $per_page, $page);
+    /**
+     * Get all log levels, least severe first
+     *
+     * @return array
+     */
+    public static function get_levels(): array
+    {
+        return array_keys(self::$level_priority);
+    }
 
-        return Response_Handler::response(true, 200, 'Events retrieved', $events);
+    /**
+     * Get all built-in event categories
+     *
+     * @return array
+     */
+    public static function get_categories(): array
+    {
+        return [
+            self::CATEGORY_SYSTEM,
+            self::CATEGORY_ENDPOINT,
+            self::CATEGORY_WEBHOOK,
+            self::CATEGORY_ETL,
+            self::CATEGORY_SECURITY,
+            self::CATEGORY_USER,
+            self::CATEGORY_EXTERNAL,
+            self::CATEGORY_SCHEDULER,
+        ];
     }
 
     /**
      * Get event statistics
      *
-     * @param string $period Period for stats (today, week, month, all)
+     * @param string $period Period for stats (today, week, month, all, or a dashboard range such as 24h)
      * @return array
      */
     public static function get_statistics(string $period = 'today'): array
@@ -409,6 +547,10 @@ final class Event_Logger
 
         $date_filter = match ($period) {
             'today' => date('Y-m-d 00:00:00'),
+            '1h' => date('Y-m-d H:i:s', strtotime('-1 hour')),
+            '24h' => date('Y-m-d H:i:s', strtotime('-24 hours')),
+            '7d' => date('Y-m-d H:i:s', strtotime('-7 days')),
+            '30d' => date('Y-m-d H:i:s', strtotime('-30 days')),
             'week' => date('Y-m-d 00:00:00', strtotime('-7 days')),
             'month' => date('Y-m-d 00:00:00', strtotime('-30 days')),
             default => '1970-01-01 00:00:00'
@@ -430,6 +572,16 @@ final class Event_Logger
             GROUP BY category
         ", $date_filter), ARRAY_A);
 
+        // Errors by category
+        $errors_by_category = $wpdb->get_results($wpdb->prepare("
+            SELECT category, COUNT(*) as count
+            FROM {$table}
+            WHERE level IN ('error', 'critical')
+            AND created_at >= %s
+            GROUP BY category
+            ORDER BY count DESC
+        ", $date_filter), ARRAY_A);
+
         // Recent errors
         $recent_errors = $wpdb->get_results($wpdb->prepare("
             SELECT *
@@ -451,6 +603,7 @@ final class Event_Logger
             'total' => $total,
             'by_level' => array_column($by_level, 'count', 'level'),
             'by_category' => array_column($by_category, 'count', 'category'),
+            'errors_by_category' => array_map('intval', array_column($errors_by_category, 'count', 'category')),
             'recent_errors' => $recent_errors
         ];
     }
@@ -499,13 +652,21 @@ final class Event_Logger
      */
     public static function export(array $filters = [], string $format = 'json'): array
     {
-        $events_result = self::get_events(array_merge($filters, ['per_page' => 10000]));
+        // get_events caps pages at 100 rows, so collect up to 10000 page by page
+        $events = [];
+        for ($page = 1; $page <= 100; $page++) {
+            $events_result = self::get_events(array_merge($filters, ['page' => $page, 'per_page' => 100]));
 
-        if (!$events_result->ok) {
-            return ['error' => 'Failed to retrieve events'];
-        }
+            if (!$events_result->ok) {
+                return ['error' => 'Failed to retrieve events'];
+            }
+
+            $events = array_merge($events, $events_result->data ?: []);
 
-        $events = $events_result->data;
+            if (count($events_result->data ?: []) < 100) {
+                break;
+            }
+        }
 
         $upload_dir = wp_upload_dir();
         $export_dir = $upload_dir['basedir'] . '/wp-custom-api-exports/';
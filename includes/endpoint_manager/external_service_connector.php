@@ -50,6 +50,26 @@ final class External_Service_Connector
     public const HEALTH_UNHEALTHY = 'unhealthy';
     public const HEALTH_UNKNOWN = 'unknown';
 
+    /**
+     * Health checks kept per service (a week of hourly checks)
+     */
+    public const HEALTH_HISTORY_LIMIT = 168;
+
+    /**
+     * Placeholder shown instead of stored secrets
+     */
+    public const SECRET_MASK = '********';
+
+    /**
+     * Secret auth_config keys per authentication type
+     */
+    private const SECRET_FIELDS = [
+        self::AUTH_API_KEY => ['api_key'],
+        self::AUTH_BEARER => ['token'],
+        self::AUTH_BASIC => ['password'],
+        self::AUTH_OAUTH2 => ['client_secret'],
+    ];
+
     /**
      * Cache for service configurations
      */
@@ -172,7 +192,7 @@ final class External_Service_Connector
 
         // Make request with retry logic
         $retry_config = $this->decode_json($service['retry_config'] ?? '{}');
-        $max_retries = $retry_config['max_retries'] ?? 3;
+        $max_retries = (int) ($options['max_retries'] ?? $retry_config['max_retries'] ?? 3);
         $retry_delay = $retry_config['retry_delay'] ?? 1000;
 
         $response = null;
@@ -579,6 +599,9 @@ final class External_Service_Connector
     /**
      * Perform health check on a service
      *
+     * Runs a single attempt without retries, stores the status on the
+     * service and appends the result to its health history.
+     *
      * @param int $service_id
      * @return array
      */
@@ -595,46 +618,180 @@ final class External_Service_Connector
 
         $health_config = $this->decode_json($service['health_check_config'] ?? '{}');
         $endpoint = $health_config['endpoint'] ?? '/health';
-        $expected_code = $health_config['expected_code'] ?? 200;
-        $timeout = $health_config['timeout'] ?? 10;
+        $expected_code = (int) ($health_config['expected_code'] ?? 200);
+        $timeout = (int) ($health_config['timeout'] ?? 10);
+
+        $started = microtime(true);
 
         try {
-            $response = $this->send($service_id, $endpoint, [], 'GET', ['timeout' => $timeout]);
-
-            $status = match (true) {
-                $response['code'] === $expected_code => self::HEALTH_HEALTHY,
-                $response['code'] >= 200 && $response['code'] < 500 => self::HEALTH_DEGRADED,
-                default => self::HEALTH_UNHEALTHY
-            };
-
-            // Update service health status
-            Database::update_row(External_Service_Model::TABLE_NAME, $service_id, [
-                'last_health_check' => time(),
-                'health_status' => $status
+            $response = $this->send($service_id, $endpoint, [], 'GET', [
+                'timeout' => $timeout,
+                'max_retries' => 0,
             ]);
 
-            // Clear cache
-            unset(self::$service_cache[$service_id]);
-
-            return [
-                'status' => $status,
-                'response_code' => $response['code'],
-                'response_time_ms' => $response['response_time'] ?? null,
-                'checked_at' => time()
+            $code = (int) ($response['code'] ?? 0);
+
+            $check = [
+                'status' => match (true) {
+                    $code === $expected_code => self::HEALTH_HEALTHY,
+                    $code >= 200 && $code < 500 => self::HEALTH_DEGRADED,
+                    default => self::HEALTH_UNHEALTHY
+                },
+                'response_code' => $code,
+                'response_time_ms' => (int) round((microtime(true) - $started) * 1000),
+                'message' => $code === $expected_code ? '' : ($response['error'] ?? "Expected HTTP {$expected_code}, got {$code}"),
             ];
-
         } catch (\Exception $e) {
-            Database::update_row(External_Service_Model::TABLE_NAME, $service_id, [
-                'last_health_check' => time(),
-                'health_status' => self::HEALTH_UNHEALTHY
-            ]);
-
-            return [
+            $check = [
                 'status' => self::HEALTH_UNHEALTHY,
+                'response_code' => 0,
+                'response_time_ms' => (int) round((microtime(true) - $started) * 1000),
                 'message' => $e->getMessage(),
-                'checked_at' => time()
             ];
         }
+
+        $check['checked_at'] = time();
+
+        // Update service health status
+        Database::update_row(External_Service_Model::TABLE_NAME, $service_id, [
+            'last_health_check' => $check['checked_at'],
+            'health_status' => $check['status']
+        ]);
+
+        self::record_health_check($service_id, $check);
+
+        // Clear cache
+        unset(self::$service_cache[$service_id]);
+
+        return $check;
+    }
+
+    /**
+     * Get the most recent health checks of a service, oldest first
+     *
+     * @param int $service_id
+     * @param int $limit
+     * @return array
+     */
+    public static function get_health_history(int $service_id, int $limit = 24): array
+    {
+        if (!Database::table_exists(Service_Health_Check_Model::TABLE_NAME)) {
+            return [];
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Service_Health_Check_Model::TABLE_NAME);
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT status, response_code, response_time_ms, message, created_at FROM {$table}
+             WHERE service_id = %d ORDER BY id DESC LIMIT %d",
+            $service_id,
+            max(1, $limit)
+        ), ARRAY_A);
+
+        return array_reverse($rows ?: []);
+    }
+
+    /**
+     * Store a health check result and prune old history
+     *
+     * @param int $service_id
+     * @param array $check
+     * @return void
+     */
+    private static function record_health_check(int $service_id, array $check): void
+    {
+        if (!Database::table_exists(Service_Health_Check_Model::TABLE_NAME)) {
+            return;
+        }
+
+        Database::insert_row(Service_Health_Check_Model::TABLE_NAME, [
+            'service_id' => $service_id,
+            'status' => $check['status'],
+            'response_code' => $check['response_code'],
+            'response_time_ms' => $check['response_time_ms'],
+            'message' => (string) $check['message'],
+        ]);
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Service_Health_Check_Model::TABLE_NAME);
+
+        // Oldest ID still inside the history window
+        $cutoff_id = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$table} WHERE service_id = %d ORDER BY id DESC LIMIT 1 OFFSET %d",
+            $service_id,
+            self::HEALTH_HISTORY_LIMIT - 1
+        ));
+
+        if ($cutoff_id) {
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$table} WHERE service_id = %d AND id < %d",
+                $service_id,
+                (int) $cutoff_id
+            ));
+        }
+    }
+
+    /**
+     * Replace stored secrets with a mask for display
+     *
+     * @param string $auth_type
+     * @param array $auth_config
+     * @return array
+     */
+    public static function mask_auth_config(string $auth_type, array $auth_config): array
+    {
+        foreach (self::SECRET_FIELDS[$auth_type] ?? [] as $key) {
+            if (!empty($auth_config[$key])) {
+                $auth_config[$key] = self::SECRET_MASK;
+            }
+        }
+
+        if ($auth_type === self::AUTH_CUSTOM && is_array($auth_config['headers'] ?? null)) {
+            $auth_config['headers'] = array_map(
+                fn($value) => $value !== '' ? self::SECRET_MASK : '',
+                $auth_config['headers']
+            );
+        }
+
+        return $auth_config;
+    }
+
+    /**
+     * Merge a submitted auth config with the stored one
+     *
+     * Secrets left blank or still masked keep their stored value, as long
+     * as the authentication type did not change.
+     *
+     * @param string $auth_type
+     * @param array $submitted
+     * @param array $existing Stored auth_config
+     * @param string $existing_type Stored auth_type
+     * @return array
+     */
+    public static function merge_auth_config(string $auth_type, array $submitted, array $existing, string $existing_type): array
+    {
+        if ($auth_type !== $existing_type) {
+            return $submitted;
+        }
+
+        $is_kept = fn($value) => $value === '' || $value === null || $value === self::SECRET_MASK;
+
+        foreach (self::SECRET_FIELDS[$auth_type] ?? [] as $key) {
+            if ($is_kept($submitted[$key] ?? '') && isset($existing[$key])) {
+                $submitted[$key] = $existing[$key];
+            }
+        }
+
+        if ($auth_type === self::AUTH_CUSTOM && is_array($submitted['headers'] ?? null)) {
+            foreach ($submitted['headers'] as $name => $value) {
+                if ($is_kept($value) && isset($existing['headers'][$name])) {
+                    $submitted['headers'][$name] = $existing['headers'][$name];
+                }
+            }
+        }
+
+        return $submitted;
     }
 
     /**
@@ -698,8 +855,9 @@ final class External_Service_Connector
             }
         }
 
-        // Clear cache
+        // Clear cache and any OAuth2 token fetched with the old credentials
         unset(self::$service_cache[$id]);
+        delete_transient('wp_custom_api_oauth_token_' . $id);
 
         return Database::update_row(External_Service_Model::TABLE_NAME, $id, $data);
     }
@@ -714,6 +872,12 @@ final class External_Service_Connector
     {
         // Clear cache
         unset(self::$service_cache[$id]);
+        delete_transient('wp_custom_api_oauth_token_' . $id);
+
+        if (Database::table_exists(Service_Health_Check_Model::TABLE_NAME)) {
+            global $wpdb;
+            $wpdb->delete(Database::get_table_full_name(Service_Health_Check_Model::TABLE_NAME), ['service_id' => $id], ['%d']);
+        }
 
         return Database::delete_row(External_Service_Model::TABLE_NAME, $id);
     }
@@ -729,6 +893,23 @@ final class External_Service_Connector
         return Database::get_rows_data(External_Service_Model::TABLE_NAME, 'id', $id, false);
     }
 
+    /**
+     * Get every external service ordered by name, without pagination
+     *
+     * @return array
+     */
+    public static function get_services(): array
+    {
+        if (!Database::table_exists(External_Service_Model::TABLE_NAME)) {
+            return [];
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(External_Service_Model::TABLE_NAME);
+
+        return $wpdb->get_results("SELECT * FROM {$table} ORDER BY name ASC", ARRAY_A) ?: [];
+    }
+
     /**
      * Get all external services
      *
@@ -0,0 +1,798 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Config;
+use WP_Custom_API\Includes\Response_Handler;
+use WP_REST_Response;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * OpenAPI Document - API description of the custom endpoints
+ *
+ * This class handles:
+ * - Building an OpenAPI 3.1 document from the active endpoints
+ * - Security schemes derived from each endpoint's permission type
+ * - Serving the document at /wp-json/{base}/openapi.json
+ * - Reading OpenAPI 3 files and scaffolding endpoints from their operations
+ *
+ * @since 2.0.0
+ */
+
+final class OpenAPI_Document
+{
+    /**
+     * OpenAPI version of generated documents
+     */
+    public const VERSION = '3.1.0';
+
+    /**
+     * REST route the document is served at
+     */
+    public const ROUTE = 'openapi.json';
+
+    /**
+     * HTTP methods an endpoint can use
+     */
+    public const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+    /**
+     * Methods whose input is read from the query string
+     */
+    private const QUERY_METHODS = ['GET', 'DELETE'];
+
+    /**
+     * Import preview status constants
+     */
+    public const IMPORT_NEW = 'new';
+    public const IMPORT_EXISTS = 'exists';
+    public const IMPORT_INVALID = 'invalid';
+
+    /**
+     * Register the REST route
+     *
+     * @return void
+     */
+    public static function init(): void
+    {
+        add_action('rest_api_init', [self::class, 'register_route']);
+    }
+
+    /**
+     * Serve the document for the active endpoints
+     *
+     * @return void
+     */
+    public static function register_route(): void
+    {
+        register_rest_route(Config::BASE_API_ROUTE, self::ROUTE, [
+            'methods' => 'GET',
+            'callback' => function () {
+                return new WP_REST_Response(self::generate());
+            },
+            'permission_callback' => [self::class, 'can_view'],
+        ]);
+    }
+
+    /**
+     * Whether the current request may read the document
+     *
+     * @return bool
+     */
+    public static function can_view(): bool
+    {
+        return (bool) Configuration_Manager::get('openapi_public', false) || current_user_can('manage_options');
+    }
+
+    /**
+     * Build the document for all active endpoints
+     *
+     * @param bool $include_internal Add each operation's endpoint id, handler and permission type
+     * @return array
+     */
+    public static function generate(bool $include_internal = false): array
+    {
+        $endpoints = Endpoint_Manager::get_active_endpoints();
+        $paths = [];
+        $schemes = [];
+        $operation_ids = [];
+
+        usort($endpoints, fn($a, $b) => [Endpoint_Manager::get_path($a), $a['method'] ?? ''] <=> [Endpoint_Manager::get_path($b), $b['method'] ?? '']);
+
+        foreach ($endpoints as $endpoint) {
+            $path = Endpoint_Manager::get_path($endpoint);
+            $method = strtolower($endpoint['method'] ?? 'POST');
+
+            // WordPress serves the first endpoint registered for a route and method
+            if (isset($paths[$path][$method])) {
+                continue;
+            }
+
+            $operation = self::build_operation($endpoint, $schemes);
+
+            $operation_id = $operation['operationId'];
+            if (isset($operation_ids[$operation_id])) {
+                $operation_id .= '-' . $method;
+            }
+            $operation['operationId'] = $operation_id;
+            $operation_ids[$operation_id] = true;
+
+            if ($include_internal) {
+                $operation['x-wp-custom-api'] = [
+                    'id' => (int) ($endpoint['id'] ?? 0),
+                    'handler_type' => $endpoint['handler_type'] ?? '',
+                    'permission_type' => $endpoint['permission_type'] ?? Endpoint_Manager::PERMISSION_PUBLIC,
+                ];
+            }
+
+            $paths[$path][$method] = $operation;
+        }
+
+        $components = [
+            'schemas' => [
+                'Error' => [
+                    'type' => 'object',
+                    'properties' => [
+                        'code' => ['type' => 'string'],
+                        'message' => ['type' => 'string'],
+                    ],
+                ],
+            ],
+            'responses' => [
+                'Unauthorized' => [
+                    'description' => 'Missing or invalid credentials',
+                    'content' => ['application/json' => ['schema' => ['$ref' => '#/components/schemas/Error']]],
+                ],
+                'RateLimited' => [
+                    'description' => 'Rate limit exceeded',
+                    'content' => ['application/json' => ['schema' => ['$ref' => '#/components/schemas/Error']]],
+                ],
+            ],
+        ];
+
+        if ($schemes) {
+            $components['securitySchemes'] = $schemes;
+        }
+
+        $document = [
+            'openapi' => self::VERSION,
+            'info' => [
+                'title' => sprintf('%s API', get_bloginfo('name')),
+                'version' => basename(Config::BASE_API_ROUTE),
+            ],
+            'servers' => [
+                ['url' => untrailingslashit(rest_url(Config::BASE_API_ROUTE))],
+            ],
+            'paths' => $paths ?: new \stdClass(),
+            'components' => $components,
+        ];
+
+        return apply_filters('wp_custom_api_openapi_document', $document, $endpoints);
+    }
+
+    /**
+     * Describe one endpoint as an operation
+     *
+     * @param array $endpoint
+     * @param array $schemes Security schemes so far, added to
+     * @return array
+     */
+    private static function build_operation(array $endpoint, array &$schemes): array
+    {
+        $method = strtoupper($endpoint['method'] ?? 'POST');
+        $request_schema = self::decode_schema($endpoint['request_schema'] ?? '');
+        $response_schema = self::decode_schema($endpoint['response_schema'] ?? '');
+        $properties = is_array($request_schema['properties'] ?? null) ? $request_schema['properties'] : [];
+        $required = self::required_properties($request_schema);
+
+        $operation = [
+            'operationId' => sanitize_title($endpoint['slug'] ?? ''),
+            'summary' => $endpoint['name'] ?? '',
+        ];
+
+        $description = trim((string) ($endpoint['description'] ?? ''));
+        if (($endpoint['permission_type'] ?? '') === Endpoint_Manager::PERMISSION_IP_WHITELIST) {
+            $description = trim($description . "\n\nOnly accepted from allowed IP addresses.");
+        }
+        if ($description !== '') {
+            $operation['description'] = $description;
+        }
+
+        // Path parameters, typed by the request schema when it names them
+        $parameters = [];
+        preg_match_all('/\{(\w+)\}/', Endpoint_Manager::get_path($endpoint), $matches);
+
+        foreach ($matches[1] as $name) {
+            $parameters[] = [
+                'name' => $name,
+                'in' => 'path',
+                'required' => true,
+                'schema' => isset($properties[$name])
+                    ? self::to_json_schema($properties[$name])
+                    : ['type' => 'string', 'pattern' => '^' . Endpoint_Manager::PATH_PARAM_PATTERN . '$'],
+            ];
+            unset($properties[$name]);
+        }
+
+        if (in_array($method, self::QUERY_METHODS, true)) {
+            foreach ($properties as $name => $property) {
+                $parameter = [
+                    'name' => (string) $name,
+                    'in' => 'query',
+                    'required' => in_array($name, $required, true),
+                    'schema' => self::to_json_schema($property),
+                ];
+
+                if (!empty($property['description'])) {
+                    $parameter['description'] = $property['description'];
+                }
+
+                $parameters[] = $parameter;
+            }
+        } elseif ($request_schema) {
+            $operation['requestBody'] = [
+                'required' => !empty($required),
+                'content' => ['application/json' => ['schema' => self::to_json_schema($request_schema)]],
+            ];
+        }
+
+        if ($parameters) {
+            $operation['parameters'] = $parameters;
+        }
+
+        $success = ['description' => 'Successful response'];
+        if ($response_schema) {
+            $success['content'] = ['application/json' => ['schema' => self::to_json_schema($response_schema)]];
+        }
+
+        $operation['responses'] = ['200' => $success];
+
+        $operation['security'] = self::build_security($endpoint, $schemes);
+        if ($operation['security']) {
+            $operation['responses']['401'] = ['$ref' => '#/components/responses/Unauthorized'];
+        }
+
+        $operation['responses']['429'] = ['$ref' => '#/components/responses/RateLimited'];
+
+        return $operation;
+    }
+
+    /**
+     * Get the security requirements for an endpoint's permission type
+     *
+     * @param array $endpoint
+     * @param array $schemes Security schemes so far, added to
+     * @return array Alternatives, any one of which is accepted
+     */
+    private static function build_security(array $endpoint, array &$schemes): array
+    {
+        $config = is_array($endpoint['permission_config'] ?? null)
+            ? $endpoint['permission_config']
+            : (json_decode((string) ($endpoint['permission_config'] ?? ''), true) ?: []);
+
+        switch ($endpoint['permission_type'] ?? Endpoint_Manager::PERMISSION_PUBLIC) {
+            case Endpoint_Manager::PERMISSION_API_KEY:
+                $header = self::add_scheme($schemes, 'apiKeyHeader', [
+                    'type' => 'apiKey',
+                    'in' => 'header',
+                    'name' => $config['api_key_header'] ?? 'X-API-Key',
+                ]);
+                $query = self::add_scheme($schemes, 'apiKeyQuery', [
+                    'type' => 'apiKey',
+                    'in' => 'query',
+                    'name' => $config['api_key_param'] ?? 'api_key',
+                ]);
+
+                return [[$header => []], [$query => []]];
+
+            case Endpoint_Manager::PERMISSION_TOKEN:
+                $header = $config['token_header'] ?? 'Authorization';
+                if (strcasecmp($header, 'Authorization') === 0) {
+                    return [[self::add_scheme($schemes, 'bearerAuth', ['type' => 'http', 'scheme' => 'bearer']) => []]];
+                }
+
+                return [[self::add_scheme($schemes, 'tokenHeader', [
+                    'type' => 'apiKey',
+                    'in' => 'header',
+                    'name' => $header,
+                    'description' => 'Auth token, optionally prefixed with "Bearer "',
+                ]) => []]];
+
+            case Endpoint_Manager::PERMISSION_SIGNATURE:
+                $algorithm = $config['signature_algorithm'] ?? 'sha256';
+
+                return [[self::add_scheme($schemes, 'webhookSignature', [
+                    'type' => 'apiKey',
+                    'in' => 'header',
+                    'name' => $config['signature_header'] ?? 'X-Webhook-Signature',
+                    'description' => sprintf('Hex HMAC-%s of the raw request body, signed with the shared secret', strtoupper($algorithm)),
+                ]) => []]];
+
+            default:
+                // Public and IP whitelisted endpoints take no credentials
+                return [];
+        }
+    }
+
+    /**
+     * Add a security scheme, reusing an identical one
+     *
+     * @param array $schemes
+     * @param string $base Name for the scheme, numbered when taken
+     * @param array $scheme
+     * @return string The scheme's name
+     */
+    private static function add_scheme(array &$schemes, string $base, array $scheme): string
+    {
+        $existing = array_search($scheme, $schemes, true);
+        if ($existing !== false) {
+            return $existing;
+        }
+
+        $name = $base;
+        for ($i = 2; isset($schemes[$name]); $i++) {
+            $name = $base . $i;
+        }
+
+        $schemes[$name] = $scheme;
+
+        return $name;
+    }
+
+    /**
+     * Decode a stored schema
+     *
+     * @param string|array|null $schema
+     * @return array Empty when there is none
+     */
+    private static function decode_schema(string|array|null $schema): array
+    {
+        if (is_string($schema)) {
+            $schema = json_decode($schema, true);
+        }
+
+        return is_array($schema) ? $schema : [];
+    }
+
+    /**
+     * Get the names of a schema's required properties
+     *
+     * Both JSON Schema's required list and the WordPress style
+     * "required": true on a property are read.
+     *
+     * @param array $schema
+     * @return array
+     */
+    private static function required_properties(array $schema): array
+    {
+        $required = is_array($schema['required'] ?? null) ? $schema['required'] : [];
+
+        foreach ((array) ($schema['properties'] ?? []) as $name => $property) {
+            if (is_array($property) && ($property['required'] ?? null) === true) {
+                $required[] = (string) $name;
+            }
+        }
+
+        return array_values(array_unique($required));
+    }
+
+    /**
+     * Convert a WordPress REST schema to plain JSON Schema
+     *
+     * Moves "required": true from properties to the object's required list,
+     * drops keywords only WordPress reads and keeps empty maps as objects.
+     *
+     * @param mixed $schema
+     * @return mixed
+     */
+    private static function to_json_schema(mixed $schema): mixed
+    {
+        if (!is_array($schema)) {
+            return $schema;
+        }
+
+        if (isset($schema['properties']) && is_array($schema['properties'])) {
+            $required = self::required_properties($schema);
+
+            if ($required) {
+                $schema['required'] = $required;
+            } else {
+                unset($schema['required']);
+            }
+        } elseif (is_bool($schema['required'] ?? null)) {
+            unset($schema['required']);
+        }
+
+        unset($schema['context'], $schema['arg_options'], $schema['sanitize_callback'], $schema['validate_callback']);
+
+        foreach ($schema as $key => $value) {
+            if (in_array($key, ['properties', 'patternProperties', '$defs', 'definitions'], true) && is_array($value)) {
+                $schema[$key] = $value ? array_map(fn($property) => self::to_json_schema($property), $value) : new \stdClass();
+            } elseif (is_array($value)) {
+                $schema[$key] = self::to_json_schema($value);
+            }
+        }
+
+        return $schema;
+    }
+
+    /**
+     * Read an OpenAPI 3 file
+     *
+     * @param string $source JSON, or YAML when the yaml extension is installed
+     * @return Response_Handler Data holds the decoded document, or the error
+     */
+    public static function parse(string $source): Response_Handler
+    {
+        $document = json_decode(trim($source), true);
+
+        if (!is_array($document) && function_exists('yaml_parse')) {
+            $document = @yaml_parse($source);
+        }
+
+        $error = match (true) {
+            !is_array($document) => function_exists('yaml_parse')
+                ? 'The file is not valid JSON or YAML'
+                : 'The file is not valid JSON',
+            isset($document['swagger']) => 'Swagger 2.0 files are not supported. Convert the file to OpenAPI 3 first',
+            !str_starts_with((string) ($document['openapi'] ?? ''), '3.') => 'The file is not an OpenAPI 3 document',
+            empty($document['paths']) || !is_array($document['paths']) => 'The document has no paths',
+            default => null,
+        };
+
+        if ($error !== null) {
+            return Response_Handler::response(false, 400, $error);
+        }
+
+        return Response_Handler::response(true, 200, 'Document read', $document);
+    }
+
+    /**
+     * List the endpoints importing a document would create
+     *
+     * @param array $document
+     * @return array One entry per operation: key, method, path, name, slug, route,
+     *               permission_type, status and message
+     */
+    public static function preview_import(array $document): array
+    {
+        return array_map(function ($operation) {
+            unset($operation['endpoint']);
+            return $operation;
+        }, self::read_operations($document));
+    }
+
+    /**
+     * Create inactive endpoints for a document's new operations
+     *
+     * @param array $document
+     * @param array $keys Operation keys to import, all new ones when empty
+     * @return Response_Handler Data holds message, created and results
+     */
+    public static function import(array $document, array $keys = []): Response_Handler
+    {
+        $results = [];
+        $created = 0;
+
+        foreach (self::read_operations($document) as $operation) {
+            if ($operation['status'] !== self::IMPORT_NEW || ($keys && !in_array($operation['key'], $keys, true))) {
+                continue;
+            }
+
+            $result = Endpoint_Manager::create_endpoint($operation['endpoint']);
+
+            $results[] = [
+                'key' => $operation['key'],
+                'ok' => $result->ok,
+                'id' => $result->ok ? (int) $result->data['id'] : null,
+                'message' => $result->ok ? 'Created' : $result->reason,
+            ];
+
+            if ($result->ok) {
+                $created++;
+            }
+        }
+
+        if (!$results) {
+            $message = 'The document has no new operations to import';
+
+            return Response_Handler::response(false, 400, $message, ['created' => 0, 'results' => []]);
+        }
+
+        $message = sprintf('Created %d of %d endpoints', $created, count($results));
+
+        return Response_Handler::response($created > 0, $created > 0 ? 201 : 500, $message, [
+            'created' => $created,
+            'results' => $results,
+        ]);
+    }
+
+    /**
+     * Map each operation of a document to endpoint data
+     *
+     * @param array $document
+     * @return array
+     */
+    private static function read_operations(array $document): array
+    {
+        $existing = [];
+        $result = Endpoint_Manager::get_all_endpoints();
+
+        foreach ($result->ok && is_array($result->data) ? $result->data : [] as $endpoint) {
+            $existing[strtoupper($endpoint['method'] ?? '') . ' ' . Endpoint_Manager::get_path($endpoint)] = true;
+        }
+
+        $operations = [];
+
+        foreach ($document['paths'] ?? [] as $path => $path_item) {
+            $path_item = is_array($path_item) ? self::resolve_refs($path_item, $document) : [];
+
+            foreach (self::METHODS as $method) {
+                $operation = $path_item[strtolower($method)] ?? null;
+
+                if (!is_array($operation)) {
+                    continue;
+                }
+
+                $entry = self::read_operation((string) $path, $method, $operation, $path_item, $document);
+
+                if ($entry['status'] === self::IMPORT_NEW) {
+                    $key = $method . ' ' . Endpoint_Manager::get_path($entry['endpoint']);
+
+                    if (isset($existing[$key])) {
+                        $entry['status'] = self::IMPORT_EXISTS;
+                        $entry['message'] = 'An endpoint with this method and path already exists';
+                    }
+
+                    $existing[$key] = true;
+                }
+
+                $operations[] = $entry;
+            }
+        }
+
+        return $operations;
+    }
+
+    /**
+     * Map one operation to endpoint data
+     *
+     * @param string $path
+     * @param string $method
+     * @param array $operation
+     * @param array $path_item
+     * @param array $document
+     * @return array
+     */
+    private static function read_operation(string $path, string $method, array $operation, array $path_item, array $document): array
+    {
+        $entry = [
+            'key' => $method . ' ' . $path,
+            'method' => $method,
+            'path' => $path,
+            'name' => '',
+            'slug' => '',
+            'route' => '',
+            'permission_type' => Endpoint_Manager::PERMISSION_PUBLIC,
+            'status' => self::IMPORT_NEW,
+            'message' => '',
+        ];
+
+        // Paths from this plugin's own documents start with /custom/{slug}
+        $segments = array_values(array_filter(explode('/', $path), 'strlen'));
+        if (count($segments) > 1 && $segments[0] === 'custom') {
+            array_shift($segments);
+        }
+
+        $slug = sanitize_title((string) array_shift($segments));
+
+        if ($slug === '' || str_contains($slug, '{')) {
+            return ['status' => self::IMPORT_INVALID, 'message' => 'The path must start with a fixed segment to use as the slug'] + $entry;
+        }
+
+        preg_match_all('/\{([^}]*)\}/', implode('/', $segments), $placeholders);
+        foreach ($placeholders[1] as $name) {
+            if (!preg_match('/^\w+$/', $name)) {
+                return ['status' => self::IMPORT_INVALID, 'message' => "Path parameter {{$name}} may only use letters, numbers and underscores"] + $entry;
+            }
+        }
+
+        $extension = is_array($operation['x-wp-custom-api'] ?? null) ? $operation['x-wp-custom-api'] : [];
+        $handler_type = in_array($extension['handler_type'] ?? '', [
+            Endpoint_Manager::HANDLER_WEBHOOK,
+            Endpoint_Manager::HANDLER_ACTION,
+            Endpoint_Manager::HANDLER_SCRIPT,
+            Endpoint_Manager::HANDLER_FORWARD,
+            Endpoint_Manager::HANDLER_ETL,
+        ], true) ? $extension['handler_type'] : Endpoint_Manager::HANDLER_WEBHOOK;
+
+        [$permission_type, $permission_config, $message] = self::read_security($operation['security'] ?? $document['security'] ?? [], $document);
+
+        $name = sanitize_text_field((string) ($operation['summary'] ?? $operation['operationId'] ?? ''));
+        $entry['name'] = mb_substr($name !== '' ? $name : $entry['key'], 0, 100);
+        $entry['slug'] = $slug;
+        $entry['route'] = '/' . implode('/', $segments);
+        $entry['permission_type'] = $permission_type;
+        $entry['message'] = $message;
+
+        $entry['endpoint'] = [
+            'name' => $entry['name'],
+            'slug' => $slug,
+            'route' => $entry['route'],
+            'method' => $method,
+            'description' => sanitize_textarea_field((string) ($operation['description'] ?? $operation['summary'] ?? '')),
+            'handler_type' => $handler_type,
+            'handler_config' => '{}',
+            'permission_type' => $permission_type,
+            'permission_config' => wp_json_encode($permission_config ?: new \stdClass()),
+            'request_schema' => self::read_request_schema($method, $operation, $path_item, $document),
+            'response_schema' => self::read_response_schema($operation, $document),
+            // Handlers and credentials need configuring before the endpoint goes live
+            'is_active' => 0,
+        ];
+
+        return $entry;
+    }
+
+    /**
+     * Map security requirements to a permission type and config
+     *
+     * @param array $requirements
+     * @param array $document
+     * @return array [permission type, permission config, message]
+     */
+    private static function read_security(array $requirements, array $document): array
+    {
+        $schemes = $document['components']['securitySchemes'] ?? [];
+        $type = Endpoint_Manager::PERMISSION_PUBLIC;
+        $config = [];
+        $unsupported = [];
+
+        foreach ($requirements as $requirement) {
+            foreach (array_keys((array) $requirement) as $name) {
+                $scheme = self::resolve_refs($schemes[$name] ?? [], $document);
+                $scheme_type = strtolower((string) ($scheme['type'] ?? ''));
+                $in = strtolower((string) ($scheme['in'] ?? ''));
+                $header = (string) ($scheme['name'] ?? '');
+
+                if ($scheme_type === 'http' && strtolower((string) ($scheme['scheme'] ?? '')) === 'bearer' && in_array($type, [Endpoint_Manager::PERMISSION_PUBLIC, Endpoint_Manager::PERMISSION_TOKEN], true)) {
+                    $type = Endpoint_Manager::PERMISSION_TOKEN;
+                } elseif ($scheme_type === 'apikey' && $in === 'header' && stripos($header, 'signature') !== false && $type === Endpoint_Manager::PERMISSION_PUBLIC) {
+                    $type = Endpoint_Manager::PERMISSION_SIGNATURE;
+                    $config['signature_header'] = $header;
+                } elseif ($scheme_type === 'apikey' && in_array($in, ['header', 'query'], true) && in_array($type, [Endpoint_Manager::PERMISSION_PUBLIC, Endpoint_Manager::PERMISSION_API_KEY], true)) {
+                    $type = Endpoint_Manager::PERMISSION_API_KEY;
+                    $config[$in === 'header' ? 'api_key_header' : 'api_key_param'] = $header;
+                } elseif ($type === Endpoint_Manager::PERMISSION_PUBLIC) {
+                    $unsupported[] = $name;
+                }
+            }
+        }
+
+        $message = '';
+        if ($type === Endpoint_Manager::PERMISSION_PUBLIC && $unsupported) {
+            $message = sprintf('Security scheme %s has no matching permission type. Set up authentication before activating', implode(', ', array_unique($unsupported)));
+        } elseif ($type === Endpoint_Manager::PERMISSION_API_KEY) {
+            $message = 'Add the accepted API keys before activating';
+        } elseif ($type === Endpoint_Manager::PERMISSION_SIGNATURE) {
+            $message = 'Add the signature secret before activating';
+        }
+
+        return [$type, $config, $message];
+    }
+
+    /**
+     * Get an operation's input as a JSON schema
+     *
+     * Query methods describe their input with query parameters, the others
+     * with a JSON request body.
+     *
+     * @param string $method
+     * @param array $operation
+     * @param array $path_item
+     * @param array $document
+     * @return string JSON, empty when the operation takes no input
+     */
+    private static function read_request_schema(string $method, array $operation, array $path_item, array $document): string
+    {
+        $schema = self::resolve_refs($operation['requestBody']['content']['application/json']['schema'] ?? [], $document);
+
+        if (!$schema) {
+            $properties = [];
+            $required = [];
+            $parameters = array_merge((array) ($path_item['parameters'] ?? []), (array) ($operation['parameters'] ?? []));
+
+            foreach ($parameters as $parameter) {
+                $parameter = self::resolve_refs($parameter, $document);
+
+                if (!in_array($parameter['in'] ?? '', ['query', 'path'], true) || empty($parameter['name'])) {
+                    continue;
+                }
+
+                $property = is_array($parameter['schema'] ?? null) ? $parameter['schema'] : ['type' => 'string'];
+                if (!empty($parameter['description'])) {
+                    $property['description'] = $parameter['description'];
+                }
+
+                $properties[$parameter['name']] = $property;
+                if (!empty($parameter['required'])) {
+                    $required[] = $parameter['name'];
+                }
+            }
+
+            if ($properties) {
+                $schema = ['type' => 'object', 'properties' => $properties] + ($required ? ['required' => array_values(array_unique($required))] : []);
+            }
+        }
+
+        return $schema ? (string) wp_json_encode($schema) : '';
+    }
+
+    /**
+     * Get an operation's success response as a JSON schema
+     *
+     * @param array $operation
+     * @param array $document
+     * @return string JSON, empty when the response is not described
+     */
+    private static function read_response_schema(array $operation, array $document): string
+    {
+        foreach (['200', '201', '2XX', 'default'] as $status) {
+            $response = self::resolve_refs($operation['responses'][$status] ?? [], $document);
+            $schema = $response['content']['application/json']['schema'] ?? null;
+
+            if (is_array($schema) && $schema) {
+                return (string) wp_json_encode($schema);
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Replace local $ref pointers with what they point to
+     *
+     * @param mixed $value
+     * @param array $document
+     * @param array $seen Pointers being resolved, to stop at cycles
+     * @return mixed
+     */
+    private static function resolve_refs(mixed $value, array $document, array $seen = []): mixed
+    {
+        if (!is_array($value)) {
+            return $value;
+        }
+
+        if (isset($value['$ref']) && is_string($value['$ref']) && str_starts_with($value['$ref'], '#/')) {
+            $pointer = $value['$ref'];
+
+            // A schema that contains itself is left open
+            if (in_array($pointer, $seen, true)) {
+                return ['type' => 'object'];
+            }
+
+            $target = $document;
+            foreach (explode('/', substr($pointer, 2)) as $part) {
+                $part = str_replace(['~1', '~0'], ['/', '~'], $part);
+                $target = is_array($target) && array_key_exists($part, $target) ? $target[$part] : null;
+            }
+
+            unset($value['$ref']);
+
+            return self::resolve_refs(is_array($target) ? $value + $target : $value, $document, [...$seen, $pointer]);
+        }
+
+        foreach ($value as $key => $item) {
+            $value[$key] = self::resolve_refs($item, $document, $seen);
+        }
+
+        return $value;
+    }
+}
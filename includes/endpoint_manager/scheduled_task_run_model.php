@@ -0,0 +1,93 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Includes\Model_Interface;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Model for scheduled task runs.
+ * Stores the outcome of every scheduled or manual task run for the run history.
+ *
+ * @since 2.0.0
+ */
+
+final class Scheduled_Task_Run_Model extends Model_Interface
+{
+    /**
+     * Table name for scheduled task runs
+     */
+    public const TABLE_NAME = 'scheduled_task_runs';
+
+    public static function table_name(): string
+    {
+        return self::TABLE_NAME;
+    }
+
+    public static function schema(): array
+    {
+        return [
+            'task_id' => [
+                'query'    => 'BIGINT(20)',
+                'type'     => 'int',
+                'required' => true,
+                'minimum'  => 1,
+                'maximum'  => 99999999999,
+            ],
+            'triggered_by' => [
+                'query'    => 'VARCHAR(20)',
+                'type'     => 'text',
+                'required' => true,
+                'minimum'  => 1,
+                'maximum'  => 20,
+            ],
+            'status' => [
+                'query'    => 'VARCHAR(20)',
+                'type'     => 'text',
+                'required' => true,
+                'minimum'  => 1,
+                'maximum'  => 20,
+            ],
+            'message' => [
+                'query'    => 'TEXT',
+                'type'     => 'text',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 65535,
+            ],
+            'result' => [
+                'query'    => 'JSON',
+                'type'     => 'raw',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 65535,
+            ],
+            'duration_ms' => [
+                'query'    => 'INT(11)',
+                'type'     => 'int',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 999999999,
+            ],
+            'started_at' => [
+                'query'    => 'BIGINT(12)',
+                'type'     => 'int',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 999999999999,
+            ],
+        ];
+    }
+
+    public static function create_table(): bool
+    {
+        return true;
+    }
+}
@@ -25,6 +25,9 @@ if (!defined('ABSPATH')) exit;
  * - External service health checks
  * - Custom scheduled tasks
  *
+ * Frequencies are named intervals, every_<n>_<minutes|hours|days> intervals
+ * or 5-field cron expressions evaluated in the site timezone.
+ *
  * @since 1.1.0
  */
 
@@ -49,6 +52,46 @@ final class Scheduler
     public const FREQ_WEEKLY = 'weekly';
     public const FREQ_MONTHLY = 'monthly';
 
+    /**
+     * Custom interval frequencies, e.g. every_2_hours or every_90_minutes
+     */
+    private const INTERVAL_PATTERN = '/^every_(\d+)_(minutes|hours|days)$/';
+
+    /**
+     * Seconds per custom interval unit
+     */
+    public const INTERVAL_UNITS = [
+        'minutes' => 60,
+        'hours' => 3600,
+        'days' => 86400,
+    ];
+
+    /**
+     * Lengths of the named interval frequencies in seconds
+     */
+    private const FIXED_INTERVALS = [
+        'every_minute' => 60,
+        'every_5_minutes' => 300,
+        'every_15_minutes' => 900,
+        'every_30_minutes' => 1800,
+        self::FREQ_HOURLY => 3600,
+        self::FREQ_TWICE_DAILY => 43200,
+        self::FREQ_DAILY => 86400,
+        self::FREQ_WEEKLY => 604800,
+        self::FREQ_MONTHLY => 2592000,
+    ];
+
+    /**
+     * Run trigger constants
+     */
+    public const TRIGGER_SCHEDULE = 'schedule';
+    public const TRIGGER_MANUAL = 'manual';
+
+    /**
+     * Runs kept per task in the run history
+     */
+    public const HISTORY_LIMIT = 50;
+
     /**
      * Task type constants
      */
@@ -152,6 +195,16 @@ final class Scheduler
             'is_system' => true
         ]);
 
+        // Endpoint request metrics cleanup (daily)
+        self::ensure_task_exists([
+            'name' => 'Request Metrics Cleanup',
+            'task_type' => self::TYPE_CLEANUP,
+            'handler' => 'cleanup_request_metrics',
+            'frequency' => self::FREQ_DAILY,
+            'config' => ['days_old' => 30],
+            'is_system' => true
+        ]);
+
         // External service health checks (hourly)
         self::ensure_task_exists([
             'name' => 'External Service Health Checks',
@@ -232,10 +285,13 @@ final class Scheduler
     /**
      * Execute a single task
      *
+     * Manual runs leave the schedule alone; scheduled runs move it forward.
+     *
      * @param array $task
+     * @param string $trigger TRIGGER_SCHEDULE or TRIGGER_MANUAL
      * @return array
      */
-    public static function execute_task(array $task): array
+    public static function execute_task(array $task, string $trigger = self::TRIGGER_SCHEDULE): array
     {
         $task_id = (int) $task['id'];
         $start_time = microtime(true);
@@ -261,7 +317,7 @@ final class Scheduler
                 default => ['success' => false, 'message' => 'Unknown task type']
             };
 
-            $status = $result['success'] ? self::STATUS_COMPLETED : self::STATUS_FAILED;
+            $run_status = $result['success'] ? self::STATUS_COMPLETED : self::STATUS_FAILED;
 
         } catch (\Throwable $e) {
             $result = [
@@ -269,15 +325,26 @@ final class Scheduler
                 'message' => $e->getMessage(),
                 'data' => null
             ];
-            $status = self::STATUS_FAILED;
+            $run_status = self::STATUS_FAILED;
 
             Error_Generator::generate('Scheduled Task Error', $e->getMessage());
         }
 
         $execution_time = microtime(true) - $start_time;
 
-        // Calculate next run
-        $next_run = self::calculate_next_run($task['frequency']);
+        // Calculate next run, keeping scheduled runs on the slot they were due at
+        $next_run = $trigger === self::TRIGGER_MANUAL && !empty($task['next_run_at'])
+            ? (int) $task['next_run_at']
+            : self::calculate_next_run($task['frequency'], (int) ($task['next_run_at'] ?? 0));
+
+        // Paused tasks stay paused after a manual run
+        $is_active = (int) ($task['is_active'] ?? 1);
+        $status = $is_active ? $run_status : self::STATUS_PAUSED;
+
+        // One-off tasks are done after their scheduled run
+        if ($task['frequency'] === self::FREQ_ONCE && $trigger === self::TRIGGER_SCHEDULE) {
+            $is_active = 0;
+        }
 
         // Update task
         $run_count = (int) ($task['run_count'] ?? 0) + 1;
@@ -293,9 +360,12 @@ final class Scheduler
             'last_result' => json_encode($result),
             'last_duration' => (int) ($execution_time * 1000),
             'run_count' => $run_count,
-            'fail_count' => $fail_count
+            'fail_count' => $fail_count,
+            'is_active' => $is_active
         ]);
 
+        self::record_run($task_id, $trigger, $run_status, $result, (int) ($execution_time * 1000), (int) $start_time);
+
         // Log execution
         Event_Logger::log(
             Event_Logger::CATEGORY_SCHEDULER,
@@ -304,7 +374,8 @@ final class Scheduler
                 'task_id' => $task_id,
                 'task_name' => $task['name'],
                 'duration_ms' => (int) ($execution_time * 1000),
-                'message' => $result['message']
+                'message' => $result['message'],
+                'trigger' => $trigger
             ],
             $result['success'] ? Event_Logger::LEVEL_INFO : Event_Logger::LEVEL_ERROR
         );
@@ -366,15 +437,7 @@ final class Scheduler
 
         foreach ($data_items as $item) {
             // Create a job for each item
-            $job_data = [
-                'template_id' => $template_id,
-                'status' => 'pending',
-                'started_at' => time(),
-                'input_data' => json_encode($item),
-                'retry_count' => 0
-            ];
-
-            $job_result = Database::insert_row(ETL_Job_Model::TABLE_NAME, $job_data);
+            $job_result = ETL_Engine::create_job($template_id, $item);
 
             if ($job_result->ok) {
                 $result = $etl_engine->run_job($job_result->data['id'], $template_id, $item);
@@ -408,6 +471,7 @@ final class Scheduler
             'cleanup_webhook_logs' => self::cleanup_webhook_logs($days_old),
             'cleanup_event_logs' => self::cleanup_event_logs($days_old),
             'cleanup_etl_jobs' => self::cleanup_etl_jobs($days_old),
+            'cleanup_request_metrics' => self::cleanup_request_metrics($days_old),
             default => ['success' => false, 'message' => 'Unknown cleanup handler']
         };
     }
@@ -442,6 +506,21 @@ final class Scheduler
         ];
     }
 
+    /**
+     * Cleanup endpoint request metrics
+     *
+     * @param int $days_old
+     * @return array
+     */
+    private static function cleanup_request_metrics(int $days_old): array
+    {
+        $result = Endpoint_Manager::cleanup_requests($days_old);
+        return [
+            'success' => $result->ok,
+            'message' => $result->message
+        ];
+    }
+
     /**
      * Cleanup ETL jobs
      *
@@ -589,26 +668,195 @@ final class Scheduler
     /**
      * Calculate next run time based on frequency
      *
+     * Cron expressions give their next match in the site timezone. Intervals
+     * are counted from the slot the task was due at, skipping slots already
+     * missed, so runs do not drift by the time they take.
+     *
      * @param string $frequency
+     * @param int $scheduled_at When the run was due, 0 to count from now
      * @return int
      */
-    private static function calculate_next_run(string $frequency): int
+    public static function calculate_next_run(string $frequency, int $scheduled_at = 0): int
     {
         $now = time();
 
-        return match ($frequency) {
-            self::FREQ_ONCE => 0,
-            self::FREQ_HOURLY => $now + 3600,
-            self::FREQ_TWICE_DAILY => $now + 43200,
-            self::FREQ_DAILY => $now + 86400,
-            self::FREQ_WEEKLY => $now + 604800,
-            self::FREQ_MONTHLY => $now + 2592000,
-            'every_minute' => $now + 60,
-            'every_5_minutes' => $now + 300,
-            'every_15_minutes' => $now + 900,
-            'every_30_minutes' => $now + 1800,
-            default => $now + 3600
-        };
+        if ($frequency === self::FREQ_ONCE) {
+            return 0;
+        }
+
+        if (Cron_Expression::is_expression($frequency)) {
+            return Cron_Expression::next_run($frequency, $now) ?? $now + 3600;
+        }
+
+        $interval = self::FIXED_INTERVALS[$frequency] ?? self::get_interval($frequency) ?? 3600;
+
+        if ($scheduled_at <= 0) {
+            return $now + $interval;
+        }
+
+        $next = $scheduled_at + $interval;
+
+        if ($next <= $now) {
+            $next += (intdiv($now - $next, $interval) + 1) * $interval;
+        }
+
+        return $next;
+    }
+
+    /**
+     * Get the frequencies offered in the admin, by value
+     *
+     * Any every_<n>_<minutes|hours|days> interval and valid cron expression
+     * is accepted as well.
+     *
+     * @return array
+     */
+    public static function get_frequencies(): array
+    {
+        return [
+            'every_minute' => 'Every minute',
+            'every_5_minutes' => 'Every 5 minutes',
+            'every_15_minutes' => 'Every 15 minutes',
+            'every_30_minutes' => 'Every 30 minutes',
+            self::FREQ_HOURLY => 'Hourly',
+            self::FREQ_TWICE_DAILY => 'Twice daily',
+            self::FREQ_DAILY => 'Daily',
+            self::FREQ_WEEKLY => 'Weekly',
+            self::FREQ_MONTHLY => 'Monthly (every 30 days)',
+            self::FREQ_ONCE => 'Once',
+        ];
+    }
+
+    /**
+     * Get the length of a custom interval frequency
+     *
+     * @param string $frequency e.g. every_2_hours
+     * @return int|null Seconds, or null when not a custom interval
+     */
+    public static function get_interval(string $frequency): ?int
+    {
+        if (!preg_match(self::INTERVAL_PATTERN, $frequency, $matches) || (int) $matches[1] < 1) {
+            return null;
+        }
+
+        return (int) $matches[1] * self::INTERVAL_UNITS[$matches[2]];
+    }
+
+    /**
+     * Check whether a frequency can be scheduled
+     *
+     * @param string $frequency
+     * @return bool
+     */
+    public static function is_valid_frequency(string $frequency): bool
+    {
+        if (Cron_Expression::is_expression($frequency)) {
+            return Cron_Expression::validate($frequency) === null;
+        }
+
+        return isset(self::get_frequencies()[$frequency]) || self::get_interval($frequency) !== null;
+    }
+
+    /**
+     * Describe a frequency for display
+     *
+     * @param string $frequency
+     * @return string
+     */
+    public static function describe_frequency(string $frequency): string
+    {
+        $frequencies = self::get_frequencies();
+
+        if (isset($frequencies[$frequency])) {
+            return $frequencies[$frequency];
+        }
+
+        if (self::get_interval($frequency) !== null) {
+            preg_match(self::INTERVAL_PATTERN, $frequency, $matches);
+            $count = (int) $matches[1];
+
+            return 'Every ' . $count . ' ' . ($count === 1 ? rtrim($matches[2], 's') : $matches[2]);
+        }
+
+        if (Cron_Expression::is_expression($frequency)) {
+            return 'Cron: ' . $frequency;
+        }
+
+        return $frequency;
+    }
+
+    /**
+     * Store a task run and prune old history
+     *
+     * @param int $task_id
+     * @param string $trigger
+     * @param string $status
+     * @param array $result
+     * @param int $duration_ms
+     * @param int $started_at
+     * @return void
+     */
+    private static function record_run(int $task_id, string $trigger, string $status, array $result, int $duration_ms, int $started_at): void
+    {
+        if (!Database::table_exists(Scheduled_Task_Run_Model::TABLE_NAME)) {
+            return;
+        }
+
+        Database::insert_row(Scheduled_Task_Run_Model::TABLE_NAME, [
+            'task_id' => $task_id,
+            'triggered_by' => $trigger,
+            'status' => $status,
+            'message' => (string) ($result['message'] ?? ''),
+            'result' => wp_json_encode($result['data'] ?? null),
+            'duration_ms' => $duration_ms,
+            'started_at' => $started_at,
+        ]);
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Scheduled_Task_Run_Model::TABLE_NAME);
+
+        // Oldest ID still inside the history window
+        $cutoff_id = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$table} WHERE task_id = %d ORDER BY id DESC LIMIT 1 OFFSET %d",
+            $task_id,
+            self::HISTORY_LIMIT - 1
+        ));
+
+        if ($cutoff_id) {
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$table} WHERE task_id = %d AND id < %d",
+                $task_id,
+                (int) $cutoff_id
+            ));
+        }
+    }
+
+    /**
+     * Get the most recent runs of a task, newest first
+     *
+     * @param int $task_id
+     * @param int $limit
+     * @return array
+     */
+    public static function get_run_history(int $task_id, int $limit = 20): array
+    {
+        if (!Database::table_exists(Scheduled_Task_Run_Model::TABLE_NAME)) {
+            return [];
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Scheduled_Task_Run_Model::TABLE_NAME);
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table} WHERE task_id = %d ORDER BY id DESC LIMIT %d",
+            $task_id,
+            max(1, $limit)
+        ), ARRAY_A);
+
+        return array_map(function (array $row): array {
+            $row['result'] = json_decode($row['result'] ?? 'null', true);
+            return $row;
+        }, $rows ?: []);
     }
 
     /**
@@ -626,6 +874,19 @@ final class Scheduler
             }
         }
 
+        if (Cron_Expression::is_expression($data['frequency'])) {
+            $data['frequency'] = Cron_Expression::normalize($data['frequency']);
+        }
+
+        if (!self::is_valid_frequency($data['frequency'])) {
+            return Response_Handler::response(false, 400, "Invalid frequency: {$data['frequency']}");
+        }
+
+        // Cron tasks wait for their first matching time; other tasks run straight away
+        $first_run = Cron_Expression::is_expression($data['frequency'])
+            ? self::calculate_next_run($data['frequency'])
+            : time();
+
         $task_data = [
             'name' => $data['name'],
             'description' => $data['description'] ?? '',
@@ -637,7 +898,7 @@ final class Scheduler
             'is_system' => $data['is_system'] ?? 0,
             'priority' => $data['priority'] ?? 10,
             'status' => self::STATUS_PENDING,
-            'next_run_at' => $data['next_run_at'] ?? time(),
+            'next_run_at' => $data['next_run_at'] ?? $first_run,
             'run_count' => 0,
             'fail_count' => 0
         ];
@@ -667,6 +928,22 @@ final class Scheduler
             $data['config'] = json_encode($data['config']);
         }
 
+        if (isset($data['frequency'])) {
+            if (Cron_Expression::is_expression($data['frequency'])) {
+                $data['frequency'] = Cron_Expression::normalize($data['frequency']);
+            }
+
+            if (!self::is_valid_frequency($data['frequency'])) {
+                return Response_Handler::response(false, 400, "Invalid frequency: {$data['frequency']}");
+            }
+
+            // A new frequency starts counting from now
+            $current = self::get_task($id);
+            if (!isset($data['next_run_at']) && $current->ok && ($current->data['frequency'] ?? '') !== $data['frequency']) {
+                $data['next_run_at'] = self::calculate_next_run($data['frequency']);
+            }
+        }
+
         return Database::update_row(Scheduled_Task_Model::TABLE_NAME, $id, $data);
     }
 
@@ -678,6 +955,17 @@ final class Scheduler
      */
     public static function delete_task(int $id): Response_Handler
     {
+        $task = self::get_task($id);
+
+        if ($task->ok && !empty($task->data['is_system'])) {
+            return Response_Handler::response(false, 403, 'System tasks cannot be deleted');
+        }
+
+        if (Database::table_exists(Scheduled_Task_Run_Model::TABLE_NAME)) {
+            global $wpdb;
+            $wpdb->delete(Database::get_table_full_name(Scheduled_Task_Run_Model::TABLE_NAME), ['task_id' => $id], ['%d']);
+        }
+
         return Database::delete_row(Scheduled_Task_Model::TABLE_NAME, $id);
     }
 
@@ -692,6 +980,23 @@ final class Scheduler
         return Database::get_rows_data(Scheduled_Task_Model::TABLE_NAME, 'id', $id, false);
     }
 
+    /**
+     * Get every scheduled task, system tasks first, without pagination
+     *
+     * @return array
+     */
+    public static function get_tasks(): array
+    {
+        if (!Database::table_exists(Scheduled_Task_Model::TABLE_NAME)) {
+            return [];
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Scheduled_Task_Model::TABLE_NAME);
+
+        return $wpdb->get_results("SELECT * FROM {$table} ORDER BY is_system DESC, name ASC", ARRAY_A) ?: [];
+    }
+
     /**
      * Get all scheduled tasks
      *
@@ -724,10 +1029,19 @@ final class Scheduler
      */
     public static function resume_task(int $id): Response_Handler
     {
+        $task_result = self::get_task($id);
+
+        if (!$task_result->ok || empty($task_result->data)) {
+            return Response_Handler::response(false, 404, 'Task not found');
+        }
+
+        $frequency = (string) ($task_result->data['frequency'] ?? '');
+
+        // Cron tasks wait for their next matching time, as when they are created
         return self::update_task($id, [
             'is_active' => 1,
             'status' => self::STATUS_PENDING,
-            'next_run_at' => time()
+            'next_run_at' => Cron_Expression::is_expression($frequency) ? self::calculate_next_run($frequency) : time()
         ]);
     }
 
@@ -745,6 +1059,6 @@ final class Scheduler
             return ['success' => false, 'message' => 'Task not found'];
         }
 
-        return self::execute_task($task_result->data);
+        return self::execute_task($task_result->data, self::TRIGGER_MANUAL);
     }
 }
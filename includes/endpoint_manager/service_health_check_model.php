@@ -0,0 +1,79 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Includes\Model_Interface;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Model for external service health checks.
+ * Stores the result and latency of each health check for the status history.
+ *
+ * @since 2.0.0
+ */
+
+final class Service_Health_Check_Model extends Model_Interface
+{
+    /**
+     * Table name for service health checks
+     */
+    public const TABLE_NAME = 'service_health_checks';
+
+    public static function table_name(): string
+    {
+        return self::TABLE_NAME;
+    }
+
+    public static function schema(): array
+    {
+        return [
+            'service_id' => [
+                'query'    => 'BIGINT(20)',
+                'type'     => 'int',
+                'required' => true,
+                'minimum'  => 1,
+                'maximum'  => 99999999999,
+            ],
+            'status' => [
+                'query'    => 'VARCHAR(20)',
+                'type'     => 'text',
+                'required' => true,
+                'minimum'  => 1,
+                'maximum'  => 20,
+            ],
+            'response_code' => [
+                'query'    => 'INT(11)',
+                'type'     => 'int',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 999,
+            ],
+            'response_time_ms' => [
+                'query'    => 'INT(11)',
+                'type'     => 'int',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 99999999,
+            ],
+            'message' => [
+                'query'    => 'TEXT',
+                'type'     => 'text',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 65535,
+            ],
+        ];
+    }
+
+    public static function create_table(): bool
+    {
+        return true;
+    }
+}
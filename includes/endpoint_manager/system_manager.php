@@ -46,6 +46,16 @@ final class System_Manager
     public const COMPONENT_DISABLED = 'disabled';
     public const COMPONENT_ERROR = 'error';
 
+    /**
+     * Dashboard chart ranges: span and bucket size in seconds
+     */
+    public const STATISTICS_RANGES = [
+        '1h' => [3600, 300],
+        '24h' => [86400, 3600],
+        '7d' => [604800, 21600],
+        '30d' => [2592000, 86400],
+    ];
+
     /**
      * Singleton instance
      */
@@ -251,6 +261,12 @@ final class System_Manager
 
             $this->components[$name]['status'] = self::COMPONENT_ENABLED;
 
+            // A component that starts again clears its errors and may lift the degraded status
+            $this->errors = array_values(array_filter($this->errors, fn($error) => $error['component'] !== $name));
+            if ($this->status === self::STATUS_DEGRADED && !$this->has_failed_required_component()) {
+                $this->status = self::STATUS_READY;
+            }
+
             do_action("wp_custom_api_component_{$name}_initialized", $this);
 
             return true;
@@ -273,6 +289,33 @@ final class System_Manager
         }
     }
 
+    /**
+     * Check whether any required component failed to initialize
+     *
+     * @return bool
+     */
+    private function has_failed_required_component(): bool
+    {
+        foreach ($this->components as $config) {
+            if ($config['required'] && $config['status'] === self::COMPONENT_ERROR) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check whether a component is registered
+     *
+     * @param string $name Component name
+     * @return bool
+     */
+    public function has_component(string $name): bool
+    {
+        return isset($this->components[$name]);
+    }
+
     /**
      * Get a component instance
      *
@@ -302,6 +345,17 @@ final class System_Manager
             System_Settings_Model::TABLE_NAME => System_Settings_Model::schema(),
             Event_Log_Model::TABLE_NAME => Event_Log_Model::schema(),
             Scheduled_Task_Model::TABLE_NAME => Scheduled_Task_Model::schema(),
+            Scheduled_Task_Run_Model::TABLE_NAME => Scheduled_Task_Run_Model::schema(),
+            // Admin tester tables
+            Endpoint_Test_Model::TABLE_NAME => Endpoint_Test_Model::schema(),
+            // Workflow designer tables
+            Workflow_Model::TABLE_NAME => Workflow_Model::schema(),
+            // External service health history
+            Service_Health_Check_Model::TABLE_NAME => Service_Health_Check_Model::schema(),
+            // Endpoint request metrics for the dashboard
+            Endpoint_Request_Model::TABLE_NAME => Endpoint_Request_Model::schema(),
+            // Endpoint configuration history
+            Endpoint_Revision_Model::TABLE_NAME => Endpoint_Revision_Model::schema(),
         ];
 
         $created = [];
@@ -334,17 +388,23 @@ final class System_Manager
      */
     public function get_status(): array
     {
+        $last_errors = array_column($this->errors, 'message', 'component');
+
         $components_status = [];
         foreach ($this->components as $name => $config) {
             $components_status[$name] = [
                 'status' => $config['status'],
                 'description' => $config['description'],
-                'required' => $config['required']
+                'required' => $config['required'],
+                'class' => $config['class'],
+                'priority' => $config['priority'],
+                'error' => $last_errors[$name] ?? null
             ];
         }
 
         return [
-            'status' => $this->status,
+            'status' => $this->is_maintenance_mode() ? self::STATUS_MAINTENANCE : $this->status,
+            'maintenance' => $this->get_maintenance_info(),
             'initialized_at' => $this->initialized_at,
             'uptime' => time() - $this->initialized_at,
             'components' => $components_status,
@@ -467,11 +527,15 @@ final class System_Manager
     /**
      * Get system statistics
      *
+     * With a range from STATISTICS_RANGES the result also holds the dashboard
+     * chart series for that range.
+     *
+     * @param string $range
      * @return array
      */
-    public function get_statistics(): array
+    public function get_statistics(string $range = ''): array
     {
-        return [
+        $statistics = [
             'endpoints' => $this->count_table_rows(Custom_Endpoint_Model::TABLE_NAME),
             'active_endpoints' => $this->count_active_endpoints(),
             'webhook_logs' => $this->count_table_rows(Webhook_Log_Model::TABLE_NAME),
@@ -483,6 +547,188 @@ final class System_Manager
             'events_today' => $this->count_today_events(),
             'scheduled_tasks' => $this->count_scheduled_tasks()
         ];
+
+        if (isset(self::STATISTICS_RANGES[$range])) {
+            $statistics['series'] = $this->get_series($range);
+        }
+
+        return $statistics;
+    }
+
+    /**
+     * Get the chart series for a range
+     *
+     * @param string $range
+     * @return array
+     */
+    private function get_series(string $range): array
+    {
+        [$span, $step] = self::STATISTICS_RANGES[$range];
+        $offset = wp_timezone()->getOffset(new \DateTimeImmutable());
+
+        // Buckets line up with the site's clock, the last one holding now
+        $end = (int) (floor((time() + $offset) / $step) * $step) - $offset + $step;
+        $start = $end - $span;
+
+        $buckets = [];
+        for ($bucket_start = $start; $bucket_start < $end; $bucket_start += $step) {
+            $buckets[] = [
+                'start' => $bucket_start,
+                'label' => wp_date($step >= DAY_IN_SECONDS ? 'M j' : ($span > DAY_IN_SECONDS ? 'M j H:i' : 'H:i'), $bucket_start),
+                'date' => wp_date('Y-m-d', $bucket_start)
+            ];
+        }
+
+        return [
+            'range' => $range,
+            'start' => $start,
+            'end' => $end,
+            'step' => $step,
+            'buckets' => $buckets,
+            'requests' => $this->get_request_series($start, $end, $step),
+            'webhooks' => $this->get_status_series(
+                Webhook_Log_Model::TABLE_NAME,
+                'UNIX_TIMESTAMP(created_at)',
+                [Webhook_Handler::STATUS_PROCESSED, Webhook_Handler::STATUS_FAILED],
+                $start,
+                $end,
+                $step
+            ),
+            'etl' => $this->get_status_series(
+                ETL_Job_Model::TABLE_NAME,
+                'COALESCE(NULLIF(completed_at, 0), started_at)',
+                [ETL_Engine::STATUS_COMPLETED, ETL_Engine::STATUS_FAILED],
+                $start,
+                $end,
+                $step
+            )
+        ];
+    }
+
+    /**
+     * Get request and server error counts per endpoint and p50/p95 latency per bucket
+     *
+     * @param int $start
+     * @param int $end
+     * @param int $step
+     * @return array
+     */
+    private function get_request_series(int $start, int $end, int $step): array
+    {
+        global $wpdb;
+        $count = (int) (($end - $start) / $step);
+        $series = [
+            'total' => 0,
+            'errors' => 0,
+            'endpoints' => [],
+            'p50' => array_fill(0, $count, null),
+            'p95' => array_fill(0, $count, null)
+        ];
+
+        if (!Database::table_exists(Endpoint_Request_Model::TABLE_NAME)) {
+            return $series;
+        }
+
+        $table = Database::get_table_full_name(Endpoint_Request_Model::TABLE_NAME);
+        $endpoints_table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
+
+        $rows = $wpdb->get_results($wpdb->prepare("
+            SELECT r.endpoint_id, e.name, FLOOR((r.requested_at - %d) / %d) AS bucket,
+                COUNT(*) AS count, SUM(r.status_code >= 400) AS errors, SUM(r.status_code >= 500) AS failures
+            FROM {$table} r
+            LEFT JOIN {$endpoints_table} e ON e.id = r.endpoint_id
+            WHERE r.requested_at >= %d AND r.requested_at < %d
+            GROUP BY r.endpoint_id, e.name, bucket
+        ", $start, $step, $start, $end), ARRAY_A) ?: [];
+
+        $per_bucket = array_fill(0, $count, 0);
+
+        foreach ($rows as $row) {
+            $id = (int) $row['endpoint_id'];
+            $bucket = (int) $row['bucket'];
+
+            if (!isset($series['endpoints'][$id])) {
+                $series['endpoints'][$id] = [
+                    'id' => $id,
+                    'name' => $row['name'] ?? "Endpoint #{$id}",
+                    'counts' => array_fill(0, $count, 0),
+                    'failures' => array_fill(0, $count, 0)
+                ];
+            }
+
+            $series['endpoints'][$id]['counts'][$bucket] = (int) $row['count'];
+            $series['endpoints'][$id]['failures'][$bucket] = (int) $row['failures'];
+            $per_bucket[$bucket] += (int) $row['count'];
+            $series['total'] += (int) $row['count'];
+            $series['errors'] += (int) $row['errors'];
+        }
+
+        $series['endpoints'] = array_values($series['endpoints']);
+
+        // Percentiles are read by position from each bucket's duration counts, in one query
+        $durations = $wpdb->get_results($wpdb->prepare("
+            SELECT FLOOR((requested_at - %d) / %d) AS bucket, duration_ms, COUNT(*) AS count
+            FROM {$table}
+            WHERE requested_at >= %d AND requested_at < %d
+            GROUP BY bucket, duration_ms
+            ORDER BY bucket, duration_ms
+        ", $start, $step, $start, $end), ARRAY_A) ?: [];
+
+        $seen = array_fill(0, $count, 0);
+
+        foreach ($durations as $row) {
+            $bucket = (int) $row['bucket'];
+            $seen[$bucket] += (int) $row['count'];
+
+            foreach (['p50' => 0.5, 'p95' => 0.95] as $key => $percentile) {
+                $position = (int) ceil($per_bucket[$bucket] * $percentile);
+
+                if ($series[$key][$bucket] === null && $seen[$bucket] >= $position) {
+                    $series[$key][$bucket] = (int) $row['duration_ms'];
+                }
+            }
+        }
+
+        return $series;
+    }
+
+    /**
+     * Count rows per status and bucket
+     *
+     * @param string $table_name
+     * @param string $time_column SQL expression giving the row's Unix timestamp
+     * @param array $statuses
+     * @param int $start
+     * @param int $end
+     * @param int $step
+     * @return array status => counts per bucket
+     */
+    private function get_status_series(string $table_name, string $time_column, array $statuses, int $start, int $end, int $step): array
+    {
+        global $wpdb;
+        $count = (int) (($end - $start) / $step);
+        $series = array_fill_keys($statuses, array_fill(0, $count, 0));
+
+        if (!Database::table_exists($table_name)) {
+            return $series;
+        }
+
+        $table = Database::get_table_full_name($table_name);
+        $placeholders = implode(', ', array_fill(0, count($statuses), '%s'));
+
+        $rows = $wpdb->get_results($wpdb->prepare("
+            SELECT status, FLOOR(({$time_column} - %d) / %d) AS bucket, COUNT(*) AS count
+            FROM {$table}
+            WHERE status IN ({$placeholders})
+            AND {$time_column} >= %d AND {$time_column} < %d
+            GROUP BY status, bucket
+        ", $start, $step, ...[...$statuses, $start, $end]), ARRAY_A) ?: [];
+
+        foreach ($rows as $row) {
+            $series[$row['status']][(int) $row['bucket']] = (int) $row['count'];
+        }
+
+        return $series;
     }
 
     /**
@@ -642,6 +888,22 @@ final class System_Manager
             || Configuration_Manager::get('maintenance_mode', false);
     }
 
+    /**
+     * Get the maintenance mode state with its reason and start time
+     *
+     * @return array
+     */
+    public function get_maintenance_info(): array
+    {
+        $enabled = $this->is_maintenance_mode();
+
+        return [
+            'enabled' => $enabled,
+            'reason' => $enabled ? (string) Configuration_Manager::get('maintenance_reason', '') : '',
+            'started_at' => $enabled ? (int) Configuration_Manager::get('maintenance_started_at', 0) : 0
+        ];
+    }
+
     /**
      * Shutdown hook
      *
@@ -25,6 +25,7 @@ if (!defined('ABSPATH')) exit;
  * - Validating webhook signatures
  * - Logging all webhook requests
  * - Triggering ETL processes automatically
+ * - Searching and retrying logged webhooks for the admin log explorer
  *
  * @since 1.1.0
  */
@@ -308,16 +309,7 @@ final class Webhook_Handler
     private function trigger_etl(int $log_id, int $template_id, array $payload): void
     {
         // Queue ETL job for async processing
-        $job_data = [
-            'template_id' => $template_id,
-            'webhook_log_id' => $log_id,
-            'status' => 'pending',
-            'started_at' => time(),
-            'input_data' => json_encode($payload),
-            'retry_count' => 0
-        ];
-
-        $result = Database::insert_row(ETL_Job_Model::TABLE_NAME, $job_data);
+        $result = ETL_Engine::create_job($template_id, $payload, $log_id);
 
         if ($result->ok) {
             // Fire action for async processing
@@ -405,9 +397,165 @@ final class Webhook_Handler
         );
     }
 
+    /**
+     * Search webhook logs across endpoints for the admin log explorer
+     *
+     * @param array $filters Optional filters (endpoint_id, source, status, date_from, date_to)
+     * @param int $page
+     * @param int $per_page
+     * @return Response_Handler
+     */
+    public static function search_logs(array $filters = [], int $page = 1, int $per_page = 20): Response_Handler
+    {
+        global $wpdb;
+
+        if (!Database::table_exists(Webhook_Log_Model::TABLE_NAME)) {
+            return Response_Handler::response(true, 200, 'No webhook logs found', [
+                'items' => [],
+                'total' => 0,
+                'page' => 1,
+                'total_pages' => 0
+            ]);
+        }
+
+        $table = Database::get_table_full_name(Webhook_Log_Model::TABLE_NAME);
+        $endpoints_table = Database::get_table_full_name(Custom_Endpoint_Model::TABLE_NAME);
+        [$where_clause, $where_values] = self::build_log_filters($filters);
+
+        $count_sql = "SELECT COUNT(*) FROM {$table} l WHERE {$where_clause}";
+        $total = (int) $wpdb->get_var(!empty($where_values) ? $wpdb->prepare($count_sql, $where_values) : $count_sql);
+
+        $per_page = max(1, min(100, $per_page));
+        $total_pages = (int) ceil($total / $per_page);
+        $page = max(1, min($page, max(1, $total_pages)));
+
+        $sql = "SELECT l.id, l.endpoint_id, e.name AS endpoint_name, l.source_ip, l.source_identifier, l.request_method,
+                l.status, l.response_code, l.signature_valid, l.retry_count, l.error_message, l.processed_at, l.created_at
+            FROM {$table} l
+            LEFT JOIN {$endpoints_table} e ON e.id = l.endpoint_id
+            WHERE {$where_clause}
+            ORDER BY l.id DESC
+            LIMIT %d OFFSET %d";
+        $where_values[] = $per_page;
+        $where_values[] = ($page - 1) * $per_page;
+
+        $items = $wpdb->get_results($wpdb->prepare($sql, $where_values), ARRAY_A) ?: [];
+
+        return Response_Handler::response(true, 200, 'Webhook logs retrieved', [
+            'items' => $items,
+            'total' => $total,
+            'page' => $page,
+            'total_pages' => $total_pages
+        ]);
+    }
+
+    /**
+     * Get a webhook log with decoded request data and the ETL jobs it started
+     *
+     * @param int $log_id
+     * @return Response_Handler
+     */
+    public static function get_log_details(int $log_id): Response_Handler
+    {
+        global $wpdb;
+
+        $log = self::get_log($log_id);
+
+        if (!$log->ok || empty($log->data)) {
+            return Response_Handler::response(false, 404, 'Webhook log not found');
+        }
+
+        $details = $log->data;
+        $details['request_headers'] = json_decode($details['request_headers'] ?? '', true) ?: [];
+        $details['query_params'] = json_decode($details['query_params'] ?? '', true) ?: [];
+        $details['etl_jobs'] = [];
+
+        if (Database::table_exists(ETL_Job_Model::TABLE_NAME)) {
+            $jobs_table = Database::get_table_full_name(ETL_Job_Model::TABLE_NAME);
+            $details['etl_jobs'] = $wpdb->get_results($wpdb->prepare(
+                "SELECT id, template_id, status, started_at, completed_at, error_message, error_stage, retry_count
+                FROM {$jobs_table} WHERE webhook_log_id = %d ORDER BY id DESC",
+                $log_id
+            ), ARRAY_A) ?: [];
+        }
+
+        return Response_Handler::response(true, 200, 'Webhook log retrieved', $details);
+    }
+
+    /**
+     * Get ids of failed webhook logs matching the explorer filters
+     *
+     * @param array $filters
+     * @param int $limit
+     * @return array
+     */
+    public static function get_failed_log_ids(array $filters = [], int $limit = 100): array
+    {
+        global $wpdb;
+
+        if (!Database::table_exists(Webhook_Log_Model::TABLE_NAME)) {
+            return [];
+        }
+
+        $table = Database::get_table_full_name(Webhook_Log_Model::TABLE_NAME);
+        [$where_clause, $where_values] = self::build_log_filters(array_merge($filters, ['status' => self::STATUS_FAILED]));
+        $where_values[] = $limit;
+
+        return array_map('intval', $wpdb->get_col($wpdb->prepare(
+            "SELECT l.id FROM {$table} l WHERE {$where_clause} ORDER BY l.id ASC LIMIT %d",
+            $where_values
+        )) ?: []);
+    }
+
+    /**
+     * Build the WHERE clause for log explorer filters
+     *
+     * @param array $filters
+     * @return array WHERE clause and its prepared values
+     */
+    private static function build_log_filters(array $filters): array
+    {
+        global $wpdb;
+
+        $where = ['1=1'];
+        $where_values = [];
+
+        if (!empty($filters['endpoint_id'])) {
+            $where[] = 'l.endpoint_id = %d';
+            $where_values[] = (int) $filters['endpoint_id'];
+        }
+
+        if (!empty($filters['source'])) {
+            $where[] = '(l.source_identifier LIKE %s OR l.source_ip LIKE %s)';
+            $source = '%' . $wpdb->esc_like($filters['source']) . '%';
+            $where_values[] = $source;
+            $where_values[] = $source;
+        }
+
+        if (!empty($filters['status'])) {
+            $where[] = 'l.status = %s';
+            $where_values[] = $filters['status'];
+        }
+
+        if (!empty($filters['date_from'])) {
+            $where[] = 'l.created_at >= %s';
+            $where_values[] = $filters['date_from'] . ' 00:00:00';
+        }
+
+        if (!empty($filters['date_to'])) {
+            $where[] = 'l.created_at <= %s';
+            $where_values[] = $filters['date_to'] . ' 23:59:59';
+        }
+
+        return [implode(' AND ', $where), $where_values];
+    }
+
     /**
      * Retry processing a webhook
      *
+     * Re-extracts the stored payload with the endpoint's current webhook config
+     * and queues its auto ETL template again when one is configured.
+     *
      * @param int $log_id
      * @return Response_Handler
      */
@@ -432,12 +580,86 @@ final class Webhook_Handler
             'status' => self::STATUS_PENDING
         ]);
 
-        // Re-trigger processing
-        $payload = json_decode($log_data['request_payload'] ?? '{}', true) ?: [];
+        $endpoint = Endpoint_Manager::get_endpoint((int) $log_data['endpoint_id']);
+        $endpoint = $endpoint->ok ? (is_array($endpoint->data) && isset($endpoint->data[0]) ? $endpoint->data[0] : $endpoint->data) : [];
+        $config = json_decode($endpoint['handler_config'] ?? '{}', true) ?: [];
+
+        try {
+            $handler = new self();
+            $payload = $handler->extract_payload(self::build_request_from_log($log_data), $config);
+
+            do_action('wp_custom_api_webhook_retry', $payload, $log_data, $log_id);
+
+            // Re-trigger processing
+            if (!empty($config['auto_etl_template_id'])) {
+                $handler->trigger_etl($log_id, (int) $config['auto_etl_template_id'], $payload);
+                $status = self::STATUS_QUEUED;
+            } else {
+                $status = self::STATUS_PROCESSED;
+            }
+
+            Database::update_row(Webhook_Log_Model::TABLE_NAME, $log_id, [
+                'status' => $status,
+                'error_message' => '',
+                'processed_at' => time()
+            ]);
+        } catch (\Exception $e) {
+            Database::update_row(Webhook_Log_Model::TABLE_NAME, $log_id, [
+                'status' => self::STATUS_FAILED,
+                'error_message' => $e->getMessage(),
+                'processed_at' => time()
+            ]);
+
+            return Response_Handler::response(false, 500, 'Webhook retry failed: ' . $e->getMessage());
+        }
+
+        return Response_Handler::response(true, 200, 'Webhook retry initiated', ['log_id' => $log_id, 'status' => $status]);
+    }
+
+    /**
+     * Retry several webhooks, collecting per-log failures
+     *
+     * @param array $log_ids
+     * @return Response_Handler Data holds the retried log IDs and the failure reasons by log ID
+     */
+    public static function retry_many(array $log_ids): Response_Handler
+    {
+        $retried = [];
+        $errors = [];
+
+        foreach (array_unique(array_map('intval', $log_ids)) as $log_id) {
+            $result = self::retry($log_id);
+
+            if ($result->ok) {
+                $retried[] = $log_id;
+            } else {
+                $errors[$log_id] = $result->reason;
+            }
+        }
+
+        return Response_Handler::response(!empty($retried) || empty($errors), empty($errors) ? 200 : 207, 'Webhooks retried', [
+            'retried' => $retried,
+            'errors' => $errors
+        ]);
+    }
+
+    /**
+     * Rebuild a request from a stored log entry
+     *
+     * @param array $log_data
+     * @return WP_REST_Request
+     */
+    private static function build_request_from_log(array $log_data): WP_REST_Request
+    {
+        $request = new WP_REST_Request($log_data['request_method'] ?? 'POST');
+        $request->set_headers(json_decode($log_data['request_headers'] ?? '', true) ?: []);
+        $request->set_query_params(json_decode($log_data['query_params'] ?? '', true) ?: []);
+        $request->set_body($log_data['request_payload'] ?? '');
 
-        do_action('wp_custom_api_webhook_retry', $payload, $log_data, $log_id);
+        // Live requests take form fields from $_POST, so url-encoded bodies are parsed here instead
+        $request->parse_body_params();
 
-        return Response_Handler::response(true, 200, 'Webhook retry initiated', ['log_id' => $log_id]);
+        return $request;
     }
 
     /**
@@ -0,0 +1,313 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Includes\Database;
+use WP_Custom_API\Includes\Response_Handler;
+use WP_REST_Request;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Workflow Manager - Stored Action Executor workflows
+ *
+ * This class handles:
+ * - Saving workflows built in the visual workflow designer
+ * - Validating workflow definitions against the registered handlers
+ * - Running a saved workflow for "action" handler endpoints
+ * - Test runs of unsaved definitions from the designer
+ *
+ * @since 2.0.0
+ */
+
+final class Workflow_Manager
+{
+    /**
+     * Get all workflows, without their definitions
+     *
+     * @return Response_Handler
+     */
+    public static function get_workflows(): Response_Handler
+    {
+        if (!Database::table_exists(Workflow_Model::TABLE_NAME)) {
+            return Response_Handler::response(true, 200, 'No workflows found', []);
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Workflow_Model::TABLE_NAME);
+
+        $rows = $wpdb->get_results("SELECT * FROM {$table} ORDER BY name ASC", ARRAY_A);
+
+        $workflows = array_map(function (array $row): array {
+            $definition = json_decode($row['definition'] ?? '', true);
+            unset($row['definition']);
+
+            $row['node_count'] = self::count_nodes(is_array($definition) ? ($definition['steps'] ?? []) : []);
+
+            return $row;
+        }, $rows ?: []);
+
+        return Response_Handler::response(true, 200, count($workflows) . ' workflow(s) found', $workflows);
+    }
+
+    /**
+     * Get a single workflow with its decoded definition
+     *
+     * @param int $id
+     * @return array|null
+     */
+    public static function get_workflow(int $id): ?array
+    {
+        if (!Database::table_exists(Workflow_Model::TABLE_NAME)) {
+            return null;
+        }
+
+        global $wpdb;
+        $table = Database::get_table_full_name(Workflow_Model::TABLE_NAME);
+
+        $row = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table} WHERE id = %d", $id), ARRAY_A);
+
+        if (!$row) {
+            return null;
+        }
+
+        $definition = json_decode($row['definition'] ?? '', true);
+        $row['definition'] = is_array($definition) ? $definition : ['steps' => []];
+
+        return $row;
+    }
+
+    /**
+     * Create or update a workflow
+     *
+     * @param array $data id (optional), name, description, definition, is_active
+     * @return Response_Handler
+     */
+    public static function save_workflow(array $data): Response_Handler
+    {
+        $name = trim((string) ($data['name'] ?? ''));
+
+        if ($name === '') {
+            return Response_Handler::response(false, 400, 'Workflow name is required');
+        }
+
+        $definition = is_array($data['definition'] ?? null) ? $data['definition'] : ['steps' => []];
+        $errors = self::validate_definition($definition);
+
+        if (!empty($errors)) {
+            return Response_Handler::response(false, 422, 'Invalid workflow: ' . implode('; ', $errors), ['errors' => $errors]);
+        }
+
+        $row = [
+            'name' => $name,
+            'description' => (string) ($data['description'] ?? ''),
+            'definition' => wp_json_encode($definition),
+            'is_active' => !empty($data['is_active']) ? 1 : 0,
+        ];
+
+        $id = (int) ($data['id'] ?? 0);
+
+        if ($id > 0) {
+            if (self::get_workflow($id) === null) {
+                return Response_Handler::response(false, 404, 'Workflow not found');
+            }
+
+            $result = Database::update_row(Workflow_Model::TABLE_NAME, $id, $row);
+
+            // update_row reports a save without changes as a failed update
+            return $result->ok || $result->status_code === 400
+                ? Response_Handler::response(true, 200, 'Workflow saved', ['id' => $id])
+                : $result;
+        }
+
+        return Database::insert_row(Workflow_Model::TABLE_NAME, array_merge($row, [
+            'created_by' => get_current_user_id(),
+        ]));
+    }
+
+    /**
+     * Delete a workflow
+     *
+     * @param int $id
+     * @return Response_Handler
+     */
+    public static function delete_workflow(int $id): Response_Handler
+    {
+        return Database::delete_row(Workflow_Model::TABLE_NAME, $id);
+    }
+
+    /**
+     * Validate a workflow definition
+     *
+     * @param array $definition
+     * @return array Error messages, empty when the definition is valid
+     */
+    public static function validate_definition(array $definition): array
+    {
+        if (!is_array($definition['steps'] ?? null)) {
+            return ['Workflow steps must be a list'];
+        }
+
+        $errors = [];
+        $ids = [];
+        self::validate_steps($definition['steps'], $errors, $ids);
+
+        return $errors;
+    }
+
+    /**
+     * Run a saved workflow
+     *
+     * @param int $id
+     * @param array $data Input data
+     * @param array $endpoint Endpoint configuration
+     * @param WP_REST_Request|null $request Original request
+     * @return Response_Handler Result of Action_Executor::execute_workflow as data
+     */
+    public static function run(int $id, array $data, array $endpoint = [], ?WP_REST_Request $request = null): Response_Handler
+    {
+        $workflow = self::get_workflow($id);
+
+        if ($workflow === null) {
+            return Response_Handler::response(false, 404, 'Workflow not found');
+        }
+
+        if (empty($workflow['is_active'])) {
+            return Response_Handler::response(false, 503, 'Workflow is inactive');
+        }
+
+        $result = Action_Executor::execute_workflow($workflow['definition'], $data, $endpoint, $request);
+
+        do_action('wp_custom_api_workflow_executed', $id, $result, $endpoint);
+
+        return $result['success']
+            ? Response_Handler::response(true, 200, 'Workflow executed successfully', $result)
+            : Response_Handler::response(false, 500, 'Workflow failed: ' . $result['error'], $result);
+    }
+
+    /**
+     * Run an unsaved definition from the designer with sample data
+     *
+     * Handlers run for real; only the definition and input are hypothetical.
+     *
+     * @param array $definition
+     * @param array $data
+     * @return Response_Handler
+     */
+    public static function test_run(array $definition, array $data): Response_Handler
+    {
+        $errors = self::validate_definition($definition);
+
+        if (!empty($errors)) {
+            return Response_Handler::response(false, 422, 'Invalid workflow: ' . implode('; ', $errors), ['errors' => $errors]);
+        }
+
+        $result = Action_Executor::execute_workflow($definition, $data);
+
+        return Response_Handler::response(true, 200, $result['success'] ? 'Test run completed' : 'Test run failed', $result);
+    }
+
+    /**
+     * Validate a list of nodes, collecting errors
+     *
+     * @param array $steps
+     * @param array $errors
+     * @param array $ids Node IDs seen so far
+     * @return void
+     */
+    private static function validate_steps(array $steps, array &$errors, array &$ids): void
+    {
+        foreach ($steps as $node) {
+            if (!is_array($node)) {
+                $errors[] = 'Workflow nodes must be objects';
+                continue;
+            }
+
+            $id = (string) ($node['id'] ?? '');
+            $type = $node['type'] ?? '';
+            $label = $id !== '' ? "Node {$id}" : 'A node';
+
+            if ($id === '') {
+                $errors[] = 'Every node needs an ID';
+            } elseif (isset($ids[$id])) {
+                $errors[] = "Duplicate node ID: {$id}";
+            }
+            $ids[$id] = true;
+
+            switch ($type) {
+                case Action_Executor::NODE_HANDLER:
+                    $handler = (string) ($node['handler'] ?? '');
+                    if ($handler === '') {
+                        $errors[] = "{$label} has no handler";
+                    } elseif (!Action_Executor::exists($handler)) {
+                        $errors[] = "{$label} uses unregistered handler {$handler}";
+                    }
+                    break;
+
+                case Action_Executor::NODE_HOOK:
+                    if (trim((string) ($node['hook'] ?? '')) === '') {
+                        $errors[] = "{$label} has no hook name";
+                    }
+                    break;
+
+                case Action_Executor::NODE_PARALLEL:
+                    $branches = $node['branches'] ?? null;
+                    if (!is_array($branches) || count($branches) < 2) {
+                        $errors[] = "{$label} needs at least two branches";
+                        break;
+                    }
+                    foreach ($branches as $branch) {
+                        self::validate_steps(is_array($branch) ? $branch : [], $errors, $ids);
+                    }
+                    break;
+
+                case Action_Executor::NODE_CONDITION:
+                    if (empty($node['conditions']) || !is_array($node['conditions'])) {
+                        $errors[] = "{$label} has no conditions";
+                    }
+                    self::validate_steps(is_array($node['then'] ?? null) ? $node['then'] : [], $errors, $ids);
+                    self::validate_steps(is_array($node['else'] ?? null) ? $node['else'] : [], $errors, $ids);
+                    break;
+
+                default:
+                    $errors[] = "{$label} has unknown type " . (is_string($type) ? $type : '');
+            }
+        }
+    }
+
+    /**
+     * Count nodes including nested ones, leaving out parallel containers
+     *
+     * @param array $steps
+     * @return int
+     */
+    private static function count_nodes(array $steps): int
+    {
+        $count = 0;
+
+        foreach ($steps as $node) {
+            if (!is_array($node)) {
+                continue;
+            }
+
+            $count += match ($node['type'] ?? '') {
+                Action_Executor::NODE_PARALLEL => array_sum(array_map(
+                    fn($branch) => self::count_nodes(is_array($branch) ? $branch : []),
+                    is_array($node['branches'] ?? null) ? $node['branches'] : []
+                )),
+                Action_Executor::NODE_CONDITION => 1
+                    + self::count_nodes(is_array($node['then'] ?? null) ? $node['then'] : [])
+                    + self::count_nodes(is_array($node['else'] ?? null) ? $node['else'] : []),
+                default => 1,
+            };
+        }
+
+        return $count;
+    }
+}
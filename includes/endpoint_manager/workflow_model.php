@@ -0,0 +1,79 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WP_Custom_API\Includes\Endpoint_Manager;
+
+use WP_Custom_API\Includes\Model_Interface;
+
+/**
+ * Prevent direct access from sources other than the Wordpress environment
+ */
+
+if (!defined('ABSPATH')) exit;
+
+/**
+ * Model for workflows.
+ * Stores Action Executor workflows built in the visual workflow designer.
+ *
+ * @since 2.0.0
+ */
+
+final class Workflow_Model extends Model_Interface
+{
+    /**
+     * Table name for workflows
+     */
+    public const TABLE_NAME = 'workflows';
+
+    public static function table_name(): string
+    {
+        return self::TABLE_NAME;
+    }
+
+    public static function schema(): array
+    {
+        return [
+            'name' => [
+                'query'    => 'VARCHAR(100)',
+                'type'     => 'text',
+                'required' => true,
+                'minimum'  => 1,
+                'maximum'  => 100,
+            ],
+            'description' => [
+                'query'    => 'TEXT',
+                'type'     => 'text',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 65535,
+            ],
+            'definition' => [
+                'query'    => 'JSON',
+                'type'     => 'raw',
+                'required' => true,
+                'minimum'  => 0,
+                'maximum'  => 65535,
+            ],
+            'is_active' => [
+                'query'    => 'TINYINT(1)',
+                'type'     => 'int',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 1,
+            ],
+            'created_by' => [
+                'query'    => 'BIGINT(20)',
+                'type'     => 'int',
+                'required' => false,
+                'minimum'  => 0,
+                'maximum'  => 99999999999,
+            ],
+        ];
+    }
+
+    public static function create_table(): bool
+    {
+        return true;
+    }
+}
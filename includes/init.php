@@ -149,6 +149,12 @@ final class Init
             'WP_Custom_API\Includes\Endpoint_Manager\System_Settings_Model',
             'WP_Custom_API\Includes\Endpoint_Manager\Event_Log_Model',
             'WP_Custom_API\Includes\Endpoint_Manager\Scheduled_Task_Model',
+            'WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Test_Model',
+            'WP_Custom_API\Includes\Endpoint_Manager\Workflow_Model',
+            'WP_Custom_API\Includes\Endpoint_Manager\Service_Health_Check_Model',
+            'WP_Custom_API\Includes\Endpoint_Manager\Scheduled_Task_Run_Model',
+            'WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Request_Model',
+            'WP_Custom_API\Includes\Endpoint_Manager\Endpoint_Revision_Model',
         ];
 
         foreach ($models as $model_class) {
@@ -27,6 +27,7 @@ final class Response_Handler
      * @param bool $ok
      * @param int $status_code
      * @param string $message
+     * @param string $reason
      * @param mixed $data
      * @param WP_REST_Response $error_response
      * @param WP_REST_Response $success_response
@@ -36,6 +37,7 @@ final class Response_Handler
         public readonly bool $ok,
         public readonly int $status_code,
         public readonly string $message,
+        public readonly string $reason,
         public readonly mixed $data,
         public readonly WP_REST_Response|null $error_response,
         public readonly WP_REST_Response|null $success_response
@@ -56,6 +58,9 @@ final class Response_Handler
 
     public static function response(bool $ok, int $status_code, string $message = '', mixed $data = null, bool $parse_responses = true): static
     {
+        // Keep the message as given for admin screens, which may show it whatever the debug mode
+        $reason = $message;
+
         // Set return message based upon if DEBUG_MESSAGE_MODE constant in Config class is set to false.  This ensures sensitive information is secured.
         if (!Config::DEBUG_MESSAGE_MODE) {
             if ($status_code < 300) $message = 'Success';
@@ -84,6 +89,7 @@ final class Response_Handler
             $ok, 
             $status_code, 
             $message, 
+            $reason, 
             $data, 
             $error_response, 
             $success_response
@@ -90,7 +90,13 @@ register_activation_hook(__FILE__, function() {
             'external_service_model.php',
             'system_settings_model.php',
             'event_log_model.php',
-            'scheduled_task_model.php'
+            'scheduled_task_model.php',
+            'endpoint_test_model.php',
+            'workflow_model.php',
+            'service_health_check_model.php',
+            'scheduled_task_run_model.php',
+            'endpoint_request_model.php',
+            'endpoint_revision_model.php'
         ];
 
         foreach ($endpoint_manager_models as $model_file) {